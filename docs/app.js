@@ -391,7 +391,25 @@ class SceneComposer {
     this.debug = false;
   }
 
+  // Spec types whose base diagram, overlays and scenes come from a model
+  static get specTypes() {
+    return {
+      snapshot: () => (typeof SnapshotModel !== 'undefined' ? SnapshotModel : require('../simulation/snapshot')),
+      'garbage-collection': () => (typeof GarbageCollectionModel !== 'undefined' ? GarbageCollectionModel : require('../simulation/garbage-collection'))
+    };
+  }
+
+  // Expand a generated spec type into a plain spec; other specs pass through
+  expandSpec(spec) {
+    const resolve = SceneComposer.specTypes[spec?.type];
+    if (!resolve || spec._generated) return spec;
+
+    return resolve().fromSpec(spec).expand(spec, this);
+  }
+
   composeScene(spec, overlayIds = []) {
+    spec = this.expandSpec(spec);
+
     // Deep clone the spec to avoid mutations
     const composed = this.deepClone(spec);
     const nodeMap = new Map(composed.nodes.map(n => [n.id, n]));
@@ -579,8 +597,190 @@ if (typeof module !== 'undefined' && module.exports) {
   window.SceneComposer = SceneComposer;
 }
 
+// === src/core/render-cache.js ===
+// Rendered SVG by a content hash of what produced it. Least recently used
+// entries are evicted once the cache holds more than maxBytes of SVG, and in
+// the browser entries persist in IndexedDB, so a reload starts warm.
+// stats() counts hits and misses for the performance tests.
+class RenderCache {
+  constructor({ maxBytes = RenderCache.defaultMaxBytes, persist = true } = {}) {
+    this.maxBytes = maxBytes;
+    this.persist = persist;
+    this.entries = new Map(); // key -> { svg, bytes, lastUsed }, least recently used first
+    this.bytes = 0;
+    this.db = null;
+    this.resetStats();
+  }
+
+  static get defaultMaxBytes() {
+    return 8 * 1024 * 1024;
+  }
+
+  static get database() {
+    return { name: 'gfs-render-cache', version: 1, store: 'svg' };
+  }
+
+  // cyrb53: a fast, stable 53-bit string hash, as 14 hex digits
+  static hash(text) {
+    let h1 = 0xdeadbeef;
+    let h2 = 0x41c6ce57;
+    for (let i = 0; i < text.length; i++) {
+      const code = text.charCodeAt(i);
+      h1 = Math.imul(h1 ^ code, 2654435761);
+      h2 = Math.imul(h2 ^ code, 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16).padStart(14, '0');
+  }
+
+  // UTF-8 size of an SVG string
+  static sizeOf(svg) {
+    return new TextEncoder().encode(svg).length;
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  resetStats() {
+    this.hits = 0;
+    this.misses = 0;
+    this.evictions = 0;
+  }
+
+  stats() {
+    const lookups = this.hits + this.misses;
+    return {
+      hits: this.hits,
+      misses: this.misses,
+      hitRate: lookups > 0 ? this.hits / lookups : 0,
+      evictions: this.evictions,
+      entries: this.entries.size,
+      bytes: this.bytes,
+      maxBytes: this.maxBytes,
+      persistent: this.db !== null
+    };
+  }
+
+  // Load persisted entries, least recently used first, so that eviction
+  // keeps the most recently used ones within maxBytes.
+  // Without IndexedDB the cache simply lives in memory.
+  async open() {
+    if (!this.persist || this.db || typeof indexedDB === 'undefined') return this;
+
+    try {
+      const { name, version, store } = RenderCache.database;
+      this.db = await new Promise((resolve, reject) => {
+        const request = indexedDB.open(name, version);
+        request.onupgradeneeded = () => request.result.createObjectStore(store, { keyPath: 'key' });
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+
+      const records = await this.request(this.db.transaction(store).objectStore(store).getAll());
+      records.sort((a, b) => a.lastUsed - b.lastUsed).forEach(record => {
+        if (!this.entries.has(record.key)) this.store(record.key, record.svg, record.lastUsed, false);
+      });
+    } catch (error) {
+      console.warn('Render cache not persisted:', error);
+      this.db = null;
+    }
+    return this;
+  }
+
+  request(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // Apply a change to the persisted copy without waiting for it
+  write(change) {
+    if (!this.db) return;
+
+    const { store } = RenderCache.database;
+    try {
+      const transaction = this.db.transaction(store, 'readwrite');
+      change(transaction.objectStore(store));
+      transaction.onerror = () => console.warn('Render cache write failed:', transaction.error);
+    } catch (error) {
+      console.warn('Render cache write failed:', error);
+    }
+  }
+
+  has(key) {
+    return this.entries.has(key);
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      this.misses++;
+      return null;
+    }
+
+    this.hits++;
+    entry.lastUsed = Date.now();
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    this.write(store => store.put({ key, svg: entry.svg, lastUsed: entry.lastUsed }));
+    return entry.svg;
+  }
+
+  set(key, svg) {
+    this.store(key, svg, Date.now(), true);
+    return this;
+  }
+
+  store(key, svg, lastUsed, persist) {
+    const bytes = RenderCache.sizeOf(svg);
+    if (bytes > this.maxBytes) return;
+
+    this.delete(key);
+    this.entries.set(key, { svg, bytes, lastUsed });
+    this.bytes += bytes;
+    if (persist) this.write(store => store.put({ key, svg, lastUsed }));
+
+    while (this.bytes > this.maxBytes) {
+      this.delete(this.entries.keys().next().value);
+      this.evictions++;
+    }
+  }
+
+  delete(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return false;
+
+    this.entries.delete(key);
+    this.bytes -= entry.bytes;
+    this.write(store => store.delete(key));
+    return true;
+  }
+
+  clear() {
+    this.entries.clear();
+    this.bytes = 0;
+    this.write(store => store.clear());
+  }
+}
+
+// Export for module systems, or make global
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RenderCache;
+} else {
+  window.RenderCache = RenderCache;
+}
+
 // === src/core/renderer.js ===
 class MermaidRenderer {
+  // The Mermaid release docs/index.html loads; it is part of every cache key,
+  // so SVGs persisted by an older release are never served after an upgrade
+  static get mermaidVersion() {
+    return '10.9.8';
+  }
+
   constructor() {
     this.config = {
       theme: 'base',
@@ -611,8 +811,15 @@ class MermaidRenderer {
     };
 
     this.initialized = false;
-    this.cache = new Map(); // SVG cache for performance
+    this.containerId = 'diagram-container'; // where render() draws unless told otherwise
+    this.cache = new (this.getRenderCaches())(); // SVG by hash of Mermaid code and config
     this.cacheEnabled = true;
+    this.prerendered = new Map(); // cache key -> asset from rendered/manifest.json
+    this.prerenderedBase = 'rendered/';
+  }
+
+  getRenderCaches() {
+    return typeof RenderCache !== 'undefined' ? RenderCache : require('./render-cache');
   }
 
   async initialize() {
@@ -629,10 +836,14 @@ class MermaidRenderer {
       ...this.config
     });
 
+    // Renders from earlier visits come back from IndexedDB
+    await this.cache.open();
+    await this.loadPrerendered();
+
     this.initialized = true;
   }
 
-  async render(spec, containerId = 'diagram-container') {
+  async render(spec, containerId = this.containerId) {
     if (!this.initialized) {
       await this.initialize();
     }
@@ -643,18 +854,29 @@ class MermaidRenderer {
       return null;
     }
 
-    // Generate cache key from spec
-    const cacheKey = this.generateCacheKey(spec);
+    const code = this.generateMermaidCode(spec);
+    const cacheKey = this.generateCacheKey(code);
+
+    // Live simulation frames rarely repeat and would only churn the cache
+    const cacheable = this.cacheEnabled && !spec._simulation?.live;
 
     // Check cache first
-    if (this.cacheEnabled && this.cache.has(cacheKey)) {
-      const cached = this.cache.get(cacheKey);
+    const cached = cacheable ? this.cache.get(cacheKey) : null;
+    if (cached) {
       container.innerHTML = cached;
       this.postProcess(container, spec);
       return cached;
     }
 
-    const code = this.generateMermaidCode(spec);
+    // Then the SVGs scripts/prerender.js made for scenes, overlays and steps;
+    // other overlay combinations render live
+    const prerendered = cacheable ? await this.fetchPrerendered(cacheKey) : null;
+    if (prerendered) {
+      container.innerHTML = prerendered;
+      this.cache.set(cacheKey, prerendered);
+      this.postProcess(container, spec);
+      return prerendered;
+    }
 
     // Clear container
     container.innerHTML = '';
@@ -671,14 +893,9 @@ class MermaidRenderer {
       const { svg } = await mermaid.render(id, code);
       container.innerHTML = svg;
 
-      // Cache the rendered SVG
-      if (this.cacheEnabled) {
+      // Cache the rendered SVG; the cache evicts by size
+      if (cacheable) {
         this.cache.set(cacheKey, svg);
-        // Limit cache size to 20 diagrams
-        if (this.cache.size > 20) {
-          const firstKey = this.cache.keys().next().value;
-          this.cache.delete(firstKey);
-        }
       }
 
       // Post-process the SVG
@@ -692,9 +909,35 @@ class MermaidRenderer {
     }
   }
 
-  generateCacheKey(spec) {
-    // Create a cache key from spec structure
-    return `${spec.id || 'unknown'}-${spec.nodes?.length || 0}-${spec.edges?.length || 0}-${spec.layout?.type || 'flow'}`;
+  // Anything that changes the picture changes the Mermaid release, the
+  // Mermaid code or the theme config, so equal keys mean equal SVG
+  generateCacheKey(code) {
+    return this.getRenderCaches().hash(`${MermaidRenderer.mermaidVersion}\n${JSON.stringify(this.config)}\n${code}`);
+  }
+
+  // Index of pre-rendered SVGs; without one every diagram renders live
+  async loadPrerendered(baseUrl = 'rendered/') {
+    this.prerenderedBase = baseUrl;
+    try {
+      const response = await fetch(`${baseUrl}manifest.json`);
+      if (!response.ok) return;
+      this.prerendered = new Map(Object.entries((await response.json()).assets || {}));
+    } catch (error) {
+      console.warn('Pre-rendered diagrams not available:', error);
+    }
+  }
+
+  async fetchPrerendered(key) {
+    const asset = this.prerendered.get(key);
+    if (!asset) return null;
+
+    try {
+      const response = await fetch(`${this.prerenderedBase}${asset.file}`);
+      return response.ok ? await response.text() : null;
+    } catch (error) {
+      console.warn(`Pre-rendered ${asset.file} not available:`, error);
+      return null;
+    }
   }
 
   clearCache() {
@@ -728,10 +971,7 @@ class MermaidRenderer {
     }
 
     // Define participants in canonical order
-    const typeOrder = ['client', 'master', 'chunkserver', 'rack', 'switch', 'note'];
-    const sortedNodes = [...(spec.nodes || [])].sort((a, b) =>
-      typeOrder.indexOf(a.type) - typeOrder.indexOf(b.type)
-    );
+    const sortedNodes = this.sortParticipants(spec.nodes || []);
 
     for (const node of sortedNodes) {
       const icon = this.getNodeIcon(node);
@@ -772,13 +1012,19 @@ class MermaidRenderer {
     return lines.join('\n');
   }
 
+  sortParticipants(nodes) {
+    const typeOrder = ['client', 'master', 'chunkserver', 'rack', 'switch', 'note'];
+    return [...nodes].sort((a, b) => typeOrder.indexOf(a.type) - typeOrder.indexOf(b.type));
+  }
+
   generateFlow(spec) {
     const lines = ['flowchart TB'];
 
     // Define nodes with shapes and styles
     for (const node of spec.nodes || []) {
       const shape = this.getNodeShape(node);
-      const style = node._highlighted ? ':::highlight' :
+      const style = node.failure ? ':::failed' :
+                   node._highlighted ? ':::highlight' :
                    node._added ? ':::added' : '';
       // Don't use icons in flowchart - they cause parsing issues with some shapes
       lines.push(`  ${node.id}${shape.open}"${node.label}"${shape.close}${style}`);
@@ -799,13 +1045,14 @@ class MermaidRenderer {
     lines.push('  classDef added fill:#90EE90,stroke:#228B22,stroke-width:3px');
     lines.push('  classDef highlightEdge stroke:#FFD700,stroke-width:4px');
     lines.push('  classDef addedEdge stroke:#228B22,stroke-width:3px,stroke-dasharray: 5 5');
+    lines.push('  classDef failed fill:#FECACA,stroke:#DC2626,stroke-width:3px,stroke-dasharray: 4 2');
     lines.push('  classDef master fill:#CFE8FF,stroke:#2B6CB0,stroke-width:2px');
     lines.push('  classDef chunkserver fill:#D1FAE5,stroke:#059669,stroke-width:2px');
     lines.push('  classDef client fill:#E5E7EB,stroke:#4B5563,stroke-width:2px');
 
     // Apply type-based styles
     for (const node of spec.nodes || []) {
-      if (!node._highlighted && !node._added) {
+      if (!node.failure && !node._highlighted && !node._added) {
         lines.push(`  class ${node.id} ${node.type}`);
       }
     }
@@ -832,6 +1079,13 @@ class MermaidRenderer {
       lines.push(`  ${edge.from} --> ${edge.to}${label}`);
     }
 
+    // Highlight the active state (e.g. while a simulation runs)
+    const highlighted = (spec.nodes || []).filter(n => n.type === 'state' && n._highlighted);
+    if (highlighted.length > 0) {
+      lines.push('  classDef highlight fill:#FFD700,stroke:#B8860B,stroke-width:4px');
+      highlighted.forEach(node => lines.push(`  class ${node.id} highlight`));
+    }
+
     return lines.join('\n');
   }
 
@@ -844,13 +1098,15 @@ class MermaidRenderer {
 
     for (const [rackName, nodes] of racks) {
       if (rackName !== 'default') {
-        lines.push(`  subgraph ${rackName}["${rackName}"]`);
+        // Rack names may contain spaces, which Mermaid ids can't
+        lines.push(`  subgraph rack_${rackName.replace(/\W+/g, '_')}["${rackName}"]`);
       }
 
       for (const node of nodes) {
         const shape = this.getNodeShape(node);
         const icon = this.getNodeIcon(node);
-        lines.push(`    ${node.id}${shape.open}${icon}${node.label}${shape.close}`);
+        const style = node.failure ? ':::failed' : node._highlighted ? ':::highlight' : '';
+        lines.push(`    ${node.id}${shape.open}"${icon}${node.label}"${shape.close}${style}`);
       }
 
       if (rackName !== 'default') {
@@ -861,10 +1117,13 @@ class MermaidRenderer {
     // Add edges
     for (const edge of spec.edges || []) {
       const arrow = this.getFlowArrow(edge);
-      const label = edge.label ? `|${edge.label}|` : '';
+      const label = edge.label ? `|${this.formatFlowchartEdgeLabel(edge)}|` : '';
       lines.push(`  ${edge.from} ${arrow}${label} ${edge.to}`);
     }
 
+    lines.push('  classDef highlight fill:#FFD700,stroke:#B8860B,stroke-width:4px');
+    lines.push('  classDef failed fill:#FECACA,stroke:#DC2626,stroke-width:3px,stroke-dasharray: 4 2');
+
     return lines.join('\n');
   }
 
@@ -957,12 +1216,13 @@ class MermaidRenderer {
     // Add metrics if available (including enhanced fields)
     if (edge.metrics) {
       const metrics = [];
-      if (edge.metrics.size) metrics.push(edge.metrics.size);
-      if (edge.metrics.latency) metrics.push(edge.metrics.latency);
-      if (edge.metrics.throughput) metrics.push(`@${edge.metrics.throughput}`);
+      const text = name => this.formatMetric(edge.metrics[name]);
+      if (edge.metrics.size) metrics.push(text('size'));
+      if (edge.metrics.latency) metrics.push(text('latency'));
+      if (edge.metrics.throughput) metrics.push(`@${text('throughput')}`);
       // Enhanced metrics
-      if (edge.metrics.frequency) metrics.push(`⏰${edge.metrics.frequency}`);
-      if (edge.metrics.payload) metrics.push(`📦${edge.metrics.payload}`);
+      if (edge.metrics.frequency) metrics.push(`⏰${text('frequency')}`);
+      if (edge.metrics.payload) metrics.push(`📦${text('payload')}`);
 
       if (metrics.length > 0) {
         parts.push(`[${metrics.join(', ')}]`);
@@ -972,6 +1232,42 @@ class MermaidRenderer {
     return parts.filter(Boolean).join(' ');
   }
 
+  // Metrics are free text, or expressions the metrics model has computed
+  formatMetric(metric) {
+    if (metric && typeof metric === 'object') {
+      return metric.text ?? metric.expr;
+    }
+    return metric;
+  }
+
+  // Tooltip line for a metric; computed ones also show their formula, and
+  // quantities are offered in other units
+  describeMetric(label, metric) {
+    if (!metric) return null;
+
+    const conversions = this.convertMetric(metric);
+    const converted = conversions.length > 0 ? ` ⇄ ${conversions.join(' · ')}` : '';
+    if (typeof metric !== 'object') return `${label}: ${metric}${converted}`;
+    return metric.error
+      ? `${label}: ${metric.expr} (${metric.error})`
+      : `${label}: ${this.formatMetric(metric)} (= ${metric.expr})${converted}`;
+  }
+
+  convertMetric(metric) {
+    const units = typeof Units !== 'undefined' ? Units : require('./units');
+    try {
+      const quantity = typeof metric === 'object'
+        ? metric.dimension && { min: metric.value, max: metric.value, dimension: metric.dimension, unit: metric.unit }
+        : units.parseQuantity(metric);
+      // Ranges ("2-5ms") keep their authored form
+      if (!quantity || quantity.min !== quantity.max) return [];
+      const shown = String(this.formatMetric(metric));
+      return units.convert(quantity.max, quantity.dimension, quantity.unit).filter(text => !shown.includes(text));
+    } catch (e) {
+      return [];
+    }
+  }
+
   formatFlowchartEdgeLabel(edge) {
     // Simplified label format for flowcharts (no emojis, no special chars)
     // Only use basic text to avoid Mermaid parsing conflicts
@@ -1043,19 +1339,19 @@ class MermaidRenderer {
 
     // Add tooltips to edges
     for (const edge of spec.edges || []) {
-      const edgeElements = svg.querySelectorAll(`[id*="${edge.id}"]`);
+      const edgeElements = this.findElements(container, edge.id);
       edgeElements.forEach(el => {
         const title = document.createElementNS('http://www.w3.org/2000/svg', 'title');
         const details = [
           edge.label,
           `Type: ${edge.kind}`,
-          edge.metrics?.size && `Size: ${edge.metrics.size}`,
-          edge.metrics?.latency && `Latency: ${edge.metrics.latency}`,
-          edge.metrics?.throughput && `Throughput: ${edge.metrics.throughput}`,
+          this.describeMetric('Size', edge.metrics?.size),
+          this.describeMetric('Latency', edge.metrics?.latency),
+          this.describeMetric('Throughput', edge.metrics?.throughput),
           // Enhanced metrics
-          edge.metrics?.frequency && `Frequency: ${edge.metrics.frequency}`,
-          edge.metrics?.payload && `Payload: ${edge.metrics.payload}`,
-          edge.metrics?.purpose && `Purpose: ${edge.metrics.purpose}`
+          this.describeMetric('Frequency', edge.metrics?.frequency),
+          this.describeMetric('Payload', edge.metrics?.payload),
+          this.describeMetric('Purpose', edge.metrics?.purpose)
         ].filter(Boolean).join('\n');
 
         title.textContent = details;
@@ -1064,6 +1360,23 @@ class MermaidRenderer {
     }
   }
 
+  // SVG elements drawn for a node or edge. Mermaid only puts the id
+  // somewhere inside its own element ids, so this may over-match
+  findElements(container, id) {
+    return container.querySelectorAll(`svg [id*="${id}"]`);
+  }
+
+  // The line Mermaid drew for an edge, found through Mermaid's own markup:
+  // flowchart links carry LS-<from> and LE-<to> classes, and sequence
+  // messages are drawn in the order generateSequence lists them
+  findEdgeLine(container, edge, spec) {
+    if ((spec.layout?.type || 'flow') === 'sequence') {
+      const order = Array.from(this.groupEdgesByPhase(spec.edges || []).values()).flat();
+      return container.querySelectorAll('svg .messageLine0, svg .messageLine1')[order.indexOf(edge)] || null;
+    }
+    return container.querySelector(`svg path.LS-${edge.from}.LE-${edge.to}`);
+  }
+
   addAccessibility(container, spec) {
     const svg = container.querySelector('svg');
     if (!svg) return;
@@ -1093,7 +1406,7 @@ class MermaidRenderer {
 
     // Add click handlers to nodes
     for (const node of spec.nodes || []) {
-      const nodeElements = svg.querySelectorAll(`[id*="${node.id}"]`);
+      const nodeElements = this.findElements(container, node.id);
       nodeElements.forEach(el => {
         el.style.cursor = 'pointer';
         el.addEventListener('click', () => {
@@ -1119,2214 +1432,10032 @@ if (typeof module !== 'undefined' && module.exports) {
   window.MermaidRenderer = MermaidRenderer;
 }
 
-// === src/core/validator.js ===
-class ValidationError extends Error {
-  constructor(rule, errors) {
-    super(`Validation failed for ${rule}: ${errors.join(', ')}`);
-    this.rule = rule;
-    this.errors = errors;
+// === src/core/svg-renderer.js ===
+// Draws a spec straight to SVG instead of going through Mermaid. Every node
+// and edge is a group carrying data-node-id or data-edge-id, placed where a
+// deterministic layout puts it: flow diagrams are layered (ranks by longest
+// path, order within a rank by barycenter), sequence diagrams get a lifeline
+// column per participant and a row per message, and other layout types are
+// drawn layered. Specs choose it with "layout": { "renderer": "svg" }.
+class SvgRenderer extends (typeof MermaidRenderer !== 'undefined' ? MermaidRenderer : require('./renderer')) {
+  constructor() {
+    super();
+    this.shown = new Map(); // containerId -> { spec, layout } drawn there last
   }
-}
 
-class DiagramValidator {
-  constructor() {
-    this.ajv = null;
-    this.schema = null;
-    this.validate = null;
-    this.semanticRules = [
-      this.validateMasterNotOnDataPath,
-      this.validatePrimarySecondaryConsistency,
-      this.validateVersionMonotonicity,
-      this.validateReplicationFactor,
-      this.validateOverlayReferences
-    ];
+  static get geometry() {
+    return {
+      margin: 24,
+      nodeHeight: 44,
+      minNodeWidth: 96,
+      charWidth: 7.5,
+      rankGap: 72,
+      nodeGap: 40,
+      columnGap: 40,
+      rowGap: 48,
+      lineHeight: 18,
+      phaseGap: 28,
+      parallelGap: 12
+    };
   }
 
-  async initialize() {
-    try {
-      // In browser environment, Ajv should be loaded via CDN
-      if (typeof Ajv === 'undefined') {
-        console.warn('Ajv not loaded. Schema validation will be skipped.');
-        return;
-      }
+  static get shapes() {
+    return {
+      master: 'hexagon',
+      rack: 'hexagon',
+      chunkserver: 'cylinder',
+      switch: 'pill',
+      event: 'pill',
+      state: 'rounded'
+    };
+  }
 
-      this.ajv = new Ajv({ allErrors: true });
-      this.schema = await fetch('/data/schema.json').then(r => r.json());
-      this.validate = this.ajv.compile(this.schema);
-    } catch (error) {
-      console.error('Failed to initialize validator:', error);
-    }
+  // The fills and strokes of generateFlow's classDefs
+  static get nodeStyles() {
+    return {
+      highlight: { fill: '#FFD700', stroke: '#B8860B', width: 4 },
+      added: { fill: '#90EE90', stroke: '#228B22', width: 3 },
+      failed: { fill: '#FECACA', stroke: '#DC2626', width: 3, dash: '4 2' },
+      master: { fill: '#CFE8FF', stroke: '#2B6CB0', width: 2 },
+      chunkserver: { fill: '#D1FAE5', stroke: '#059669', width: 2 },
+      client: { fill: '#E5E7EB', stroke: '#4B5563', width: 2 }
+    };
   }
 
-  validateSpec(spec) {
-    const errors = [];
+  static get transitionMs() {
+    return 400;
+  }
 
-    // Schema validation if available
-    if (this.validate && !this.validate(spec)) {
-      throw new ValidationError('Schema', this.ajv.errors.map(e => e.message));
-    }
+  static prefersReducedMotion() {
+    return typeof window !== 'undefined' && typeof window.matchMedia === 'function' &&
+      window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+  }
 
-    // Semantic validation
-    for (const rule of this.semanticRules) {
-      const result = rule.call(this, spec);
-      if (!result.valid) {
-        errors.push(...result.errors);
-      }
+  static escape(text) {
+    return String(text ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  // Nothing to load: the SVG is built here
+  async initialize() {
+    this.initialized = true;
+  }
+
+  async render(spec, containerId = this.containerId) {
+    if (!this.initialized) {
+      await this.initialize();
     }
 
-    if (errors.length > 0) {
-      throw new ValidationError('Semantic', errors);
+    const container = document.getElementById(containerId);
+    if (!container) {
+      console.error(`Container ${containerId} not found`);
+      return null;
     }
 
-    return true;
-  }
+    try {
+      // Redrawing the same diagram (another overlay, scene or step) keeps
+      // the nodes where they were and animates the difference
+      const previous = this.shown.get(containerId);
+      const shown = container.querySelector('svg.svg-diagram');
+      const anchor = previous?.spec.id === spec.id && shown ? previous : null;
+
+      const layout = this.layout(spec, anchor?.layout);
+      const svg = this.generateSvg(spec, containerId, layout);
+      container.innerHTML = svg;
+      this.shown.set(containerId, { spec, layout });
 
-  validateMasterNotOnDataPath(spec) {
-    const masters = new Set(
-      (spec.nodes || []).filter(n => n.type === 'master').map(n => n.id)
-    );
+      if (anchor && !SvgRenderer.prefersReducedMotion()) {
+        this.transition(container, shown, anchor, { spec, layout });
+      }
+      this.postProcess(container, spec);
+      return svg;
+    } catch (error) {
+      console.error('Failed to render diagram:', error);
+      container.innerHTML = `<div class="error">Failed to render diagram: ${SvgRenderer.escape(error.message)}</div>`;
+      return null;
+    }
+  }
 
-    const violations = (spec.edges || []).filter(e =>
-      e.kind === 'data' && (masters.has(e.from) || masters.has(e.to))
-    );
+  findElements(container, id) {
+    const value = String(id).replace(/["\\]/g, '\\$&');
+    return container.querySelectorAll(`svg [data-node-id="${value}"], svg [data-edge-id="${value}"]`);
+  }
 
-    return {
-      valid: violations.length === 0,
-      rule: 'MasterNotOnDataPath',
-      errors: violations.map(e => `Data edge ${e.id} touches master`)
-    };
+  getComposer() {
+    const Composer = typeof SceneComposer !== 'undefined' ? SceneComposer : require('./composer');
+    return new Composer();
   }
 
-  validatePrimarySecondaryConsistency(spec) {
-    // Check that if there's a primary, there are secondaries
-    const nodes = spec.nodes || [];
-    const primaryCount = nodes.filter(n => n.label && n.label.includes('Primary')).length;
-    const secondaryCount = nodes.filter(n => n.label && n.label.includes('Secondary')).length;
+  // Animate from the picture that was shown (old, drawn from before) to the
+  // one now in the container. The composer's diff says what was added and
+  // removed: added nodes and edges fade in, removed ones fade out where
+  // they were, kept ones that moved glide there and changed labels
+  // cross-fade.
+  transition(container, old, before, after) {
+    const svg = container.querySelector('svg.svg-diagram');
+    if (!svg || typeof svg.animate !== 'function') return;
 
-    if (primaryCount > 0 && secondaryCount === 0) {
-      return {
-        valid: false,
-        rule: 'PrimarySecondaryConsistency',
-        errors: ['Primary exists without secondaries']
-      };
-    }
+    const duration = SvgRenderer.transitionMs;
+    const easing = 'ease-in-out';
+    const diff = this.getComposer().calculateDiff(before.spec, after.spec);
+    const find = (root, attribute, id) => Array.from(root.querySelectorAll(`[${attribute}]`)).find(el => el.getAttribute(attribute) === id);
+    const fade = (el, from, to) => el.animate([{ opacity: from }, { opacity: to }], { duration, easing, fill: to === 0 ? 'forwards' : 'none' });
 
-    return { valid: true, errors: [] };
-  }
+    diff.add.nodes.forEach(node => {
+      [find(svg, 'data-node-id', node.id), find(svg, 'data-lifeline', node.id)].filter(Boolean).forEach(el => fade(el, 0, 1));
+    });
+    diff.add.edges.forEach(edge => {
+      const el = find(svg, 'data-edge-id', edge.id);
+      if (el) fade(el, 0, 1);
+    });
 
-  validateVersionMonotonicity(spec) {
-    // Check version numbers are consistent
-    const versionedNodes = (spec.nodes || []).filter(n => n.metadata && n.metadata.version);
-    const errors = [];
+    // Copies of what was removed, on top, without the ids lookups use
+    const leaving = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+    leaving.setAttribute('class', 'svg-leaving');
+    leaving.style.pointerEvents = 'none';
+    [
+      ...diff.remove.edgeIds.map(id => find(old, 'data-edge-id', id)),
+      ...diff.remove.nodeIds.flatMap(id => [find(old, 'data-lifeline', id), find(old, 'data-node-id', id)])
+    ].filter(Boolean).forEach(el => {
+      const copy = el.cloneNode(true);
+      ['data-node-id', 'data-edge-id', 'data-lifeline'].forEach(attribute => copy.removeAttribute(attribute));
+      leaving.appendChild(copy);
+    });
+    if (leaving.childNodes.length > 0) {
+      svg.appendChild(leaving);
+      fade(leaving, 1, 0).onfinish = () => leaving.remove();
+    }
+
+    const glide = (el, [dx, dy], [x, y] = [0, 0]) => el.animate([
+      { transform: `translate(${x + dx}px, ${y + dy}px)` },
+      { transform: `translate(${x}px, ${y}px)` }
+    ], { duration, easing });
+    const beforeNodes = new Map(before.layout.nodes.map(box => [box.id, box]));
+    const beforeEdges = new Map(before.layout.edges.map(route => [route.id, route]));
+
+    after.layout.nodes.filter(box => beforeNodes.has(box.id)).forEach(box => {
+      const was = beforeNodes.get(box.id);
+      const el = find(svg, 'data-node-id', box.id);
+      if (el && (was.x !== box.x || was.y !== box.y)) glide(el, [was.x - box.x, was.y - box.y], [box.x, box.y]);
+    });
 
-    // Just ensure versions are positive
-    versionedNodes.forEach(node => {
-      if (node.metadata.version < 0) {
-        errors.push(`Node ${node.id} has negative version ${node.metadata.version}`);
+    // Edges that only shifted glide; reshaped ones fade in anew
+    after.layout.edges.filter(route => beforeEdges.has(route.id)).forEach(route => {
+      const was = beforeEdges.get(route.id).points;
+      const el = find(svg, 'data-edge-id', route.id);
+      if (!el) return;
+      const [dx, dy] = [was[0][0] - route.points[0][0], was[0][1] - route.points[0][1]];
+      const shifted = was.length === route.points.length && was.every(([x, y], i) => x - route.points[i][0] === dx && y - route.points[i][1] === dy);
+      if (!shifted) {
+        fade(el, 0, 1);
+      } else if (dx !== 0 || dy !== 0) {
+        glide(el, [dx, dy]);
       }
     });
 
-    return {
-      valid: errors.length === 0,
-      rule: 'VersionMonotonicity',
-      errors
-    };
+    // Labels of kept elements that read differently now (modified, or
+    // renumbered) cross-fade from the old text, left where it was
+    [...svg.querySelectorAll('[data-node-id], [data-edge-id]')].forEach(el => {
+      const attribute = el.hasAttribute('data-node-id') ? 'data-node-id' : 'data-edge-id';
+      const was = find(old, attribute, el.getAttribute(attribute));
+      const text = el.querySelector('text');
+      const oldText = was?.querySelector('text');
+      if (!text || !oldText || text.textContent === oldText.textContent) return;
+
+      const copy = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+      if (was.hasAttribute('transform')) copy.setAttribute('transform', was.getAttribute('transform'));
+      copy.style.pointerEvents = 'none';
+      copy.appendChild(oldText.cloneNode(true));
+      svg.appendChild(copy);
+      fade(copy, 1, 0).onfinish = () => copy.remove();
+      fade(text, 0, 1);
+    });
   }
 
-  validateReplicationFactor(spec) {
-    // This is more of a warning than an error for educational purposes
-    const chunkservers = (spec.nodes || []).filter(n => n.type === 'chunkserver');
+  findEdgeLine(container, edge) {
+    const group = Array.from(this.findElements(container, edge.id)).find(el => el.getAttribute('data-edge-id') === edge.id);
+    return group?.querySelector('path') || null;
+  }
 
-    if (chunkservers.length > 0 && chunkservers.length < 3) {
-      return {
-        valid: true, // Warning only
-        rule: 'ReplicationFactor',
-        errors: []
-      };
-    }
+  // { type, width, height, nodes, edges, phases }: nodes are boxes
+  // { id, node, x, y, width, height }, edges { id, edge, points, label }
+  // with points from the start to the end of the line. Given the layout of
+  // the picture shown before, nodes it had keep their boxes.
+  layout(spec, anchor = null) {
+    return spec.layout?.type === 'sequence' ? this.layoutSequence(spec, anchor) : this.layoutLayered(spec, anchor);
+  }
 
-    return { valid: true, errors: [] };
+  // Labels break at newlines, written either way
+  lines(label) {
+    return String(label ?? '').split(/\n|\\n/);
   }
 
-  validateOverlayReferences(spec) {
-    const nodeIds = new Set((spec.nodes || []).map(n => n.id));
-    const edgeIds = new Set((spec.edges || []).map(e => e.id));
-    const errors = [];
+  nodeWidth(label) {
+    const { minNodeWidth, charWidth } = SvgRenderer.geometry;
+    const longest = Math.max(...this.lines(label).map(line => line.length));
+    return Math.max(minNodeWidth, Math.ceil(longest * charWidth) + 32);
+  }
 
-    for (const overlay of spec.overlays || []) {
-      // Check removals reference existing elements
-      overlay.diff?.remove?.nodeIds?.forEach(id => {
-        if (!nodeIds.has(id)) {
-          errors.push(`Overlay ${overlay.id} removes non-existent node ${id}`);
-        }
-      });
+  nodeHeight(label) {
+    const { nodeHeight, lineHeight } = SvgRenderer.geometry;
+    return Math.max(nodeHeight, this.lines(label).length * lineHeight + 20);
+  }
 
-      overlay.diff?.remove?.edgeIds?.forEach(id => {
-        if (!edgeIds.has(id)) {
-          errors.push(`Overlay ${overlay.id} removes non-existent edge ${id}`);
-        }
-      });
+  // Boxes of nodes the anchor layout had stay as they were; new boxes join
+  // the right end of the row they would share with kept ones
+  pin(boxes, anchor, gap = SvgRenderer.geometry.nodeGap) {
+    if (!anchor) return boxes;
 
-      // Check highlights reference existing elements
-      overlay.diff?.highlight?.nodeIds?.forEach(id => {
-        if (!nodeIds.has(id)) {
-          errors.push(`Overlay ${overlay.id} highlights non-existent node ${id}`);
-        }
+    const previous = new Map(anchor.nodes.map(box => [box.id, box]));
+    const placed = boxes
+      .filter(box => previous.has(box.id))
+      .map(box => {
+        const { x, y, width, height } = previous.get(box.id);
+        return { ...box, x, y, width, height };
       });
 
-      overlay.diff?.highlight?.edgeIds?.forEach(id => {
-        if (!edgeIds.has(id)) {
-          errors.push(`Overlay ${overlay.id} highlights non-existent edge ${id}`);
-        }
+    boxes.filter(box => !previous.has(box.id)).forEach(box => {
+      const level = placed.filter(other => other.y < box.y + box.height && box.y < other.y + other.height);
+      placed.push(level.length === 0 ? box : { ...box, x: Math.max(...level.map(other => other.x + other.width)) + gap });
+    });
+
+    return boxes.map(box => placed.find(other => other.id === box.id));
+  }
+
+  // Size of the picture: everything drawn plus the margin
+  bounds(boxes, edges, bottom = 0) {
+    const { margin } = SvgRenderer.geometry;
+    const xs = [...boxes.map(b => b.x + b.width), ...edges.flatMap(e => e.points.map(([x]) => x))];
+    const ys = [...boxes.map(b => b.y + b.height), ...edges.flatMap(e => e.points.map(([, y]) => y)), bottom];
+    return { width: Math.max(0, ...xs) + margin, height: Math.max(0, ...ys) + margin };
+  }
+
+  layoutLayered(spec, anchor = null) {
+    const { margin, rankGap, nodeGap, parallelGap } = SvgRenderer.geometry;
+    const nodes = spec.nodes || [];
+    const byId = new Map(nodes.map(n => [n.id, n]));
+    const edges = (spec.edges || []).filter(e => byId.has(e.from) && byId.has(e.to));
+
+    const ranks = this.rankNodes(nodes, edges);
+    const layers = this.orderLayers(nodes, edges, ranks);
+
+    const widths = new Map(nodes.map(n => [n.id, this.nodeWidth(n.label)]));
+    const heights = new Map(nodes.map(n => [n.id, this.nodeHeight(n.label)]));
+    const layerWidth = layer => layer.reduce((sum, id) => sum + widths.get(id), 0) + nodeGap * (layer.length - 1);
+    const width = Math.max(0, ...layers.map(layerWidth));
+
+    const fresh = [];
+    let y = margin;
+    layers.forEach(layer => {
+      const rowHeight = Math.max(...layer.map(id => heights.get(id)));
+      let x = margin + (width - layerWidth(layer)) / 2;
+      layer.forEach(id => {
+        fresh.push({ id, node: byId.get(id), x, y: y + (rowHeight - heights.get(id)) / 2, width: widths.get(id), height: heights.get(id) });
+        x += widths.get(id) + nodeGap;
       });
+      y += rowHeight + rankGap;
+    });
+    const placed = this.pin(fresh, anchor);
+    const boxes = new Map(placed.map(box => [box.id, box]));
+
+    // Edges between the same two nodes are drawn side by side
+    const pairKey = edge => [edge.from, edge.to].sort().join('\u0000');
+    const pairs = new Map();
+    edges.forEach(edge => pairs.set(pairKey(edge), [...(pairs.get(pairKey(edge)) || []), edge]));
+
+    const routed = edges.map(edge => {
+      const from = boxes.get(edge.from);
+      const to = boxes.get(edge.to);
+      const pair = pairs.get(pairKey(edge));
+      const offset = (pair.indexOf(edge) - (pair.length - 1) / 2) * parallelGap;
+      const points = this.route(from, to, offset, this.detour(from, to, placed));
+      return { id: edge.id, edge, points, label: this.midpoint(points) };
+    });
 
-      // Check modifications reference existing elements
-      overlay.diff?.modify?.nodes?.forEach(node => {
-        if (!nodeIds.has(node.id)) {
-          errors.push(`Overlay ${overlay.id} modifies non-existent node ${node.id}`);
-        }
+    return {
+      type: spec.layout?.type || 'flow',
+      ...this.bounds(placed, routed),
+      nodes: placed,
+      edges: routed,
+      phases: []
+    };
+  }
+
+  // Rank of each node: the longest path to it from a source, once the edges
+  // that close a cycle (found depth first, in spec order) are left out
+  rankNodes(nodes, edges) {
+    const outgoing = new Map(nodes.map(n => [n.id, []]));
+    edges.filter(e => e.from !== e.to).forEach(e => outgoing.get(e.from).push(e));
+
+    const visiting = new Set();
+    const visited = new Set();
+    const incoming = new Map(nodes.map(n => [n.id, []]));
+    const visit = id => {
+      visiting.add(id);
+      outgoing.get(id).forEach(edge => {
+        if (visiting.has(edge.to)) return;
+        incoming.get(edge.to).push(edge.from);
+        if (!visited.has(edge.to)) visit(edge.to);
       });
+      visiting.delete(id);
+      visited.add(id);
+    };
+    nodes.forEach(n => {
+      if (!visited.has(n.id)) visit(n.id);
+    });
 
-      overlay.diff?.modify?.edges?.forEach(edge => {
-        if (!edgeIds.has(edge.id)) {
-          errors.push(`Overlay ${overlay.id} modifies non-existent edge ${edge.id}`);
-        }
+    const ranks = new Map();
+    const rankOf = id => {
+      if (!ranks.has(id)) {
+        ranks.set(id, Math.max(0, ...incoming.get(id).map(from => rankOf(from) + 1)));
+      }
+      return ranks.get(id);
+    };
+    nodes.forEach(n => rankOf(n.id));
+    return ranks;
+  }
+
+  // Node ids by rank, each rank ordered by the mean position of its
+  // neighbours in the rank above, then below, a few times over; ties keep
+  // the order they had, which starts as spec order
+  orderLayers(nodes, edges, ranks) {
+    const layers = [];
+    nodes.forEach(n => {
+      const rank = ranks.get(n.id);
+      layers[rank] = [...(layers[rank] || []), n.id];
+    });
+
+    const neighbours = new Map(nodes.map(n => [n.id, []]));
+    edges.filter(e => e.from !== e.to).forEach(e => {
+      neighbours.get(e.from).push(e.to);
+      neighbours.get(e.to).push(e.from);
+    });
+
+    const reorder = (layer, reference) => {
+      const position = new Map(reference.map((id, i) => [id, i]));
+      return layer
+        .map((id, i) => {
+          const placed = neighbours.get(id).filter(other => position.has(other)).map(other => position.get(other));
+          return { id, i, key: placed.length > 0 ? placed.reduce((a, b) => a + b, 0) / placed.length : i };
+        })
+        .sort((a, b) => a.key - b.key || a.i - b.i)
+        .map(entry => entry.id);
+    };
+
+    for (let sweep = 0; sweep < 4; sweep++) {
+      for (let rank = 1; rank < layers.length; rank++) layers[rank] = reorder(layers[rank], layers[rank - 1]);
+      for (let rank = layers.length - 2; rank >= 0; rank--) layers[rank] = reorder(layers[rank], layers[rank + 1]);
+    }
+    return layers;
+  }
+
+  // The x at which an edge passes the boxes between its ends, when a
+  // straight line would cross one; null when nothing is in the way
+  detour(from, to, boxes) {
+    const [upper, lower] = from.y < to.y ? [from, to] : [to, from];
+    const left = Math.min(from.x + from.width / 2, to.x + to.width / 2);
+    const right = Math.max(from.x + from.width / 2, to.x + to.width / 2);
+    const between = boxes.filter(box => box.y >= upper.y + upper.height && box.y + box.height <= lower.y);
+    if (!between.some(box => box.x < right && box.x + box.width > left)) return null;
+
+    const { nodeGap } = SvgRenderer.geometry;
+    const outerLeft = Math.min(...between.map(box => box.x)) - nodeGap / 2;
+    const outerRight = Math.max(...between.map(box => box.x + box.width)) + nodeGap / 2;
+    const middle = (left + right) / 2;
+    return middle - outerLeft <= outerRight - middle ? outerLeft : outerRight;
+  }
+
+  // Points of an edge between two boxes, passing skipped boxes at detour
+  route(from, to, offset, detour = null) {
+    const centre = box => [box.x + box.width / 2, box.y + box.height / 2];
+
+    if (from === to) {
+      const [, y] = centre(from);
+      const right = from.x + from.width;
+      return [[right, y - 10], [right + 30, y - 10], [right + 30, y + 10], [right, y + 10]];
+    }
+
+    // Side by side when the boxes share a row
+    if (from.y < to.y + to.height && to.y < from.y + from.height) {
+      const [fromX, fromY] = centre(from);
+      const [toX] = centre(to);
+      const side = toX > fromX ? 1 : -1;
+      return [
+        [fromX + side * from.width / 2, fromY + offset],
+        [toX - side * to.width / 2, fromY + offset]
+      ];
+    }
+
+    const down = to.y > from.y;
+    const start = [from.x + from.width / 2 + offset, down ? from.y + from.height : from.y];
+    const end = [to.x + to.width / 2 + offset, down ? to.y : to.y + to.height];
+    if (detour === null) return [start, end];
+
+    const turn = (down ? 1 : -1) * SvgRenderer.geometry.rankGap / 2;
+    return [start, [detour + offset, start[1] + turn], [detour + offset, end[1] - turn], end];
+  }
+
+  // Where an edge's label goes; beside loops and detours it reads inwards
+  midpoint(points) {
+    if (points.length > 2) {
+      const inwards = points[1][0] < points[0][0];
+      return { x: points[1][0] + (inwards ? 6 : -6), y: (points[1][1] + points[2][1]) / 2, anchor: inwards ? 'start' : 'end' };
+    }
+    const [[x1, y1], [x2, y2]] = points;
+    return { x: (x1 + x2) / 2, y: (y1 + y2) / 2, anchor: 'middle' };
+  }
+
+  // Participants in generateSequence's order, each with a lifeline; messages
+  // one row each, in phase order like the Mermaid diagram. Participants new
+  // since the anchor layout join on the right.
+  layoutSequence(spec, anchor = null) {
+    const { margin, columnGap, rowGap, phaseGap } = SvgRenderer.geometry;
+    const participants = this.sortParticipants(spec.nodes || []);
+    const labels = new Map(participants.map(n => [n.id, `${this.getNodeIcon(n)}${n.label}`]));
+    const columnWidth = Math.max(0, ...participants.map(n => this.nodeWidth(labels.get(n.id))));
+    const headerHeight = Math.max(0, ...participants.map(n => this.nodeHeight(labels.get(n.id))));
+
+    const placed = this.pin(participants.map((node, i) => ({
+      id: node.id,
+      node,
+      x: margin + i * (columnWidth + columnGap),
+      y: margin,
+      width: columnWidth,
+      height: headerHeight
+    })), anchor, columnGap);
+    const boxes = new Map(placed.map(box => [box.id, box]));
+    const lineX = id => boxes.get(id).x + boxes.get(id).width / 2;
+
+    const edges = [];
+    const phases = [];
+    let y = Math.max(margin, ...placed.map(box => box.y + box.height));
+    for (const [name, members] of this.groupEdgesByPhase(spec.edges || [])) {
+      const drawn = members.filter(e => boxes.has(e.from) && boxes.has(e.to));
+      if (drawn.length === 0) continue;
+
+      const top = y + rowGap / 2;
+      if (name !== 'default') y += phaseGap;
+      drawn.forEach(edge => {
+        y += rowGap;
+        const points = edge.from === edge.to
+          ? [[lineX(edge.from), y - 10], [lineX(edge.from) + 30, y - 10], [lineX(edge.from) + 30, y + 10], [lineX(edge.from), y + 10]]
+          : [[lineX(edge.from), y], [lineX(edge.to), y]];
+        edges.push({ id: edge.id, edge, points, label: { x: (points[0][0] + points[1][0]) / 2, y: y - 8, anchor: 'middle' } });
       });
+      if (name !== 'default') phases.push({ name, y: top, height: y + rowGap / 2 - top });
     }
 
     return {
-      valid: errors.length === 0,
-      rule: 'OverlayReferences',
-      errors
+      type: 'sequence',
+      ...this.bounds(placed, edges, y + rowGap),
+      nodes: placed,
+      edges,
+      phases,
+      labels
     };
   }
-}
-
-// Export for module systems, or make global
-if (typeof module !== 'undefined' && module.exports) {
-  module.exports = { DiagramValidator, ValidationError };
-} else {
-  window.DiagramValidator = DiagramValidator;
-  window.ValidationError = ValidationError;
-}
 
-// === src/learning/drills.js ===
-// Progress tracking adapter - uses unified LearningProgress system
-class ProgressTracker {
-  constructor(learningProgress = null) {
-    // Will be set by DrillSystem after it gets reference to viewer.learningProgress
-    this.learningProgress = learningProgress;
-    this.completedDrills = new Set();
-    this.migrateOldProgress();
+  nodeStyle(node) {
+    const styles = SvgRenderer.nodeStyles;
+    const state = node.failure ? 'failed' : node._highlighted ? 'highlight' : node._added ? 'added' : null;
+    const { primaryColor, primaryBorderColor } = this.config.themeVariables;
+    return { state, ...(styles[state] || styles[node.type] || { fill: primaryColor, stroke: primaryBorderColor, width: 1.5 }) };
   }
 
-  setLearningProgress(learningProgress) {
-    this.learningProgress = learningProgress;
+  // Line styles follow getFlowArrow: data is thick, cache and heartbeat
+  // dotted; highlighted and added edges use their classDef colours
+  edgeStyle(edge) {
+    const state = edge._highlighted ? 'highlight' : edge._added ? 'added' : null;
+    const base = {
+      stroke: this.config.themeVariables.lineColor,
+      width: edge.kind === 'data' ? 3 : 1.5,
+      dash: edge.kind === 'cache' ? '3 3' : edge.kind === 'heartbeat' ? '6 4' : null
+    };
+    if (state === 'highlight') return { ...base, state, stroke: '#FFD700', width: 4 };
+    if (state === 'added') return { ...base, state, stroke: '#228B22', width: 3, dash: '5 5' };
+    return { ...base, state: null };
+  }
+
+  shape(type, width, height, style) {
+    const paint = `fill="${style.fill}" stroke="${style.stroke}" stroke-width="${style.width}"${style.dash ? ` stroke-dasharray="${style.dash}"` : ''}`;
+    const inset = height / 4;
+    const lip = 6;
+
+    switch (SvgRenderer.shapes[type]) {
+      case 'hexagon':
+        return `<polygon points="${inset},0 ${width - inset},0 ${width},${height / 2} ${width - inset},${height} ${inset},${height} 0,${height / 2}" ${paint}/>`;
+      case 'cylinder':
+        return `<path d="M0,${lip} A${width / 2},${lip} 0 0 1 ${width},${lip} V${height - lip} A${width / 2},${lip} 0 0 1 0,${height - lip} Z M0,${lip} A${width / 2},${lip} 0 0 0 ${width},${lip}" ${paint}/>`;
+      case 'pill':
+        return `<rect width="${width}" height="${height}" rx="${height / 2}" ${paint}/>`;
+      case 'rounded':
+        return `<rect width="${width}" height="${height}" rx="10" ${paint}/>`;
+      default:
+        return `<rect width="${width}" height="${height}" rx="4" ${paint}/>`;
+    }
   }
 
-  migrateOldProgress() {
-    // Migrate from old storage format to new unified system
-    const oldKey = 'gfs-learning-progress';
-    try {
-      const oldData = localStorage.getItem(oldKey);
-      if (oldData) {
-        const oldProgress = JSON.parse(oldData);
-        // Store for later migration when learningProgress is available
-        this.pendingMigration = oldProgress;
-        localStorage.removeItem(oldKey);
-        console.log('Found old progress data, will migrate to new system');
-      }
-    } catch (error) {
-      console.error('Failed to read old progress:', error);
+  path(points) {
+    if (points.length !== 2) {
+      return `M${points.map(([x, y]) => `${x},${y}`).join(' L')}`;
     }
-  }
 
-  isDrillComplete(diagramId, drillId) {
-    const key = `${diagramId}-${drillId}`;
-    return this.completedDrills.has(key);
+    const [[x1, y1], [x2, y2]] = points;
+    if (y1 === y2) return `M${x1},${y1} L${x2},${y2}`;
+    const bend = (y1 + y2) / 2;
+    return `M${x1},${y1} C${x1},${bend} ${x2},${bend} ${x2},${y2}`;
   }
 
-  markDrillComplete(diagramId, drillId) {
-    const key = `${diagramId}-${drillId}`;
-    if (!this.completedDrills.has(key)) {
-      this.completedDrills.add(key);
+  // The SVG markup for a spec; prefix keeps marker ids apart when several
+  // diagrams share a page
+  generateSvg(spec, prefix = 'diagram', layout = this.layout(spec)) {
+    const esc = SvgRenderer.escape;
+    const id = String(prefix).replace(/[^\w-]/g, '-');
+    const sequence = layout.type === 'sequence';
+    const numbered = sequence && spec.layout?.numbered !== false;
+    const { lineColor, primaryTextColor } = this.config.themeVariables;
+    const markerColours = { arrow: lineColor, highlight: '#FFD700', added: '#228B22' };
 
-      // Update unified progress if available
-      if (this.learningProgress) {
-        const stats = this.learningProgress.getDiagramStats(diagramId);
-        const completed = this.completedDrills.size;
-        const total = stats.totalDrills || 10;
-        this.learningProgress.updateDrillProgress(diagramId, completed, total);
-      }
-    }
-  }
+    const markers = Object.entries(markerColours).map(([name, colour]) =>
+      `<marker id="${id}-${name}" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="8" markerHeight="8" orient="auto-start-reverse">` +
+      `<path d="M0,0 L10,5 L0,10 z" fill="${colour}"/></marker>`);
 
-  getDiagramProgress(diagramId) {
-    const prefix = `${diagramId}-`;
-    const completed = Array.from(this.completedDrills).filter(key =>
-      key.startsWith(prefix)
-    ).length;
+    const phases = layout.phases.map(phase =>
+      `<g class="phase"><rect x="${SvgRenderer.geometry.margin / 2}" y="${phase.y}" width="${layout.width - SvgRenderer.geometry.margin}" height="${phase.height}" fill="rgba(${this.getPhaseColor(phase.name)})"/>` +
+      `<text x="${SvgRenderer.geometry.margin}" y="${phase.y + 16}" font-size="12" font-weight="600" fill="${primaryTextColor}">${esc(phase.name)}</text></g>`);
 
-    return { completed };
+    const lifelines = sequence
+      ? layout.nodes.map(box => {
+        const x = box.x + box.width / 2;
+        return `<line class="lifeline" data-lifeline="${esc(box.id)}" x1="${x}" y1="${box.y + box.height}" x2="${x}" y2="${layout.height - SvgRenderer.geometry.margin}" stroke="${lineColor}" stroke-dasharray="4 4"/>`;
+      })
+      : [];
+
+    const edges = layout.edges.map(({ edge, points, label }, i) => {
+      const style = this.edgeStyle(edge);
+      const marker = `url(#${id}-${style.state || 'arrow'})`;
+      const text = sequence ? this.formatEdgeLabel(edge) : edge.label || '';
+      const shown = numbered ? `${i + 1}. ${text}` : text;
+      return `<g class="edge edge-${esc(edge.kind || 'control')}${style.state ? ` edge-${style.state}` : ''}" data-edge-id="${esc(edge.id)}" data-from="${esc(edge.from)}" data-to="${esc(edge.to)}">` +
+        `<path d="${this.path(points)}" fill="none" stroke="${style.stroke}" stroke-width="${style.width}"${style.dash ? ` stroke-dasharray="${style.dash}"` : ''} marker-end="${marker}"${edge.kind === 'bidirectional' ? ` marker-start="${marker}"` : ''}/>` +
+        (shown ? `<text x="${label.x}" y="${label.y}" text-anchor="${label.anchor}" font-size="12" fill="${primaryTextColor}" stroke="#FFFFFF" stroke-width="3" paint-order="stroke">${esc(shown)}</text>` : '') +
+        '</g>';
+    });
+
+    const nodes = layout.nodes.map(box => {
+      const style = this.nodeStyle(box.node);
+      const label = this.lines(layout.labels?.get(box.id) ?? box.node.label);
+      const { lineHeight } = SvgRenderer.geometry;
+      return `<g class="node node-${esc(box.node.type || 'note')}${style.state ? ` node-${style.state}` : ''}" data-node-id="${esc(box.id)}" transform="translate(${box.x},${box.y})">` +
+        this.shape(box.node.type, box.width, box.height, style) +
+        `<text text-anchor="middle" dominant-baseline="central" font-size="14" fill="${primaryTextColor}">` +
+        label.map((line, i) => `<tspan x="${box.width / 2}" y="${box.height / 2 + (i - (label.length - 1) / 2) * lineHeight}">${esc(line)}</tspan>`).join('') +
+        '</text>' +
+        '</g>';
+    });
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" class="svg-diagram" data-layout="${esc(layout.type)}" viewBox="0 0 ${layout.width} ${layout.height}" width="${layout.width}" height="${layout.height}" style="max-width: 100%;">` +
+      `<defs>${markers.join('')}</defs>` +
+      phases.join('') +
+      lifelines.join('') +
+      `<g class="edges">${edges.join('')}</g>` +
+      `<g class="nodes">${nodes.join('')}</g>` +
+      '</svg>';
   }
+}
 
-  resetProgress(diagramId = null) {
-    if (diagramId) {
-      const prefix = `${diagramId}-`;
-      Array.from(this.completedDrills).forEach(key => {
-        if (key.startsWith(prefix)) {
-          this.completedDrills.delete(key);
-        }
-      });
-    } else {
-      this.completedDrills.clear();
-    }
+// Export for module systems, or make global
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SvgRenderer;
+} else {
+  window.SvgRenderer = SvgRenderer;
+}
 
-    // Reset in unified system too
-    if (this.learningProgress && diagramId) {
-      this.learningProgress.updateDrillProgress(diagramId, 0, 10);
-    }
+// === src/core/validator.js ===
+class ValidationError extends Error {
+  constructor(rule, errors, findings = []) {
+    super(`Validation failed for ${rule}: ${errors.join(', ')}`);
+    this.rule = rule;
+    this.errors = errors;
+    this.findings = findings;
   }
 }
 
-class DrillSystem {
+class DiagramValidator {
   constructor() {
-    this.progress = new ProgressTracker();
-    this.currentDrill = null;
-    this.currentDiagramId = null;
-    this.stateManager = null;
-    this.stateDrills = new Map(); // Maps state IDs to relevant drills
+    this.ajv = null;
+    this.schema = null;
+    this.validate = null;
+    this.findings = [];
+
+    // Semantic rules live in src/rules, shared with scripts/validate-all.js
+    const Registry = typeof RuleRegistry !== 'undefined' ? RuleRegistry : require('./rules');
+    this.rules = new Registry();
   }
 
-  // Set reference to state manager for state-aware drills
-  setStateManager(stateManager) {
-    this.stateManager = stateManager;
+  // Rules in src/rules/failure-rules.js; they only find something once
+  // failures have been injected into a composed scene
+  get failureRules() {
+    const Rules = typeof FailureRules !== 'undefined' ? FailureRules : require('../rules/failure-rules');
+    return Rules.map(rule => rule.id);
+  }
 
-    // Listen for state changes to highlight relevant drills
-    if (this.stateManager) {
-      document.addEventListener('stateChange', (e) => {
-        this.onStateChange(e.detail);
-      });
+  // Drills are a union discriminated by type; metrics and prose take
+  // several JSON types
+  static get schemaOptions() {
+    return { allErrors: true, discriminator: true, allowUnionTypes: true };
+  }
+
+  async initialize() {
+    try {
+      // In the browser Ajv comes from the CDN bundle as window.ajv7
+      const AjvClass = typeof Ajv !== 'undefined' ? Ajv : window.ajv7;
+      if (!AjvClass) {
+        console.warn('Ajv not loaded. Schema validation will be skipped.');
+        return;
+      }
+
+      this.useSchema(AjvClass, await fetch('data/schema.json').then(r => r.json()));
+    } catch (error) {
+      console.error('Failed to initialize validator:', error);
     }
   }
 
-  // Handle state changes - highlight drills relevant to current state
-  onStateChange(stateDetail) {
-    const currentState = stateDetail.state;
-    if (!currentState) return;
+  // Compile data/schema.json; scripts/validate-all.js passes Ajv from npm
+  useSchema(AjvClass, schema) {
+    const Constructor = AjvClass.default || AjvClass;
+    this.ajv = new Constructor(DiagramValidator.schemaOptions);
+    this.schema = schema;
+    this.validate = this.ajv.compile(schema);
+    return this;
+  }
 
-    // Update drill visibility based on state
-    const drillElements = document.querySelectorAll('.drill');
-    drillElements.forEach(element => {
-      const drillId = element.dataset.drillId;
-      const stateId = element.dataset.stateId;
+  // Ajv's message with the detail it keeps in params
+  describeSchemaError(error) {
+    const params = error.params || {};
+    if (params.allowedValues) return `${error.message}: ${params.allowedValues.join(', ')}`;
+    if (params.allowedValue !== undefined) return `${error.message}: ${JSON.stringify(params.allowedValue)}`;
+    if (params.additionalProperty) return `${error.message}: ${params.additionalProperty}`;
+    if (params.tagValue !== undefined) return `${error.message}, got ${JSON.stringify(params.tagValue)}`;
+    return error.message;
+  }
 
-      // Highlight drills associated with current state
-      if (stateId && stateId === currentState.id) {
-        element.classList.add('state-relevant');
-      } else {
-        element.classList.remove('state-relevant');
-      }
-    });
+  // Schema violations as findings; none when no schema is loaded
+  checkSchema(spec) {
+    if (!this.validate || this.validate(spec)) return [];
+
+    const SourceMap = typeof JsonSourceMap !== 'undefined' ? JsonSourceMap : require('./json-source');
+    return this.validate.errors.map(e => ({
+      rule: 'Schema',
+      severity: 'error',
+      message: this.describeSchemaError(e),
+      // A bad discriminator value is reported on its object; point at the tag
+      pointer: SourceMap.fromAjvError(e) + (e.params?.tagValue !== undefined ? SourceMap.pointer(e.params.tag) : '')
+    }));
   }
 
-  renderDrills(spec, containerId = 'drills-container') {
-    const container = document.getElementById(containerId);
-    if (!container) {
-      console.warn('Drills container not found');
-      return;
+  // Course-wide rule settings from the manifest's `rules` section
+  configureRules(config = {}) {
+    this.rules.configure(config);
+  }
+
+  validateSpec(spec) {
+    // Schema validation if available
+    this.findings = this.checkSchema(spec);
+    if (this.findings.length > 0) {
+      throw new ValidationError('Schema', this.findings.map(f => `${f.pointer || '/'} ${f.message}`), this.findings);
     }
 
-    this.currentDiagramId = spec.id;
-    container.innerHTML = '';
+    // Semantic validation; warnings and info are kept in this.findings
+    this.findings = this.rules.run(spec);
+    const errors = this.findings.filter(f => f.severity === 'error');
 
-    const drills = spec.drills || [];
-    if (drills.length === 0) {
-      container.innerHTML = '<div class="no-drills">No drills available for this diagram</div>';
-      return;
+    if (errors.length > 0) {
+      throw new ValidationError('Semantic', errors.map(f => `${f.rule}: ${f.message}`), errors);
     }
 
-    // Add progress header
-    const progressHeader = this.createProgressHeader(spec.id, drills.length);
-    container.appendChild(progressHeader);
+    return true;
+  }
 
-    // Group drills by type
-    const drillsByType = this.groupDrillsByType(drills);
+  // Node or edge a finding's pointer falls inside, e.g. "/edges/3/kind"
+  findElement(spec, pointer = '') {
+    const match = /^\/(nodes|edges)\/(\d+)(?:\/|$)/.exec(pointer);
+    const element = match && spec[match[1]]?.[Number(match[2])];
+    return element?.id ? { type: match[1] === 'nodes' ? 'node' : 'edge', id: element.id } : null;
+  }
 
-    for (const [type, typeDrills] of Object.entries(drillsByType)) {
-      const section = this.createDrillSection(type, typeDrills, spec.id);
-      container.appendChild(section);
+  // One rule's findings for a spec, in the shape failure rules use
+  checkRule(id, spec) {
+    const rule = this.rules.get(id);
+    if (!rule) {
+      throw new Error(`Unknown rule: ${id}`);
     }
+
+    const findings = this.rules.runRule(rule, spec);
+    return {
+      valid: !findings.some(f => f.severity === 'error'),
+      rule: id,
+      errors: findings.map(f => f.message)
+    };
   }
 
-  createProgressHeader(diagramId, totalDrills) {
-    const progress = this.progress.getDiagramProgress(diagramId);
-    const percentage = totalDrills > 0 ? Math.round((progress.completed / totalDrills) * 100) : 0;
+  // Invariants at risk in a scene with injected failures: those about a node
+  // or edge a failure rule points at (named in their refs, or looked at by
+  // their predicate), and those whose predicate fails in the failed scene.
+  // Invariants with neither refs nor a predicate fall back to the keywords
+  // each failure rule lists under `affects`.
+  findContractsAtRisk(spec) {
+    const rules = this.failureRules.map(id => this.rules.get(id)).filter(Boolean);
+    const affects = new Map(rules.map(rule => [rule.id, rule.affects || []]));
+    const findings = rules.flatMap(rule => this.rules.runRule(rule, spec));
+
+    const failing = [];
+    findings.forEach(finding => {
+      const result = failing.find(r => r.rule === finding.rule);
+      if (result) {
+        result.errors.push(finding.message);
+      } else {
+        failing.push({ rule: finding.rule, errors: [finding.message] });
+      }
+    });
 
-    const header = document.createElement('div');
-    header.className = 'drills-progress';
-    header.innerHTML = `
-      <div class="progress-bar">
-        <div class="progress-fill" style="width: ${percentage}%"></div>
-      </div>
-      <div class="progress-text">${progress.completed} of ${totalDrills} completed (${percentage}%)</div>
-      <button class="reset-btn" onclick="window.viewer.drillSystem.resetDiagramProgress()">Reset Progress</button>
-    `;
+    const Checker = typeof ContractChecker !== 'undefined' ? ContractChecker : require('./contracts');
+    const atRisk = [];
 
-    return header;
+    new Checker().check(spec).filter(result => result.section === 'invariants').forEach(result => {
+      const about = { node: result.nodeIds, edge: result.edgeIds };
+      const text = result.text.toLowerCase();
+      const matched = findings.filter(finding => {
+        if (about.node.length === 0 && about.edge.length === 0) {
+          return affects.get(finding.rule).some(keyword => text.includes(keyword));
+        }
+        const element = this.findElement(spec, finding.pointer);
+        return element && about[element.type].includes(element.id);
+      });
+      const broken = result.status === 'fail' ? [result] : [];
+
+      if (matched.length > 0 || broken.length > 0) {
+        atRisk.push({
+          index: result.index,
+          invariant: result.text,
+          rules: [...new Set(matched.map(f => f.rule)), ...broken.map(() => 'ContractPredicates')],
+          reasons: [...matched.map(f => f.message), ...broken.map(r => r.message)]
+        });
+      }
+    });
+
+    return { failing, atRisk };
   }
+}
 
-  groupDrillsByType(drills) {
-    const grouped = {};
-    for (const drill of drills) {
-      const type = drill.type || 'recall';
-      if (!grouped[type]) {
-        grouped[type] = [];
-      }
-      grouped[type].push(drill);
-    }
-    return grouped;
+// Export for module systems, or make global
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { DiagramValidator, ValidationError };
+} else {
+  window.DiagramValidator = DiagramValidator;
+  window.ValidationError = ValidationError;
+}
+
+// === src/core/state-manager.js ===
+/**
+ * Unified State Manager
+ * Combines scenes, overlays and simulation replays into a single state system
+ */
+class StateManager {
+  constructor() {
+    this.states = [];
+    this.layers = new Map();
+    this.currentStateIndex = 0;
+    this.customLayers = new Set();
+    this.isPlaying = false;
+    this.playSpeed = 2000;
+    this.playInterval = null;
   }
 
-  createDrillSection(type, drills, diagramId) {
-    const section = document.createElement('section');
-    section.className = `drill-section drill-${type}`;
+  /**
+   * Initialize from spec data
+   * Older spec versions are migrated first, so legacy steps arrive as scenes
+   */
+  initialize(source) {
+    const Migrator = typeof SpecMigrator !== 'undefined' ? SpecMigrator : require('./migrations');
+    const spec = new Migrator().migrate(source).spec;
+    this.states = [];
+    this.layers.clear();
+
+    // Convert overlays to layers
+    if (spec.overlays) {
+      spec.overlays.forEach(overlay => {
+        this.layers.set(overlay.id, {
+          id: overlay.id,
+          name: overlay.caption || overlay.id,
+          diff: overlay.diff || {},
+          type: 'modifier'
+        });
+      });
+    }
 
-    const header = document.createElement('h3');
-    header.textContent = this.getDrillTypeLabel(type);
-    header.innerHTML += ` <span class="drill-count">(${drills.length})</span>`;
-    section.appendChild(header);
+    // Replay steps from a simulation become sequential states
+    if (spec._simulation?.replay?.length > 0) {
+      const totalSteps = spec._simulation.replay.length;
+      spec._simulation.replay.forEach((step, index) => {
+        this.states.push({
+          id: step.id,
+          type: 'sequential',
+          position: totalSteps > 1 ? (index / (totalSteps - 1)) * 100 : 50,
+          layers: new Set(step.overlays || []),
+          caption: step.caption,
+          narrative: step.narrative || '',
+          index: index,
+          replay: step
+        });
+      });
+    }
+    // Otherwise scenes become sequential states
+    else if (spec.scenes && spec.scenes.length > 0) {
+      // First, add an initial state with no overlays
+      this.states.push({
+        id: 'initial',
+        type: 'sequential',
+        position: 0,
+        layers: new Set(),
+        caption: 'Initial State',
+        narrative: spec.narrative || '',
+        index: 0
+      });
 
-    const description = document.createElement('p');
-    description.className = 'drill-type-description';
-    description.textContent = this.getDrillTypeDescription(type);
-    section.appendChild(description);
+      // Then convert scenes to sequential states
+      const totalScenes = spec.scenes.length;
+      spec.scenes.forEach((scene, index) => {
+        const position = ((index + 1) / (totalScenes + 1)) * 100;
+
+        this.states.push({
+          id: scene.id || `scene-${index}`,
+          type: 'sequential',
+          position: position,
+          layers: new Set(scene.overlays || []),
+          caption: scene.name || `Scene ${index + 1}`,
+          narrative: scene.narrative || '',
+          index: index + 1,
+          isScene: true
+        });
+      });
+    }
+    // Without scenes, each overlay becomes a state
+    else if (spec.overlays && spec.overlays.length > 0) {
+      // Initial state with no overlays
+      this.states.push({
+        id: 'initial',
+        type: 'sequential',
+        position: 0,
+        layers: new Set(),
+        caption: 'Base Diagram',
+        narrative: spec.narrative || '',
+        index: 0
+      });
 
-    drills.forEach((drill, index) => {
-      const drillEl = this.createDrillElement(drill, diagramId, index);
-      section.appendChild(drillEl);
-    });
+      // Create a state for each overlay
+      spec.overlays.forEach((overlay, index) => {
+        const position = ((index + 1) / (spec.overlays.length + 1)) * 100;
+
+        this.states.push({
+          id: `overlay-${overlay.id}`,
+          type: 'sequential',
+          position: position,
+          layers: new Set([overlay.id]),
+          caption: overlay.caption || overlay.id,
+          narrative: '',
+          index: index + 1
+        });
+      });
+    }
 
-    return section;
+    // Sort states by position
+    this.states.sort((a, b) => a.position - b.position);
+
+    // Set initial state
+    this.currentStateIndex = 0;
+    if (this.states.length > 0) {
+      this.applyState(this.states[0]);
+    }
   }
 
-  getDrillTypeLabel(type) {
-    const labels = {
-      'recall': '🧠 Recall',
-      'apply': '⚡ Apply',
-      'analyze': '🔍 Analyze',
-      'create': '🛠️ Create'
-    };
-    return labels[type] || type;
+  /**
+   * Find appropriate timeline position for a scene
+   */
+  findScenePosition(scene) {
+    // Try to intelligently place scenes based on their overlays
+    // This is a heuristic - scenes with more overlays come later
+    const overlayCount = (scene.overlays || []).length;
+    const maxOverlays = 3; // Assume max 3 overlays
+    return Math.min(25 + (overlayCount * 25), 90);
   }
 
-  getDrillTypeDescription(type) {
-    const descriptions = {
-      'recall': 'Test your memory of key concepts',
-      'apply': 'Apply concepts to new scenarios',
-      'analyze': 'Compare and contrast different approaches',
-      'create': 'Design new solutions using learned principles'
-    };
-    return descriptions[type] || '';
+  /**
+   * Get current state
+   */
+  getCurrentState() {
+    return this.states[this.currentStateIndex];
   }
 
-  createDrillElement(drill, diagramId, index) {
-    const completed = this.progress.isDrillComplete(diagramId, drill.id);
+  /**
+   * Apply a state (activate its layers and update UI)
+   */
+  applyState(state) {
+    if (!state) return;
 
-    const element = document.createElement('details');
-    element.className = `drill ${completed ? 'completed' : ''}`;
-    element.dataset.drillId = drill.id;
+    // Clear custom layers if moving to a defined state
+    if (state.type !== 'custom') {
+      this.customLayers.clear();
+    }
 
-    const summary = document.createElement('summary');
-    summary.innerHTML = `
-      <span class="drill-indicator">${completed ? '✓' : '○'}</span>
-      <span class="drill-prompt">${drill.prompt}</span>
-      <span class="drill-type-badge">${drill.type}</span>
-    `;
-    element.appendChild(summary);
+    // Apply state layers
+    this.customLayers = new Set(state.layers);
 
-    const content = document.createElement('div');
-    content.className = 'drill-content';
-    content.innerHTML = this.renderDrillInterface(drill);
-    element.appendChild(content);
+    // Emit state change event
+    this.emitStateChange(state);
+  }
 
-    // Add event listener for opening
-    element.addEventListener('toggle', () => {
-      if (element.open) {
-        this.currentDrill = drill;
+  /**
+   * Navigate to next state
+   */
+  next() {
+    if (this.currentStateIndex < this.states.length - 1) {
+      this.currentStateIndex++;
+      this.applyState(this.states[this.currentStateIndex]);
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Navigate to previous state
+   */
+  previous() {
+    if (this.currentStateIndex > 0) {
+      this.currentStateIndex--;
+      this.applyState(this.states[this.currentStateIndex]);
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Jump to specific state by ID
+   */
+  jumpToState(stateId) {
+    const index = this.states.findIndex(s => s.id === stateId);
+    if (index !== -1) {
+      this.currentStateIndex = index;
+      this.applyState(this.states[index]);
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Jump to position on timeline (0-100)
+   */
+  jumpToPosition(position) {
+    // Find closest state to this position
+    let closestIndex = 0;
+    let closestDistance = Math.abs(this.states[0].position - position);
+
+    this.states.forEach((state, index) => {
+      const distance = Math.abs(state.position - position);
+      if (distance < closestDistance) {
+        closestDistance = distance;
+        closestIndex = index;
       }
     });
 
-    return element;
+    this.currentStateIndex = closestIndex;
+    this.applyState(this.states[closestIndex]);
   }
 
-  renderDrillInterface(drill) {
-    switch (drill.type) {
-      case 'recall':
-        return this.renderRecallDrill(drill);
-      case 'apply':
-        return this.renderApplyDrill(drill);
-      case 'analyze':
-        return this.renderAnalyzeDrill(drill);
-      case 'create':
-        return this.renderCreateDrill(drill);
-      default:
-        return this.renderRecallDrill(drill);
+  /**
+   * Toggle a layer on current state
+   */
+  toggleLayer(layerId) {
+    if (this.customLayers.has(layerId)) {
+      this.customLayers.delete(layerId);
+    } else {
+      this.customLayers.add(layerId);
     }
+
+    // Create custom state
+    const customState = {
+      id: 'custom',
+      type: 'custom',
+      position: this.getCurrentState().position,
+      layers: new Set(this.customLayers),
+      caption: 'Custom View',
+      narrative: ''
+    };
+
+    this.emitStateChange(customState);
   }
 
-  renderRecallDrill(drill) {
-    return `
-      <div class="drill-recall">
-        <div class="drill-question">
-          ${drill.prompt}
-        </div>
-        <textarea
-          id="answer-${drill.id}"
-          placeholder="Enter your answer here..."
-          rows="3"
-          class="drill-answer"
-        ></textarea>
-        <div class="drill-actions">
-          <button onclick="window.viewer.drillSystem.checkRecall('${drill.id}')">
-            Check Answer
-          </button>
-          <button onclick="window.viewer.drillSystem.revealAnswer('${drill.id}')" class="secondary">
-            Show Answer
-          </button>
-        </div>
-        <div id="feedback-${drill.id}" class="drill-feedback" style="display:none">
-          <div class="correct-answer">
-            <strong>Answer:</strong> ${drill.answer || 'No answer provided'}
-          </div>
-        </div>
-      </div>
-    `;
+  /**
+   * Get all named states (for quick jump menu)
+   */
+  getNamedStates() {
+    return this.states.filter(s => s.type === 'named' || s.isScene);
   }
 
-  renderApplyDrill(drill) {
-    return `
-      <div class="drill-apply">
-        ${drill.scenario ? `
-          <div class="scenario">
-            <strong>Scenario:</strong> ${drill.scenario}
-          </div>
-        ` : ''}
-        <textarea
-          id="solution-${drill.id}"
-          placeholder="Apply the concept to solve this problem..."
-          rows="5"
-          class="drill-solution"
-        ></textarea>
-        <div class="drill-actions">
-          <button onclick="window.viewer.drillSystem.checkApply('${drill.id}')">
-            Check Approach
-          </button>
-          <button onclick="window.viewer.drillSystem.revealRubric('${drill.id}')" class="secondary">
-            Show Rubric
-          </button>
-        </div>
-        <div id="rubric-${drill.id}" class="drill-rubric" style="display:none">
-          <h4>Key Points to Consider:</h4>
-          <ul>
-            ${(drill.rubric || []).map(point =>
-              `<li>
-                <input type="checkbox" id="rubric-${drill.id}-${point.substring(0, 10)}">
-                <label for="rubric-${drill.id}-${point.substring(0, 10)}">${point}</label>
-              </li>`
-            ).join('')}
-          </ul>
-        </div>
-      </div>
-    `;
+  /**
+   * Get active layers
+   */
+  getActiveLayers() {
+    return Array.from(this.customLayers);
   }
 
-  renderAnalyzeDrill(drill) {
-    return `
-      <div class="drill-analyze">
-        ${drill.scenario ? `
-          <div class="scenario">
-            <strong>Scenario:</strong> ${drill.scenario}
-          </div>
-        ` : ''}
-        ${drill.thoughtProcess && drill.thoughtProcess.length > 0 ? `
-          <div class="thought-process">
-            <strong>💭 Thought Process:</strong>
-            <ol class="thought-steps">
-              ${drill.thoughtProcess.map(step => `<li>${step}</li>`).join('')}
-            </ol>
-          </div>
-        ` : ''}
-        ${drill.insight ? `
-          <div class="drill-insight">
-            <strong>💡 Key Insight:</strong> ${drill.insight}
-          </div>
-        ` : ''}
-      </div>
-    `;
+  /**
+   * Start auto-play through states
+   */
+  play() {
+    if (this.isPlaying) return;
+
+    this.isPlaying = true;
+    this.playInterval = setInterval(() => {
+      if (!this.next()) {
+        this.pause();
+      }
+    }, this.playSpeed);
+
+    this.emitPlayStateChange(true);
   }
 
-  renderCreateDrill(drill) {
-    return `
-      <div class="drill-create">
-        <div class="create-prompt">
-          ${drill.prompt}
-        </div>
-        <textarea
-          id="design-${drill.id}"
-          placeholder="Design your solution here..."
-          rows="8"
-          class="drill-design"
-        ></textarea>
-        <div class="drill-actions">
-          <button onclick="window.viewer.drillSystem.evaluateDesign('${drill.id}')">
-            Self-Evaluate
-          </button>
-          <button onclick="window.viewer.drillSystem.showDesignCriteria('${drill.id}')" class="secondary">
-            Show Design Criteria
-          </button>
-        </div>
-        <div id="criteria-${drill.id}" class="drill-criteria" style="display:none">
-          <h4>Design Criteria:</h4>
-          <ul>
-            ${(drill.rubric || []).map(criterion =>
-              `<li>
-                <input type="checkbox" id="criteria-${drill.id}-${criterion.substring(0, 10)}">
-                <label for="criteria-${drill.id}-${criterion.substring(0, 10)}">${criterion}</label>
-              </li>`
-            ).join('')}
-          </ul>
-          <button onclick="window.viewer.drillSystem.markComplete('${drill.id}')" class="primary">
-            Mark as Complete
-          </button>
-        </div>
-      </div>
-    `;
+  /**
+   * Pause auto-play
+   */
+  pause() {
+    this.isPlaying = false;
+    if (this.playInterval) {
+      clearInterval(this.playInterval);
+      this.playInterval = null;
+    }
+    this.emitPlayStateChange(false);
   }
 
-  // Drill interaction methods
-  checkRecall(drillId) {
-    const answer = document.getElementById(`answer-${drillId}`).value;
-    const feedback = document.getElementById(`feedback-${drillId}`);
+  /**
+   * Toggle play/pause
+   */
+  togglePlay() {
+    if (this.isPlaying) {
+      this.pause();
+    } else {
+      this.play();
+    }
+  }
 
-    if (!answer.trim()) {
-      alert('Please enter an answer');
-      return;
+  /**
+   * Set playback speed
+   */
+  setSpeed(ms) {
+    this.playSpeed = ms;
+    if (this.isPlaying) {
+      this.pause();
+      this.play();
     }
+  }
 
-    feedback.style.display = 'block';
-    this.progress.markDrillComplete(this.currentDiagramId, drillId);
-    this.updateDrillStatus(drillId);
+  /**
+   * Emit state change event
+   */
+  emitStateChange(state) {
+    document.dispatchEvent(new CustomEvent('stateChange', {
+      detail: {
+        state: state,
+        index: this.currentStateIndex,
+        total: this.states.length,
+        layers: Array.from(state.layers || this.customLayers),
+        position: state.position
+      }
+    }));
   }
 
-  revealAnswer(drillId) {
-    const feedback = document.getElementById(`feedback-${drillId}`);
-    feedback.style.display = 'block';
+  /**
+   * Emit play state change
+   */
+  emitPlayStateChange(isPlaying) {
+    document.dispatchEvent(new CustomEvent('playStateChange', {
+      detail: { isPlaying }
+    }));
   }
 
-  checkApply(drillId) {
-    const solution = document.getElementById(`solution-${drillId}`).value;
+  /**
+   * Get progress percentage
+   */
+  getProgress() {
+    if (this.states.length === 0) return 0;
+    return (this.currentStateIndex / (this.states.length - 1)) * 100;
+  }
+}
 
-    if (!solution.trim()) {
-      alert('Please enter your solution');
-      return;
-    }
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = StateManager;
+} else {
+  window.StateManager = StateManager;
+}
 
-    this.revealRubric(drillId);
-    this.progress.markDrillComplete(this.currentDiagramId, drillId);
-    this.updateDrillStatus(drillId);
+// === src/core/formula.js ===
+class FormulaEvaluator {
+  constructor() {
+    this.cache = new Map();
   }
 
-  revealRubric(drillId) {
-    const rubric = document.getElementById(`rubric-${drillId}`);
-    rubric.style.display = 'block';
+  static get functions() {
+    return {
+      exp: Math.exp,
+      ln: Math.log,
+      log: Math.log10,
+      log10: Math.log10,
+      log2: Math.log2,
+      sqrt: Math.sqrt,
+      abs: Math.abs,
+      floor: Math.floor,
+      ceil: Math.ceil,
+      round: Math.round,
+      min: Math.min,
+      max: Math.max,
+      pow: Math.pow
+    };
   }
 
-  // Analysis drills are now read-only - no interaction needed
+  static get constants() {
+    return { pi: Math.PI, e: Math.E };
+  }
 
-  evaluateDesign(drillId) {
-    const design = document.getElementById(`design-${drillId}`).value;
+  // Numbers, names (including Greek letters), operators and parentheses
+  tokenize(source) {
+    const tokens = [];
+    const pattern = /\s*(?:(\d+\.?\d*(?:e[+-]?\d+)?|\.\d+(?:e[+-]?\d+)?)|([\p{L}_][\p{L}\p{N}_]*)|(\*\*|[-+*/^!(),×·]))/uy;
+    let index = 0;
 
-    if (!design.trim()) {
+    while (index < source.length) {
+      pattern.lastIndex = index;
+      const match = pattern.exec(source);
+      if (!match) {
+        const rest = source.slice(index);
+        if (rest.trim() === '') break;
+        const at = index + rest.length - rest.trimStart().length;
+        throw new Error(`Unexpected character "${source[at]}" at ${at} in "${source}"`);
+      }
+
+      const [text, number, name, operator] = match;
+      const at = index + text.length - text.trimStart().length;
+      if (number !== undefined) tokens.push({ type: 'number', value: parseFloat(number), at });
+      else if (name !== undefined) tokens.push({ type: 'name', value: name, at });
+      else tokens.push({ type: 'op', value: { '**': '^', '×': '*', '·': '*' }[operator] || operator, at });
+      index = pattern.lastIndex;
+    }
+
+    return tokens;
+  }
+
+  // Recursive descent: + - below * / below unary minus below ^ (right-assoc) below postfix !
+  parse(source) {
+    if (this.cache.has(source)) return this.cache.get(source);
+
+    const tokens = this.tokenize(String(source));
+    let position = 0;
+    const peek = () => tokens[position];
+    const accept = value => {
+      if (peek()?.type === 'op' && peek().value === value) {
+        position++;
+        return true;
+      }
+      return false;
+    };
+    const fail = message => {
+      throw new Error(`${message} at ${peek()?.at ?? source.length} in "${source}"`);
+    };
+
+    const expression = () => {
+      let node = term();
+      while (peek()?.type === 'op' && '+-'.includes(peek().value)) {
+        const op = tokens[position++].value;
+        node = { type: 'binary', op, left: node, right: term() };
+      }
+      return node;
+    };
+
+    const term = () => {
+      let node = unary();
+      while (peek()?.type === 'op' && '*/'.includes(peek().value)) {
+        const op = tokens[position++].value;
+        node = { type: 'binary', op, left: node, right: unary() };
+      }
+      return node;
+    };
+
+    const unary = () => {
+      if (accept('-')) return { type: 'negate', operand: unary() };
+      if (accept('+')) return unary();
+      return power();
+    };
+
+    const power = () => {
+      const base = postfix();
+      return accept('^') ? { type: 'binary', op: '^', left: base, right: unary() } : base;
+    };
+
+    const postfix = () => {
+      let node = primary();
+      while (accept('!')) {
+        node = { type: 'factorial', operand: node };
+      }
+      return node;
+    };
+
+    const primary = () => {
+      const token = peek();
+      if (!token) fail('Unexpected end of formula');
+
+      if (token.type === 'number') {
+        position++;
+        return { type: 'number', value: token.value };
+      }
+
+      if (token.type === 'name') {
+        position++;
+        if (!accept('(')) return { type: 'name', name: token.value };
+
+        const args = [];
+        if (!accept(')')) {
+          do {
+            args.push(expression());
+          } while (accept(','));
+          if (!accept(')')) fail('Expected ")"');
+        }
+        return { type: 'call', name: token.value, args };
+      }
+
+      if (accept('(')) {
+        const node = expression();
+        if (!accept(')')) fail('Expected ")"');
+        return node;
+      }
+
+      return fail(`Unexpected "${token.value}"`);
+    };
+
+    const tree = expression();
+    if (position < tokens.length) fail(`Unexpected "${peek().value}"`);
+
+    this.cache.set(source, tree);
+    return tree;
+  }
+
+  // Names a formula reads that are not functions or constants
+  getVariables(source) {
+    const names = new Set();
+    const visit = node => {
+      if (node.type === 'name' && !(node.name in FormulaEvaluator.constants)) names.add(node.name);
+      [node.left, node.right, node.operand, ...(node.args || [])].filter(Boolean).forEach(visit);
+    };
+    visit(this.parse(source));
+    return Array.from(names);
+  }
+
+  evaluate(source, scope = {}) {
+    return this.evaluateTree(this.parse(source), scope, source);
+  }
+
+  evaluateTree(tree, scope = {}, source = '') {
+    const run = node => {
+      switch (node.type) {
+        case 'number':
+          return node.value;
+        case 'name':
+          if (Object.prototype.hasOwnProperty.call(scope, node.name)) return Number(scope[node.name]);
+          if (node.name in FormulaEvaluator.constants) return FormulaEvaluator.constants[node.name];
+          throw new Error(`Unknown variable "${node.name}" in "${source}"`);
+        case 'negate':
+          return -run(node.operand);
+        case 'factorial':
+          return this.factorial(run(node.operand), source);
+        case 'call': {
+          const fn = FormulaEvaluator.functions[node.name];
+          if (!fn) throw new Error(`Unknown function "${node.name}" in "${source}"`);
+          return fn(...node.args.map(run));
+        }
+        case 'binary': {
+          const left = run(node.left);
+          const right = run(node.right);
+          switch (node.op) {
+            case '+': return left + right;
+            case '-': return left - right;
+            case '*': return left * right;
+            case '/': return left / right;
+            case '^': return Math.pow(left, right);
+          }
+        }
+      }
+      throw new Error(`Cannot evaluate "${source}"`);
+    };
+
+    return run(tree);
+  }
+
+  factorial(n, source) {
+    if (!Number.isInteger(n) || n < 0 || n > 170) {
+      throw new Error(`Factorial needs a whole number from 0 to 170, got ${n} in "${source}"`);
+    }
+    let result = 1;
+    for (let i = 2; i <= n; i++) result *= i;
+    return result;
+  }
+}
+
+// Export for module systems, or make global
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = FormulaEvaluator;
+} else {
+  window.FormulaEvaluator = FormulaEvaluator;
+}
+
+// === src/core/units.js ===
+// Physical units for diagram metrics. Quantities are stored in base units
+// (bytes and seconds); a dimension is the pair of exponents { B, s }.
+class Units {
+  static get dimensions() {
+    return {
+      count: { B: 0, s: 0 },
+      size: { B: 1, s: 0 },
+      time: { B: 0, s: 1 },
+      rate: { B: 1, s: -1 },
+      frequency: { B: 0, s: -1 }
+    };
+  }
+
+  // Unit -> [factor to base units, dimension]. Data sizes are binary, as in
+  // the GFS paper; link speeds in bits per second are decimal.
+  static get table() {
+    const KB = 1024;
+    return {
+      '': [1, 'count'], x: [1, 'count'],
+      B: [1, 'size'], bytes: [1, 'size'], byte: [1, 'size'],
+      KB: [KB, 'size'], MB: [KB ** 2, 'size'], GB: [KB ** 3, 'size'], TB: [KB ** 4, 'size'], PB: [KB ** 5, 'size'],
+      KiB: [KB, 'size'], MiB: [KB ** 2, 'size'], GiB: [KB ** 3, 'size'], TiB: [KB ** 4, 'size'], PiB: [KB ** 5, 'size'],
+      ns: [1e-9, 'time'], us: [1e-6, 'time'], 'µs': [1e-6, 'time'], ms: [1e-3, 'time'],
+      s: [1, 'time'], sec: [1, 'time'], min: [60, 'time'], h: [3600, 'time'], d: [86400, 'time'],
+      milliseconds: [1e-3, 'time'], millisecond: [1e-3, 'time'], seconds: [1, 'time'], second: [1, 'time'],
+      secs: [1, 'time'], minutes: [60, 'time'], minute: [60, 'time'], mins: [60, 'time'],
+      hours: [3600, 'time'], hour: [3600, 'time'], hr: [3600, 'time'], days: [86400, 'time'], day: [86400, 'time'],
+      bps: [1 / 8, 'rate'], Kbps: [1e3 / 8, 'rate'], Mbps: [1e6 / 8, 'rate'], Gbps: [1e9 / 8, 'rate'],
+      Hz: [1, 'frequency']
+    };
+  }
+
+  // Units picked when formatting, smallest first
+  static get scales() {
+    return {
+      size: ['B', 'KB', 'MB', 'GB', 'TB', 'PB'],
+      time: ['ns', 'µs', 'ms', 's', 'min', 'h', 'd'],
+      rate: ['B/s', 'KB/s', 'MB/s', 'GB/s', 'TB/s'],
+      frequency: ['/h', '/min', '/s'],
+      count: ['']
+    };
+  }
+
+  // Units offered as conversions in tooltips
+  static get conversions() {
+    return {
+      size: ['B', 'KB', 'MB', 'GB', 'TB'],
+      time: ['µs', 'ms', 's', 'min', 'h'],
+      rate: ['KB/s', 'MB/s', 'GB/s', 'Mbps', 'Gbps'],
+      frequency: ['/s', '/min', '/h', '/d'],
+      count: []
+    };
+  }
+
+  // "MB", "MB/s", "/s", "req/s", "bytes/chunk" -> { factor, dimension }; unknown units throw
+  static parse(unit = '') {
+    const text = String(unit).trim();
+    const table = Units.table;
+    if (Object.prototype.hasOwnProperty.call(table, text)) {
+      const [factor, name] = table[text];
+      return { factor, dimension: { ...Units.dimensions[name] } };
+    }
+
+    const slash = text.indexOf('/');
+    if (slash !== -1) {
+      // A word on either side that is not a unit ("req/s", "bytes/chunk") counts events
+      const isUnit = part => Object.prototype.hasOwnProperty.call(table, part) || part.includes('/');
+      const side = part => Units.parse(isUnit(part) || !/^[A-Za-z]{2,}$/.test(part) ? part : '');
+      const numerator = side(text.slice(0, slash).trim());
+      const denominator = side(text.slice(slash + 1).trim());
+      return {
+        factor: numerator.factor / denominator.factor,
+        dimension: Units.divide(numerator.dimension, denominator.dimension)
+      };
+    }
+
+    const similar = Object.keys(table).find(known => known && known.toLowerCase() === text.toLowerCase());
+    throw new Error(`Unknown unit "${text}"${similar ? ` (did you mean ${similar}?)` : ''}`);
+  }
+
+  // Quantity at the start of a metric string: "64MB each", "~1ms", "2-5ms",
+  // "< 1s", "100 Mbps", "every 30s". Returns null when the text has no number,
+  // and throws when a unit written straight after the number is unknown.
+  // Values are in base units; "every" turns a period into a frequency.
+  static parseQuantity(text) {
+    const pattern = /^\s*(every|~|≈|about|<=|>=|<|>|≤|≥|up to)?\s*(\d[\d,]*(?:\.\d+)?)(?:\s*[-–]\s*(\d[\d,]*(?:\.\d+)?))?(\s*)([A-Za-zµ/]*)/i;
+    const match = pattern.exec(String(text));
+    if (!match) return null;
+
+    const [, qualifier, low, high, space, token] = match;
+    const number = digits => parseFloat(digits.replace(/,/g, ''));
+    let unit = token;
+    let parsed;
+    try {
+      parsed = Units.parse(token);
+    } catch (e) {
+      // "100 clients" is a plain count; "100 mbps" is a typo
+      if (space === '' || /[/µ]/.test(token) || !/^[A-Za-z]{3,}$/.test(token)) throw e;
+      unit = '';
+      parsed = Units.parse('');
+    }
+
+    let min = number(low) * parsed.factor;
+    let max = high !== undefined ? number(high) * parsed.factor : min;
+    let dimension = parsed.dimension;
+    const kind = qualifier?.toLowerCase();
+
+    if (kind === 'every') {
+      if (!Units.equal(dimension, Units.dimensions.time)) {
+        throw new Error(`"every" needs a time, got ${Units.describe(dimension)} in "${text}"`);
+      }
+      [min, max] = [1 / max, 1 / min];
+      dimension = Units.dimensions.frequency;
+    }
+
+    return {
+      value: max,
+      min,
+      max,
+      unit,
+      dimension,
+      qualifier: kind === 'every' ? null : kind || null,
+      text: String(text).trim()
+    };
+  }
+
+  // The same base-unit value in its dimension's usual units, for tooltips;
+  // units that would need a tiny or huge number are left out
+  static convert(value, dimension, except = null) {
+    const name = Object.entries(Units.dimensions).find(([, d]) => Units.equal(d, dimension))?.[0];
+    if (!name) return [];
+
+    return Units.conversions[name]
+      .filter(unit => unit !== except)
+      .map(unit => ({ unit, amount: Units.fromBase(value, unit) }))
+      .filter(({ amount }) => Math.abs(amount) >= 0.01 && Math.abs(amount) < 1e5)
+      .map(({ unit }) => Units.format(value, dimension, unit));
+  }
+
+  static toBase(value, unit) {
+    return value * Units.parse(unit).factor;
+  }
+
+  static fromBase(value, unit) {
+    return value / Units.parse(unit).factor;
+  }
+
+  static multiply(a, b) {
+    return { B: a.B + b.B, s: a.s + b.s };
+  }
+
+  static divide(a, b) {
+    return { B: a.B - b.B, s: a.s - b.s };
+  }
+
+  static power(a, n) {
+    return { B: a.B * n, s: a.s * n };
+  }
+
+  static equal(a, b) {
+    return Math.abs(a.B - b.B) < 1e-9 && Math.abs(a.s - b.s) < 1e-9;
+  }
+
+  // Name of a known dimension, or a readable exponent form such as "B²/s"
+  static describe(dimension) {
+    const known = Object.entries(Units.dimensions).find(([, d]) => Units.equal(d, dimension));
+    if (known) return known[0];
+
+    const part = (symbol, exponent) => exponent === 0 ? '' : exponent === 1 ? symbol : `${symbol}^${exponent}`;
+    const top = [part('B', Math.max(0, dimension.B)), part('s', Math.max(0, dimension.s))].filter(Boolean).join('·') || '1';
+    const bottom = [part('B', Math.max(0, -dimension.B)), part('s', Math.max(0, -dimension.s))].filter(Boolean).join('·');
+    return bottom ? `${top}/${bottom}` : top;
+  }
+
+  static formatNumber(value) {
+    if (value !== 0 && (Math.abs(value) >= 1e6 || Math.abs(value) < 1e-3)) return value.toExponential(2);
+    return Math.abs(value) >= 100 ? Math.round(value).toLocaleString() : String(Number(value.toPrecision(3)));
+  }
+
+  // Format a base-unit value in the given unit, or the largest unit that keeps it at 1 or more
+  static format(value, dimension, unit = null) {
+    const name = Object.entries(Units.dimensions).find(([, d]) => Units.equal(d, dimension))?.[0];
+    if (unit === null && !name) return Units.formatNumber(value);
+
+    const candidates = unit !== null ? [unit] : Units.scales[name];
+    const chosen = unit !== null
+      ? unit
+      : [...candidates].reverse().find(u => Math.abs(value) >= Units.parse(u).factor) || candidates[0];
+    const text = Units.formatNumber(Units.fromBase(value, chosen));
+
+    if (!chosen) return text;
+    return chosen.startsWith('/') ? `${text}${chosen}` : `${text} ${chosen}`;
+  }
+}
+
+// Export for module systems, or make global
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Units;
+} else {
+  window.Units = Units;
+}
+
+// === src/core/metrics.js ===
+// Spec-level parameters and edge metrics computed from them. A metric is
+// either free text ("64MB", "~1ms", "every 30s") or { expr, unit?, template? },
+// where expr is a formula over the parameters and unit picks the display unit.
+class MetricsModel {
+  constructor(spec = {}) {
+    this.parameters = spec.parameters || {};
+    this.values = this.getDefaults();
+    this.evaluator = null;
+  }
+
+  // What each metric measures
+  static get metricTypes() {
+    return {
+      size: 'size',
+      latency: 'time',
+      throughput: 'rate',
+      frequency: 'frequency',
+      payload: 'size'
+    };
+  }
+
+  static isExpression(metric) {
+    return metric !== null && typeof metric === 'object' && typeof metric.expr === 'string';
+  }
+
+  getUnits() {
+    return typeof Units !== 'undefined' ? Units : require('./units');
+  }
+
+  getEvaluator() {
+    if (!this.evaluator) {
+      const Evaluator = typeof FormulaEvaluator !== 'undefined' ? FormulaEvaluator : require('./formula');
+      this.evaluator = new Evaluator();
+    }
+    return this.evaluator;
+  }
+
+  getDefaults() {
+    return Object.fromEntries(Object.entries(this.parameters).map(([id, p]) => [id, p.value]));
+  }
+
+  setValue(id, value) {
+    if (!(id in this.parameters)) {
+      throw new Error(`Unknown parameter: ${id}`);
+    }
+    this.values[id] = value;
+  }
+
+  // Parameter values in base units, with their dimensions
+  getScope(values = this.values) {
+    const units = this.getUnits();
+    const scope = {};
+    const dimensions = {};
+
+    Object.entries(this.parameters).forEach(([id, parameter]) => {
+      const unit = units.parse(parameter.unit || '');
+      scope[id] = (values[id] ?? parameter.value) * unit.factor;
+      dimensions[id] = unit.dimension;
+    });
+
+    return { scope, dimensions };
+  }
+
+  // Walk the formula tree and work out the dimension of its result, rejecting
+  // sums of unlike quantities and non-dimensionless exponents
+  inferDimension(expression, dimensions, scope = {}) {
+    const units = this.getUnits();
+    const evaluator = this.getEvaluator();
+    const none = units.dimensions.count;
+    const requireCount = (dimension, what) => {
+      if (!units.equal(dimension, none)) {
+        throw new Error(`${what} needs a plain number, got ${units.describe(dimension)} in "${expression}"`);
+      }
+      return dimension;
+    };
+
+    const infer = node => {
+      switch (node.type) {
+        case 'number':
+          return none;
+        case 'name':
+          if (dimensions[node.name]) return dimensions[node.name];
+          if (node.name in evaluator.constructor.constants) return none;
+          throw new Error(`Unknown parameter "${node.name}" in "${expression}"`);
+        case 'negate':
+          return infer(node.operand);
+        case 'factorial':
+          return requireCount(infer(node.operand), 'Factorial');
+        case 'call': {
+          const args = node.args.map(infer);
+          if (['exp', 'ln', 'log', 'log10', 'log2'].includes(node.name)) return requireCount(args[0], node.name);
+          if (node.name === 'sqrt') return units.power(args[0], 0.5);
+          if (node.name === 'pow') {
+            requireCount(args[1], 'Exponent');
+            return units.power(args[0], evaluator.evaluateTree(node.args[1], scope, expression));
+          }
+          if (['min', 'max'].includes(node.name) && args.some(a => !units.equal(a, args[0]))) {
+            throw new Error(`${node.name} mixes ${args.map(a => units.describe(a)).join(' and ')} in "${expression}"`);
+          }
+          return args[0] || none;
+        }
+        case 'binary': {
+          const left = infer(node.left);
+          const right = infer(node.right);
+          switch (node.op) {
+            case '+':
+            case '-':
+              if (!units.equal(left, right)) {
+                throw new Error(`Cannot ${node.op === '+' ? 'add' : 'subtract'} ${units.describe(right)} ${node.op === '+' ? 'to' : 'from'} ${units.describe(left)} in "${expression}"`);
+              }
+              return left;
+            case '*':
+              return units.multiply(left, right);
+            case '/':
+              return units.divide(left, right);
+            case '^':
+              requireCount(right, 'Exponent');
+              return units.power(left, evaluator.evaluateTree(node.right, scope, expression));
+          }
+        }
+      }
+      throw new Error(`Cannot infer units of "${expression}"`);
+    };
+
+    return infer(evaluator.parse(expression));
+  }
+
+  // Value (base units), dimension and display text of one metric
+  evaluate(name, metric, values = this.values) {
+    const units = this.getUnits();
+    const { scope, dimensions } = this.getScope(values);
+    const dimension = this.inferDimension(metric.expr, dimensions, scope);
+
+    const type = MetricsModel.metricTypes[name];
+    if (type && !units.equal(dimension, units.dimensions[type])) {
+      throw new Error(`${name} must be a ${type}, but ${metric.expr} is a ${units.describe(dimension)}`);
+    }
+    if (metric.unit !== undefined && !units.equal(units.parse(metric.unit).dimension, dimension)) {
+      throw new Error(`${name} unit ${metric.unit} does not match ${units.describe(dimension)}`);
+    }
+
+    const value = this.getEvaluator().evaluate(metric.expr, scope);
+    if (!Number.isFinite(value)) {
+      throw new Error(`${name} = ${metric.expr} is ${value}`);
+    }
+
+    const quantity = units.format(value, dimension, metric.unit ?? null);
+    return { value, dimension, text: metric.template ? metric.template.replace('{}', quantity) : quantity };
+  }
+
+  bindEdge(edge, values) {
+    if (!edge.metrics || !Object.values(edge.metrics).some(MetricsModel.isExpression)) return edge;
+
+    const metrics = Object.fromEntries(Object.entries(edge.metrics).map(([name, metric]) => {
+      if (!MetricsModel.isExpression(metric)) return [name, metric];
+      const { error, ...source } = metric;
+      try {
+        const { value, dimension, text } = this.evaluate(name, source, values);
+        return [name, { ...source, value, dimension, text }];
+      } catch (e) {
+        return [name, { ...source, value: null, text: `⚠️ ${source.expr}`, error: e.message }];
+      }
+    }));
+
+    return { ...edge, metrics };
+  }
+
+  // Recompute every expression metric, in the base diagram and in overlays
+  bind(spec, values = this.values) {
+    const bindDiff = diff => diff && {
+      ...diff,
+      ...(diff.add?.edges ? { add: { ...diff.add, edges: diff.add.edges.map(e => this.bindEdge(e, values)) } } : {}),
+      ...(diff.modify?.edges ? { modify: { ...diff.modify, edges: diff.modify.edges.map(e => this.bindEdge(e, values)) } } : {})
+    };
+
+    return {
+      ...spec,
+      edges: (spec.edges || []).map(edge => this.bindEdge(edge, values)),
+      ...(spec.overlays ? { overlays: spec.overlays.map(overlay => ({ ...overlay, diff: bindDiff(overlay.diff) })) } : {}),
+      ...(Object.keys(this.parameters).length > 0 ? { _parameters: { ...values } } : {})
+    };
+  }
+
+  // Quantity a metric states, as { value, min, max, dimension }, or null for
+  // free text without a number ("PB scale")
+  quantity(name, metric, values = this.values) {
+    if (MetricsModel.isExpression(metric)) {
+      const { value, dimension } = this.evaluate(name, metric, values);
+      return { value, min: value, max: value, dimension };
+    }
+    if (typeof metric !== 'string' || !(name in MetricsModel.metricTypes)) return null;
+
+    const units = this.getUnits();
+    const quantity = units.parseQuantity(metric);
+    const type = MetricsModel.metricTypes[name];
+    if (quantity && !units.equal(quantity.dimension, units.dimensions[type])) {
+      throw new Error(`"${metric}" is a ${units.describe(quantity.dimension)}, expected a ${type}`);
+    }
+    return quantity;
+  }
+
+  // Metrics on one edge that contradict each other, e.g. 1GB in 1ms over 100Mbps
+  checkConsistency(edge, quantities, pointer = '') {
+    const units = this.getUnits();
+    const size = quantities.size || quantities.payload;
+    const { latency, throughput } = quantities;
+    if (!size || !latency || !throughput || throughput.max <= 0) return [];
+
+    const transfer = size.min / throughput.max;
+    if (transfer <= latency.max) return [];
+
+    const text = quantity => quantity.text || units.format(quantity.value, quantity.dimension);
+    return [{
+      level: 'warning',
+      message: `Edge ${edge.id} moves ${text(size)} in ${text(latency)}, but at ${text(throughput)} that takes ${units.format(transfer, units.dimensions.time)}`,
+      pointer: `${pointer}/metrics`
+    }];
+  }
+
+  // Author mistakes in parameters and metrics, as { level, message, pointer }
+  check(spec) {
+    const problems = [];
+    const units = this.getUnits();
+
+    Object.entries(this.parameters).forEach(([id, parameter]) => {
+      const pointer = `/parameters/${id}`;
+      try {
+        units.parse(parameter.unit || '');
+      } catch (e) {
+        problems.push({ level: 'error', message: `Parameter ${id}: ${e.message}`, pointer: `${pointer}/unit` });
+      }
+      if (typeof parameter.value !== 'number') {
+        problems.push({ level: 'error', message: `Parameter ${id}: value must be a number`, pointer: `${pointer}/value` });
+      } else if ((parameter.min !== undefined && parameter.value < parameter.min) ||
+                 (parameter.max !== undefined && parameter.value > parameter.max)) {
+        problems.push({ level: 'error', message: `Parameter ${id}: value ${parameter.value} is outside ${parameter.min}..${parameter.max}`, pointer: `${pointer}/value` });
+      }
+    });
+    if (problems.length > 0) return problems;
+
+    const edges = [
+      ...(spec.edges || []).map((edge, i) => ({ edge, pointer: `/edges/${i}` })),
+      ...(spec.overlays || []).flatMap((o, i) => ['add', 'modify'].flatMap(change =>
+        (o.diff?.[change]?.edges || []).map((edge, j) => ({ edge, pointer: `/overlays/${i}/diff/${change}/edges/${j}` }))))
+    ];
+    edges.forEach(({ edge, pointer }) => {
+      const quantities = {};
+      Object.entries(edge.metrics || {}).forEach(([name, metric]) => {
+        try {
+          const quantity = this.quantity(name, metric);
+          if (quantity) quantities[name] = quantity;
+        } catch (e) {
+          problems.push({ level: 'error', message: `Edge ${edge.id} ${name}: ${e.message}`, pointer: `${pointer}/metrics/${name}` });
+        }
+      });
+      problems.push(...this.checkConsistency(edge, quantities, pointer));
+    });
+
+    return problems;
+  }
+}
+
+// Export for module systems, or make global
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MetricsModel;
+} else {
+  window.MetricsModel = MetricsModel;
+}
+
+// === src/core/rules.js ===
+// Registry of semantic rules shared by the browser validator and
+// scripts/validate-all.js. A rule is { id, severity, description, check(spec) },
+// where check returns messages, or { message, pointer, severity } with the
+// JSON Pointer of the offending value and a severity for findings that differ
+// from the rule's default. A `rules` section in the manifest (course defaults)
+// or a spec maps rule ids to a severity, "off", true or false.
+class RuleRegistry {
+  constructor(rules = RuleRegistry.builtins) {
+    this.rules = new Map();
+    this.config = {};
+    rules.forEach(rule => this.register(rule));
+  }
+
+  static get severities() {
+    return ['error', 'warning', 'info'];
+  }
+
+  // Rule modules in src/rules
+  static get builtins() {
+    const load = (name, file) => typeof window !== 'undefined' && window[name] ? window[name] : require(file);
+    return [
+      ...load('StructureRules', '../rules/structure-rules'),
+      ...load('GFSRules', '../rules/gfs-rules'),
+      ...load('MetricRules', '../rules/metric-rules'),
+      ...load('ContractRules', '../rules/contract-rules'),
+      ...load('FailureRules', '../rules/failure-rules')
+    ];
+  }
+
+  register(rule) {
+    if (!rule?.id || typeof rule.check !== 'function') {
+      throw new Error('A rule needs an id and a check(spec) function');
+    }
+    if (!RuleRegistry.severities.includes(rule.severity)) {
+      throw new Error(`Rule ${rule.id}: severity must be one of ${RuleRegistry.severities.join(', ')}`);
+    }
+    this.rules.set(rule.id, rule);
+    return this;
+  }
+
+  unregister(id) {
+    this.rules.delete(id);
+    return this;
+  }
+
+  get(id) {
+    return this.rules.get(id) || null;
+  }
+
+  // Course-wide settings, usually the manifest's `rules` section
+  configure(config = {}) {
+    this.config = { ...config };
+    return this;
+  }
+
+  // Unknown rule ids and bad severities in a `rules` section, as messages
+  checkConfig(config = {}) {
+    return Object.entries(config).flatMap(([id, setting]) => [
+      ...(this.rules.has(id) ? [] : [`Unknown rule ${id}`]),
+      ...([...RuleRegistry.severities, 'off', true, false].includes(setting)
+        ? []
+        : [`Rule ${id}: setting must be error, warning, info, off, true or false`])
+    ]);
+  }
+
+  // Configured severity of a rule for a spec; null when it is off
+  getSeverity(id, spec = {}) {
+    const setting = spec.rules?.[id] ?? this.config[id] ?? true;
+    if (setting === false || setting === 'off') return null;
+    return setting === true ? true : setting;
+  }
+
+  // Findings of every enabled rule, as { rule, severity, message, pointer }
+  run(spec) {
+    return Array.from(this.rules.values()).flatMap(rule => this.runRule(rule, spec));
+  }
+
+  runRule(rule, spec) {
+    const severity = this.getSeverity(rule.id, spec);
+    if (severity === null) return [];
+
+    let results;
+    try {
+      results = rule.check(spec) || [];
+    } catch (e) {
+      return [{ rule: rule.id, severity: 'error', message: `Rule crashed: ${e.message}`, pointer: '' }];
+    }
+
+    // A configured severity applies to every finding; otherwise findings may
+    // carry their own
+    return results.map(result => {
+      const finding = typeof result === 'string' ? { message: result } : result;
+      return {
+        rule: rule.id,
+        severity: severity === true ? finding.severity || rule.severity : severity,
+        message: finding.message,
+        pointer: finding.pointer ?? ''
+      };
+    });
+  }
+}
+
+// Export for module systems, or make global
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RuleRegistry;
+} else {
+  window.RuleRegistry = RuleRegistry;
+}
+
+// === src/core/json-source.js ===
+// Line and column of every value in a JSON text, keyed by JSON Pointer
+// (RFC 6901), so findings about "/edges/3/kind" can point into the file.
+// Members are located at their key, array items at their first character.
+class JsonSourceMap {
+  constructor(text) {
+    this.text = String(text);
+    this.locations = new Map();
+    this.ends = new Map();
+    this.duplicates = [];
+    this.lineStarts = [0];
+    for (let i = 0; i < this.text.length; i++) {
+      if (this.text[i] === '\n') this.lineStarts.push(i + 1);
+    }
+    this.scan();
+  }
+
+  static escape(segment) {
+    return String(segment).replace(/~/g, '~0').replace(/\//g, '~1');
+  }
+
+  static pointer(...segments) {
+    return segments.map(segment => `/${JsonSourceMap.escape(segment)}`).join('');
+  }
+
+  static split(pointer) {
+    return pointer === '' ? [] : pointer.slice(1).split('/').map(s => s.replace(/~1/g, '/').replace(/~0/g, '~'));
+  }
+
+  // Value at a pointer, or undefined
+  static resolve(data, pointer) {
+    return JsonSourceMap.split(pointer).reduce((value, segment) => value?.[segment], data);
+  }
+
+  // Ajv reports instancePath ("/edges/0") in v8 and dataPath (".edges[0]") in v6
+  static fromAjvError(error) {
+    if (error.instancePath !== undefined) return error.instancePath;
+    return (error.dataPath || '')
+      .replace(/\[(\d+)\]/g, '/$1')
+      .replace(/\['([^']*)'\]/g, (_, key) => `/${JsonSourceMap.escape(key)}`)
+      .replace(/\./g, '/');
+  }
+
+  scan() {
+    const text = this.text;
+    let i = 0;
+
+    const fail = message => {
+      const { line, column } = this.position(i);
+      throw new Error(`${message} at ${line}:${column}`);
+    };
+    const skip = () => {
+      while (i < text.length && /\s/.test(text[i])) i++;
+    };
+    const string = () => {
+      const start = i++;
+      while (i < text.length && text[i] !== '"') i += text[i] === '\\' ? 2 : 1;
+      if (i >= text.length) fail('Unterminated string');
+      return JSON.parse(text.slice(start, ++i));
+    };
+
+    const value = pointer => {
+      parse(pointer);
+      this.ends.set(pointer, i);
+    };
+    const parse = pointer => {
+      skip();
+      if (!this.locations.has(pointer)) this.locations.set(pointer, i);
+
+      if (text[i] === '{') {
+        i++;
+        skip();
+        if (text[i] === '}') {
+          i++;
+          return;
+        }
+        const keys = new Set();
+        for (;;) {
+          skip();
+          if (text[i] !== '"') fail('Expected a key');
+          const keyAt = i;
+          const child = `${pointer}/${JsonSourceMap.escape(string())}`;
+          // JSON.parse keeps the last of repeated keys
+          if (keys.has(child)) this.duplicates.push(child);
+          keys.add(child);
+          this.locations.set(child, keyAt);
+          skip();
+          if (text[i++] !== ':') fail('Expected ":"');
+          value(child);
+          skip();
+          if (text[i] === ',') {
+            i++;
+          } else if (text[i] === '}') {
+            i++;
+            return;
+          } else {
+            fail('Expected "," or "}"');
+          }
+        }
+      }
+
+      if (text[i] === '[') {
+        i++;
+        skip();
+        if (text[i] === ']') {
+          i++;
+          return;
+        }
+        for (let index = 0; ; index++) {
+          value(`${pointer}/${index}`);
+          skip();
+          if (text[i] === ',') {
+            i++;
+          } else if (text[i] === ']') {
+            i++;
+            return;
+          } else {
+            fail('Expected "," or "]"');
+          }
+        }
+      }
+
+      if (text[i] === '"') {
+        string();
+        return;
+      }
+
+      const start = i;
+      while (i < text.length && !/[\s,\]}]/.test(text[i])) i++;
+      if (i === start) fail('Expected a value');
+    };
+
+    value('');
+  }
+
+  // 1-based line and column of a character offset
+  position(offset) {
+    let low = 0;
+    let high = this.lineStarts.length - 1;
+    while (low < high) {
+      const mid = Math.ceil((low + high) / 2);
+      if (this.lineStarts[mid] <= offset) low = mid;
+      else high = mid - 1;
+    }
+    return { line: low + 1, column: offset - this.lineStarts[low] + 1 };
+  }
+
+  // Location of a pointer, or of its nearest ancestor in the text when the
+  // value is missing ("must have property kind") or generated
+  locate(pointer = '') {
+    let found = pointer;
+    while (found !== '' && !this.locations.has(found)) {
+      found = found.slice(0, found.lastIndexOf('/'));
+    }
+    return { pointer: found, ...this.position(this.locations.get(found) ?? 0) };
+  }
+
+  // Whether the value at a pointer was written on one line
+  isInline(pointer) {
+    if (!this.locations.has(pointer)) return false;
+    return !this.text.slice(this.locations.get(pointer), this.ends.get(pointer)).includes('\n');
+  }
+}
+
+// Export for module systems, or make global
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = JsonSourceMap;
+} else {
+  window.JsonSourceMap = JsonSourceMap;
+}
+
+// === src/core/course.js ===
+// The course as a graph: manifest diagrams are vertices and their
+// `prerequisites` are edges. Checks that the graph is acyclic, that every
+// prerequisite and learning path names a listed diagram, that "(Spec 06)"
+// references in a spec's prerequisite concepts point at diagrams the spec
+// builds on, and that the manifest and data/specs list the same diagrams.
+// Findings are { severity, diagram, message, pointer }, where diagram is
+// 'manifest' or the spec id the pointer refers into.
+class CourseGraph {
+  constructor(manifest = {}) {
+    this.diagrams = manifest.diagrams || [];
+    this.learningPaths = manifest.learningPaths || [];
+    this.index = new Map();
+    this.diagrams.forEach((diagram, i) => {
+      if (!this.index.has(diagram.id)) this.index.set(diagram.id, i);
+    });
+  }
+
+  // Spec numbers a text refers to: "(Spec 00, 02)" gives 00 and 02 and
+  // "(Specs 00-11)" the whole range; unreadable parts are returned as written
+  static references(text) {
+    const references = [];
+    for (const [, list] of String(text).matchAll(/\(Specs?\s+([^)]*)\)/g)) {
+      list.split(',').map(part => part.trim()).filter(Boolean).forEach(part => {
+        const range = part.match(/^(\d+)\s*[-–]\s*(\d+)$/);
+        if (!range) {
+          references.push(part);
+          return;
+        }
+        for (let n = Number(range[1]); n <= Number(range[2]); n++) {
+          references.push(String(n).padStart(range[1].length, '0'));
+        }
+      });
+    }
+    return references;
+  }
+
+  has(id) {
+    return this.index.has(id);
+  }
+
+  // Manifest id of a spec number ("6" or "06" → "06-read-path"), or null
+  resolve(number) {
+    if (!/^\d+$/.test(number)) return null;
+    const diagram = this.diagrams.find(d => /^\d+-/.test(d.id) && Number(d.id.split('-')[0]) === Number(number));
+    return diagram ? diagram.id : null;
+  }
+
+  // Listed prerequisites of a diagram
+  prerequisites(id) {
+    return (this.diagrams[this.index.get(id)]?.prerequisites || []).filter(p => this.has(p));
+  }
+
+  // Everything a diagram builds on, directly or through its prerequisites
+  ancestors(id) {
+    const found = new Set();
+    const visit = current => this.prerequisites(current).forEach(p => {
+      if (!found.has(p)) {
+        found.add(p);
+        visit(p);
+      }
+    });
+    visit(id);
+    found.delete(id);
+    return found;
+  }
+
+  // Each prerequisite cycle once, as the ids around it ending where it starts
+  findCycles() {
+    const cycles = [];
+    const seen = new Set();
+    const state = new Map();
+    const stack = [];
+
+    const visit = id => {
+      state.set(id, 'visiting');
+      stack.push(id);
+      this.prerequisites(id).forEach(p => {
+        if (state.get(p) === 'visiting') {
+          const cycle = [...stack.slice(stack.indexOf(p)), p];
+          const key = [...cycle.slice(1)].sort().join(' ');
+          if (!seen.has(key)) {
+            seen.add(key);
+            cycles.push(cycle);
+          }
+        } else if (!state.has(p)) {
+          visit(p);
+        }
+      });
+      stack.pop();
+      state.set(id, 'done');
+    };
+
+    this.index.forEach((_, id) => {
+      if (!state.has(id)) visit(id);
+    });
+    return cycles;
+  }
+
+  // Diagram ids with every prerequisite before the diagrams that need it,
+  // keeping manifest order where the graph allows
+  order() {
+    const cycles = this.findCycles();
+    if (cycles.length > 0) {
+      throw new Error(`Prerequisite cycle: ${cycles[0].join(' → ')}`);
+    }
+
+    const ordered = [];
+    const placed = new Set();
+    const place = id => {
+      if (placed.has(id)) return;
+      placed.add(id);
+      this.prerequisites(id).forEach(place);
+      ordered.push(id);
+    };
+    this.index.forEach((_, id) => place(id));
+    return ordered;
+  }
+
+  // Duplicate ids, dangling prerequisites and learning path entries, cycles
+  checkGraph() {
+    const findings = [];
+    const add = (severity, message, pointer) => findings.push({ severity, diagram: 'manifest', message, pointer });
+
+    this.diagrams.forEach((diagram, i) => {
+      if (this.index.get(diagram.id) !== i) {
+        add('error', `Diagram ${diagram.id} is listed twice`, `/diagrams/${i}/id`);
+      }
+      (diagram.prerequisites || []).forEach((p, j) => {
+        if (!this.has(p)) {
+          add('error', `${diagram.id} requires ${p}, which is not in the manifest`, `/diagrams/${i}/prerequisites/${j}`);
+        }
+      });
+    });
+
+    this.learningPaths.forEach((learningPath, i) => {
+      (learningPath.diagrams || []).forEach((id, j) => {
+        if (!this.has(id)) {
+          add('error', `Learning path ${learningPath.id} includes ${id}, which is not in the manifest`, `/learningPaths/${i}/diagrams/${j}`);
+        }
+      });
+    });
+
+    this.findCycles().forEach(cycle => {
+      const [from, to] = cycle.slice(-2);
+      const i = this.index.get(from);
+      add('error', `Prerequisite cycle: ${cycle.join(' → ')}`, `/diagrams/${i}/prerequisites/${this.diagrams[i].prerequisites.indexOf(to)}`);
+    });
+
+    return findings;
+  }
+
+  // "(Spec NN)" references in a spec's prerequisite concepts: each must name
+  // a listed diagram, and one the spec builds on per the manifest
+  checkReferences(spec) {
+    if (!this.has(spec.id)) return [];
+
+    const findings = [];
+    const ancestors = this.ancestors(spec.id);
+    const add = (severity, message, pointer) => findings.push({ severity, diagram: spec.id, message, pointer });
+
+    (spec.prerequisites?.concepts || []).forEach((concept, k) => {
+      const pointer = `/prerequisites/concepts/${k}`;
+      const unlisted = [];
+      CourseGraph.references(concept).forEach(number => {
+        const id = this.resolve(number);
+        if (!id) {
+          add('error', `Prerequisite "${concept}" refers to Spec ${number}, which is not in the manifest`, pointer);
+        } else if (id === spec.id) {
+          add('error', `Prerequisite "${concept}" refers to ${id} itself`, pointer);
+        } else if (this.ancestors(id).has(spec.id)) {
+          add('warning', `Prerequisite "${concept}" refers to ${id}, which builds on ${spec.id}`, pointer);
+        } else if (!ancestors.has(id)) {
+          unlisted.push(id);
+        }
+      });
+      if (unlisted.length > 0) {
+        add('warning', `Prerequisite "${concept}" refers to ${unlisted.join(', ')}, not among the manifest prerequisites of ${spec.id}`, pointer);
+      }
+    });
+
+    return findings;
+  }
+
+  // Manifest entries against spec files, given as [{ file, id }] where id is
+  // the spec's own id (null when the file does not parse)
+  checkFiles(files) {
+    const findings = [];
+    const ids = new Set(files.map(f => f.id));
+
+    this.diagrams.forEach((diagram, i) => {
+      if (!ids.has(diagram.id)) {
+        findings.push({ severity: 'error', diagram: 'manifest', message: `${diagram.id} has no spec file`, pointer: `/diagrams/${i}/id` });
+      }
+    });
+    files.forEach(({ file, id }) => {
+      if (id && !this.has(id)) {
+        findings.push({ severity: 'error', diagram: id, message: `${file} is not listed in the manifest`, pointer: '/id' });
+      } else if (id && file !== `${id}.json`) {
+        findings.push({ severity: 'warning', diagram: id, message: `${file} holds spec ${id}; expected ${id}.json`, pointer: '/id' });
+      }
+    });
+
+    return findings;
+  }
+}
+
+// Export for module systems, or make global
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CourseGraph;
+} else {
+  window.CourseGraph = CourseGraph;
+}
+
+// === src/core/spec-fixer.js ===
+// Mechanical repairs behind `validate-all.js --fix`: spec ids in NN-name
+// form, a default kind on edges without one, unique edge ids, no highlights
+// of edges that exist nowhere, and keys in the canonical order. fix() returns
+// the repaired copy and what changed; stringify() writes it back keeping the
+// file's layout, so values written on one line stay on one line.
+class SpecFixer {
+  static get defaultEdgeKind() {
+    return 'control';
+  }
+
+  // Key order of the Diagram 06 example in EvolvingTechSpec.md (§8), and of
+  // its schema (§2) for parts the example leaves out. Keys not listed keep
+  // their place; listed keys are ordered among the places they occupy.
+  static get canonicalOrder() {
+    return [
+      [/^$/, ['id', 'title', 'layout', 'nodes', 'edges', 'scenes', 'overlays', 'contracts', 'drills']],
+      [/^\/layout$/, ['type']],
+      [/^(\/overlays\/\d+\/diff\/(add|modify))?\/nodes\/\d+$/, ['id', 'type', 'label', 'metadata']],
+      [/^(\/overlays\/\d+\/diff\/(add|modify))?\/edges\/\d+$/, ['id', 'from', 'to', 'kind', 'label', 'metrics']],
+      [/^\/scenes\/\d+$/, ['id', 'name', 'overlays', 'narrative']],
+      [/^\/overlays\/\d+$/, ['id', 'caption', 'diff', 'contracts']],
+      [/^\/overlays\/\d+\/diff\/(remove|highlight)$/, ['nodeIds', 'edgeIds']],
+      [/^\/contracts$/, ['invariants', 'guarantees', 'caveats']],
+      [/^\/contracts\/(invariants|guarantees|caveats)\/\d+$/, ['text', 'refs', 'check']],
+      [/^\/drills\/\d+$/, ['id', 'type', 'prompt', 'answer', 'rubric']]
+    ];
+  }
+
+  // "6_Read Path" → "06-read-path"; null when there is no safe rewrite
+  static normalizeId(id) {
+    const match = String(id).trim().match(/^(\d{1,2})[-_\s]*([A-Za-z][A-Za-z_\s-]*)$/);
+    if (!match) return null;
+    const name = match[2].toLowerCase().replace(/[_\s-]+/g, '-').replace(/-$/, '');
+    return `${match[1].padStart(2, '0')}-${name}`;
+  }
+
+  static orderKeys(object, pointer) {
+    const entry = SpecFixer.canonicalOrder.find(([pattern]) => pattern.test(pointer));
+    if (!entry) return object;
+
+    const keys = Object.keys(object);
+    const known = keys.filter(key => entry[1].includes(key));
+    const sorted = [...known].sort((a, b) => entry[1].indexOf(a) - entry[1].indexOf(b));
+    if (sorted.every((key, i) => key === known[i])) return object;
+
+    let next = 0;
+    const ordered = keys.map(key => entry[1].includes(key) ? sorted[next++] : key);
+    return Object.fromEntries(ordered.map(key => [key, object[key]]));
+  }
+
+  getSourceMaps() {
+    return typeof JsonSourceMap !== 'undefined' ? JsonSourceMap : require('./json-source');
+  }
+
+  // Repaired copy of a spec and the changes made, as { pointer, message }
+  fix(source) {
+    const sourceMaps = this.getSourceMaps();
+    const escape = sourceMaps.escape;
+    const spec = JSON.parse(JSON.stringify(source));
+    const changes = [];
+    const change = (pointer, message) => changes.push({ pointer, message });
+
+    if (typeof spec.id === 'string' && !/^[0-9]{2}-[a-z-]+$/.test(spec.id)) {
+      const id = SpecFixer.normalizeId(spec.id);
+      if (id) {
+        change('/id', `Renamed spec ${spec.id} to ${id}`);
+        spec.id = id;
+      }
+    }
+
+    const overlayEdges = (spec.overlays || []).flatMap((overlay, o) =>
+      (overlay.diff?.add?.edges || []).map((edge, j) => ({ edge, pointer: `/overlays/${o}/diff/add/edges/${j}` })));
+    const edges = [...(spec.edges || []).map((edge, i) => ({ edge, pointer: `/edges/${i}` })), ...overlayEdges];
+
+    edges.forEach(({ edge, pointer }) => {
+      if (edge && typeof edge === 'object' && edge.kind === undefined) {
+        edge.kind = SpecFixer.defaultEdgeKind;
+        change(`${pointer}/kind`, `Edge ${edge.id}: added kind ${SpecFixer.defaultEdgeKind}`);
+      }
+    });
+
+    // Later edges with a taken id get the next free "-2", "-3"... suffix;
+    // references keep meaning the first
+    const taken = new Set(edges.map(({ edge }) => edge?.id));
+    const seen = new Set();
+    (spec.edges || []).forEach((edge, i) => {
+      if (!edge?.id) return;
+      if (seen.has(edge.id)) {
+        let n = 2;
+        while (taken.has(`${edge.id}-${n}`)) n++;
+        const id = `${edge.id}-${n}`;
+        change(`/edges/${i}/id`, `Renamed duplicate edge ${edge.id} to ${id}`);
+        edge.id = id;
+        taken.add(id);
+      }
+      seen.add(edge.id);
+    });
+
+    // An edge counts when the base diagram or any overlay adds it, since
+    // scenes stack overlays
+    const edgeIds = new Set(edges.map(({ edge }) => edge?.id));
+    (spec.overlays || []).forEach((overlay, o) => {
+      const highlight = overlay.diff?.highlight;
+      if (!Array.isArray(highlight?.edgeIds)) return;
+      highlight.edgeIds.forEach(id => {
+        if (!edgeIds.has(id)) change(`/overlays/${o}/diff/highlight/edgeIds`, `Overlay ${overlay.id}: dropped highlight of missing edge ${id}`);
+      });
+      highlight.edgeIds = highlight.edgeIds.filter(id => edgeIds.has(id));
+    });
+
+    const sort = (value, pointer) => {
+      if (Array.isArray(value)) return value.map((item, i) => sort(item, `${pointer}/${i}`));
+      if (!value || typeof value !== 'object') return value;
+
+      // Only objects the author wrote out of order count as changes; keys
+      // added above simply land in their place
+      const ordered = SpecFixer.orderKeys(value, pointer);
+      const original = sourceMaps.resolve(source, pointer);
+      if (original && SpecFixer.orderKeys(original, pointer) !== original) {
+        change(pointer, `Sorted keys of ${pointer || 'the spec'} into canonical order`);
+      }
+      return Object.fromEntries(Object.entries(ordered).map(([key, child]) => [key, sort(child, `${pointer}/${escape(key)}`)]));
+    };
+
+    return { spec: sort(spec, ''), changes };
+  }
+
+  // JSON text of a value with two-space indentation; containers that the
+  // source map shows on one line are written as [a, b] and { "k": v }
+  stringify(value, sourceMap = null, newline = true) {
+    const escape = this.getSourceMaps().escape;
+    const write = (current, pointer, indent) => {
+      if (!current || typeof current !== 'object') return JSON.stringify(current);
+
+      const entries = Array.isArray(current)
+        ? current.map((item, i) => [null, item, `${pointer}/${i}`])
+        : Object.entries(current).map(([key, item]) => [key, item, `${pointer}/${escape(key)}`]);
+      const [open, close] = Array.isArray(current) ? ['[', ']'] : ['{', '}'];
+      if (entries.length === 0) return open + close;
+
+      const member = ([key, item, path], inner) => `${key === null ? '' : `${JSON.stringify(key)}: `}${write(item, path, inner)}`;
+      if (sourceMap?.isInline(pointer)) {
+        const items = entries.map(entry => member(entry, indent)).join(', ');
+        return Array.isArray(current) ? `[${items}]` : `{ ${items} }`;
+      }
+
+      const inner = `${indent}  `;
+      return `${open}\n${entries.map(entry => inner + member(entry, inner)).join(',\n')}\n${indent}${close}`;
+    };
+
+    return write(value, '', '') + (newline ? '\n' : '');
+  }
+}
+
+// Export for module systems, or make global
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SpecFixer;
+} else {
+  window.SpecFixer = SpecFixer;
+}
+
+// === src/core/migrations.js ===
+// Spec format versions and the chain of migrations between them. A spec
+// states its version in schemaVersion; older specs have none, and exported
+// files may only carry _export.version. migrate() runs each step from the
+// spec's version to the current one, so specs upgrade the same way when the
+// viewer loads them, when a file is imported and in scripts/migrate-specs.js.
+class SpecMigrator {
+  // Matches schemaVersion in data/schema.json
+  static get currentVersion() {
+    return 2;
+  }
+
+  // Each step upgrades a spec from one version to the next
+  get migrations() {
+    return [
+      { from: 1, to: 2, migrate: this.toVersion2 }
+    ];
+  }
+
+  versionOf(spec) {
+    if (spec.schemaVersion !== undefined) return spec.schemaVersion;
+    const exported = Number.parseInt(spec._export?.version, 10);
+    return Number.isInteger(exported) ? exported : 1;
+  }
+
+  needsMigration(spec) {
+    return this.versionOf(spec) < SpecMigrator.currentVersion;
+  }
+
+  // Upgraded copy of a spec and the changes made, as { pointer, message }
+  // with pointers into the spec as written
+  migrate(spec) {
+    const from = this.versionOf(spec);
+    if (!Number.isInteger(from) || from > SpecMigrator.currentVersion) {
+      throw new Error(`Spec ${spec.id || ''} uses schema version ${from}; this viewer reads up to version ${SpecMigrator.currentVersion}`);
+    }
+
+    const changes = [];
+    const change = (pointer, message) => changes.push({ pointer, message });
+    let migrated = spec;
+    this.migrations.filter(step => step.from >= from).forEach(step => {
+      migrated = step.migrate.call(this, migrated, change);
+    });
+
+    return { spec: migrated, from, to: SpecMigrator.currentVersion, changes };
+  }
+
+  // Copy of an object with one key renamed in place
+  renameKey(object, from, to) {
+    return Object.fromEntries(Object.entries(object).map(([key, value]) => [key === from ? to : key, value]));
+  }
+
+  // Version 1 walked through `steps` or through scenes named by `title`,
+  // captioned overlays with `title` and let edges leave out their kind.
+  // Version 2 keeps one format: scenes with a name, overlays with a caption.
+  toVersion2(spec, change) {
+    const Fixer = typeof SpecFixer !== 'undefined' ? SpecFixer : require('./spec-fixer');
+    const { schemaVersion, steps, ...rest } = spec;
+    change('', 'Added schemaVersion 2');
+
+    let scenes = spec.scenes;
+    if (steps?.length > 0 && !(spec.scenes?.length > 0)) {
+      change('/steps', `Turned ${steps.length} step(s) into scenes`);
+      scenes = steps.map((step, index) => ({
+        id: step.id || `step-${index}`,
+        name: step.caption || `Step ${index + 1}`,
+        overlays: step.overlays || [],
+        ...(step.narrative ? { narrative: step.narrative } : {})
+      }));
+    } else if (steps) {
+      change('/steps', 'Dropped steps, keeping scenes');
+    }
+
+    scenes = scenes?.map((scene, i) => {
+      if (scene.title === undefined) return scene;
+      if (scene.name !== undefined) {
+        change(`/scenes/${i}/title`, `Scene ${scene.id}: dropped title, keeping name`);
+        const { title, ...kept } = scene;
+        return kept;
+      }
+      change(`/scenes/${i}/title`, `Scene ${scene.id}: renamed title to name`);
+      return this.renameKey(scene, 'title', 'name');
+    });
+
+    const withKind = (edge, pointer) => {
+      if (edge.kind !== undefined) return edge;
+      change(pointer, `Edge ${edge.id}: added kind ${Fixer.defaultEdgeKind}`);
+      return Fixer.orderKeys({ ...edge, kind: Fixer.defaultEdgeKind }, '/edges/0');
+    };
+
+    const overlays = spec.overlays?.map((overlay, o) => {
+      let migrated = overlay;
+      if (overlay.title !== undefined && overlay.caption === undefined) {
+        change(`/overlays/${o}/title`, `Overlay ${overlay.id}: renamed title to caption`);
+        migrated = this.renameKey(overlay, 'title', 'caption');
+      }
+      const added = migrated.diff?.add?.edges;
+      if (!added) return migrated;
+      return {
+        ...migrated,
+        diff: {
+          ...migrated.diff,
+          add: { ...migrated.diff.add, edges: added.map((edge, j) => withKind(edge, `/overlays/${o}/diff/add/edges/${j}`)) }
+        }
+      };
+    });
+
+    return {
+      schemaVersion: 2,
+      ...rest,
+      ...(spec.edges ? { edges: spec.edges.map((edge, i) => withKind(edge, `/edges/${i}`)) } : {}),
+      ...(scenes ? { scenes } : {}),
+      ...(overlays ? { overlays } : {})
+    };
+  }
+}
+
+// Export for module systems, or make global
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SpecMigrator;
+} else {
+  window.SpecMigrator = SpecMigrator;
+}
+
+// === src/core/contracts.js ===
+// Contracts that point into the diagram. Besides a plain sentence, a
+// contract may be { text, refs, check }: refs names the nodeIds and edgeIds
+// it is about, and check is a predicate over the composed scene.
+//
+//   { "none": "edges", "where": { "kind": "data", "touches": { "type": "master" } } }
+//   { "all": "nodes", "where": { "type": "chunkserver" }, "satisfy": { "outgoing": { "kind": "heartbeat" } } }
+//   { "count": "nodes", "where": { "type": "chunkserver", "failure": null }, "min": 3, "groupBy": "metadata.chunk" }
+//   { "allOf": [ ...predicates ] }
+//
+// A filter maps properties (dotted paths reach into metadata) to a value, a
+// list of allowed values, null for "not set", or { min, max, matches }.
+// Edges also take node filters under from, to and touches (either end);
+// nodes take edge filters under outgoing and incoming (at least one such
+// edge); `not` negates a filter.
+class ContractChecker {
+  static get sections() {
+    return ['invariants', 'guarantees', 'caveats'];
+  }
+
+  static get collections() {
+    return ['nodes', 'edges'];
+  }
+
+  static text(contract) {
+    return typeof contract === 'string' ? contract : contract?.text || '';
+  }
+
+  getComposer() {
+    const Composer = typeof SceneComposer !== 'undefined' ? SceneComposer : require('./composer');
+    return new Composer();
+  }
+
+  // Every contract of a spec with where it sits
+  entries(spec) {
+    return ContractChecker.sections.flatMap(section =>
+      (spec.contracts?.[section] || []).map((contract, index) => ({
+        section,
+        index,
+        pointer: `/contracts/${section}/${index}`,
+        text: ContractChecker.text(contract),
+        refs: contract?.refs || {},
+        check: contract?.check || null
+      })));
+  }
+
+  // Value at a dotted path such as "metadata.version"
+  lookup(element, path) {
+    return String(path).split('.').reduce((value, key) => value?.[key], element);
+  }
+
+  compare(value, expected) {
+    if (expected === null) return value === undefined || value === null;
+    if (Array.isArray(expected)) return expected.includes(value);
+    if (typeof expected !== 'object') return value === expected;
+
+    return Object.entries(expected).every(([operator, operand]) => {
+      if (operator === 'min') return typeof value === 'number' && value >= operand;
+      if (operator === 'max') return typeof value === 'number' && value <= operand;
+      if (operator === 'matches') return new RegExp(operand, 'i').test(String(value ?? ''));
+      throw new Error(`Unknown comparison ${operator}`);
+    });
+  }
+
+  matches(element, filter = {}, collection, graph) {
+    return Object.entries(filter).every(([key, expected]) => {
+      if (key === 'not') return !this.matches(element, expected, collection, graph);
+
+      if (collection === 'edges' && key === 'touches') {
+        return [element.from, element.to].some(id => graph.nodes.has(id) && this.matches(graph.nodes.get(id), expected, 'nodes', graph));
+      }
+      if (collection === 'edges' && (key === 'from' || key === 'to') && expected && typeof expected === 'object' && !Array.isArray(expected)) {
+        const node = graph.nodes.get(element[key]);
+        return Boolean(node) && this.matches(node, expected, 'nodes', graph);
+      }
+      if (collection === 'nodes' && (key === 'outgoing' || key === 'incoming')) {
+        const end = key === 'outgoing' ? 'from' : 'to';
+        return Array.from(graph.edges.values()).some(edge => edge[end] === element.id && this.matches(edge, expected, 'edges', graph));
+      }
+
+      return this.compare(this.lookup(element, key), expected);
+    });
+  }
+
+  select(graph, collection, where) {
+    if (!ContractChecker.collections.includes(collection)) {
+      throw new Error(`Predicates select nodes or edges, not ${collection}`);
+    }
+    return Array.from(graph[collection].values()).filter(element => this.matches(element, where, collection, graph));
+  }
+
+  // { pass, message, nodeIds, edgeIds }: the elements are the offenders when
+  // the predicate fails and the ones it looked at when it holds
+  evaluate(predicate, graph) {
+    const result = (pass, message, collection, elements) => ({
+      pass,
+      message,
+      nodeIds: collection === 'nodes' ? elements.map(e => e.id) : [],
+      edgeIds: collection === 'edges' ? elements.map(e => e.id) : []
+    });
+    const names = elements => elements.map(e => e.id).join(', ');
+
+    if (predicate?.allOf) {
+      const results = predicate.allOf.map(part => this.evaluate(part, graph));
+      const failing = results.filter(r => !r.pass);
+      const shown = failing.length > 0 ? failing : results;
+      return {
+        pass: failing.length === 0,
+        message: shown.map(r => r.message).join('; '),
+        nodeIds: [...new Set(shown.flatMap(r => r.nodeIds))],
+        edgeIds: [...new Set(shown.flatMap(r => r.edgeIds))]
+      };
+    }
+
+    if (predicate?.none) {
+      const found = this.select(graph, predicate.none, predicate.where);
+      return found.length === 0
+        ? result(true, `No matching ${predicate.none}`, predicate.none, [])
+        : result(false, `${found.length} matching ${predicate.none}: ${names(found)}`, predicate.none, found);
+    }
+
+    if (predicate?.all) {
+      const found = this.select(graph, predicate.all, predicate.where);
+      const offenders = found.filter(element => !this.matches(element, predicate.satisfy, predicate.all, graph));
+      return offenders.length === 0
+        ? result(true, `All ${found.length} matching ${predicate.all} comply`, predicate.all, found)
+        : result(false, `${offenders.length} of ${found.length} ${predicate.all} do not comply: ${names(offenders)}`, predicate.all, offenders);
+    }
+
+    if (predicate?.count) {
+      const found = this.select(graph, predicate.count, predicate.where);
+      const groups = new Map();
+      found.forEach(element => {
+        const key = predicate.groupBy ? this.lookup(element, predicate.groupBy) : '';
+        groups.set(key, [...(groups.get(key) || []), element]);
+      });
+      if (groups.size === 0) groups.set('', []);
+
+      const bounds = [
+        predicate.min !== undefined ? `at least ${predicate.min}` : null,
+        predicate.max !== undefined ? `at most ${predicate.max}` : null
+      ].filter(Boolean).join(' and ');
+      const short = Array.from(groups).filter(([, members]) =>
+        (predicate.min !== undefined && members.length < predicate.min) ||
+        (predicate.max !== undefined && members.length > predicate.max));
+      const label = ([key, members]) => `${predicate.groupBy ? `${key}: ` : ''}${members.length}`;
+
+      return short.length === 0
+        ? result(true, `${Array.from(groups).map(label).join(', ')} matching ${predicate.count}, ${bounds}`, predicate.count, found)
+        : result(false, `${short.map(label).join(', ')} matching ${predicate.count}; needs ${bounds}`, predicate.count, short.flatMap(([, members]) => members));
+    }
+
+    throw new Error(`Unknown contract predicate ${JSON.stringify(predicate)}`);
+  }
+
+  // Status of every contract in a (composed) spec: 'pass', 'fail', 'error'
+  // for predicates that cannot be evaluated, or 'unchecked' without one
+  check(spec) {
+    const graph = {
+      nodes: new Map((spec.nodes || []).map(n => [n.id, n])),
+      edges: new Map((spec.edges || []).map(e => [e.id, e]))
+    };
+
+    return this.entries(spec).map(entry => {
+      const refs = { nodeIds: entry.refs.nodeIds || [], edgeIds: entry.refs.edgeIds || [] };
+      if (!entry.check) return { ...entry, status: 'unchecked', message: '', ...refs };
+
+      try {
+        const { pass, message, nodeIds, edgeIds } = this.evaluate(entry.check, graph);
+        return {
+          ...entry,
+          status: pass ? 'pass' : 'fail',
+          message,
+          nodeIds: [...new Set([...refs.nodeIds, ...nodeIds])],
+          edgeIds: [...new Set([...refs.edgeIds, ...edgeIds])]
+        };
+      } catch (e) {
+        return { ...entry, status: 'error', message: e.message, ...refs };
+      }
+    });
+  }
+
+  // The base diagram and each scene composed, with the contract statuses in
+  // each; scene is null for the base diagram
+  checkScenes(spec) {
+    const composer = this.getComposer();
+    return [null, ...(spec.scenes || [])].map(scene => ({
+      scene,
+      results: this.check(composer.composeScene(spec, scene?.overlays || []))
+    }));
+  }
+}
+
+// Export for module systems, or make global
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ContractChecker;
+} else {
+  window.ContractChecker = ContractChecker;
+}
+
+// === src/rules/contract-rules.js ===
+// Rules about contracts that point into the diagram: their refs name real
+// elements, and their predicates hold in the base diagram and every scene
+const ContractRules = [
+  {
+    id: 'ContractReferences',
+    severity: 'warning',
+    description: 'Contracts refer to nodes and edges the diagram or one of its overlays has',
+    check(spec) {
+      const Checker = typeof ContractChecker !== 'undefined' ? ContractChecker : require('../core/contracts');
+      const added = (spec.overlays || []).map(o => o.diff?.add || {});
+      const known = {
+        nodeIds: new Set([...(spec.nodes || []), ...added.flatMap(a => a.nodes || [])].map(n => n.id)),
+        edgeIds: new Set([...(spec.edges || []), ...added.flatMap(a => a.edges || [])].map(e => e.id))
+      };
+
+      return new Checker().entries(spec).flatMap(({ section, index, pointer, refs }) =>
+        ['nodeIds', 'edgeIds'].flatMap(key => (refs[key] || []).flatMap((id, i) => known[key].has(id)
+          ? []
+          : [{ message: `Contract ${section}[${index}] refers to non-existent ${key === 'nodeIds' ? 'node' : 'edge'} ${id}`, pointer: `${pointer}/refs/${key}/${i}` }])));
+    }
+  },
+  {
+    id: 'ContractPredicates',
+    severity: 'error',
+    description: 'Checked invariants hold in the base diagram and in every scene; guarantees and caveats only warn',
+    check(spec) {
+      const Checker = typeof ContractChecker !== 'undefined' ? ContractChecker : require('../core/contracts');
+
+      // One finding per contract, naming every place it fails
+      const failures = new Map();
+      new Checker().checkScenes(spec).forEach(({ scene, results }) => {
+        results.filter(r => r.status === 'fail' || r.status === 'error').forEach(r => {
+          const failure = failures.get(r.pointer) || { result: r, places: [] };
+          failure.places.push(scene ? `scene ${scene.id}` : 'the base diagram');
+          failures.set(r.pointer, failure);
+        });
+      });
+
+      return Array.from(failures.values()).map(({ result, places }) => ({
+        // A broken predicate is broken everywhere
+        message: result.status === 'error'
+          ? `Contract "${result.text}" has an invalid predicate: ${result.message}`
+          : `Contract "${result.text}" fails in ${places.join(', ')}: ${result.message}`,
+        pointer: `${result.pointer}/check`,
+        severity: result.status === 'error' || result.section === 'invariants' ? 'error' : 'warning'
+      }));
+    }
+  }
+];
+
+// Export for module systems, or make global
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ContractRules;
+} else {
+  window.ContractRules = ContractRules;
+}
+
+// === src/rules/failure-rules.js ===
+// Rules about failures injected into a composed scene by FailureInjector.
+// Authored specs carry no failures, so they only find something once a
+// learner breaks a server or link; each finding points at the failed node or
+// edge, which is how the validator tells the contracts referring to it.
+// `affects` lists words of invariants the rule threatens, for invariants
+// that have neither refs nor a predicate
+const FailureRules = [
+  {
+    id: 'ReplicaAvailability',
+    severity: 'warning',
+    affects: ['replica', 'durab', 'copies', 'data loss'],
+    description: 'At least three chunkservers stay reachable to hold every replica',
+    check(spec) {
+      const nodes = spec.nodes || [];
+      const chunkservers = nodes.filter(n => n.type === 'chunkserver');
+      const down = chunkservers.filter(n => n.failure === 'crash' || n.failure === 'partition');
+      const live = chunkservers.length - down.length;
+      if (down.length === 0 || live >= 3) return [];
+
+      return nodes.flatMap((n, index) => down.includes(n)
+        ? [{ message: `${n.id} is down; only ${live} of ${chunkservers.length} chunkservers reachable`, pointer: `/nodes/${index}` }]
+        : []);
+    }
+  },
+  {
+    id: 'MasterAvailability',
+    severity: 'warning',
+    affects: ['master', 'metadata', 'namespace', 'lease', 'grant', 'heartbeat'],
+    description: 'The master is reachable to serve metadata and grant leases',
+    check(spec) {
+      return (spec.nodes || []).flatMap((n, index) => n.type === 'master' && (n.failure === 'crash' || n.failure === 'partition')
+        ? [{ message: `Master ${n.id} is ${n.failure === 'crash' ? 'crashed' : 'partitioned'}`, pointer: `/nodes/${index}` }]
+        : []);
+    }
+  },
+  {
+    id: 'PrimaryAvailability',
+    severity: 'warning',
+    affects: ['primary', 'serial', 'order', 'single writer', 'lease'],
+    description: 'The primary replica is reachable to order mutations',
+    check(spec) {
+      return (spec.nodes || []).flatMap((n, index) => n.type === 'chunkserver' && (n.failure === 'crash' || n.failure === 'partition') &&
+        /primary/i.test(n.label || n.id)
+        ? [{ message: `Primary ${n.id} is unavailable; writes stall until its lease expires`, pointer: `/nodes/${index}` }]
+        : []);
+    }
+  },
+  {
+    id: 'DataPathIntegrity',
+    severity: 'warning',
+    affects: ['staged', 'pipeline', 'push', 'replicas', 'mutation', 'data flows'],
+    description: 'Data edges of the push pipeline are intact',
+    check(spec) {
+      return (spec.edges || []).flatMap((e, index) => e.kind === 'data' && (e.failure === 'crash' || e.failure === 'partition')
+        ? [{ message: `Data edge ${e.id} (${e.from} → ${e.to}) is broken`, pointer: `/edges/${index}` }]
+        : []);
+    }
+  },
+  {
+    id: 'DegradedLatency',
+    severity: 'warning',
+    affects: ['lease', 'heartbeat', 'timeout', 'expir', 'drift', 'delay'],
+    description: 'No server or link is slowed down',
+    check(spec) {
+      // Edges inherit a slow node's failure; only report the node itself
+      return [
+        ...(spec.nodes || []).flatMap((n, index) => n.failure === 'slow'
+          ? [{ message: `Node ${n.id} is slow; timeouts and lease renewals may be missed`, pointer: `/nodes/${index}` }]
+          : []),
+        ...(spec.edges || []).flatMap((e, index) => e.failure === 'slow' && e.failureSource === e.id
+          ? [{ message: `Link ${e.id} is slow; timeouts and lease renewals may be missed`, pointer: `/edges/${index}` }]
+          : [])
+      ];
+    }
+  }
+];
+
+// Export for module systems, or make global
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = FailureRules;
+} else {
+  window.FailureRules = FailureRules;
+}
+
+// === src/rules/gfs-rules.js ===
+// Rules about GFS roles: the master stays off the data path, replicas agree
+// on chunk versions, and there are enough chunkservers to hold them
+const GFSRules = [
+  {
+    id: 'MasterNotOnDataPath',
+    severity: 'error',
+    description: 'The master hands out metadata; file data flows between clients and chunkservers',
+    check(spec) {
+      const masters = new Set((spec.nodes || []).filter(n => n.type === 'master').map(n => n.id));
+      return (spec.edges || []).flatMap((e, index) => e.kind === 'data' && (masters.has(e.from) || masters.has(e.to))
+        ? [{ message: `Data edge ${e.id} (${e.from} → ${e.to}) touches the master`, pointer: `/edges/${index}` }]
+        : []);
+    }
+  },
+  {
+    id: 'PrimarySecondaryConsistency',
+    severity: 'error',
+    description: 'A primary replica has secondaries to forward mutations to',
+    check(spec) {
+      const nodes = spec.nodes || [];
+      const primary = nodes.findIndex(n => n.label && n.label.includes('Primary'));
+      const secondaries = nodes.filter(n => n.label && n.label.includes('Secondary')).length;
+      return primary !== -1 && secondaries === 0
+        ? [{ message: 'Primary exists without secondaries', pointer: `/nodes/${primary}` }]
+        : [];
+    }
+  },
+  {
+    id: 'VersionMonotonicity',
+    severity: 'error',
+    description: 'Chunk versions never go backwards, and replicas behind the current version are marked stale',
+    check(spec) {
+      const findings = [];
+
+      // Versions never go negative
+      (spec.nodes || []).forEach((node, index) => {
+        if (node.metadata?.version < 0) {
+          findings.push({ message: `Node ${node.id} has negative version ${node.metadata.version}`, pointer: `/nodes/${index}/metadata/version` });
+        }
+      });
+
+      // Versions only move forward: an overlay may not lower a node's version
+      const baseNodes = new Map((spec.nodes || []).map(n => [n.id, n]));
+      (spec.overlays || []).forEach((overlay, o) => {
+        (overlay.diff?.modify?.nodes || []).forEach((mod, m) => {
+          const before = baseNodes.get(mod.id)?.metadata?.version;
+          const after = mod.metadata?.version;
+          if (before !== undefined && after !== undefined && after < before) {
+            findings.push({
+              message: `Overlay ${overlay.id} lowers ${mod.id} from version ${before} to ${after}`,
+              pointer: `/overlays/${o}/diff/modify/nodes/${m}/metadata/version`
+            });
+          }
+        });
+      });
+
+      // A replica behind the current version of its chunk must be marked stale,
+      // in the base diagram and in every overlay
+      const Composer = typeof SceneComposer !== 'undefined' ? SceneComposer : require('../core/composer');
+      const composer = new Composer();
+      const scenes = [
+        { label: '', nodes: spec.nodes || [], locate: id => `/nodes/${(spec.nodes || []).findIndex(n => n.id === id)}` },
+        ...(spec.overlays || []).map((overlay, o) => ({
+          label: ` in overlay ${overlay.id}`,
+          nodes: composer.composeScene(spec, [overlay.id]).nodes,
+          // The overlay's own entry for the node, else the base node
+          locate: id => {
+            for (const change of ['modify', 'add']) {
+              const index = (overlay.diff?.[change]?.nodes || []).findIndex(n => n.id === id);
+              if (index !== -1) return `/overlays/${o}/diff/${change}/nodes/${index}`;
+            }
+            return `/nodes/${(spec.nodes || []).findIndex(n => n.id === id)}`;
+          }
+        }))
+      ];
+      scenes.forEach(({ label, nodes, locate }) => {
+        const replicas = this.getReplicaVersions(nodes);
+        const current = new Map();
+        [...replicas, ...nodes.filter(n => n.metadata?.chunk && n.metadata.version !== undefined)
+          .map(n => ({ chunk: n.metadata.chunk, version: n.metadata.version }))]
+          .forEach(({ chunk, version }) => current.set(chunk, Math.max(current.get(chunk) ?? version, version)));
+
+        replicas.forEach(({ node, chunk, version }) => {
+          const stale = node.metadata.stale;
+          const marked = stale === true || (Array.isArray(stale) && stale.includes(chunk));
+          if (version < current.get(chunk) && !marked) {
+            findings.push({
+              message: `${node.id} holds ${chunk === '*' ? 'a chunk' : chunk} at version ${version} behind current ${current.get(chunk)} without marking it stale${label}`,
+              pointer: locate(node.id)
+            });
+          }
+        });
+      });
+
+      return findings;
+    },
+
+    // Replica versions held by chunkservers: metadata.replicas maps chunk to
+    // version; a lone metadata.version applies to metadata.chunk (or any chunk)
+    getReplicaVersions(nodes) {
+      return nodes.filter(n => n.type === 'chunkserver' && n.metadata).flatMap(node => {
+        if (node.metadata.replicas) {
+          return Object.entries(node.metadata.replicas).map(([chunk, version]) => ({ node, chunk, version }));
+        }
+        return node.metadata.version !== undefined
+          ? [{ node, chunk: node.metadata.chunk || '*', version: node.metadata.version }]
+          : [];
+      });
+    }
+  },
+  {
+    id: 'ReplicationFactor',
+    severity: 'info',
+    description: 'GFS keeps three replicas of every chunk, so diagrams with fewer chunkservers simplify',
+    check(spec) {
+      const chunkservers = (spec.nodes || []).filter(n => n.type === 'chunkserver').length;
+      return chunkservers > 0 && chunkservers < 3
+        ? [{ message: `Only ${chunkservers} chunkserver${chunkservers === 1 ? '' : 's'}; GFS keeps 3 replicas of every chunk`, pointer: '/nodes' }]
+        : [];
+    }
+  }
+];
+
+// Export for module systems, or make global
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = GFSRules;
+} else {
+  window.GFSRules = GFSRules;
+}
+
+// === src/rules/metric-rules.js ===
+// Rules about edge metrics: units, parameters and expressions, and whether
+// the numbers on one edge agree with each other
+const MetricRules = [
+  {
+    id: 'MetricUnits',
+    severity: 'error',
+    description: 'Metrics use known units of the right kind, and expressions evaluate',
+    check(spec) {
+      const Model = typeof MetricsModel !== 'undefined' ? MetricsModel : require('../core/metrics');
+      return new Model(spec).check(spec).filter(p => p.level === 'error');
+    }
+  },
+  {
+    id: 'MetricConsistency',
+    severity: 'warning',
+    description: 'Size, latency and throughput on an edge do not contradict each other',
+    check(spec) {
+      const Model = typeof MetricsModel !== 'undefined' ? MetricsModel : require('../core/metrics');
+      return new Model(spec).check(spec).filter(p => p.level !== 'error');
+    }
+  }
+];
+
+// Export for module systems, or make global
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MetricRules;
+} else {
+  window.MetricRules = MetricRules;
+}
+
+// === src/rules/structure-rules.js ===
+// Rules about references between parts of a spec: edges to nodes, scenes to
+// overlays and overlay diffs to the elements they change
+const StructureRules = [
+  {
+    id: 'EdgeReferences',
+    severity: 'error',
+    description: 'Every edge connects two nodes of the diagram',
+    check(spec) {
+      const nodeIds = new Set((spec.nodes || []).map(n => n.id));
+      return (spec.edges || []).flatMap((edge, index) => ['from', 'to']
+        .filter(end => !nodeIds.has(edge[end]))
+        .map(end => ({
+          message: `Edge ${edge.id}: '${end}' references non-existent node ${edge[end]}`,
+          pointer: `/edges/${index}/${end}`
+        })));
+    }
+  },
+  {
+    id: 'OverlayReferences',
+    severity: 'error',
+    description: 'Scenes name real overlays, and overlays change elements that exist',
+    check(spec) {
+      const nodeIds = new Set((spec.nodes || []).map(n => n.id));
+      const edgeIds = new Set((spec.edges || []).map(e => e.id));
+      const overlayIds = new Set((spec.overlays || []).map(o => o.id));
+      const findings = [];
+
+      (spec.scenes || []).forEach((scene, s) => {
+        (Array.isArray(scene.overlays) ? scene.overlays : []).forEach((id, o) => {
+          if (!overlayIds.has(id)) {
+            findings.push({ message: `Scene ${scene.id} references non-existent overlay ${id}`, pointer: `/scenes/${s}/overlays/${o}` });
+          }
+        });
+      });
+
+      // Removing something missing breaks the scene; highlighting or modifying it only does nothing
+      (spec.overlays || []).forEach((overlay, o) => {
+        const diff = overlay.diff || {};
+        const missing = (verb, kind, path, ids, known, severity) => (ids || []).forEach((id, i) => {
+          if (!known.has(id)) {
+            findings.push({ message: `Overlay ${overlay.id} ${verb} non-existent ${kind} ${id}`, pointer: `/overlays/${o}/diff/${path}/${i}`, severity });
+          }
+        });
+
+        missing('removes', 'node', 'remove/nodeIds', diff.remove?.nodeIds, nodeIds, 'error');
+        missing('removes', 'edge', 'remove/edgeIds', diff.remove?.edgeIds, edgeIds, 'error');
+        missing('highlights', 'node', 'highlight/nodeIds', diff.highlight?.nodeIds, nodeIds, 'warning');
+        missing('highlights', 'edge', 'highlight/edgeIds', diff.highlight?.edgeIds, edgeIds, 'warning');
+        missing('modifies', 'node', 'modify/nodes', diff.modify?.nodes?.map(n => n.id), nodeIds, 'warning');
+        missing('modifies', 'edge', 'modify/edges', diff.modify?.edges?.map(e => e.id), edgeIds, 'warning');
+      });
+
+      return findings;
+    }
+  }
+];
+
+// Export for module systems, or make global
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = StructureRules;
+} else {
+  window.StructureRules = StructureRules;
+}
+
+// === src/simulation/consistency.js ===
+/**
+ * Consistency Region Simulation
+ * Replays writes and record appends against replica byte arrays and classifies
+ * each file region as defined, consistent but undefined, or inconsistent
+ */
+class ConsistencySimulation {
+  constructor(params = {}) {
+    this.params = { ...ConsistencySimulation.defaults, ...params };
+    this.config = this.getConfig();
+    this.operations = [];
+    this.trace = [];
+    this.replicas = {};
+    this.results = new Map();
+    this.regions = [];
+  }
+
+  static get defaults() {
+    return {
+      replicas: 3,          // R1 is the primary
+      chunkSize: 32,        // Bytes per chunk (scaled down from 64MB)
+      fragmentSize: 4,      // Concurrent writes are applied in fragments of this size
+      maxRetries: 2,        // Client retries after a failed attempt
+      retryDelay: 1,        // Time units before a retry
+      scenario: null,       // Key into scenarios; defaults to the first one
+      scenarios: {},        // key -> { label, operations | generator, params }
+      operations: null,     // Overrides the scenario when set
+      unit: 'B'             // Display unit for offsets and lengths
+    };
+  }
+
+  static get classes() {
+    return {
+      defined: { label: 'Defined', consistent: true },
+      undefined: { label: 'Consistent but undefined', consistent: true },
+      inconsistent: { label: 'Inconsistent', consistent: false },
+      padding: { label: 'Padding', consistent: true }
+    };
+  }
+
+  static fromSpec(spec) {
+    return new ConsistencySimulation(spec.simulation?.params || {});
+  }
+
+  createSimulator() {
+    const Simulator = typeof DiscreteEventSimulator !== 'undefined'
+      ? DiscreteEventSimulator
+      : require('./simulator');
+    return new Simulator();
+  }
+
+  getReplicaIds() {
+    const count = Math.max(1, Math.floor(this.params.replicas));
+    return Array.from({ length: count }, (_, i) => `R${i + 1}`);
+  }
+
+  getScenarioKey() {
+    const keys = Object.keys(this.params.scenarios || {});
+    return keys.includes(this.params.scenario) ? this.params.scenario : keys[0] || null;
+  }
+
+  getScenario() {
+    const key = this.getScenarioKey();
+    return key ? this.params.scenarios[key] : null;
+  }
+
+  // Spec params with the active scenario's overrides (e.g. a 64MB chunk)
+  getConfig() {
+    return { ...this.params, ...(this.getScenario()?.params || {}) };
+  }
+
+  getOperations() {
+    if (this.params.operations) return this.params.operations;
+
+    const scenario = this.getScenario();
+    if (scenario?.generator) {
+      const Workload = typeof RecordAppendWorkload !== 'undefined'
+        ? RecordAppendWorkload
+        : require('./record-append');
+      return new Workload(scenario.generator).generate(this.getReplicaIds());
+    }
+
+    return scenario?.operations || [];
+  }
+
+  // Grow every replica to cover `size` bytes, a whole chunk at a time
+  ensureSize(size) {
+    const { chunkSize } = this.config;
+    const target = Math.ceil(size / chunkSize) * chunkSize;
+    Object.values(this.replicas).forEach(bytes => {
+      while (bytes.length < target) bytes.push(null);
+    });
+  }
+
+  // Replica ids that fail during a given attempt of an operation
+  getFailures(op, attempt) {
+    const failures = op.failures?.[attempt] || [];
+    return Array.isArray(failures) ? failures : [failures];
+  }
+
+  run() {
+    const sim = this.createSimulator();
+    const replicaIds = this.getReplicaIds();
+    const operations = this.getOperations();
+    let pending = [];
+    let batch = 0;
+    let end = 0; // Primary's end of file, where the next append lands
+
+    this.config = this.getConfig();
+    this.operations = operations;
+
+    this.replicas = Object.fromEntries(replicaIds.map(id => [id, []]));
+    this.results = new Map(operations.map(op => [op.id, {
+      id: op.id,
+      client: op.client || op.id,
+      type: op.type,
+      status: 'pending',
+      attempts: 0,
+      offset: null,
+      length: op.length,
+      batch: null,
+      padded: false
+    }]));
+
+    const apply = (offset, length, value, failing = []) => {
+      this.ensureSize(offset + length);
+      replicaIds.forEach(id => {
+        if (failing.includes(id)) return;
+        for (let i = offset; i < offset + length; i++) {
+          this.replicas[id][i] = value;
+        }
+      });
+    };
+
+    // Report the attempt to the client; failed attempts are retried
+    const finish = (op, attempt, offset, failing) => {
+      const result = this.results.get(op.id);
+      result.attempts = attempt + 1;
+      result.offset = offset;
+      result.batch = batch;
+
+      if (failing.length === 0) {
+        result.status = 'ok';
+        sim.emit('success', { op: op.id, offset, attempt });
+        return;
+      }
+
+      const maxRetries = op.maxRetries ?? this.config.maxRetries;
+      if (attempt < maxRetries) {
+        result.status = 'retrying';
+        sim.emit('retry', { op: op.id, offset, attempt, failing });
+        sim.schedule(this.config.retryDelay, () => submit(op, attempt + 1));
+      } else {
+        result.status = 'failed';
+        sim.emit('failure', { op: op.id, offset, attempt, failing });
+      }
+    };
+
+    // Record append: the primary picks the offset, padding out the chunk when
+    // the record would straddle a boundary
+    const append = (op, attempt) => {
+      const { chunkSize, unit } = this.config;
+      if (op.length > chunkSize) {
+        throw new Error(`Record ${op.id} (${op.length}${unit}) is larger than a chunk (${chunkSize}${unit})`);
+      }
+
+      const chunkEnd = (Math.floor(end / chunkSize) + 1) * chunkSize;
+      if (end + op.length > chunkEnd) {
+        apply(end, chunkEnd - end, 'pad');
+        sim.emit('pad', { op: op.id, offset: end, length: chunkEnd - end });
+        this.results.get(op.id).padded = true;
+        end = chunkEnd;
+      }
+
+      const offset = end;
+      const failing = this.getFailures(op, attempt);
+      end += op.length;
+      apply(offset, op.length, op.id, failing);
+      sim.emit('append', { op: op.id, offset, length: op.length, attempt, failing });
+      finish(op, attempt, offset, failing);
+    };
+
+    // Concurrent writes are split into fragments that the primary interleaves,
+    // so overlapping writes end up mingled (but identical on every replica)
+    const write = (entries) => {
+      const fragments = entries.map(({ op, attempt }) => {
+        const pieces = [];
+        for (let start = 0; start < op.length; start += this.config.fragmentSize) {
+          pieces.push({
+            op,
+            offset: op.offset + start,
+            length: Math.min(this.config.fragmentSize, op.length - start),
+            failing: this.getFailures(op, attempt)
+          });
+        }
+        return pieces;
+      });
+
+      const longest = Math.max(0, ...fragments.map(pieces => pieces.length));
+      for (let i = 0; i < longest; i++) {
+        fragments.forEach(pieces => {
+          const piece = pieces[i];
+          if (!piece) return;
+          apply(piece.offset, piece.length, piece.op.id, piece.failing);
+          sim.emit('write', { op: piece.op.id, offset: piece.offset, length: piece.length, failing: piece.failing });
+        });
+      }
+
+      entries.forEach(({ op, attempt }) => {
+        end = Math.max(end, op.offset + op.length);
+        finish(op, attempt, op.offset, this.getFailures(op, attempt));
+      });
+    };
+
+    // Everything submitted at the same instant is serialized by the primary together
+    const flush = () => {
+      const entries = pending;
+      pending = [];
+      batch++;
+
+      entries.filter(entry => entry.op.type === 'append').forEach(entry => append(entry.op, entry.attempt));
+      const writes = entries.filter(entry => entry.op.type !== 'append');
+      if (writes.length > 0) {
+        write(writes);
+      }
+    };
+
+    const submit = (op, attempt) => {
+      pending.push({ op, attempt });
+      if (pending.length === 1) {
+        sim.schedule(0, flush);
+      }
+    };
+
+    operations.forEach(op => sim.at(op.at || 0, () => submit(op, 0)));
+
+    this.trace = sim.run();
+    this.regions = this.classify();
+    return this.trace;
+  }
+
+  // A write is intact when every byte of its final extent still holds it on every replica
+  isIntact(result) {
+    if (result.offset === null) return false;
+    return Object.values(this.replicas).every(bytes => {
+      for (let i = result.offset; i < result.offset + result.length; i++) {
+        if (bytes[i] !== result.id) return false;
+      }
+      return true;
+    });
+  }
+
+  // Another mutation from the same batch overlapped this one's extent
+  isOverlapped(result) {
+    return Array.from(this.results.values()).some(other =>
+      other.id !== result.id &&
+      other.batch === result.batch &&
+      other.offset !== null &&
+      other.offset < result.offset + result.length &&
+      result.offset < other.offset + other.length
+    );
+  }
+
+  classifyByte(cells) {
+    if (cells.every(cell => cell === null)) return null;
+    if (cells.some(cell => cell !== cells[0])) return 'inconsistent';
+    if (cells[0] === 'pad') return 'padding';
+
+    const result = this.results.get(cells[0]);
+    const defined = result && result.status === 'ok' && this.isIntact(result) && !this.isOverlapped(result);
+    return defined ? 'defined' : 'undefined';
+  }
+
+  // Merge neighbouring bytes with the same class and contents into regions
+  classify() {
+    const replicaIds = Object.keys(this.replicas);
+    const size = Math.max(0, ...replicaIds.map(id => this.replicas[id].length));
+    const regions = [];
+
+    for (let i = 0; i < size; i++) {
+      const cells = replicaIds.map(id => this.replicas[id][i] ?? null);
+      const cls = this.classifyByte(cells);
+      const key = `${cls}|${cells.join(',')}`;
+      const last = regions[regions.length - 1];
+
+      if (last && last.key === key && last.end === i) {
+        last.end = i + 1;
+        continue;
+      }
+
+      regions.push({
+        key,
+        start: i,
+        end: i + 1,
+        class: cls,
+        cells: Object.fromEntries(replicaIds.map((id, index) => [id, cells[index]])),
+        ops: [...new Set(cells.filter(cell => cell !== null && cell !== 'pad'))]
+      });
+    }
+
+    const written = regions.filter(region => region.class !== null);
+
+    // The same record in more than one region is a retry duplicate
+    const seen = new Map();
+    written.forEach(region => region.ops.forEach(op => seen.set(op, (seen.get(op) || 0) + 1)));
+
+    return written.map(({ key, ...region }) => ({
+      ...region,
+      duplicate: region.ops.some(op => seen.get(op) > 1)
+    }));
+  }
+
+  // What a client reading this replica sees, e.g. "A,B,Pad,B"
+  describeReplica(replicaId) {
+    return this.regions
+      .map(region => {
+        const cell = region.cells[replicaId];
+        return cell === null ? '∅' : cell === 'pad' ? 'Pad' : cell;
+      })
+      .filter((label, index, labels) => !(label === '∅' && labels[index - 1] === '∅'))
+      .join(',');
+  }
+
+  // Offsets handed back to each client, flagging records that were written twice
+  getClientOffsets() {
+    const duplicates = new Set(this.regions.filter(r => r.duplicate).flatMap(r => r.ops));
+    const clients = {};
+
+    this.results.forEach(result => {
+      (clients[result.client] = clients[result.client] || []).push({
+        id: result.id,
+        offset: result.status === 'ok' ? result.offset : null,
+        length: result.length,
+        attempts: result.attempts,
+        status: result.status,
+        padded: result.padded,
+        duplicate: duplicates.has(result.id)
+      });
+    });
+
+    return clients;
+  }
+
+  getSummary() {
+    const summary = Object.fromEntries(Object.keys(ConsistencySimulation.classes).map(cls => [cls, 0]));
+    this.regions.forEach(region => {
+      summary[region.class] += region.end - region.start;
+    });
+    return summary;
+  }
+
+  // Relabel the client's read edges with what each replica now returns
+  applyToSpec(spec) {
+    if (this.trace.length === 0) {
+      this.run();
+    }
+
+    const replicaIds = Object.keys(this.replicas);
+
+    return {
+      ...spec,
+      edges: (spec.edges || []).map(edge => (
+        replicaIds.includes(edge.to) && edge.kind === 'data'
+          ? { ...edge, label: `Read: ${this.describeReplica(edge.to) || 'empty'}` }
+          : edge
+      )),
+      _simulation: {
+        model: 'consistency',
+        params: { ...this.params },
+        scenario: this.getScenarioKey(),
+        config: this.config,
+        operations: this.operations,
+        replicas: this.replicas,
+        results: Array.from(this.results.values()),
+        regions: this.regions,
+        summary: this.getSummary(),
+        clients: this.getClientOffsets(),
+        trace: this.trace
+      }
+    };
+  }
+}
+
+// Export for module systems, or make global
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ConsistencySimulation;
+} else {
+  window.ConsistencySimulation = ConsistencySimulation;
+}
+
+// === src/simulation/garbage-collection.js ===
+/**
+ * Garbage Collection Model
+ * Chunk version bumps on lease grant, stale replica detection from heartbeat
+ * reports, hidden-file renames on delete and periodic namespace scans. The
+ * simulated timeline is cut into frames that the scene builder turns into
+ * overlays. Time is in hours.
+ */
+class GarbageCollectionModel {
+  constructor(params = {}) {
+    this.params = { ...GarbageCollectionModel.defaults, ...params };
+    this.frames = [];
+    this.trace = [];
+  }
+
+  static get defaults() {
+    return {
+      chunkservers: [],    // Server ids
+      files: [],           // [{ path, chunks: [{ handle, replicas }] }]
+      heartbeatEvery: 1,   // Hours between chunkserver reports
+      scanEvery: 24,       // Hours between namespace scans
+      retention: 72,       // Hours a hidden file survives before its metadata is erased
+      timeline: [],        // [{ at, op: 'grantLease' | 'down' | 'up' | 'delete', handle?, server?, path? }]
+      scenarios: [],       // [{ id, name, from, to }] windows of the timeline to turn into scenes
+      until: null          // End of the run (defaults to the last event plus a full retention period)
+    };
+  }
+
+  static fromSpec(spec) {
+    return new GarbageCollectionModel(spec.garbageCollection || {});
+  }
+
+  createSimulator() {
+    const Simulator = typeof DiscreteEventSimulator !== 'undefined'
+      ? DiscreteEventSimulator
+      : require('./simulator');
+    return new Simulator();
+  }
+
+  getUntil() {
+    const { until, timeline, retention, scanEvery, heartbeatEvery } = this.params;
+    if (until !== null && until !== undefined) return until;
+    return Math.max(0, ...timeline.map(event => event.at)) + retention + scanEvery + heartbeatEvery;
+  }
+
+  createState() {
+    const files = new Map();
+    const chunks = new Map();
+    const servers = new Map(this.params.chunkservers.map(id => [id, { id, up: true, replicas: new Map() }]));
+
+    this.params.files.forEach((file, index) => {
+      files.set(file.path, { id: `F${index + 1}`, path: file.path, chunks: file.chunks.map(c => c.handle), deletedAt: null });
+      file.chunks.forEach(chunk => {
+        chunks.set(chunk.handle, { handle: chunk.handle, version: 1, locations: new Set(chunk.replicas) });
+        chunk.replicas.forEach(server => servers.get(server)?.replicas.set(chunk.handle, 1));
+      });
+    });
+
+    return { files, chunks, servers };
+  }
+
+  hiddenName(path, time) {
+    const slash = path.lastIndexOf('/');
+    return `${path.slice(0, slash + 1)}.deleted-${path.slice(slash + 1)}@${time}h`;
+  }
+
+  run() {
+    const sim = this.createSimulator();
+    const state = this.createState();
+    const { heartbeatEvery, scanEvery, retention, timeline } = this.params;
+    const until = this.getUntil();
+
+    this.frames = [];
+    const capture = (id, caption, narrative, messages = [], changed = []) => {
+      this.frames.push({ id, time: sim.now, caption: `t=${sim.now}h · ${caption}`, narrative, messages, changed, state: this.cloneState(state) });
+    };
+
+    // Lease grants bump the version on the master and on every reachable replica;
+    // a replica that is down keeps the old number and is stale from then on
+    const grantLease = ({ handle }) => {
+      const chunk = state.chunks.get(handle);
+      if (!chunk) throw new Error(`Unknown chunk: ${handle}`);
+
+      chunk.version++;
+      const reached = Array.from(chunk.locations).filter(id => state.servers.get(id).up);
+      const missed = Array.from(chunk.locations).filter(id => !state.servers.get(id).up);
+      reached.forEach(id => state.servers.get(id).replicas.set(handle, chunk.version));
+      sim.emit('grant', { handle, version: chunk.version, reached, missed });
+
+      capture(`grant-${handle}-v${chunk.version}`, `Lease on ${handle}: version ${chunk.version - 1} → ${chunk.version}`,
+        missed.length > 0
+          ? `The master records ${handle} v${chunk.version} and tells ${reached.join(', ')} before the mutation; ${missed.join(', ')} is down and keeps v${chunk.version - 1}`
+          : `The master records ${handle} v${chunk.version} and every replica bumps its copy before the mutation`,
+        reached.map(id => ({ from: 'Master', to: id, kind: 'control', label: `${handle} v${chunk.version}` })),
+        [handle, ...reached]);
+    };
+
+    const setServer = ({ server }, up) => {
+      state.servers.get(server).up = up;
+      sim.emit(up ? 'up' : 'down', { server });
+      capture(`${up ? 'up' : 'down'}-${server}-${sim.now}`, `${server} ${up ? 'restarts' : 'goes down'}`,
+        up ? `${server} comes back with whatever versions it had and reports them` : `${server} stops sending heartbeats; its replicas keep their versions`,
+        [], [server]);
+      if (up) heartbeat(server, true);
+    };
+
+    // Deletes only rename to a hidden name; nothing is reclaimed yet
+    const remove = ({ path }) => {
+      const file = state.files.get(path);
+      if (!file || file.deletedAt !== null) throw new Error(`Unknown file: ${path}`);
+
+      const hidden = this.hiddenName(path, sim.now);
+      state.files.delete(path);
+      state.files.set(hidden, { ...file, path: hidden, deletedAt: sim.now });
+      sim.emit('delete', { path, hidden });
+      capture(`delete-${file.id}`, `Delete ${path}`,
+        `The master logs the delete and renames the file to ${hidden}; its chunks stay on disk and it can still be undeleted`,
+        [], [file.id]);
+    };
+
+    // Chunkservers report (handle, version); the reply tells them what to drop
+    const heartbeat = (serverId, always = false) => {
+      const server = state.servers.get(serverId);
+      if (!server.up) return;
+
+      const stale = [];
+      const orphaned = [];
+      server.replicas.forEach((version, handle) => {
+        const chunk = state.chunks.get(handle);
+        if (!chunk) {
+          orphaned.push(handle);
+        } else if (version < chunk.version) {
+          stale.push(handle);
+          chunk.locations.delete(serverId);
+        } else {
+          chunk.locations.add(serverId);
+        }
+      });
+
+      if (stale.length === 0 && orphaned.length === 0 && !always) return;
+
+      const report = Array.from(server.replicas, ([handle, version]) => `${handle} v${version}`).join(', ') || 'no chunks';
+      const messages = [{ from: serverId, to: 'Master', kind: 'heartbeat', label: report }];
+      if (stale.length > 0 || orphaned.length > 0) {
+        messages.push({ from: 'Master', to: serverId, kind: 'control', label: `Delete ${[...stale, ...orphaned].join(', ')}` });
+      }
+
+      const notes = [
+        ...stale.map(handle => `${handle} v${server.replicas.get(handle)} is older than the master's v${state.chunks.get(handle).version}: stale, so it is dropped from the locations, deleted and re-replicated from a current copy`),
+        ...orphaned.map(handle => `${handle} belongs to no file any more: orphaned, so the master tells ${serverId} to delete it`)
+      ];
+      [...stale, ...orphaned].forEach(handle => server.replicas.delete(handle));
+
+      sim.emit('heartbeat', { server: serverId, stale, orphaned });
+      capture(`heartbeat-${serverId}-${sim.now}`, `${serverId} reports ${report}`,
+        notes.join('; ') || `Every replica on ${serverId} is current`,
+        messages, [serverId, ...stale]);
+    };
+
+    // Regular scans erase hidden files older than the retention period; their
+    // chunks become orphans that heartbeats clean up
+    const scan = () => {
+      const hidden = Array.from(state.files.values()).filter(file => file.deletedAt !== null);
+      if (hidden.length === 0) return;
+
+      const expired = hidden.filter(file => sim.now - file.deletedAt >= retention);
+      expired.forEach(file => {
+        state.files.delete(file.path);
+        file.chunks.forEach(handle => state.chunks.delete(handle));
+      });
+      sim.emit('scan', { hidden: hidden.map(f => f.path), expired: expired.map(f => f.path) });
+
+      const describe = file => `${file.path} is ${sim.now - file.deletedAt}h old`;
+      capture(`scan-${sim.now}`, expired.length > 0 ? `GC scan erases ${expired.map(f => f.path).join(', ')}` : 'GC scan keeps hidden files',
+        expired.length > 0
+          ? `${expired.map(describe).join(', ')} (retention ${retention}h): the metadata is erased and its chunks (${expired.flatMap(f => f.chunks).join(', ')}) are orphaned`
+          : `${hidden.map(describe).join(', ')}: younger than ${retention}h, so it stays recoverable`,
+        [], expired.length > 0 ? expired.flatMap(f => f.chunks) : hidden.map(f => f.id));
+    };
+
+    const handlers = { grantLease, delete: remove, down: e => setServer(e, false), up: e => setServer(e, true) };
+
+    capture('initial', 'Every replica is current', 'All chunks are at version 1 on every replica');
+
+    // Timeline events land before the periodic work scheduled for the same hour
+    timeline.forEach(event => {
+      if (!handlers[event.op]) throw new Error(`Unknown timeline operation: ${event.op}`);
+      sim.at(event.at, () => handlers[event.op](event));
+    });
+    for (let t = scanEvery; t <= until; t += scanEvery) {
+      sim.at(t, scan);
+    }
+    for (let t = heartbeatEvery; t <= until; t += heartbeatEvery) {
+      sim.at(t, () => state.servers.forEach((_, id) => heartbeat(id)));
+    }
+
+    this.trace = sim.run({ maxEvents: 100000 });
+    return this.frames;
+  }
+
+  cloneState(state) {
+    return {
+      files: Array.from(state.files.values(), file => ({ ...file, chunks: [...file.chunks] })),
+      chunks: Array.from(state.chunks.values(), chunk => ({ handle: chunk.handle, version: chunk.version, locations: Array.from(chunk.locations) })),
+      servers: Array.from(state.servers.values(), server => ({ id: server.id, up: server.up, replicas: Object.fromEntries(server.replicas) }))
+    };
+  }
+
+  // Frames inside each scenario's window, tagged with the scenario
+  getScenarioFrames() {
+    const scenarios = this.params.scenarios.length > 0
+      ? this.params.scenarios
+      : [{ id: 'timeline', name: 'Timeline', from: 0, to: Infinity }];
+
+    return scenarios.flatMap(scenario => {
+      const frames = this.frames.slice(1).filter(frame => frame.time >= scenario.from && frame.time <= scenario.to);
+      return frames.map((frame, index) => ({
+        ...frame,
+        id: `${scenario.id}-${index + 1}`,
+        caption: `${scenario.name} (${index + 1}/${frames.length}): ${frame.caption}`
+      }));
+    });
+  }
+
+  // Diagram for one frame: namespace and chunk versions on the master's side,
+  // replica versions on the chunkservers
+  toSpec(frame) {
+    const { files, chunks, servers } = frame.state;
+    const current = new Map(chunks.map(chunk => [chunk.handle, chunk.version]));
+
+    return {
+      nodes: [
+        { id: 'Master', type: 'master', label: 'Master' },
+        ...files.map(file => ({
+          id: file.id,
+          type: 'note',
+          label: `${file.deletedAt !== null ? '🗑️' : '📄'} ${file.path}`
+        })),
+        ...chunks.map(chunk => ({
+          id: chunk.handle,
+          type: 'note',
+          label: `${chunk.handle} v${chunk.version} · on ${chunk.locations.join(' ') || 'nothing'}`,
+          metadata: { chunk: chunk.handle, version: chunk.version }
+        })),
+        ...servers.map(server => {
+          const stale = Object.keys(server.replicas).filter(handle => current.has(handle) && server.replicas[handle] < current.get(handle));
+          const replicas = Object.entries(server.replicas)
+            .map(([handle, version]) => `${handle} v${version}${stale.includes(handle) ? ' stale' : !current.has(handle) ? ' orphan' : ''}`);
+          return {
+            id: server.id,
+            type: 'chunkserver',
+            label: `${server.id}${server.up ? '' : ' (down)'}: ${replicas.join(', ') || 'empty'}`,
+            metadata: { replicas: server.replicas, stale },
+            ...(server.up ? {} : { failure: 'crash' })
+          };
+        })
+      ],
+      edges: [
+        ...files.map(file => ({ id: `ns-${file.id}`, from: 'Master', to: file.id, kind: 'control', label: 'namespace' })),
+        ...files.flatMap(file => file.chunks.filter(handle => current.has(handle)).map((handle, index) => ({
+          id: `map-${file.id}-${index}`,
+          from: file.id,
+          to: handle,
+          kind: 'control',
+          label: `chunk ${index}`
+        }))),
+        ...frame.messages.map((message, index) => ({ id: `msg-${index}`, ...message }))
+      ]
+    };
+  }
+
+  expand(spec, composer) {
+    if (this.frames.length === 0) {
+      this.run();
+    }
+
+    const Builder = typeof SceneBuilder !== 'undefined' ? SceneBuilder : require('./scene-builder');
+    const frames = [this.frames[0], ...this.getScenarioFrames()].map(frame => ({ ...frame, ...this.toSpec(frame) }));
+
+    return {
+      ...new Builder(composer).build(spec, frames, { prefix: 'gc' }),
+      _generated: 'garbage-collection',
+      _garbageCollection: {
+        frames: frames.map(({ id, time, caption, narrative }) => ({ id, time, caption, narrative })),
+        trace: this.trace
+      }
+    };
+  }
+}
+
+// Export for module systems, or make global
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = GarbageCollectionModel;
+} else {
+  window.GarbageCollectionModel = GarbageCollectionModel;
+}
+
+// === src/simulation/heartbeat.js ===
+/**
+ * Heartbeat Monitor
+ * Chunkservers report to the master on a jittered interval; reports can be
+ * dropped. The master's view of each server (alive, suspect, dead) comes only
+ * from the reports it receives, so failure detection takes time. Declaring a
+ * server dead queues its chunks for re-replication, and a lost primary is
+ * replaced once the lease it last extended by heartbeat has run out.
+ */
+class HeartbeatMonitor {
+  constructor(params = {}) {
+    this.params = { ...HeartbeatMonitor.defaults, ...params };
+    this.sim = this.createSimulator();
+    this.listeners = new Set();
+    this.reset();
+  }
+
+  static get defaults() {
+    return {
+      seed: 1,
+      master: 'M',
+      chunkservers: [],    // Server ids
+      primaries: [],       // Servers holding a lease when the run starts
+      chunks: {},          // Server id -> chunk handles it stores
+      interval: 5,         // Seconds between heartbeats from each server
+      jitter: 0.2,         // Each gap varies by up to this fraction of the interval
+      dropRate: 0,         // Probability that a heartbeat is lost
+      latency: 0.1,        // Seconds from chunkserver to master
+      suspectAfter: 2,     // Missed intervals before the master suspects a server
+      deadAfter: 4,        // Missed intervals before the master declares it dead
+      leaseDuration: 60,   // Lease extensions ride on heartbeats
+      failures: []         // [{ at, node, type: 'crash' | 'partition', until? }]
+    };
+  }
+
+  // Watch the master and chunkservers of a (composed) spec
+  static fromSpec(spec, params = {}) {
+    const nodes = spec.nodes || [];
+    const servers = nodes.filter(n => n.type === 'chunkserver');
+    const isPrimary = node => node.metadata?.role === 'primary' || /primary/i.test(`${node.id} ${node.label || ''}`);
+    const held = node => node.metadata?.chunks || Object.keys(node.metadata?.replicas || {});
+
+    return new HeartbeatMonitor({
+      master: nodes.find(n => n.type === 'master')?.id,
+      chunkservers: servers.map(n => n.id),
+      primaries: servers.filter(isPrimary).map(n => n.id),
+      chunks: Object.fromEntries(servers.map(n => [n.id, held(n)])),
+      ...(spec.heartbeat || {}),
+      ...params
+    });
+  }
+
+  createSimulator() {
+    const Simulator = typeof DiscreteEventSimulator !== 'undefined'
+      ? DiscreteEventSimulator
+      : require('./simulator');
+    return new Simulator();
+  }
+
+  get now() {
+    return this.sim.now;
+  }
+
+  reset() {
+    this.sim.reset();
+    this.random = this.sim.constructor.createRandom(this.params.seed);
+    this.messages = [];
+    this.nodes = new Map(this.params.chunkservers.map(id => [id, {
+      id,
+      actual: 'up',           // What is really happening
+      status: 'alive',        // What the master believes
+      primary: this.params.primaries.includes(id),
+      leaseExpiresAt: this.params.primaries.includes(id) ? this.params.leaseDuration : null,
+      lastSeen: 0,
+      failedAt: null,
+      detectedAt: null,
+      sent: 0,
+      delivered: 0,
+      dropped: 0,
+      deadlines: []
+    }]));
+
+    this.nodes.forEach(node => {
+      this.watch(node);
+      // Servers start out of phase, so reports do not arrive in lockstep
+      this.sim.schedule(this.random() * this.params.interval, () => this.send(node), `send-${node.id}`);
+    });
+
+    this.params.failures.forEach(failure => {
+      this.sim.at(failure.at || 0, () => this.fail(failure.node, failure.type || 'crash'));
+      if (failure.until !== undefined) {
+        this.sim.at(failure.until, () => this.recover(failure.node));
+      }
+    });
+
+    this.notify();
+  }
+
+  onChange(callback) {
+    this.listeners.add(callback);
+    return () => this.listeners.delete(callback);
+  }
+
+  notify() {
+    const snapshot = this.getSnapshot();
+    this.listeners.forEach(callback => {
+      try {
+        callback(snapshot);
+      } catch (error) {
+        console.error('Error in heartbeat listener:', error);
+      }
+    });
+  }
+
+  nextGap() {
+    const { interval, jitter } = this.params;
+    return Math.max(0.1, interval * (1 + jitter * (2 * this.random() - 1)));
+  }
+
+  send(node) {
+    this.sim.schedule(this.nextGap(), () => this.send(node), `send-${node.id}`);
+    if (node.actual === 'crashed') return;
+
+    node.sent++;
+    const lost = node.actual === 'partitioned' || this.random() < this.params.dropRate;
+    const message = { node: node.id, seq: node.sent, sentAt: this.now, arrivesAt: this.now + this.params.latency, lost };
+    this.messages.push(message);
+    this.messages = this.messages.slice(-100);
+
+    if (lost) {
+      node.dropped++;
+      this.sim.emit('drop', { node: node.id, seq: message.seq, cause: node.actual === 'partitioned' ? 'partition' : 'loss' });
+      return;
+    }
+    this.sim.schedule(this.params.latency, () => this.receive(node, message), `receive-${node.id}`);
+  }
+
+  receive(node, message) {
+    node.delivered++;
+    node.lastSeen = this.now;
+    this.sim.emit('heartbeat', { node: node.id, seq: message.seq });
+
+    if (node.status === 'dead') {
+      // The server was alive all along if it never actually failed
+      this.sim.emit('rejoin', { node: node.id, falsePositive: node.failedAt === null });
+    }
+    node.status = 'alive';
+    node.detectedAt = null;
+
+    // Lease extension requests are piggybacked on the heartbeat
+    if (node.primary) {
+      node.leaseExpiresAt = this.now + this.params.leaseDuration;
+    }
+
+    this.watch(node);
+    this.notify();
+  }
+
+  // Suspect and dead deadlines restart with every report that arrives
+  watch(node) {
+    const { interval, suspectAfter, deadAfter } = this.params;
+    node.deadlines.forEach(event => this.sim.cancel(event));
+    node.deadlines = [
+      this.sim.at(node.lastSeen + suspectAfter * interval, () => this.suspect(node), `suspect-${node.id}`),
+      this.sim.at(node.lastSeen + deadAfter * interval, () => this.declareDead(node), `dead-${node.id}`)
+    ];
+  }
+
+  suspect(node) {
+    node.status = 'suspect';
+    this.sim.emit('suspect', { node: node.id, silentFor: this.now - node.lastSeen });
+    this.notify();
+  }
+
+  declareDead(node) {
+    node.status = 'dead';
+    node.detectedAt = this.now;
+    this.sim.emit('dead', {
+      node: node.id,
+      detectionTime: node.failedAt !== null ? this.now - node.failedAt : null
+    });
+
+    // Every chunk on the server is now short a replica
+    const chunks = this.params.chunks[node.id] || [];
+    this.sim.emit('rereplicate', { node: node.id, chunks });
+
+    // A new primary may only be chosen once the old lease has surely run out
+    if (node.primary) {
+      const at = Math.max(this.now, node.leaseExpiresAt ?? this.now);
+      this.sim.emit('lease-wait', { node: node.id, until: at });
+      this.sim.at(at, () => this.regrant(node), `regrant-${node.id}`);
+    }
+
+    this.notify();
+  }
+
+  regrant(node) {
+    if (node.status !== 'dead' || !node.primary) return;
+
+    const successor = Array.from(this.nodes.values()).find(n => n !== node && n.status === 'alive' && !n.primary);
+    node.primary = false;
+    node.leaseExpiresAt = null;
+    if (successor) {
+      successor.primary = true;
+      successor.leaseExpiresAt = this.now + this.params.leaseDuration;
+    }
+    this.sim.emit('lease-grant', { from: node.id, to: successor?.id || null });
+    this.notify();
+  }
+
+  fail(id, type = 'crash') {
+    const node = this.nodes.get(id);
+    if (!node) return;
+
+    node.actual = type === 'partition' ? 'partitioned' : 'crashed';
+    node.failedAt = this.now;
+    this.sim.emit('fail', { node: id, failure: type });
+    this.notify();
+  }
+
+  recover(id) {
+    const node = this.nodes.get(id);
+    if (!node || node.actual === 'up') return;
+
+    node.actual = 'up';
+    node.failedAt = null;
+    this.sim.emit('recover', { node: id });
+    this.notify();
+  }
+
+  // Parameter changes apply from each server's next heartbeat on
+  setParam(field, value) {
+    this.params[field] = value;
+    this.notify();
+  }
+
+  advanceTo(time) {
+    if (time <= this.now) return;
+    this.sim.run({ until: time, maxEvents: 100000 });
+    this.notify();
+  }
+
+  advance(seconds) {
+    this.advanceTo(this.now + seconds);
+  }
+
+  // Worst case from a crash to the master declaring it: the last report can
+  // arrive just before the crash, then deadAfter intervals of silence
+  getDetectionBound() {
+    return this.params.deadAfter * this.params.interval + this.params.latency;
+  }
+
+  getSnapshot() {
+    return {
+      time: this.now,
+      nodes: Array.from(this.nodes.values(), ({ deadlines, ...node }) => ({
+        ...node,
+        silentFor: this.now - node.lastSeen,
+        missed: Math.floor((this.now - node.lastSeen) / this.params.interval)
+      })),
+      lastMessages: Object.fromEntries(this.messages.map(m => [m.node, m])),
+      events: this.sim.log.slice(-20),
+      detectionBound: this.getDetectionBound()
+    };
+  }
+
+  describeStatus(node) {
+    switch (node.status) {
+      case 'suspect': return `❓ suspect (${Math.floor(node.silentFor)}s silent)`;
+      case 'dead': return '💀 declared dead';
+      default: return `💓 alive (${Math.floor(node.silentFor)}s ago)`;
+    }
+  }
+
+  // Show the master's view on a composed spec and draw each server's latest report
+  decorate(spec) {
+    const snapshot = this.getSnapshot();
+    const views = new Map(snapshot.nodes.map(node => [node.id, node]));
+    const master = this.params.master;
+    const existing = new Map((spec.edges || [])
+      .filter(edge => edge.kind === 'heartbeat' && edge.to === master)
+      .map(edge => [edge.from, edge.id]));
+
+    const labels = new Map();
+    views.forEach((view, id) => {
+      const message = snapshot.lastMessages[id];
+      if (!message || view.actual === 'crashed') return;
+      labels.set(existing.get(id) || `heartbeat-${id}`, message.lost ? `✗ #${message.seq} lost` : `💓 #${message.seq}`);
+    });
+
+    const nodes = (spec.nodes || []).map(node => {
+      const view = views.get(node.id);
+      if (!view) return node;
+      return {
+        ...node,
+        label: `${node.label} · ${this.describeStatus(view)}${view.primary ? ' · lease' : ''}`,
+        ...(view.status !== 'alive' ? { _highlighted: true } : {})
+      };
+    });
+
+    const edges = (spec.edges || []).map(edge => (
+      labels.has(edge.id) ? { ...edge, label: labels.get(edge.id) } : edge
+    ));
+
+    // Sequence diagrams would append reports as extra messages, so only flows get new edges
+    if (spec.layout?.type !== 'sequence' && master) {
+      views.forEach((_, id) => {
+        const edgeId = `heartbeat-${id}`;
+        if (existing.has(id) || !labels.has(edgeId)) return;
+        edges.push({ id: edgeId, from: id, to: master, kind: 'heartbeat', label: labels.get(edgeId) });
+      });
+    }
+
+    return {
+      ...spec,
+      nodes,
+      edges,
+      // Labels change every tick; keep these frames out of the render cache
+      _simulation: { ...(spec._simulation || {}), live: true },
+      _heartbeat: { time: snapshot.time, nodes: snapshot.nodes }
+    };
+  }
+}
+
+// Export for module systems, or make global
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = HeartbeatMonitor;
+} else {
+  window.HeartbeatMonitor = HeartbeatMonitor;
+}
+
+// === src/simulation/lease.js ===
+/**
+ * Lease State Machine
+ * Interprets a state-layout spec as an executable state machine. Timing guards
+ * are parsed from edge labels ("50s elapsed", "No response (10s)") and run on
+ * the discrete-event simulator, which follows a VirtualClock.
+ */
+class LeaseStateMachine {
+  constructor(spec, params = {}) {
+    this.spec = spec;
+    this.params = { ...LeaseStateMachine.defaults, ...params };
+    this.states = (spec.nodes || []).filter(n => n.type === 'state');
+    this.transitions = (spec.edges || [])
+      .filter(e => this.states.some(s => s.id === e.from))
+      .map(edge => ({ ...edge, guard: this.parseGuard(edge) }));
+
+    this.sim = this.createSimulator();
+    this.listeners = new Set();
+    this.reset();
+  }
+
+  static get defaults() {
+    return {
+      initialState: null,   // Defaults to the first state node
+      autoFire: {},         // Event edge id -> seconds after entering its source state
+      disabled: []          // Event edge ids that never auto-fire
+    };
+  }
+
+  static fromSpec(spec) {
+    return new LeaseStateMachine(spec, spec.simulation?.params || {});
+  }
+
+  createSimulator() {
+    const Simulator = typeof DiscreteEventSimulator !== 'undefined'
+      ? DiscreteEventSimulator
+      : require('./simulator');
+    return new Simulator();
+  }
+
+  // Parse "10s", "500ms", "2min" into seconds
+  parseDuration(text) {
+    const match = /(\d+(?:\.\d+)?)\s*(ms|s|sec|min|m)\b/i.exec(text || '');
+    if (!match) return null;
+
+    const value = parseFloat(match[1]);
+    const unit = match[2].toLowerCase();
+    if (unit === 'ms') return value / 1000;
+    if (unit === 'min' || unit === 'm') return value * 60;
+    return value;
+  }
+
+  // Work out what makes a transition fire:
+  //   timer - "<n>s elapsed" or "No response (<n>s)", measured from entering the source state
+  //   event - anything else; fired by the learner or by params.autoFire
+  // Event labels that grant or extend the lease also carry the lease duration.
+  parseGuard(edge) {
+    if (edge.guard?.type) {
+      return edge.guard;
+    }
+
+    if (edge.guard) {
+      return {
+        type: edge.guard.after != null ? 'timer' : 'event',
+        after: this.parseDuration(String(edge.guard.after ?? '')),
+        grants: edge.guard.grants != null ? this.parseDuration(String(edge.guard.grants)) : null
+      };
+    }
+
+    const label = edge.label || '';
+    const duration = this.parseDuration(label);
+
+    if (duration !== null && /elapsed|timeout|timed out|no response/i.test(label)) {
+      return { type: 'timer', after: duration, grants: null };
+    }
+
+    if (/grant|renew|extension/i.test(label)) {
+      return { type: 'event', after: null, grants: duration ?? 'previous' };
+    }
+
+    return { type: 'event', after: null, grants: null };
+  }
+
+  reset() {
+    this.sim.reset();
+    this.current = null;
+    this.enteredAt = 0;
+    this.leaseDuration = null;
+    this.leaseExpiresAt = null;
+    this.lastTransition = null;
+    this.history = [];
+    this.pending = [];
+
+    const initial = this.params.initialState || this.states[0]?.id;
+    if (initial) {
+      this.enter(initial, null);
+    }
+  }
+
+  get now() {
+    return this.sim.now;
+  }
+
+  onChange(callback) {
+    this.listeners.add(callback);
+    return () => this.listeners.delete(callback);
+  }
+
+  notify() {
+    const snapshot = this.getSnapshot();
+    this.listeners.forEach(callback => {
+      try {
+        callback(snapshot);
+      } catch (error) {
+        console.error('Error in lease listener:', error);
+      }
+    });
+  }
+
+  enter(stateId, transition) {
+    // Leaving the current state cancels its timers and auto-fired events
+    this.pending.forEach(event => this.sim.cancel(event));
+    this.pending = [];
+
+    if (transition?.guard.grants) {
+      const grant = transition.guard.grants === 'previous'
+        ? this.leaseDuration
+        : transition.guard.grants;
+      if (grant) {
+        this.leaseDuration = grant;
+        this.leaseExpiresAt = this.now + grant;
+      }
+    }
+
+    if (stateId === (this.params.initialState || this.states[0]?.id)) {
+      this.leaseExpiresAt = null;
+    }
+
+    this.current = stateId;
+    this.enteredAt = this.now;
+    this.lastTransition = transition?.id || null;
+    this.history.push({ time: this.now, state: stateId, via: this.lastTransition });
+    this.sim.emit('enter', { state: stateId, via: this.lastTransition });
+
+    for (const t of this.getOutgoing(stateId)) {
+      let delay = null;
+      if (t.guard.type === 'timer') {
+        delay = t.guard.after;
+      } else if (this.params.autoFire[t.id] !== undefined && !this.params.disabled.includes(t.id)) {
+        delay = this.params.autoFire[t.id];
+      }
+
+      if (delay !== null) {
+        this.pending.push(this.sim.schedule(delay, () => this.take(t), t.id));
+      }
+    }
+
+    this.notify();
+  }
+
+  take(transition) {
+    if (transition.from !== this.current) return false;
+    this.enter(transition.to, transition);
+    return true;
+  }
+
+  getOutgoing(stateId = this.current) {
+    return this.transitions.filter(t => t.from === stateId);
+  }
+
+  // Event transitions the learner can trigger from the current state
+  getAvailableEvents() {
+    return this.getOutgoing().filter(t => t.guard.type === 'event');
+  }
+
+  fire(edgeId) {
+    const transition = this.getOutgoing().find(t => t.id === edgeId);
+    if (!transition || transition.guard.type !== 'event') return false;
+    return this.take(transition);
+  }
+
+  // Advance simulated time to an absolute clock reading (seconds)
+  advanceTo(time) {
+    if (time <= this.now) return;
+    const before = this.now;
+    this.sim.run({ until: time });
+    if (this.sim.now !== before) {
+      this.notify();
+    }
+  }
+
+  advance(seconds) {
+    this.advanceTo(this.now + seconds);
+  }
+
+  setAutoFire(edgeId, enabled) {
+    const disabled = new Set(this.params.disabled);
+    if (enabled) {
+      disabled.delete(edgeId);
+    } else {
+      disabled.add(edgeId);
+    }
+    this.params.disabled = Array.from(disabled);
+  }
+
+  getRemainingLease() {
+    if (this.leaseExpiresAt === null) return null;
+    return Math.max(0, this.leaseExpiresAt - this.now);
+  }
+
+  // Time until the next scheduled transition out of the current state
+  getNextDeadline() {
+    const next = this.pending
+      .filter(event => this.sim.queue.includes(event))
+      .sort((a, b) => a.time - b.time)[0];
+    return next ? { edgeId: next.label, in: next.time - this.now } : null;
+  }
+
+  getSnapshot() {
+    return {
+      time: this.now,
+      state: this.current,
+      timeInState: this.now - this.enteredAt,
+      remainingLease: this.getRemainingLease(),
+      lastTransition: this.lastTransition,
+      nextDeadline: this.getNextDeadline(),
+      history: [...this.history]
+    };
+  }
+
+  // Mark the active state and last transition on a (composed) spec
+  decorate(spec) {
+    const remaining = this.getRemainingLease();
+
+    return {
+      ...spec,
+      nodes: (spec.nodes || []).map(node => {
+        if (node.id !== this.current) return node;
+        return {
+          ...node,
+          label: remaining !== null ? `${node.label} · ${Math.ceil(remaining)}s left` : node.label,
+          _highlighted: true
+        };
+      }),
+      edges: (spec.edges || []).map(edge => (
+        edge.id === this.lastTransition ? { ...edge, _highlighted: true } : edge
+      )),
+      _simulation: {
+        ...(spec._simulation || {}),
+        model: 'lease',
+        live: true,
+        state: this.current
+      }
+    };
+  }
+
+  // Attach the parsed guards so the rest of the app can inspect them
+  applyToSpec(spec) {
+    const guards = new Map(this.transitions.map(t => [t.id, t.guard]));
+
+    return {
+      ...spec,
+      edges: (spec.edges || []).map(edge => (
+        guards.has(edge.id) ? { ...edge, guard: guards.get(edge.id) } : edge
+      )),
+      _simulation: {
+        model: 'lease',
+        params: { ...this.params },
+        initialState: this.current
+      }
+    };
+  }
+}
+
+// Export for module systems, or make global
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = LeaseStateMachine;
+} else {
+  window.LeaseStateMachine = LeaseStateMachine;
+}
+
+// === src/simulation/placement.js ===
+/**
+ * Chunk Placement Simulation
+ * Places chunk replicas across racks of chunkservers with GFS's rack-spreading
+ * policy, then fails servers and re-replicates under-replicated chunks, fewest
+ * live replicas first, within a cloning bandwidth budget.
+ */
+class ClusterPlacementSimulation {
+  constructor(params = {}) {
+    this.params = { ...ClusterPlacementSimulation.defaults, ...params };
+    this.servers = new Map();
+    this.chunks = new Map();
+    this.frames = [];
+    this.series = [];
+    this.clones = [];
+    this.trace = [];
+  }
+
+  static get defaults() {
+    return {
+      seed: 1,
+      racks: 3,              // Racks are named A, B, C...
+      serversPerRack: 3,
+      diskCapacity: 8,       // Chunks a server can hold
+      chunks: 12,
+      replicas: 3,           // Replication goal per chunk
+      bandwidth: 2,          // Clones in flight across the cluster
+      perServerBandwidth: 1, // Clones a single source can stream at once
+      cloneTime: 1,          // Ticks to copy one chunk
+      failures: [],          // [{ at, server } | { at, rack }]
+      horizon: 40            // Give up after this many ticks
+    };
+  }
+
+  static fromSpec(spec) {
+    return new ClusterPlacementSimulation(spec.simulation?.params || {});
+  }
+
+  createSimulator() {
+    const Simulator = typeof DiscreteEventSimulator !== 'undefined'
+      ? DiscreteEventSimulator
+      : require('./simulator');
+    return new Simulator();
+  }
+
+  getRackIds() {
+    const count = Math.max(1, Math.min(26, Math.floor(this.params.racks)));
+    return Array.from({ length: count }, (_, i) => String.fromCharCode(65 + i));
+  }
+
+  createCluster() {
+    const { serversPerRack, diskCapacity, chunks } = this.params;
+
+    this.servers = new Map();
+    this.getRackIds().forEach(rack => {
+      for (let i = 1; i <= Math.max(1, Math.floor(serversPerRack)); i++) {
+        const id = `${rack}${i}`;
+        this.servers.set(id, { id, rack, alive: true, capacity: diskCapacity, chunks: new Set(), reserved: 0 });
+      }
+    });
+
+    this.chunks = new Map();
+    for (let i = 1; i <= chunks; i++) {
+      this.chunks.set(`c${i}`, { id: `c${i}`, locations: [], pending: 0 });
+    }
+  }
+
+  getUsed(server) {
+    return server.chunks.size + server.reserved;
+  }
+
+  // GFS placement: spread replicas across racks, then prefer the emptiest
+  // disks. Candidates are shuffled first so ties break by seed, not by name.
+  chooseTarget(chunk, exclude = []) {
+    const holders = new Set([...chunk.locations, ...exclude]);
+    const racks = new Set(Array.from(holders, id => this.servers.get(id).rack));
+    const candidates = Array.from(this.servers.values())
+      .filter(server => server.alive && !holders.has(server.id) && this.getUsed(server) < server.capacity);
+
+    for (let i = candidates.length - 1; i > 0; i--) {
+      const j = Math.floor(this.random() * (i + 1));
+      [candidates[i], candidates[j]] = [candidates[j], candidates[i]];
+    }
+
+    candidates.sort((a, b) =>
+      Number(racks.has(a.rack)) - Number(racks.has(b.rack)) ||
+      this.getUsed(a) / a.capacity - this.getUsed(b) / b.capacity
+    );
+
+    return candidates[0] || null;
+  }
+
+  placeInitial() {
+    this.chunks.forEach(chunk => {
+      for (let r = 0; r < this.params.replicas; r++) {
+        const target = this.chooseTarget(chunk);
+        if (!target) break;
+        target.chunks.add(chunk.id);
+        chunk.locations.push(target.id);
+      }
+    });
+  }
+
+  getLiveCount(chunk) {
+    return chunk.locations.filter(id => this.servers.get(id).alive).length;
+  }
+
+  // Chunks below the replication goal that still have a live copy to clone,
+  // most endangered first
+  getRepairQueue() {
+    return Array.from(this.chunks.values())
+      .filter(chunk => {
+        const live = this.getLiveCount(chunk);
+        return live > 0 && live + chunk.pending < this.params.replicas;
+      })
+      .sort((a, b) => this.getLiveCount(a) - this.getLiveCount(b) || this.compareIds(a.id, b.id));
+  }
+
+  compareIds(a, b) {
+    return a.localeCompare(b, undefined, { numeric: true });
+  }
+
+  failServers(sim, failure) {
+    const victims = Array.from(this.servers.values())
+      .filter(server => server.alive && (server.id === failure.server || server.rack === failure.rack));
+
+    victims.forEach(server => {
+      server.alive = false;
+      sim.emit('fail', { server: server.id, rack: server.rack });
+    });
+  }
+
+  run() {
+    const sim = this.createSimulator();
+    const { failures, bandwidth, perServerBandwidth, cloneTime, horizon } = this.params;
+    const lastFailure = Math.max(0, ...failures.map(f => f.at || 0));
+    const inFlight = [];
+
+    this.random = sim.constructor.createRandom(this.params.seed);
+    this.createCluster();
+    this.placeInitial();
+    this.frames = [];
+    this.series = [];
+    this.clones = [];
+
+    const complete = (clone) => {
+      inFlight.splice(inFlight.indexOf(clone), 1);
+      const chunk = this.chunks.get(clone.chunk);
+      const source = this.servers.get(clone.from);
+      const target = this.servers.get(clone.to);
+
+      chunk.pending--;
+      target.reserved--;
+      clone.finishedAt = sim.now;
+
+      // A clone dies with either end; the chunk simply goes back on the queue
+      if (!source.alive || !target.alive) {
+        clone.status = 'aborted';
+        sim.emit('abort', { chunk: chunk.id, from: source.id, to: target.id });
+        return;
+      }
+
+      clone.status = 'done';
+      target.chunks.add(chunk.id);
+      chunk.locations.push(target.id);
+      sim.emit('cloned', { chunk: chunk.id, from: source.id, to: target.id });
+    };
+
+    // Start as many clones as the cluster and per-source budgets allow
+    const schedule = () => {
+      for (const chunk of this.getRepairQueue()) {
+        if (inFlight.length >= bandwidth) break;
+
+        const source = chunk.locations
+          .map(id => this.servers.get(id))
+          .filter(server => server.alive && inFlight.filter(c => c.from === server.id).length < perServerBandwidth)
+          .sort((a, b) => this.getUsed(a) - this.getUsed(b))[0];
+        if (!source) continue;
+
+        const target = this.chooseTarget(chunk, inFlight.filter(c => c.chunk === chunk.id).map(c => c.to));
+        if (!target) continue;
+
+        const clone = { chunk: chunk.id, from: source.id, to: target.id, live: this.getLiveCount(chunk), startedAt: sim.now, status: 'copying' };
+        chunk.pending++;
+        target.reserved++;
+        inFlight.push(clone);
+        this.clones.push(clone);
+        sim.emit('clone', { chunk: chunk.id, from: source.id, to: target.id, live: clone.live });
+        sim.schedule(cloneTime, () => complete(clone));
+      }
+    };
+
+    const tick = () => {
+      schedule();
+      this.snapshot(sim, inFlight);
+
+      const idle = inFlight.length === 0 && this.getRepairQueue().length === 0;
+      if (sim.now < horizon && (sim.now < lastFailure || !idle)) {
+        sim.schedule(1, tick);
+      }
+    };
+
+    // Failures are queued first so they land before the tick at the same time
+    failures.forEach(failure => sim.at(failure.at || 0, () => this.failServers(sim, failure)));
+    sim.at(0, tick);
+
+    this.trace = sim.run();
+    return this.frames;
+  }
+
+  snapshot(sim, inFlight) {
+    const time = sim.now;
+    const byLive = {};
+    let underReplicated = 0;
+    let lost = 0;
+
+    const chunks = Array.from(this.chunks.values()).map(chunk => {
+      const live = this.getLiveCount(chunk);
+      byLive[live] = (byLive[live] || 0) + 1;
+      if (live === 0) lost++;
+      else if (live < this.params.replicas) underReplicated++;
+      return { id: chunk.id, live, locations: chunk.locations.filter(id => this.servers.get(id).alive) };
+    });
+
+    this.frames.push({
+      time,
+      servers: Array.from(this.servers.values()).map(server => ({
+        id: server.id,
+        rack: server.rack,
+        alive: server.alive,
+        capacity: server.capacity,
+        chunks: Array.from(server.chunks).sort(this.compareIds)
+      })),
+      chunks,
+      clones: inFlight.map(({ chunk, from, to, live }) => ({ chunk, from, to, live })),
+      events: sim.log.filter(entry => entry.time === time)
+    });
+    this.series.push({ time, underReplicated, lost, byLive });
+  }
+
+  getSummary() {
+    const last = this.series[this.series.length - 1];
+    const peak = Math.max(0, ...this.series.map(point => point.underReplicated));
+    return {
+      finishedAt: last?.time || 0,
+      peakUnderReplicated: peak,
+      lost: last?.lost || 0,
+      cloned: this.clones.filter(clone => clone.status === 'done').length,
+      aborted: this.clones.filter(clone => clone.status === 'aborted').length
+    };
+  }
+
+  // One matrix diagram per frame: racks as subgraphs, servers labelled with
+  // their fill and chunks, clones in flight as edges
+  static toMatrixSpec(frame, base = {}) {
+    const cloning = new Set(frame.clones.map(clone => clone.to));
+
+    return {
+      id: `${base.id || 'cluster'}-placement`,
+      title: `${base.title || 'Cluster'} · t=${frame.time}`,
+      layout: { type: 'matrix' },
+      nodes: [
+        { id: 'Master', type: 'master', label: 'Master' },
+        ...frame.servers.map(server => ({
+          id: server.id,
+          type: 'chunkserver',
+          rack: `Rack ${server.rack}`,
+          label: `${server.id} ${server.chunks.length}/${server.capacity}: ${server.chunks.join(' ') || 'empty'}`,
+          ...(server.alive ? {} : { failure: 'crash' }),
+          ...(cloning.has(server.id) ? { _highlighted: true } : {})
+        }))
+      ],
+      edges: frame.clones.map((clone, index) => ({
+        id: `clone-${index}`,
+        from: clone.from,
+        to: clone.to,
+        kind: 'data',
+        label: `${clone.chunk} (${clone.live} live)`
+      })),
+      _simulation: { model: 'placement', live: true }
+    };
+  }
+
+  applyToSpec(spec) {
+    if (this.frames.length === 0) {
+      this.run();
+    }
+
+    return {
+      ...spec,
+      _simulation: {
+        model: 'placement',
+        params: { ...this.params },
+        racks: this.getRackIds(),
+        frames: this.frames,
+        series: this.series,
+        clones: this.clones,
+        summary: this.getSummary(),
+        trace: this.trace
+      }
+    };
+  }
+}
+
+// Export for module systems, or make global
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ClusterPlacementSimulation;
+} else {
+  window.ClusterPlacementSimulation = ClusterPlacementSimulation;
+}
+
+// === src/simulation/record-append.js ===
+/**
+ * Record Append Workload
+ * Seeded generator of concurrent record appends from several clients, with
+ * per-attempt replica failures. The same seed always yields the same workload.
+ */
+class RecordAppendWorkload {
+  constructor(options = {}) {
+    this.options = { ...RecordAppendWorkload.defaults, ...options };
+    this.random = this.getSimulatorClass().createRandom(this.options.seed);
+  }
+
+  static get defaults() {
+    return {
+      seed: 1,
+      clients: 3,
+      recordsPerClient: 3,
+      minRecordSize: 4,
+      maxRecordSize: 16,
+      failureProbability: 0.2,  // Chance that an attempt fails on one replica
+      maxRetries: 3
+    };
+  }
+
+  getSimulatorClass() {
+    return typeof DiscreteEventSimulator !== 'undefined'
+      ? DiscreteEventSimulator
+      : require('./simulator');
+  }
+
+  randomInt(min, max) {
+    return min + Math.floor(this.random() * (max - min + 1));
+  }
+
+  getClientIds() {
+    const count = Math.max(1, Math.min(26, Math.floor(this.options.clients)));
+    return Array.from({ length: count }, (_, i) => String.fromCharCode(65 + i));
+  }
+
+  // Failure plan for one record: each attempt fails on a random replica with
+  // failureProbability, and retries stop after the first clean attempt
+  drawFailures(replicaIds) {
+    const failures = [];
+    for (let attempt = 0; attempt <= this.options.maxRetries; attempt++) {
+      if (this.random() >= this.options.failureProbability) break;
+      failures.push([replicaIds[this.randomInt(0, replicaIds.length - 1)]]);
+    }
+    return failures;
+  }
+
+  // Round r of every client is issued at time r, in a seeded order, so the
+  // primary serializes each round's appends together
+  generate(replicaIds) {
+    const { recordsPerClient, minRecordSize, maxRecordSize, maxRetries } = this.options;
+    const operations = [];
+
+    for (let round = 0; round < recordsPerClient; round++) {
+      const clients = this.getClientIds();
+      for (let i = clients.length - 1; i > 0; i--) {
+        const j = this.randomInt(0, i);
+        [clients[i], clients[j]] = [clients[j], clients[i]];
+      }
+
+      clients.forEach(client => {
+        operations.push({
+          id: `${client}${round + 1}`,
+          client,
+          type: 'append',
+          length: this.randomInt(minRecordSize, maxRecordSize),
+          at: round,
+          maxRetries,
+          failures: this.drawFailures(replicaIds)
+        });
+      });
+    }
+
+    return operations;
+  }
+}
+
+// Export for module systems, or make global
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RecordAppendWorkload;
+} else {
+  window.RecordAppendWorkload = RecordAppendWorkload;
+}
+
+// === src/simulation/recovery.js ===
+/**
+ * Master Recovery Simulation
+ * Runs a scripted metadata workload through the master's operation log with
+ * periodic checkpoints, crashes the master and replays it step by step.
+ * Chunk locations are never logged; they come back from chunkserver reports.
+ */
+class MasterRecoverySimulation {
+  constructor(params = {}) {
+    this.params = { ...MasterRecoverySimulation.defaults, ...params };
+    this.log = [];
+    this.checkpoints = [];
+    this.replay = [];
+    this.shadows = [];
+  }
+
+  static get defaults() {
+    return {
+      checkpointEvery: 5,   // Log records between checkpoints
+      crashAt: null,        // Records applied before the crash (defaults to the whole workload)
+      chunkservers: [],     // Servers that report their chunks after replay
+      shadows: [],          // [{ id, lag }] read-only masters trailing the log
+      workload: []          // [{ op, path, ... }] metadata mutations, one log record each
+    };
+  }
+
+  static fromSpec(spec) {
+    return new MasterRecoverySimulation(spec.simulation?.params || {});
+  }
+
+  getCrashPoint() {
+    const { crashAt, workload } = this.params;
+    if (crashAt === null || crashAt === undefined) return workload.length;
+    return Math.max(0, Math.min(workload.length, Math.floor(crashAt)));
+  }
+
+  createState() {
+    return { namespace: new Map(), chunks: new Map() };
+  }
+
+  cloneState(state) {
+    return {
+      namespace: new Map(Array.from(state.namespace, ([path, entry]) => [path, { ...entry, chunks: [...entry.chunks] }])),
+      chunks: new Map(Array.from(state.chunks, ([handle, chunk]) => [handle, { ...chunk, locations: [...chunk.locations] }]))
+    };
+  }
+
+  // Apply one log record. `live` is true on the running master, which also
+  // learns replica locations as it places chunks; replay never sees them.
+  applyRecord(state, record, live = false) {
+    const { namespace, chunks } = state;
+
+    switch (record.op) {
+      case 'mkdir':
+        namespace.set(record.path, { type: 'dir', chunks: [] });
+        break;
+      case 'create':
+        namespace.set(record.path, { type: 'file', chunks: [] });
+        break;
+      case 'addChunk': {
+        namespace.get(record.path)?.chunks.push(record.handle);
+        chunks.set(record.handle, {
+          file: record.path,
+          version: 1,
+          locations: live ? [...(record.replicas || [])] : []
+        });
+        break;
+      }
+      case 'grantLease': {
+        const chunk = chunks.get(record.handle);
+        if (chunk) chunk.version++;
+        break;
+      }
+      case 'rename':
+      case 'delete': {
+        // Deletes are renames to a hidden name; garbage collection happens later
+        const to = record.op === 'delete' ? this.hiddenName(record.path, record.lsn) : record.to;
+        const entry = namespace.get(record.path);
+        if (!entry) break;
+        namespace.delete(record.path);
+        namespace.set(to, entry);
+        entry.chunks.forEach(handle => {
+          if (chunks.has(handle)) chunks.get(handle).file = to;
+        });
+        break;
+      }
+      default:
+        throw new Error(`Unknown log operation: ${record.op}`);
+    }
+  }
+
+  hiddenName(path, lsn) {
+    const slash = path.lastIndexOf('/');
+    return `${path.slice(0, slash + 1)}.deleted-${path.slice(slash + 1)}@${lsn}`;
+  }
+
+  describeRecord(record) {
+    switch (record.op) {
+      case 'mkdir': return `mkdir ${record.path}`;
+      case 'create': return `create ${record.path}`;
+      case 'addChunk': return `add chunk ${record.handle} to ${record.path}`;
+      case 'grantLease': return `grant lease on ${record.handle} (version +1)`;
+      case 'rename': return `rename ${record.path} → ${record.to}`;
+      case 'delete': return `delete ${record.path} (hide)`;
+      default: return record.op;
+    }
+  }
+
+  // Persisted state after replaying records 1..lsn from scratch
+  stateAt(lsn) {
+    const state = this.createState();
+    this.log.slice(0, lsn).forEach(record => this.applyRecord(state, record));
+    return state;
+  }
+
+  toTables(state) {
+    return {
+      namespace: Array.from(state.namespace, ([path, entry]) => ({ path, type: entry.type, chunks: [...entry.chunks] }))
+        .sort((a, b) => a.path.localeCompare(b.path)),
+      chunks: Array.from(state.chunks, ([handle, chunk]) => ({ handle, ...chunk, locations: [...chunk.locations] }))
+    };
+  }
+
+  run() {
+    const { workload, checkpointEvery, chunkservers, shadows } = this.params;
+    const crashAt = this.getCrashPoint();
+
+    this.log = workload.map((entry, index) => ({ ...entry, lsn: index + 1 }));
+    this.checkpoints = [];
+
+    // Normal operation up to the crash: log every mutation, checkpoint periodically
+    const live = this.createState();
+    this.log.slice(0, crashAt).forEach(record => {
+      this.applyRecord(live, record, true);
+      if (checkpointEvery > 0 && record.lsn % checkpointEvery === 0) {
+        this.checkpoints.push({ lsn: record.lsn, state: this.cloneState(live) });
+      }
+    });
+
+    const checkpoint = this.checkpoints[this.checkpoints.length - 1] || null;
+    const steps = [];
+    const pushStep = (id, kind, caption, state, extra = {}) => {
+      steps.push({ id, kind, caption, ...extra, ...this.toTables(state) });
+    };
+
+    pushStep('crash', 'crash', `Master crashes after LSN ${crashAt}; in-memory metadata is gone`, this.createState(), { lsn: 0 });
+
+    // Checkpoints hold namespace and file-to-chunk mapping only
+    const state = checkpoint ? this.stateAt(checkpoint.lsn) : this.createState();
+    pushStep('checkpoint', 'checkpoint', checkpoint
+      ? `Load checkpoint at LSN ${checkpoint.lsn}`
+      : 'No checkpoint yet: start from an empty namespace', state, { lsn: checkpoint?.lsn || 0 });
+
+    this.log.slice(checkpoint?.lsn || 0, crashAt).forEach(record => {
+      this.applyRecord(state, record);
+      pushStep(`replay-${record.lsn}`, 'replay', `Replay LSN ${record.lsn}: ${this.describeRecord(record)}`, state, {
+        lsn: record.lsn,
+        changed: [record.path, record.to, record.handle].filter(Boolean)
+      });
+    });
+
+    // Locations come back as chunkservers report what they hold
+    chunkservers.forEach(server => {
+      const reported = [];
+      live.chunks.forEach((chunk, handle) => {
+        if (chunk.locations.includes(server) && state.chunks.has(handle)) {
+          state.chunks.get(handle).locations.push(server);
+          reported.push(handle);
+        }
+      });
+      pushStep(`report-${server}`, 'report', `${server} reports ${reported.length > 0 ? reported.join(', ') : 'no chunks'}`, state, {
+        lsn: crashAt,
+        changed: reported
+      });
+    });
+
+    pushStep('serving', 'serving', 'Master is back: metadata rebuilt, serving clients', state, { lsn: crashAt });
+
+    this.replay = steps;
+    this.shadows = shadows.map(shadow => {
+      const lsn = Math.max(0, crashAt - (shadow.lag || 0));
+      return { id: shadow.id, lag: shadow.lag || 0, lsn, ...this.toTables(this.stateAt(lsn)) };
+    });
+
+    return this.replay;
+  }
+
+  applyToSpec(spec) {
+    if (this.replay.length === 0) {
+      this.run();
+    }
+
+    return {
+      ...spec,
+      _simulation: {
+        model: 'recovery',
+        params: { ...this.params },
+        crashAt: this.getCrashPoint(),
+        log: this.log.map(record => ({ ...record, description: this.describeRecord(record) })),
+        checkpoints: this.checkpoints.map(c => c.lsn),
+        replay: this.replay,
+        shadows: this.shadows
+      }
+    };
+  }
+}
+
+// Export for module systems, or make global
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MasterRecoverySimulation;
+} else {
+  window.MasterRecoverySimulation = MasterRecoverySimulation;
+}
+
+// === src/simulation/scene-builder.js ===
+/**
+ * Scene Builder
+ * Turns a simulated timeline into overlays and scenes. The first frame is the
+ * base diagram; every later frame becomes an overlay diffed against it, so
+ * authors describe a timeline instead of hand-writing each diff.
+ */
+class SceneBuilder {
+  constructor(composer) {
+    this.composer = composer;
+  }
+
+  // Generated nodes and edges form the base; authored ones with the same id
+  // keep their extra fields, and authored extras are kept as they are
+  merge(generated, authored = []) {
+    const byId = new Map(authored.map(item => [item.id, item]));
+    const generatedIds = new Set(generated.map(item => item.id));
+    return [
+      ...generated.map(item => ({ ...(byId.get(item.id) || {}), ...item })),
+      ...authored.filter(item => !generatedIds.has(item.id))
+    ];
+  }
+
+  // frames: [{ id, caption, narrative, nodes, edges, changed }]
+  build(spec, frames, { prefix = 'frame' } = {}) {
+    const [base, ...rest] = frames;
+    const baseIds = new Set(base.nodes.map(node => node.id));
+
+    const overlays = rest.map(frame => ({
+      id: `${prefix}-${frame.id}`,
+      caption: frame.caption,
+      diff: {
+        ...this.composer.calculateDiff(base, frame),
+        // Added nodes are already marked; highlight changes to existing ones
+        highlight: { nodeIds: (frame.changed || []).filter(id => baseIds.has(id)) }
+      }
+    }));
+
+    const scenes = rest.map((frame, index) => ({
+      id: frame.id,
+      name: frame.caption,
+      narrative: frame.narrative,
+      overlays: [overlays[index].id]
+    }));
+
+    return {
+      ...spec,
+      nodes: this.merge(base.nodes, spec.nodes),
+      edges: this.merge(base.edges, spec.edges),
+      overlays: [...overlays, ...(spec.overlays || [])],
+      scenes: [...scenes, ...(spec.scenes || [])]
+    };
+  }
+}
+
+// Export for module systems, or make global
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SceneBuilder;
+} else {
+  window.SceneBuilder = SceneBuilder;
+}
+
+// === src/simulation/simulator.js ===
+/**
+ * Discrete-Event Simulator
+ * Minimal event queue with a virtual clock, shared by the protocol models
+ */
+class DiscreteEventSimulator {
+  constructor() {
+    this.now = 0;
+    this.queue = [];
+    this.log = [];
+    this.sequence = 0;
+  }
+
+  // Seeded PRNG (mulberry32): small, fast and reproducible across browsers and Node
+  static createRandom(seed) {
+    let state = (Number(seed) >>> 0) || 1;
+    return () => {
+      state = (state + 0x6D2B79F5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  // Schedule a handler to run `delay` time units from now
+  schedule(delay, handler, label = '') {
+    return this.at(this.now + Math.max(0, delay), handler, label);
+  }
+
+  // Schedule a handler at an absolute time
+  at(time, handler, label = '') {
+    const event = {
+      time,
+      seq: this.sequence++,
+      handler,
+      label
+    };
+
+    // Keep the queue ordered by time, then by insertion order for ties
+    let index = this.queue.length;
+    while (index > 0 && this.compare(this.queue[index - 1], event) > 0) {
+      index--;
+    }
+    this.queue.splice(index, 0, event);
+
+    return event;
+  }
+
+  compare(a, b) {
+    return a.time - b.time || a.seq - b.seq;
+  }
+
+  cancel(event) {
+    const index = this.queue.indexOf(event);
+    if (index !== -1) {
+      this.queue.splice(index, 1);
+      return true;
+    }
+    return false;
+  }
+
+  // Run the next event; returns false when the queue is empty
+  step() {
+    const event = this.queue.shift();
+    if (!event) return false;
+
+    this.now = event.time;
+    event.handler(this);
+    return true;
+  }
+
+  // Run until the queue drains, `until` is reached or `maxEvents` have run
+  run({ until = Infinity, maxEvents = 10000 } = {}) {
+    let processed = 0;
+
+    while (this.queue.length > 0 && processed < maxEvents) {
+      if (this.queue[0].time > until) break;
+      this.step();
+      processed++;
+    }
+
+    if (processed >= maxEvents && this.queue.length > 0) {
+      console.warn(`Simulation stopped after ${maxEvents} events`);
+    } else if (until !== Infinity) {
+      // Idle time still passes on the clock
+      this.now = Math.max(this.now, until);
+    }
+
+    return this.log;
+  }
+
+  // Record a timestamped trace entry
+  emit(type, data = {}) {
+    const entry = { time: this.now, type, ...data };
+    this.log.push(entry);
+    return entry;
+  }
+
+  reset() {
+    this.now = 0;
+    this.queue = [];
+    this.log = [];
+    this.sequence = 0;
+  }
+}
+
+// Export for module systems, or make global
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DiscreteEventSimulator;
+} else {
+  window.DiscreteEventSimulator = DiscreteEventSimulator;
+}
+
+// === src/simulation/snapshot.js ===
+/**
+ * Snapshot Model
+ * Copy-on-write snapshots over the master's file → chunk handle table with
+ * reference counts. A snapshot revokes leases and duplicates metadata; the
+ * first write to a shared chunk has every replica copy it locally under a
+ * new handle. Each protocol step becomes a stage the composer can render.
+ */
+class SnapshotModel {
+  constructor(params = {}) {
+    this.params = { ...SnapshotModel.defaults, ...params };
+    this.stages = [];
+    this.fileIds = new Map();
+  }
+
+  static get defaults() {
+    return {
+      chunkservers: [],  // Server ids, e.g. ["CS1", "CS2", "CS3"]
+      files: [],         // [{ path, chunks: [{ handle, replicas }] }]
+      leases: [],        // [{ handle, primary }] outstanding before the first operation
+      operations: []     // [{ op: 'snapshot', source, target } | { op: 'write', path, chunk } | { op: 'delete', path }]
+    };
+  }
+
+  static fromSpec(spec) {
+    return new SnapshotModel(spec.snapshot || {});
+  }
+
+  createState() {
+    const files = new Map();
+    const chunks = new Map();
+
+    this.params.files.forEach(file => {
+      files.set(file.path, file.chunks.map(chunk => chunk.handle));
+      file.chunks.forEach(chunk => {
+        if (chunks.has(chunk.handle)) {
+          chunks.get(chunk.handle).refs++;
+          return;
+        }
+        chunks.set(chunk.handle, { handle: chunk.handle, refs: 1, version: 1, replicas: [...chunk.replicas], lease: null, copyOf: null });
+      });
+    });
+
+    this.params.leases.forEach(lease => {
+      if (chunks.has(lease.handle)) chunks.get(lease.handle).lease = lease.primary;
+    });
+
+    return { files, chunks };
+  }
+
+  // Next unused handle, numbered after the highest existing C<n>
+  nextHandle(chunks) {
+    const numbers = Array.from(chunks.keys()).map(handle => Number(handle.replace(/\D/g, '')) || 0);
+    return `C${Math.max(0, ...numbers) + 1}`;
+  }
+
+  getFileId(path) {
+    if (!this.fileIds.has(path)) {
+      this.fileIds.set(path, `F${this.fileIds.size + 1}`);
+    }
+    return this.fileIds.get(path);
+  }
+
+  run() {
+    const state = this.createState();
+    this.stages = [];
+    this.fileIds = new Map();
+    state.files.forEach((_, path) => this.getFileId(path));
+
+    const push = (id, op, caption, narrative, messages = [], changed = []) => {
+      this.stages.push({
+        id,
+        op,
+        caption,
+        narrative,
+        messages,
+        changed,
+        files: Array.from(state.files, ([path, handles]) => ({ path, id: this.getFileId(path), chunks: [...handles] })),
+        chunks: Array.from(state.chunks.values(), chunk => ({ ...chunk, replicas: [...chunk.replicas] }))
+      });
+    };
+
+    push('initial', null, 'Before the snapshot', 'Every chunk is referenced by exactly one file');
+
+    this.params.operations.forEach((operation, index) => {
+      const prefix = `op${index + 1}`;
+      switch (operation.op) {
+        case 'snapshot':
+          this.snapshot(state, operation, prefix, push);
+          break;
+        case 'write':
+          this.write(state, operation, prefix, push);
+          break;
+        case 'delete':
+          this.remove(state, operation, prefix, push);
+          break;
+        default:
+          throw new Error(`Unknown snapshot operation: ${operation.op}`);
+      }
+    });
+
+    return this.stages;
+  }
+
+  getHandles(state, path) {
+    const handles = state.files.get(path);
+    if (!handles) {
+      throw new Error(`Unknown file: ${path}`);
+    }
+    return handles;
+  }
+
+  snapshot(state, { source, target }, prefix, push) {
+    const handles = this.getHandles(state, source);
+
+    // Outstanding leases are revoked first, so any later write has to come
+    // back to the master, which gets a chance to copy the chunk
+    const leased = handles.map(handle => state.chunks.get(handle)).filter(chunk => chunk.lease);
+    const revokes = leased.map(chunk => ({ from: 'Master', to: chunk.lease, kind: 'control', label: `Revoke lease ${chunk.handle}` }));
+    leased.forEach(chunk => { chunk.lease = null; });
+    push(`${prefix}-revoke`, 'snapshot', `Snapshot ${source}: revoke leases`,
+      leased.length > 0
+        ? `The master revokes the leases on ${leased.map(c => c.handle).join(', ')} before touching metadata`
+        : `No outstanding leases on ${source}, so nothing needs revoking`,
+      revokes, leased.map(chunk => chunk.handle));
+
+    // Log the operation, then duplicate the metadata: both files share every chunk
+    state.files.set(target, [...handles]);
+    handles.forEach(handle => state.chunks.get(handle).refs++);
+    push(`${prefix}-duplicate`, 'snapshot', `Snapshot ${source} → ${target}: duplicate metadata`,
+      `The master logs the snapshot and points ${target} at the same chunks; no data is copied and every reference count goes up`,
+      [], [this.getFileId(target), ...handles]);
+  }
+
+  write(state, { path, chunk: index = 0 }, prefix, push) {
+    const handles = this.getHandles(state, path);
+    const handle = handles[index];
+    if (!handle) {
+      throw new Error(`File ${path} has no chunk ${index}`);
+    }
+
+    let chunk = state.chunks.get(handle);
+    const shared = chunk.refs > 1;
+    push(`${prefix}-request`, 'write', `Write ${path}[${index}]: ask for the primary`,
+      shared
+        ? `${handle} has reference count ${chunk.refs}, so the master defers its reply`
+        : `${handle} is only referenced by ${path}, so no copy is needed`,
+      [{ from: 'Client', to: 'Master', kind: 'control', label: `Primary for ${handle}?` }], [handle]);
+
+    // First write after a snapshot: every replica copies the chunk locally,
+    // so the data never crosses the network
+    if (shared) {
+      const copy = this.nextHandle(state.chunks);
+      chunk.refs--;
+      chunk = { handle: copy, refs: 1, version: chunk.version, replicas: [...chunk.replicas], lease: null, copyOf: handle };
+      state.chunks.set(copy, chunk);
+      handles[index] = copy;
+      push(`${prefix}-copy`, 'write', `Copy-on-write: ${handle} → ${copy}`,
+        `Each chunkserver holding ${handle} creates ${copy} from its local copy; ${path} now points at ${copy}`,
+        chunk.replicas.map(server => ({ from: 'Master', to: server, kind: 'control', label: `Copy ${handle} → ${copy}` })),
+        [copy, handle, this.getFileId(path)]);
+    }
+
+    if (!chunk.lease) {
+      chunk.lease = chunk.replicas[0];
+      chunk.version++;
+      push(`${prefix}-lease`, 'write', `Grant lease on ${chunk.handle}`,
+        `The master bumps ${chunk.handle} to version ${chunk.version} and makes ${chunk.lease} primary`,
+        [
+          { from: 'Master', to: chunk.lease, kind: 'control', label: `Lease ${chunk.handle} v${chunk.version}` },
+          { from: 'Master', to: 'Client', kind: 'control', label: `Primary ${chunk.lease}` }
+        ], [chunk.handle]);
+    }
+
+    push(`${prefix}-write`, 'write', `Write ${chunk.handle} through ${chunk.lease}`,
+      chunk.copyOf
+        ? `The write lands on ${chunk.handle}; the snapshot still sees the untouched ${chunk.copyOf}`
+        : `The write goes to ${chunk.handle} like any other mutation`,
+      [
+        { from: 'Client', to: chunk.lease, kind: 'data', label: `Write ${chunk.handle}` },
+        ...chunk.replicas.filter(server => server !== chunk.lease)
+          .map(server => ({ from: chunk.lease, to: server, kind: 'data', label: 'Apply mutation' }))
+      ], [chunk.handle]);
+  }
+
+  remove(state, { path }, prefix, push) {
+    const handles = this.getHandles(state, path);
+    state.files.delete(path);
+    handles.forEach(handle => state.chunks.get(handle).refs--);
+
+    const garbage = handles.filter(handle => state.chunks.get(handle).refs === 0);
+    push(`${prefix}-delete`, 'delete', `Delete ${path}`,
+      garbage.length > 0
+        ? `No file references ${garbage.join(', ')} any more, so garbage collection can reclaim ${garbage.length === 1 ? 'it' : 'them'}; shared chunks survive`
+        : `Every chunk of ${path} is still referenced elsewhere, so nothing becomes garbage`,
+      [], handles);
+  }
+
+  describeChunk(chunk) {
+    const parts = [`${chunk.handle} v${chunk.version}`, `refs ${chunk.refs}`];
+    if (chunk.lease) parts.push(`lease ${chunk.lease}`);
+    if (chunk.refs === 0) parts.push('garbage');
+    return parts.join(' · ');
+  }
+
+  // Diagram for one stage: metadata on the left, replicas on the chunkservers
+  toSpec(stage) {
+    const held = server => stage.chunks.filter(chunk => chunk.replicas.includes(server)).map(chunk => chunk.handle);
+
+    return {
+      nodes: [
+        { id: 'Client', type: 'client', label: 'Client' },
+        { id: 'Master', type: 'master', label: 'Master' },
+        ...stage.files.map(file => ({ id: file.id, type: 'note', label: `📄 ${file.path}` })),
+        ...stage.chunks.map(chunk => ({ id: chunk.handle, type: 'note', label: this.describeChunk(chunk) })),
+        ...this.params.chunkservers.map(server => ({ id: server, type: 'chunkserver', label: `${server}: ${held(server).join(' ') || 'empty'}` }))
+      ],
+      edges: [
+        ...stage.files.map(file => ({ id: `meta-${file.id}`, from: 'Master', to: file.id, kind: 'control', label: 'metadata' })),
+        ...stage.files.flatMap(file => file.chunks.map((handle, index) => ({
+          id: `map-${file.id}-${index}`,
+          from: file.id,
+          to: handle,
+          kind: 'control',
+          label: `chunk ${index}`
+        }))),
+        ...stage.messages.map((message, index) => ({ id: `msg-${index}`, ...message }))
+      ]
+    };
+  }
+
+  // Every stage after the first becomes an overlay and a scene
+  expand(spec, composer) {
+    if (this.stages.length === 0) {
+      this.run();
+    }
+
+    const Builder = typeof SceneBuilder !== 'undefined' ? SceneBuilder : require('./scene-builder');
+    const frames = this.stages.map(stage => ({
+      ...this.toSpec(stage),
+      id: stage.id,
+      caption: stage.caption,
+      narrative: stage.narrative,
+      changed: stage.changed
+    }));
+
+    return {
+      ...new Builder(composer).build(spec, frames, { prefix: 'snapshot' }),
+      _generated: 'snapshot',
+      _snapshot: { stages: this.stages }
+    };
+  }
+}
+
+// Export for module systems, or make global
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SnapshotModel;
+} else {
+  window.SnapshotModel = SnapshotModel;
+}
+
+// === src/simulation/virtual-clock.js ===
+/**
+ * Virtual Clock
+ * Simulated time (in seconds) that can run faster than real time, pause,
+ * or jump ahead. Listeners receive the new time after every change.
+ */
+class VirtualClock {
+  constructor(options = {}) {
+    this.time = 0;
+    this.rate = options.rate || 1;         // Simulated seconds per real second
+    this.tickMs = options.tickMs || 100;   // Real-time update interval
+    this.running = false;
+    this.interval = null;
+    this.lastRealTime = null;
+    this.listeners = new Set();
+  }
+
+  onTick(callback) {
+    this.listeners.add(callback);
+    return () => this.listeners.delete(callback);
+  }
+
+  notify() {
+    this.listeners.forEach(callback => {
+      try {
+        callback(this.time, this);
+      } catch (error) {
+        console.error('Error in clock listener:', error);
+      }
+    });
+  }
+
+  start() {
+    if (this.running) return;
+
+    this.running = true;
+    this.lastRealTime = Date.now();
+    this.interval = setInterval(() => this.tick(), this.tickMs);
+    this.notify();
+  }
+
+  pause() {
+    if (!this.running) return;
+
+    this.tick();
+    this.running = false;
+    clearInterval(this.interval);
+    this.interval = null;
+    this.notify();
+  }
+
+  toggle() {
+    if (this.running) {
+      this.pause();
+    } else {
+      this.start();
+    }
+  }
+
+  tick() {
+    const now = Date.now();
+    const elapsed = (now - this.lastRealTime) / 1000;
+    this.lastRealTime = now;
+    this.advance(elapsed * this.rate);
+  }
+
+  // Jump ahead by a number of simulated seconds
+  advance(seconds) {
+    if (seconds <= 0) return;
+    this.time += seconds;
+    this.notify();
+  }
+
+  setRate(rate) {
+    if (this.running) {
+      this.tick();
+    }
+    this.rate = rate;
+  }
+
+  reset() {
+    this.pause();
+    this.time = 0;
+    this.notify();
+  }
+
+  destroy() {
+    this.pause();
+    this.listeners.clear();
+  }
+}
+
+// Export for module systems, or make global
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = VirtualClock;
+} else {
+  window.VirtualClock = VirtualClock;
+}
+
+// === src/simulation/write-path.js ===
+/**
+ * Write Path Simulation
+ * Runs the GFS write protocol (lease lookup, pipelined data push, primary-ordered
+ * commit) on the discrete-event simulator and turns the trace into sequence edges
+ */
+class WritePathSimulation {
+  constructor(params = {}) {
+    this.params = { ...WritePathSimulation.defaults, ...params };
+    WritePathSimulation.validate(this.params);
+    this.trace = [];
+    this.duration = 0;
+  }
+
+  static get defaults() {
+    return {
+      replicas: 3,          // Primary + secondaries
+      chunkSizeMB: 64,
+      writeSizeMB: 1,
+      offsetMB: 0,          // File offset where the write starts
+      bandwidthMbps: 100,   // Per-link bandwidth
+      linkLatencyMs: 1,     // One-way latency per hop
+      processingMs: 0.1     // Time a server spends handling a control message
+    };
+  }
+
+  // Sizes and bandwidth divide the write, so they must be above zero; the
+  // same bounds are in data/schema.json under simulation.params
+  static validate(params) {
+    const above = (name, min, inclusive) => {
+      const value = params[name];
+      if (typeof value !== 'number' || !Number.isFinite(value) || (inclusive ? value < min : value <= min)) {
+        throw new Error(`Write path ${name} must be a number ${inclusive ? 'of at least' : 'above'} ${min}, got ${JSON.stringify(value)}`);
+      }
+    };
+
+    if (!Number.isInteger(params.replicas) || params.replicas < 1) {
+      throw new Error(`Write path replicas must be a whole number of at least 1, got ${JSON.stringify(params.replicas)}`);
+    }
+    ['chunkSizeMB', 'writeSizeMB', 'bandwidthMbps'].forEach(name => above(name, 0, false));
+    ['offsetMB', 'linkLatencyMs', 'processingMs'].forEach(name => above(name, 0, true));
+  }
+
+  static fromSpec(spec) {
+    return new WritePathSimulation(spec.simulation?.params || {});
+  }
+
+  createSimulator() {
+    const Simulator = typeof DiscreteEventSimulator !== 'undefined'
+      ? DiscreteEventSimulator
+      : require('./simulator');
+    return new Simulator();
+  }
+
+  // Replica chain in push order: primary first, then secondaries
+  getReplicaIds() {
+    const ids = ['P'];
+    for (let i = 1; i < this.params.replicas; i++) {
+      ids.push(`S${i}`);
+    }
+    return ids;
+  }
+
+  // Split the write at chunk boundaries; each piece is a separate mutation
+  splitIntoChunks() {
+    const { chunkSizeMB, writeSizeMB, offsetMB } = this.params;
+    const pieces = [];
+    let position = offsetMB;
+    let remaining = writeSizeMB;
+
+    while (remaining > 0) {
+      const index = Math.floor(position / chunkSizeMB);
+      const chunkEnd = (index + 1) * chunkSizeMB;
+      const sizeMB = Math.min(remaining, chunkEnd - position);
+      pieces.push({ index, offsetMB: position - index * chunkSizeMB, sizeMB });
+      position += sizeMB;
+      remaining -= sizeMB;
+    }
+
+    return pieces;
+  }
+
+  transferTime(sizeMB) {
+    return (sizeMB * 8 * 1000) / this.params.bandwidthMbps;
+  }
+
+  run() {
+    const sim = this.createSimulator();
+    const { linkLatencyMs, processingMs } = this.params;
+    const replicas = this.getReplicaIds();
+    const pieces = this.splitIntoChunks();
+    const multiChunk = pieces.length > 1;
+    const serials = new Map();
+
+    const send = (message, duration, onArrive) => {
+      sim.emit('message', {
+        ...message,
+        start: sim.now,
+        end: sim.now + duration
+      });
+      sim.schedule(duration, onArrive || (() => {}));
+    };
+
+    const phaseName = (piece, name) => multiChunk ? `Chunk ${piece.index}: ${name}` : name;
+    // Messages get semantic ids (lease-request, ack-S1, ...) so overlays keep
+    // pointing at the same message when the params change
+    const messageId = (piece, name) => multiChunk ? `${name}-chunk${piece.index}` : name;
+
+    const writePiece = (pieceIndex) => {
+      const piece = pieces[pieceIndex];
+      if (!piece) {
+        sim.emit('complete', { chunks: pieces.length });
+        return;
+      }
+
+      const setup = phaseName(piece, 'Setup');
+      const pipeline = phaseName(piece, 'Stage 1: Pipeline');
+      const commit = phaseName(piece, 'Stage 2: Commit');
+      const suffix = multiChunk ? ` (chunk ${piece.index})` : '';
+
+      // Steps 1-2: ask the master who holds the lease
+      send({ id: messageId(piece, 'lease-request'), from: 'C', to: 'M', kind: 'control', label: `1. Who has lease?${suffix}`, phase: setup }, linkLatencyMs, () => {
+        sim.schedule(processingMs, () => {
+          send({ id: messageId(piece, 'lease-reply'), from: 'M', to: 'C', kind: 'control', label: '2. Primary + replicas', phase: setup }, linkLatencyMs, () => {
+            pushData(piece, pipeline, () => commitMutation(piece, commit, () => writePiece(pieceIndex + 1)));
+          });
+        });
+      });
+    };
+
+    // Step 3: pipelined push along the replica chain; each hop starts forwarding
+    // as soon as the first bytes arrive, so only latency accumulates per hop
+    const pushData = (piece, phase, onStaged) => {
+      const transfer = this.transferTime(piece.sizeMB);
+      const chain = ['C', ...replicas];
+
+      chain.slice(0, -1).forEach((from, hop) => {
+        sim.schedule(hop * linkLatencyMs, () => {
+          send({
+            id: messageId(piece, `push-${chain[hop + 1]}`),
+            from,
+            to: chain[hop + 1],
+            kind: 'data',
+            label: `3${String.fromCharCode(97 + hop)}. ${hop === 0 ? 'Push' : 'Forward'} data`,
+            phase,
+            sizeMB: piece.sizeMB,
+            chunk: piece.index
+          }, linkLatencyMs + transfer);
+        });
+      });
+
+      // Step 4: the tail of the chain has buffered everything
+      const stagedAt = replicas.length * linkLatencyMs + transfer;
+      sim.schedule(stagedAt, () => {
+        send({ id: messageId(piece, 'data-staged'), from: replicas[replicas.length - 1], to: 'C', kind: 'control', label: '4. Data staged', phase }, linkLatencyMs, onStaged);
+      });
+    };
+
+    // Steps 5-8: primary assigns a serial number and every replica applies it
+    const commitMutation = (piece, phase, onDone) => {
+      const [primary, ...secondaries] = replicas;
+
+      send({ id: messageId(piece, 'commit-request'), from: 'C', to: primary, kind: 'control', label: '5. Commit write', phase }, linkLatencyMs, () => {
+        const serial = (serials.get(piece.index) || 0) + 1;
+        serials.set(piece.index, serial);
+        sim.emit('serial', { chunk: piece.index, serial });
+
+        if (secondaries.length === 0) {
+          sim.schedule(processingMs, () => {
+            send({ id: messageId(piece, 'client-success'), from: primary, to: 'C', kind: 'control', label: `8. Success #${serial}`, phase }, linkLatencyMs, onDone);
+          });
+          return;
+        }
+
+        let pendingAcks = secondaries.length;
+        sim.schedule(processingMs, () => {
+          secondaries.forEach(secondary => {
+            send({ id: messageId(piece, `apply-${secondary}`), from: primary, to: secondary, kind: 'control', label: `6. Apply mutation #${serial}`, phase }, linkLatencyMs);
+          });
+
+          sim.schedule(linkLatencyMs + processingMs, () => {
+            secondaries.forEach(secondary => {
+              send({ id: messageId(piece, `ack-${secondary}`), from: secondary, to: primary, kind: 'control', label: '7. ACK', phase }, linkLatencyMs, () => {
+                pendingAcks--;
+                if (pendingAcks === 0) {
+                  send({ id: messageId(piece, 'client-success'), from: primary, to: 'C', kind: 'control', label: `8. Success #${serial}`, phase }, linkLatencyMs, onDone);
+                }
+              });
+            });
+          });
+        });
+      });
+    };
+
+    writePiece(0);
+    this.trace = sim.run();
+    this.duration = sim.now;
+    return this.trace;
+  }
+
+  formatTime(ms) {
+    return ms >= 1000 ? `${(ms / 1000).toFixed(2)}s` : `${ms.toFixed(1)}ms`;
+  }
+
+  // Convert message events into sequence diagram edges, in send order
+  toEdges(trace = this.trace) {
+    return trace
+      .filter(event => event.type === 'message')
+      .map(event => {
+        const metrics = { latency: this.formatTime(event.end - event.start) };
+        if (event.sizeMB) {
+          metrics.size = `${event.sizeMB}MB`;
+        }
+
+        return {
+          id: event.id,
+          from: event.from,
+          to: event.to,
+          kind: event.kind,
+          label: `${event.label} · t=${this.formatTime(event.start)}`,
+          phase: event.phase,
+          metrics,
+          time: event.start
+        };
+      });
+  }
+
+  toNodes(spec) {
+    const existing = new Map((spec.nodes || []).map(n => [n.id, n]));
+    const nodes = [
+      existing.get('C') || { id: 'C', type: 'client', label: 'Client' },
+      existing.get('M') || { id: 'M', type: 'master', label: 'Master' }
+    ];
+
+    this.getReplicaIds().forEach((id, index) => {
+      nodes.push(existing.get(id) || {
+        id,
+        type: 'chunkserver',
+        label: index === 0 ? 'Primary' : `Secondary ${index}`
+      });
+    });
+
+    return nodes;
+  }
+
+  // Replace the hand-authored nodes and edges with the simulated trace
+  applyToSpec(spec) {
+    if (this.trace.length === 0) {
+      this.run();
+    }
+
+    return {
+      ...spec,
+      nodes: this.toNodes(spec),
+      edges: this.toEdges(),
+      _simulation: {
+        model: 'write-path',
+        params: { ...this.params },
+        duration: this.duration,
+        trace: this.trace
+      }
+    };
+  }
+}
+
+// Export for module systems, or make global
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = WritePathSimulation;
+} else {
+  window.WritePathSimulation = WritePathSimulation;
+}
+
+// === src/learning/calculator.js ===
+// What-if calculator declared in a spec's `calculators` section:
+// { id, title, principle, description, inputs: [{ id, label, min, max, step, value, unit }],
+//   formula: { name: expression, ... }, outputs: [{ id, label, unit, format }] }
+class WhatIfCalculator {
+  constructor(definition) {
+    this.definition = definition;
+    this.id = definition.id;
+    this.inputs = definition.inputs || [];
+    this.formula = definition.formula || {};
+    this.outputs = definition.outputs || [];
+    this.values = this.getDefaults();
+    this.evaluator = null;
+  }
+
+  static fromSpec(spec) {
+    return (spec.calculators || []).map(definition => new WhatIfCalculator(definition));
+  }
+
+  getEvaluator() {
+    if (!this.evaluator) {
+      const Evaluator = typeof FormulaEvaluator !== 'undefined' ? FormulaEvaluator : require('../core/formula');
+      this.evaluator = new Evaluator();
+    }
+    return this.evaluator;
+  }
+
+  getDefaults() {
+    return Object.fromEntries(this.inputs.map(input => [input.id, input.value ?? input.min ?? 0]));
+  }
+
+  // Formula entries run in order; each sees the inputs and every result before it
+  compute(values = this.values) {
+    const scope = { ...values };
+    const results = {};
+
+    Object.entries(this.formula).forEach(([name, expression]) => {
+      const value = this.getEvaluator().evaluate(expression, scope);
+      if (!Number.isFinite(value)) {
+        throw new Error(`${name} = ${expression} is ${value}`);
+      }
+      scope[name] = value;
+      results[name] = value;
+    });
+
+    return results;
+  }
+
+  // Author mistakes: broken declarations and formulas are errors; formulas that
+  // break at the edge of an input's range are warnings
+  check() {
+    const problems = [];
+    const error = message => problems.push({ level: 'error', message: `${this.id || 'calculator'}: ${message}` });
+    const warning = message => problems.push({ level: 'warning', message: `${this.id || 'calculator'}: ${message}` });
+
+    if (!this.id) error('missing id');
+    if (this.inputs.length === 0) error('no inputs');
+    if (Object.keys(this.formula).length === 0) error('no formula');
+
+    this.inputs.forEach(input => {
+      if (!input.id) error('input without id');
+      if (!(input.min < input.max)) error(`input ${input.id} needs min < max`);
+      if (input.value !== undefined && (input.value < input.min || input.value > input.max)) {
+        error(`input ${input.id} default ${input.value} is outside ${input.min}..${input.max}`);
+      }
+    });
+
+    this.outputs.forEach(output => {
+      if (!(output.id in this.formula)) error(`output ${output.id} is not computed by the formula`);
+    });
+
+    try {
+      this.compute(this.getDefaults());
+    } catch (e) {
+      error(`formula fails with default inputs: ${e.message}`);
+      return problems;
+    }
+
+    this.inputs.forEach(input => {
+      ['min', 'max'].forEach(bound => {
+        try {
+          this.compute({ ...this.getDefaults(), [input.id]: input[bound] });
+        } catch (e) {
+          warning(`formula fails with ${input.id} = ${input[bound]}: ${e.message}`);
+        }
+      });
+    });
+
+    return problems;
+  }
+
+  format(value, { format, unit } = {}) {
+    let text;
+    switch (format) {
+      case 'percent':
+        text = `${Number((value * 100).toPrecision(3))}%`;
+        break;
+      case 'scientific':
+        text = value === 0 ? '0' : value.toExponential(2);
+        break;
+      case 'integer':
+        text = Math.round(value).toLocaleString();
+        break;
+      default:
+        text = Math.abs(value) >= 1e6 || (value !== 0 && Math.abs(value) < 1e-3)
+          ? value.toExponential(2)
+          : Number(value.toPrecision(4)).toLocaleString();
+    }
+    return unit ? `${text} ${unit}` : text;
+  }
+
+  render() {
+    const { title, description } = this.definition;
+
+    return `
+      <div class="calculator" data-calculator="${this.id}">
+        <h5>🧮 ${title || this.id}</h5>
+        ${description ? `<p class="calculator-description">${description}</p>` : ''}
+        <div class="calculator-inputs">
+          ${this.inputs.map(input => `
+            <label class="calculator-input">
+              <span>${input.label || input.id}</span>
+              <input type="range" min="${input.min}" max="${input.max}" step="${input.step ?? 'any'}"
+                     value="${this.values[input.id]}" data-input="${input.id}">
+              <output data-input-value="${input.id}">${this.format(this.values[input.id], input)}</output>
+            </label>
+          `).join('')}
+        </div>
+        <div class="calculator-formula">
+          ${Object.entries(this.formula).map(([name, expression]) => `<code>${name} = ${expression}</code>`).join('')}
+        </div>
+        <div class="calculator-outputs">
+          ${this.outputs.map(output => `
+            <div class="calculator-output">
+              <span>${output.label || output.id}</span>
+              <strong data-output="${output.id}"></strong>
+            </div>
+          `).join('')}
+        </div>
+        <div class="calculator-error" role="alert"></div>
+      </div>
+    `;
+  }
+
+  // Wire the sliders of a rendered calculator to its readouts
+  mount(element) {
+    if (!element) return;
+
+    element.querySelectorAll('input[data-input]').forEach(slider => {
+      slider.addEventListener('input', () => {
+        const input = this.inputs.find(i => i.id === slider.dataset.input);
+        this.values[input.id] = Number(slider.value);
+        element.querySelector(`[data-input-value="${input.id}"]`).textContent = this.format(this.values[input.id], input);
+        this.update(element);
+      });
+    });
+
+    this.update(element);
+  }
+
+  update(element) {
+    const error = element.querySelector('.calculator-error');
+
+    try {
+      const results = this.compute();
+      this.outputs.forEach(output => {
+        element.querySelector(`[data-output="${output.id}"]`).textContent = this.format(results[output.id], output);
+      });
+      error.textContent = '';
+    } catch (e) {
+      error.textContent = `⚠️ ${e.message}`;
+    }
+  }
+}
+
+// Export for module systems, or make global
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = WhatIfCalculator;
+} else {
+  window.WhatIfCalculator = WhatIfCalculator;
+}
+
+// === src/learning/drills.js ===
+// Progress tracking adapter - uses unified LearningProgress system
+class ProgressTracker {
+  constructor(learningProgress = null) {
+    // Will be set by DrillSystem after it gets reference to viewer.learningProgress
+    this.learningProgress = learningProgress;
+    this.completedDrills = new Set();
+    this.migrateOldProgress();
+  }
+
+  setLearningProgress(learningProgress) {
+    this.learningProgress = learningProgress;
+  }
+
+  migrateOldProgress() {
+    // Migrate from old storage format to new unified system
+    const oldKey = 'gfs-learning-progress';
+    try {
+      const oldData = localStorage.getItem(oldKey);
+      if (oldData) {
+        const oldProgress = JSON.parse(oldData);
+        // Store for later migration when learningProgress is available
+        this.pendingMigration = oldProgress;
+        localStorage.removeItem(oldKey);
+        console.log('Found old progress data, will migrate to new system');
+      }
+    } catch (error) {
+      console.error('Failed to read old progress:', error);
+    }
+  }
+
+  isDrillComplete(diagramId, drillId) {
+    const key = `${diagramId}-${drillId}`;
+    return this.completedDrills.has(key);
+  }
+
+  markDrillComplete(diagramId, drillId) {
+    const key = `${diagramId}-${drillId}`;
+    if (!this.completedDrills.has(key)) {
+      this.completedDrills.add(key);
+
+      // Update unified progress if available
+      if (this.learningProgress) {
+        const stats = this.learningProgress.getDiagramStats(diagramId);
+        const completed = this.completedDrills.size;
+        const total = stats.totalDrills || 10;
+        this.learningProgress.updateDrillProgress(diagramId, completed, total);
+      }
+    }
+  }
+
+  getDiagramProgress(diagramId) {
+    const prefix = `${diagramId}-`;
+    const completed = Array.from(this.completedDrills).filter(key =>
+      key.startsWith(prefix)
+    ).length;
+
+    return { completed };
+  }
+
+  resetProgress(diagramId = null) {
+    if (diagramId) {
+      const prefix = `${diagramId}-`;
+      Array.from(this.completedDrills).forEach(key => {
+        if (key.startsWith(prefix)) {
+          this.completedDrills.delete(key);
+        }
+      });
+    } else {
+      this.completedDrills.clear();
+    }
+
+    // Reset in unified system too
+    if (this.learningProgress && diagramId) {
+      this.learningProgress.updateDrillProgress(diagramId, 0, 10);
+    }
+  }
+}
+
+class DrillSystem {
+  constructor() {
+    this.progress = new ProgressTracker();
+    this.currentDrill = null;
+    this.currentDiagramId = null;
+    this.stateManager = null;
+    this.stateDrills = new Map(); // Maps state IDs to relevant drills
+  }
+
+  // Set reference to state manager for state-aware drills
+  setStateManager(stateManager) {
+    this.stateManager = stateManager;
+
+    // Listen for state changes to highlight relevant drills
+    if (this.stateManager) {
+      document.addEventListener('stateChange', (e) => {
+        this.onStateChange(e.detail);
+      });
+    }
+  }
+
+  // Handle state changes - highlight drills relevant to current state
+  onStateChange(stateDetail) {
+    const currentState = stateDetail.state;
+    if (!currentState) return;
+
+    // Update drill visibility based on state
+    const drillElements = document.querySelectorAll('.drill');
+    drillElements.forEach(element => {
+      const drillId = element.dataset.drillId;
+      const stateId = element.dataset.stateId;
+
+      // Highlight drills associated with current state
+      if (stateId && stateId === currentState.id) {
+        element.classList.add('state-relevant');
+      } else {
+        element.classList.remove('state-relevant');
+      }
+    });
+  }
+
+  renderDrills(spec, containerId = 'drills-container') {
+    const container = document.getElementById(containerId);
+    if (!container) {
+      console.warn('Drills container not found');
+      return;
+    }
+
+    this.currentDiagramId = spec.id;
+    container.innerHTML = '';
+
+    const drills = spec.drills || [];
+    if (drills.length === 0) {
+      container.innerHTML = '<div class="no-drills">No drills available for this diagram</div>';
+      return;
+    }
+
+    // Add progress header
+    const progressHeader = this.createProgressHeader(spec.id, drills.length);
+    container.appendChild(progressHeader);
+
+    // Group drills by type
+    const drillsByType = this.groupDrillsByType(drills);
+
+    for (const [type, typeDrills] of Object.entries(drillsByType)) {
+      const section = this.createDrillSection(type, typeDrills, spec.id);
+      container.appendChild(section);
+    }
+  }
+
+  createProgressHeader(diagramId, totalDrills) {
+    const progress = this.progress.getDiagramProgress(diagramId);
+    const percentage = totalDrills > 0 ? Math.round((progress.completed / totalDrills) * 100) : 0;
+
+    const header = document.createElement('div');
+    header.className = 'drills-progress';
+    header.innerHTML = `
+      <div class="progress-bar">
+        <div class="progress-fill" style="width: ${percentage}%"></div>
+      </div>
+      <div class="progress-text">${progress.completed} of ${totalDrills} completed (${percentage}%)</div>
+      <button class="reset-btn" onclick="window.viewer.drillSystem.resetDiagramProgress()">Reset Progress</button>
+    `;
+
+    return header;
+  }
+
+  groupDrillsByType(drills) {
+    const grouped = {};
+    for (const drill of drills) {
+      const type = drill.type || 'recall';
+      if (!grouped[type]) {
+        grouped[type] = [];
+      }
+      grouped[type].push(drill);
+    }
+    return grouped;
+  }
+
+  createDrillSection(type, drills, diagramId) {
+    const section = document.createElement('section');
+    section.className = `drill-section drill-${type}`;
+
+    const header = document.createElement('h3');
+    header.textContent = this.getDrillTypeLabel(type);
+    header.innerHTML += ` <span class="drill-count">(${drills.length})</span>`;
+    section.appendChild(header);
+
+    const description = document.createElement('p');
+    description.className = 'drill-type-description';
+    description.textContent = this.getDrillTypeDescription(type);
+    section.appendChild(description);
+
+    drills.forEach((drill, index) => {
+      const drillEl = this.createDrillElement(drill, diagramId, index);
+      section.appendChild(drillEl);
+    });
+
+    return section;
+  }
+
+  getDrillTypeLabel(type) {
+    const labels = {
+      'recall': '🧠 Recall',
+      'apply': '⚡ Apply',
+      'analyze': '🔍 Analyze',
+      'create': '🛠️ Create'
+    };
+    return labels[type] || type;
+  }
+
+  getDrillTypeDescription(type) {
+    const descriptions = {
+      'recall': 'Test your memory of key concepts',
+      'apply': 'Apply concepts to new scenarios',
+      'analyze': 'Compare and contrast different approaches',
+      'create': 'Design new solutions using learned principles'
+    };
+    return descriptions[type] || '';
+  }
+
+  createDrillElement(drill, diagramId, index) {
+    const completed = this.progress.isDrillComplete(diagramId, drill.id);
+
+    const element = document.createElement('details');
+    element.className = `drill ${completed ? 'completed' : ''}`;
+    element.dataset.drillId = drill.id;
+
+    const summary = document.createElement('summary');
+    summary.innerHTML = `
+      <span class="drill-indicator">${completed ? '✓' : '○'}</span>
+      <span class="drill-prompt">${drill.prompt}</span>
+      <span class="drill-type-badge">${drill.type}</span>
+    `;
+    element.appendChild(summary);
+
+    const content = document.createElement('div');
+    content.className = 'drill-content';
+    content.innerHTML = this.renderDrillInterface(drill);
+    element.appendChild(content);
+
+    // Add event listener for opening
+    element.addEventListener('toggle', () => {
+      if (element.open) {
+        this.currentDrill = drill;
+      }
+    });
+
+    return element;
+  }
+
+  renderDrillInterface(drill) {
+    switch (drill.type) {
+      case 'recall':
+        return this.renderRecallDrill(drill);
+      case 'apply':
+        return this.renderApplyDrill(drill);
+      case 'analyze':
+        return this.renderAnalyzeDrill(drill);
+      case 'create':
+        return this.renderCreateDrill(drill);
+      default:
+        return this.renderRecallDrill(drill);
+    }
+  }
+
+  renderRecallDrill(drill) {
+    return `
+      <div class="drill-recall">
+        <div class="drill-question">
+          ${drill.prompt}
+        </div>
+        <textarea
+          id="answer-${drill.id}"
+          placeholder="Enter your answer here..."
+          rows="3"
+          class="drill-answer"
+        ></textarea>
+        <div class="drill-actions">
+          <button onclick="window.viewer.drillSystem.checkRecall('${drill.id}')">
+            Check Answer
+          </button>
+          <button onclick="window.viewer.drillSystem.revealAnswer('${drill.id}')" class="secondary">
+            Show Answer
+          </button>
+        </div>
+        <div id="feedback-${drill.id}" class="drill-feedback" style="display:none">
+          <div class="correct-answer">
+            <strong>Answer:</strong> ${drill.answer || 'No answer provided'}
+          </div>
+        </div>
+      </div>
+    `;
+  }
+
+  renderApplyDrill(drill) {
+    return `
+      <div class="drill-apply">
+        ${drill.scenario ? `
+          <div class="scenario">
+            <strong>Scenario:</strong> ${drill.scenario}
+          </div>
+        ` : ''}
+        <textarea
+          id="solution-${drill.id}"
+          placeholder="Apply the concept to solve this problem..."
+          rows="5"
+          class="drill-solution"
+        ></textarea>
+        <div class="drill-actions">
+          <button onclick="window.viewer.drillSystem.checkApply('${drill.id}')">
+            Check Approach
+          </button>
+          <button onclick="window.viewer.drillSystem.revealRubric('${drill.id}')" class="secondary">
+            Show Rubric
+          </button>
+        </div>
+        <div id="rubric-${drill.id}" class="drill-rubric" style="display:none">
+          <h4>Key Points to Consider:</h4>
+          <ul>
+            ${(drill.rubric || []).map(point =>
+              `<li>
+                <input type="checkbox" id="rubric-${drill.id}-${point.substring(0, 10)}">
+                <label for="rubric-${drill.id}-${point.substring(0, 10)}">${point}</label>
+              </li>`
+            ).join('')}
+          </ul>
+        </div>
+      </div>
+    `;
+  }
+
+  renderAnalyzeDrill(drill) {
+    return `
+      <div class="drill-analyze">
+        ${drill.scenario ? `
+          <div class="scenario">
+            <strong>Scenario:</strong> ${drill.scenario}
+          </div>
+        ` : ''}
+        ${drill.thoughtProcess && drill.thoughtProcess.length > 0 ? `
+          <div class="thought-process">
+            <strong>💭 Thought Process:</strong>
+            <ol class="thought-steps">
+              ${drill.thoughtProcess.map(step => `<li>${step}</li>`).join('')}
+            </ol>
+          </div>
+        ` : ''}
+        ${drill.insight ? `
+          <div class="drill-insight">
+            <strong>💡 Key Insight:</strong> ${drill.insight}
+          </div>
+        ` : ''}
+      </div>
+    `;
+  }
+
+  renderCreateDrill(drill) {
+    return `
+      <div class="drill-create">
+        <div class="create-prompt">
+          ${drill.prompt}
+        </div>
+        <textarea
+          id="design-${drill.id}"
+          placeholder="Design your solution here..."
+          rows="8"
+          class="drill-design"
+        ></textarea>
+        <div class="drill-actions">
+          <button onclick="window.viewer.drillSystem.evaluateDesign('${drill.id}')">
+            Self-Evaluate
+          </button>
+          <button onclick="window.viewer.drillSystem.showDesignCriteria('${drill.id}')" class="secondary">
+            Show Design Criteria
+          </button>
+        </div>
+        <div id="criteria-${drill.id}" class="drill-criteria" style="display:none">
+          <h4>Design Criteria:</h4>
+          <ul>
+            ${(drill.rubric || []).map(criterion =>
+              `<li>
+                <input type="checkbox" id="criteria-${drill.id}-${criterion.substring(0, 10)}">
+                <label for="criteria-${drill.id}-${criterion.substring(0, 10)}">${criterion}</label>
+              </li>`
+            ).join('')}
+          </ul>
+          <button onclick="window.viewer.drillSystem.markComplete('${drill.id}')" class="primary">
+            Mark as Complete
+          </button>
+        </div>
+      </div>
+    `;
+  }
+
+  // Drill interaction methods
+  checkRecall(drillId) {
+    const answer = document.getElementById(`answer-${drillId}`).value;
+    const feedback = document.getElementById(`feedback-${drillId}`);
+
+    if (!answer.trim()) {
+      alert('Please enter an answer');
+      return;
+    }
+
+    feedback.style.display = 'block';
+    this.progress.markDrillComplete(this.currentDiagramId, drillId);
+    this.updateDrillStatus(drillId);
+  }
+
+  revealAnswer(drillId) {
+    const feedback = document.getElementById(`feedback-${drillId}`);
+    feedback.style.display = 'block';
+  }
+
+  checkApply(drillId) {
+    const solution = document.getElementById(`solution-${drillId}`).value;
+
+    if (!solution.trim()) {
+      alert('Please enter your solution');
+      return;
+    }
+
+    this.revealRubric(drillId);
+    this.progress.markDrillComplete(this.currentDiagramId, drillId);
+    this.updateDrillStatus(drillId);
+  }
+
+  revealRubric(drillId) {
+    const rubric = document.getElementById(`rubric-${drillId}`);
+    rubric.style.display = 'block';
+  }
+
+  // Analysis drills are now read-only - no interaction needed
+
+  evaluateDesign(drillId) {
+    const design = document.getElementById(`design-${drillId}`).value;
+
+    if (!design.trim()) {
       alert('Please enter your design');
       return;
     }
 
-    this.showDesignCriteria(drillId);
+    this.showDesignCriteria(drillId);
+  }
+
+  showDesignCriteria(drillId) {
+    const criteria = document.getElementById(`criteria-${drillId}`);
+    criteria.style.display = 'block';
+  }
+
+  markComplete(drillId) {
+    this.progress.markDrillComplete(this.currentDiagramId, drillId);
+    this.updateDrillStatus(drillId);
+
+    // Check if all drills for current state are complete and auto-advance
+    if (this.stateManager && this.shouldAdvanceState()) {
+      setTimeout(() => {
+        this.stateManager.next();
+      }, 1500); // Small delay to let user see completion
+    }
+
+    alert('Well done! Design drill marked as complete.');
+  }
+
+  // Check if we should advance to next state based on drill completion
+  shouldAdvanceState() {
+    const currentState = this.stateManager.getCurrentState();
+    if (!currentState) return false;
+
+    // Get all drills associated with current state
+    const stateDrills = document.querySelectorAll(`.drill[data-state-id="${currentState.id}"]`);
+    if (stateDrills.length === 0) return false;
+
+    // Check if all state drills are complete
+    for (const drill of stateDrills) {
+      if (!drill.classList.contains('completed')) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  updateDrillStatus(drillId) {
+    const drillElement = document.querySelector(`[data-drill-id="${drillId}"]`);
+    if (drillElement) {
+      drillElement.classList.add('completed');
+      const indicator = drillElement.querySelector('.drill-indicator');
+      if (indicator) {
+        indicator.textContent = '✓';
+      }
+    }
+
+    // Refresh progress header
+    const spec = { id: this.currentDiagramId, drills: [] };
+    const drillElements = document.querySelectorAll('.drill');
+    spec.drills = Array.from(drillElements).map(el => ({ id: el.dataset.drillId }));
+
+    const container = document.getElementById('drills-container');
+    const oldHeader = container.querySelector('.drills-progress');
+    const newHeader = this.createProgressHeader(this.currentDiagramId, spec.drills.length);
+
+    if (oldHeader) {
+      container.replaceChild(newHeader, oldHeader);
+    }
+  }
+
+  resetDiagramProgress() {
+    if (confirm('Are you sure you want to reset your progress for this diagram?')) {
+      this.progress.resetProgress(this.currentDiagramId);
+      location.reload(); // Simple refresh to reset UI
+    }
+  }
+}
+
+// Export for module systems, or make global
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { DrillSystem, ProgressTracker };
+} else {
+  window.DrillSystem = DrillSystem;
+  window.ProgressTracker = ProgressTracker;
+}
+
+// === src/learning/packets.js ===
+// Message packets for StepThroughEngine: a glyph per edge kind travels the
+// line the renderer drew from edge.from to edge.to. Durations are
+// proportional to the edge's latency metric, scaled so the slowest edge of
+// the spec fills most of the stepper's playSpeed. Edges with a simulated
+// start time (edge.time, in ms like latency) replay together with the
+// earlier messages still in flight, so pipelined pushes overlap. Nothing
+// moves when the reader prefers reduced motion.
+class PacketAnimator {
+  constructor() {
+    this.frame = null;
+    this.glyphs = [];
+    this.finish = null;
+  }
+
+  // Share of playSpeed a step's packets may take before the next step
+  static get share() {
+    return 0.75;
+  }
+
+  static get minDuration() {
+    return 200;
+  }
+
+  static prefersReducedMotion() {
+    return typeof window !== 'undefined' && typeof window.matchMedia === 'function' &&
+      window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+  }
+
+  getUnits() {
+    return typeof Units !== 'undefined' ? Units : require('../core/units');
+  }
+
+  // Latency of an edge in milliseconds, or null without a usable one
+  latencyOf(edge) {
+    const units = this.getUnits();
+    const metric = edge.metrics?.latency;
+    if (!metric) return null;
+
+    try {
+      const quantity = typeof metric === 'object'
+        ? metric.dimension && { value: metric.value, dimension: metric.dimension }
+        : units.parseQuantity(metric);
+      if (!quantity || !units.equal(quantity.dimension, units.dimensions.time)) return null;
+      return quantity.value * 1000;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  // The flights of a step, as { edge, delay, duration } in milliseconds;
+  // spec is the whole spec the steps were built from
+  plan(step, spec, playSpeed) {
+    const edges = step?.spec?.edges || [];
+    const current = step?.edgeId && edges.find(e => e.id === step.edgeId);
+    if (!current) return [];
+
+    const budget = playSpeed * PacketAnimator.share;
+    const latencies = (spec?.edges || []).map(e => this.latencyOf(e)).filter(l => l !== null);
+    const scale = latencies.length > 0 ? budget / Math.max(...latencies) : 0;
+    const duration = edge => {
+      const latency = this.latencyOf(edge);
+      const scaled = latency === null || scale === 0 ? budget / 2 : latency * scale;
+      return Math.min(budget, Math.max(PacketAnimator.minDuration, scaled));
+    };
+
+    if (typeof current.time !== 'number') {
+      return [{ edge: current, delay: 0, duration: duration(current) }];
+    }
+
+    const inFlight = edges.filter(e => e === current || (typeof e.time === 'number' &&
+      e.time <= current.time && e.time + (this.latencyOf(e) ?? 0) > current.time));
+    const start = Math.min(...inFlight.map(e => e.time));
+    return inFlight.map(edge => ({ edge, delay: (edge.time - start) * scale, duration: duration(edge) }));
+  }
+
+  // Move the planned packets along the edges in the container's SVG; the
+  // promise resolves once all have landed or stop() is called, and rejects
+  // if a frame fails
+  async play(renderer, container, spec, flights) {
+    this.stop();
+
+    const svg = container?.querySelector('svg');
+    if (!svg || flights.length === 0 || PacketAnimator.prefersReducedMotion() || typeof requestAnimationFrame === 'undefined') {
+      return Promise.resolve();
+    }
+
+    const runs = flights
+      .map(flight => ({ ...flight, line: renderer.findEdgeLine(container, flight.edge, spec) }))
+      .filter(run => run.line && typeof run.line.getTotalLength === 'function');
+    if (runs.length === 0) return Promise.resolve();
+
+    runs.forEach(run => {
+      run.length = run.line.getTotalLength();
+      run.glyph = this.createGlyph(run.edge.kind);
+      svg.appendChild(run.glyph);
+      this.glyphs.push(run.glyph);
+    });
+
+    return new Promise((resolve, reject) => {
+      this.finish = resolve;
+      let started = null;
+      const advance = now => {
+        started = started ?? now;
+        const elapsed = now - started;
+        let pending = false;
+
+        runs.forEach(run => {
+          const progress = (elapsed - run.delay) / run.duration;
+          pending = pending || progress <= 1;
+          if (progress < 0 || progress > 1) {
+            run.glyph.style.visibility = 'hidden';
+            return;
+          }
+
+          const point = this.toRoot(svg, run.line, run.line.getPointAtLength(progress * run.length));
+          if (!point) {
+            run.glyph.style.visibility = 'hidden';
+            return;
+          }
+          run.glyph.setAttribute('transform', `translate(${point.x},${point.y})`);
+          run.glyph.style.visibility = 'visible';
+        });
+
+        if (pending) {
+          this.frame = requestAnimationFrame(step);
+        } else {
+          this.stop();
+        }
+      };
+      const step = now => {
+        try {
+          advance(now);
+        } catch (error) {
+          this.finish = null;
+          this.stop();
+          reject(error);
+        }
+      };
+      this.frame = requestAnimationFrame(step);
+    });
+  }
+
+  stop() {
+    if (this.frame !== null) {
+      cancelAnimationFrame(this.frame);
+      this.frame = null;
+    }
+    this.glyphs.forEach(glyph => glyph.remove());
+    this.glyphs = [];
+
+    const finish = this.finish;
+    this.finish = null;
+    if (finish) finish();
+  }
+
+  // Map a point in an element's coordinates to those of the root SVG; null
+  // while either is not displayed and has no screen matrix
+  toRoot(svg, element, point) {
+    const root = svg.getScreenCTM();
+    const own = element.getScreenCTM();
+    if (!root || !own) return null;
+
+    const matrix = root.inverse().multiply(own);
+    return new DOMPoint(point.x, point.y).matrixTransform(matrix);
+  }
+
+  createGlyph(kind) {
+    const ns = 'http://www.w3.org/2000/svg';
+    const glyph = document.createElementNS(ns, 'g');
+    glyph.setAttribute('class', `packet packet-${kind || 'control'}`);
+    glyph.style.visibility = 'hidden';
+
+    const shapes = {
+      data: ['rect', { x: -7, y: -5, width: 14, height: 10, rx: 2 }],
+      cache: ['polygon', { points: '0,-7 7,0 0,7 -7,0' }],
+      heartbeat: ['circle', { r: 6 }]
+    };
+    const [tag, attributes] = shapes[kind] || ['circle', { r: 5 }];
+    const shape = document.createElementNS(ns, tag);
+    Object.entries(attributes).forEach(([name, value]) => shape.setAttribute(name, value));
+    glyph.appendChild(shape);
+    return glyph;
+  }
+}
+
+// Export for module systems, or make global
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PacketAnimator;
+} else {
+  window.PacketAnimator = PacketAnimator;
+}
+
+// === src/learning/progress.js ===
+class LearningProgress {
+  constructor() {
+    this.storageKey = 'gfs-learning-overall-progress';
+    this.sessionKey = 'gfs-learning-session';
+    this.data = this.load();
+    this.session = this.loadSession();
+    this.initSession();
+  }
+
+  load() {
+    try {
+      const saved = localStorage.getItem(this.storageKey);
+      return saved ? JSON.parse(saved) : {
+        diagrams: {},
+        achievements: [],
+        totalTime: 0,
+        startDate: Date.now(),
+        lastActive: Date.now()
+      };
+    } catch (error) {
+      console.error('Failed to load progress:', error);
+      return this.getDefaultData();
+    }
+  }
+
+  loadSession() {
+    try {
+      const saved = sessionStorage.getItem(this.sessionKey);
+      return saved ? JSON.parse(saved) : this.getDefaultSession();
+    } catch (error) {
+      return this.getDefaultSession();
+    }
+  }
+
+  getDefaultData() {
+    return {
+      diagrams: {},
+      achievements: [],
+      totalTime: 0,
+      startDate: Date.now(),
+      lastActive: Date.now()
+    };
+  }
+
+  getDefaultSession() {
+    return {
+      startTime: Date.now(),
+      diagramsViewed: [],
+      drillsCompleted: 0,
+      stepsViewed: 0
+    };
+  }
+
+  initSession() {
+    // Track page visibility for accurate time tracking
+    document.addEventListener('visibilitychange', () => {
+      if (document.hidden) {
+        this.pauseSession();
+      } else {
+        this.resumeSession();
+      }
+    });
+
+    // Save on page unload
+    window.addEventListener('beforeunload', () => {
+      this.saveSession();
+      this.save();
+    });
+
+    // Auto-save every minute
+    setInterval(() => {
+      this.save();
+    }, 60000);
+  }
+
+  save() {
+    try {
+      this.data.lastActive = Date.now();
+      localStorage.setItem(this.storageKey, JSON.stringify(this.data));
+    } catch (error) {
+      console.error('Failed to save progress:', error);
+    }
+  }
+
+  saveSession() {
+    try {
+      sessionStorage.setItem(this.sessionKey, JSON.stringify(this.session));
+    } catch (error) {
+      console.error('Failed to save session:', error);
+    }
+  }
+
+  pauseSession() {
+    if (this.session.pauseTime) return;
+    this.session.pauseTime = Date.now();
+  }
+
+  resumeSession() {
+    if (!this.session.pauseTime) return;
+    const pauseDuration = Date.now() - this.session.pauseTime;
+    this.session.startTime += pauseDuration; // Adjust start time to exclude pause
+    delete this.session.pauseTime;
+  }
+
+  // Diagram progress tracking
+  markDiagramViewed(diagramId) {
+    if (!this.data.diagrams[diagramId]) {
+      this.data.diagrams[diagramId] = {
+        firstViewed: Date.now(),
+        lastViewed: Date.now(),
+        viewCount: 0,
+        timeSpent: 0,
+        drillsCompleted: 0,
+        totalDrills: 0,
+        stepsCompleted: 0,
+        totalSteps: 0
+      };
+    }
+
+    this.data.diagrams[diagramId].viewCount++;
+    this.data.diagrams[diagramId].lastViewed = Date.now();
+
+    if (!this.session.diagramsViewed.includes(diagramId)) {
+      this.session.diagramsViewed.push(diagramId);
+    }
+
+    this.save();
+  }
+
+  updateDiagramTime(diagramId, seconds) {
+    if (!this.data.diagrams[diagramId]) {
+      this.markDiagramViewed(diagramId);
+    }
+
+    this.data.diagrams[diagramId].timeSpent += seconds;
+    this.data.totalTime += seconds;
+    this.save();
+  }
+
+  updateDrillProgress(diagramId, completed, total) {
+    if (!this.data.diagrams[diagramId]) {
+      this.markDiagramViewed(diagramId);
+    }
+
+    this.data.diagrams[diagramId].drillsCompleted = completed;
+    this.data.diagrams[diagramId].totalDrills = total;
+
+    // Check for achievements
+    this.checkDrillAchievements(diagramId, completed, total);
+
+    this.save();
+  }
+
+  updateStepProgress(diagramId, currentStep, totalSteps) {
+    if (!this.data.diagrams[diagramId]) {
+      this.markDiagramViewed(diagramId);
+    }
+
+    this.data.diagrams[diagramId].stepsCompleted = Math.max(
+      currentStep,
+      this.data.diagrams[diagramId].stepsCompleted || 0
+    );
+    this.data.diagrams[diagramId].totalSteps = totalSteps;
+
+    this.session.stepsViewed++;
+    this.saveSession();
+    this.save();
+  }
+
+  // Achievement system
+  checkDrillAchievements(diagramId, completed, total) {
+    const achievements = [];
+
+    // First drill completed
+    if (completed === 1 && !this.hasAchievement('first-drill')) {
+      achievements.push({
+        id: 'first-drill',
+        title: 'First Steps',
+        description: 'Completed your first drill',
+        icon: '🎯',
+        timestamp: Date.now()
+      });
+    }
+
+    // Complete all drills for a diagram
+    if (completed === total && total > 0 && !this.hasAchievement(`master-${diagramId}`)) {
+      achievements.push({
+        id: `master-${diagramId}`,
+        title: 'Diagram Master',
+        description: `Completed all drills for ${diagramId}`,
+        icon: '🏆',
+        timestamp: Date.now()
+      });
+    }
+
+    // Speed learner (complete 5 drills in one session)
+    if (this.session.drillsCompleted >= 5 && !this.hasAchievement('speed-learner')) {
+      achievements.push({
+        id: 'speed-learner',
+        title: 'Speed Learner',
+        description: 'Completed 5 drills in one session',
+        icon: '⚡',
+        timestamp: Date.now()
+      });
+    }
+
+    // Add new achievements
+    achievements.forEach(achievement => {
+      this.addAchievement(achievement);
+    });
+
+    return achievements;
+  }
+
+  hasAchievement(id) {
+    return this.data.achievements.some(a => a.id === id);
+  }
+
+  addAchievement(achievement) {
+    if (!this.hasAchievement(achievement.id)) {
+      this.data.achievements.push(achievement);
+      this.save();
+      this.notifyAchievement(achievement);
+    }
+  }
+
+  notifyAchievement(achievement) {
+    // Emit event for UI to handle
+    const event = new CustomEvent('achievement', {
+      detail: achievement
+    });
+    document.dispatchEvent(event);
+  }
+
+  // Statistics and reporting
+  getOverallProgress() {
+    const stats = {
+      totalDiagrams: 0,
+      completedDiagrams: 0,
+      totalDrills: 0,
+      completedDrills: 0,
+      totalTime: this.data.totalTime,
+      achievements: this.data.achievements.length,
+      daysActive: this.getDaysActive()
+    };
+
+    Object.values(this.data.diagrams).forEach(diagram => {
+      stats.totalDiagrams++;
+      stats.totalDrills += diagram.totalDrills || 0;
+      stats.completedDrills += diagram.drillsCompleted || 0;
+
+      if (diagram.totalDrills > 0 && diagram.drillsCompleted === diagram.totalDrills) {
+        stats.completedDiagrams++;
+      }
+    });
+
+    stats.completionPercentage = stats.totalDrills > 0
+      ? Math.round((stats.completedDrills / stats.totalDrills) * 100)
+      : 0;
+
+    return stats;
+  }
+
+  getDiagramStats(diagramId) {
+    const diagram = this.data.diagrams[diagramId] || {
+      viewCount: 0,
+      timeSpent: 0,
+      drillsCompleted: 0,
+      totalDrills: 0,
+      stepsCompleted: 0,
+      totalSteps: 0
+    };
+
+    return {
+      ...diagram,
+      completionPercentage: diagram.totalDrills > 0
+        ? Math.round((diagram.drillsCompleted / diagram.totalDrills) * 100)
+        : 0,
+      formattedTime: this.formatTime(diagram.timeSpent)
+    };
+  }
+
+  getSessionStats() {
+    const duration = Date.now() - this.session.startTime;
+
+    return {
+      duration: this.formatTime(Math.floor(duration / 1000)),
+      diagramsViewed: this.session.diagramsViewed.length,
+      drillsCompleted: this.session.drillsCompleted,
+      stepsViewed: this.session.stepsViewed
+    };
+  }
+
+  getDaysActive() {
+    const daysSinceStart = Math.floor((Date.now() - this.data.startDate) / (1000 * 60 * 60 * 24));
+    return Math.max(1, daysSinceStart);
+  }
+
+  formatTime(seconds) {
+    if (seconds < 60) {
+      return `${seconds}s`;
+    } else if (seconds < 3600) {
+      const minutes = Math.floor(seconds / 60);
+      const remainingSeconds = seconds % 60;
+      return `${minutes}m ${remainingSeconds}s`;
+    } else {
+      const hours = Math.floor(seconds / 3600);
+      const minutes = Math.floor((seconds % 3600) / 60);
+      return `${hours}h ${minutes}m`;
+    }
+  }
+
+  // Export/Import functionality
+  exportProgress() {
+    return {
+      version: '1.0',
+      exportDate: Date.now(),
+      data: this.data
+    };
+  }
+
+  importProgress(exportedData) {
+    if (exportedData.version === '1.0' && exportedData.data) {
+      this.data = exportedData.data;
+      this.save();
+      return true;
+    }
+    return false;
+  }
+
+  // Reset functionality
+  resetDiagram(diagramId) {
+    if (this.data.diagrams[diagramId]) {
+      delete this.data.diagrams[diagramId];
+      this.save();
+    }
+  }
+
+  resetAll() {
+    if (confirm('Are you sure you want to reset all progress? This cannot be undone.')) {
+      this.data = this.getDefaultData();
+      this.session = this.getDefaultSession();
+      this.save();
+      this.saveSession();
+      location.reload();
+    }
+  }
+
+  // Learning path recommendations
+  getRecommendations() {
+    const recommendations = [];
+    const stats = this.getOverallProgress();
+
+    // Suggest unviewed diagrams
+    const allDiagramIds = [
+      '00-legend', '01-triangle', '02-scale', '03-chunk-size',
+      '04-architecture', '05-planes', '06-read-path', '07-write-path',
+      '08-lease', '09-consistency', '10-recovery', '11-evolution', '12-dna',
+      '13-snapshot', '14-garbage-collection'
+    ];
+
+    const unviewed = allDiagramIds.filter(id => !this.data.diagrams[id]);
+    if (unviewed.length > 0) {
+      recommendations.push({
+        type: 'explore',
+        title: 'Explore New Diagrams',
+        description: `You have ${unviewed.length} diagrams yet to explore`,
+        action: 'view',
+        target: unviewed[0]
+      });
+    }
+
+    // Suggest incomplete drills
+    const incomplete = Object.entries(this.data.diagrams)
+      .filter(([id, data]) => data.totalDrills > data.drillsCompleted)
+      .map(([id, data]) => ({
+        id,
+        remaining: data.totalDrills - data.drillsCompleted
+      }));
+
+    if (incomplete.length > 0) {
+      const next = incomplete[0];
+      recommendations.push({
+        type: 'practice',
+        title: 'Complete Drills',
+        description: `${next.remaining} drills remaining in ${next.id}`,
+        action: 'drill',
+        target: next.id
+      });
+    }
+
+    // Suggest review based on time
+    const oldestViewed = Object.entries(this.data.diagrams)
+      .sort(([, a], [, b]) => a.lastViewed - b.lastViewed)
+      .slice(0, 3);
+
+    if (oldestViewed.length > 0) {
+      const [id, data] = oldestViewed[0];
+      const daysSince = Math.floor((Date.now() - data.lastViewed) / (1000 * 60 * 60 * 24));
+
+      if (daysSince > 7) {
+        recommendations.push({
+          type: 'review',
+          title: 'Time for Review',
+          description: `Review ${id} (last viewed ${daysSince} days ago)`,
+          action: 'review',
+          target: id
+        });
+      }
+    }
+
+    return recommendations;
+  }
+}
+
+// Export for module systems, or make global
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = LearningProgress;
+} else {
+  window.LearningProgress = LearningProgress;
+}
+
+// === src/learning/stepper.js ===
+class StepThroughEngine {
+  constructor(renderer, composer) {
+    this.renderer = renderer;
+    this.composer = composer;
+    this.currentStep = 0;
+    this.steps = [];
+    this.spec = null;
+    this.isPlaying = false;
+    this.playInterval = null;
+    this.playSpeed = 2000; // milliseconds between steps
+    this.packets = new (this.getPacketAnimator())();
+  }
+
+  getPacketAnimator() {
+    return typeof PacketAnimator !== 'undefined' ? PacketAnimator : require('./packets');
+  }
+
+  initialize(spec) {
+    spec = this.composer.expandSpec(spec);
+    this.spec = spec;
+    this.steps = this.buildSteps(spec);
+    this.currentStep = 0;
+    this.isPlaying = false;
+    this.stopAutoPlay();
+  }
+
+  buildSteps(spec) {
+    const steps = [];
+
+    // Start with empty state if applicable
+    if (spec.layout?.type === 'sequence' || spec.layout?.type === 'flow') {
+      steps.push({
+        type: 'initial',
+        index: -1,
+        caption: 'Initial state - no operations yet',
+        spec: {
+          ...spec,
+          nodes: spec.nodes || [],
+          edges: []
+        }
+      });
+    }
+
+    // For sequence diagrams, each edge is a step
+    if (spec.layout?.type === 'sequence') {
+      (spec.edges || []).forEach((edge, index) => {
+        steps.push({
+          type: 'edge',
+          index,
+          edgeId: edge.id,
+          caption: this.generateStepCaption(edge, spec),
+          focus: [edge.from, edge.to],
+          spec: {
+            ...spec,
+            edges: spec.edges.slice(0, index + 1).map((e, i) => ({
+              ...e,
+              _highlighted: i === index,
+              _current: i === index
+            }))
+          }
+        });
+      });
+    }
+
+    // For flow diagrams with scenes
+    if (spec.scenes && spec.scenes.length > 0) {
+      spec.scenes.forEach((scene, index) => {
+        const composedSpec = this.composer.composeScene(spec, scene.overlays || []);
+        steps.push({
+          type: 'scene',
+          index,
+          sceneId: scene.id,
+          caption: scene.narrative || scene.name,
+          overlays: scene.overlays || [],
+          spec: composedSpec
+        });
+      });
+    }
+
+    // For state diagrams, show state transitions
+    if (spec.layout?.type === 'state') {
+      // Show initial state
+      steps.push({
+        type: 'state',
+        index: 0,
+        caption: 'Initial state',
+        spec: {
+          ...spec,
+          edges: []
+        }
+      });
+
+      // Show each transition
+      (spec.edges || []).forEach((edge, index) => {
+        const edgesSoFar = spec.edges.slice(0, index + 1);
+        steps.push({
+          type: 'transition',
+          index: index + 1,
+          edgeId: edge.id,
+          caption: `Transition: ${edge.label || `${edge.from} → ${edge.to}`}`,
+          spec: {
+            ...spec,
+            edges: edgesSoFar.map((e, i) => ({
+              ...e,
+              _highlighted: i === index
+            }))
+          }
+        });
+      });
+    }
+
+    // Add final step if we have steps
+    if (steps.length > 0) {
+      steps.push({
+        type: 'final',
+        index: steps.length,
+        caption: 'Complete flow',
+        spec: spec
+      });
+    }
+
+    return steps;
+  }
+
+  generateStepCaption(edge, spec) {
+    const fromNode = spec.nodes?.find(n => n.id === edge.from);
+    const toNode = spec.nodes?.find(n => n.id === edge.to);
+
+    const verbMap = {
+      'control': 'requests',
+      'data': 'transfers',
+      'cache': 'caches',
+      'heartbeat': 'heartbeats to'
+    };
+
+    const verb = verbMap[edge.kind] || 'sends to';
+    const fromLabel = fromNode?.label || edge.from;
+    const toLabel = toNode?.label || edge.to;
+
+    let caption = `${fromLabel} ${verb} ${toLabel}`;
+
+    if (edge.label) {
+      caption = `${fromLabel}: ${edge.label}`;
+    }
+
+    // Add metrics if available
+    if (edge.metrics) {
+      const metrics = [];
+      // Computed metrics carry their display text
+      const text = metric => (typeof metric === 'object' ? metric.text ?? metric.expr : metric);
+      if (edge.metrics.size) metrics.push(text(edge.metrics.size));
+      if (edge.metrics.latency) metrics.push(text(edge.metrics.latency));
+      if (metrics.length > 0) {
+        caption += ` (${metrics.join(', ')})`;
+      }
+    }
+
+    return caption;
+  }
+
+  async renderStep(stepIndex) {
+    if (stepIndex < 0 || stepIndex >= this.steps.length) {
+      return;
+    }
+
+    this.currentStep = stepIndex;
+    const step = this.steps[stepIndex];
+
+    // Render the diagram for this step
+    this.packets.stop();
+    await this.renderer.render(step.spec);
+
+    // Send the step's messages along their edges; they land within
+    // playSpeed, before autoplay moves on, so stepping does not wait for them
+    this.packets.play(this.renderer, document.getElementById(this.renderer.containerId), step.spec,
+      this.packets.plan(step, this.spec, this.playSpeed))
+      .catch(error => console.warn('Packet animation failed:', error));
+
+    // Update UI controls
+    this.updateStepUI(step, stepIndex);
+
+    // Emit event for other components
+    this.emitStepChange(step, stepIndex);
+  }
+
+  updateStepUI(step, index) {
+    // Update caption
+    const captionEl = document.getElementById('step-caption');
+    if (captionEl) {
+      captionEl.textContent = step.caption;
+    }
+
+    // Update progress
+    const progressEl = document.getElementById('step-progress');
+    if (progressEl) {
+      progressEl.textContent = `Step ${index + 1} of ${this.steps.length}`;
+    }
+
+    // Update progress bar
+    const progressBar = document.getElementById('step-progress-bar');
+    if (progressBar) {
+      const percentage = ((index + 1) / this.steps.length) * 100;
+      progressBar.style.width = `${percentage}%`;
+    }
+
+    // Update buttons
+    const prevBtn = document.getElementById('step-prev');
+    const nextBtn = document.getElementById('step-next');
+    const playBtn = document.getElementById('step-play');
+
+    if (prevBtn) {
+      prevBtn.disabled = index === 0;
+    }
+
+    if (nextBtn) {
+      nextBtn.disabled = index === this.steps.length - 1;
+    }
+
+    if (playBtn) {
+      playBtn.textContent = this.isPlaying ? '⏸ Pause' : '▶ Play';
+      playBtn.disabled = index === this.steps.length - 1 && !this.isPlaying;
+    }
+
+    // Update step list if present
+    this.updateStepList(index);
+
+    // Highlight focused elements if specified
+    if (step.focus) {
+      this.highlightElements(step.focus);
+    }
+  }
+
+  updateStepList(currentIndex) {
+    const stepList = document.getElementById('step-list');
+    if (!stepList) return;
+
+    stepList.innerHTML = '';
+
+    this.steps.forEach((step, index) => {
+      const li = document.createElement('li');
+      li.className = 'step-item';
+      if (index === currentIndex) {
+        li.classList.add('current');
+      }
+      if (index < currentIndex) {
+        li.classList.add('completed');
+      }
+
+      const button = document.createElement('button');
+      button.className = 'step-button';
+      button.innerHTML = `
+        <span class="step-number">${index + 1}</span>
+        <span class="step-text">${step.caption}</span>
+      `;
+      button.onclick = () => this.goToStep(index);
+
+      li.appendChild(button);
+      stepList.appendChild(li);
+    });
+  }
+
+  highlightElements(elementIds) {
+    // Remove previous highlights
+    document.querySelectorAll('.step-highlight').forEach(el => {
+      el.classList.remove('step-highlight');
+    });
+
+    // Add new highlights
+    elementIds.forEach(id => {
+      const elements = this.renderer.findElements(document, id);
+      elements.forEach(el => {
+        el.classList.add('step-highlight');
+      });
+    });
+  }
+
+  emitStepChange(step, index) {
+    const event = new CustomEvent('stepChange', {
+      detail: {
+        step,
+        index,
+        total: this.steps.length,
+        isFirst: index === 0,
+        isLast: index === this.steps.length - 1
+      }
+    });
+    document.dispatchEvent(event);
+  }
+
+  // Navigation methods
+  async next() {
+    if (this.currentStep < this.steps.length - 1) {
+      await this.renderStep(this.currentStep + 1);
+    } else if (this.isPlaying) {
+      this.stopAutoPlay();
+    }
+  }
+
+  async prev() {
+    if (this.currentStep > 0) {
+      await this.renderStep(this.currentStep - 1);
+    }
+  }
+
+  async goToStep(index) {
+    if (index >= 0 && index < this.steps.length) {
+      await this.renderStep(index);
+    }
+  }
+
+  async first() {
+    await this.renderStep(0);
+  }
+
+  async last() {
+    await this.renderStep(this.steps.length - 1);
+  }
+
+  // Auto-play functionality
+  toggleAutoPlay() {
+    if (this.isPlaying) {
+      this.stopAutoPlay();
+    } else {
+      this.startAutoPlay();
+    }
+  }
+
+  startAutoPlay() {
+    if (this.currentStep >= this.steps.length - 1) {
+      // Reset to beginning if at end
+      this.goToStep(0);
+    }
+
+    this.isPlaying = true;
+    this.updatePlayButton();
+
+    this.playInterval = setInterval(async () => {
+      await this.next();
+      if (this.currentStep >= this.steps.length - 1) {
+        this.stopAutoPlay();
+      }
+    }, this.playSpeed);
+  }
+
+  stopAutoPlay() {
+    this.isPlaying = false;
+    if (this.playInterval) {
+      clearInterval(this.playInterval);
+      this.playInterval = null;
+    }
+    this.updatePlayButton();
+  }
+
+  updatePlayButton() {
+    const playBtn = document.getElementById('step-play');
+    if (playBtn) {
+      playBtn.textContent = this.isPlaying ? '⏸ Pause' : '▶ Play';
+    }
+  }
+
+  setPlaySpeed(speed) {
+    this.playSpeed = speed;
+    if (this.isPlaying) {
+      this.stopAutoPlay();
+      this.startAutoPlay();
+    }
+  }
+
+  // Utility methods
+  getCurrentStep() {
+    return this.steps[this.currentStep];
+  }
+
+  getStepCount() {
+    return this.steps.length;
+  }
+
+  getCurrentIndex() {
+    return this.currentStep;
+  }
+
+  // Export steps for external use
+  exportSteps() {
+    return this.steps.map((step, index) => ({
+      index,
+      type: step.type,
+      caption: step.caption,
+      isCurrent: index === this.currentStep
+    }));
+  }
+
+  // Reset to initial state
+  reset() {
+    this.stopAutoPlay();
+    this.currentStep = 0;
+    if (this.steps.length > 0) {
+      this.renderStep(0);
+    }
+  }
+
+  // Cleanup method to prevent memory leaks
+  destroy() {
+    this.stopAutoPlay();
+    this.packets.stop();
+    this.steps = [];
+    this.spec = null;
+    this.currentStep = 0;
+    this.renderer = null;
+    this.composer = null;
+  }
+}
+
+// Export for module systems, or make global
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = StepThroughEngine;
+} else {
+  window.StepThroughEngine = StepThroughEngine;
+}
+
+// === src/ui/export.js ===
+class ExportManager {
+  constructor(viewer) {
+    this.viewer = viewer;
+  }
+
+  showExportDialog() {
+    const modal = document.createElement('div');
+    modal.className = 'modal export-modal';
+    modal.innerHTML = `
+      <div class="modal-content">
+        <div class="modal-header">
+          <h2>Export Diagram</h2>
+          <button class="modal-close" onclick="this.closest('.modal').remove()">×</button>
+        </div>
+        <div class="modal-body">
+          <div class="export-options">
+            <button class="export-option" onclick="viewer.exportManager.exportSVG()">
+              <span class="export-icon">🖼️</span>
+              <span class="export-label">Export as SVG</span>
+              <span class="export-desc">Vector image for presentations</span>
+            </button>
+            <button class="export-option" onclick="viewer.exportManager.exportPNG()">
+              <span class="export-icon">📷</span>
+              <span class="export-label">Export as PNG</span>
+              <span class="export-desc">Image for documents</span>
+            </button>
+            <button class="export-option" onclick="viewer.exportManager.exportJSON()">
+              <span class="export-icon">📄</span>
+              <span class="export-label">Export as JSON</span>
+              <span class="export-desc">Raw specification data</span>
+            </button>
+            <button class="export-option" onclick="viewer.exportManager.exportMermaid()">
+              <span class="export-icon">📝</span>
+              <span class="export-label">Export Mermaid Code</span>
+              <span class="export-desc">Editable diagram source</span>
+            </button>
+            <button class="export-option" onclick="viewer.exportManager.exportProgress()">
+              <span class="export-icon">📊</span>
+              <span class="export-label">Export Progress</span>
+              <span class="export-desc">Backup learning progress</span>
+            </button>
+            <button class="export-option" onclick="viewer.exportManager.printDiagram()">
+              <span class="export-icon">🖨️</span>
+              <span class="export-label">Print Diagram</span>
+              <span class="export-desc">Send to printer or PDF</span>
+            </button>
+          </div>
+        </div>
+      </div>
+    `;
+
+    document.body.appendChild(modal);
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) modal.remove();
+    });
+  }
+
+  exportSVG() {
+    const svg = document.querySelector('#diagram-container svg');
+    if (!svg) {
+      alert('No diagram to export');
+      return;
+    }
+
+    // Clone and prepare SVG
+    const svgClone = svg.cloneNode(true);
+    this.addSVGStyles(svgClone);
+
+    // Add title and metadata
+    const title = document.createElementNS('http://www.w3.org/2000/svg', 'title');
+    title.textContent = this.viewer.currentSpec.title || 'GFS Diagram';
+    svgClone.insertBefore(title, svgClone.firstChild);
+
+    const serializer = new XMLSerializer();
+    const svgString = serializer.serializeToString(svgClone);
+
+    // Create blob and download
+    const blob = new Blob([svgString], { type: 'image/svg+xml;charset=utf-8' });
+    this.downloadBlob(blob, `${this.viewer.currentDiagramId}.svg`);
+
+    // Close modal
+    this.closeModal();
+  }
+
+  exportPNG() {
+    const svg = document.querySelector('#diagram-container svg');
+    if (!svg) {
+      alert('No diagram to export');
+      return;
+    }
+
+    // Get SVG dimensions
+    const bbox = svg.getBBox();
+    const width = bbox.width + bbox.x * 2;
+    const height = bbox.height + bbox.y * 2;
+
+    // Create canvas
+    const canvas = document.createElement('canvas');
+    const scale = 2; // Higher resolution
+    canvas.width = width * scale;
+    canvas.height = height * scale;
+
+    const ctx = canvas.getContext('2d');
+    ctx.scale(scale, scale);
+
+    // Set white background
+    ctx.fillStyle = 'white';
+    ctx.fillRect(0, 0, width, height);
+
+    // Convert SVG to data URL
+    const svgClone = svg.cloneNode(true);
+    this.addSVGStyles(svgClone);
+
+    const serializer = new XMLSerializer();
+    const svgString = serializer.serializeToString(svgClone);
+    const svgBlob = new Blob([svgString], { type: 'image/svg+xml;charset=utf-8' });
+    const svgUrl = URL.createObjectURL(svgBlob);
+
+    // Create image and draw to canvas
+    const img = new Image();
+    img.onload = () => {
+      ctx.drawImage(img, 0, 0, width, height);
+      URL.revokeObjectURL(svgUrl);
+
+      // Export canvas as PNG
+      canvas.toBlob((blob) => {
+        this.downloadBlob(blob, `${this.viewer.currentDiagramId}.png`);
+        this.closeModal();
+      }, 'image/png');
+    };
+
+    img.src = svgUrl;
+  }
+
+  exportJSON() {
+    if (!this.viewer.currentSpec) {
+      alert('No diagram to export');
+      return;
+    }
+
+    // Include current state
+    const exportData = {
+      ...this.viewer.currentSpec,
+      _export: {
+        timestamp: Date.now(),
+        version: `${SpecMigrator.currentVersion}.0`,
+        activeOverlays: Array.from(this.viewer.currentOverlays)
+      }
+    };
+
+    const blob = new Blob([JSON.stringify(exportData, null, 2)], {
+      type: 'application/json;charset=utf-8'
+    });
+
+    this.downloadBlob(blob, `${this.viewer.currentDiagramId}.json`);
+    this.closeModal();
+  }
+
+  exportMermaid() {
+    if (!this.viewer.currentSpec) {
+      alert('No diagram to export');
+      return;
+    }
+
+    // Generate Mermaid code
+    const composed = this.viewer.composer.composeScene(
+      this.viewer.currentSpec,
+      Array.from(this.viewer.currentOverlays)
+    );
+
+    const mermaidCode = this.viewer.renderer.generateMermaidCode(composed);
+
+    // Add header comment
+    const exportContent = `# ${this.viewer.currentSpec.title}
+# Generated: ${new Date().toISOString()}
+# Overlays: ${Array.from(this.viewer.currentOverlays).join(', ') || 'none'}
+
+${mermaidCode}`;
+
+    const blob = new Blob([exportContent], {
+      type: 'text/plain;charset=utf-8'
+    });
+
+    this.downloadBlob(blob, `${this.viewer.currentDiagramId}.mmd`);
+    this.closeModal();
+  }
+
+  exportProgress() {
+    const progressData = this.viewer.learningProgress.exportProgress();
+    const blob = new Blob([JSON.stringify(progressData, null, 2)], {
+      type: 'application/json;charset=utf-8'
+    });
+
+    const date = new Date().toISOString().split('T')[0];
+    this.downloadBlob(blob, `gfs-progress-${date}.json`);
+    this.closeModal();
+  }
+
+  printDiagram() {
+    // Create print-specific styles
+    const printStyles = `
+      @media print {
+        body > *:not(.print-content) {
+          display: none !important;
+        }
+        .print-content {
+          display: block !important;
+          padding: 20px;
+        }
+        .print-header {
+          margin-bottom: 20px;
+          border-bottom: 2px solid #333;
+          padding-bottom: 10px;
+        }
+        .print-diagram {
+          max-width: 100%;
+          page-break-inside: avoid;
+        }
+        .print-contracts {
+          margin-top: 20px;
+          page-break-inside: avoid;
+        }
+        .print-contracts h3 {
+          margin-top: 15px;
+        }
+        .print-contracts ul {
+          margin-left: 20px;
+        }
+      }
+    `;
+
+    // Add print styles to head
+    const styleEl = document.createElement('style');
+    styleEl.textContent = printStyles;
+    document.head.appendChild(styleEl);
+
+    // Create print content
+    const printContent = document.createElement('div');
+    printContent.className = 'print-content';
+    printContent.style.display = 'none';
+
+    // Add header
+    const header = document.createElement('div');
+    header.className = 'print-header';
+    header.innerHTML = `
+      <h1>${this.viewer.currentSpec.title}</h1>
+      <p>GFS Visual Learning System - ${new Date().toLocaleDateString()}</p>
+    `;
+    printContent.appendChild(header);
+
+    // Add diagram
+    const diagramContainer = document.createElement('div');
+    diagramContainer.className = 'print-diagram';
+    const svg = document.querySelector('#diagram-container svg');
+    if (svg) {
+      diagramContainer.appendChild(svg.cloneNode(true));
+    }
+    printContent.appendChild(diagramContainer);
+
+    // Add contracts if available
+    if (this.viewer.currentSpec.contracts) {
+      const contracts = document.createElement('div');
+      contracts.className = 'print-contracts';
+      contracts.innerHTML = `
+        <h2>System Contracts</h2>
+        ${this.viewer.currentSpec.contracts.invariants?.length > 0 ? `
+          <div>
+            <h3>Invariants</h3>
+            <ul>
+              ${this.viewer.currentSpec.contracts.invariants.map(i => `<li>${ContractChecker.text(i)}</li>`).join('')}
+            </ul>
+          </div>
+        ` : ''}
+        ${this.viewer.currentSpec.contracts.guarantees?.length > 0 ? `
+          <div>
+            <h3>Guarantees</h3>
+            <ul>
+              ${this.viewer.currentSpec.contracts.guarantees.map(g => `<li>${ContractChecker.text(g)}</li>`).join('')}
+            </ul>
+          </div>
+        ` : ''}
+        ${this.viewer.currentSpec.contracts.caveats?.length > 0 ? `
+          <div>
+            <h3>Caveats</h3>
+            <ul>
+              ${this.viewer.currentSpec.contracts.caveats.map(c => `<li>${ContractChecker.text(c)}</li>`).join('')}
+            </ul>
+          </div>
+        ` : ''}
+      `;
+      printContent.appendChild(contracts);
+    }
+
+    // Add to body
+    document.body.appendChild(printContent);
+
+    // Print
+    window.print();
+
+    // Clean up
+    setTimeout(() => {
+      printContent.remove();
+      styleEl.remove();
+    }, 1000);
+
+    this.closeModal();
+  }
+
+  addSVGStyles(svg) {
+    // Embed styles directly in SVG for standalone export
+    const style = document.createElementNS('http://www.w3.org/2000/svg', 'style');
+    style.textContent = `
+      text {
+        font-family: 'Trebuchet MS', Arial, sans-serif;
+        font-size: 14px;
+      }
+      .node rect {
+        stroke-width: 2px;
+      }
+      .edgeLabel {
+        background-color: white;
+        padding: 2px 4px;
+      }
+      .highlight {
+        fill: #FFD700 !important;
+        stroke: #B8860B !important;
+        stroke-width: 4px !important;
+      }
+    `;
+    svg.insertBefore(style, svg.firstChild);
+
+    // Set viewBox if not present
+    if (!svg.getAttribute('viewBox')) {
+      const bbox = svg.getBBox();
+      svg.setAttribute('viewBox', `${bbox.x} ${bbox.y} ${bbox.width} ${bbox.height}`);
+    }
+
+    // Set dimensions
+    svg.setAttribute('width', '100%');
+    svg.setAttribute('height', '100%');
+  }
+
+  downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
   }
 
-  showDesignCriteria(drillId) {
-    const criteria = document.getElementById(`criteria-${drillId}`);
-    criteria.style.display = 'block';
+  closeModal() {
+    const modal = document.querySelector('.export-modal');
+    if (modal) {
+      modal.remove();
+    }
   }
 
-  markComplete(drillId) {
-    this.progress.markDrillComplete(this.currentDiagramId, drillId);
-    this.updateDrillStatus(drillId);
-
-    // Check if all drills for current state are complete and auto-advance
-    if (this.stateManager && this.shouldAdvanceState()) {
-      setTimeout(() => {
-        this.stateManager.next();
-      }, 1500); // Small delay to let user see completion
-    }
+  // Import functionality
+  showImportDialog() {
+    const modal = document.createElement('div');
+    modal.className = 'modal import-modal';
+    modal.innerHTML = `
+      <div class="modal-content">
+        <div class="modal-header">
+          <h2>Import Data</h2>
+          <button class="modal-close" onclick="this.closest('.modal').remove()">×</button>
+        </div>
+        <div class="modal-body">
+          <div class="import-section">
+            <h3>Import Progress Data</h3>
+            <p>Restore your learning progress from a backup file.</p>
+            <input type="file" id="import-progress" accept=".json">
+            <button onclick="viewer.exportManager.importProgressFile()">Import Progress</button>
+          </div>
+          <div class="import-section">
+            <h3>Import Custom Diagram</h3>
+            <p>Load a custom diagram specification.</p>
+            <input type="file" id="import-diagram" accept=".json">
+            <button onclick="viewer.exportManager.importDiagramFile()">Import Diagram</button>
+          </div>
+        </div>
+      </div>
+    `;
 
-    alert('Well done! Design drill marked as complete.');
+    document.body.appendChild(modal);
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) modal.remove();
+    });
   }
 
-  // Check if we should advance to next state based on drill completion
-  shouldAdvanceState() {
-    const currentState = this.stateManager.getCurrentState();
-    if (!currentState) return false;
+  async importProgressFile() {
+    const input = document.getElementById('import-progress');
+    if (!input.files[0]) {
+      alert('Please select a file');
+      return;
+    }
 
-    // Get all drills associated with current state
-    const stateDrills = document.querySelectorAll(`.drill[data-state-id="${currentState.id}"]`);
-    if (stateDrills.length === 0) return false;
+    try {
+      const text = await input.files[0].text();
+      const data = JSON.parse(text);
 
-    // Check if all state drills are complete
-    for (const drill of stateDrills) {
-      if (!drill.classList.contains('completed')) {
-        return false;
+      if (this.viewer.learningProgress.importProgress(data)) {
+        alert('Progress imported successfully!');
+        location.reload();
+      } else {
+        alert('Invalid progress file');
       }
+    } catch (error) {
+      alert('Failed to import progress: ' + error.message);
     }
-
-    return true;
   }
 
-  updateDrillStatus(drillId) {
-    const drillElement = document.querySelector(`[data-drill-id="${drillId}"]`);
-    if (drillElement) {
-      drillElement.classList.add('completed');
-      const indicator = drillElement.querySelector('.drill-indicator');
-      if (indicator) {
-        indicator.textContent = '✓';
-      }
+  async importDiagramFile() {
+    const input = document.getElementById('import-diagram');
+    if (!input.files[0]) {
+      alert('Please select a file');
+      return;
     }
 
-    // Refresh progress header
-    const spec = { id: this.currentDiagramId, drills: [] };
-    const drillElements = document.querySelectorAll('.drill');
-    spec.drills = Array.from(drillElements).map(el => ({ id: el.dataset.drillId }));
+    try {
+      const text = await input.files[0].text();
+      // Files exported or written for older versions are upgraded first
+      const { spec: migrated } = this.viewer.migrator.migrate(JSON.parse(text));
+      const spec = this.viewer.applyParameters(this.viewer.applySimulation(this.viewer.composer.expandSpec(migrated)));
 
-    const container = document.getElementById('drills-container');
-    const oldHeader = container.querySelector('.drills-progress');
-    const newHeader = this.createProgressHeader(this.currentDiagramId, spec.drills.length);
+      // Validate the spec; errors name their line in the imported file
+      try {
+        this.viewer.validator.validateSpec(spec);
+      } catch (error) {
+        throw this.locateFindings(error, text);
+      }
+      this.viewer.validationFindings = this.viewer.validator.findings;
 
-    if (oldHeader) {
-      container.replaceChild(newHeader, oldHeader);
+      // Load the diagram with the overlays it was exported with
+      await this.viewer.showSpec(spec, spec.id || 'custom', spec._export?.activeOverlays);
+
+      alert('Diagram imported successfully!');
+      this.closeModal();
+    } catch (error) {
+      alert('Failed to import diagram: ' + error.message);
     }
   }
 
-  resetDiagramProgress() {
-    if (confirm('Are you sure you want to reset your progress for this diagram?')) {
-      this.progress.resetProgress(this.currentDiagramId);
-      location.reload(); // Simple refresh to reset UI
-    }
+  // Validation error listing each finding at its line and column in the file
+  locateFindings(error, text) {
+    if (!error.findings?.length) return error;
+
+    const sourceMap = new JsonSourceMap(text);
+    const lines = error.findings.map(finding => {
+      const { line, column } = sourceMap.locate(finding.pointer);
+      return `${line}:${column} ${finding.rule}: ${finding.message}`;
+    });
+    return new Error(`${error.rule} validation failed:\n${lines.join('\n')}`);
   }
 }
 
 // Export for module systems, or make global
 if (typeof module !== 'undefined' && module.exports) {
-  module.exports = { DrillSystem, ProgressTracker };
+  module.exports = ExportManager;
 } else {
-  window.DrillSystem = DrillSystem;
-  window.ProgressTracker = ProgressTracker;
+  window.ExportManager = ExportManager;
 }
 
-// === src/learning/progress.js ===
-class LearningProgress {
-  constructor() {
-    this.storageKey = 'gfs-learning-overall-progress';
-    this.sessionKey = 'gfs-learning-session';
-    this.data = this.load();
-    this.session = this.loadSession();
-    this.initSession();
-  }
-
-  load() {
-    try {
-      const saved = localStorage.getItem(this.storageKey);
-      return saved ? JSON.parse(saved) : {
-        diagrams: {},
-        achievements: [],
-        totalTime: 0,
-        startDate: Date.now(),
-        lastActive: Date.now()
-      };
-    } catch (error) {
-      console.error('Failed to load progress:', error);
-      return this.getDefaultData();
-    }
-  }
-
-  loadSession() {
-    try {
-      const saved = sessionStorage.getItem(this.sessionKey);
-      return saved ? JSON.parse(saved) : this.getDefaultSession();
-    } catch (error) {
-      return this.getDefaultSession();
-    }
+// === src/ui/failures.js ===
+class FailureInjector {
+  constructor(viewer) {
+    this.viewer = viewer;
+    this.failures = new Map(); // 'node:<id>' | 'edge:<id>' -> { id, target, type }
+    this.overlayId = 'injected-failures';
   }
 
-  getDefaultData() {
+  static get types() {
     return {
-      diagrams: {},
-      achievements: [],
-      totalTime: 0,
-      startDate: Date.now(),
-      lastActive: Date.now()
+      crash: { icon: '💥', label: 'Crash', suffix: 'crashed' },
+      partition: { icon: '⛔', label: 'Partition', suffix: 'partitioned' },
+      slow: { icon: '🐢', label: 'Slow', suffix: 'slow' }
     };
   }
 
-  getDefaultSession() {
+  // When an element is hit by several failures, the most severe one wins
+  static get severity() {
+    return { slow: 1, partition: 2, crash: 3 };
+  }
+
+  // Chunkservers, masters and every link can fail
+  getTargets(spec) {
     return {
-      startTime: Date.now(),
-      diagramsViewed: [],
-      drillsCompleted: 0,
-      stepsViewed: 0
+      nodes: (spec.nodes || []).filter(n => n.type === 'chunkserver' || n.type === 'master'),
+      edges: spec.edges || []
     };
   }
 
-  initSession() {
-    // Track page visibility for accurate time tracking
-    document.addEventListener('visibilitychange', () => {
-      if (document.hidden) {
-        this.pauseSession();
-      } else {
-        this.resumeSession();
-      }
-    });
-
-    // Save on page unload
-    window.addEventListener('beforeunload', () => {
-      this.saveSession();
-      this.save();
-    });
+  inject(id, target, type) {
+    if (!FailureInjector.types[type]) {
+      throw new Error(`Unknown failure type: ${type}`);
+    }
 
-    // Auto-save every minute
-    setInterval(() => {
-      this.save();
-    }, 60000);
+    this.failures.set(`${target}:${id}`, { id, target, type });
+    this.notify();
   }
 
-  save() {
-    try {
-      this.data.lastActive = Date.now();
-      localStorage.setItem(this.storageKey, JSON.stringify(this.data));
-    } catch (error) {
-      console.error('Failed to save progress:', error);
+  remove(key) {
+    if (this.failures.delete(key)) {
+      this.notify();
     }
   }
 
-  saveSession() {
-    try {
-      sessionStorage.setItem(this.sessionKey, JSON.stringify(this.session));
-    } catch (error) {
-      console.error('Failed to save session:', error);
-    }
+  clearAll() {
+    if (this.failures.size === 0) return;
+    this.failures.clear();
+    this.notify();
   }
 
-  pauseSession() {
-    if (this.session.pauseTime) return;
-    this.session.pauseTime = Date.now();
+  reset() {
+    this.failures.clear();
   }
 
-  resumeSession() {
-    if (!this.session.pauseTime) return;
-    const pauseDuration = Date.now() - this.session.pauseTime;
-    this.session.startTime += pauseDuration; // Adjust start time to exclude pause
-    delete this.session.pauseTime;
+  hasFailures() {
+    return this.failures.size > 0;
   }
 
-  // Diagram progress tracking
-  markDiagramViewed(diagramId) {
-    if (!this.data.diagrams[diagramId]) {
-      this.data.diagrams[diagramId] = {
-        firstViewed: Date.now(),
-        lastViewed: Date.now(),
-        viewCount: 0,
-        timeSpent: 0,
-        drillsCompleted: 0,
-        totalDrills: 0,
-        stepsCompleted: 0,
-        totalSteps: 0
-      };
-    }
+  notify() {
+    document.dispatchEvent(new CustomEvent('failureInjection', {
+      detail: { failures: Array.from(this.failures.values()) }
+    }));
+  }
 
-    this.data.diagrams[diagramId].viewCount++;
-    this.data.diagrams[diagramId].lastViewed = Date.now();
+  // Build an overlay diff for the active failures against a composed scene.
+  // Edges touching a failed node inherit its failure unless they have a worse one.
+  buildDiff(spec) {
+    const types = FailureInjector.types;
+    const severity = FailureInjector.severity;
+    const nodes = new Map((spec.nodes || []).map(n => [n.id, n]));
+    const edges = new Map((spec.edges || []).map(e => [e.id, e]));
+    const edgeFailures = new Map();
 
-    if (!this.session.diagramsViewed.includes(diagramId)) {
-      this.session.diagramsViewed.push(diagramId);
+    const markEdge = (edge, type, source) => {
+      const current = edgeFailures.get(edge.id);
+      if (!current || severity[type] > severity[current.type]) {
+        edgeFailures.set(edge.id, { type, source });
+      }
+    };
+
+    const modify = { nodes: [], edges: [] };
+
+    for (const failure of this.failures.values()) {
+      if (failure.target === 'node') {
+        const node = nodes.get(failure.id);
+        if (!node) continue;
+
+        const type = types[failure.type];
+        modify.nodes.push({
+          id: node.id,
+          label: `${type.icon} ${node.label} (${type.suffix})`,
+          failure: failure.type
+        });
+
+        edges.forEach(edge => {
+          if (edge.from === node.id || edge.to === node.id) {
+            markEdge(edge, failure.type, node.id);
+          }
+        });
+      } else {
+        const edge = edges.get(failure.id);
+        if (edge) {
+          markEdge(edge, failure.type, edge.id);
+        }
+      }
     }
 
-    this.save();
+    edgeFailures.forEach(({ type, source }, edgeId) => {
+      const edge = edges.get(edgeId);
+      modify.edges.push({
+        id: edgeId,
+        label: `${types[type].icon} ${edge.label || ''}`.trim(),
+        failure: type,
+        failureSource: source
+      });
+    });
+
+    return { modify };
   }
 
-  updateDiagramTime(diagramId, seconds) {
-    if (!this.data.diagrams[diagramId]) {
-      this.markDiagramViewed(diagramId);
-    }
+  toOverlay(spec) {
+    const summary = Array.from(this.failures.values())
+      .map(f => `${f.id} ${FailureInjector.types[f.type].suffix}`)
+      .join(', ');
 
-    this.data.diagrams[diagramId].timeSpent += seconds;
-    this.data.totalTime += seconds;
-    this.save();
+    return {
+      id: this.overlayId,
+      caption: `Injected failures: ${summary}`,
+      diff: this.buildDiff(spec)
+    };
   }
 
-  updateDrillProgress(diagramId, completed, total) {
-    if (!this.data.diagrams[diagramId]) {
-      this.markDiagramViewed(diagramId);
-    }
+  // Apply the generated overlay on top of an already composed scene
+  apply(composer, composed) {
+    if (!this.hasFailures()) return composed;
 
-    this.data.diagrams[diagramId].drillsCompleted = completed;
-    this.data.diagrams[diagramId].totalDrills = total;
+    const overlay = this.toOverlay(composed);
+    const nodeMap = new Map((composed.nodes || []).map(n => [n.id, n]));
+    const edgeMap = new Map((composed.edges || []).map(e => [e.id, e]));
 
-    // Check for achievements
-    this.checkDrillAchievements(diagramId, completed, total);
+    composer.applyDiff(nodeMap, edgeMap, overlay.diff);
 
-    this.save();
+    return {
+      ...composed,
+      nodes: Array.from(nodeMap.values()),
+      edges: Array.from(edgeMap.values()),
+      _activeOverlays: [...(composed._activeOverlays || []), overlay.id],
+      _failureInjection: Array.from(this.failures.values())
+    };
   }
 
-  updateStepProgress(diagramId, currentStep, totalSteps) {
-    if (!this.data.diagrams[diagramId]) {
-      this.markDiagramViewed(diagramId);
+  renderPanel(spec) {
+    const container = document.getElementById('simulation-panel');
+    if (!container) return;
+
+    container.querySelector('.failure-panel')?.remove();
+
+    const { nodes, edges } = this.getTargets(spec);
+    if (nodes.length === 0 && edges.length === 0) {
+      container.style.display = container.children.length > 0 ? 'block' : 'none';
+      return;
     }
 
-    this.data.diagrams[diagramId].stepsCompleted = Math.max(
-      currentStep,
-      this.data.diagrams[diagramId].stepsCompleted || 0
-    );
-    this.data.diagrams[diagramId].totalSteps = totalSteps;
+    const panel = document.createElement('div');
+    panel.className = 'failure-panel';
+    panel.innerHTML = `
+      <div class="failure-header">
+        <h4>🧨 Failure Injection</h4>
+        <button class="failure-clear" title="Remove all injected failures">Clear All</button>
+      </div>
+      <div class="failure-controls">
+        <select class="failure-target"></select>
+        ${Object.entries(FailureInjector.types).map(([type, info]) => `
+          <button class="failure-action" data-type="${type}">${info.icon} ${info.label}</button>
+        `).join('')}
+      </div>
+      <ul class="failure-list"></ul>
+      <div class="failure-risk"></div>
+    `;
 
-    this.session.stepsViewed++;
-    this.saveSession();
-    this.save();
+    // Labels and ids come from the spec, so they go in as text
+    const select = panel.querySelector('.failure-target');
+    [
+      ['Servers', nodes.map(n => [`node:${n.id}`, `${n.label} (${n.id})`])],
+      ['Links', edges.map(e => [`edge:${e.id}`, `${e.from} → ${e.to}${e.label ? `: ${e.label}` : ''}`])]
+    ].filter(([, options]) => options.length > 0).forEach(([label, options]) => {
+      const group = document.createElement('optgroup');
+      group.label = label;
+      options.forEach(([value, text]) => group.appendChild(new Option(text, value)));
+      select.appendChild(group);
+    });
+
+    panel.querySelectorAll('.failure-action').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const [target, ...rest] = panel.querySelector('.failure-target').value.split(':');
+        this.inject(rest.join(':'), target, btn.dataset.type);
+      });
+    });
+    panel.querySelector('.failure-clear').addEventListener('click', () => this.clearAll());
+
+    container.appendChild(panel);
+    container.style.display = 'block';
+
+    this.updatePanel(null);
   }
 
-  // Achievement system
-  checkDrillAchievements(diagramId, completed, total) {
-    const achievements = [];
+  // Refresh the active failure list and the contracts at risk
+  updatePanel(risk) {
+    const panel = document.querySelector('#simulation-panel .failure-panel');
+    if (!panel) return;
 
-    // First drill completed
-    if (completed === 1 && !this.hasAchievement('first-drill')) {
-      achievements.push({
-        id: 'first-drill',
-        title: 'First Steps',
-        description: 'Completed your first drill',
-        icon: '🎯',
-        timestamp: Date.now()
-      });
-    }
+    // Ids, invariants and reasons come from the spec, so they go in as text
+    const list = panel.querySelector('.failure-list');
+    list.replaceChildren(...Array.from(this.failures.values()).map(f => {
+      const type = FailureInjector.types[f.type];
+      const item = document.createElement('li');
+      item.className = `failure-item failure-${f.type}`;
+      item.innerHTML = `${type.icon} ${f.target === 'node' ? 'Server' : 'Link'} <strong></strong> ${type.suffix}
+        <button class="failure-remove" title="Remove">×</button>`;
+      item.querySelector('strong').textContent = f.id;
+      item.querySelector('.failure-remove').addEventListener('click', () => this.remove(`${f.target}:${f.id}`));
+      return item;
+    }));
 
-    // Complete all drills for a diagram
-    if (completed === total && total > 0 && !this.hasAchievement(`master-${diagramId}`)) {
-      achievements.push({
-        id: `master-${diagramId}`,
-        title: 'Diagram Master',
-        description: `Completed all drills for ${diagramId}`,
-        icon: '🏆',
-        timestamp: Date.now()
+    const riskContainer = panel.querySelector('.failure-risk');
+    if (!this.hasFailures() || !risk) {
+      riskContainer.innerHTML = '';
+    } else if (risk.atRisk.length === 0 && risk.failing.length === 0) {
+      riskContainer.innerHTML = '<div class="failure-safe">✅ No invariants at risk</div>';
+    } else if (risk.atRisk.length === 0) {
+      // Nothing the spec states is tied to the failure, but it still breaks something
+      riskContainer.innerHTML = '<h5>⚠️ Failing checks</h5><ul></ul>';
+      risk.failing.forEach(r => {
+        const item = document.createElement('li');
+        item.innerHTML = '<strong></strong><div class="failure-reasons"></div>';
+        item.querySelector('strong').textContent = r.rule;
+        item.querySelector('.failure-reasons').textContent = r.errors.join('; ');
+        riskContainer.querySelector('ul').appendChild(item);
       });
-    }
-
-    // Speed learner (complete 5 drills in one session)
-    if (this.session.drillsCompleted >= 5 && !this.hasAchievement('speed-learner')) {
-      achievements.push({
-        id: 'speed-learner',
-        title: 'Speed Learner',
-        description: 'Completed 5 drills in one session',
-        icon: '⚡',
-        timestamp: Date.now()
+    } else {
+      riskContainer.innerHTML = '<h5>⚠️ Invariants at risk</h5><ul></ul>';
+      risk.atRisk.forEach(r => {
+        const item = document.createElement('li');
+        item.innerHTML = '<strong></strong><div class="failure-reasons"></div>';
+        item.querySelector('strong').textContent = r.invariant;
+        item.querySelector('.failure-reasons').textContent = r.reasons.join('; ');
+        riskContainer.querySelector('ul').appendChild(item);
       });
     }
 
-    // Add new achievements
-    achievements.forEach(achievement => {
-      this.addAchievement(achievement);
+    this.markContracts(risk);
+  }
+
+  // Flag the matching invariants in the contracts panel
+  markContracts(risk) {
+    const atRisk = new Set((risk?.atRisk || []).map(r => r.index));
+    document.querySelectorAll('#contracts-panel .invariants li').forEach((li, index) => {
+      li.classList.toggle('at-risk', atRisk.has(index));
     });
+  }
+}
 
-    return achievements;
+// Export for module systems, or make global
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = FailureInjector;
+} else {
+  window.FailureInjector = FailureInjector;
+}
+
+// === src/ui/heartbeat-panel.js ===
+class HeartbeatPanel {
+  constructor(viewer) {
+    this.viewer = viewer;
+    this.monitor = null;
+    this.clock = null;
+    this.started = false;
+    this.rendering = false;
+    this.renderPending = false;
+    this.lastRenderedStatus = '';
+    this.lastRenderTime = 0;
+    this.minRenderInterval = 1000; // ms of real time between live re-renders
+    this.rates = [1, 5, 10, 30];
+
+    // Injected crashes and partitions silence the server's heartbeats
+    document.addEventListener('failureInjection', () => this.syncFailures());
   }
 
-  hasAchievement(id) {
-    return this.data.achievements.some(a => a.id === id);
+  attach(spec) {
+    this.detach();
+
+    const nodes = spec.nodes || [];
+    const watchable = ['flow', 'sequence'].includes(spec.layout?.type || 'flow') &&
+      nodes.some(n => n.type === 'master') && nodes.some(n => n.type === 'chunkserver');
+    if (!watchable) return;
+
+    this.monitor = HeartbeatMonitor.fromSpec(spec);
+    this.clock = new VirtualClock({ rate: 5 });
+    this.clock.onTick(time => this.monitor.advanceTo(time));
+    this.monitor.onChange(snapshot => this.onMonitorChange(snapshot));
+
+    this.renderPanel();
   }
 
-  addAchievement(achievement) {
-    if (!this.hasAchievement(achievement.id)) {
-      this.data.achievements.push(achievement);
-      this.save();
-      this.notifyAchievement(achievement);
+  detach() {
+    if (this.clock) {
+      this.clock.destroy();
+    }
+    this.monitor = null;
+    this.clock = null;
+    this.started = false;
+    this.lastRenderedStatus = '';
+
+    const container = this.getContainer();
+    if (container) {
+      container.querySelector('.heartbeat-panel')?.remove();
+      container.style.display = container.children.length > 0 ? 'block' : 'none';
     }
   }
 
-  notifyAchievement(achievement) {
-    // Emit event for UI to handle
-    const event = new CustomEvent('achievement', {
-      detail: achievement
-    });
-    document.dispatchEvent(event);
+  getContainer() {
+    return document.getElementById('simulation-panel');
   }
 
-  // Statistics and reporting
-  getOverallProgress() {
-    const stats = {
-      totalDiagrams: 0,
-      completedDiagrams: 0,
-      totalDrills: 0,
-      completedDrills: 0,
-      totalTime: this.data.totalTime,
-      achievements: this.data.achievements.length,
-      daysActive: this.getDaysActive()
-    };
+  getPanel() {
+    return this.getContainer()?.querySelector('.heartbeat-panel') || null;
+  }
 
-    Object.values(this.data.diagrams).forEach(diagram => {
-      stats.totalDiagrams++;
-      stats.totalDrills += diagram.totalDrills || 0;
-      stats.completedDrills += diagram.drillsCompleted || 0;
+  // The diagram only shows the master's view once heartbeats have started
+  decorate(spec) {
+    return this.monitor && this.started ? this.monitor.decorate(spec) : spec;
+  }
 
-      if (diagram.totalDrills > 0 && diagram.drillsCompleted === diagram.totalDrills) {
-        stats.completedDiagrams++;
-      }
-    });
+  renderPanel() {
+    const container = this.getContainer();
+    if (!container || !this.monitor) return;
 
-    stats.completionPercentage = stats.totalDrills > 0
-      ? Math.round((stats.completedDrills / stats.totalDrills) * 100)
-      : 0;
+    const { interval, jitter, dropRate } = this.monitor.params;
+    const panel = document.createElement('div');
+    panel.className = 'heartbeat-panel';
+    panel.innerHTML = `
+      <div class="heartbeat-header">
+        <h4>💓 Heartbeats</h4>
+        <label>Interval <input type="number" min="1" max="60" data-field="interval" value="${interval}">s</label>
+        <label>Jitter <input type="range" min="0" max="100" data-field="jitter" data-percent="true" value="${Math.round(jitter * 100)}">
+          <span data-value="jitter">${Math.round(jitter * 100)}%</span></label>
+        <label>Drop rate <input type="range" min="0" max="90" data-field="dropRate" data-percent="true" value="${Math.round(dropRate * 100)}">
+          <span data-value="dropRate">${Math.round(dropRate * 100)}%</span></label>
+      </div>
+      <div class="heartbeat-controls">
+        <button data-action="toggle" title="Run/Pause virtual clock">▶ Run</button>
+        <button data-action="forward" data-seconds="10" title="Fast-forward 10s">⏩ +10s</button>
+        <button data-action="forward" data-seconds="60" title="Fast-forward 60s">⏭ +60s</button>
+        <label>
+          Speed:
+          <select data-action="rate">
+            ${this.rates.map(rate => `<option value="${rate}">${rate}×</option>`).join('')}
+          </select>
+        </label>
+        <button data-action="reset" title="Reset clock and heartbeats">↺ Reset</button>
+        <span class="heartbeat-clock"></span>
+        <span class="heartbeat-bound"></span>
+      </div>
+      <table class="heartbeat-table">
+        <thead>
+          <tr><th>Server</th><th>Actually</th><th>Master sees</th><th>Last report</th><th>Sent / lost</th><th>Detected after</th></tr>
+        </thead>
+        <tbody></tbody>
+      </table>
+      <ul class="heartbeat-events"></ul>
+    `;
 
-    return stats;
-  }
+    panel.querySelectorAll('.heartbeat-header input').forEach(input => {
+      input.addEventListener('change', () => {
+        const value = Number(input.value);
+        this.setParam(input.dataset.field, input.dataset.percent ? value / 100 : value);
+      });
+    });
+    panel.querySelectorAll('.heartbeat-controls button').forEach(btn => {
+      btn.addEventListener('click', () => this.handleAction(btn.dataset.action, btn.dataset));
+    });
 
-  getDiagramStats(diagramId) {
-    const diagram = this.data.diagrams[diagramId] || {
-      viewCount: 0,
-      timeSpent: 0,
-      drillsCompleted: 0,
-      totalDrills: 0,
-      stepsCompleted: 0,
-      totalSteps: 0
-    };
+    const rateSelect = panel.querySelector('select[data-action="rate"]');
+    rateSelect.value = String(this.clock.rate);
+    rateSelect.addEventListener('change', (e) => this.clock.setRate(Number(e.target.value)));
 
-    return {
-      ...diagram,
-      completionPercentage: diagram.totalDrills > 0
-        ? Math.round((diagram.drillsCompleted / diagram.totalDrills) * 100)
-        : 0,
-      formattedTime: this.formatTime(diagram.timeSpent)
-    };
+    container.appendChild(panel);
+    container.style.display = 'block';
+
+    this.updatePanel(this.monitor.getSnapshot());
   }
 
-  getSessionStats() {
-    const duration = Date.now() - this.session.startTime;
+  setParam(field, value) {
+    if (!this.monitor || Number.isNaN(value)) return;
 
-    return {
-      duration: this.formatTime(Math.floor(duration / 1000)),
-      diagramsViewed: this.session.diagramsViewed.length,
-      drillsCompleted: this.session.drillsCompleted,
-      stepsViewed: this.session.stepsViewed
-    };
+    this.monitor.setParam(field, value);
+    const label = this.getPanel()?.querySelector(`[data-value="${field}"]`);
+    if (label) label.textContent = `${Math.round(value * 100)}%`;
   }
 
-  getDaysActive() {
-    const daysSinceStart = Math.floor((Date.now() - this.data.startDate) / (1000 * 60 * 60 * 24));
-    return Math.max(1, daysSinceStart);
-  }
+  handleAction(action, data = {}) {
+    if (!this.monitor) return;
 
-  formatTime(seconds) {
-    if (seconds < 60) {
-      return `${seconds}s`;
-    } else if (seconds < 3600) {
-      const minutes = Math.floor(seconds / 60);
-      const remainingSeconds = seconds % 60;
-      return `${minutes}m ${remainingSeconds}s`;
-    } else {
-      const hours = Math.floor(seconds / 3600);
-      const minutes = Math.floor((seconds % 3600) / 60);
-      return `${hours}h ${minutes}m`;
+    switch (action) {
+      case 'toggle':
+        this.start();
+        this.clock.toggle();
+        this.updatePanel(this.monitor.getSnapshot());
+        break;
+      case 'forward':
+        this.start();
+        this.clock.advance(Number(data.seconds) || 10);
+        break;
+      case 'reset':
+        this.clock.reset();
+        this.monitor.reset();
+        this.syncFailures();
+        break;
     }
   }
 
-  // Export/Import functionality
-  exportProgress() {
-    return {
-      version: '1.0',
-      exportDate: Date.now(),
-      data: this.data
-    };
+  start() {
+    if (this.started) return;
+    this.started = true;
+    this.syncFailures();
   }
 
-  importProgress(exportedData) {
-    if (exportedData.version === '1.0' && exportedData.data) {
-      this.data = exportedData.data;
-      this.save();
-      return true;
-    }
-    return false;
+  // Mirror injected node failures into the monitor at the current simulated time
+  syncFailures() {
+    if (!this.monitor) return;
+
+    const failed = new Map(Array.from(this.viewer.failureInjector?.failures.values() || [])
+      .filter(f => f.target === 'node' && (f.type === 'crash' || f.type === 'partition'))
+      .map(f => [f.id, f.type]));
+
+    this.monitor.nodes.forEach((node, id) => {
+      const type = failed.get(id);
+      const actual = type === 'partition' ? 'partitioned' : type === 'crash' ? 'crashed' : 'up';
+      if (actual === node.actual) return;
+      if (type) {
+        this.monitor.fail(id, type);
+      } else {
+        this.monitor.recover(id);
+      }
+    });
   }
 
-  // Reset functionality
-  resetDiagram(diagramId) {
-    if (this.data.diagrams[diagramId]) {
-      delete this.data.diagrams[diagramId];
-      this.save();
+  describeEvent(event) {
+    switch (event.type) {
+      case 'fail': return `${event.failure === 'partition' ? '⛔' : '💥'} ${event.node} ${event.failure === 'partition' ? 'partitioned' : 'crashes'}`;
+      case 'recover': return `🔌 ${event.node} back`;
+      case 'drop': return `✗ heartbeat #${event.seq} from ${event.node} lost`;
+      case 'suspect': return `❓ master suspects ${event.node} (${event.silentFor.toFixed(1)}s silent)`;
+      case 'dead': return event.detectionTime !== null
+        ? `💀 ${event.node} declared dead ${event.detectionTime.toFixed(1)}s after it failed`
+        : `💀 ${event.node} declared dead, but it never failed`;
+      case 'rereplicate': return `📤 re-replicate ${event.chunks.length > 0 ? event.chunks.join(', ') : 'every chunk'} from ${event.node}`;
+      case 'lease-wait': return `⏳ no new primary until t=${event.until.toFixed(1)}s, when ${event.node}'s lease has expired`;
+      case 'lease-grant': return event.to ? `🔑 lease moves from ${event.from} to ${event.to}` : `🔑 ${event.from}'s lease expired; no live server to take it`;
+      case 'rejoin': return `💓 ${event.node} reports again${event.falsePositive ? ' (false alarm)' : ''}`;
+      default: return event.type;
     }
   }
 
-  resetAll() {
-    if (confirm('Are you sure you want to reset all progress? This cannot be undone.')) {
-      this.data = this.getDefaultData();
-      this.session = this.getDefaultSession();
-      this.save();
-      this.saveSession();
-      location.reload();
-    }
+  describeActual(node) {
+    return { up: '✅ up', crashed: '💥 crashed', partitioned: '⛔ partitioned' }[node.actual];
   }
 
-  // Learning path recommendations
-  getRecommendations() {
-    const recommendations = [];
-    const stats = this.getOverallProgress();
+  updatePanel(snapshot) {
+    const panel = this.getPanel();
+    if (!panel) return;
 
-    // Suggest unviewed diagrams
-    const allDiagramIds = [
-      '00-legend', '01-triangle', '02-scale', '03-chunk-size',
-      '04-architecture', '05-planes', '06-read-path', '07-write-path',
-      '08-lease', '09-consistency', '10-recovery', '11-evolution', '12-dna'
-    ];
+    panel.querySelector('[data-action="toggle"]').textContent = this.clock.running ? '⏸ Pause' : '▶ Run';
+    panel.querySelector('.heartbeat-clock').textContent = `⏱ t=${snapshot.time.toFixed(1)}s`;
+    panel.querySelector('.heartbeat-bound').textContent =
+      `Declared dead ≤ ${snapshot.detectionBound.toFixed(1)}s after a crash`;
+
+    // Node ids come from the spec, so every cell and event goes in as text
+    const item = (tag, className, text) => {
+      const el = document.createElement(tag);
+      el.className = className;
+      el.textContent = text;
+      return el;
+    };
 
-    const unviewed = allDiagramIds.filter(id => !this.data.diagrams[id]);
-    if (unviewed.length > 0) {
-      recommendations.push({
-        type: 'explore',
-        title: 'Explore New Diagrams',
-        description: `You have ${unviewed.length} diagrams yet to explore`,
-        action: 'view',
-        target: unviewed[0]
-      });
-    }
+    panel.querySelector('.heartbeat-table tbody').replaceChildren(...snapshot.nodes.map(node => {
+      const row = document.createElement('tr');
+      row.className = `heartbeat-${node.status}`;
+      row.append(...[
+        `${node.id}${node.primary ? ' 🔑' : ''}`,
+        this.describeActual(node),
+        this.monitor.describeStatus(node),
+        node.delivered > 0 ? `t=${node.lastSeen.toFixed(1)}s` : '—',
+        `${node.sent} / ${node.dropped}`,
+        node.detectedAt !== null && node.failedAt !== null ? `${(node.detectedAt - node.failedAt).toFixed(1)}s` : '—'
+      ].map(text => item('td', '', text)));
+      return row;
+    }));
 
-    // Suggest incomplete drills
-    const incomplete = Object.entries(this.data.diagrams)
-      .filter(([id, data]) => data.totalDrills > data.drillsCompleted)
-      .map(([id, data]) => ({
-        id,
-        remaining: data.totalDrills - data.drillsCompleted
-      }));
+    panel.querySelector('.heartbeat-events').replaceChildren(...snapshot.events
+      .filter(event => event.type !== 'heartbeat')
+      .slice(-8)
+      .reverse()
+      .map(event => item('li', `heartbeat-event-${event.type}`, `t=${event.time.toFixed(1)}s ${this.describeEvent(event)}`)));
+  }
 
-    if (incomplete.length > 0) {
-      const next = incomplete[0];
-      recommendations.push({
-        type: 'practice',
-        title: 'Complete Drills',
-        description: `${next.remaining} drills remaining in ${next.id}`,
-        action: 'drill',
-        target: next.id
-      });
+  onMonitorChange(snapshot) {
+    this.updatePanel(snapshot);
+    if (!this.started) return;
+
+    const status = snapshot.nodes.map(node => `${node.id}:${node.status}:${node.primary}`).join();
+    this.scheduleRender(status !== this.lastRenderedStatus, status);
+  }
+
+  // Re-render immediately when the master's view changes, otherwise throttle
+  scheduleRender(statusChanged, status) {
+    const elapsed = Date.now() - this.lastRenderTime;
+    if (!statusChanged && elapsed < this.minRenderInterval) return;
+
+    this.lastRenderedStatus = status;
+    if (this.rendering) {
+      this.renderPending = true;
+      return;
     }
 
-    // Suggest review based on time
-    const oldestViewed = Object.entries(this.data.diagrams)
-      .sort(([, a], [, b]) => a.lastViewed - b.lastViewed)
-      .slice(0, 3);
+    this.renderDiagram();
+  }
 
-    if (oldestViewed.length > 0) {
-      const [id, data] = oldestViewed[0];
-      const daysSince = Math.floor((Date.now() - data.lastViewed) / (1000 * 60 * 60 * 24));
+  async renderDiagram() {
+    if (!this.monitor || !this.viewer.currentSpec) return;
 
-      if (daysSince > 7) {
-        recommendations.push({
-          type: 'review',
-          title: 'Time for Review',
-          description: `Review ${id} (last viewed ${daysSince} days ago)`,
-          action: 'review',
-          target: id
-        });
-      }
+    this.rendering = true;
+    this.lastRenderTime = Date.now();
+
+    try {
+      await this.viewer.renderDiagram();
+    } finally {
+      this.rendering = false;
     }
 
-    return recommendations;
+    if (this.renderPending) {
+      this.renderPending = false;
+      this.renderDiagram();
+    }
   }
 }
 
 // Export for module systems, or make global
 if (typeof module !== 'undefined' && module.exports) {
-  module.exports = LearningProgress;
+  module.exports = HeartbeatPanel;
 } else {
-  window.LearningProgress = LearningProgress;
+  window.HeartbeatPanel = HeartbeatPanel;
 }
 
-// === src/learning/stepper.js ===
-class StepThroughEngine {
-  constructor(renderer, composer) {
-    this.renderer = renderer;
-    this.composer = composer;
-    this.currentStep = 0;
-    this.steps = [];
-    this.spec = null;
-    this.isPlaying = false;
-    this.playInterval = null;
-    this.playSpeed = 2000; // milliseconds between steps
+// === src/ui/lease-panel.js ===
+class LeasePanel {
+  constructor(viewer) {
+    this.viewer = viewer;
+    this.machine = null;
+    this.clock = null;
+    this.rendering = false;
+    this.renderPending = false;
+    this.lastRenderedState = null;
+    this.lastRenderTime = 0;
+    this.minRenderInterval = 500; // ms of real time between live re-renders
+    this.rates = [1, 5, 10, 30];
   }
 
-  initialize(spec) {
-    this.spec = spec;
-    this.steps = this.buildSteps(spec);
-    this.currentStep = 0;
-    this.isPlaying = false;
-    this.stopAutoPlay();
-  }
+  attach(spec) {
+    this.detach();
 
-  buildSteps(spec) {
-    const steps = [];
+    if (spec._simulation?.model !== 'lease') return;
 
-    // Start with empty state if applicable
-    if (spec.layout?.type === 'sequence' || spec.layout?.type === 'flow') {
-      steps.push({
-        type: 'initial',
-        index: -1,
-        caption: 'Initial state - no operations yet',
-        spec: {
-          ...spec,
-          nodes: spec.nodes || [],
-          edges: []
-        }
-      });
-    }
+    this.machine = LeaseStateMachine.fromSpec(spec);
+    this.clock = new VirtualClock({ rate: spec.simulation?.params?.clockRate || 1 });
 
-    // For sequence diagrams, each edge is a step
-    if (spec.layout?.type === 'sequence') {
-      (spec.edges || []).forEach((edge, index) => {
-        steps.push({
-          type: 'edge',
-          index,
-          edgeId: edge.id,
-          caption: this.generateStepCaption(edge, spec),
-          focus: [edge.from, edge.to],
-          spec: {
-            ...spec,
-            edges: spec.edges.slice(0, index + 1).map((e, i) => ({
-              ...e,
-              _highlighted: i === index,
-              _current: i === index
-            }))
-          }
-        });
-      });
+    this.clock.onTick(time => this.machine.advanceTo(time));
+    this.machine.onChange(snapshot => this.onMachineChange(snapshot));
+
+    this.renderPanel();
+  }
+
+  detach() {
+    if (this.clock) {
+      this.clock.destroy();
     }
+    this.machine = null;
+    this.clock = null;
+    this.lastRenderedState = null;
 
-    // For flow diagrams with scenes
-    if (spec.scenes && spec.scenes.length > 0) {
-      spec.scenes.forEach((scene, index) => {
-        const composedSpec = this.composer.composeScene(spec, scene.overlays || []);
-        steps.push({
-          type: 'scene',
-          index,
-          sceneId: scene.id,
-          caption: scene.narrative || scene.name,
-          overlays: scene.overlays || [],
-          spec: composedSpec
-        });
-      });
+    const container = this.getContainer();
+    if (container) {
+      container.querySelector('.lease-panel')?.remove();
+      container.style.display = container.children.length > 0 ? 'block' : 'none';
     }
+  }
 
-    // For state diagrams, show state transitions
-    if (spec.layout?.type === 'state') {
-      // Show initial state
-      steps.push({
-        type: 'state',
-        index: 0,
-        caption: 'Initial state',
-        spec: {
-          ...spec,
-          edges: []
-        }
-      });
+  getContainer() {
+    return document.getElementById('simulation-panel');
+  }
 
-      // Show each transition
-      (spec.edges || []).forEach((edge, index) => {
-        const edgesSoFar = spec.edges.slice(0, index + 1);
-        steps.push({
-          type: 'transition',
-          index: index + 1,
-          edgeId: edge.id,
-          caption: `Transition: ${edge.label || `${edge.from} → ${edge.to}`}`,
-          spec: {
-            ...spec,
-            edges: edgesSoFar.map((e, i) => ({
-              ...e,
-              _highlighted: i === index
-            }))
-          }
-        });
-      });
-    }
+  // Overlay the live machine state on a composed spec (no-op when detached)
+  decorate(spec) {
+    return this.machine ? this.machine.decorate(spec) : spec;
+  }
 
-    // Add final step if we have steps
-    if (steps.length > 0) {
-      steps.push({
-        type: 'final',
-        index: steps.length,
-        caption: 'Complete flow',
-        spec: spec
-      });
-    }
+  renderPanel() {
+    const container = this.getContainer();
+    if (!container || !this.machine) return;
 
-    return steps;
+    const panel = document.createElement('div');
+    panel.className = 'lease-panel';
+    panel.innerHTML = `
+      <div class="lease-status">
+        <span class="lease-clock"></span>
+        <span class="lease-state"></span>
+        <span class="lease-remaining"></span>
+        <span class="lease-next"></span>
+      </div>
+      <div class="lease-controls">
+        <button data-action="toggle" title="Run/Pause virtual clock">▶ Run</button>
+        <button data-action="forward" data-seconds="10" title="Fast-forward 10s">⏩ +10s</button>
+        <button data-action="forward" data-seconds="60" title="Fast-forward 60s">⏭ +60s</button>
+        <label class="lease-rate">
+          Speed:
+          <select data-action="rate">
+            ${this.rates.map(rate => `<option value="${rate}">${rate}×</option>`).join('')}
+          </select>
+        </label>
+        <button data-action="reset" title="Reset clock and state">↺ Reset</button>
+      </div>
+      <div class="lease-events"></div>
+      <div class="lease-auto"></div>
+    `;
+
+    panel.querySelectorAll('.lease-controls button').forEach(btn => {
+      btn.addEventListener('click', () => this.handleAction(btn.dataset.action, btn.dataset));
+    });
+
+    const rateSelect = panel.querySelector('select[data-action="rate"]');
+    rateSelect.value = String(this.clock.rate);
+    rateSelect.addEventListener('change', (e) => this.clock.setRate(Number(e.target.value)));
+
+    container.appendChild(panel);
+    container.style.display = 'block';
+
+    this.renderAutoFireToggles(panel.querySelector('.lease-auto'));
+    this.updatePanel(this.machine.getSnapshot());
   }
 
-  generateStepCaption(edge, spec) {
-    const fromNode = spec.nodes?.find(n => n.id === edge.from);
-    const toNode = spec.nodes?.find(n => n.id === edge.to);
+  renderAutoFireToggles(container) {
+    const autoFire = this.machine.params.autoFire;
+    const transitions = this.machine.transitions.filter(t => autoFire[t.id] !== undefined);
 
-    const verbMap = {
-      'control': 'requests',
-      'data': 'transfers',
-      'cache': 'caches',
-      'heartbeat': 'heartbeats to'
-    };
+    // Transition ids and labels come from the spec, so they go in as text
+    container.replaceChildren(...transitions.map(t => {
+      const input = document.createElement('input');
+      input.type = 'checkbox';
+      input.dataset.edgeId = t.id;
+      input.checked = !this.machine.params.disabled.includes(t.id);
+      input.addEventListener('change', () => {
+        this.machine.setAutoFire(input.dataset.edgeId, input.checked);
+      });
 
-    const verb = verbMap[edge.kind] || 'sends to';
-    const fromLabel = fromNode?.label || edge.from;
-    const toLabel = toNode?.label || edge.to;
+      const label = document.createElement('label');
+      label.className = 'lease-auto-toggle';
+      label.append(input, ` Auto: ${t.label || t.id} (${autoFire[t.id]}s)`);
+      return label;
+    }));
+  }
 
-    let caption = `${fromLabel} ${verb} ${toLabel}`;
+  handleAction(action, data = {}) {
+    if (!this.machine) return;
 
-    if (edge.label) {
-      caption = `${fromLabel}: ${edge.label}`;
+    switch (action) {
+      case 'toggle':
+        this.clock.toggle();
+        this.updatePanel(this.machine.getSnapshot());
+        break;
+      case 'forward':
+        this.clock.advance(Number(data.seconds) || 10);
+        break;
+      case 'reset':
+        this.clock.reset();
+        this.machine.reset();
+        break;
+      case 'fire':
+        this.machine.fire(data.edgeId);
+        break;
     }
+  }
 
-    // Add metrics if available
-    if (edge.metrics) {
-      const metrics = [];
-      if (edge.metrics.size) metrics.push(edge.metrics.size);
-      if (edge.metrics.latency) metrics.push(edge.metrics.latency);
-      if (metrics.length > 0) {
-        caption += ` (${metrics.join(', ')})`;
-      }
-    }
+  onMachineChange(snapshot) {
+    this.updatePanel(snapshot);
+    this.scheduleRender(snapshot.state !== this.lastRenderedState);
+  }
 
-    return caption;
+  updatePanel(snapshot) {
+    const panel = this.getContainer()?.querySelector('.lease-panel');
+    if (!panel) return;
+
+    const stateNode = this.machine.states.find(s => s.id === snapshot.state);
+    const remaining = snapshot.remainingLease;
+    const next = snapshot.nextDeadline;
+    const nextEdge = next && this.machine.transitions.find(t => t.id === next.edgeId);
+
+    panel.querySelector('.lease-clock').textContent = `⏱ t=${snapshot.time.toFixed(1)}s`;
+    const state = panel.querySelector('.lease-state');
+    state.innerHTML = 'State: <strong></strong>';
+    state.querySelector('strong').textContent = stateNode?.label || snapshot.state;
+    panel.querySelector('.lease-remaining').textContent = remaining !== null
+      ? `Lease: ${remaining.toFixed(1)}s left`
+      : 'Lease: none';
+    panel.querySelector('.lease-remaining').classList.toggle('lease-low', remaining !== null && remaining <= 10);
+    panel.querySelector('.lease-next').textContent = next
+      ? `Next: ${nextEdge?.label || next.edgeId} in ${next.in.toFixed(1)}s`
+      : 'Next: waiting for event';
+
+    const toggle = panel.querySelector('[data-action="toggle"]');
+    toggle.textContent = this.clock.running ? '⏸ Pause' : '▶ Run';
+
+    // Rebuild event buttons only when the state changes
+    const events = panel.querySelector('.lease-events');
+    if (events.dataset.state !== snapshot.state) {
+      events.dataset.state = snapshot.state;
+      events.replaceChildren(...this.machine.getAvailableEvents().map(t => {
+        const btn = document.createElement('button');
+        btn.className = 'lease-event';
+        btn.dataset.action = 'fire';
+        btn.dataset.edgeId = t.id;
+        btn.textContent = `⚡ ${t.label || t.id}`;
+        btn.addEventListener('click', () => this.handleAction('fire', btn.dataset));
+        return btn;
+      }));
+    }
   }
 
-  async renderStep(stepIndex) {
-    if (stepIndex < 0 || stepIndex >= this.steps.length) {
+  // Re-render immediately on state changes, otherwise throttle countdown updates
+  scheduleRender(stateChanged) {
+    const elapsed = Date.now() - this.lastRenderTime;
+    if (!stateChanged && elapsed < this.minRenderInterval) return;
+
+    if (this.rendering) {
+      this.renderPending = true;
       return;
     }
 
-    this.currentStep = stepIndex;
-    const step = this.steps[stepIndex];
+    this.renderDiagram();
+  }
 
-    // Render the diagram for this step
-    await this.renderer.render(step.spec);
+  async renderDiagram() {
+    if (!this.machine || !this.viewer.currentSpec) return;
 
-    // Update UI controls
-    this.updateStepUI(step, stepIndex);
+    this.rendering = true;
+    this.lastRenderTime = Date.now();
+    this.lastRenderedState = this.machine.current;
 
-    // Emit event for other components
-    this.emitStepChange(step, stepIndex);
-  }
+    try {
+      await this.viewer.renderDiagram();
+    } finally {
+      this.rendering = false;
+    }
 
-  updateStepUI(step, index) {
-    // Update caption
-    const captionEl = document.getElementById('step-caption');
-    if (captionEl) {
-      captionEl.textContent = step.caption;
+    if (this.renderPending) {
+      this.renderPending = false;
+      this.renderDiagram();
     }
+  }
+}
 
-    // Update progress
-    const progressEl = document.getElementById('step-progress');
-    if (progressEl) {
-      progressEl.textContent = `Step ${index + 1} of ${this.steps.length}`;
+// Export for module systems, or make global
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = LeasePanel;
+} else {
+  window.LeasePanel = LeasePanel;
+}
+
+// === src/ui/overlays.js ===
+class OverlayManager {
+  constructor(viewer) {
+    this.viewer = viewer;
+    this.activeOverlays = new Set();
+  }
+
+  renderOverlayChips(spec) {
+    const container = document.getElementById('overlay-chips');
+    if (!container) return;
+
+    const overlays = spec.overlays || [];
+
+    if (overlays.length === 0) {
+      container.innerHTML = '<div class="no-overlays">No overlays available</div>';
+      return;
     }
 
-    // Update progress bar
-    const progressBar = document.getElementById('step-progress-bar');
-    if (progressBar) {
-      const percentage = ((index + 1) / this.steps.length) * 100;
-      progressBar.style.width = `${percentage}%`;
+    container.innerHTML = '';
+
+    // Add header
+    const header = document.createElement('div');
+    header.className = 'overlays-header';
+    header.innerHTML = `
+      <h3>Overlays</h3>
+      <button class="clear-overlays" onclick="viewer.overlayManager.clearAll()">Clear All</button>
+    `;
+    container.appendChild(header);
+
+    // Add overlay chips
+    const chipsContainer = document.createElement('div');
+    chipsContainer.className = 'chips-container';
+
+    overlays.forEach((overlay, index) => {
+      const chip = this.createOverlayChip(overlay, index);
+      chipsContainer.appendChild(chip);
+    });
+
+    container.appendChild(chipsContainer);
+
+    // Add scenes if available
+    if (spec.scenes && spec.scenes.length > 0) {
+      this.renderSceneButtons(spec.scenes, container);
     }
+  }
 
-    // Update buttons
-    const prevBtn = document.getElementById('step-prev');
-    const nextBtn = document.getElementById('step-next');
-    const playBtn = document.getElementById('step-play');
+  createOverlayChip(overlay, index) {
+    const chip = document.createElement('button');
+    chip.className = 'overlay-chip';
+    chip.dataset.overlayId = overlay.id;
+    chip.dataset.index = index;
 
-    if (prevBtn) {
-      prevBtn.disabled = index === 0;
+    const isActive = this.activeOverlays.has(overlay.id);
+    if (isActive) {
+      chip.classList.add('active');
     }
 
-    if (nextBtn) {
-      nextBtn.disabled = index === this.steps.length - 1;
-    }
+    chip.innerHTML = `
+      <span class="chip-number">${index + 1}</span>
+      <span class="chip-label">${overlay.caption}</span>
+      <span class="chip-indicator">${isActive ? '✓' : '○'}</span>
+    `;
 
-    if (playBtn) {
-      playBtn.textContent = this.isPlaying ? '⏸ Pause' : '▶ Play';
-      playBtn.disabled = index === this.steps.length - 1 && !this.isPlaying;
-    }
+    chip.onclick = () => this.toggleOverlay(overlay.id);
 
-    // Update step list if present
-    this.updateStepList(index);
+    // Add tooltip
+    chip.title = `Press ${index + 1} to toggle`;
 
-    // Highlight focused elements if specified
-    if (step.focus) {
-      this.highlightElements(step.focus);
-    }
+    return chip;
   }
 
-  updateStepList(currentIndex) {
-    const stepList = document.getElementById('step-list');
-    if (!stepList) return;
-
-    stepList.innerHTML = '';
+  renderSceneButtons(scenes, container) {
+    const scenesSection = document.createElement('div');
+    scenesSection.className = 'scenes-section';
+    scenesSection.innerHTML = '<h4>Scenes</h4>';
 
-    this.steps.forEach((step, index) => {
-      const li = document.createElement('li');
-      li.className = 'step-item';
-      if (index === currentIndex) {
-        li.classList.add('current');
-      }
-      if (index < currentIndex) {
-        li.classList.add('completed');
-      }
+    const scenesGrid = document.createElement('div');
+    scenesGrid.className = 'scenes-grid';
 
+    scenes.forEach(scene => {
       const button = document.createElement('button');
-      button.className = 'step-button';
+      button.className = 'scene-button';
       button.innerHTML = `
-        <span class="step-number">${index + 1}</span>
-        <span class="step-text">${step.caption}</span>
+        <span class="scene-name">${scene.name}</span>
+        ${scene.overlays?.length > 0 ?
+          `<span class="scene-overlays">${scene.overlays.length} overlays</span>` : ''}
       `;
-      button.onclick = () => this.goToStep(index);
-
-      li.appendChild(button);
-      stepList.appendChild(li);
-    });
-  }
-
-  highlightElements(elementIds) {
-    // Remove previous highlights
-    document.querySelectorAll('.step-highlight').forEach(el => {
-      el.classList.remove('step-highlight');
-    });
 
-    // Add new highlights
-    elementIds.forEach(id => {
-      const elements = document.querySelectorAll(`[id*="${id}"]`);
-      elements.forEach(el => {
-        el.classList.add('step-highlight');
-      });
+      button.onclick = () => this.applyScene(scene);
+      scenesGrid.appendChild(button);
     });
-  }
 
-  emitStepChange(step, index) {
-    const event = new CustomEvent('stepChange', {
-      detail: {
-        step,
-        index,
-        total: this.steps.length,
-        isFirst: index === 0,
-        isLast: index === this.steps.length - 1
-      }
-    });
-    document.dispatchEvent(event);
+    scenesSection.appendChild(scenesGrid);
+    container.appendChild(scenesSection);
   }
 
-  // Navigation methods
-  async next() {
-    if (this.currentStep < this.steps.length - 1) {
-      await this.renderStep(this.currentStep + 1);
-    } else if (this.isPlaying) {
-      this.stopAutoPlay();
+  toggleOverlay(overlayId) {
+    if (this.activeOverlays.has(overlayId)) {
+      this.activeOverlays.delete(overlayId);
+    } else {
+      this.activeOverlays.add(overlayId);
     }
-  }
 
-  async prev() {
-    if (this.currentStep > 0) {
-      await this.renderStep(this.currentStep - 1);
-    }
+    this.updateUI();
+    this.emitChange();
   }
 
-  async goToStep(index) {
-    if (index >= 0 && index < this.steps.length) {
-      await this.renderStep(index);
+  toggleOverlayByIndex(index) {
+    const chip = document.querySelector(`.overlay-chip[data-index="${index}"]`);
+    if (chip) {
+      const overlayId = chip.dataset.overlayId;
+      this.toggleOverlay(overlayId);
     }
   }
 
-  async first() {
-    await this.renderStep(0);
-  }
-
-  async last() {
-    await this.renderStep(this.steps.length - 1);
-  }
-
-  // Auto-play functionality
-  toggleAutoPlay() {
-    if (this.isPlaying) {
-      this.stopAutoPlay();
-    } else {
-      this.startAutoPlay();
-    }
-  }
+  applyScene(scene) {
+    // Clear current overlays
+    this.activeOverlays.clear();
 
-  startAutoPlay() {
-    if (this.currentStep >= this.steps.length - 1) {
-      // Reset to beginning if at end
-      this.goToStep(0);
+    // Apply scene overlays
+    if (scene.overlays) {
+      scene.overlays.forEach(overlayId => {
+        this.activeOverlays.add(overlayId);
+      });
     }
 
-    this.isPlaying = true;
-    this.updatePlayButton();
-
-    this.playInterval = setInterval(async () => {
-      await this.next();
-      if (this.currentStep >= this.steps.length - 1) {
-        this.stopAutoPlay();
-      }
-    }, this.playSpeed);
-  }
+    this.updateUI();
+    this.emitChange();
 
-  stopAutoPlay() {
-    this.isPlaying = false;
-    if (this.playInterval) {
-      clearInterval(this.playInterval);
-      this.playInterval = null;
+    // Show scene narrative if available
+    if (scene.narrative) {
+      this.showSceneNarrative(scene);
     }
-    this.updatePlayButton();
   }
 
-  updatePlayButton() {
-    const playBtn = document.getElementById('step-play');
-    if (playBtn) {
-      playBtn.textContent = this.isPlaying ? '⏸ Pause' : '▶ Play';
-    }
-  }
+  showSceneNarrative(scene) {
+    const narrativeEl = document.getElementById('narrative-panel');
+    if (narrativeEl) {
+      narrativeEl.innerHTML = `
+        <div class="scene-narrative">
+          <h4>📖 ${scene.name}</h4>
+          <p>${scene.narrative}</p>
+        </div>
+      `;
 
-  setPlaySpeed(speed) {
-    this.playSpeed = speed;
-    if (this.isPlaying) {
-      this.stopAutoPlay();
-      this.startAutoPlay();
+      // Auto-hide after 5 seconds
+      setTimeout(() => {
+        if (narrativeEl.querySelector('.scene-narrative')) {
+          this.viewer.renderNarrative(this.viewer.currentSpec);
+        }
+      }, 5000);
     }
   }
 
-  // Utility methods
-  getCurrentStep() {
-    return this.steps[this.currentStep];
+  clearAll() {
+    this.activeOverlays.clear();
+    this.updateUI();
+    this.emitChange();
   }
 
-  getStepCount() {
-    return this.steps.length;
+  updateUI() {
+    // Update all chip states
+    document.querySelectorAll('.overlay-chip').forEach(chip => {
+      const overlayId = chip.dataset.overlayId;
+      const isActive = this.activeOverlays.has(overlayId);
+
+      chip.classList.toggle('active', isActive);
+      chip.querySelector('.chip-indicator').textContent = isActive ? '✓' : '○';
+    });
+
+    // Update clear button
+    const clearBtn = document.querySelector('.clear-overlays');
+    if (clearBtn) {
+      clearBtn.disabled = this.activeOverlays.size === 0;
+    }
   }
 
-  getCurrentIndex() {
-    return this.currentStep;
+  emitChange() {
+    const event = new CustomEvent('overlayToggle', {
+      detail: {
+        activeOverlays: Array.from(this.activeOverlays)
+      }
+    });
+    document.dispatchEvent(event);
   }
 
-  // Export steps for external use
-  exportSteps() {
-    return this.steps.map((step, index) => ({
-      index,
-      type: step.type,
-      caption: step.caption,
-      isCurrent: index === this.currentStep
-    }));
+  // Get current state for export
+  getState() {
+    return {
+      activeOverlays: Array.from(this.activeOverlays)
+    };
   }
 
-  // Reset to initial state
-  reset() {
-    this.stopAutoPlay();
-    this.currentStep = 0;
-    if (this.steps.length > 0) {
-      this.renderStep(0);
+  // Restore state from import
+  setState(state) {
+    if (state && state.activeOverlays) {
+      this.activeOverlays = new Set(state.activeOverlays);
+      this.updateUI();
+      this.emitChange();
     }
   }
-
-  // Cleanup method to prevent memory leaks
-  destroy() {
-    this.stopAutoPlay();
-    this.steps = [];
-    this.spec = null;
-    this.currentStep = 0;
-    this.renderer = null;
-    this.composer = null;
-  }
 }
 
 // Export for module systems, or make global
 if (typeof module !== 'undefined' && module.exports) {
-  module.exports = StepThroughEngine;
+  module.exports = OverlayManager;
 } else {
-  window.StepThroughEngine = StepThroughEngine;
+  window.OverlayManager = OverlayManager;
 }
 
-// === src/ui/export.js ===
-class ExportManager {
+// === src/ui/parameter-panel.js ===
+class ParameterPanel {
   constructor(viewer) {
     this.viewer = viewer;
+    this.model = null;
   }
 
-  showExportDialog() {
-    const modal = document.createElement('div');
-    modal.className = 'modal export-modal';
-    modal.innerHTML = `
-      <div class="modal-content">
-        <div class="modal-header">
-          <h2>Export Diagram</h2>
-          <button class="modal-close" onclick="this.closest('.modal').remove()">×</button>
-        </div>
-        <div class="modal-body">
-          <div class="export-options">
-            <button class="export-option" onclick="viewer.exportManager.exportSVG()">
-              <span class="export-icon">🖼️</span>
-              <span class="export-label">Export as SVG</span>
-              <span class="export-desc">Vector image for presentations</span>
-            </button>
-            <button class="export-option" onclick="viewer.exportManager.exportPNG()">
-              <span class="export-icon">📷</span>
-              <span class="export-label">Export as PNG</span>
-              <span class="export-desc">Image for documents</span>
-            </button>
-            <button class="export-option" onclick="viewer.exportManager.exportJSON()">
-              <span class="export-icon">📄</span>
-              <span class="export-label">Export as JSON</span>
-              <span class="export-desc">Raw specification data</span>
-            </button>
-            <button class="export-option" onclick="viewer.exportManager.exportMermaid()">
-              <span class="export-icon">📝</span>
-              <span class="export-label">Export Mermaid Code</span>
-              <span class="export-desc">Editable diagram source</span>
-            </button>
-            <button class="export-option" onclick="viewer.exportManager.exportProgress()">
-              <span class="export-icon">📊</span>
-              <span class="export-label">Export Progress</span>
-              <span class="export-desc">Backup learning progress</span>
-            </button>
-            <button class="export-option" onclick="viewer.exportManager.printDiagram()">
-              <span class="export-icon">🖨️</span>
-              <span class="export-label">Print Diagram</span>
-              <span class="export-desc">Send to printer or PDF</span>
-            </button>
-          </div>
-        </div>
-      </div>
-    `;
+  attach(spec) {
+    this.detach();
 
-    document.body.appendChild(modal);
-    modal.addEventListener('click', (e) => {
-      if (e.target === modal) modal.remove();
-    });
-  }
+    if (!spec.parameters || Object.keys(spec.parameters).length === 0) return;
 
-  exportSVG() {
-    const svg = document.querySelector('#diagram-container svg');
-    if (!svg) {
-      alert('No diagram to export');
-      return;
-    }
+    this.model = new MetricsModel(spec);
+    this.renderPanel();
+  }
 
-    // Clone and prepare SVG
-    const svgClone = svg.cloneNode(true);
-    this.addSVGStyles(svgClone);
+  detach() {
+    this.model = null;
 
-    // Add title and metadata
-    const title = document.createElementNS('http://www.w3.org/2000/svg', 'title');
-    title.textContent = this.viewer.currentSpec.title || 'GFS Diagram';
-    svgClone.insertBefore(title, svgClone.firstChild);
+    const container = this.getContainer();
+    if (container) {
+      container.querySelector('.parameter-panel')?.remove();
+      container.style.display = container.children.length > 0 ? 'block' : 'none';
+    }
+  }
 
-    const serializer = new XMLSerializer();
-    const svgString = serializer.serializeToString(svgClone);
+  getContainer() {
+    return document.getElementById('simulation-panel');
+  }
 
-    // Create blob and download
-    const blob = new Blob([svgString], { type: 'image/svg+xml;charset=utf-8' });
-    this.downloadBlob(blob, `${this.viewer.currentDiagramId}.svg`);
+  getPanel() {
+    return this.getContainer()?.querySelector('.parameter-panel') || null;
+  }
 
-    // Close modal
-    this.closeModal();
+  formatValue(parameter, value) {
+    return parameter.unit ? `${value} ${parameter.unit}` : String(value);
   }
 
-  exportPNG() {
-    const svg = document.querySelector('#diagram-container svg');
-    if (!svg) {
-      alert('No diagram to export');
-      return;
-    }
+  // A select when the spec lists the interesting values, otherwise a slider
+  renderControl(id, parameter) {
+    const value = this.model.values[id];
 
-    // Get SVG dimensions
-    const bbox = svg.getBBox();
-    const width = bbox.width + bbox.x * 2;
-    const height = bbox.height + bbox.y * 2;
+    if (parameter.options) {
+      return `
+        <select data-parameter="${id}">
+          ${parameter.options.map(option => `
+            <option value="${option}" ${option === value ? 'selected' : ''}>${this.formatValue(parameter, option)}</option>
+          `).join('')}
+        </select>
+      `;
+    }
 
-    // Create canvas
-    const canvas = document.createElement('canvas');
-    const scale = 2; // Higher resolution
-    canvas.width = width * scale;
-    canvas.height = height * scale;
+    return `
+      <input type="range" data-parameter="${id}" value="${value}"
+             min="${parameter.min ?? 0}" max="${parameter.max ?? value * 10}" step="${parameter.step ?? 'any'}">
+      <output data-parameter-value="${id}">${this.formatValue(parameter, value)}</output>
+    `;
+  }
 
-    const ctx = canvas.getContext('2d');
-    ctx.scale(scale, scale);
+  renderPanel() {
+    const container = this.getContainer();
+    if (!container || !this.model) return;
 
-    // Set white background
-    ctx.fillStyle = 'white';
-    ctx.fillRect(0, 0, width, height);
+    const panel = document.createElement('div');
+    panel.className = 'parameter-panel';
+    panel.innerHTML = `
+      <div class="parameter-header">
+        <h4>📏 Parameters</h4>
+        <button data-action="reset" title="Restore the spec's values">↺ Reset</button>
+      </div>
+      <div class="parameter-controls">
+        ${Object.entries(this.model.parameters).map(([id, parameter]) => `
+          <label class="parameter-control">
+            <span>${parameter.label || id}</span>
+            ${this.renderControl(id, parameter)}
+          </label>
+        `).join('')}
+      </div>
+    `;
 
-    // Convert SVG to data URL
-    const svgClone = svg.cloneNode(true);
-    this.addSVGStyles(svgClone);
+    panel.querySelectorAll('[data-parameter]').forEach(control => {
+      const event = control.tagName === 'SELECT' ? 'change' : 'input';
+      control.addEventListener(event, () => this.setValue(control.dataset.parameter, Number(control.value)));
+    });
+    panel.querySelector('[data-action="reset"]').addEventListener('click', () => this.reset());
 
-    const serializer = new XMLSerializer();
-    const svgString = serializer.serializeToString(svgClone);
-    const svgBlob = new Blob([svgString], { type: 'image/svg+xml;charset=utf-8' });
-    const svgUrl = URL.createObjectURL(svgBlob);
+    container.appendChild(panel);
+    container.style.display = 'block';
+  }
 
-    // Create image and draw to canvas
-    const img = new Image();
-    img.onload = () => {
-      ctx.drawImage(img, 0, 0, width, height);
-      URL.revokeObjectURL(svgUrl);
+  setValue(id, value) {
+    if (!this.model || Number.isNaN(value)) return;
 
-      // Export canvas as PNG
-      canvas.toBlob((blob) => {
-        this.downloadBlob(blob, `${this.viewer.currentDiagramId}.png`);
-        this.closeModal();
-      }, 'image/png');
-    };
+    this.model.setValue(id, value);
+    const output = this.getPanel()?.querySelector(`[data-parameter-value="${id}"]`);
+    if (output) output.textContent = this.formatValue(this.model.parameters[id], value);
 
-    img.src = svgUrl;
+    this.apply();
   }
 
-  exportJSON() {
-    if (!this.viewer.currentSpec) {
-      alert('No diagram to export');
-      return;
-    }
+  reset() {
+    if (!this.model) return;
 
-    // Include current state
-    const exportData = {
-      ...this.viewer.currentSpec,
-      _export: {
-        timestamp: Date.now(),
-        version: '1.0',
-        activeOverlays: Array.from(this.viewer.currentOverlays)
-      }
-    };
+    this.model.values = this.model.getDefaults();
+    this.getPanel()?.remove();
+    this.renderPanel();
+    this.apply();
+  }
 
-    const blob = new Blob([JSON.stringify(exportData, null, 2)], {
-      type: 'application/json;charset=utf-8'
-    });
+  // Recompute edge metrics from the current values; the new parameter values
+  // are part of the render cache key
+  apply() {
+    if (!this.viewer.currentSpec) return;
 
-    this.downloadBlob(blob, `${this.viewer.currentDiagramId}.json`);
-    this.closeModal();
+    this.viewer.currentSpec = this.model.bind(this.viewer.currentSpec);
+    this.viewer.renderDiagram();
   }
+}
 
-  exportMermaid() {
-    if (!this.viewer.currentSpec) {
-      alert('No diagram to export');
-      return;
-    }
+// Export for module systems, or make global
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ParameterPanel;
+} else {
+  window.ParameterPanel = ParameterPanel;
+}
 
-    // Generate Mermaid code
-    const composed = this.viewer.composer.composeScene(
-      this.viewer.currentSpec,
-      Array.from(this.viewer.currentOverlays)
-    );
+// === src/ui/placement-panel.js ===
+class PlacementPanel {
+  constructor(viewer) {
+    this.viewer = viewer;
+    this.params = null;
+    this.result = null;
+    this.frameIndex = 0;
+  }
 
-    const mermaidCode = this.viewer.renderer.generateMermaidCode(composed);
+  attach(spec) {
+    this.detach();
 
-    // Add header comment
-    const exportContent = `# ${this.viewer.currentSpec.title}
-# Generated: ${new Date().toISOString()}
-# Overlays: ${Array.from(this.viewer.currentOverlays).join(', ') || 'none'}
+    if (spec._simulation?.model !== 'placement') return;
 
-${mermaidCode}`;
+    this.params = JSON.parse(JSON.stringify(spec._simulation.params));
+    this.result = spec._simulation;
 
-    const blob = new Blob([exportContent], {
-      type: 'text/plain;charset=utf-8'
-    });
+    // Open on the first failure so there is something to watch
+    const firstFailure = this.result.frames.findIndex(frame => frame.events.some(e => e.type === 'fail'));
+    this.frameIndex = Math.max(0, firstFailure);
+    this.renderPanel();
+  }
 
-    this.downloadBlob(blob, `${this.viewer.currentDiagramId}.mmd`);
-    this.closeModal();
+  detach() {
+    this.params = null;
+    this.result = null;
+
+    const container = this.getContainer();
+    if (container) {
+      container.querySelector('.placement-panel')?.remove();
+      container.style.display = container.children.length > 0 ? 'block' : 'none';
+    }
   }
 
-  exportProgress() {
-    const progressData = this.viewer.learningProgress.exportProgress();
-    const blob = new Blob([JSON.stringify(progressData, null, 2)], {
-      type: 'application/json;charset=utf-8'
-    });
+  getContainer() {
+    return document.getElementById('simulation-panel');
+  }
 
-    const date = new Date().toISOString().split('T')[0];
-    this.downloadBlob(blob, `gfs-progress-${date}.json`);
-    this.closeModal();
+  getPanel() {
+    return this.getContainer()?.querySelector('.placement-panel') || null;
   }
 
-  printDiagram() {
-    // Create print-specific styles
-    const printStyles = `
-      @media print {
-        body > *:not(.print-content) {
-          display: none !important;
-        }
-        .print-content {
-          display: block !important;
-          padding: 20px;
-        }
-        .print-header {
-          margin-bottom: 20px;
-          border-bottom: 2px solid #333;
-          padding-bottom: 10px;
-        }
-        .print-diagram {
-          max-width: 100%;
-          page-break-inside: avoid;
-        }
-        .print-contracts {
-          margin-top: 20px;
-          page-break-inside: avoid;
-        }
-        .print-contracts h3 {
-          margin-top: 15px;
-        }
-        .print-contracts ul {
-          margin-left: 20px;
-        }
-      }
+  renderPanel() {
+    const container = this.getContainer();
+    if (!container) return;
+
+    const fields = [
+      ['racks', 'Racks', 1, 6],
+      ['serversPerRack', 'Servers/rack', 1, 8],
+      ['diskCapacity', 'Disk (chunks)', 1, 64],
+      ['chunks', 'Chunks', 1, 64],
+      ['bandwidth', 'Clones in flight', 1, 16],
+      ['seed', 'Seed', 1, 99999]
+    ];
+
+    const panel = document.createElement('div');
+    panel.className = 'placement-panel';
+    panel.innerHTML = `
+      <div class="placement-header">
+        <h4>🗃️ Placement & Re-replication</h4>
+        ${fields.map(([field, label, min, max]) => `
+          <label>${label} <input type="number" min="${min}" max="${max}" data-field="${field}" value="${this.params[field]}"></label>
+        `).join('')}
+      </div>
+      <div class="placement-failures"></div>
+      <div class="placement-controls">
+        <button data-action="previous" title="Previous tick">◀</button>
+        <input type="range" min="0" class="placement-time">
+        <button data-action="next" title="Next tick">▶</button>
+        <span class="placement-caption"></span>
+      </div>
+      <div class="placement-events"></div>
+      <div id="placement-matrix" class="placement-matrix"></div>
+      <div class="placement-chart"></div>
+      <div class="placement-summary"></div>
     `;
 
-    // Add print styles to head
-    const styleEl = document.createElement('style');
-    styleEl.textContent = printStyles;
-    document.head.appendChild(styleEl);
+    panel.querySelectorAll('.placement-header input[data-field]').forEach(input => {
+      input.addEventListener('change', () => this.setParam(input.dataset.field, Number(input.value)));
+    });
+
+    panel.querySelector('.placement-time').addEventListener('input', (e) => this.showFrame(Number(e.target.value)));
+    panel.querySelector('[data-action="previous"]').addEventListener('click', () => this.showFrame(this.frameIndex - 1));
+    panel.querySelector('[data-action="next"]').addEventListener('click', () => this.showFrame(this.frameIndex + 1));
 
-    // Create print content
-    const printContent = document.createElement('div');
-    printContent.className = 'print-content';
-    printContent.style.display = 'none';
+    container.appendChild(panel);
+    container.style.display = 'block';
 
-    // Add header
-    const header = document.createElement('div');
-    header.className = 'print-header';
-    header.innerHTML = `
-      <h1>${this.viewer.currentSpec.title}</h1>
-      <p>GFS Visual Learning System - ${new Date().toLocaleDateString()}</p>
+    this.update();
+  }
+
+  // Scheduled failures, plus a picker to fail another server or a whole rack.
+  // Server and rack names come from the spec, so they go in as text
+  renderFailures(element) {
+    const servers = this.result.frames[0]?.servers || [];
+    const failures = this.params.failures || [];
+
+    element.innerHTML = `
+      <span>Failures:</span>
+      <span class="placement-none">none</span>
+      <select class="placement-target"></select>
+      <label>at t= <input type="number" min="0" class="placement-at" value="${this.result.frames[this.frameIndex]?.time || 0}"></label>
+      <button data-action="add-failure">Add</button>
     `;
-    printContent.appendChild(header);
 
-    // Add diagram
-    const diagramContainer = document.createElement('div');
-    diagramContainer.className = 'print-diagram';
-    const svg = document.querySelector('#diagram-container svg');
-    if (svg) {
-      diagramContainer.appendChild(svg.cloneNode(true));
+    if (failures.length > 0) {
+      element.querySelector('.placement-none').replaceWith(...failures.map((failure, index) => {
+        const item = document.createElement('span');
+        item.className = 'placement-failure';
+        item.innerHTML = '<button title="Remove failure">✕</button>';
+        item.prepend(`💥 ${failure.rack ? `rack ${failure.rack}` : failure.server} @t=${failure.at} `);
+        item.querySelector('button').addEventListener('click', () => {
+          this.params.failures = failures.filter((_, other) => other !== index);
+          this.rerun();
+        });
+        return item;
+      }));
     }
-    printContent.appendChild(diagramContainer);
 
-    // Add contracts if available
-    if (this.viewer.currentSpec.contracts) {
-      const contracts = document.createElement('div');
-      contracts.className = 'print-contracts';
-      contracts.innerHTML = `
-        <h2>System Contracts</h2>
-        ${this.viewer.currentSpec.contracts.invariants?.length > 0 ? `
-          <div>
-            <h3>Invariants</h3>
-            <ul>
-              ${this.viewer.currentSpec.contracts.invariants.map(i => `<li>${i}</li>`).join('')}
-            </ul>
-          </div>
-        ` : ''}
-        ${this.viewer.currentSpec.contracts.guarantees?.length > 0 ? `
-          <div>
-            <h3>Guarantees</h3>
-            <ul>
-              ${this.viewer.currentSpec.contracts.guarantees.map(g => `<li>${g}</li>`).join('')}
-            </ul>
-          </div>
-        ` : ''}
-        ${this.viewer.currentSpec.contracts.caveats?.length > 0 ? `
-          <div>
-            <h3>Caveats</h3>
-            <ul>
-              ${this.viewer.currentSpec.contracts.caveats.map(c => `<li>${c}</li>`).join('')}
-            </ul>
-          </div>
-        ` : ''}
-      `;
-      printContent.appendChild(contracts);
+    element.querySelector('.placement-target').append(
+      ...this.result.racks.map(rack => new Option(`Rack ${rack}`, `rack:${rack}`)),
+      ...servers.map(server => new Option(server.id, `server:${server.id}`))
+    );
+
+    element.querySelector('[data-action="add-failure"]').addEventListener('click', () => {
+      const [kind, id] = element.querySelector('.placement-target').value.split(':');
+      const at = Math.max(0, Number(element.querySelector('.placement-at').value) || 0);
+      this.params.failures = [...failures, { at, [kind]: id }];
+      this.rerun();
+    });
+  }
+
+  describeEvent(event) {
+    switch (event.type) {
+      case 'fail': return `💥 ${event.server} fails`;
+      case 'clone': return `📤 ${event.chunk}: ${event.from} → ${event.to} (${event.live} live)`;
+      case 'cloned': return `✅ ${event.chunk} restored on ${event.to}`;
+      case 'abort': return `⚠️ ${event.chunk} clone to ${event.to} aborted`;
+      default: return event.type;
     }
+  }
 
-    // Add to body
-    document.body.appendChild(printContent);
+  showFrame(index) {
+    const frames = this.result?.frames || [];
+    if (frames.length === 0) return;
 
-    // Print
-    window.print();
+    this.frameIndex = Math.max(0, Math.min(frames.length - 1, index));
+    const frame = frames[this.frameIndex];
+    const point = this.result.series[this.frameIndex];
+    const panel = this.getPanel();
+    if (!panel) return;
 
-    // Clean up
-    setTimeout(() => {
-      printContent.remove();
-      styleEl.remove();
-    }, 1000);
+    panel.querySelector('.placement-time').value = this.frameIndex;
+    panel.querySelector('.placement-caption').textContent =
+      `t=${frame.time}: ${point.underReplicated} under-replicated, ${point.lost} lost, ${frame.clones.length} cloning`;
+    panel.querySelector('.placement-events').replaceChildren(...frame.events.map(event => {
+      const item = document.createElement('span');
+      item.className = `placement-event placement-event-${event.type}`;
+      item.textContent = this.describeEvent(event);
+      return item;
+    }));
 
-    this.closeModal();
+    this.renderChart(panel.querySelector('.placement-chart'));
+    this.viewer.renderer.render(ClusterPlacementSimulation.toMatrixSpec(frame, this.viewer.currentSpec), 'placement-matrix');
+  }
+
+  // Under-replicated and lost chunk counts over time, with a cursor on the current tick
+  renderChart(element) {
+    const series = this.result.series;
+    const width = 320;
+    const height = 100;
+    const pad = 16;
+    const maxTime = Math.max(1, series[series.length - 1].time);
+    const maxCount = Math.max(1, this.params.chunks);
+    const x = time => pad + (time / maxTime) * (width - 2 * pad);
+    const y = count => height - pad - (count / maxCount) * (height - 2 * pad);
+    const line = key => series.map(point => `${x(point.time)},${y(point[key])}`).join(' ');
+    const current = series[this.frameIndex];
+
+    element.innerHTML = `
+      <svg viewBox="0 0 ${width} ${height}" class="placement-series" role="img"
+           aria-label="Under-replicated chunks over time">
+        <line x1="${pad}" y1="${height - pad}" x2="${width - pad}" y2="${height - pad}" class="placement-axis"/>
+        <line x1="${pad}" y1="${pad}" x2="${pad}" y2="${height - pad}" class="placement-axis"/>
+        <text x="${pad}" y="${pad - 4}" class="placement-label">${maxCount}</text>
+        <text x="${width - pad}" y="${height - 2}" class="placement-label" text-anchor="end">t=${maxTime}</text>
+        <polyline points="${line('underReplicated')}" class="placement-line-under"/>
+        <polyline points="${line('lost')}" class="placement-line-lost"/>
+        <line x1="${x(current.time)}" y1="${pad}" x2="${x(current.time)}" y2="${height - pad}" class="placement-cursor"/>
+        ${series.map((point, index) => `
+          <rect x="${x(point.time) - 4}" y="${pad}" width="8" height="${height - 2 * pad}" data-index="${index}" class="placement-hit">
+            <title>t=${point.time}: ${point.underReplicated} under-replicated, ${point.lost} lost</title>
+          </rect>
+        `).join('')}
+      </svg>
+      <span class="placement-legend-under">under-replicated</span>
+      <span class="placement-legend-lost">lost</span>
+    `;
+
+    element.querySelectorAll('.placement-hit').forEach(rect => {
+      rect.addEventListener('click', () => this.showFrame(Number(rect.dataset.index)));
+    });
   }
 
-  addSVGStyles(svg) {
-    // Embed styles directly in SVG for standalone export
-    const style = document.createElementNS('http://www.w3.org/2000/svg', 'style');
-    style.textContent = `
-      text {
-        font-family: 'Trebuchet MS', Arial, sans-serif;
-        font-size: 14px;
-      }
-      .node rect {
-        stroke-width: 2px;
-      }
-      .edgeLabel {
-        background-color: white;
-        padding: 2px 4px;
-      }
-      .highlight {
-        fill: #FFD700 !important;
-        stroke: #B8860B !important;
-        stroke-width: 4px !important;
+  renderSummary(element) {
+    const { summary, params } = this.result;
+    element.textContent = `Rebuilt ${summary.cloned} replicas by t=${summary.finishedAt} ` +
+      `(${params.bandwidth} clones in flight, ${params.perServerBandwidth} per source); ` +
+      `peak ${summary.peakUnderReplicated} under-replicated, ${summary.lost} lost` +
+      (summary.aborted > 0 ? `, ${summary.aborted} clones aborted` : '');
+  }
+
+  update() {
+    const panel = this.getPanel();
+    if (!panel) return;
+
+    panel.querySelector('.placement-time').max = this.result.frames.length - 1;
+    this.renderFailures(panel.querySelector('.placement-failures'));
+    this.renderSummary(panel.querySelector('.placement-summary'));
+    this.showFrame(this.frameIndex);
+  }
+
+  setParam(field, value) {
+    if (!this.params || Number.isNaN(value)) return;
+
+    this.params[field] = value;
+    this.rerun();
+  }
+
+  rerun() {
+    if (!this.params || !this.viewer.currentSpec) return;
+
+    const spec = new ClusterPlacementSimulation(this.params).applyToSpec(this.viewer.currentSpec);
+    this.viewer.currentSpec = spec;
+    this.result = spec._simulation;
+    this.update();
+  }
+}
+
+// Export for module systems, or make global
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PlacementPanel;
+} else {
+  window.PlacementPanel = PlacementPanel;
+}
+
+// === src/ui/recovery-panel.js ===
+class RecoveryPanel {
+  constructor(viewer) {
+    this.viewer = viewer;
+    this.stateManager = null;
+    this.params = null;
+    this.result = null;
+    this.attaching = false;
+
+    document.addEventListener('stateChange', (e) => {
+      if (this.stateManager && e.detail.state?.replay) {
+        this.onReplayStep(e.detail);
       }
-    `;
-    svg.insertBefore(style, svg.firstChild);
+    });
 
-    // Set viewBox if not present
-    if (!svg.getAttribute('viewBox')) {
-      const bbox = svg.getBBox();
-      svg.setAttribute('viewBox', `${bbox.x} ${bbox.y} ${bbox.width} ${bbox.height}`);
+    document.addEventListener('playStateChange', () => this.updatePlayButton());
+  }
+
+  attach(spec) {
+    this.detach();
+
+    if (spec._simulation?.model !== 'recovery') return;
+
+    this.params = JSON.parse(JSON.stringify(spec._simulation.params));
+    this.result = spec._simulation;
+    this.stateManager = new StateManager();
+    this.stateManager.setSpeed(1500);
+
+    // The viewer renders the diagram itself once the panels are attached
+    this.attaching = true;
+    this.renderPanel();
+    this.stateManager.initialize(spec);
+    this.attaching = false;
+  }
+
+  detach() {
+    if (this.stateManager) {
+      this.stateManager.pause();
     }
+    this.stateManager = null;
+    this.params = null;
+    this.result = null;
 
-    // Set dimensions
-    svg.setAttribute('width', '100%');
-    svg.setAttribute('height', '100%');
+    const container = this.getContainer();
+    if (container) {
+      container.querySelector('.recovery-panel')?.remove();
+      container.style.display = container.children.length > 0 ? 'block' : 'none';
+    }
   }
 
-  downloadBlob(blob, filename) {
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = filename;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
+  getContainer() {
+    return document.getElementById('simulation-panel');
   }
 
-  closeModal() {
-    const modal = document.querySelector('.export-modal');
-    if (modal) {
-      modal.remove();
-    }
+  getCurrentStep() {
+    return this.stateManager?.getCurrentState()?.replay || null;
   }
 
-  // Import functionality
-  showImportDialog() {
-    const modal = document.createElement('div');
-    modal.className = 'modal import-modal';
-    modal.innerHTML = `
-      <div class="modal-content">
-        <div class="modal-header">
-          <h2>Import Data</h2>
-          <button class="modal-close" onclick="this.closest('.modal').remove()">×</button>
-        </div>
-        <div class="modal-body">
-          <div class="import-section">
-            <h3>Import Progress Data</h3>
-            <p>Restore your learning progress from a backup file.</p>
-            <input type="file" id="import-progress" accept=".json">
-            <button onclick="viewer.exportManager.importProgressFile()">Import Progress</button>
-          </div>
-          <div class="import-section">
-            <h3>Import Custom Diagram</h3>
-            <p>Load a custom diagram specification.</p>
-            <input type="file" id="import-diagram" accept=".json">
-            <button onclick="viewer.exportManager.importDiagramFile()">Import Diagram</button>
-          </div>
-        </div>
+  // Show replay progress on the master node of the matrix
+  decorate(spec) {
+    const step = this.getCurrentStep();
+    if (!step) return spec;
+
+    return {
+      ...spec,
+      nodes: (spec.nodes || []).map(node => (
+        node.type === 'master'
+          ? { ...node, label: `${node.label} · ${step.kind === 'serving' ? 'recovered' : `replay LSN ${step.lsn}`}`, _highlighted: true }
+          : node
+      )),
+      _simulation: { ...(spec._simulation || {}), live: true }
+    };
+  }
+
+  renderPanel() {
+    const container = this.getContainer();
+    if (!container) return;
+
+    const workload = this.params.workload || [];
+
+    const panel = document.createElement('div');
+    panel.className = 'recovery-panel';
+    panel.innerHTML = `
+      <div class="recovery-header">
+        <h4>🗄️ Master Recovery</h4>
+        <label>
+          Crash after LSN
+          <input type="range" min="0" max="${workload.length}" value="${this.result.crashAt}" data-field="crashAt">
+          <span class="recovery-crash-value">${this.result.crashAt}</span>
+        </label>
+        <label>
+          Checkpoint every
+          <input type="number" min="0" max="${workload.length}" value="${this.params.checkpointEvery}" data-field="checkpointEvery">
+          records
+        </label>
       </div>
+      <div class="recovery-controls">
+        <button data-action="first" title="Back to the crash">⏮</button>
+        <button data-action="previous" title="Previous replay step">◀</button>
+        <button data-action="play" title="Play replay">▶ Play</button>
+        <button data-action="next" title="Next replay step">▶</button>
+        <button data-action="last" title="Jump to recovered master">⏭</button>
+        <span class="recovery-caption"></span>
+      </div>
+      <div class="recovery-body">
+        <ol class="recovery-log"></ol>
+        <div class="recovery-tables"></div>
+      </div>
+      <div class="recovery-shadows"></div>
     `;
 
-    document.body.appendChild(modal);
-    modal.addEventListener('click', (e) => {
-      if (e.target === modal) modal.remove();
+    panel.querySelectorAll('input[data-field]').forEach(input => {
+      input.addEventListener('input', () => {
+        if (input.dataset.field === 'crashAt') {
+          panel.querySelector('.recovery-crash-value').textContent = input.value;
+        }
+      });
+      input.addEventListener('change', () => this.setParam(input.dataset.field, Number(input.value)));
+    });
+
+    panel.querySelectorAll('.recovery-controls button').forEach(btn => {
+      btn.addEventListener('click', () => this.handleAction(btn.dataset.action));
     });
+
+    container.appendChild(panel);
+    container.style.display = 'block';
+
+    this.renderShadows(panel.querySelector('.recovery-shadows'));
   }
 
-  async importProgressFile() {
-    const input = document.getElementById('import-progress');
-    if (!input.files[0]) {
-      alert('Please select a file');
-      return;
-    }
+  handleAction(action) {
+    if (!this.stateManager) return;
 
-    try {
-      const text = await input.files[0].text();
-      const data = JSON.parse(text);
+    switch (action) {
+      case 'first':
+        this.stateManager.jumpToState(this.stateManager.states[0].id);
+        break;
+      case 'previous':
+        this.stateManager.previous();
+        break;
+      case 'next':
+        this.stateManager.next();
+        break;
+      case 'last':
+        this.stateManager.jumpToState(this.stateManager.states[this.stateManager.states.length - 1].id);
+        break;
+      case 'play':
+        if (!this.stateManager.isPlaying && this.stateManager.currentStateIndex === this.stateManager.states.length - 1) {
+          this.stateManager.jumpToState(this.stateManager.states[0].id);
+        }
+        this.stateManager.togglePlay();
+        break;
+    }
+  }
 
-      if (this.viewer.learningProgress.importProgress(data)) {
-        alert('Progress imported successfully!');
-        location.reload();
-      } else {
-        alert('Invalid progress file');
-      }
-    } catch (error) {
-      alert('Failed to import progress: ' + error.message);
+  updatePlayButton() {
+    const button = this.getContainer()?.querySelector('.recovery-panel [data-action="play"]');
+    if (button) {
+      button.textContent = this.stateManager?.isPlaying ? '⏸ Pause' : '▶ Play';
     }
   }
 
-  async importDiagramFile() {
-    const input = document.getElementById('import-diagram');
-    if (!input.files[0]) {
-      alert('Please select a file');
-      return;
+  setParam(field, value) {
+    if (!this.params || Number.isNaN(value)) return;
+
+    this.params[field] = value;
+    const spec = new MasterRecoverySimulation(this.params).applyToSpec(this.viewer.currentSpec);
+    this.viewer.currentSpec = spec;
+    this.result = spec._simulation;
+
+    this.stateManager.pause();
+    this.renderShadows(this.getContainer()?.querySelector('.recovery-panel .recovery-shadows'));
+    this.stateManager.initialize(spec);
+  }
+
+  onReplayStep(detail) {
+    const panel = this.getContainer()?.querySelector('.recovery-panel');
+    if (!panel) return;
+
+    const step = detail.state.replay;
+    panel.querySelector('.recovery-caption').textContent = `Step ${detail.index + 1} of ${detail.total}: ${step.caption}`;
+    this.renderLog(panel.querySelector('.recovery-log'), step);
+    this.renderTables(panel.querySelector('.recovery-tables'), step);
+
+    if (!this.attaching) {
+      this.viewer.renderDiagram();
     }
+  }
 
-    try {
-      const text = await input.files[0].text();
-      const spec = JSON.parse(text);
+  // Log records with checkpoint and crash markers; replayed records are highlighted.
+  // Descriptions, paths and ids come from the spec's workload, so they go in as text
+  renderLog(element, step) {
+    const { log, checkpoints, crashAt } = this.result;
+    const checkpointLsn = this.result.replay.find(s => s.kind === 'checkpoint')?.lsn || 0;
 
-      // Validate the spec
-      this.viewer.validator.validateSpec(spec);
+    element.replaceChildren(...log.map(record => {
+      const classes = ['recovery-record'];
+      if (record.lsn > crashAt) classes.push('recovery-lost');
+      else if (record.lsn <= checkpointLsn) classes.push('recovery-checkpointed');
+      else if (step.kind !== 'crash' && step.kind !== 'checkpoint' && record.lsn <= step.lsn) classes.push('recovery-replayed');
+      if (step.kind === 'replay' && record.lsn === step.lsn) classes.push('recovery-current');
 
-      // Load the diagram
-      this.viewer.currentSpec = spec;
-      this.viewer.currentDiagramId = spec.id || 'custom';
+      const item = document.createElement('li');
+      item.className = classes.join(' ');
+      item.innerHTML = `
+        <span class="recovery-lsn">${record.lsn}</span>
+        ${checkpoints.includes(record.lsn) ? '<span class="recovery-marker">💾 checkpoint</span>' : ''}
+        ${record.lsn === crashAt ? '<span class="recovery-marker recovery-crash">💥 crash</span>' : ''}
+      `;
+      item.querySelector('.recovery-lsn').after(` ${record.description} `);
+      return item;
+    }));
+  }
 
-      // Apply saved overlays if present
-      if (spec._export?.activeOverlays) {
-        this.viewer.currentOverlays = new Set(spec._export.activeOverlays);
-      }
+  renderTables(element, step) {
+    const changed = new Set(step.changed || []);
+    const row = (key, cells) => {
+      const tr = document.createElement('tr');
+      tr.className = changed.has(key) ? 'recovery-changed' : '';
+      tr.append(...cells.map(cell => {
+        const td = document.createElement('td');
+        td.append(cell);
+        return td;
+      }));
+      return tr;
+    };
+    const unknown = () => {
+      const span = document.createElement('span');
+      span.className = 'recovery-unknown';
+      span.textContent = 'unknown';
+      return span;
+    };
 
-      // Render
-      await this.viewer.renderDiagram();
-      this.viewer.renderNarrative(spec);
-      this.viewer.renderContracts(spec);
-      this.viewer.drillSystem.renderDrills(spec);
+    element.innerHTML = `
+      <table class="recovery-table">
+        <caption>Namespace</caption>
+        <thead><tr><th>Path</th><th>Chunks</th></tr></thead>
+        <tbody><tr><td colspan="2" class="recovery-empty">empty</td></tr></tbody>
+      </table>
+      <table class="recovery-table">
+        <caption>Chunk mapping</caption>
+        <thead><tr><th>Handle</th><th>File</th><th>Version</th><th>Locations</th></tr></thead>
+        <tbody><tr><td colspan="4" class="recovery-empty">empty</td></tr></tbody>
+      </table>
+    `;
 
-      alert('Diagram imported successfully!');
-      this.closeModal();
-    } catch (error) {
-      alert('Failed to import diagram: ' + error.message);
+    const [namespace, chunks] = element.querySelectorAll('tbody');
+    if (step.namespace.length > 0) {
+      namespace.replaceChildren(...step.namespace.map(entry => row(entry.path, [
+        `${entry.type === 'dir' ? '📁' : '📄'} ${entry.path}`,
+        entry.chunks.join(', ') || '—'
+      ])));
     }
+    if (step.chunks.length > 0) {
+      chunks.replaceChildren(...step.chunks.map(chunk => row(chunk.handle, [
+        chunk.handle,
+        chunk.file,
+        `v${chunk.version}`,
+        chunk.locations.join(', ') || unknown()
+      ])));
+    }
+  }
+
+  renderShadows(element) {
+    if (!element) return;
+
+    const shadows = this.result.shadows || [];
+    element.innerHTML = shadows.length > 0 ? '<h5>👥 Shadow masters at the crash (read-only)</h5><ul></ul>' : '';
+    shadows.forEach(shadow => {
+      const item = document.createElement('li');
+      item.innerHTML = '<strong></strong>';
+      item.querySelector('strong').textContent = shadow.id;
+      item.append(` at LSN ${shadow.lsn} (${shadow.lag} behind): ` +
+        (shadow.namespace.filter(e => e.type === 'file').map(e => e.path).join(', ') || 'no files'));
+      element.querySelector('ul').appendChild(item);
+    });
   }
 }
 
 // Export for module systems, or make global
 if (typeof module !== 'undefined' && module.exports) {
-  module.exports = ExportManager;
+  module.exports = RecoveryPanel;
 } else {
-  window.ExportManager = ExportManager;
+  window.RecoveryPanel = RecoveryPanel;
 }
 
-// === src/ui/overlays.js ===
-class OverlayManager {
+// === src/ui/region-strip.js ===
+class RegionStrip {
   constructor(viewer) {
     this.viewer = viewer;
-    this.activeOverlays = new Set();
+    this.params = null;
   }
 
-  renderOverlayChips(spec) {
-    const container = document.getElementById('overlay-chips');
-    if (!container) return;
-
-    const overlays = spec.overlays || [];
-
-    if (overlays.length === 0) {
-      container.innerHTML = '<div class="no-overlays">No overlays available</div>';
-      return;
-    }
+  attach(spec) {
+    this.detach();
 
-    container.innerHTML = '';
+    if (spec._simulation?.model !== 'consistency') return;
 
-    // Add header
-    const header = document.createElement('div');
-    header.className = 'overlays-header';
-    header.innerHTML = `
-      <h3>Overlays</h3>
-      <button class="clear-overlays" onclick="viewer.overlayManager.clearAll()">Clear All</button>
-    `;
-    container.appendChild(header);
+    // Keep a private copy so learner edits never leak into the loaded spec
+    this.params = JSON.parse(JSON.stringify(spec._simulation.params));
+    this.params.scenario = spec._simulation.scenario;
+    this.renderPanel(spec._simulation);
+  }
 
-    // Add overlay chips
-    const chipsContainer = document.createElement('div');
-    chipsContainer.className = 'chips-container';
+  detach() {
+    this.params = null;
 
-    overlays.forEach((overlay, index) => {
-      const chip = this.createOverlayChip(overlay, index);
-      chipsContainer.appendChild(chip);
-    });
+    const container = this.getContainer();
+    if (container) {
+      container.querySelector('.region-panel')?.remove();
+      container.style.display = container.children.length > 0 ? 'block' : 'none';
+    }
+  }
 
-    container.appendChild(chipsContainer);
+  getContainer() {
+    return document.getElementById('simulation-panel');
+  }
 
-    // Add scenes if available
-    if (spec.scenes && spec.scenes.length > 0) {
-      this.renderSceneButtons(spec.scenes, container);
-    }
+  getScenario() {
+    return this.params.scenarios?.[this.params.scenario] || null;
   }
 
-  createOverlayChip(overlay, index) {
-    const chip = document.createElement('button');
-    chip.className = 'overlay-chip';
-    chip.dataset.overlayId = overlay.id;
-    chip.dataset.index = index;
+  renderPanel(result) {
+    const container = this.getContainer();
+    if (!container) return;
 
-    const isActive = this.activeOverlays.has(overlay.id);
-    if (isActive) {
-      chip.classList.add('active');
-    }
+    const scenarios = Object.entries(this.params.scenarios || {});
 
-    chip.innerHTML = `
-      <span class="chip-number">${index + 1}</span>
-      <span class="chip-label">${overlay.caption}</span>
-      <span class="chip-indicator">${isActive ? '✓' : '○'}</span>
+    const panel = document.createElement('div');
+    panel.className = 'region-panel';
+    panel.innerHTML = `
+      <div class="region-header">
+        <h4>🧩 File Regions</h4>
+        ${scenarios.length > 0 ? `
+          <label>
+            Scenario:
+            <select class="region-scenario"></select>
+          </label>
+        ` : ''}
+      </div>
+      <div class="region-generator"></div>
+      <div class="region-operations"></div>
+      <div class="region-strip"></div>
+      <div class="region-legend"></div>
     `;
 
-    chip.onclick = () => this.toggleOverlay(overlay.id);
+    // Scenario names, operation, replica and client ids come from the spec,
+    // so they go in as text
+    const select = panel.querySelector('.region-scenario');
+    if (select) {
+      select.append(...scenarios.map(([key, scenario]) => new Option(scenario.label || key, key)));
+      select.value = result.scenario;
+      select.addEventListener('change', () => {
+        this.params.scenario = select.value;
+        this.rerun();
+      });
+    }
 
-    // Add tooltip
-    chip.title = `Press ${index + 1} to toggle`;
+    container.appendChild(panel);
+    container.style.display = 'block';
 
-    return chip;
+    this.update(result);
   }
 
-  renderSceneButtons(scenes, container) {
-    const scenesSection = document.createElement('div');
-    scenesSection.className = 'scenes-section';
-    scenesSection.innerHTML = '<h4>Scenes</h4>';
-
-    const scenesGrid = document.createElement('div');
-    scenesGrid.className = 'scenes-grid';
+  // Seed, client count and failure probability for generated workloads
+  renderGenerator(element) {
+    const generator = this.getScenario()?.generator;
+    if (!generator) {
+      element.innerHTML = '';
+      return;
+    }
 
-    scenes.forEach(scene => {
-      const button = document.createElement('button');
-      button.className = 'scene-button';
-      button.innerHTML = `
-        <span class="scene-name">${scene.name}</span>
-        ${scene.overlays?.length > 0 ?
-          `<span class="scene-overlays">${scene.overlays.length} overlays</span>` : ''}
-      `;
+    element.innerHTML = `
+      <label>Seed <input type="number" min="1" data-field="seed" value="${generator.seed}"></label>
+      <button data-action="reroll" title="Draw a new seed">🎲 New seed</button>
+      <label>Clients <input type="number" min="1" max="8" data-field="clients" value="${generator.clients}"></label>
+      <label>
+        Failure probability
+        <input type="range" min="0" max="0.9" step="0.05" data-field="failureProbability" value="${generator.failureProbability}">
+        <span class="region-probability">${Math.round(generator.failureProbability * 100)}%</span>
+      </label>
+    `;
 
-      button.onclick = () => this.applyScene(scene);
-      scenesGrid.appendChild(button);
+    element.querySelectorAll('input[data-field]').forEach(input => {
+      input.addEventListener('change', () => this.setGeneratorOption(input.dataset.field, Number(input.value)));
+    });
+    element.querySelector('[data-action="reroll"]').addEventListener('click', () => {
+      this.setGeneratorOption('seed', 1 + Math.floor(Math.random() * 100000));
     });
-
-    scenesSection.appendChild(scenesGrid);
-    container.appendChild(scenesSection);
   }
 
-  toggleOverlay(overlayId) {
-    if (this.activeOverlays.has(overlayId)) {
-      this.activeOverlays.delete(overlayId);
-    } else {
-      this.activeOverlays.add(overlayId);
+  // Generated workloads list the offsets returned to each client; authored
+  // scenarios list their operations with a first-attempt failure picker
+  renderOperations(element, result) {
+    if (this.getScenario()?.generator) {
+      this.renderClientOffsets(element, result);
+      return;
     }
 
-    this.updateUI();
-    this.emitChange();
-  }
+    const replicaIds = Object.keys(result.replicas);
+    const statuses = new Map(result.results.map(r => [r.id, r]));
+    const unit = result.config.unit;
+
+    element.replaceChildren(...result.operations.map(op => {
+      const status = statuses.get(op.id);
+      const failing = op.failures?.[0]?.[0] || '';
+      const row = document.createElement('div');
+      row.className = 'region-op';
+      row.innerHTML = `
+        <strong></strong>
+        <label>
+          first attempt fails on
+          <select><option value="">none</option></select>
+        </label>
+        <span class="region-status region-status-${status?.status}"></span>
+      `;
+      row.querySelector('strong').textContent = op.id;
+      row.querySelector('strong').after(
+        ` ${op.type === 'append' ? `append ${op.length}${unit}` : `write ${op.length}${unit} @${op.offset}`} at t=${op.at || 0} `
+      );
+      row.querySelector('.region-status').textContent =
+        `${status?.status}${status?.attempts > 1 ? ` after ${status.attempts} attempts` : ''}${status?.offset !== null ? ` → offset ${status.offset}${unit}` : ''}`;
 
-  toggleOverlayByIndex(index) {
-    const chip = document.querySelector(`.overlay-chip[data-index="${index}"]`);
-    if (chip) {
-      const overlayId = chip.dataset.overlayId;
-      this.toggleOverlay(overlayId);
-    }
+      const select = row.querySelector('select');
+      select.append(...replicaIds.map(id => new Option(id, id, false, id === failing)));
+      select.addEventListener('change', () => this.setFailure(op.id, select.value || null));
+      return row;
+    }));
   }
 
-  applyScene(scene) {
-    // Clear current overlays
-    this.activeOverlays.clear();
+  renderClientOffsets(element, result) {
+    const unit = result.config.unit;
 
-    // Apply scene overlays
-    if (scene.overlays) {
-      scene.overlays.forEach(overlayId => {
-        this.activeOverlays.add(overlayId);
-      });
-    }
+    element.innerHTML = `
+      <table class="region-offsets">
+        <thead><tr><th>Client</th><th>Record</th><th>Size</th><th>Returned offset</th><th>Attempts</th><th></th></tr></thead>
+        <tbody></tbody>
+      </table>
+    `;
 
-    this.updateUI();
-    this.emitChange();
+    const clients = Object.entries(result.clients).sort(([a], [b]) => a.localeCompare(b));
+    element.querySelector('tbody').replaceChildren(...clients.flatMap(([client, records]) => records.map((record, index) => {
+      const row = document.createElement('tr');
+      row.append(...[
+        index === 0 ? client : '',
+        record.id,
+        `${record.length}${unit}`,
+        record.offset !== null ? `${record.offset}${unit}` : 'error',
+        String(record.attempts)
+      ].map(text => {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        return cell;
+      }));
 
-    // Show scene narrative if available
-    if (scene.narrative) {
-      this.showSceneNarrative(scene);
-    }
+      const tags = document.createElement('td');
+      tags.innerHTML = `
+        ${record.duplicate ? '<span class="region-tag region-tag-duplicate">duplicate</span>' : ''}
+        ${record.padded ? '<span class="region-tag region-tag-padding">padded</span>' : ''}
+      `;
+      row.appendChild(tags);
+      return row;
+    })));
   }
 
-  showSceneNarrative(scene) {
-    const narrativeEl = document.getElementById('narrative-panel');
-    if (narrativeEl) {
-      narrativeEl.innerHTML = `
-        <div class="scene-narrative">
-          <h4>📖 ${scene.name}</h4>
-          <p>${scene.narrative}</p>
-        </div>
-      `;
+  renderStrip(element, result) {
+    const classes = ConsistencySimulation.classes;
+    const size = Math.max(1, ...result.regions.map(r => r.end));
+    const { chunkSize, unit } = result.config;
 
-      // Auto-hide after 5 seconds
-      setTimeout(() => {
-        if (narrativeEl.querySelector('.scene-narrative')) {
-          this.viewer.renderNarrative(this.viewer.currentSpec);
-        }
-      }, 5000);
+    const place = (el, start, end = start) => {
+      el.style.left = `${(start / size) * 100}%`;
+      if (end > start) el.style.width = `${((end - start) / size) * 100}%`;
+      return el;
+    };
+    const cell = (className, region, text) => {
+      const el = document.createElement('div');
+      el.className = className;
+      el.textContent = text;
+      return place(el, region.start, region.end);
+    };
+    const row = (label, cells) => {
+      const el = document.createElement('div');
+      el.className = 'region-row';
+      el.innerHTML = '<span class="region-row-label"></span><div class="region-track"></div>';
+      el.querySelector('.region-row-label').textContent = label;
+      el.querySelector('.region-track').append(...cells);
+      return el;
+    };
+
+    const regionCells = result.regions.map(region => {
+      const el = cell(`region-cell region-${region.class}${region.duplicate ? ' region-duplicate' : ''}`, region, region.ops.join('/') || 'Pad');
+      el.title = `[${region.start}, ${region.end})${unit} ${classes[region.class].label}${region.duplicate ? ' (duplicate)' : ''}`;
+      return el;
+    });
+
+    const boundaries = [];
+    for (let offset = chunkSize; offset < size; offset += chunkSize) {
+      const el = document.createElement('div');
+      el.className = 'region-boundary';
+      el.title = `Chunk boundary @${offset}${unit}`;
+      boundaries.push(place(el, offset));
     }
-  }
 
-  clearAll() {
-    this.activeOverlays.clear();
-    this.updateUI();
-    this.emitChange();
+    const replicaRows = Object.keys(result.replicas).map(id => row(id, result.regions.map(region => {
+      const value = region.cells[id];
+      return cell(`region-cell region-byte${value === null ? ' region-empty' : ''}`, region,
+        value === null ? '∅' : value === 'pad' ? 'Pad' : value);
+    })));
+
+    element.replaceChildren(row('Region', [...regionCells, ...boundaries]), ...replicaRows);
   }
 
-  updateUI() {
-    // Update all chip states
-    document.querySelectorAll('.overlay-chip').forEach(chip => {
-      const overlayId = chip.dataset.overlayId;
-      const isActive = this.activeOverlays.has(overlayId);
+  renderLegend(element, result) {
+    element.replaceChildren(...Object.entries(ConsistencySimulation.classes).map(([cls, info]) => {
+      const item = document.createElement('span');
+      item.className = 'region-legend-item';
+      item.innerHTML = `<span class="region-swatch region-${cls}"></span>`;
+      item.append(` ${info.label}: ${result.summary[cls]}${result.config.unit}`);
+      return item;
+    }));
+  }
 
-      chip.classList.toggle('active', isActive);
-      chip.querySelector('.chip-indicator').textContent = isActive ? '✓' : '○';
-    });
+  update(result) {
+    const panel = this.getContainer()?.querySelector('.region-panel');
+    if (!panel) return;
 
-    // Update clear button
-    const clearBtn = document.querySelector('.clear-overlays');
-    if (clearBtn) {
-      clearBtn.disabled = this.activeOverlays.size === 0;
-    }
+    this.renderGenerator(panel.querySelector('.region-generator'));
+    this.renderOperations(panel.querySelector('.region-operations'), result);
+    this.renderStrip(panel.querySelector('.region-strip'), result);
+    this.renderLegend(panel.querySelector('.region-legend'), result);
   }
 
-  emitChange() {
-    const event = new CustomEvent('overlayToggle', {
-      detail: {
-        activeOverlays: Array.from(this.activeOverlays)
-      }
-    });
-    document.dispatchEvent(event);
+  setGeneratorOption(field, value) {
+    const generator = this.getScenario()?.generator;
+    if (!generator || Number.isNaN(value)) return;
+
+    generator[field] = value;
+    this.rerun();
   }
 
-  // Get current state for export
-  getState() {
-    return {
-      activeOverlays: Array.from(this.activeOverlays)
-    };
+  setFailure(opId, replicaId) {
+    const op = (this.getScenario()?.operations || []).find(o => o.id === opId);
+    if (!op) return;
+
+    const failures = [...(op.failures || [])];
+    failures[0] = replicaId ? [replicaId] : [];
+    op.failures = failures;
+    this.rerun();
   }
 
-  // Restore state from import
-  setState(state) {
-    if (state && state.activeOverlays) {
-      this.activeOverlays = new Set(state.activeOverlays);
-      this.updateUI();
-      this.emitChange();
-    }
+  // Replay with the edited parameters and redraw both the strip and the diagram
+  rerun() {
+    if (!this.params || !this.viewer.currentSpec) return;
+
+    const simulation = new ConsistencySimulation(this.params);
+    const spec = simulation.applyToSpec(this.viewer.currentSpec);
+    this.viewer.currentSpec = spec;
+    this.update(spec._simulation);
+    this.viewer.renderDiagram();
   }
 }
 
 // Export for module systems, or make global
 if (typeof module !== 'undefined' && module.exports) {
-  module.exports = OverlayManager;
+  module.exports = RegionStrip;
 } else {
-  window.OverlayManager = OverlayManager;
+  window.RegionStrip = RegionStrip;
 }
 
 // === src/ui/viewer.js ===
@@ -3334,16 +11465,27 @@ class GFSViewer {
   constructor() {
     this.validator = null;
     this.renderer = null;
+    this.svgRenderer = null;
     this.composer = null;
     this.drillSystem = null;
     this.stepper = null;
     this.overlayManager = null;
     this.exportManager = null;
     this.learningProgress = null;
+    this.leasePanel = null;
+    this.regionStrip = null;
+    this.recoveryPanel = null;
+    this.placementPanel = null;
+    this.heartbeatPanel = null;
+    this.parameterPanel = null;
+    this.failureInjector = null;
 
     this.currentSpec = null;
+    this.validationFindings = [];
     this.currentDiagramId = null;
     this.currentOverlays = new Set();
+    this.contractResults = [];
+    this.selectedContract = null;
     this.manifest = null;
   }
 
@@ -3358,8 +11500,12 @@ class GFSViewer {
 
       this.renderer = new MermaidRenderer();
       await this.renderer.initialize();
+      this.svgRenderer = new SvgRenderer();
+      await this.svgRenderer.initialize();
 
       this.composer = new SceneComposer();
+      this.migrator = new SpecMigrator();
+      this.contractChecker = new ContractChecker();
       this.learningProgress = new LearningProgress();
       this.drillSystem = new DrillSystem();
       // Connect drill system to unified learning progress
@@ -3367,6 +11513,13 @@ class GFSViewer {
       this.stepper = new StepThroughEngine(this.renderer, this.composer);
       this.overlayManager = new OverlayManager(this);
       this.exportManager = new ExportManager(this);
+      this.leasePanel = new LeasePanel(this);
+      this.regionStrip = new RegionStrip(this);
+      this.recoveryPanel = new RecoveryPanel(this);
+      this.placementPanel = new PlacementPanel(this);
+      this.heartbeatPanel = new HeartbeatPanel(this);
+      this.parameterPanel = new ParameterPanel(this);
+      this.failureInjector = new FailureInjector(this);
 
       // Load manifest
       await this.loadManifest();
@@ -3398,6 +11551,13 @@ class GFSViewer {
         throw new Error('Failed to load manifest');
       }
       this.manifest = await response.json();
+      this.validator.configureRules(this.manifest.rules);
+
+      // The manifest's major version is the spec schema version it was written for
+      const manifestVersion = Number.parseInt(this.manifest.version, 10);
+      if (manifestVersion > SpecMigrator.currentVersion) {
+        console.warn(`Manifest version ${this.manifest.version} is newer than this viewer (schema version ${SpecMigrator.currentVersion}); some diagrams may not load`);
+      }
       this.renderNavigation();
     } catch (error) {
       console.warn('Manifest not found, using defaults');
@@ -3415,7 +11575,9 @@ class GFSViewer {
           { id: '09-consistency', title: 'Consistency Reality' },
           { id: '10-recovery', title: 'Failure Recovery Matrix' },
           { id: '11-evolution', title: 'Single Master Evolution' },
-          { id: '12-dna', title: 'GFS DNA in Modern Systems' }
+          { id: '12-dna', title: 'GFS DNA in Modern Systems' },
+          { id: '13-snapshot', title: 'Copy-on-Write Snapshots' },
+          { id: '14-garbage-collection', title: 'Stale Replicas & Lazy Garbage Collection' }
         ]
       };
       this.renderNavigation();
@@ -3436,7 +11598,10 @@ class GFSViewer {
         throw new Error(`Failed to load diagram ${diagramId}`);
       }
 
-      const spec = await response.json();
+      // Upgrade older spec versions, expand generated spec types, regenerate
+      // simulated parts and compute metrics before validating
+      const { spec: migrated } = this.migrator.migrate(await response.json());
+      const spec = this.applyParameters(this.applySimulation(this.composer.expandSpec(migrated)));
 
       // Validate spec
       try {
@@ -3445,32 +11610,10 @@ class GFSViewer {
         console.warn('Validation warning:', validationError);
         // Continue anyway for development
       }
+      this.validationFindings = this.validator.findings;
 
-      // Store current state
-      this.currentSpec = spec;
-      this.currentDiagramId = diagramId;
-      this.currentOverlays.clear();
-
-      // Update UI components
       this.updateNavigation(diagramId);
-      this.updateTitle(spec.title);
-      this.renderCrystallizedInsight(spec);
-      this.renderNarrative(spec);
-      this.renderContracts(spec);
-
-      // Render the main diagram
-      await this.renderDiagram();
-
-      // Initialize learning components
-      this.renderFirstPrinciples(spec);
-      this.renderAdvancedConcepts(spec);
-      this.renderAssessment(spec);
-      this.drillSystem.renderDrills(spec);
-      this.overlayManager.renderOverlayChips(spec);
-      this.stepper.initialize(spec);
-
-      // Update step controls
-      this.renderStepControls();
+      await this.showSpec(spec, diagramId);
 
       // Update URL
       this.updateURL(diagramId);
@@ -3486,20 +11629,177 @@ class GFSViewer {
     }
   }
 
+  // Everything shown for a validated spec, whether loaded from the manifest
+  // or imported from a file; overlays are the ones to start with
+  async showSpec(spec, diagramId, overlays = []) {
+    // Store current state
+    this.currentSpec = spec;
+    this.currentDiagramId = diagramId;
+    this.currentOverlays = new Set(overlays);
+    this.overlayManager.activeOverlays = new Set(overlays);
+
+    // Update UI components
+    this.updateTitle(spec.title);
+    this.renderCrystallizedInsight(spec);
+    this.renderNarrative(spec);
+    this.renderContracts(spec);
+
+    // Start or tear down the live simulation panel
+    this.parameterPanel.attach(spec);
+    this.leasePanel.attach(spec);
+    this.regionStrip.attach(spec);
+    this.recoveryPanel.attach(spec);
+    this.placementPanel.attach(spec);
+    this.heartbeatPanel.attach(spec);
+    this.failureInjector.reset();
+
+    // Render the main diagram
+    await this.renderDiagram();
+
+    // Initialize learning components
+    this.renderFirstPrinciples(spec);
+    this.renderAdvancedConcepts(spec);
+    this.renderAssessment(spec);
+    this.drillSystem.renderDrills(spec);
+    this.overlayManager.renderOverlayChips(spec);
+    this.renderFailurePanel();
+    this.stepper.renderer = this.getRenderer(spec);
+    this.stepper.initialize(spec);
+
+    // Update step controls
+    this.renderStepControls();
+  }
+
+  getSimulationModel(model) {
+    const models = {
+      'write-path': WritePathSimulation,
+      'lease': LeaseStateMachine,
+      'consistency': ConsistencySimulation,
+      'recovery': MasterRecoverySimulation,
+      'placement': ClusterPlacementSimulation
+    };
+
+    return models[model] || null;
+  }
+
+  applySimulation(spec) {
+    if (!spec.simulation) return spec;
+
+    const Model = this.getSimulationModel(spec.simulation.model);
+    if (!Model) {
+      console.warn(`Unknown simulation model: ${spec.simulation.model}`);
+      return spec;
+    }
+
+    try {
+      return Model.fromSpec(spec).applyToSpec(spec);
+    } catch (error) {
+      console.error('Simulation failed, using authored spec:', error);
+      return spec;
+    }
+  }
+
+  // Compute expression metrics on edges from the spec's parameter defaults
+  applyParameters(spec) {
+    return new MetricsModel(spec).bind(spec);
+  }
+
+  // The backend a spec asks for with layout.renderer; Mermaid by default
+  getRenderer(spec) {
+    return spec?.layout?.renderer === 'svg' ? this.svgRenderer : this.renderer;
+  }
+
   async renderDiagram() {
     try {
-      const composed = this.composer.composeScene(
-        this.currentSpec,
-        Array.from(this.currentOverlays)
+      const composed = this.failureInjector.apply(
+        this.composer,
+        this.composer.composeScene(this.currentSpec, Array.from(this.currentOverlays))
+      );
+
+      this.failureInjector.updatePanel(
+        this.failureInjector.hasFailures() ? this.validator.findContractsAtRisk(composed) : null
       );
+      this.checkContracts(composed);
 
-      await this.renderer.render(composed);
+      await this.getRenderer(this.currentSpec).render(
+        this.heartbeatPanel.decorate(this.recoveryPanel.decorate(this.leasePanel.decorate(composed)))
+      );
+      this.markFindings();
+      this.markContract();
     } catch (error) {
       console.error('Failed to render diagram:', error);
       this.handleError(error);
     }
   }
 
+  // Outline the nodes and edges that validation errors and warnings point at
+  markFindings() {
+    const container = document.getElementById('diagram-container');
+    if (!container) return;
+
+    container.querySelectorAll('.validation-finding').forEach(el => {
+      el.classList.remove('validation-finding', 'validation-error', 'validation-warning');
+      el.removeAttribute('data-finding');
+    });
+
+    this.validationFindings.filter(f => f.severity !== 'info').forEach(finding => {
+      const element = this.validator.findElement(this.currentSpec, finding.pointer);
+      if (!element) return;
+
+      this.getRenderer(this.currentSpec).findElements(container, element.id).forEach(el => {
+        el.classList.add('validation-finding', `validation-${finding.severity}`);
+        el.setAttribute('data-finding', `${finding.rule}: ${finding.message}`);
+      });
+    });
+  }
+
+  // Colour each checked contract by whether it holds in the scene on screen
+  checkContracts(composed) {
+    this.contractResults = this.contractChecker.check(composed);
+    this.contractResults.forEach(result => {
+      const item = document.querySelector(`#contracts-panel li[data-contract="${result.section}:${result.index}"]`);
+      if (!item) return;
+      item.classList.toggle('contract-pass', result.status === 'pass');
+      item.classList.toggle('contract-fail', result.status === 'fail' || result.status === 'error');
+      if (result.message) {
+        item.title = result.message;
+      } else {
+        item.removeAttribute('title');
+      }
+    });
+  }
+
+  // Clicking a contract outlines the nodes and edges it refers to; clicking
+  // it again clears the outline
+  selectContract(key) {
+    this.selectedContract = this.selectedContract === key ? null : key;
+    document.querySelectorAll('#contracts-panel li[data-contract]').forEach(item => {
+      item.classList.toggle('contract-selected', item.dataset.contract === this.selectedContract);
+    });
+    this.markContract();
+  }
+
+  markContract() {
+    const container = document.getElementById('diagram-container');
+    if (!container) return;
+
+    container.querySelectorAll('.contract-element').forEach(el => el.classList.remove('contract-element'));
+
+    const result = this.contractResults.find(r => `${r.section}:${r.index}` === this.selectedContract);
+    if (!result) return;
+
+    [...result.nodeIds, ...result.edgeIds].forEach(id => {
+      this.getRenderer(this.currentSpec).findElements(container, id).forEach(el => el.classList.add('contract-element'));
+    });
+  }
+
+  renderFailurePanel() {
+    if (!this.currentSpec) return;
+
+    const composed = this.composer.composeScene(this.currentSpec, Array.from(this.currentOverlays));
+    this.failureInjector.renderPanel(composed);
+  }
+
   renderNavigation() {
     const nav = document.getElementById('diagram-nav');
     if (!nav) return;
@@ -3619,15 +11919,19 @@ class GFSViewer {
     const panel = document.getElementById('contracts-panel');
     if (!panel || !spec.contracts) return;
 
+    // Contracts with refs or a predicate can be clicked to show their elements
+    const items = (section, className = '') => spec.contracts[section].map((contract, index) => {
+      const linked = typeof contract === 'object' && (contract.refs || contract.check);
+      return `<li class="${[className, linked ? 'contract-linked' : ''].filter(Boolean).join(' ')}" data-contract="${section}:${index}">${ContractChecker.text(contract)}</li>`;
+    }).join('');
+
     panel.innerHTML = `
       <div class="contracts">
         ${spec.contracts.invariants?.length > 0 ? `
           <section class="invariants">
             <h4>🔒 System Invariants</h4>
             <ul>
-              ${spec.contracts.invariants.map(i =>
-                `<li>${i}</li>`
-              ).join('')}
+              ${items('invariants')}
             </ul>
           </section>
         ` : ''}
@@ -3636,9 +11940,7 @@ class GFSViewer {
           <section class="guarantees">
             <h4>✅ Guarantees</h4>
             <ul>
-              ${spec.contracts.guarantees.map(g =>
-                `<li class="guarantee">${g}</li>`
-              ).join('')}
+              ${items('guarantees', 'guarantee')}
             </ul>
           </section>
         ` : ''}
@@ -3647,21 +11949,31 @@ class GFSViewer {
           <section class="caveats">
             <h4>⚠️ Caveats</h4>
             <ul>
-              ${spec.contracts.caveats.map(c =>
-                `<li class="caveat">${c}</li>`
-              ).join('')}
+              ${items('caveats', 'caveat')}
             </ul>
           </section>
         ` : ''}
       </div>
     `;
+
+    panel.querySelectorAll('li.contract-linked').forEach(item => {
+      item.addEventListener('click', () => this.selectContract(item.dataset.contract));
+    });
+
+    this.selectedContract = null;
+    this.checkContracts(this.composer.composeScene(spec, Array.from(this.currentOverlays)));
   }
 
   renderFirstPrinciples(spec) {
     const container = document.getElementById('principles-container');
-    if (!container || !spec.firstPrinciples) return;
+    if (!container || (!spec.firstPrinciples && !spec.calculators)) return;
 
-    const fp = spec.firstPrinciples;
+    const fp = spec.firstPrinciples || {};
+    const calculators = WhatIfCalculator.fromSpec(spec);
+    const calculatorsFor = key => calculators
+      .filter(calculator => key === null ? !(calculator.definition.principle in fp) : calculator.definition.principle === key)
+      .map(calculator => calculator.render())
+      .join('');
 
     // Helper to render content without redundant labels
     const renderContent = (value) => {
@@ -3718,6 +12030,7 @@ class GFSViewer {
               </summary>
               <div class="accordion-content">
                 ${renderContent(value)}
+                ${calculatorsFor(key)}
               </div>
             </details>
           </div>
@@ -3725,7 +12038,24 @@ class GFSViewer {
       })
       .join('');
 
-    container.innerHTML = `<div class="principles-content">${content}</div>`;
+    // Calculators not tied to a principle get a section of their own
+    const unassigned = calculatorsFor(null);
+    const extra = unassigned ? `
+      <div class="accordion-section">
+        <details class="accordion-item principles-accordion">
+          <summary class="accordion-header">
+            <span class="accordion-icon">▶</span>
+            <span class="accordion-title">🧮 What-if Calculators</span>
+          </summary>
+          <div class="accordion-content">${unassigned}</div>
+        </details>
+      </div>
+    ` : '';
+
+    container.innerHTML = `<div class="principles-content">${content}${extra}</div>`;
+    calculators.forEach(calculator => {
+      calculator.mount(container.querySelector(`[data-calculator="${calculator.id}"]`));
+    });
   }
 
   renderAdvancedConcepts(spec) {
@@ -3985,6 +12315,13 @@ class GFSViewer {
     // Listen for overlay changes
     document.addEventListener('overlayToggle', (e) => {
       this.currentOverlays = new Set(e.detail.activeOverlays);
+      // Failure targets come from the composed scene, so refresh them first
+      this.renderFailurePanel();
+      this.renderDiagram();
+    });
+
+    // Listen for injected failures
+    document.addEventListener('failureInjection', () => {
       this.renderDiagram();
     });
 
@@ -0,0 +1,77 @@
+#!/usr/bin/env node
+
+// Upgrades spec files in place through the SpecMigrator chain, keeping
+// their layout. Usage: node scripts/migrate-specs.js [--dry-run] [file...]
+// (defaults to every spec in data/specs)
+
+const fs = require('fs');
+const path = require('path');
+const JsonSourceMap = require('../src/core/json-source');
+const SpecFixer = require('../src/core/spec-fixer');
+const SpecMigrator = require('../src/core/migrations');
+
+const rootDir = path.join(__dirname, '..');
+const currentVersion = SpecMigrator.currentVersion;
+
+// Main execution
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const specsDir = path.join(rootDir, 'data', 'specs');
+const targets = args.filter(arg => !arg.startsWith('--'));
+const files = targets.length > 0
+  ? targets.map(file => path.resolve(file))
+  : fs.readdirSync(specsDir).filter(f => f.endsWith('.json')).sort().map(f => path.join(specsDir, f));
+
+const fixer = new SpecFixer();
+const migrator = new SpecMigrator();
+let migratedCount = 0;
+let failed = false;
+
+console.log(`Migrating specs to schema version ${currentVersion}${dryRun ? ' (dry run, nothing written)' : ''}`);
+files.forEach(filePath => {
+  const relativePath = path.relative(rootDir, filePath);
+  const content = fs.readFileSync(filePath, 'utf8');
+
+  let spec;
+  try {
+    spec = JSON.parse(content);
+  } catch (e) {
+    console.log(`  ${relativePath}: error: JSON parse error: ${e.message}`);
+    failed = true;
+    return;
+  }
+
+  if (migrator.versionOf(spec) === currentVersion) return;
+
+  // Rewriting would silently drop the earlier of two repeated keys
+  const sourceMap = new JsonSourceMap(content);
+  if (sourceMap.duplicates.length > 0) {
+    console.log(`  ${relativePath}: error: repeated key ${sourceMap.duplicates.join(', ')}; fix it by hand first`);
+    failed = true;
+    return;
+  }
+
+  let result;
+  try {
+    result = migrator.migrate(spec);
+  } catch (e) {
+    console.log(`  ${relativePath}: error: ${e.message}`);
+    failed = true;
+    return;
+  }
+  const { spec: migrated, from, changes } = result;
+
+  console.log(`  ${relativePath}: version ${from} → ${currentVersion}`);
+  changes.forEach(({ pointer, message }) => {
+    const { line, column } = sourceMap.locate(pointer);
+    console.log(`    ${relativePath}:${line}:${column}: ${message}`);
+  });
+
+  if (!dryRun) {
+    fs.writeFileSync(filePath, fixer.stringify(migrated, sourceMap, content.endsWith('\n')));
+  }
+  migratedCount++;
+});
+
+console.log(`${dryRun ? 'Would migrate' : 'Migrated'} ${migratedCount} file(s)`);
+process.exit(failed ? 1 : 0);
\ No newline at end of file
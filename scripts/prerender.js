@@ -0,0 +1,154 @@
+#!/usr/bin/env node
+
+// Pre-renders what the viewer shows for each spec: the base diagram, every
+// scene, every single overlay and every StepThroughEngine step. SVGs go to
+// docs/rendered/<spec>/<state>.svg, and docs/rendered/manifest.json maps the
+// render cache key of each (a hash of the Mermaid code and config) to its
+// file, so the viewer can use an SVG whenever it would draw the same code.
+// Usage: node scripts/prerender.js [--list] [spec-id...]
+// --list prints the states and their keys without starting a browser
+
+const fs = require('fs');
+const path = require('path');
+const SceneComposer = require('../src/core/composer');
+const MermaidRenderer = require('../src/core/renderer');
+const SpecMigrator = require('../src/core/migrations');
+const MetricsModel = require('../src/core/metrics');
+const StepThroughEngine = require('../src/learning/stepper');
+
+const rootDir = path.join(__dirname, '..');
+const specsDir = path.join(rootDir, 'data', 'specs');
+const outputDir = path.join(rootDir, 'docs', 'rendered');
+const manifestPath = path.join(outputDir, 'manifest.json');
+
+// The models viewer.getSimulationModel knows
+const simulationModels = {
+  'write-path': () => require('../src/simulation/write-path'),
+  'lease': () => require('../src/simulation/lease'),
+  'consistency': () => require('../src/simulation/consistency'),
+  'recovery': () => require('../src/simulation/recovery'),
+  'placement': () => require('../src/simulation/placement')
+};
+
+// Models whose panels (LeasePanel, RecoveryPanel) decorate the diagram with
+// live state, so the viewer never draws their plain scenes; steps are drawn
+// undecorated and are still worth pre-rendering
+const liveModels = ['lease', 'recovery'];
+
+const composer = new SceneComposer();
+const renderer = new MermaidRenderer();
+const migrator = new SpecMigrator();
+
+// The spec as viewer.loadDiagram prepares it
+function loadSpec(file) {
+  const { spec: migrated } = migrator.migrate(JSON.parse(fs.readFileSync(path.join(specsDir, file), 'utf8')));
+  let spec = composer.expandSpec(migrated);
+  const model = simulationModels[spec.simulation?.model];
+  if (model) spec = model().fromSpec(spec).applyToSpec(spec);
+  return new MetricsModel(spec).bind(spec);
+}
+
+// File-name-safe form of an id
+function slug(text) {
+  return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+// Each distinct picture of a spec, as { state, key, code }. Specs drawn by
+// SvgRenderer (layout.renderer "svg") never look for Mermaid output
+function statesOf(spec) {
+  if (spec.layout?.renderer === 'svg') return [];
+
+  const states = liveModels.includes(spec._simulation?.model) ? [] : [
+    { state: 'base', spec: composer.composeScene(spec, []) },
+    ...(spec.scenes || []).map(scene => ({ state: `scene-${slug(scene.id)}`, spec: composer.composeScene(spec, scene.overlays || []) })),
+    ...(spec.overlays || []).map(overlay => ({ state: `overlay-${slug(overlay.id)}`, spec: composer.composeScene(spec, [overlay.id]) }))
+  ];
+
+  const stepper = new StepThroughEngine(renderer, composer);
+  stepper.buildSteps(composer.expandSpec(spec)).forEach((step, i) => states.push({ state: `step-${i}-${step.type}`, spec: step.spec }));
+
+  const seen = new Set();
+  return states.flatMap(({ state, spec: composed }) => {
+    const code = renderer.generateMermaidCode(composed);
+    const key = renderer.generateCacheKey(code);
+    if (seen.has(key)) return [];
+    seen.add(key);
+    return [{ state, key, code }];
+  });
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const listOnly = args.includes('--list');
+  const targets = args.filter(arg => !arg.startsWith('--'));
+  const files = fs.readdirSync(specsDir)
+    .filter(f => f.endsWith('.json'))
+    .filter(f => targets.length === 0 || targets.includes(path.basename(f, '.json')))
+    .sort();
+
+  const specs = files.map(file => {
+    const spec = loadSpec(file);
+    return { id: spec.id, states: statesOf(spec) };
+  });
+
+  if (listOnly) {
+    specs.forEach(({ id, states }) => {
+      console.log(`${id}: ${states.length} state(s)`);
+      states.forEach(({ state, key }) => console.log(`  ${key}  ${state}`));
+    });
+    return 0;
+  }
+
+  // Other specs keep their assets when only some are rendered
+  const previous = targets.length > 0 && fs.existsSync(manifestPath)
+    ? JSON.parse(fs.readFileSync(manifestPath, 'utf8')).assets
+    : {};
+  const assets = Object.fromEntries(Object.entries(previous).filter(([, asset]) => !specs.some(s => s.id === asset.spec)));
+  if (targets.length === 0) fs.rmSync(outputDir, { recursive: true, force: true });
+
+  const { renderMermaid } = await import('@mermaid-js/mermaid-cli');
+  const puppeteer = require('puppeteer');
+  // The hosted runners do not allow Chrome's sandbox, as in the browser tests
+  const browser = await puppeteer.launch({
+    headless: 'new',
+    args: ['--no-sandbox', '--disable-setuid-sandbox']
+  });
+  let failed = 0;
+
+  try {
+    for (const { id, states } of specs) {
+      const specDir = path.join(outputDir, id);
+      fs.rmSync(specDir, { recursive: true, force: true });
+      fs.mkdirSync(specDir, { recursive: true });
+
+      for (const { state, key, code } of states) {
+        try {
+          const { data } = await renderMermaid(browser, code, 'svg', {
+            mermaidConfig: renderer.config,
+            backgroundColor: 'transparent',
+            svgId: `rendered-${key}`
+          });
+          const file = `${id}/${state}.svg`;
+          fs.writeFileSync(path.join(outputDir, file), data);
+          assets[key] = { spec: id, state, file, bytes: data.length };
+        } catch (error) {
+          console.log(`  ${id} ${state}: error: ${error.message}`);
+          failed++;
+        }
+      }
+      console.log(`  ${id}: ${states.length} state(s)`);
+    }
+  } finally {
+    await browser.close();
+  }
+
+  const sorted = Object.fromEntries(Object.entries(assets).sort(([, a], [, b]) => a.file.localeCompare(b.file)));
+  fs.writeFileSync(manifestPath, JSON.stringify({ version: 1, assets: sorted }, null, 2) + '\n');
+  console.log(`Pre-rendered ${Object.keys(sorted).length} SVG(s) into ${path.relative(rootDir, outputDir)}${failed > 0 ? `, ${failed} failed` : ''}`);
+  return failed > 0 ? 1 : 0;
+}
+
+main().then(code => process.exit(code), error => {
+  console.error(error);
+  process.exit(1);
+});
\ No newline at end of file
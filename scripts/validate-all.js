@@ -2,36 +2,61 @@
 
 const fs = require('fs');
 const path = require('path');
-
-// Schema validation based on EvolvingTechSpec.md requirements
-const REQUIRED_TOP_LEVEL_FIELDS = ['id', 'title', 'nodes', 'edges', 'contracts'];
-const REQUIRED_NODE_FIELDS = ['id', 'type', 'label'];
-const REQUIRED_EDGE_FIELDS = ['id', 'from', 'to', 'kind'];
-const REQUIRED_CONTRACT_FIELDS = ['invariants', 'guarantees', 'caveats'];
-
-const VALID_NODE_TYPES = ['master', 'chunkserver', 'client', 'rack', 'switch', 'note', 'state'];
-const VALID_EDGE_KINDS = ['control', 'data', 'cache', 'heartbeat'];
-const VALID_DRILL_TYPES = ['recall', 'apply', 'analyze', 'create'];
-
+const SceneComposer = require('../src/core/composer');
+const WhatIfCalculator = require('../src/learning/calculator');
+const RuleRegistry = require('../src/core/rules');
+const JsonSourceMap = require('../src/core/json-source');
+const CourseGraph = require('../src/core/course');
+const SpecFixer = require('../src/core/spec-fixer');
+const SpecMigrator = require('../src/core/migrations');
+const { DiagramValidator } = require('../src/core/validator');
+const Ajv = require('ajv');
+
+// --fix rewrites spec files with mechanical repairs before validating them;
+// --dry-run shows what --fix would change without writing
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const fixMode = dryRun || args.includes('--fix');
+
+// Findings carry a JSON Pointer into their spec; with the spec's source
+// registered they print compiler-style as file:line:column
 class ValidationReport {
   constructor() {
     this.errors = [];
     this.warnings = [];
     this.info = [];
+    this.sources = new Map();
   }
 
-  addError(diagram, category, message) {
-    this.errors.push({ diagram, category, message });
+  setSource(diagram, file, sourceMap) {
+    this.sources.set(diagram, { file, sourceMap });
   }
 
-  addWarning(diagram, category, message) {
-    this.warnings.push({ diagram, category, message });
+  addError(diagram, category, message, pointer = null) {
+    this.errors.push({ diagram, category, message, pointer });
+  }
+
+  addWarning(diagram, category, message, pointer = null) {
+    this.warnings.push({ diagram, category, message, pointer });
   }
 
   addInfo(diagram, category, message) {
     this.info.push({ diagram, category, message });
   }
 
+  locate(entry) {
+    const source = this.sources.get(entry.diagram);
+    if (!source) return `[${entry.diagram}]`;
+    if (entry.pointer === null) return source.file;
+
+    const { line, column } = source.sourceMap.locate(entry.pointer);
+    return `${source.file}:${line}:${column}`;
+  }
+
+  format(entry, severity) {
+    return `${this.locate(entry)}: ${severity}: ${entry.message} [${entry.category}]`;
+  }
+
   hasErrors() {
     return this.errors.length > 0;
   }
@@ -42,14 +67,14 @@ class ValidationReport {
     if (this.errors.length > 0) {
       output += '\n❌ ERRORS:\n';
       this.errors.forEach(e => {
-        output += `  [${e.diagram}] ${e.category}: ${e.message}\n`;
+        output += `  ${this.format(e, 'error')}\n`;
       });
     }
 
     if (this.warnings.length > 0) {
       output += '\n⚠️  WARNINGS:\n';
       this.warnings.forEach(w => {
-        output += `  [${w.diagram}] ${w.category}: ${w.message}\n`;
+        output += `  ${this.format(w, 'warning')}\n`;
       });
     }
 
@@ -64,185 +89,45 @@ class ValidationReport {
   }
 }
 
+// data/schema.json, enforced by Ajv exactly as the browser validator does
 function validateSchema(spec, report) {
   const diagramId = spec.id || 'unknown';
 
-  // Check required top-level fields
-  REQUIRED_TOP_LEVEL_FIELDS.forEach(field => {
-    if (!spec[field]) {
-      report.addError(diagramId, 'Schema', `Missing required field: ${field}`);
-    }
-  });
-
-  // Validate ID format
-  if (spec.id && !/^[0-9]{2}-[a-z-]+$/.test(spec.id)) {
-    report.addWarning(diagramId, 'Schema', `ID format should be NN-name: ${spec.id}`);
-  }
-
-  // Validate nodes
-  if (spec.nodes && Array.isArray(spec.nodes)) {
-    spec.nodes.forEach((node, idx) => {
-      REQUIRED_NODE_FIELDS.forEach(field => {
-        if (!node[field]) {
-          report.addError(diagramId, 'Schema', `Node ${idx}: Missing required field ${field}`);
-        }
-      });
-
-      if (node.type && !VALID_NODE_TYPES.includes(node.type)) {
-        report.addWarning(diagramId, 'Schema', `Node ${node.id}: Invalid type ${node.type}`);
-      }
-    });
-  }
-
-  // Validate edges
-  if (spec.edges && Array.isArray(spec.edges)) {
-    spec.edges.forEach((edge, idx) => {
-      REQUIRED_EDGE_FIELDS.forEach(field => {
-        if (!edge[field]) {
-          report.addError(diagramId, 'Schema', `Edge ${idx}: Missing required field ${field}`);
-        }
-      });
-
-      if (edge.kind && !VALID_EDGE_KINDS.includes(edge.kind)) {
-        report.addWarning(diagramId, 'Schema', `Edge ${edge.id}: Invalid kind ${edge.kind}`);
-      }
-    });
+  // Older versions fail the schema everywhere; the migration fixes them at once
+  if (migrator.needsMigration(spec)) {
+    report.addError(diagramId, 'Schema', `Written for schema version ${migrator.versionOf(spec)}; run npm run migrate to upgrade it to version ${SpecMigrator.currentVersion}`, '');
+    return report;
   }
 
-  // Validate contracts
-  if (spec.contracts) {
-    REQUIRED_CONTRACT_FIELDS.forEach(field => {
-      if (!spec.contracts[field]) {
-        report.addError(diagramId, 'Schema', `Contracts missing required field: ${field}`);
-      } else if (!Array.isArray(spec.contracts[field])) {
-        report.addError(diagramId, 'Schema', `Contracts.${field} should be an array`);
-      }
-    });
-  }
-
-  // Validate drills
-  if (spec.drills && Array.isArray(spec.drills)) {
-    spec.drills.forEach((drill, idx) => {
-      if (!drill.id || !drill.type || !drill.prompt) {
-        report.addError(diagramId, 'Schema', `Drill ${idx}: Missing required fields (id, type, prompt)`);
-      }
-      if (drill.type && !VALID_DRILL_TYPES.includes(drill.type)) {
-        report.addWarning(diagramId, 'Schema', `Drill ${drill.id}: Invalid type ${drill.type}`);
-      }
-    });
-  }
+  schemaValidator.checkSchema(spec).forEach(({ message, pointer }) => {
+    report.addError(diagramId, 'Schema', message, pointer);
+  });
 
   return report;
 }
 
+// Semantic rules come from the registry the browser validator uses
 function validateSemanticRules(spec, report) {
   const diagramId = spec.id || 'unknown';
 
   if (!spec.nodes || !spec.edges) return report;
 
-  const nodeMap = new Map(spec.nodes.map(n => [n.id, n]));
-  const masterNodes = spec.nodes.filter(n => n.type === 'master').map(n => n.id);
+  rules.checkConfig(spec.rules).forEach(message => report.addError(diagramId, 'Rules', message, '/rules'));
 
-  // Rule 1: Master not on data path
-  const dataEdgesWithMaster = spec.edges.filter(e =>
-    e.kind === 'data' && (masterNodes.includes(e.from) || masterNodes.includes(e.to))
-  );
-
-  if (dataEdgesWithMaster.length > 0) {
-    dataEdgesWithMaster.forEach(e => {
-      report.addError(diagramId, 'Semantic', `Master on data path: edge ${e.id} (${e.from} → ${e.to})`);
-    });
-  } else if (masterNodes.length > 0) {
-    report.addInfo(diagramId, 'Semantic', 'Master correctly not on data path ✓');
-  }
-
-  // Rule 2: Edge references valid nodes
-  spec.edges.forEach(edge => {
-    if (!nodeMap.has(edge.from)) {
-      report.addError(diagramId, 'Semantic', `Edge ${edge.id}: 'from' references non-existent node ${edge.from}`);
-    }
-    if (!nodeMap.has(edge.to)) {
-      report.addError(diagramId, 'Semantic', `Edge ${edge.id}: 'to' references non-existent node ${edge.to}`);
+  const findings = rules.run(spec);
+  findings.forEach(({ rule, severity, message, pointer }) => {
+    if (severity === 'error') {
+      report.addError(diagramId, rule, message, pointer);
+    } else if (severity === 'warning') {
+      report.addWarning(diagramId, rule, message, pointer);
+    } else {
+      report.addInfo(diagramId, rule, message);
     }
   });
 
-  // Rule 3: Version monotonicity check (if metadata exists)
-  const nodesWithVersions = spec.nodes.filter(n => n.metadata && n.metadata.version);
-  if (nodesWithVersions.length > 0) {
-    nodesWithVersions.forEach(n => {
-      if (n.metadata.version < 0) {
-        report.addWarning(diagramId, 'Semantic', `Node ${n.id}: Negative version number`);
-      }
-    });
-  }
-
-  // Rule 4: Overlay reference validation
-  if (spec.overlays && spec.scenes) {
-    const overlayIds = new Set(spec.overlays.map(o => o.id));
-
-    spec.scenes.forEach(scene => {
-      if (scene.overlays && Array.isArray(scene.overlays)) {
-        scene.overlays.forEach(overlayId => {
-          if (!overlayIds.has(overlayId)) {
-            report.addError(diagramId, 'Semantic', `Scene ${scene.id} references non-existent overlay ${overlayId}`);
-          }
-        });
-      }
-    });
-  }
-
-  // Rule 5: Overlay diff validation
-  if (spec.overlays) {
-    const nodeIds = new Set(spec.nodes.map(n => n.id));
-    const edgeIds = new Set(spec.edges.map(e => e.id));
-
-    spec.overlays.forEach(overlay => {
-      if (overlay.diff) {
-        // Check removals reference existing elements
-        if (overlay.diff.remove) {
-          overlay.diff.remove.nodeIds?.forEach(id => {
-            if (!nodeIds.has(id)) {
-              report.addError(diagramId, 'Semantic', `Overlay ${overlay.id}: Removes non-existent node ${id}`);
-            }
-          });
-          overlay.diff.remove.edgeIds?.forEach(id => {
-            if (!edgeIds.has(id)) {
-              report.addError(diagramId, 'Semantic', `Overlay ${overlay.id}: Removes non-existent edge ${id}`);
-            }
-          });
-        }
-
-        // Check highlights reference existing elements
-        if (overlay.diff.highlight) {
-          overlay.diff.highlight.nodeIds?.forEach(id => {
-            if (!nodeIds.has(id)) {
-              report.addWarning(diagramId, 'Semantic', `Overlay ${overlay.id}: Highlights non-existent node ${id}`);
-            }
-          });
-          overlay.diff.highlight.edgeIds?.forEach(id => {
-            if (!edgeIds.has(id)) {
-              report.addWarning(diagramId, 'Semantic', `Overlay ${overlay.id}: Highlights non-existent edge ${id}`);
-            }
-          });
-        }
-
-        // Check modifications reference existing elements
-        if (overlay.diff.modify) {
-          overlay.diff.modify.edges?.forEach(mod => {
-            if (!edgeIds.has(mod.id)) {
-              report.addWarning(diagramId, 'Semantic', `Overlay ${overlay.id}: Modifies non-existent edge ${mod.id}`);
-            }
-          });
-          overlay.diff.modify.nodes?.forEach(mod => {
-            if (!nodeIds.has(mod.id)) {
-              report.addWarning(diagramId, 'Semantic', `Overlay ${overlay.id}: Modifies non-existent node ${mod.id}`);
-            }
-          });
-        }
-      }
-    });
-  }
-
+  const off = Array.from(rules.rules.keys()).filter(id => rules.getSeverity(id, spec) === null);
+  report.addInfo(diagramId, 'Rules',
+    `${rules.rules.size - off.length} semantic rule(s) checked${off.length > 0 ? `, off: ${off.join(', ')}` : ''}`);
   return report;
 }
 
@@ -251,7 +136,7 @@ function validateLearningElements(spec, report) {
 
   // Check for narrative
   if (!spec.narrative) {
-    report.addWarning(diagramId, 'Learning', 'Missing narrative field');
+    report.addWarning(diagramId, 'Learning', 'Missing narrative field', '');
   } else {
     report.addInfo(diagramId, 'Learning', `Narrative present (${spec.narrative.length} chars)`);
   }
@@ -264,9 +149,9 @@ function validateLearningElements(spec, report) {
       caveats: spec.contracts.caveats?.length || 0
     };
 
-    if (counts.invariants === 0) report.addWarning(diagramId, 'Learning', 'No invariants defined');
-    if (counts.guarantees === 0) report.addWarning(diagramId, 'Learning', 'No guarantees defined');
-    if (counts.caveats === 0) report.addWarning(diagramId, 'Learning', 'No caveats defined');
+    if (counts.invariants === 0) report.addWarning(diagramId, 'Learning', 'No invariants defined', '/contracts/invariants');
+    if (counts.guarantees === 0) report.addWarning(diagramId, 'Learning', 'No guarantees defined', '/contracts/guarantees');
+    if (counts.caveats === 0) report.addWarning(diagramId, 'Learning', 'No caveats defined', '/contracts/caveats');
 
     report.addInfo(diagramId, 'Learning',
       `Contracts: ${counts.invariants} invariants, ${counts.guarantees} guarantees, ${counts.caveats} caveats`);
@@ -274,7 +159,7 @@ function validateLearningElements(spec, report) {
 
   // Check for drills
   if (!spec.drills || spec.drills.length === 0) {
-    report.addWarning(diagramId, 'Learning', 'No drills defined');
+    report.addWarning(diagramId, 'Learning', 'No drills defined', '/drills');
   } else {
     const drillsByType = spec.drills.reduce((acc, d) => {
       acc[d.type] = (acc[d.type] || 0) + 1;
@@ -287,7 +172,7 @@ function validateLearningElements(spec, report) {
     // Check for drill diversity
     const uniqueTypes = Object.keys(drillsByType).length;
     if (uniqueTypes < 2) {
-      report.addWarning(diagramId, 'Learning', 'Limited drill type diversity (consider adding varied types)');
+      report.addWarning(diagramId, 'Learning', 'Limited drill type diversity (consider adding varied types)', '/drills');
     }
   }
 
@@ -295,9 +180,9 @@ function validateLearningElements(spec, report) {
   if (spec.scenes && spec.scenes.length > 0) {
     report.addInfo(diagramId, 'Learning', `${spec.scenes.length} scene(s) defined`);
 
-    spec.scenes.forEach(scene => {
+    spec.scenes.forEach((scene, idx) => {
       if (!scene.narrative) {
-        report.addWarning(diagramId, 'Learning', `Scene ${scene.id}: Missing narrative`);
+        report.addWarning(diagramId, 'Learning', `Scene ${scene.id}: Missing narrative`, `/scenes/${idx}`);
       }
     });
   }
@@ -306,9 +191,9 @@ function validateLearningElements(spec, report) {
   if (spec.overlays && spec.overlays.length > 0) {
     report.addInfo(diagramId, 'Learning', `${spec.overlays.length} overlay(s) defined`);
 
-    spec.overlays.forEach(overlay => {
+    spec.overlays.forEach((overlay, idx) => {
       if (!overlay.caption && !overlay.title) {
-        report.addWarning(diagramId, 'Learning', `Overlay ${overlay.id}: Missing caption/title`);
+        report.addWarning(diagramId, 'Learning', `Overlay ${overlay.id}: Missing caption/title`, `/overlays/${idx}`);
       }
     });
   }
@@ -316,6 +201,42 @@ function validateLearningElements(spec, report) {
   return report;
 }
 
+function validateCalculators(spec, report) {
+  if (!spec.calculators) return report;
+
+  const diagramId = spec.id || 'unknown';
+
+  if (!Array.isArray(spec.calculators)) {
+    report.addError(diagramId, 'Calculator', 'calculators must be an array', '/calculators');
+    return report;
+  }
+
+  const ids = new Set();
+  WhatIfCalculator.fromSpec(spec).forEach((calculator, idx) => {
+    const pointer = `/calculators/${idx}`;
+    if (ids.has(calculator.id)) {
+      report.addError(diagramId, 'Calculator', `Duplicate calculator id: ${calculator.id}`, `${pointer}/id`);
+    }
+    ids.add(calculator.id);
+
+    const principle = calculator.definition.principle;
+    if (principle && !(principle in (spec.firstPrinciples || {}))) {
+      report.addWarning(diagramId, 'Calculator', `${calculator.id}: principle ${principle} not found in firstPrinciples`, `${pointer}/principle`);
+    }
+
+    calculator.check().forEach(problem => {
+      if (problem.level === 'error') {
+        report.addError(diagramId, 'Calculator', problem.message, pointer);
+      } else {
+        report.addWarning(diagramId, 'Calculator', problem.message, pointer);
+      }
+    });
+  });
+
+  report.addInfo(diagramId, 'Calculator', `${spec.calculators.length} calculator(s) evaluated`);
+  return report;
+}
+
 function validateDiagram06Compliance(spec, report) {
   if (spec.id !== '06-read-path') return report;
 
@@ -327,7 +248,7 @@ function validateDiagram06Compliance(spec, report) {
 
   requiredScenes.forEach(sceneId => {
     if (!actualScenes.includes(sceneId)) {
-      report.addError(diagramId, 'Spec Compliance', `Missing required scene: ${sceneId}`);
+      report.addError(diagramId, 'Spec Compliance', `Missing required scene: ${sceneId}`, '/scenes');
     } else {
       report.addInfo(diagramId, 'Spec Compliance', `Scene ${sceneId} present ✓`);
     }
@@ -339,7 +260,7 @@ function validateDiagram06Compliance(spec, report) {
 
   requiredOverlays.forEach(overlayId => {
     if (!actualOverlays.includes(overlayId)) {
-      report.addError(diagramId, 'Spec Compliance', `Missing required overlay: ${overlayId}`);
+      report.addError(diagramId, 'Spec Compliance', `Missing required overlay: ${overlayId}`, '/overlays');
     } else {
       report.addInfo(diagramId, 'Spec Compliance', `Overlay ${overlayId} present ✓`);
     }
@@ -348,7 +269,7 @@ function validateDiagram06Compliance(spec, report) {
   // Check for latency metrics
   const edgesWithLatency = spec.edges.filter(e => e.metrics && e.metrics.latency);
   if (edgesWithLatency.length === 0) {
-    report.addWarning(diagramId, 'Spec Compliance', 'No edges have latency metrics');
+    report.addWarning(diagramId, 'Spec Compliance', 'No edges have latency metrics', '/edges');
   } else {
     report.addInfo(diagramId, 'Spec Compliance', `${edgesWithLatency.length} edges with latency metrics ✓`);
   }
@@ -359,12 +280,127 @@ function validateDiagram06Compliance(spec, report) {
   );
 
   if (!cacheRelatedOverlays || cacheRelatedOverlays.length < 2) {
-    report.addWarning(diagramId, 'Spec Compliance', 'Insufficient cache lifecycle overlays');
+    report.addWarning(diagramId, 'Spec Compliance', 'Insufficient cache lifecycle overlays', '/overlays');
   }
 
   return report;
 }
 
+// Course graph findings go to the manifest or to the spec they point into
+function reportCourseFindings(findings, report) {
+  findings.forEach(({ severity, diagram, message, pointer }) => {
+    if (severity === 'error') {
+      report.addError(diagram, 'Course', message, pointer);
+    } else {
+      report.addWarning(diagram, 'Course', message, pointer);
+    }
+  });
+  return report;
+}
+
+// Line diff of two texts as unified hunks with two lines of context
+function diffLines(before, after, context = 2) {
+  const a = before.split('\n');
+  const b = after.split('\n');
+
+  // Longest common subsequence of the lines between the shared prefix and suffix
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+  const lcs = Array.from({ length: endA - start + 1 }, () => new Uint32Array(endB - start + 1));
+  for (let i = endA - start - 1; i >= 0; i--) {
+    for (let j = endB - start - 1; j >= 0; j--) {
+      lcs[i][j] = a[start + i] === b[start + j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const ops = a.slice(0, start).map(line => [' ', line]);
+  let i = 0;
+  let j = 0;
+  while (start + i < endA || start + j < endB) {
+    if (start + i < endA && start + j < endB && a[start + i] === b[start + j]) {
+      ops.push([' ', a[start + i]]);
+      i++;
+      j++;
+    } else if (start + j < endB && (start + i >= endA || lcs[i][j + 1] >= lcs[i + 1][j])) {
+      ops.push(['+', b[start + j++]]);
+    } else {
+      ops.push(['-', a[start + i++]]);
+    }
+  }
+  ops.push(...a.slice(endA).map(line => [' ', line]));
+
+  // Group changes whose context overlaps into hunks
+  const lines = [];
+  let lineA = 1;
+  let lineB = 1;
+  let hunk = null;
+  ops.forEach(([op, line], index) => {
+    const near = ops.slice(Math.max(0, index - context), index + context + 1).some(([o]) => o !== ' ');
+    if (near) {
+      if (!hunk) {
+        hunk = { startA: lineA, startB: lineB, countA: 0, countB: 0, lines: [] };
+        lines.push(hunk);
+      }
+      hunk.lines.push(`${op}${line}`);
+      if (op !== '+') hunk.countA++;
+      if (op !== '-') hunk.countB++;
+    } else {
+      hunk = null;
+    }
+    if (op !== '+') lineA++;
+    if (op !== '-') lineB++;
+  });
+
+  return lines.flatMap(h => [`@@ -${h.startA},${h.countA} +${h.startB},${h.countB} @@`, ...h.lines]).join('\n');
+}
+
+// Apply the fixer to every spec file, printing the changes and a diff
+function fixSpecFiles(files) {
+  const fixer = new SpecFixer();
+  let fixed = 0;
+
+  console.log(`\n🔧 ${dryRun ? 'FIX PREVIEW (dry run, nothing written)' : 'FIXING SPEC FILES'}:`);
+  files.forEach(file => {
+    const filePath = path.join(specsDir, file);
+    const relativePath = path.relative(rootDir, filePath);
+    const content = fs.readFileSync(filePath, 'utf8');
+
+    let source;
+    try {
+      source = JSON.parse(content);
+    } catch (e) {
+      return;
+    }
+
+    // Rewriting would silently drop the earlier of two repeated keys
+    const sourceMap = new JsonSourceMap(content);
+    if (sourceMap.duplicates.length > 0) {
+      console.log(`  ${relativePath}: skipped, repeated key ${sourceMap.duplicates.join(', ')}`);
+      return;
+    }
+
+    const { spec, changes } = fixer.fix(source);
+    if (changes.length === 0) return;
+
+    changes.forEach(({ pointer, message }) => {
+      const { line, column } = sourceMap.locate(pointer);
+      console.log(`  ${relativePath}:${line}:${column}: fix: ${message}`);
+    });
+    const text = fixer.stringify(spec, sourceMap, content.endsWith('\n'));
+    console.log(`--- ${relativePath}\n+++ ${relativePath}\n${diffLines(content, text)}`);
+
+    if (!dryRun) fs.writeFileSync(filePath, text);
+    fixed++;
+  });
+  console.log(`\n${dryRun ? 'Would fix' : 'Fixed'} ${fixed} file(s)`);
+}
+
 // Main execution
 console.log('='.repeat(80));
 console.log('GFS DIAGRAM SPECIFICATION VALIDATOR');
@@ -374,43 +410,78 @@ const specsDir = path.join(__dirname, '..', 'data', 'specs');
 const files = fs.readdirSync(specsDir).filter(f => f.endsWith('.json')).sort();
 
 const report = new ValidationReport();
-const summaryByDiagram = new Map();
+const composer = new SceneComposer();
+const migrator = new SpecMigrator();
+const schemaValidator = new DiagramValidator().useSchema(Ajv, JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'data', 'schema.json'), 'utf8')));
+
+// Course-wide rule settings from the manifest
+const rootDir = path.join(__dirname, '..');
+const manifestPath = path.join(rootDir, 'data', 'manifest.json');
+const manifestText = fs.readFileSync(manifestPath, 'utf8');
+const manifest = JSON.parse(manifestText);
+report.setSource('manifest', path.relative(rootDir, manifestPath), new JsonSourceMap(manifestText));
+const rules = new RuleRegistry().configure(manifest.rules);
+rules.checkConfig(manifest.rules).forEach(message => report.addError('manifest', 'Rules', message, '/rules'));
+
+// Prerequisite graph of the course
+const course = new CourseGraph(manifest);
+reportCourseFindings(course.checkGraph(), report);
+const specFiles = [];
+
+if (fixMode) fixSpecFiles(files);
 
 files.forEach(file => {
   const filePath = path.join(specsDir, file);
   const content = fs.readFileSync(filePath, 'utf8');
 
+  const relativePath = path.relative(rootDir, filePath);
+
   let spec;
   try {
     spec = JSON.parse(content);
   } catch (e) {
+    report.setSource(file, relativePath, null);
     report.addError(file, 'Parse', `JSON parse error: ${e.message}`);
+    specFiles.push({ file, id: null });
     return;
   }
+  const sourceMap = new JsonSourceMap(content);
+  report.setSource(spec.id || file, relativePath, sourceMap);
+  specFiles.push({ file, id: spec.id || null });
+  sourceMap.duplicates.forEach(pointer => {
+    report.addWarning(spec.id || file, 'Parse', `Repeated key ${pointer}; JSON.parse keeps the last`, pointer);
+  });
 
-  const diagramId = spec.id || file;
+  // Generated spec types are validated as the viewer sees them
+  try {
+    spec = composer.expandSpec(spec);
+  } catch (e) {
+    report.addError(spec.id || file, 'Generated', `Failed to expand ${spec.type} spec: ${e.message}`);
+    return;
+  }
 
   // Run all validations
   validateSchema(spec, report);
   validateSemanticRules(spec, report);
   validateLearningElements(spec, report);
+  validateCalculators(spec, report);
   validateDiagram06Compliance(spec, report);
-
-  // Track summary
-  const diagramErrors = report.errors.filter(e => e.diagram === diagramId).length;
-  const diagramWarnings = report.warnings.filter(w => w.diagram === diagramId).length;
-  summaryByDiagram.set(diagramId, { errors: diagramErrors, warnings: diagramWarnings });
+  reportCourseFindings(course.checkReferences(spec), report);
 });
 
+// Every listed diagram has a spec file and every spec file is listed
+reportCourseFindings(course.checkFiles(specFiles), report);
+
 // Print summary
 console.log('\n📊 VALIDATION SUMMARY BY DIAGRAM:');
 console.log('-'.repeat(80));
 
-files.forEach(file => {
-  const filePath = path.join(specsDir, file);
-  const spec = JSON.parse(fs.readFileSync(filePath, 'utf8'));
-  const diagramId = spec.id || file;
-  const stats = summaryByDiagram.get(diagramId) || { errors: 0, warnings: 0 };
+specFiles.forEach(({ file, id }) => {
+  const diagramId = id || file;
+  const stats = {
+    errors: report.errors.filter(e => e.diagram === diagramId).length,
+    warnings: report.warnings.filter(w => w.diagram === diagramId).length
+  };
 
   const status = stats.errors > 0 ? '❌' : (stats.warnings > 0 ? '⚠️ ' : '✅');
   console.log(`${status} ${diagramId.padEnd(20)} Errors: ${stats.errors}, Warnings: ${stats.warnings}`);
@@ -3,7 +3,25 @@ class SceneComposer {
     this.debug = false;
   }
 
+  // Spec types whose base diagram, overlays and scenes come from a model
+  static get specTypes() {
+    return {
+      snapshot: () => (typeof SnapshotModel !== 'undefined' ? SnapshotModel : require('../simulation/snapshot')),
+      'garbage-collection': () => (typeof GarbageCollectionModel !== 'undefined' ? GarbageCollectionModel : require('../simulation/garbage-collection'))
+    };
+  }
+
+  // Expand a generated spec type into a plain spec; other specs pass through
+  expandSpec(spec) {
+    const resolve = SceneComposer.specTypes[spec?.type];
+    if (!resolve || spec._generated) return spec;
+
+    return resolve().fromSpec(spec).expand(spec, this);
+  }
+
   composeScene(spec, overlayIds = []) {
+    spec = this.expandSpec(spec);
+
     // Deep clone the spec to avoid mutations
     const composed = this.deepClone(spec);
     const nodeMap = new Map(composed.nodes.map(n => [n.id, n]));
@@ -0,0 +1,198 @@
+// Contracts that point into the diagram. Besides a plain sentence, a
+// contract may be { text, refs, check }: refs names the nodeIds and edgeIds
+// it is about, and check is a predicate over the composed scene.
+//
+//   { "none": "edges", "where": { "kind": "data", "touches": { "type": "master" } } }
+//   { "all": "nodes", "where": { "type": "chunkserver" }, "satisfy": { "outgoing": { "kind": "heartbeat" } } }
+//   { "count": "nodes", "where": { "type": "chunkserver", "failure": null }, "min": 3, "groupBy": "metadata.chunk" }
+//   { "allOf": [ ...predicates ] }
+//
+// A filter maps properties (dotted paths reach into metadata) to a value, a
+// list of allowed values, null for "not set", or { min, max, matches }.
+// Edges also take node filters under from, to and touches (either end);
+// nodes take edge filters under outgoing and incoming (at least one such
+// edge); `not` negates a filter.
+class ContractChecker {
+  static get sections() {
+    return ['invariants', 'guarantees', 'caveats'];
+  }
+
+  static get collections() {
+    return ['nodes', 'edges'];
+  }
+
+  static text(contract) {
+    return typeof contract === 'string' ? contract : contract?.text || '';
+  }
+
+  getComposer() {
+    const Composer = typeof SceneComposer !== 'undefined' ? SceneComposer : require('./composer');
+    return new Composer();
+  }
+
+  // Every contract of a spec with where it sits
+  entries(spec) {
+    return ContractChecker.sections.flatMap(section =>
+      (spec.contracts?.[section] || []).map((contract, index) => ({
+        section,
+        index,
+        pointer: `/contracts/${section}/${index}`,
+        text: ContractChecker.text(contract),
+        refs: contract?.refs || {},
+        check: contract?.check || null
+      })));
+  }
+
+  // Value at a dotted path such as "metadata.version"
+  lookup(element, path) {
+    return String(path).split('.').reduce((value, key) => value?.[key], element);
+  }
+
+  compare(value, expected) {
+    if (expected === null) return value === undefined || value === null;
+    if (Array.isArray(expected)) return expected.includes(value);
+    if (typeof expected !== 'object') return value === expected;
+
+    return Object.entries(expected).every(([operator, operand]) => {
+      if (operator === 'min') return typeof value === 'number' && value >= operand;
+      if (operator === 'max') return typeof value === 'number' && value <= operand;
+      if (operator === 'matches') return new RegExp(operand, 'i').test(String(value ?? ''));
+      throw new Error(`Unknown comparison ${operator}`);
+    });
+  }
+
+  matches(element, filter = {}, collection, graph) {
+    return Object.entries(filter).every(([key, expected]) => {
+      if (key === 'not') return !this.matches(element, expected, collection, graph);
+
+      if (collection === 'edges' && key === 'touches') {
+        return [element.from, element.to].some(id => graph.nodes.has(id) && this.matches(graph.nodes.get(id), expected, 'nodes', graph));
+      }
+      if (collection === 'edges' && (key === 'from' || key === 'to') && expected && typeof expected === 'object' && !Array.isArray(expected)) {
+        const node = graph.nodes.get(element[key]);
+        return Boolean(node) && this.matches(node, expected, 'nodes', graph);
+      }
+      if (collection === 'nodes' && (key === 'outgoing' || key === 'incoming')) {
+        const end = key === 'outgoing' ? 'from' : 'to';
+        return Array.from(graph.edges.values()).some(edge => edge[end] === element.id && this.matches(edge, expected, 'edges', graph));
+      }
+
+      return this.compare(this.lookup(element, key), expected);
+    });
+  }
+
+  select(graph, collection, where) {
+    if (!ContractChecker.collections.includes(collection)) {
+      throw new Error(`Predicates select nodes or edges, not ${collection}`);
+    }
+    return Array.from(graph[collection].values()).filter(element => this.matches(element, where, collection, graph));
+  }
+
+  // { pass, message, nodeIds, edgeIds }: the elements are the offenders when
+  // the predicate fails and the ones it looked at when it holds
+  evaluate(predicate, graph) {
+    const result = (pass, message, collection, elements) => ({
+      pass,
+      message,
+      nodeIds: collection === 'nodes' ? elements.map(e => e.id) : [],
+      edgeIds: collection === 'edges' ? elements.map(e => e.id) : []
+    });
+    const names = elements => elements.map(e => e.id).join(', ');
+
+    if (predicate?.allOf) {
+      const results = predicate.allOf.map(part => this.evaluate(part, graph));
+      const failing = results.filter(r => !r.pass);
+      const shown = failing.length > 0 ? failing : results;
+      return {
+        pass: failing.length === 0,
+        message: shown.map(r => r.message).join('; '),
+        nodeIds: [...new Set(shown.flatMap(r => r.nodeIds))],
+        edgeIds: [...new Set(shown.flatMap(r => r.edgeIds))]
+      };
+    }
+
+    if (predicate?.none) {
+      const found = this.select(graph, predicate.none, predicate.where);
+      return found.length === 0
+        ? result(true, `No matching ${predicate.none}`, predicate.none, [])
+        : result(false, `${found.length} matching ${predicate.none}: ${names(found)}`, predicate.none, found);
+    }
+
+    if (predicate?.all) {
+      const found = this.select(graph, predicate.all, predicate.where);
+      const offenders = found.filter(element => !this.matches(element, predicate.satisfy, predicate.all, graph));
+      return offenders.length === 0
+        ? result(true, `All ${found.length} matching ${predicate.all} comply`, predicate.all, found)
+        : result(false, `${offenders.length} of ${found.length} ${predicate.all} do not comply: ${names(offenders)}`, predicate.all, offenders);
+    }
+
+    if (predicate?.count) {
+      const found = this.select(graph, predicate.count, predicate.where);
+      const groups = new Map();
+      found.forEach(element => {
+        const key = predicate.groupBy ? this.lookup(element, predicate.groupBy) : '';
+        groups.set(key, [...(groups.get(key) || []), element]);
+      });
+      if (groups.size === 0) groups.set('', []);
+
+      const bounds = [
+        predicate.min !== undefined ? `at least ${predicate.min}` : null,
+        predicate.max !== undefined ? `at most ${predicate.max}` : null
+      ].filter(Boolean).join(' and ');
+      const short = Array.from(groups).filter(([, members]) =>
+        (predicate.min !== undefined && members.length < predicate.min) ||
+        (predicate.max !== undefined && members.length > predicate.max));
+      const label = ([key, members]) => `${predicate.groupBy ? `${key}: ` : ''}${members.length}`;
+
+      return short.length === 0
+        ? result(true, `${Array.from(groups).map(label).join(', ')} matching ${predicate.count}, ${bounds}`, predicate.count, found)
+        : result(false, `${short.map(label).join(', ')} matching ${predicate.count}; needs ${bounds}`, predicate.count, short.flatMap(([, members]) => members));
+    }
+
+    throw new Error(`Unknown contract predicate ${JSON.stringify(predicate)}`);
+  }
+
+  // Status of every contract in a (composed) spec: 'pass', 'fail', 'error'
+  // for predicates that cannot be evaluated, or 'unchecked' without one
+  check(spec) {
+    const graph = {
+      nodes: new Map((spec.nodes || []).map(n => [n.id, n])),
+      edges: new Map((spec.edges || []).map(e => [e.id, e]))
+    };
+
+    return this.entries(spec).map(entry => {
+      const refs = { nodeIds: entry.refs.nodeIds || [], edgeIds: entry.refs.edgeIds || [] };
+      if (!entry.check) return { ...entry, status: 'unchecked', message: '', ...refs };
+
+      try {
+        const { pass, message, nodeIds, edgeIds } = this.evaluate(entry.check, graph);
+        return {
+          ...entry,
+          status: pass ? 'pass' : 'fail',
+          message,
+          nodeIds: [...new Set([...refs.nodeIds, ...nodeIds])],
+          edgeIds: [...new Set([...refs.edgeIds, ...edgeIds])]
+        };
+      } catch (e) {
+        return { ...entry, status: 'error', message: e.message, ...refs };
+      }
+    });
+  }
+
+  // The base diagram and each scene composed, with the contract statuses in
+  // each; scene is null for the base diagram
+  checkScenes(spec) {
+    const composer = this.getComposer();
+    return [null, ...(spec.scenes || [])].map(scene => ({
+      scene,
+      results: this.check(composer.composeScene(spec, scene?.overlays || []))
+    }));
+  }
+}
+
+// Export for module systems, or make global
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ContractChecker;
+} else {
+  window.ContractChecker = ContractChecker;
+}
\ No newline at end of file
@@ -0,0 +1,212 @@
+// The course as a graph: manifest diagrams are vertices and their
+// `prerequisites` are edges. Checks that the graph is acyclic, that every
+// prerequisite and learning path names a listed diagram, that "(Spec 06)"
+// references in a spec's prerequisite concepts point at diagrams the spec
+// builds on, and that the manifest and data/specs list the same diagrams.
+// Findings are { severity, diagram, message, pointer }, where diagram is
+// 'manifest' or the spec id the pointer refers into.
+class CourseGraph {
+  constructor(manifest = {}) {
+    this.diagrams = manifest.diagrams || [];
+    this.learningPaths = manifest.learningPaths || [];
+    this.index = new Map();
+    this.diagrams.forEach((diagram, i) => {
+      if (!this.index.has(diagram.id)) this.index.set(diagram.id, i);
+    });
+  }
+
+  // Spec numbers a text refers to: "(Spec 00, 02)" gives 00 and 02 and
+  // "(Specs 00-11)" the whole range; unreadable parts are returned as written
+  static references(text) {
+    const references = [];
+    for (const [, list] of String(text).matchAll(/\(Specs?\s+([^)]*)\)/g)) {
+      list.split(',').map(part => part.trim()).filter(Boolean).forEach(part => {
+        const range = part.match(/^(\d+)\s*[-–]\s*(\d+)$/);
+        if (!range) {
+          references.push(part);
+          return;
+        }
+        for (let n = Number(range[1]); n <= Number(range[2]); n++) {
+          references.push(String(n).padStart(range[1].length, '0'));
+        }
+      });
+    }
+    return references;
+  }
+
+  has(id) {
+    return this.index.has(id);
+  }
+
+  // Manifest id of a spec number ("6" or "06" → "06-read-path"), or null
+  resolve(number) {
+    if (!/^\d+$/.test(number)) return null;
+    const diagram = this.diagrams.find(d => /^\d+-/.test(d.id) && Number(d.id.split('-')[0]) === Number(number));
+    return diagram ? diagram.id : null;
+  }
+
+  // Listed prerequisites of a diagram
+  prerequisites(id) {
+    return (this.diagrams[this.index.get(id)]?.prerequisites || []).filter(p => this.has(p));
+  }
+
+  // Everything a diagram builds on, directly or through its prerequisites
+  ancestors(id) {
+    const found = new Set();
+    const visit = current => this.prerequisites(current).forEach(p => {
+      if (!found.has(p)) {
+        found.add(p);
+        visit(p);
+      }
+    });
+    visit(id);
+    found.delete(id);
+    return found;
+  }
+
+  // Each prerequisite cycle once, as the ids around it ending where it starts
+  findCycles() {
+    const cycles = [];
+    const seen = new Set();
+    const state = new Map();
+    const stack = [];
+
+    const visit = id => {
+      state.set(id, 'visiting');
+      stack.push(id);
+      this.prerequisites(id).forEach(p => {
+        if (state.get(p) === 'visiting') {
+          const cycle = [...stack.slice(stack.indexOf(p)), p];
+          const key = [...cycle.slice(1)].sort().join(' ');
+          if (!seen.has(key)) {
+            seen.add(key);
+            cycles.push(cycle);
+          }
+        } else if (!state.has(p)) {
+          visit(p);
+        }
+      });
+      stack.pop();
+      state.set(id, 'done');
+    };
+
+    this.index.forEach((_, id) => {
+      if (!state.has(id)) visit(id);
+    });
+    return cycles;
+  }
+
+  // Diagram ids with every prerequisite before the diagrams that need it,
+  // keeping manifest order where the graph allows
+  order() {
+    const cycles = this.findCycles();
+    if (cycles.length > 0) {
+      throw new Error(`Prerequisite cycle: ${cycles[0].join(' → ')}`);
+    }
+
+    const ordered = [];
+    const placed = new Set();
+    const place = id => {
+      if (placed.has(id)) return;
+      placed.add(id);
+      this.prerequisites(id).forEach(place);
+      ordered.push(id);
+    };
+    this.index.forEach((_, id) => place(id));
+    return ordered;
+  }
+
+  // Duplicate ids, dangling prerequisites and learning path entries, cycles
+  checkGraph() {
+    const findings = [];
+    const add = (severity, message, pointer) => findings.push({ severity, diagram: 'manifest', message, pointer });
+
+    this.diagrams.forEach((diagram, i) => {
+      if (this.index.get(diagram.id) !== i) {
+        add('error', `Diagram ${diagram.id} is listed twice`, `/diagrams/${i}/id`);
+      }
+      (diagram.prerequisites || []).forEach((p, j) => {
+        if (!this.has(p)) {
+          add('error', `${diagram.id} requires ${p}, which is not in the manifest`, `/diagrams/${i}/prerequisites/${j}`);
+        }
+      });
+    });
+
+    this.learningPaths.forEach((learningPath, i) => {
+      (learningPath.diagrams || []).forEach((id, j) => {
+        if (!this.has(id)) {
+          add('error', `Learning path ${learningPath.id} includes ${id}, which is not in the manifest`, `/learningPaths/${i}/diagrams/${j}`);
+        }
+      });
+    });
+
+    this.findCycles().forEach(cycle => {
+      const [from, to] = cycle.slice(-2);
+      const i = this.index.get(from);
+      add('error', `Prerequisite cycle: ${cycle.join(' → ')}`, `/diagrams/${i}/prerequisites/${this.diagrams[i].prerequisites.indexOf(to)}`);
+    });
+
+    return findings;
+  }
+
+  // "(Spec NN)" references in a spec's prerequisite concepts: each must name
+  // a listed diagram, and one the spec builds on per the manifest
+  checkReferences(spec) {
+    if (!this.has(spec.id)) return [];
+
+    const findings = [];
+    const ancestors = this.ancestors(spec.id);
+    const add = (severity, message, pointer) => findings.push({ severity, diagram: spec.id, message, pointer });
+
+    (spec.prerequisites?.concepts || []).forEach((concept, k) => {
+      const pointer = `/prerequisites/concepts/${k}`;
+      const unlisted = [];
+      CourseGraph.references(concept).forEach(number => {
+        const id = this.resolve(number);
+        if (!id) {
+          add('error', `Prerequisite "${concept}" refers to Spec ${number}, which is not in the manifest`, pointer);
+        } else if (id === spec.id) {
+          add('error', `Prerequisite "${concept}" refers to ${id} itself`, pointer);
+        } else if (this.ancestors(id).has(spec.id)) {
+          add('warning', `Prerequisite "${concept}" refers to ${id}, which builds on ${spec.id}`, pointer);
+        } else if (!ancestors.has(id)) {
+          unlisted.push(id);
+        }
+      });
+      if (unlisted.length > 0) {
+        add('warning', `Prerequisite "${concept}" refers to ${unlisted.join(', ')}, not among the manifest prerequisites of ${spec.id}`, pointer);
+      }
+    });
+
+    return findings;
+  }
+
+  // Manifest entries against spec files, given as [{ file, id }] where id is
+  // the spec's own id (null when the file does not parse)
+  checkFiles(files) {
+    const findings = [];
+    const ids = new Set(files.map(f => f.id));
+
+    this.diagrams.forEach((diagram, i) => {
+      if (!ids.has(diagram.id)) {
+        findings.push({ severity: 'error', diagram: 'manifest', message: `${diagram.id} has no spec file`, pointer: `/diagrams/${i}/id` });
+      }
+    });
+    files.forEach(({ file, id }) => {
+      if (id && !this.has(id)) {
+        findings.push({ severity: 'error', diagram: id, message: `${file} is not listed in the manifest`, pointer: '/id' });
+      } else if (id && file !== `${id}.json`) {
+        findings.push({ severity: 'warning', diagram: id, message: `${file} holds spec ${id}; expected ${id}.json`, pointer: '/id' });
+      }
+    });
+
+    return findings;
+  }
+}
+
+// Export for module systems, or make global
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CourseGraph;
+} else {
+  window.CourseGraph = CourseGraph;
+}
\ No newline at end of file
@@ -0,0 +1,215 @@
+class FormulaEvaluator {
+  constructor() {
+    this.cache = new Map();
+  }
+
+  static get functions() {
+    return {
+      exp: Math.exp,
+      ln: Math.log,
+      log: Math.log10,
+      log10: Math.log10,
+      log2: Math.log2,
+      sqrt: Math.sqrt,
+      abs: Math.abs,
+      floor: Math.floor,
+      ceil: Math.ceil,
+      round: Math.round,
+      min: Math.min,
+      max: Math.max,
+      pow: Math.pow
+    };
+  }
+
+  static get constants() {
+    return { pi: Math.PI, e: Math.E };
+  }
+
+  // Numbers, names (including Greek letters), operators and parentheses
+  tokenize(source) {
+    const tokens = [];
+    const pattern = /\s*(?:(\d+\.?\d*(?:e[+-]?\d+)?|\.\d+(?:e[+-]?\d+)?)|([\p{L}_][\p{L}\p{N}_]*)|(\*\*|[-+*/^!(),×·]))/uy;
+    let index = 0;
+
+    while (index < source.length) {
+      pattern.lastIndex = index;
+      const match = pattern.exec(source);
+      if (!match) {
+        const rest = source.slice(index);
+        if (rest.trim() === '') break;
+        const at = index + rest.length - rest.trimStart().length;
+        throw new Error(`Unexpected character "${source[at]}" at ${at} in "${source}"`);
+      }
+
+      const [text, number, name, operator] = match;
+      const at = index + text.length - text.trimStart().length;
+      if (number !== undefined) tokens.push({ type: 'number', value: parseFloat(number), at });
+      else if (name !== undefined) tokens.push({ type: 'name', value: name, at });
+      else tokens.push({ type: 'op', value: { '**': '^', '×': '*', '·': '*' }[operator] || operator, at });
+      index = pattern.lastIndex;
+    }
+
+    return tokens;
+  }
+
+  // Recursive descent: + - below * / below unary minus below ^ (right-assoc) below postfix !
+  parse(source) {
+    if (this.cache.has(source)) return this.cache.get(source);
+
+    const tokens = this.tokenize(String(source));
+    let position = 0;
+    const peek = () => tokens[position];
+    const accept = value => {
+      if (peek()?.type === 'op' && peek().value === value) {
+        position++;
+        return true;
+      }
+      return false;
+    };
+    const fail = message => {
+      throw new Error(`${message} at ${peek()?.at ?? source.length} in "${source}"`);
+    };
+
+    const expression = () => {
+      let node = term();
+      while (peek()?.type === 'op' && '+-'.includes(peek().value)) {
+        const op = tokens[position++].value;
+        node = { type: 'binary', op, left: node, right: term() };
+      }
+      return node;
+    };
+
+    const term = () => {
+      let node = unary();
+      while (peek()?.type === 'op' && '*/'.includes(peek().value)) {
+        const op = tokens[position++].value;
+        node = { type: 'binary', op, left: node, right: unary() };
+      }
+      return node;
+    };
+
+    const unary = () => {
+      if (accept('-')) return { type: 'negate', operand: unary() };
+      if (accept('+')) return unary();
+      return power();
+    };
+
+    const power = () => {
+      const base = postfix();
+      return accept('^') ? { type: 'binary', op: '^', left: base, right: unary() } : base;
+    };
+
+    const postfix = () => {
+      let node = primary();
+      while (accept('!')) {
+        node = { type: 'factorial', operand: node };
+      }
+      return node;
+    };
+
+    const primary = () => {
+      const token = peek();
+      if (!token) fail('Unexpected end of formula');
+
+      if (token.type === 'number') {
+        position++;
+        return { type: 'number', value: token.value };
+      }
+
+      if (token.type === 'name') {
+        position++;
+        if (!accept('(')) return { type: 'name', name: token.value };
+
+        const args = [];
+        if (!accept(')')) {
+          do {
+            args.push(expression());
+          } while (accept(','));
+          if (!accept(')')) fail('Expected ")"');
+        }
+        return { type: 'call', name: token.value, args };
+      }
+
+      if (accept('(')) {
+        const node = expression();
+        if (!accept(')')) fail('Expected ")"');
+        return node;
+      }
+
+      return fail(`Unexpected "${token.value}"`);
+    };
+
+    const tree = expression();
+    if (position < tokens.length) fail(`Unexpected "${peek().value}"`);
+
+    this.cache.set(source, tree);
+    return tree;
+  }
+
+  // Names a formula reads that are not functions or constants
+  getVariables(source) {
+    const names = new Set();
+    const visit = node => {
+      if (node.type === 'name' && !(node.name in FormulaEvaluator.constants)) names.add(node.name);
+      [node.left, node.right, node.operand, ...(node.args || [])].filter(Boolean).forEach(visit);
+    };
+    visit(this.parse(source));
+    return Array.from(names);
+  }
+
+  evaluate(source, scope = {}) {
+    return this.evaluateTree(this.parse(source), scope, source);
+  }
+
+  evaluateTree(tree, scope = {}, source = '') {
+    const run = node => {
+      switch (node.type) {
+        case 'number':
+          return node.value;
+        case 'name':
+          if (Object.prototype.hasOwnProperty.call(scope, node.name)) return Number(scope[node.name]);
+          if (node.name in FormulaEvaluator.constants) return FormulaEvaluator.constants[node.name];
+          throw new Error(`Unknown variable "${node.name}" in "${source}"`);
+        case 'negate':
+          return -run(node.operand);
+        case 'factorial':
+          return this.factorial(run(node.operand), source);
+        case 'call': {
+          const fn = FormulaEvaluator.functions[node.name];
+          if (!fn) throw new Error(`Unknown function "${node.name}" in "${source}"`);
+          return fn(...node.args.map(run));
+        }
+        case 'binary': {
+          const left = run(node.left);
+          const right = run(node.right);
+          switch (node.op) {
+            case '+': return left + right;
+            case '-': return left - right;
+            case '*': return left * right;
+            case '/': return left / right;
+            case '^': return Math.pow(left, right);
+          }
+        }
+      }
+      throw new Error(`Cannot evaluate "${source}"`);
+    };
+
+    return run(tree);
+  }
+
+  factorial(n, source) {
+    if (!Number.isInteger(n) || n < 0 || n > 170) {
+      throw new Error(`Factorial needs a whole number from 0 to 170, got ${n} in "${source}"`);
+    }
+    let result = 1;
+    for (let i = 2; i <= n; i++) result *= i;
+    return result;
+  }
+}
+
+// Export for module systems, or make global
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = FormulaEvaluator;
+} else {
+  window.FormulaEvaluator = FormulaEvaluator;
+}
\ No newline at end of file
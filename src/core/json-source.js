@@ -0,0 +1,169 @@
+// Line and column of every value in a JSON text, keyed by JSON Pointer
+// (RFC 6901), so findings about "/edges/3/kind" can point into the file.
+// Members are located at their key, array items at their first character.
+class JsonSourceMap {
+  constructor(text) {
+    this.text = String(text);
+    this.locations = new Map();
+    this.ends = new Map();
+    this.duplicates = [];
+    this.lineStarts = [0];
+    for (let i = 0; i < this.text.length; i++) {
+      if (this.text[i] === '\n') this.lineStarts.push(i + 1);
+    }
+    this.scan();
+  }
+
+  static escape(segment) {
+    return String(segment).replace(/~/g, '~0').replace(/\//g, '~1');
+  }
+
+  static pointer(...segments) {
+    return segments.map(segment => `/${JsonSourceMap.escape(segment)}`).join('');
+  }
+
+  static split(pointer) {
+    return pointer === '' ? [] : pointer.slice(1).split('/').map(s => s.replace(/~1/g, '/').replace(/~0/g, '~'));
+  }
+
+  // Value at a pointer, or undefined
+  static resolve(data, pointer) {
+    return JsonSourceMap.split(pointer).reduce((value, segment) => value?.[segment], data);
+  }
+
+  // Ajv reports instancePath ("/edges/0") in v8 and dataPath (".edges[0]") in v6
+  static fromAjvError(error) {
+    if (error.instancePath !== undefined) return error.instancePath;
+    return (error.dataPath || '')
+      .replace(/\[(\d+)\]/g, '/$1')
+      .replace(/\['([^']*)'\]/g, (_, key) => `/${JsonSourceMap.escape(key)}`)
+      .replace(/\./g, '/');
+  }
+
+  scan() {
+    const text = this.text;
+    let i = 0;
+
+    const fail = message => {
+      const { line, column } = this.position(i);
+      throw new Error(`${message} at ${line}:${column}`);
+    };
+    const skip = () => {
+      while (i < text.length && /\s/.test(text[i])) i++;
+    };
+    const string = () => {
+      const start = i++;
+      while (i < text.length && text[i] !== '"') i += text[i] === '\\' ? 2 : 1;
+      if (i >= text.length) fail('Unterminated string');
+      return JSON.parse(text.slice(start, ++i));
+    };
+
+    const value = pointer => {
+      parse(pointer);
+      this.ends.set(pointer, i);
+    };
+    const parse = pointer => {
+      skip();
+      if (!this.locations.has(pointer)) this.locations.set(pointer, i);
+
+      if (text[i] === '{') {
+        i++;
+        skip();
+        if (text[i] === '}') {
+          i++;
+          return;
+        }
+        const keys = new Set();
+        for (;;) {
+          skip();
+          if (text[i] !== '"') fail('Expected a key');
+          const keyAt = i;
+          const child = `${pointer}/${JsonSourceMap.escape(string())}`;
+          // JSON.parse keeps the last of repeated keys
+          if (keys.has(child)) this.duplicates.push(child);
+          keys.add(child);
+          this.locations.set(child, keyAt);
+          skip();
+          if (text[i++] !== ':') fail('Expected ":"');
+          value(child);
+          skip();
+          if (text[i] === ',') {
+            i++;
+          } else if (text[i] === '}') {
+            i++;
+            return;
+          } else {
+            fail('Expected "," or "}"');
+          }
+        }
+      }
+
+      if (text[i] === '[') {
+        i++;
+        skip();
+        if (text[i] === ']') {
+          i++;
+          return;
+        }
+        for (let index = 0; ; index++) {
+          value(`${pointer}/${index}`);
+          skip();
+          if (text[i] === ',') {
+            i++;
+          } else if (text[i] === ']') {
+            i++;
+            return;
+          } else {
+            fail('Expected "," or "]"');
+          }
+        }
+      }
+
+      if (text[i] === '"') {
+        string();
+        return;
+      }
+
+      const start = i;
+      while (i < text.length && !/[\s,\]}]/.test(text[i])) i++;
+      if (i === start) fail('Expected a value');
+    };
+
+    value('');
+  }
+
+  // 1-based line and column of a character offset
+  position(offset) {
+    let low = 0;
+    let high = this.lineStarts.length - 1;
+    while (low < high) {
+      const mid = Math.ceil((low + high) / 2);
+      if (this.lineStarts[mid] <= offset) low = mid;
+      else high = mid - 1;
+    }
+    return { line: low + 1, column: offset - this.lineStarts[low] + 1 };
+  }
+
+  // Location of a pointer, or of its nearest ancestor in the text when the
+  // value is missing ("must have property kind") or generated
+  locate(pointer = '') {
+    let found = pointer;
+    while (found !== '' && !this.locations.has(found)) {
+      found = found.slice(0, found.lastIndexOf('/'));
+    }
+    return { pointer: found, ...this.position(this.locations.get(found) ?? 0) };
+  }
+
+  // Whether the value at a pointer was written on one line
+  isInline(pointer) {
+    if (!this.locations.has(pointer)) return false;
+    return !this.text.slice(this.locations.get(pointer), this.ends.get(pointer)).includes('\n');
+  }
+}
+
+// Export for module systems, or make global
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = JsonSourceMap;
+} else {
+  window.JsonSourceMap = JsonSourceMap;
+}
\ No newline at end of file
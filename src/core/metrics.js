@@ -0,0 +1,268 @@
+// Spec-level parameters and edge metrics computed from them. A metric is
+// either free text ("64MB", "~1ms", "every 30s") or { expr, unit?, template? },
+// where expr is a formula over the parameters and unit picks the display unit.
+class MetricsModel {
+  constructor(spec = {}) {
+    this.parameters = spec.parameters || {};
+    this.values = this.getDefaults();
+    this.evaluator = null;
+  }
+
+  // What each metric measures
+  static get metricTypes() {
+    return {
+      size: 'size',
+      latency: 'time',
+      throughput: 'rate',
+      frequency: 'frequency',
+      payload: 'size'
+    };
+  }
+
+  static isExpression(metric) {
+    return metric !== null && typeof metric === 'object' && typeof metric.expr === 'string';
+  }
+
+  getUnits() {
+    return typeof Units !== 'undefined' ? Units : require('./units');
+  }
+
+  getEvaluator() {
+    if (!this.evaluator) {
+      const Evaluator = typeof FormulaEvaluator !== 'undefined' ? FormulaEvaluator : require('./formula');
+      this.evaluator = new Evaluator();
+    }
+    return this.evaluator;
+  }
+
+  getDefaults() {
+    return Object.fromEntries(Object.entries(this.parameters).map(([id, p]) => [id, p.value]));
+  }
+
+  setValue(id, value) {
+    if (!(id in this.parameters)) {
+      throw new Error(`Unknown parameter: ${id}`);
+    }
+    this.values[id] = value;
+  }
+
+  // Parameter values in base units, with their dimensions
+  getScope(values = this.values) {
+    const units = this.getUnits();
+    const scope = {};
+    const dimensions = {};
+
+    Object.entries(this.parameters).forEach(([id, parameter]) => {
+      const unit = units.parse(parameter.unit || '');
+      scope[id] = (values[id] ?? parameter.value) * unit.factor;
+      dimensions[id] = unit.dimension;
+    });
+
+    return { scope, dimensions };
+  }
+
+  // Walk the formula tree and work out the dimension of its result, rejecting
+  // sums of unlike quantities and non-dimensionless exponents
+  inferDimension(expression, dimensions, scope = {}) {
+    const units = this.getUnits();
+    const evaluator = this.getEvaluator();
+    const none = units.dimensions.count;
+    const requireCount = (dimension, what) => {
+      if (!units.equal(dimension, none)) {
+        throw new Error(`${what} needs a plain number, got ${units.describe(dimension)} in "${expression}"`);
+      }
+      return dimension;
+    };
+
+    const infer = node => {
+      switch (node.type) {
+        case 'number':
+          return none;
+        case 'name':
+          if (dimensions[node.name]) return dimensions[node.name];
+          if (node.name in evaluator.constructor.constants) return none;
+          throw new Error(`Unknown parameter "${node.name}" in "${expression}"`);
+        case 'negate':
+          return infer(node.operand);
+        case 'factorial':
+          return requireCount(infer(node.operand), 'Factorial');
+        case 'call': {
+          const args = node.args.map(infer);
+          if (['exp', 'ln', 'log', 'log10', 'log2'].includes(node.name)) return requireCount(args[0], node.name);
+          if (node.name === 'sqrt') return units.power(args[0], 0.5);
+          if (node.name === 'pow') {
+            requireCount(args[1], 'Exponent');
+            return units.power(args[0], evaluator.evaluateTree(node.args[1], scope, expression));
+          }
+          if (['min', 'max'].includes(node.name) && args.some(a => !units.equal(a, args[0]))) {
+            throw new Error(`${node.name} mixes ${args.map(a => units.describe(a)).join(' and ')} in "${expression}"`);
+          }
+          return args[0] || none;
+        }
+        case 'binary': {
+          const left = infer(node.left);
+          const right = infer(node.right);
+          switch (node.op) {
+            case '+':
+            case '-':
+              if (!units.equal(left, right)) {
+                throw new Error(`Cannot ${node.op === '+' ? 'add' : 'subtract'} ${units.describe(right)} ${node.op === '+' ? 'to' : 'from'} ${units.describe(left)} in "${expression}"`);
+              }
+              return left;
+            case '*':
+              return units.multiply(left, right);
+            case '/':
+              return units.divide(left, right);
+            case '^':
+              requireCount(right, 'Exponent');
+              return units.power(left, evaluator.evaluateTree(node.right, scope, expression));
+          }
+        }
+      }
+      throw new Error(`Cannot infer units of "${expression}"`);
+    };
+
+    return infer(evaluator.parse(expression));
+  }
+
+  // Value (base units), dimension and display text of one metric
+  evaluate(name, metric, values = this.values) {
+    const units = this.getUnits();
+    const { scope, dimensions } = this.getScope(values);
+    const dimension = this.inferDimension(metric.expr, dimensions, scope);
+
+    const type = MetricsModel.metricTypes[name];
+    if (type && !units.equal(dimension, units.dimensions[type])) {
+      throw new Error(`${name} must be a ${type}, but ${metric.expr} is a ${units.describe(dimension)}`);
+    }
+    if (metric.unit !== undefined && !units.equal(units.parse(metric.unit).dimension, dimension)) {
+      throw new Error(`${name} unit ${metric.unit} does not match ${units.describe(dimension)}`);
+    }
+
+    const value = this.getEvaluator().evaluate(metric.expr, scope);
+    if (!Number.isFinite(value)) {
+      throw new Error(`${name} = ${metric.expr} is ${value}`);
+    }
+
+    const quantity = units.format(value, dimension, metric.unit ?? null);
+    return { value, dimension, text: metric.template ? metric.template.replace('{}', quantity) : quantity };
+  }
+
+  bindEdge(edge, values) {
+    if (!edge.metrics || !Object.values(edge.metrics).some(MetricsModel.isExpression)) return edge;
+
+    const metrics = Object.fromEntries(Object.entries(edge.metrics).map(([name, metric]) => {
+      if (!MetricsModel.isExpression(metric)) return [name, metric];
+      const { error, ...source } = metric;
+      try {
+        const { value, dimension, text } = this.evaluate(name, source, values);
+        return [name, { ...source, value, dimension, text }];
+      } catch (e) {
+        return [name, { ...source, value: null, text: `⚠️ ${source.expr}`, error: e.message }];
+      }
+    }));
+
+    return { ...edge, metrics };
+  }
+
+  // Recompute every expression metric, in the base diagram and in overlays
+  bind(spec, values = this.values) {
+    const bindDiff = diff => diff && {
+      ...diff,
+      ...(diff.add?.edges ? { add: { ...diff.add, edges: diff.add.edges.map(e => this.bindEdge(e, values)) } } : {}),
+      ...(diff.modify?.edges ? { modify: { ...diff.modify, edges: diff.modify.edges.map(e => this.bindEdge(e, values)) } } : {})
+    };
+
+    return {
+      ...spec,
+      edges: (spec.edges || []).map(edge => this.bindEdge(edge, values)),
+      ...(spec.overlays ? { overlays: spec.overlays.map(overlay => ({ ...overlay, diff: bindDiff(overlay.diff) })) } : {}),
+      ...(Object.keys(this.parameters).length > 0 ? { _parameters: { ...values } } : {})
+    };
+  }
+
+  // Quantity a metric states, as { value, min, max, dimension }, or null for
+  // free text without a number ("PB scale")
+  quantity(name, metric, values = this.values) {
+    if (MetricsModel.isExpression(metric)) {
+      const { value, dimension } = this.evaluate(name, metric, values);
+      return { value, min: value, max: value, dimension };
+    }
+    if (typeof metric !== 'string' || !(name in MetricsModel.metricTypes)) return null;
+
+    const units = this.getUnits();
+    const quantity = units.parseQuantity(metric);
+    const type = MetricsModel.metricTypes[name];
+    if (quantity && !units.equal(quantity.dimension, units.dimensions[type])) {
+      throw new Error(`"${metric}" is a ${units.describe(quantity.dimension)}, expected a ${type}`);
+    }
+    return quantity;
+  }
+
+  // Metrics on one edge that contradict each other, e.g. 1GB in 1ms over 100Mbps
+  checkConsistency(edge, quantities, pointer = '') {
+    const units = this.getUnits();
+    const size = quantities.size || quantities.payload;
+    const { latency, throughput } = quantities;
+    if (!size || !latency || !throughput || throughput.max <= 0) return [];
+
+    const transfer = size.min / throughput.max;
+    if (transfer <= latency.max) return [];
+
+    const text = quantity => quantity.text || units.format(quantity.value, quantity.dimension);
+    return [{
+      level: 'warning',
+      message: `Edge ${edge.id} moves ${text(size)} in ${text(latency)}, but at ${text(throughput)} that takes ${units.format(transfer, units.dimensions.time)}`,
+      pointer: `${pointer}/metrics`
+    }];
+  }
+
+  // Author mistakes in parameters and metrics, as { level, message, pointer }
+  check(spec) {
+    const problems = [];
+    const units = this.getUnits();
+
+    Object.entries(this.parameters).forEach(([id, parameter]) => {
+      const pointer = `/parameters/${id}`;
+      try {
+        units.parse(parameter.unit || '');
+      } catch (e) {
+        problems.push({ level: 'error', message: `Parameter ${id}: ${e.message}`, pointer: `${pointer}/unit` });
+      }
+      if (typeof parameter.value !== 'number') {
+        problems.push({ level: 'error', message: `Parameter ${id}: value must be a number`, pointer: `${pointer}/value` });
+      } else if ((parameter.min !== undefined && parameter.value < parameter.min) ||
+                 (parameter.max !== undefined && parameter.value > parameter.max)) {
+        problems.push({ level: 'error', message: `Parameter ${id}: value ${parameter.value} is outside ${parameter.min}..${parameter.max}`, pointer: `${pointer}/value` });
+      }
+    });
+    if (problems.length > 0) return problems;
+
+    const edges = [
+      ...(spec.edges || []).map((edge, i) => ({ edge, pointer: `/edges/${i}` })),
+      ...(spec.overlays || []).flatMap((o, i) => ['add', 'modify'].flatMap(change =>
+        (o.diff?.[change]?.edges || []).map((edge, j) => ({ edge, pointer: `/overlays/${i}/diff/${change}/edges/${j}` }))))
+    ];
+    edges.forEach(({ edge, pointer }) => {
+      const quantities = {};
+      Object.entries(edge.metrics || {}).forEach(([name, metric]) => {
+        try {
+          const quantity = this.quantity(name, metric);
+          if (quantity) quantities[name] = quantity;
+        } catch (e) {
+          problems.push({ level: 'error', message: `Edge ${edge.id} ${name}: ${e.message}`, pointer: `${pointer}/metrics/${name}` });
+        }
+      });
+      problems.push(...this.checkConsistency(edge, quantities, pointer));
+    });
+
+    return problems;
+  }
+}
+
+// Export for module systems, or make global
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MetricsModel;
+} else {
+  window.MetricsModel = MetricsModel;
+}
\ No newline at end of file
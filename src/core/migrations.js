@@ -0,0 +1,122 @@
+// Spec format versions and the chain of migrations between them. A spec
+// states its version in schemaVersion; older specs have none, and exported
+// files may only carry _export.version. migrate() runs each step from the
+// spec's version to the current one, so specs upgrade the same way when the
+// viewer loads them, when a file is imported and in scripts/migrate-specs.js.
+class SpecMigrator {
+  // Matches schemaVersion in data/schema.json
+  static get currentVersion() {
+    return 2;
+  }
+
+  // Each step upgrades a spec from one version to the next
+  get migrations() {
+    return [
+      { from: 1, to: 2, migrate: this.toVersion2 }
+    ];
+  }
+
+  versionOf(spec) {
+    if (spec.schemaVersion !== undefined) return spec.schemaVersion;
+    const exported = Number.parseInt(spec._export?.version, 10);
+    return Number.isInteger(exported) ? exported : 1;
+  }
+
+  needsMigration(spec) {
+    return this.versionOf(spec) < SpecMigrator.currentVersion;
+  }
+
+  // Upgraded copy of a spec and the changes made, as { pointer, message }
+  // with pointers into the spec as written
+  migrate(spec) {
+    const from = this.versionOf(spec);
+    if (!Number.isInteger(from) || from > SpecMigrator.currentVersion) {
+      throw new Error(`Spec ${spec.id || ''} uses schema version ${from}; this viewer reads up to version ${SpecMigrator.currentVersion}`);
+    }
+
+    const changes = [];
+    const change = (pointer, message) => changes.push({ pointer, message });
+    let migrated = spec;
+    this.migrations.filter(step => step.from >= from).forEach(step => {
+      migrated = step.migrate.call(this, migrated, change);
+    });
+
+    return { spec: migrated, from, to: SpecMigrator.currentVersion, changes };
+  }
+
+  // Copy of an object with one key renamed in place
+  renameKey(object, from, to) {
+    return Object.fromEntries(Object.entries(object).map(([key, value]) => [key === from ? to : key, value]));
+  }
+
+  // Version 1 walked through `steps` or through scenes named by `title`,
+  // captioned overlays with `title` and let edges leave out their kind.
+  // Version 2 keeps one format: scenes with a name, overlays with a caption.
+  toVersion2(spec, change) {
+    const Fixer = typeof SpecFixer !== 'undefined' ? SpecFixer : require('./spec-fixer');
+    const { schemaVersion, steps, ...rest } = spec;
+    change('', 'Added schemaVersion 2');
+
+    let scenes = spec.scenes;
+    if (steps?.length > 0 && !(spec.scenes?.length > 0)) {
+      change('/steps', `Turned ${steps.length} step(s) into scenes`);
+      scenes = steps.map((step, index) => ({
+        id: step.id || `step-${index}`,
+        name: step.caption || `Step ${index + 1}`,
+        overlays: step.overlays || [],
+        ...(step.narrative ? { narrative: step.narrative } : {})
+      }));
+    } else if (steps) {
+      change('/steps', 'Dropped steps, keeping scenes');
+    }
+
+    scenes = scenes?.map((scene, i) => {
+      if (scene.title === undefined) return scene;
+      if (scene.name !== undefined) {
+        change(`/scenes/${i}/title`, `Scene ${scene.id}: dropped title, keeping name`);
+        const { title, ...kept } = scene;
+        return kept;
+      }
+      change(`/scenes/${i}/title`, `Scene ${scene.id}: renamed title to name`);
+      return this.renameKey(scene, 'title', 'name');
+    });
+
+    const withKind = (edge, pointer) => {
+      if (edge.kind !== undefined) return edge;
+      change(pointer, `Edge ${edge.id}: added kind ${Fixer.defaultEdgeKind}`);
+      return Fixer.orderKeys({ ...edge, kind: Fixer.defaultEdgeKind }, '/edges/0');
+    };
+
+    const overlays = spec.overlays?.map((overlay, o) => {
+      let migrated = overlay;
+      if (overlay.title !== undefined && overlay.caption === undefined) {
+        change(`/overlays/${o}/title`, `Overlay ${overlay.id}: renamed title to caption`);
+        migrated = this.renameKey(overlay, 'title', 'caption');
+      }
+      const added = migrated.diff?.add?.edges;
+      if (!added) return migrated;
+      return {
+        ...migrated,
+        diff: {
+          ...migrated.diff,
+          add: { ...migrated.diff.add, edges: added.map((edge, j) => withKind(edge, `/overlays/${o}/diff/add/edges/${j}`)) }
+        }
+      };
+    });
+
+    return {
+      schemaVersion: 2,
+      ...rest,
+      ...(spec.edges ? { edges: spec.edges.map((edge, i) => withKind(edge, `/edges/${i}`)) } : {}),
+      ...(scenes ? { scenes } : {}),
+      ...(overlays ? { overlays } : {})
+    };
+  }
+}
+
+// Export for module systems, or make global
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SpecMigrator;
+} else {
+  window.SpecMigrator = SpecMigrator;
+}
\ No newline at end of file
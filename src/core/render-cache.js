@@ -0,0 +1,174 @@
+// Rendered SVG by a content hash of what produced it. Least recently used
+// entries are evicted once the cache holds more than maxBytes of SVG, and in
+// the browser entries persist in IndexedDB, so a reload starts warm.
+// stats() counts hits and misses for the performance tests.
+class RenderCache {
+  constructor({ maxBytes = RenderCache.defaultMaxBytes, persist = true } = {}) {
+    this.maxBytes = maxBytes;
+    this.persist = persist;
+    this.entries = new Map(); // key -> { svg, bytes, lastUsed }, least recently used first
+    this.bytes = 0;
+    this.db = null;
+    this.resetStats();
+  }
+
+  static get defaultMaxBytes() {
+    return 8 * 1024 * 1024;
+  }
+
+  static get database() {
+    return { name: 'gfs-render-cache', version: 1, store: 'svg' };
+  }
+
+  // cyrb53: a fast, stable 53-bit string hash, as 14 hex digits
+  static hash(text) {
+    let h1 = 0xdeadbeef;
+    let h2 = 0x41c6ce57;
+    for (let i = 0; i < text.length; i++) {
+      const code = text.charCodeAt(i);
+      h1 = Math.imul(h1 ^ code, 2654435761);
+      h2 = Math.imul(h2 ^ code, 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16).padStart(14, '0');
+  }
+
+  // UTF-8 size of an SVG string
+  static sizeOf(svg) {
+    return new TextEncoder().encode(svg).length;
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  resetStats() {
+    this.hits = 0;
+    this.misses = 0;
+    this.evictions = 0;
+  }
+
+  stats() {
+    const lookups = this.hits + this.misses;
+    return {
+      hits: this.hits,
+      misses: this.misses,
+      hitRate: lookups > 0 ? this.hits / lookups : 0,
+      evictions: this.evictions,
+      entries: this.entries.size,
+      bytes: this.bytes,
+      maxBytes: this.maxBytes,
+      persistent: this.db !== null
+    };
+  }
+
+  // Load persisted entries, least recently used first, so that eviction
+  // keeps the most recently used ones within maxBytes.
+  // Without IndexedDB the cache simply lives in memory.
+  async open() {
+    if (!this.persist || this.db || typeof indexedDB === 'undefined') return this;
+
+    try {
+      const { name, version, store } = RenderCache.database;
+      this.db = await new Promise((resolve, reject) => {
+        const request = indexedDB.open(name, version);
+        request.onupgradeneeded = () => request.result.createObjectStore(store, { keyPath: 'key' });
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+
+      const records = await this.request(this.db.transaction(store).objectStore(store).getAll());
+      records.sort((a, b) => a.lastUsed - b.lastUsed).forEach(record => {
+        if (!this.entries.has(record.key)) this.store(record.key, record.svg, record.lastUsed, false);
+      });
+    } catch (error) {
+      console.warn('Render cache not persisted:', error);
+      this.db = null;
+    }
+    return this;
+  }
+
+  request(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // Apply a change to the persisted copy without waiting for it
+  write(change) {
+    if (!this.db) return;
+
+    const { store } = RenderCache.database;
+    try {
+      const transaction = this.db.transaction(store, 'readwrite');
+      change(transaction.objectStore(store));
+      transaction.onerror = () => console.warn('Render cache write failed:', transaction.error);
+    } catch (error) {
+      console.warn('Render cache write failed:', error);
+    }
+  }
+
+  has(key) {
+    return this.entries.has(key);
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      this.misses++;
+      return null;
+    }
+
+    this.hits++;
+    entry.lastUsed = Date.now();
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    this.write(store => store.put({ key, svg: entry.svg, lastUsed: entry.lastUsed }));
+    return entry.svg;
+  }
+
+  set(key, svg) {
+    this.store(key, svg, Date.now(), true);
+    return this;
+  }
+
+  store(key, svg, lastUsed, persist) {
+    const bytes = RenderCache.sizeOf(svg);
+    if (bytes > this.maxBytes) return;
+
+    this.delete(key);
+    this.entries.set(key, { svg, bytes, lastUsed });
+    this.bytes += bytes;
+    if (persist) this.write(store => store.put({ key, svg, lastUsed }));
+
+    while (this.bytes > this.maxBytes) {
+      this.delete(this.entries.keys().next().value);
+      this.evictions++;
+    }
+  }
+
+  delete(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return false;
+
+    this.entries.delete(key);
+    this.bytes -= entry.bytes;
+    this.write(store => store.delete(key));
+    return true;
+  }
+
+  clear() {
+    this.entries.clear();
+    this.bytes = 0;
+    this.write(store => store.clear());
+  }
+}
+
+// Export for module systems, or make global
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RenderCache;
+} else {
+  window.RenderCache = RenderCache;
+}
\ No newline at end of file
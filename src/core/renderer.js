@@ -1,4 +1,10 @@
 class MermaidRenderer {
+  // The Mermaid release docs/index.html loads; it is part of every cache key,
+  // so SVGs persisted by an older release are never served after an upgrade
+  static get mermaidVersion() {
+    return '10.9.8';
+  }
+
   constructor() {
     this.config = {
       theme: 'base',
@@ -29,8 +35,15 @@ class MermaidRenderer {
     };
 
     this.initialized = false;
-    this.cache = new Map(); // SVG cache for performance
+    this.containerId = 'diagram-container'; // where render() draws unless told otherwise
+    this.cache = new (this.getRenderCaches())(); // SVG by hash of Mermaid code and config
     this.cacheEnabled = true;
+    this.prerendered = new Map(); // cache key -> asset from rendered/manifest.json
+    this.prerenderedBase = 'rendered/';
+  }
+
+  getRenderCaches() {
+    return typeof RenderCache !== 'undefined' ? RenderCache : require('./render-cache');
   }
 
   async initialize() {
@@ -47,10 +60,14 @@ class MermaidRenderer {
       ...this.config
     });
 
+    // Renders from earlier visits come back from IndexedDB
+    await this.cache.open();
+    await this.loadPrerendered();
+
     this.initialized = true;
   }
 
-  async render(spec, containerId = 'diagram-container') {
+  async render(spec, containerId = this.containerId) {
     if (!this.initialized) {
       await this.initialize();
     }
@@ -61,18 +78,29 @@ class MermaidRenderer {
       return null;
     }
 
-    // Generate cache key from spec
-    const cacheKey = this.generateCacheKey(spec);
+    const code = this.generateMermaidCode(spec);
+    const cacheKey = this.generateCacheKey(code);
+
+    // Live simulation frames rarely repeat and would only churn the cache
+    const cacheable = this.cacheEnabled && !spec._simulation?.live;
 
     // Check cache first
-    if (this.cacheEnabled && this.cache.has(cacheKey)) {
-      const cached = this.cache.get(cacheKey);
+    const cached = cacheable ? this.cache.get(cacheKey) : null;
+    if (cached) {
       container.innerHTML = cached;
       this.postProcess(container, spec);
       return cached;
     }
 
-    const code = this.generateMermaidCode(spec);
+    // Then the SVGs scripts/prerender.js made for scenes, overlays and steps;
+    // other overlay combinations render live
+    const prerendered = cacheable ? await this.fetchPrerendered(cacheKey) : null;
+    if (prerendered) {
+      container.innerHTML = prerendered;
+      this.cache.set(cacheKey, prerendered);
+      this.postProcess(container, spec);
+      return prerendered;
+    }
 
     // Clear container
     container.innerHTML = '';
@@ -89,14 +117,9 @@ class MermaidRenderer {
       const { svg } = await mermaid.render(id, code);
       container.innerHTML = svg;
 
-      // Cache the rendered SVG
-      if (this.cacheEnabled) {
+      // Cache the rendered SVG; the cache evicts by size
+      if (cacheable) {
         this.cache.set(cacheKey, svg);
-        // Limit cache size to 20 diagrams
-        if (this.cache.size > 20) {
-          const firstKey = this.cache.keys().next().value;
-          this.cache.delete(firstKey);
-        }
       }
 
       // Post-process the SVG
@@ -110,9 +133,35 @@ class MermaidRenderer {
     }
   }
 
-  generateCacheKey(spec) {
-    // Create a cache key from spec structure
-    return `${spec.id || 'unknown'}-${spec.nodes?.length || 0}-${spec.edges?.length || 0}-${spec.layout?.type || 'flow'}`;
+  // Anything that changes the picture changes the Mermaid release, the
+  // Mermaid code or the theme config, so equal keys mean equal SVG
+  generateCacheKey(code) {
+    return this.getRenderCaches().hash(`${MermaidRenderer.mermaidVersion}\n${JSON.stringify(this.config)}\n${code}`);
+  }
+
+  // Index of pre-rendered SVGs; without one every diagram renders live
+  async loadPrerendered(baseUrl = 'rendered/') {
+    this.prerenderedBase = baseUrl;
+    try {
+      const response = await fetch(`${baseUrl}manifest.json`);
+      if (!response.ok) return;
+      this.prerendered = new Map(Object.entries((await response.json()).assets || {}));
+    } catch (error) {
+      console.warn('Pre-rendered diagrams not available:', error);
+    }
+  }
+
+  async fetchPrerendered(key) {
+    const asset = this.prerendered.get(key);
+    if (!asset) return null;
+
+    try {
+      const response = await fetch(`${this.prerenderedBase}${asset.file}`);
+      return response.ok ? await response.text() : null;
+    } catch (error) {
+      console.warn(`Pre-rendered ${asset.file} not available:`, error);
+      return null;
+    }
   }
 
   clearCache() {
@@ -146,10 +195,7 @@ class MermaidRenderer {
     }
 
     // Define participants in canonical order
-    const typeOrder = ['client', 'master', 'chunkserver', 'rack', 'switch', 'note'];
-    const sortedNodes = [...(spec.nodes || [])].sort((a, b) =>
-      typeOrder.indexOf(a.type) - typeOrder.indexOf(b.type)
-    );
+    const sortedNodes = this.sortParticipants(spec.nodes || []);
 
     for (const node of sortedNodes) {
       const icon = this.getNodeIcon(node);
@@ -190,13 +236,19 @@ class MermaidRenderer {
     return lines.join('\n');
   }
 
+  sortParticipants(nodes) {
+    const typeOrder = ['client', 'master', 'chunkserver', 'rack', 'switch', 'note'];
+    return [...nodes].sort((a, b) => typeOrder.indexOf(a.type) - typeOrder.indexOf(b.type));
+  }
+
   generateFlow(spec) {
     const lines = ['flowchart TB'];
 
     // Define nodes with shapes and styles
     for (const node of spec.nodes || []) {
       const shape = this.getNodeShape(node);
-      const style = node._highlighted ? ':::highlight' :
+      const style = node.failure ? ':::failed' :
+                   node._highlighted ? ':::highlight' :
                    node._added ? ':::added' : '';
       // Don't use icons in flowchart - they cause parsing issues with some shapes
       lines.push(`  ${node.id}${shape.open}"${node.label}"${shape.close}${style}`);
@@ -217,13 +269,14 @@ class MermaidRenderer {
     lines.push('  classDef added fill:#90EE90,stroke:#228B22,stroke-width:3px');
     lines.push('  classDef highlightEdge stroke:#FFD700,stroke-width:4px');
     lines.push('  classDef addedEdge stroke:#228B22,stroke-width:3px,stroke-dasharray: 5 5');
+    lines.push('  classDef failed fill:#FECACA,stroke:#DC2626,stroke-width:3px,stroke-dasharray: 4 2');
     lines.push('  classDef master fill:#CFE8FF,stroke:#2B6CB0,stroke-width:2px');
     lines.push('  classDef chunkserver fill:#D1FAE5,stroke:#059669,stroke-width:2px');
     lines.push('  classDef client fill:#E5E7EB,stroke:#4B5563,stroke-width:2px');
 
     // Apply type-based styles
     for (const node of spec.nodes || []) {
-      if (!node._highlighted && !node._added) {
+      if (!node.failure && !node._highlighted && !node._added) {
         lines.push(`  class ${node.id} ${node.type}`);
       }
     }
@@ -250,6 +303,13 @@ class MermaidRenderer {
       lines.push(`  ${edge.from} --> ${edge.to}${label}`);
     }
 
+    // Highlight the active state (e.g. while a simulation runs)
+    const highlighted = (spec.nodes || []).filter(n => n.type === 'state' && n._highlighted);
+    if (highlighted.length > 0) {
+      lines.push('  classDef highlight fill:#FFD700,stroke:#B8860B,stroke-width:4px');
+      highlighted.forEach(node => lines.push(`  class ${node.id} highlight`));
+    }
+
     return lines.join('\n');
   }
 
@@ -262,13 +322,15 @@ class MermaidRenderer {
 
     for (const [rackName, nodes] of racks) {
       if (rackName !== 'default') {
-        lines.push(`  subgraph ${rackName}["${rackName}"]`);
+        // Rack names may contain spaces, which Mermaid ids can't
+        lines.push(`  subgraph rack_${rackName.replace(/\W+/g, '_')}["${rackName}"]`);
       }
 
       for (const node of nodes) {
         const shape = this.getNodeShape(node);
         const icon = this.getNodeIcon(node);
-        lines.push(`    ${node.id}${shape.open}${icon}${node.label}${shape.close}`);
+        const style = node.failure ? ':::failed' : node._highlighted ? ':::highlight' : '';
+        lines.push(`    ${node.id}${shape.open}"${icon}${node.label}"${shape.close}${style}`);
       }
 
       if (rackName !== 'default') {
@@ -279,10 +341,13 @@ class MermaidRenderer {
     // Add edges
     for (const edge of spec.edges || []) {
       const arrow = this.getFlowArrow(edge);
-      const label = edge.label ? `|${edge.label}|` : '';
+      const label = edge.label ? `|${this.formatFlowchartEdgeLabel(edge)}|` : '';
       lines.push(`  ${edge.from} ${arrow}${label} ${edge.to}`);
     }
 
+    lines.push('  classDef highlight fill:#FFD700,stroke:#B8860B,stroke-width:4px');
+    lines.push('  classDef failed fill:#FECACA,stroke:#DC2626,stroke-width:3px,stroke-dasharray: 4 2');
+
     return lines.join('\n');
   }
 
@@ -375,12 +440,13 @@ class MermaidRenderer {
     // Add metrics if available (including enhanced fields)
     if (edge.metrics) {
       const metrics = [];
-      if (edge.metrics.size) metrics.push(edge.metrics.size);
-      if (edge.metrics.latency) metrics.push(edge.metrics.latency);
-      if (edge.metrics.throughput) metrics.push(`@${edge.metrics.throughput}`);
+      const text = name => this.formatMetric(edge.metrics[name]);
+      if (edge.metrics.size) metrics.push(text('size'));
+      if (edge.metrics.latency) metrics.push(text('latency'));
+      if (edge.metrics.throughput) metrics.push(`@${text('throughput')}`);
       // Enhanced metrics
-      if (edge.metrics.frequency) metrics.push(`⏰${edge.metrics.frequency}`);
-      if (edge.metrics.payload) metrics.push(`📦${edge.metrics.payload}`);
+      if (edge.metrics.frequency) metrics.push(`⏰${text('frequency')}`);
+      if (edge.metrics.payload) metrics.push(`📦${text('payload')}`);
 
       if (metrics.length > 0) {
         parts.push(`[${metrics.join(', ')}]`);
@@ -390,6 +456,42 @@ class MermaidRenderer {
     return parts.filter(Boolean).join(' ');
   }
 
+  // Metrics are free text, or expressions the metrics model has computed
+  formatMetric(metric) {
+    if (metric && typeof metric === 'object') {
+      return metric.text ?? metric.expr;
+    }
+    return metric;
+  }
+
+  // Tooltip line for a metric; computed ones also show their formula, and
+  // quantities are offered in other units
+  describeMetric(label, metric) {
+    if (!metric) return null;
+
+    const conversions = this.convertMetric(metric);
+    const converted = conversions.length > 0 ? ` ⇄ ${conversions.join(' · ')}` : '';
+    if (typeof metric !== 'object') return `${label}: ${metric}${converted}`;
+    return metric.error
+      ? `${label}: ${metric.expr} (${metric.error})`
+      : `${label}: ${this.formatMetric(metric)} (= ${metric.expr})${converted}`;
+  }
+
+  convertMetric(metric) {
+    const units = typeof Units !== 'undefined' ? Units : require('./units');
+    try {
+      const quantity = typeof metric === 'object'
+        ? metric.dimension && { min: metric.value, max: metric.value, dimension: metric.dimension, unit: metric.unit }
+        : units.parseQuantity(metric);
+      // Ranges ("2-5ms") keep their authored form
+      if (!quantity || quantity.min !== quantity.max) return [];
+      const shown = String(this.formatMetric(metric));
+      return units.convert(quantity.max, quantity.dimension, quantity.unit).filter(text => !shown.includes(text));
+    } catch (e) {
+      return [];
+    }
+  }
+
   formatFlowchartEdgeLabel(edge) {
     // Simplified label format for flowcharts (no emojis, no special chars)
     // Only use basic text to avoid Mermaid parsing conflicts
@@ -461,19 +563,19 @@ class MermaidRenderer {
 
     // Add tooltips to edges
     for (const edge of spec.edges || []) {
-      const edgeElements = svg.querySelectorAll(`[id*="${edge.id}"]`);
+      const edgeElements = this.findElements(container, edge.id);
       edgeElements.forEach(el => {
         const title = document.createElementNS('http://www.w3.org/2000/svg', 'title');
         const details = [
           edge.label,
           `Type: ${edge.kind}`,
-          edge.metrics?.size && `Size: ${edge.metrics.size}`,
-          edge.metrics?.latency && `Latency: ${edge.metrics.latency}`,
-          edge.metrics?.throughput && `Throughput: ${edge.metrics.throughput}`,
+          this.describeMetric('Size', edge.metrics?.size),
+          this.describeMetric('Latency', edge.metrics?.latency),
+          this.describeMetric('Throughput', edge.metrics?.throughput),
           // Enhanced metrics
-          edge.metrics?.frequency && `Frequency: ${edge.metrics.frequency}`,
-          edge.metrics?.payload && `Payload: ${edge.metrics.payload}`,
-          edge.metrics?.purpose && `Purpose: ${edge.metrics.purpose}`
+          this.describeMetric('Frequency', edge.metrics?.frequency),
+          this.describeMetric('Payload', edge.metrics?.payload),
+          this.describeMetric('Purpose', edge.metrics?.purpose)
         ].filter(Boolean).join('\n');
 
         title.textContent = details;
@@ -482,6 +584,23 @@ class MermaidRenderer {
     }
   }
 
+  // SVG elements drawn for a node or edge. Mermaid only puts the id
+  // somewhere inside its own element ids, so this may over-match
+  findElements(container, id) {
+    return container.querySelectorAll(`svg [id*="${id}"]`);
+  }
+
+  // The line Mermaid drew for an edge, found through Mermaid's own markup:
+  // flowchart links carry LS-<from> and LE-<to> classes, and sequence
+  // messages are drawn in the order generateSequence lists them
+  findEdgeLine(container, edge, spec) {
+    if ((spec.layout?.type || 'flow') === 'sequence') {
+      const order = Array.from(this.groupEdgesByPhase(spec.edges || []).values()).flat();
+      return container.querySelectorAll('svg .messageLine0, svg .messageLine1')[order.indexOf(edge)] || null;
+    }
+    return container.querySelector(`svg path.LS-${edge.from}.LE-${edge.to}`);
+  }
+
   addAccessibility(container, spec) {
     const svg = container.querySelector('svg');
     if (!svg) return;
@@ -511,7 +630,7 @@ class MermaidRenderer {
 
     // Add click handlers to nodes
     for (const node of spec.nodes || []) {
-      const nodeElements = svg.querySelectorAll(`[id*="${node.id}"]`);
+      const nodeElements = this.findElements(container, node.id);
       nodeElements.forEach(el => {
         el.style.cursor = 'pointer';
         el.addEventListener('click', () => {
@@ -0,0 +1,108 @@
+// Registry of semantic rules shared by the browser validator and
+// scripts/validate-all.js. A rule is { id, severity, description, check(spec) },
+// where check returns messages, or { message, pointer, severity } with the
+// JSON Pointer of the offending value and a severity for findings that differ
+// from the rule's default. A `rules` section in the manifest (course defaults)
+// or a spec maps rule ids to a severity, "off", true or false.
+class RuleRegistry {
+  constructor(rules = RuleRegistry.builtins) {
+    this.rules = new Map();
+    this.config = {};
+    rules.forEach(rule => this.register(rule));
+  }
+
+  static get severities() {
+    return ['error', 'warning', 'info'];
+  }
+
+  // Rule modules in src/rules
+  static get builtins() {
+    const load = (name, file) => typeof window !== 'undefined' && window[name] ? window[name] : require(file);
+    return [
+      ...load('StructureRules', '../rules/structure-rules'),
+      ...load('GFSRules', '../rules/gfs-rules'),
+      ...load('MetricRules', '../rules/metric-rules'),
+      ...load('ContractRules', '../rules/contract-rules'),
+      ...load('FailureRules', '../rules/failure-rules')
+    ];
+  }
+
+  register(rule) {
+    if (!rule?.id || typeof rule.check !== 'function') {
+      throw new Error('A rule needs an id and a check(spec) function');
+    }
+    if (!RuleRegistry.severities.includes(rule.severity)) {
+      throw new Error(`Rule ${rule.id}: severity must be one of ${RuleRegistry.severities.join(', ')}`);
+    }
+    this.rules.set(rule.id, rule);
+    return this;
+  }
+
+  unregister(id) {
+    this.rules.delete(id);
+    return this;
+  }
+
+  get(id) {
+    return this.rules.get(id) || null;
+  }
+
+  // Course-wide settings, usually the manifest's `rules` section
+  configure(config = {}) {
+    this.config = { ...config };
+    return this;
+  }
+
+  // Unknown rule ids and bad severities in a `rules` section, as messages
+  checkConfig(config = {}) {
+    return Object.entries(config).flatMap(([id, setting]) => [
+      ...(this.rules.has(id) ? [] : [`Unknown rule ${id}`]),
+      ...([...RuleRegistry.severities, 'off', true, false].includes(setting)
+        ? []
+        : [`Rule ${id}: setting must be error, warning, info, off, true or false`])
+    ]);
+  }
+
+  // Configured severity of a rule for a spec; null when it is off
+  getSeverity(id, spec = {}) {
+    const setting = spec.rules?.[id] ?? this.config[id] ?? true;
+    if (setting === false || setting === 'off') return null;
+    return setting === true ? true : setting;
+  }
+
+  // Findings of every enabled rule, as { rule, severity, message, pointer }
+  run(spec) {
+    return Array.from(this.rules.values()).flatMap(rule => this.runRule(rule, spec));
+  }
+
+  runRule(rule, spec) {
+    const severity = this.getSeverity(rule.id, spec);
+    if (severity === null) return [];
+
+    let results;
+    try {
+      results = rule.check(spec) || [];
+    } catch (e) {
+      return [{ rule: rule.id, severity: 'error', message: `Rule crashed: ${e.message}`, pointer: '' }];
+    }
+
+    // A configured severity applies to every finding; otherwise findings may
+    // carry their own
+    return results.map(result => {
+      const finding = typeof result === 'string' ? { message: result } : result;
+      return {
+        rule: rule.id,
+        severity: severity === true ? finding.severity || rule.severity : severity,
+        message: finding.message,
+        pointer: finding.pointer ?? ''
+      };
+    });
+  }
+}
+
+// Export for module systems, or make global
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RuleRegistry;
+} else {
+  window.RuleRegistry = RuleRegistry;
+}
\ No newline at end of file
@@ -0,0 +1,160 @@
+// Mechanical repairs behind `validate-all.js --fix`: spec ids in NN-name
+// form, a default kind on edges without one, unique edge ids, no highlights
+// of edges that exist nowhere, and keys in the canonical order. fix() returns
+// the repaired copy and what changed; stringify() writes it back keeping the
+// file's layout, so values written on one line stay on one line.
+class SpecFixer {
+  static get defaultEdgeKind() {
+    return 'control';
+  }
+
+  // Key order of the Diagram 06 example in EvolvingTechSpec.md (§8), and of
+  // its schema (§2) for parts the example leaves out. Keys not listed keep
+  // their place; listed keys are ordered among the places they occupy.
+  static get canonicalOrder() {
+    return [
+      [/^$/, ['id', 'title', 'layout', 'nodes', 'edges', 'scenes', 'overlays', 'contracts', 'drills']],
+      [/^\/layout$/, ['type']],
+      [/^(\/overlays\/\d+\/diff\/(add|modify))?\/nodes\/\d+$/, ['id', 'type', 'label', 'metadata']],
+      [/^(\/overlays\/\d+\/diff\/(add|modify))?\/edges\/\d+$/, ['id', 'from', 'to', 'kind', 'label', 'metrics']],
+      [/^\/scenes\/\d+$/, ['id', 'name', 'overlays', 'narrative']],
+      [/^\/overlays\/\d+$/, ['id', 'caption', 'diff', 'contracts']],
+      [/^\/overlays\/\d+\/diff\/(remove|highlight)$/, ['nodeIds', 'edgeIds']],
+      [/^\/contracts$/, ['invariants', 'guarantees', 'caveats']],
+      [/^\/contracts\/(invariants|guarantees|caveats)\/\d+$/, ['text', 'refs', 'check']],
+      [/^\/drills\/\d+$/, ['id', 'type', 'prompt', 'answer', 'rubric']]
+    ];
+  }
+
+  // "6_Read Path" → "06-read-path"; null when there is no safe rewrite
+  static normalizeId(id) {
+    const match = String(id).trim().match(/^(\d{1,2})[-_\s]*([A-Za-z][A-Za-z_\s-]*)$/);
+    if (!match) return null;
+    const name = match[2].toLowerCase().replace(/[_\s-]+/g, '-').replace(/-$/, '');
+    return `${match[1].padStart(2, '0')}-${name}`;
+  }
+
+  static orderKeys(object, pointer) {
+    const entry = SpecFixer.canonicalOrder.find(([pattern]) => pattern.test(pointer));
+    if (!entry) return object;
+
+    const keys = Object.keys(object);
+    const known = keys.filter(key => entry[1].includes(key));
+    const sorted = [...known].sort((a, b) => entry[1].indexOf(a) - entry[1].indexOf(b));
+    if (sorted.every((key, i) => key === known[i])) return object;
+
+    let next = 0;
+    const ordered = keys.map(key => entry[1].includes(key) ? sorted[next++] : key);
+    return Object.fromEntries(ordered.map(key => [key, object[key]]));
+  }
+
+  getSourceMaps() {
+    return typeof JsonSourceMap !== 'undefined' ? JsonSourceMap : require('./json-source');
+  }
+
+  // Repaired copy of a spec and the changes made, as { pointer, message }
+  fix(source) {
+    const sourceMaps = this.getSourceMaps();
+    const escape = sourceMaps.escape;
+    const spec = JSON.parse(JSON.stringify(source));
+    const changes = [];
+    const change = (pointer, message) => changes.push({ pointer, message });
+
+    if (typeof spec.id === 'string' && !/^[0-9]{2}-[a-z-]+$/.test(spec.id)) {
+      const id = SpecFixer.normalizeId(spec.id);
+      if (id) {
+        change('/id', `Renamed spec ${spec.id} to ${id}`);
+        spec.id = id;
+      }
+    }
+
+    const overlayEdges = (spec.overlays || []).flatMap((overlay, o) =>
+      (overlay.diff?.add?.edges || []).map((edge, j) => ({ edge, pointer: `/overlays/${o}/diff/add/edges/${j}` })));
+    const edges = [...(spec.edges || []).map((edge, i) => ({ edge, pointer: `/edges/${i}` })), ...overlayEdges];
+
+    edges.forEach(({ edge, pointer }) => {
+      if (edge && typeof edge === 'object' && edge.kind === undefined) {
+        edge.kind = SpecFixer.defaultEdgeKind;
+        change(`${pointer}/kind`, `Edge ${edge.id}: added kind ${SpecFixer.defaultEdgeKind}`);
+      }
+    });
+
+    // Later edges with a taken id get the next free "-2", "-3"... suffix;
+    // references keep meaning the first
+    const taken = new Set(edges.map(({ edge }) => edge?.id));
+    const seen = new Set();
+    (spec.edges || []).forEach((edge, i) => {
+      if (!edge?.id) return;
+      if (seen.has(edge.id)) {
+        let n = 2;
+        while (taken.has(`${edge.id}-${n}`)) n++;
+        const id = `${edge.id}-${n}`;
+        change(`/edges/${i}/id`, `Renamed duplicate edge ${edge.id} to ${id}`);
+        edge.id = id;
+        taken.add(id);
+      }
+      seen.add(edge.id);
+    });
+
+    // An edge counts when the base diagram or any overlay adds it, since
+    // scenes stack overlays
+    const edgeIds = new Set(edges.map(({ edge }) => edge?.id));
+    (spec.overlays || []).forEach((overlay, o) => {
+      const highlight = overlay.diff?.highlight;
+      if (!Array.isArray(highlight?.edgeIds)) return;
+      highlight.edgeIds.forEach(id => {
+        if (!edgeIds.has(id)) change(`/overlays/${o}/diff/highlight/edgeIds`, `Overlay ${overlay.id}: dropped highlight of missing edge ${id}`);
+      });
+      highlight.edgeIds = highlight.edgeIds.filter(id => edgeIds.has(id));
+    });
+
+    const sort = (value, pointer) => {
+      if (Array.isArray(value)) return value.map((item, i) => sort(item, `${pointer}/${i}`));
+      if (!value || typeof value !== 'object') return value;
+
+      // Only objects the author wrote out of order count as changes; keys
+      // added above simply land in their place
+      const ordered = SpecFixer.orderKeys(value, pointer);
+      const original = sourceMaps.resolve(source, pointer);
+      if (original && SpecFixer.orderKeys(original, pointer) !== original) {
+        change(pointer, `Sorted keys of ${pointer || 'the spec'} into canonical order`);
+      }
+      return Object.fromEntries(Object.entries(ordered).map(([key, child]) => [key, sort(child, `${pointer}/${escape(key)}`)]));
+    };
+
+    return { spec: sort(spec, ''), changes };
+  }
+
+  // JSON text of a value with two-space indentation; containers that the
+  // source map shows on one line are written as [a, b] and { "k": v }
+  stringify(value, sourceMap = null, newline = true) {
+    const escape = this.getSourceMaps().escape;
+    const write = (current, pointer, indent) => {
+      if (!current || typeof current !== 'object') return JSON.stringify(current);
+
+      const entries = Array.isArray(current)
+        ? current.map((item, i) => [null, item, `${pointer}/${i}`])
+        : Object.entries(current).map(([key, item]) => [key, item, `${pointer}/${escape(key)}`]);
+      const [open, close] = Array.isArray(current) ? ['[', ']'] : ['{', '}'];
+      if (entries.length === 0) return open + close;
+
+      const member = ([key, item, path], inner) => `${key === null ? '' : `${JSON.stringify(key)}: `}${write(item, path, inner)}`;
+      if (sourceMap?.isInline(pointer)) {
+        const items = entries.map(entry => member(entry, indent)).join(', ');
+        return Array.isArray(current) ? `[${items}]` : `{ ${items} }`;
+      }
+
+      const inner = `${indent}  `;
+      return `${open}\n${entries.map(entry => inner + member(entry, inner)).join(',\n')}\n${indent}${close}`;
+    };
+
+    return write(value, '', '') + (newline ? '\n' : '');
+  }
+}
+
+// Export for module systems, or make global
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SpecFixer;
+} else {
+  window.SpecFixer = SpecFixer;
+}
\ No newline at end of file
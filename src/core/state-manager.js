@@ -1,6 +1,6 @@
 /**
  * Unified State Manager
- * Combines steps, overlays, and scenes into a single state system
+ * Combines scenes, overlays and simulation replays into a single state system
  */
 class StateManager {
   constructor() {
@@ -15,9 +15,11 @@ class StateManager {
 
   /**
    * Initialize from spec data
-   * Converts old format (steps/scenes/overlays) to unified states
+   * Older spec versions are migrated first, so legacy steps arrive as scenes
    */
-  initialize(spec) {
+  initialize(source) {
+    const Migrator = typeof SpecMigrator !== 'undefined' ? SpecMigrator : require('./migrations');
+    const spec = new Migrator().migrate(source).spec;
     this.states = [];
     this.layers.clear();
 
@@ -33,30 +35,23 @@ class StateManager {
       });
     }
 
-    // Convert steps to sequential states (if they exist)
-    if (spec.steps && spec.steps.length > 0) {
-      const totalSteps = spec.steps.length;
-      spec.steps.forEach((step, index) => {
-        const position = totalSteps > 1 ? (index / (totalSteps - 1)) * 100 : 50;
-
-        // Determine active layers from step overlays
-        const activeLayers = new Set();
-        if (step.overlays) {
-          step.overlays.forEach(overlayId => activeLayers.add(overlayId));
-        }
-
+    // Replay steps from a simulation become sequential states
+    if (spec._simulation?.replay?.length > 0) {
+      const totalSteps = spec._simulation.replay.length;
+      spec._simulation.replay.forEach((step, index) => {
         this.states.push({
-          id: `step-${index}`,
+          id: step.id,
           type: 'sequential',
-          position: position,
-          layers: activeLayers,
-          caption: step.caption || `Step ${index + 1}`,
+          position: totalSteps > 1 ? (index / (totalSteps - 1)) * 100 : 50,
+          layers: new Set(step.overlays || []),
+          caption: step.caption,
           narrative: step.narrative || '',
-          index: index
+          index: index,
+          replay: step
         });
       });
     }
-    // If no steps but we have scenes, create sequential states from scenes
+    // Otherwise scenes become sequential states
     else if (spec.scenes && spec.scenes.length > 0) {
       // First, add an initial state with no overlays
       this.states.push({
@@ -79,14 +74,14 @@ class StateManager {
           type: 'sequential',
           position: position,
           layers: new Set(scene.overlays || []),
-          caption: scene.title || scene.name || `Scene ${index + 1}`,
+          caption: scene.name || `Scene ${index + 1}`,
           narrative: scene.narrative || '',
           index: index + 1,
           isScene: true
         });
       });
     }
-    // If we have neither steps nor scenes, create states from overlays
+    // Without scenes, each overlay becomes a state
     else if (spec.overlays && spec.overlays.length > 0) {
       // Initial state with no overlays
       this.states.push({
@@ -0,0 +1,602 @@
+// Draws a spec straight to SVG instead of going through Mermaid. Every node
+// and edge is a group carrying data-node-id or data-edge-id, placed where a
+// deterministic layout puts it: flow diagrams are layered (ranks by longest
+// path, order within a rank by barycenter), sequence diagrams get a lifeline
+// column per participant and a row per message, and other layout types are
+// drawn layered. Specs choose it with "layout": { "renderer": "svg" }.
+class SvgRenderer extends (typeof MermaidRenderer !== 'undefined' ? MermaidRenderer : require('./renderer')) {
+  constructor() {
+    super();
+    this.shown = new Map(); // containerId -> { spec, layout } drawn there last
+  }
+
+  static get geometry() {
+    return {
+      margin: 24,
+      nodeHeight: 44,
+      minNodeWidth: 96,
+      charWidth: 7.5,
+      rankGap: 72,
+      nodeGap: 40,
+      columnGap: 40,
+      rowGap: 48,
+      lineHeight: 18,
+      phaseGap: 28,
+      parallelGap: 12
+    };
+  }
+
+  static get shapes() {
+    return {
+      master: 'hexagon',
+      rack: 'hexagon',
+      chunkserver: 'cylinder',
+      switch: 'pill',
+      event: 'pill',
+      state: 'rounded'
+    };
+  }
+
+  // The fills and strokes of generateFlow's classDefs
+  static get nodeStyles() {
+    return {
+      highlight: { fill: '#FFD700', stroke: '#B8860B', width: 4 },
+      added: { fill: '#90EE90', stroke: '#228B22', width: 3 },
+      failed: { fill: '#FECACA', stroke: '#DC2626', width: 3, dash: '4 2' },
+      master: { fill: '#CFE8FF', stroke: '#2B6CB0', width: 2 },
+      chunkserver: { fill: '#D1FAE5', stroke: '#059669', width: 2 },
+      client: { fill: '#E5E7EB', stroke: '#4B5563', width: 2 }
+    };
+  }
+
+  static get transitionMs() {
+    return 400;
+  }
+
+  static prefersReducedMotion() {
+    return typeof window !== 'undefined' && typeof window.matchMedia === 'function' &&
+      window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+  }
+
+  static escape(text) {
+    return String(text ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  // Nothing to load: the SVG is built here
+  async initialize() {
+    this.initialized = true;
+  }
+
+  async render(spec, containerId = this.containerId) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    const container = document.getElementById(containerId);
+    if (!container) {
+      console.error(`Container ${containerId} not found`);
+      return null;
+    }
+
+    try {
+      // Redrawing the same diagram (another overlay, scene or step) keeps
+      // the nodes where they were and animates the difference
+      const previous = this.shown.get(containerId);
+      const shown = container.querySelector('svg.svg-diagram');
+      const anchor = previous?.spec.id === spec.id && shown ? previous : null;
+
+      const layout = this.layout(spec, anchor?.layout);
+      const svg = this.generateSvg(spec, containerId, layout);
+      container.innerHTML = svg;
+      this.shown.set(containerId, { spec, layout });
+
+      if (anchor && !SvgRenderer.prefersReducedMotion()) {
+        this.transition(container, shown, anchor, { spec, layout });
+      }
+      this.postProcess(container, spec);
+      return svg;
+    } catch (error) {
+      console.error('Failed to render diagram:', error);
+      container.innerHTML = `<div class="error">Failed to render diagram: ${SvgRenderer.escape(error.message)}</div>`;
+      return null;
+    }
+  }
+
+  findElements(container, id) {
+    const value = String(id).replace(/["\\]/g, '\\$&');
+    return container.querySelectorAll(`svg [data-node-id="${value}"], svg [data-edge-id="${value}"]`);
+  }
+
+  getComposer() {
+    const Composer = typeof SceneComposer !== 'undefined' ? SceneComposer : require('./composer');
+    return new Composer();
+  }
+
+  // Animate from the picture that was shown (old, drawn from before) to the
+  // one now in the container. The composer's diff says what was added and
+  // removed: added nodes and edges fade in, removed ones fade out where
+  // they were, kept ones that moved glide there and changed labels
+  // cross-fade.
+  transition(container, old, before, after) {
+    const svg = container.querySelector('svg.svg-diagram');
+    if (!svg || typeof svg.animate !== 'function') return;
+
+    const duration = SvgRenderer.transitionMs;
+    const easing = 'ease-in-out';
+    const diff = this.getComposer().calculateDiff(before.spec, after.spec);
+    const find = (root, attribute, id) => Array.from(root.querySelectorAll(`[${attribute}]`)).find(el => el.getAttribute(attribute) === id);
+    const fade = (el, from, to) => el.animate([{ opacity: from }, { opacity: to }], { duration, easing, fill: to === 0 ? 'forwards' : 'none' });
+
+    diff.add.nodes.forEach(node => {
+      [find(svg, 'data-node-id', node.id), find(svg, 'data-lifeline', node.id)].filter(Boolean).forEach(el => fade(el, 0, 1));
+    });
+    diff.add.edges.forEach(edge => {
+      const el = find(svg, 'data-edge-id', edge.id);
+      if (el) fade(el, 0, 1);
+    });
+
+    // Copies of what was removed, on top, without the ids lookups use
+    const leaving = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+    leaving.setAttribute('class', 'svg-leaving');
+    leaving.style.pointerEvents = 'none';
+    [
+      ...diff.remove.edgeIds.map(id => find(old, 'data-edge-id', id)),
+      ...diff.remove.nodeIds.flatMap(id => [find(old, 'data-lifeline', id), find(old, 'data-node-id', id)])
+    ].filter(Boolean).forEach(el => {
+      const copy = el.cloneNode(true);
+      ['data-node-id', 'data-edge-id', 'data-lifeline'].forEach(attribute => copy.removeAttribute(attribute));
+      leaving.appendChild(copy);
+    });
+    if (leaving.childNodes.length > 0) {
+      svg.appendChild(leaving);
+      fade(leaving, 1, 0).onfinish = () => leaving.remove();
+    }
+
+    const glide = (el, [dx, dy], [x, y] = [0, 0]) => el.animate([
+      { transform: `translate(${x + dx}px, ${y + dy}px)` },
+      { transform: `translate(${x}px, ${y}px)` }
+    ], { duration, easing });
+    const beforeNodes = new Map(before.layout.nodes.map(box => [box.id, box]));
+    const beforeEdges = new Map(before.layout.edges.map(route => [route.id, route]));
+
+    after.layout.nodes.filter(box => beforeNodes.has(box.id)).forEach(box => {
+      const was = beforeNodes.get(box.id);
+      const el = find(svg, 'data-node-id', box.id);
+      if (el && (was.x !== box.x || was.y !== box.y)) glide(el, [was.x - box.x, was.y - box.y], [box.x, box.y]);
+    });
+
+    // Edges that only shifted glide; reshaped ones fade in anew
+    after.layout.edges.filter(route => beforeEdges.has(route.id)).forEach(route => {
+      const was = beforeEdges.get(route.id).points;
+      const el = find(svg, 'data-edge-id', route.id);
+      if (!el) return;
+      const [dx, dy] = [was[0][0] - route.points[0][0], was[0][1] - route.points[0][1]];
+      const shifted = was.length === route.points.length && was.every(([x, y], i) => x - route.points[i][0] === dx && y - route.points[i][1] === dy);
+      if (!shifted) {
+        fade(el, 0, 1);
+      } else if (dx !== 0 || dy !== 0) {
+        glide(el, [dx, dy]);
+      }
+    });
+
+    // Labels of kept elements that read differently now (modified, or
+    // renumbered) cross-fade from the old text, left where it was
+    [...svg.querySelectorAll('[data-node-id], [data-edge-id]')].forEach(el => {
+      const attribute = el.hasAttribute('data-node-id') ? 'data-node-id' : 'data-edge-id';
+      const was = find(old, attribute, el.getAttribute(attribute));
+      const text = el.querySelector('text');
+      const oldText = was?.querySelector('text');
+      if (!text || !oldText || text.textContent === oldText.textContent) return;
+
+      const copy = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+      if (was.hasAttribute('transform')) copy.setAttribute('transform', was.getAttribute('transform'));
+      copy.style.pointerEvents = 'none';
+      copy.appendChild(oldText.cloneNode(true));
+      svg.appendChild(copy);
+      fade(copy, 1, 0).onfinish = () => copy.remove();
+      fade(text, 0, 1);
+    });
+  }
+
+  findEdgeLine(container, edge) {
+    const group = Array.from(this.findElements(container, edge.id)).find(el => el.getAttribute('data-edge-id') === edge.id);
+    return group?.querySelector('path') || null;
+  }
+
+  // { type, width, height, nodes, edges, phases }: nodes are boxes
+  // { id, node, x, y, width, height }, edges { id, edge, points, label }
+  // with points from the start to the end of the line. Given the layout of
+  // the picture shown before, nodes it had keep their boxes.
+  layout(spec, anchor = null) {
+    return spec.layout?.type === 'sequence' ? this.layoutSequence(spec, anchor) : this.layoutLayered(spec, anchor);
+  }
+
+  // Labels break at newlines, written either way
+  lines(label) {
+    return String(label ?? '').split(/\n|\\n/);
+  }
+
+  nodeWidth(label) {
+    const { minNodeWidth, charWidth } = SvgRenderer.geometry;
+    const longest = Math.max(...this.lines(label).map(line => line.length));
+    return Math.max(minNodeWidth, Math.ceil(longest * charWidth) + 32);
+  }
+
+  nodeHeight(label) {
+    const { nodeHeight, lineHeight } = SvgRenderer.geometry;
+    return Math.max(nodeHeight, this.lines(label).length * lineHeight + 20);
+  }
+
+  // Boxes of nodes the anchor layout had stay as they were; new boxes join
+  // the right end of the row they would share with kept ones
+  pin(boxes, anchor, gap = SvgRenderer.geometry.nodeGap) {
+    if (!anchor) return boxes;
+
+    const previous = new Map(anchor.nodes.map(box => [box.id, box]));
+    const placed = boxes
+      .filter(box => previous.has(box.id))
+      .map(box => {
+        const { x, y, width, height } = previous.get(box.id);
+        return { ...box, x, y, width, height };
+      });
+
+    boxes.filter(box => !previous.has(box.id)).forEach(box => {
+      const level = placed.filter(other => other.y < box.y + box.height && box.y < other.y + other.height);
+      placed.push(level.length === 0 ? box : { ...box, x: Math.max(...level.map(other => other.x + other.width)) + gap });
+    });
+
+    return boxes.map(box => placed.find(other => other.id === box.id));
+  }
+
+  // Size of the picture: everything drawn plus the margin
+  bounds(boxes, edges, bottom = 0) {
+    const { margin } = SvgRenderer.geometry;
+    const xs = [...boxes.map(b => b.x + b.width), ...edges.flatMap(e => e.points.map(([x]) => x))];
+    const ys = [...boxes.map(b => b.y + b.height), ...edges.flatMap(e => e.points.map(([, y]) => y)), bottom];
+    return { width: Math.max(0, ...xs) + margin, height: Math.max(0, ...ys) + margin };
+  }
+
+  layoutLayered(spec, anchor = null) {
+    const { margin, rankGap, nodeGap, parallelGap } = SvgRenderer.geometry;
+    const nodes = spec.nodes || [];
+    const byId = new Map(nodes.map(n => [n.id, n]));
+    const edges = (spec.edges || []).filter(e => byId.has(e.from) && byId.has(e.to));
+
+    const ranks = this.rankNodes(nodes, edges);
+    const layers = this.orderLayers(nodes, edges, ranks);
+
+    const widths = new Map(nodes.map(n => [n.id, this.nodeWidth(n.label)]));
+    const heights = new Map(nodes.map(n => [n.id, this.nodeHeight(n.label)]));
+    const layerWidth = layer => layer.reduce((sum, id) => sum + widths.get(id), 0) + nodeGap * (layer.length - 1);
+    const width = Math.max(0, ...layers.map(layerWidth));
+
+    const fresh = [];
+    let y = margin;
+    layers.forEach(layer => {
+      const rowHeight = Math.max(...layer.map(id => heights.get(id)));
+      let x = margin + (width - layerWidth(layer)) / 2;
+      layer.forEach(id => {
+        fresh.push({ id, node: byId.get(id), x, y: y + (rowHeight - heights.get(id)) / 2, width: widths.get(id), height: heights.get(id) });
+        x += widths.get(id) + nodeGap;
+      });
+      y += rowHeight + rankGap;
+    });
+    const placed = this.pin(fresh, anchor);
+    const boxes = new Map(placed.map(box => [box.id, box]));
+
+    // Edges between the same two nodes are drawn side by side
+    const pairKey = edge => [edge.from, edge.to].sort().join('\u0000');
+    const pairs = new Map();
+    edges.forEach(edge => pairs.set(pairKey(edge), [...(pairs.get(pairKey(edge)) || []), edge]));
+
+    const routed = edges.map(edge => {
+      const from = boxes.get(edge.from);
+      const to = boxes.get(edge.to);
+      const pair = pairs.get(pairKey(edge));
+      const offset = (pair.indexOf(edge) - (pair.length - 1) / 2) * parallelGap;
+      const points = this.route(from, to, offset, this.detour(from, to, placed));
+      return { id: edge.id, edge, points, label: this.midpoint(points) };
+    });
+
+    return {
+      type: spec.layout?.type || 'flow',
+      ...this.bounds(placed, routed),
+      nodes: placed,
+      edges: routed,
+      phases: []
+    };
+  }
+
+  // Rank of each node: the longest path to it from a source, once the edges
+  // that close a cycle (found depth first, in spec order) are left out
+  rankNodes(nodes, edges) {
+    const outgoing = new Map(nodes.map(n => [n.id, []]));
+    edges.filter(e => e.from !== e.to).forEach(e => outgoing.get(e.from).push(e));
+
+    const visiting = new Set();
+    const visited = new Set();
+    const incoming = new Map(nodes.map(n => [n.id, []]));
+    const visit = id => {
+      visiting.add(id);
+      outgoing.get(id).forEach(edge => {
+        if (visiting.has(edge.to)) return;
+        incoming.get(edge.to).push(edge.from);
+        if (!visited.has(edge.to)) visit(edge.to);
+      });
+      visiting.delete(id);
+      visited.add(id);
+    };
+    nodes.forEach(n => {
+      if (!visited.has(n.id)) visit(n.id);
+    });
+
+    const ranks = new Map();
+    const rankOf = id => {
+      if (!ranks.has(id)) {
+        ranks.set(id, Math.max(0, ...incoming.get(id).map(from => rankOf(from) + 1)));
+      }
+      return ranks.get(id);
+    };
+    nodes.forEach(n => rankOf(n.id));
+    return ranks;
+  }
+
+  // Node ids by rank, each rank ordered by the mean position of its
+  // neighbours in the rank above, then below, a few times over; ties keep
+  // the order they had, which starts as spec order
+  orderLayers(nodes, edges, ranks) {
+    const layers = [];
+    nodes.forEach(n => {
+      const rank = ranks.get(n.id);
+      layers[rank] = [...(layers[rank] || []), n.id];
+    });
+
+    const neighbours = new Map(nodes.map(n => [n.id, []]));
+    edges.filter(e => e.from !== e.to).forEach(e => {
+      neighbours.get(e.from).push(e.to);
+      neighbours.get(e.to).push(e.from);
+    });
+
+    const reorder = (layer, reference) => {
+      const position = new Map(reference.map((id, i) => [id, i]));
+      return layer
+        .map((id, i) => {
+          const placed = neighbours.get(id).filter(other => position.has(other)).map(other => position.get(other));
+          return { id, i, key: placed.length > 0 ? placed.reduce((a, b) => a + b, 0) / placed.length : i };
+        })
+        .sort((a, b) => a.key - b.key || a.i - b.i)
+        .map(entry => entry.id);
+    };
+
+    for (let sweep = 0; sweep < 4; sweep++) {
+      for (let rank = 1; rank < layers.length; rank++) layers[rank] = reorder(layers[rank], layers[rank - 1]);
+      for (let rank = layers.length - 2; rank >= 0; rank--) layers[rank] = reorder(layers[rank], layers[rank + 1]);
+    }
+    return layers;
+  }
+
+  // The x at which an edge passes the boxes between its ends, when a
+  // straight line would cross one; null when nothing is in the way
+  detour(from, to, boxes) {
+    const [upper, lower] = from.y < to.y ? [from, to] : [to, from];
+    const left = Math.min(from.x + from.width / 2, to.x + to.width / 2);
+    const right = Math.max(from.x + from.width / 2, to.x + to.width / 2);
+    const between = boxes.filter(box => box.y >= upper.y + upper.height && box.y + box.height <= lower.y);
+    if (!between.some(box => box.x < right && box.x + box.width > left)) return null;
+
+    const { nodeGap } = SvgRenderer.geometry;
+    const outerLeft = Math.min(...between.map(box => box.x)) - nodeGap / 2;
+    const outerRight = Math.max(...between.map(box => box.x + box.width)) + nodeGap / 2;
+    const middle = (left + right) / 2;
+    return middle - outerLeft <= outerRight - middle ? outerLeft : outerRight;
+  }
+
+  // Points of an edge between two boxes, passing skipped boxes at detour
+  route(from, to, offset, detour = null) {
+    const centre = box => [box.x + box.width / 2, box.y + box.height / 2];
+
+    if (from === to) {
+      const [, y] = centre(from);
+      const right = from.x + from.width;
+      return [[right, y - 10], [right + 30, y - 10], [right + 30, y + 10], [right, y + 10]];
+    }
+
+    // Side by side when the boxes share a row
+    if (from.y < to.y + to.height && to.y < from.y + from.height) {
+      const [fromX, fromY] = centre(from);
+      const [toX] = centre(to);
+      const side = toX > fromX ? 1 : -1;
+      return [
+        [fromX + side * from.width / 2, fromY + offset],
+        [toX - side * to.width / 2, fromY + offset]
+      ];
+    }
+
+    const down = to.y > from.y;
+    const start = [from.x + from.width / 2 + offset, down ? from.y + from.height : from.y];
+    const end = [to.x + to.width / 2 + offset, down ? to.y : to.y + to.height];
+    if (detour === null) return [start, end];
+
+    const turn = (down ? 1 : -1) * SvgRenderer.geometry.rankGap / 2;
+    return [start, [detour + offset, start[1] + turn], [detour + offset, end[1] - turn], end];
+  }
+
+  // Where an edge's label goes; beside loops and detours it reads inwards
+  midpoint(points) {
+    if (points.length > 2) {
+      const inwards = points[1][0] < points[0][0];
+      return { x: points[1][0] + (inwards ? 6 : -6), y: (points[1][1] + points[2][1]) / 2, anchor: inwards ? 'start' : 'end' };
+    }
+    const [[x1, y1], [x2, y2]] = points;
+    return { x: (x1 + x2) / 2, y: (y1 + y2) / 2, anchor: 'middle' };
+  }
+
+  // Participants in generateSequence's order, each with a lifeline; messages
+  // one row each, in phase order like the Mermaid diagram. Participants new
+  // since the anchor layout join on the right.
+  layoutSequence(spec, anchor = null) {
+    const { margin, columnGap, rowGap, phaseGap } = SvgRenderer.geometry;
+    const participants = this.sortParticipants(spec.nodes || []);
+    const labels = new Map(participants.map(n => [n.id, `${this.getNodeIcon(n)}${n.label}`]));
+    const columnWidth = Math.max(0, ...participants.map(n => this.nodeWidth(labels.get(n.id))));
+    const headerHeight = Math.max(0, ...participants.map(n => this.nodeHeight(labels.get(n.id))));
+
+    const placed = this.pin(participants.map((node, i) => ({
+      id: node.id,
+      node,
+      x: margin + i * (columnWidth + columnGap),
+      y: margin,
+      width: columnWidth,
+      height: headerHeight
+    })), anchor, columnGap);
+    const boxes = new Map(placed.map(box => [box.id, box]));
+    const lineX = id => boxes.get(id).x + boxes.get(id).width / 2;
+
+    const edges = [];
+    const phases = [];
+    let y = Math.max(margin, ...placed.map(box => box.y + box.height));
+    for (const [name, members] of this.groupEdgesByPhase(spec.edges || [])) {
+      const drawn = members.filter(e => boxes.has(e.from) && boxes.has(e.to));
+      if (drawn.length === 0) continue;
+
+      const top = y + rowGap / 2;
+      if (name !== 'default') y += phaseGap;
+      drawn.forEach(edge => {
+        y += rowGap;
+        const points = edge.from === edge.to
+          ? [[lineX(edge.from), y - 10], [lineX(edge.from) + 30, y - 10], [lineX(edge.from) + 30, y + 10], [lineX(edge.from), y + 10]]
+          : [[lineX(edge.from), y], [lineX(edge.to), y]];
+        edges.push({ id: edge.id, edge, points, label: { x: (points[0][0] + points[1][0]) / 2, y: y - 8, anchor: 'middle' } });
+      });
+      if (name !== 'default') phases.push({ name, y: top, height: y + rowGap / 2 - top });
+    }
+
+    return {
+      type: 'sequence',
+      ...this.bounds(placed, edges, y + rowGap),
+      nodes: placed,
+      edges,
+      phases,
+      labels
+    };
+  }
+
+  nodeStyle(node) {
+    const styles = SvgRenderer.nodeStyles;
+    const state = node.failure ? 'failed' : node._highlighted ? 'highlight' : node._added ? 'added' : null;
+    const { primaryColor, primaryBorderColor } = this.config.themeVariables;
+    return { state, ...(styles[state] || styles[node.type] || { fill: primaryColor, stroke: primaryBorderColor, width: 1.5 }) };
+  }
+
+  // Line styles follow getFlowArrow: data is thick, cache and heartbeat
+  // dotted; highlighted and added edges use their classDef colours
+  edgeStyle(edge) {
+    const state = edge._highlighted ? 'highlight' : edge._added ? 'added' : null;
+    const base = {
+      stroke: this.config.themeVariables.lineColor,
+      width: edge.kind === 'data' ? 3 : 1.5,
+      dash: edge.kind === 'cache' ? '3 3' : edge.kind === 'heartbeat' ? '6 4' : null
+    };
+    if (state === 'highlight') return { ...base, state, stroke: '#FFD700', width: 4 };
+    if (state === 'added') return { ...base, state, stroke: '#228B22', width: 3, dash: '5 5' };
+    return { ...base, state: null };
+  }
+
+  shape(type, width, height, style) {
+    const paint = `fill="${style.fill}" stroke="${style.stroke}" stroke-width="${style.width}"${style.dash ? ` stroke-dasharray="${style.dash}"` : ''}`;
+    const inset = height / 4;
+    const lip = 6;
+
+    switch (SvgRenderer.shapes[type]) {
+      case 'hexagon':
+        return `<polygon points="${inset},0 ${width - inset},0 ${width},${height / 2} ${width - inset},${height} ${inset},${height} 0,${height / 2}" ${paint}/>`;
+      case 'cylinder':
+        return `<path d="M0,${lip} A${width / 2},${lip} 0 0 1 ${width},${lip} V${height - lip} A${width / 2},${lip} 0 0 1 0,${height - lip} Z M0,${lip} A${width / 2},${lip} 0 0 0 ${width},${lip}" ${paint}/>`;
+      case 'pill':
+        return `<rect width="${width}" height="${height}" rx="${height / 2}" ${paint}/>`;
+      case 'rounded':
+        return `<rect width="${width}" height="${height}" rx="10" ${paint}/>`;
+      default:
+        return `<rect width="${width}" height="${height}" rx="4" ${paint}/>`;
+    }
+  }
+
+  path(points) {
+    if (points.length !== 2) {
+      return `M${points.map(([x, y]) => `${x},${y}`).join(' L')}`;
+    }
+
+    const [[x1, y1], [x2, y2]] = points;
+    if (y1 === y2) return `M${x1},${y1} L${x2},${y2}`;
+    const bend = (y1 + y2) / 2;
+    return `M${x1},${y1} C${x1},${bend} ${x2},${bend} ${x2},${y2}`;
+  }
+
+  // The SVG markup for a spec; prefix keeps marker ids apart when several
+  // diagrams share a page
+  generateSvg(spec, prefix = 'diagram', layout = this.layout(spec)) {
+    const esc = SvgRenderer.escape;
+    const id = String(prefix).replace(/[^\w-]/g, '-');
+    const sequence = layout.type === 'sequence';
+    const numbered = sequence && spec.layout?.numbered !== false;
+    const { lineColor, primaryTextColor } = this.config.themeVariables;
+    const markerColours = { arrow: lineColor, highlight: '#FFD700', added: '#228B22' };
+
+    const markers = Object.entries(markerColours).map(([name, colour]) =>
+      `<marker id="${id}-${name}" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="8" markerHeight="8" orient="auto-start-reverse">` +
+      `<path d="M0,0 L10,5 L0,10 z" fill="${colour}"/></marker>`);
+
+    const phases = layout.phases.map(phase =>
+      `<g class="phase"><rect x="${SvgRenderer.geometry.margin / 2}" y="${phase.y}" width="${layout.width - SvgRenderer.geometry.margin}" height="${phase.height}" fill="rgba(${this.getPhaseColor(phase.name)})"/>` +
+      `<text x="${SvgRenderer.geometry.margin}" y="${phase.y + 16}" font-size="12" font-weight="600" fill="${primaryTextColor}">${esc(phase.name)}</text></g>`);
+
+    const lifelines = sequence
+      ? layout.nodes.map(box => {
+        const x = box.x + box.width / 2;
+        return `<line class="lifeline" data-lifeline="${esc(box.id)}" x1="${x}" y1="${box.y + box.height}" x2="${x}" y2="${layout.height - SvgRenderer.geometry.margin}" stroke="${lineColor}" stroke-dasharray="4 4"/>`;
+      })
+      : [];
+
+    const edges = layout.edges.map(({ edge, points, label }, i) => {
+      const style = this.edgeStyle(edge);
+      const marker = `url(#${id}-${style.state || 'arrow'})`;
+      const text = sequence ? this.formatEdgeLabel(edge) : edge.label || '';
+      const shown = numbered ? `${i + 1}. ${text}` : text;
+      return `<g class="edge edge-${esc(edge.kind || 'control')}${style.state ? ` edge-${style.state}` : ''}" data-edge-id="${esc(edge.id)}" data-from="${esc(edge.from)}" data-to="${esc(edge.to)}">` +
+        `<path d="${this.path(points)}" fill="none" stroke="${style.stroke}" stroke-width="${style.width}"${style.dash ? ` stroke-dasharray="${style.dash}"` : ''} marker-end="${marker}"${edge.kind === 'bidirectional' ? ` marker-start="${marker}"` : ''}/>` +
+        (shown ? `<text x="${label.x}" y="${label.y}" text-anchor="${label.anchor}" font-size="12" fill="${primaryTextColor}" stroke="#FFFFFF" stroke-width="3" paint-order="stroke">${esc(shown)}</text>` : '') +
+        '</g>';
+    });
+
+    const nodes = layout.nodes.map(box => {
+      const style = this.nodeStyle(box.node);
+      const label = this.lines(layout.labels?.get(box.id) ?? box.node.label);
+      const { lineHeight } = SvgRenderer.geometry;
+      return `<g class="node node-${esc(box.node.type || 'note')}${style.state ? ` node-${style.state}` : ''}" data-node-id="${esc(box.id)}" transform="translate(${box.x},${box.y})">` +
+        this.shape(box.node.type, box.width, box.height, style) +
+        `<text text-anchor="middle" dominant-baseline="central" font-size="14" fill="${primaryTextColor}">` +
+        label.map((line, i) => `<tspan x="${box.width / 2}" y="${box.height / 2 + (i - (label.length - 1) / 2) * lineHeight}">${esc(line)}</tspan>`).join('') +
+        '</text>' +
+        '</g>';
+    });
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" class="svg-diagram" data-layout="${esc(layout.type)}" viewBox="0 0 ${layout.width} ${layout.height}" width="${layout.width}" height="${layout.height}" style="max-width: 100%;">` +
+      `<defs>${markers.join('')}</defs>` +
+      phases.join('') +
+      lifelines.join('') +
+      `<g class="edges">${edges.join('')}</g>` +
+      `<g class="nodes">${nodes.join('')}</g>` +
+      '</svg>';
+  }
+}
+
+// Export for module systems, or make global
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SvgRenderer;
+} else {
+  window.SvgRenderer = SvgRenderer;
+}
\ No newline at end of file
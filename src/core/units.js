@@ -0,0 +1,201 @@
+// Physical units for diagram metrics. Quantities are stored in base units
+// (bytes and seconds); a dimension is the pair of exponents { B, s }.
+class Units {
+  static get dimensions() {
+    return {
+      count: { B: 0, s: 0 },
+      size: { B: 1, s: 0 },
+      time: { B: 0, s: 1 },
+      rate: { B: 1, s: -1 },
+      frequency: { B: 0, s: -1 }
+    };
+  }
+
+  // Unit -> [factor to base units, dimension]. Data sizes are binary, as in
+  // the GFS paper; link speeds in bits per second are decimal.
+  static get table() {
+    const KB = 1024;
+    return {
+      '': [1, 'count'], x: [1, 'count'],
+      B: [1, 'size'], bytes: [1, 'size'], byte: [1, 'size'],
+      KB: [KB, 'size'], MB: [KB ** 2, 'size'], GB: [KB ** 3, 'size'], TB: [KB ** 4, 'size'], PB: [KB ** 5, 'size'],
+      KiB: [KB, 'size'], MiB: [KB ** 2, 'size'], GiB: [KB ** 3, 'size'], TiB: [KB ** 4, 'size'], PiB: [KB ** 5, 'size'],
+      ns: [1e-9, 'time'], us: [1e-6, 'time'], 'µs': [1e-6, 'time'], ms: [1e-3, 'time'],
+      s: [1, 'time'], sec: [1, 'time'], min: [60, 'time'], h: [3600, 'time'], d: [86400, 'time'],
+      milliseconds: [1e-3, 'time'], millisecond: [1e-3, 'time'], seconds: [1, 'time'], second: [1, 'time'],
+      secs: [1, 'time'], minutes: [60, 'time'], minute: [60, 'time'], mins: [60, 'time'],
+      hours: [3600, 'time'], hour: [3600, 'time'], hr: [3600, 'time'], days: [86400, 'time'], day: [86400, 'time'],
+      bps: [1 / 8, 'rate'], Kbps: [1e3 / 8, 'rate'], Mbps: [1e6 / 8, 'rate'], Gbps: [1e9 / 8, 'rate'],
+      Hz: [1, 'frequency']
+    };
+  }
+
+  // Units picked when formatting, smallest first
+  static get scales() {
+    return {
+      size: ['B', 'KB', 'MB', 'GB', 'TB', 'PB'],
+      time: ['ns', 'µs', 'ms', 's', 'min', 'h', 'd'],
+      rate: ['B/s', 'KB/s', 'MB/s', 'GB/s', 'TB/s'],
+      frequency: ['/h', '/min', '/s'],
+      count: ['']
+    };
+  }
+
+  // Units offered as conversions in tooltips
+  static get conversions() {
+    return {
+      size: ['B', 'KB', 'MB', 'GB', 'TB'],
+      time: ['µs', 'ms', 's', 'min', 'h'],
+      rate: ['KB/s', 'MB/s', 'GB/s', 'Mbps', 'Gbps'],
+      frequency: ['/s', '/min', '/h', '/d'],
+      count: []
+    };
+  }
+
+  // "MB", "MB/s", "/s", "req/s", "bytes/chunk" -> { factor, dimension }; unknown units throw
+  static parse(unit = '') {
+    const text = String(unit).trim();
+    const table = Units.table;
+    if (Object.prototype.hasOwnProperty.call(table, text)) {
+      const [factor, name] = table[text];
+      return { factor, dimension: { ...Units.dimensions[name] } };
+    }
+
+    const slash = text.indexOf('/');
+    if (slash !== -1) {
+      // A word on either side that is not a unit ("req/s", "bytes/chunk") counts events
+      const isUnit = part => Object.prototype.hasOwnProperty.call(table, part) || part.includes('/');
+      const side = part => Units.parse(isUnit(part) || !/^[A-Za-z]{2,}$/.test(part) ? part : '');
+      const numerator = side(text.slice(0, slash).trim());
+      const denominator = side(text.slice(slash + 1).trim());
+      return {
+        factor: numerator.factor / denominator.factor,
+        dimension: Units.divide(numerator.dimension, denominator.dimension)
+      };
+    }
+
+    const similar = Object.keys(table).find(known => known && known.toLowerCase() === text.toLowerCase());
+    throw new Error(`Unknown unit "${text}"${similar ? ` (did you mean ${similar}?)` : ''}`);
+  }
+
+  // Quantity at the start of a metric string: "64MB each", "~1ms", "2-5ms",
+  // "< 1s", "100 Mbps", "every 30s". Returns null when the text has no number,
+  // and throws when a unit written straight after the number is unknown.
+  // Values are in base units; "every" turns a period into a frequency.
+  static parseQuantity(text) {
+    const pattern = /^\s*(every|~|≈|about|<=|>=|<|>|≤|≥|up to)?\s*(\d[\d,]*(?:\.\d+)?)(?:\s*[-–]\s*(\d[\d,]*(?:\.\d+)?))?(\s*)([A-Za-zµ/]*)/i;
+    const match = pattern.exec(String(text));
+    if (!match) return null;
+
+    const [, qualifier, low, high, space, token] = match;
+    const number = digits => parseFloat(digits.replace(/,/g, ''));
+    let unit = token;
+    let parsed;
+    try {
+      parsed = Units.parse(token);
+    } catch (e) {
+      // "100 clients" is a plain count; "100 mbps" is a typo
+      if (space === '' || /[/µ]/.test(token) || !/^[A-Za-z]{3,}$/.test(token)) throw e;
+      unit = '';
+      parsed = Units.parse('');
+    }
+
+    let min = number(low) * parsed.factor;
+    let max = high !== undefined ? number(high) * parsed.factor : min;
+    let dimension = parsed.dimension;
+    const kind = qualifier?.toLowerCase();
+
+    if (kind === 'every') {
+      if (!Units.equal(dimension, Units.dimensions.time)) {
+        throw new Error(`"every" needs a time, got ${Units.describe(dimension)} in "${text}"`);
+      }
+      [min, max] = [1 / max, 1 / min];
+      dimension = Units.dimensions.frequency;
+    }
+
+    return {
+      value: max,
+      min,
+      max,
+      unit,
+      dimension,
+      qualifier: kind === 'every' ? null : kind || null,
+      text: String(text).trim()
+    };
+  }
+
+  // The same base-unit value in its dimension's usual units, for tooltips;
+  // units that would need a tiny or huge number are left out
+  static convert(value, dimension, except = null) {
+    const name = Object.entries(Units.dimensions).find(([, d]) => Units.equal(d, dimension))?.[0];
+    if (!name) return [];
+
+    return Units.conversions[name]
+      .filter(unit => unit !== except)
+      .map(unit => ({ unit, amount: Units.fromBase(value, unit) }))
+      .filter(({ amount }) => Math.abs(amount) >= 0.01 && Math.abs(amount) < 1e5)
+      .map(({ unit }) => Units.format(value, dimension, unit));
+  }
+
+  static toBase(value, unit) {
+    return value * Units.parse(unit).factor;
+  }
+
+  static fromBase(value, unit) {
+    return value / Units.parse(unit).factor;
+  }
+
+  static multiply(a, b) {
+    return { B: a.B + b.B, s: a.s + b.s };
+  }
+
+  static divide(a, b) {
+    return { B: a.B - b.B, s: a.s - b.s };
+  }
+
+  static power(a, n) {
+    return { B: a.B * n, s: a.s * n };
+  }
+
+  static equal(a, b) {
+    return Math.abs(a.B - b.B) < 1e-9 && Math.abs(a.s - b.s) < 1e-9;
+  }
+
+  // Name of a known dimension, or a readable exponent form such as "B²/s"
+  static describe(dimension) {
+    const known = Object.entries(Units.dimensions).find(([, d]) => Units.equal(d, dimension));
+    if (known) return known[0];
+
+    const part = (symbol, exponent) => exponent === 0 ? '' : exponent === 1 ? symbol : `${symbol}^${exponent}`;
+    const top = [part('B', Math.max(0, dimension.B)), part('s', Math.max(0, dimension.s))].filter(Boolean).join('·') || '1';
+    const bottom = [part('B', Math.max(0, -dimension.B)), part('s', Math.max(0, -dimension.s))].filter(Boolean).join('·');
+    return bottom ? `${top}/${bottom}` : top;
+  }
+
+  static formatNumber(value) {
+    if (value !== 0 && (Math.abs(value) >= 1e6 || Math.abs(value) < 1e-3)) return value.toExponential(2);
+    return Math.abs(value) >= 100 ? Math.round(value).toLocaleString() : String(Number(value.toPrecision(3)));
+  }
+
+  // Format a base-unit value in the given unit, or the largest unit that keeps it at 1 or more
+  static format(value, dimension, unit = null) {
+    const name = Object.entries(Units.dimensions).find(([, d]) => Units.equal(d, dimension))?.[0];
+    if (unit === null && !name) return Units.formatNumber(value);
+
+    const candidates = unit !== null ? [unit] : Units.scales[name];
+    const chosen = unit !== null
+      ? unit
+      : [...candidates].reverse().find(u => Math.abs(value) >= Units.parse(u).factor) || candidates[0];
+    const text = Units.formatNumber(Units.fromBase(value, chosen));
+
+    if (!chosen) return text;
+    return chosen.startsWith('/') ? `${text}${chosen}` : `${text} ${chosen}`;
+  }
+}
+
+// Export for module systems, or make global
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Units;
+} else {
+  window.Units = Units;
+}
\ No newline at end of file
@@ -1,8 +1,9 @@
 class ValidationError extends Error {
-  constructor(rule, errors) {
+  constructor(rule, errors, findings = []) {
     super(`Validation failed for ${rule}: ${errors.join(', ')}`);
     this.rule = rule;
     this.errors = errors;
+    this.findings = findings;
   }
 }
 
@@ -11,172 +12,165 @@ class DiagramValidator {
     this.ajv = null;
     this.schema = null;
     this.validate = null;
-    this.semanticRules = [
-      this.validateMasterNotOnDataPath,
-      this.validatePrimarySecondaryConsistency,
-      this.validateVersionMonotonicity,
-      this.validateReplicationFactor,
-      this.validateOverlayReferences
-    ];
+    this.findings = [];
+
+    // Semantic rules live in src/rules, shared with scripts/validate-all.js
+    const Registry = typeof RuleRegistry !== 'undefined' ? RuleRegistry : require('./rules');
+    this.rules = new Registry();
+  }
+
+  // Rules in src/rules/failure-rules.js; they only find something once
+  // failures have been injected into a composed scene
+  get failureRules() {
+    const Rules = typeof FailureRules !== 'undefined' ? FailureRules : require('../rules/failure-rules');
+    return Rules.map(rule => rule.id);
+  }
+
+  // Drills are a union discriminated by type; metrics and prose take
+  // several JSON types
+  static get schemaOptions() {
+    return { allErrors: true, discriminator: true, allowUnionTypes: true };
   }
 
   async initialize() {
     try {
-      // In browser environment, Ajv should be loaded via CDN
-      if (typeof Ajv === 'undefined') {
+      // In the browser Ajv comes from the CDN bundle as window.ajv7
+      const AjvClass = typeof Ajv !== 'undefined' ? Ajv : window.ajv7;
+      if (!AjvClass) {
         console.warn('Ajv not loaded. Schema validation will be skipped.');
         return;
       }
 
-      this.ajv = new Ajv({ allErrors: true });
-      this.schema = await fetch('/data/schema.json').then(r => r.json());
-      this.validate = this.ajv.compile(this.schema);
+      this.useSchema(AjvClass, await fetch('data/schema.json').then(r => r.json()));
     } catch (error) {
       console.error('Failed to initialize validator:', error);
     }
   }
 
-  validateSpec(spec) {
-    const errors = [];
+  // Compile data/schema.json; scripts/validate-all.js passes Ajv from npm
+  useSchema(AjvClass, schema) {
+    const Constructor = AjvClass.default || AjvClass;
+    this.ajv = new Constructor(DiagramValidator.schemaOptions);
+    this.schema = schema;
+    this.validate = this.ajv.compile(schema);
+    return this;
+  }
+
+  // Ajv's message with the detail it keeps in params
+  describeSchemaError(error) {
+    const params = error.params || {};
+    if (params.allowedValues) return `${error.message}: ${params.allowedValues.join(', ')}`;
+    if (params.allowedValue !== undefined) return `${error.message}: ${JSON.stringify(params.allowedValue)}`;
+    if (params.additionalProperty) return `${error.message}: ${params.additionalProperty}`;
+    if (params.tagValue !== undefined) return `${error.message}, got ${JSON.stringify(params.tagValue)}`;
+    return error.message;
+  }
+
+  // Schema violations as findings; none when no schema is loaded
+  checkSchema(spec) {
+    if (!this.validate || this.validate(spec)) return [];
+
+    const SourceMap = typeof JsonSourceMap !== 'undefined' ? JsonSourceMap : require('./json-source');
+    return this.validate.errors.map(e => ({
+      rule: 'Schema',
+      severity: 'error',
+      message: this.describeSchemaError(e),
+      // A bad discriminator value is reported on its object; point at the tag
+      pointer: SourceMap.fromAjvError(e) + (e.params?.tagValue !== undefined ? SourceMap.pointer(e.params.tag) : '')
+    }));
+  }
+
+  // Course-wide rule settings from the manifest's `rules` section
+  configureRules(config = {}) {
+    this.rules.configure(config);
+  }
 
+  validateSpec(spec) {
     // Schema validation if available
-    if (this.validate && !this.validate(spec)) {
-      throw new ValidationError('Schema', this.ajv.errors.map(e => e.message));
+    this.findings = this.checkSchema(spec);
+    if (this.findings.length > 0) {
+      throw new ValidationError('Schema', this.findings.map(f => `${f.pointer || '/'} ${f.message}`), this.findings);
     }
 
-    // Semantic validation
-    for (const rule of this.semanticRules) {
-      const result = rule.call(this, spec);
-      if (!result.valid) {
-        errors.push(...result.errors);
-      }
-    }
+    // Semantic validation; warnings and info are kept in this.findings
+    this.findings = this.rules.run(spec);
+    const errors = this.findings.filter(f => f.severity === 'error');
 
     if (errors.length > 0) {
-      throw new ValidationError('Semantic', errors);
+      throw new ValidationError('Semantic', errors.map(f => `${f.rule}: ${f.message}`), errors);
     }
 
     return true;
   }
 
-  validateMasterNotOnDataPath(spec) {
-    const masters = new Set(
-      (spec.nodes || []).filter(n => n.type === 'master').map(n => n.id)
-    );
-
-    const violations = (spec.edges || []).filter(e =>
-      e.kind === 'data' && (masters.has(e.from) || masters.has(e.to))
-    );
-
-    return {
-      valid: violations.length === 0,
-      rule: 'MasterNotOnDataPath',
-      errors: violations.map(e => `Data edge ${e.id} touches master`)
-    };
+  // Node or edge a finding's pointer falls inside, e.g. "/edges/3/kind"
+  findElement(spec, pointer = '') {
+    const match = /^\/(nodes|edges)\/(\d+)(?:\/|$)/.exec(pointer);
+    const element = match && spec[match[1]]?.[Number(match[2])];
+    return element?.id ? { type: match[1] === 'nodes' ? 'node' : 'edge', id: element.id } : null;
   }
 
-  validatePrimarySecondaryConsistency(spec) {
-    // Check that if there's a primary, there are secondaries
-    const nodes = spec.nodes || [];
-    const primaryCount = nodes.filter(n => n.label && n.label.includes('Primary')).length;
-    const secondaryCount = nodes.filter(n => n.label && n.label.includes('Secondary')).length;
-
-    if (primaryCount > 0 && secondaryCount === 0) {
-      return {
-        valid: false,
-        rule: 'PrimarySecondaryConsistency',
-        errors: ['Primary exists without secondaries']
-      };
+  // One rule's findings for a spec, in the shape failure rules use
+  checkRule(id, spec) {
+    const rule = this.rules.get(id);
+    if (!rule) {
+      throw new Error(`Unknown rule: ${id}`);
     }
 
-    return { valid: true, errors: [] };
-  }
-
-  validateVersionMonotonicity(spec) {
-    // Check version numbers are consistent
-    const versionedNodes = (spec.nodes || []).filter(n => n.metadata && n.metadata.version);
-    const errors = [];
-
-    // Just ensure versions are positive
-    versionedNodes.forEach(node => {
-      if (node.metadata.version < 0) {
-        errors.push(`Node ${node.id} has negative version ${node.metadata.version}`);
-      }
-    });
-
+    const findings = this.rules.runRule(rule, spec);
     return {
-      valid: errors.length === 0,
-      rule: 'VersionMonotonicity',
-      errors
+      valid: !findings.some(f => f.severity === 'error'),
+      rule: id,
+      errors: findings.map(f => f.message)
     };
   }
 
-  validateReplicationFactor(spec) {
-    // This is more of a warning than an error for educational purposes
-    const chunkservers = (spec.nodes || []).filter(n => n.type === 'chunkserver');
-
-    if (chunkservers.length > 0 && chunkservers.length < 3) {
-      return {
-        valid: true, // Warning only
-        rule: 'ReplicationFactor',
-        errors: []
-      };
-    }
-
-    return { valid: true, errors: [] };
-  }
-
-  validateOverlayReferences(spec) {
-    const nodeIds = new Set((spec.nodes || []).map(n => n.id));
-    const edgeIds = new Set((spec.edges || []).map(e => e.id));
-    const errors = [];
-
-    for (const overlay of spec.overlays || []) {
-      // Check removals reference existing elements
-      overlay.diff?.remove?.nodeIds?.forEach(id => {
-        if (!nodeIds.has(id)) {
-          errors.push(`Overlay ${overlay.id} removes non-existent node ${id}`);
-        }
-      });
-
-      overlay.diff?.remove?.edgeIds?.forEach(id => {
-        if (!edgeIds.has(id)) {
-          errors.push(`Overlay ${overlay.id} removes non-existent edge ${id}`);
-        }
-      });
-
-      // Check highlights reference existing elements
-      overlay.diff?.highlight?.nodeIds?.forEach(id => {
-        if (!nodeIds.has(id)) {
-          errors.push(`Overlay ${overlay.id} highlights non-existent node ${id}`);
-        }
-      });
+  // Invariants at risk in a scene with injected failures: those about a node
+  // or edge a failure rule points at (named in their refs, or looked at by
+  // their predicate), and those whose predicate fails in the failed scene.
+  // Invariants with neither refs nor a predicate fall back to the keywords
+  // each failure rule lists under `affects`.
+  findContractsAtRisk(spec) {
+    const rules = this.failureRules.map(id => this.rules.get(id)).filter(Boolean);
+    const affects = new Map(rules.map(rule => [rule.id, rule.affects || []]));
+    const findings = rules.flatMap(rule => this.rules.runRule(rule, spec));
+
+    const failing = [];
+    findings.forEach(finding => {
+      const result = failing.find(r => r.rule === finding.rule);
+      if (result) {
+        result.errors.push(finding.message);
+      } else {
+        failing.push({ rule: finding.rule, errors: [finding.message] });
+      }
+    });
 
-      overlay.diff?.highlight?.edgeIds?.forEach(id => {
-        if (!edgeIds.has(id)) {
-          errors.push(`Overlay ${overlay.id} highlights non-existent edge ${id}`);
-        }
-      });
+    const Checker = typeof ContractChecker !== 'undefined' ? ContractChecker : require('./contracts');
+    const atRisk = [];
 
-      // Check modifications reference existing elements
-      overlay.diff?.modify?.nodes?.forEach(node => {
-        if (!nodeIds.has(node.id)) {
-          errors.push(`Overlay ${overlay.id} modifies non-existent node ${node.id}`);
+    new Checker().check(spec).filter(result => result.section === 'invariants').forEach(result => {
+      const about = { node: result.nodeIds, edge: result.edgeIds };
+      const text = result.text.toLowerCase();
+      const matched = findings.filter(finding => {
+        if (about.node.length === 0 && about.edge.length === 0) {
+          return affects.get(finding.rule).some(keyword => text.includes(keyword));
         }
+        const element = this.findElement(spec, finding.pointer);
+        return element && about[element.type].includes(element.id);
       });
+      const broken = result.status === 'fail' ? [result] : [];
+
+      if (matched.length > 0 || broken.length > 0) {
+        atRisk.push({
+          index: result.index,
+          invariant: result.text,
+          rules: [...new Set(matched.map(f => f.rule)), ...broken.map(() => 'ContractPredicates')],
+          reasons: [...matched.map(f => f.message), ...broken.map(r => r.message)]
+        });
+      }
+    });
 
-      overlay.diff?.modify?.edges?.forEach(edge => {
-        if (!edgeIds.has(edge.id)) {
-          errors.push(`Overlay ${overlay.id} modifies non-existent edge ${edge.id}`);
-        }
-      });
-    }
-
-    return {
-      valid: errors.length === 0,
-      rule: 'OverlayReferences',
-      errors
-    };
+    return { failing, atRisk };
   }
 }
 
@@ -0,0 +1,180 @@
+// What-if calculator declared in a spec's `calculators` section:
+// { id, title, principle, description, inputs: [{ id, label, min, max, step, value, unit }],
+//   formula: { name: expression, ... }, outputs: [{ id, label, unit, format }] }
+class WhatIfCalculator {
+  constructor(definition) {
+    this.definition = definition;
+    this.id = definition.id;
+    this.inputs = definition.inputs || [];
+    this.formula = definition.formula || {};
+    this.outputs = definition.outputs || [];
+    this.values = this.getDefaults();
+    this.evaluator = null;
+  }
+
+  static fromSpec(spec) {
+    return (spec.calculators || []).map(definition => new WhatIfCalculator(definition));
+  }
+
+  getEvaluator() {
+    if (!this.evaluator) {
+      const Evaluator = typeof FormulaEvaluator !== 'undefined' ? FormulaEvaluator : require('../core/formula');
+      this.evaluator = new Evaluator();
+    }
+    return this.evaluator;
+  }
+
+  getDefaults() {
+    return Object.fromEntries(this.inputs.map(input => [input.id, input.value ?? input.min ?? 0]));
+  }
+
+  // Formula entries run in order; each sees the inputs and every result before it
+  compute(values = this.values) {
+    const scope = { ...values };
+    const results = {};
+
+    Object.entries(this.formula).forEach(([name, expression]) => {
+      const value = this.getEvaluator().evaluate(expression, scope);
+      if (!Number.isFinite(value)) {
+        throw new Error(`${name} = ${expression} is ${value}`);
+      }
+      scope[name] = value;
+      results[name] = value;
+    });
+
+    return results;
+  }
+
+  // Author mistakes: broken declarations and formulas are errors; formulas that
+  // break at the edge of an input's range are warnings
+  check() {
+    const problems = [];
+    const error = message => problems.push({ level: 'error', message: `${this.id || 'calculator'}: ${message}` });
+    const warning = message => problems.push({ level: 'warning', message: `${this.id || 'calculator'}: ${message}` });
+
+    if (!this.id) error('missing id');
+    if (this.inputs.length === 0) error('no inputs');
+    if (Object.keys(this.formula).length === 0) error('no formula');
+
+    this.inputs.forEach(input => {
+      if (!input.id) error('input without id');
+      if (!(input.min < input.max)) error(`input ${input.id} needs min < max`);
+      if (input.value !== undefined && (input.value < input.min || input.value > input.max)) {
+        error(`input ${input.id} default ${input.value} is outside ${input.min}..${input.max}`);
+      }
+    });
+
+    this.outputs.forEach(output => {
+      if (!(output.id in this.formula)) error(`output ${output.id} is not computed by the formula`);
+    });
+
+    try {
+      this.compute(this.getDefaults());
+    } catch (e) {
+      error(`formula fails with default inputs: ${e.message}`);
+      return problems;
+    }
+
+    this.inputs.forEach(input => {
+      ['min', 'max'].forEach(bound => {
+        try {
+          this.compute({ ...this.getDefaults(), [input.id]: input[bound] });
+        } catch (e) {
+          warning(`formula fails with ${input.id} = ${input[bound]}: ${e.message}`);
+        }
+      });
+    });
+
+    return problems;
+  }
+
+  format(value, { format, unit } = {}) {
+    let text;
+    switch (format) {
+      case 'percent':
+        text = `${Number((value * 100).toPrecision(3))}%`;
+        break;
+      case 'scientific':
+        text = value === 0 ? '0' : value.toExponential(2);
+        break;
+      case 'integer':
+        text = Math.round(value).toLocaleString();
+        break;
+      default:
+        text = Math.abs(value) >= 1e6 || (value !== 0 && Math.abs(value) < 1e-3)
+          ? value.toExponential(2)
+          : Number(value.toPrecision(4)).toLocaleString();
+    }
+    return unit ? `${text} ${unit}` : text;
+  }
+
+  render() {
+    const { title, description } = this.definition;
+
+    return `
+      <div class="calculator" data-calculator="${this.id}">
+        <h5>🧮 ${title || this.id}</h5>
+        ${description ? `<p class="calculator-description">${description}</p>` : ''}
+        <div class="calculator-inputs">
+          ${this.inputs.map(input => `
+            <label class="calculator-input">
+              <span>${input.label || input.id}</span>
+              <input type="range" min="${input.min}" max="${input.max}" step="${input.step ?? 'any'}"
+                     value="${this.values[input.id]}" data-input="${input.id}">
+              <output data-input-value="${input.id}">${this.format(this.values[input.id], input)}</output>
+            </label>
+          `).join('')}
+        </div>
+        <div class="calculator-formula">
+          ${Object.entries(this.formula).map(([name, expression]) => `<code>${name} = ${expression}</code>`).join('')}
+        </div>
+        <div class="calculator-outputs">
+          ${this.outputs.map(output => `
+            <div class="calculator-output">
+              <span>${output.label || output.id}</span>
+              <strong data-output="${output.id}"></strong>
+            </div>
+          `).join('')}
+        </div>
+        <div class="calculator-error" role="alert"></div>
+      </div>
+    `;
+  }
+
+  // Wire the sliders of a rendered calculator to its readouts
+  mount(element) {
+    if (!element) return;
+
+    element.querySelectorAll('input[data-input]').forEach(slider => {
+      slider.addEventListener('input', () => {
+        const input = this.inputs.find(i => i.id === slider.dataset.input);
+        this.values[input.id] = Number(slider.value);
+        element.querySelector(`[data-input-value="${input.id}"]`).textContent = this.format(this.values[input.id], input);
+        this.update(element);
+      });
+    });
+
+    this.update(element);
+  }
+
+  update(element) {
+    const error = element.querySelector('.calculator-error');
+
+    try {
+      const results = this.compute();
+      this.outputs.forEach(output => {
+        element.querySelector(`[data-output="${output.id}"]`).textContent = this.format(results[output.id], output);
+      });
+      error.textContent = '';
+    } catch (e) {
+      error.textContent = `⚠️ ${e.message}`;
+    }
+  }
+}
+
+// Export for module systems, or make global
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = WhatIfCalculator;
+} else {
+  window.WhatIfCalculator = WhatIfCalculator;
+}
\ No newline at end of file
@@ -0,0 +1,191 @@
+// Message packets for StepThroughEngine: a glyph per edge kind travels the
+// line the renderer drew from edge.from to edge.to. Durations are
+// proportional to the edge's latency metric, scaled so the slowest edge of
+// the spec fills most of the stepper's playSpeed. Edges with a simulated
+// start time (edge.time, in ms like latency) replay together with the
+// earlier messages still in flight, so pipelined pushes overlap. Nothing
+// moves when the reader prefers reduced motion.
+class PacketAnimator {
+  constructor() {
+    this.frame = null;
+    this.glyphs = [];
+    this.finish = null;
+  }
+
+  // Share of playSpeed a step's packets may take before the next step
+  static get share() {
+    return 0.75;
+  }
+
+  static get minDuration() {
+    return 200;
+  }
+
+  static prefersReducedMotion() {
+    return typeof window !== 'undefined' && typeof window.matchMedia === 'function' &&
+      window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+  }
+
+  getUnits() {
+    return typeof Units !== 'undefined' ? Units : require('../core/units');
+  }
+
+  // Latency of an edge in milliseconds, or null without a usable one
+  latencyOf(edge) {
+    const units = this.getUnits();
+    const metric = edge.metrics?.latency;
+    if (!metric) return null;
+
+    try {
+      const quantity = typeof metric === 'object'
+        ? metric.dimension && { value: metric.value, dimension: metric.dimension }
+        : units.parseQuantity(metric);
+      if (!quantity || !units.equal(quantity.dimension, units.dimensions.time)) return null;
+      return quantity.value * 1000;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  // The flights of a step, as { edge, delay, duration } in milliseconds;
+  // spec is the whole spec the steps were built from
+  plan(step, spec, playSpeed) {
+    const edges = step?.spec?.edges || [];
+    const current = step?.edgeId && edges.find(e => e.id === step.edgeId);
+    if (!current) return [];
+
+    const budget = playSpeed * PacketAnimator.share;
+    const latencies = (spec?.edges || []).map(e => this.latencyOf(e)).filter(l => l !== null);
+    const scale = latencies.length > 0 ? budget / Math.max(...latencies) : 0;
+    const duration = edge => {
+      const latency = this.latencyOf(edge);
+      const scaled = latency === null || scale === 0 ? budget / 2 : latency * scale;
+      return Math.min(budget, Math.max(PacketAnimator.minDuration, scaled));
+    };
+
+    if (typeof current.time !== 'number') {
+      return [{ edge: current, delay: 0, duration: duration(current) }];
+    }
+
+    const inFlight = edges.filter(e => e === current || (typeof e.time === 'number' &&
+      e.time <= current.time && e.time + (this.latencyOf(e) ?? 0) > current.time));
+    const start = Math.min(...inFlight.map(e => e.time));
+    return inFlight.map(edge => ({ edge, delay: (edge.time - start) * scale, duration: duration(edge) }));
+  }
+
+  // Move the planned packets along the edges in the container's SVG; the
+  // promise resolves once all have landed or stop() is called, and rejects
+  // if a frame fails
+  async play(renderer, container, spec, flights) {
+    this.stop();
+
+    const svg = container?.querySelector('svg');
+    if (!svg || flights.length === 0 || PacketAnimator.prefersReducedMotion() || typeof requestAnimationFrame === 'undefined') {
+      return Promise.resolve();
+    }
+
+    const runs = flights
+      .map(flight => ({ ...flight, line: renderer.findEdgeLine(container, flight.edge, spec) }))
+      .filter(run => run.line && typeof run.line.getTotalLength === 'function');
+    if (runs.length === 0) return Promise.resolve();
+
+    runs.forEach(run => {
+      run.length = run.line.getTotalLength();
+      run.glyph = this.createGlyph(run.edge.kind);
+      svg.appendChild(run.glyph);
+      this.glyphs.push(run.glyph);
+    });
+
+    return new Promise((resolve, reject) => {
+      this.finish = resolve;
+      let started = null;
+      const advance = now => {
+        started = started ?? now;
+        const elapsed = now - started;
+        let pending = false;
+
+        runs.forEach(run => {
+          const progress = (elapsed - run.delay) / run.duration;
+          pending = pending || progress <= 1;
+          if (progress < 0 || progress > 1) {
+            run.glyph.style.visibility = 'hidden';
+            return;
+          }
+
+          const point = this.toRoot(svg, run.line, run.line.getPointAtLength(progress * run.length));
+          if (!point) {
+            run.glyph.style.visibility = 'hidden';
+            return;
+          }
+          run.glyph.setAttribute('transform', `translate(${point.x},${point.y})`);
+          run.glyph.style.visibility = 'visible';
+        });
+
+        if (pending) {
+          this.frame = requestAnimationFrame(step);
+        } else {
+          this.stop();
+        }
+      };
+      const step = now => {
+        try {
+          advance(now);
+        } catch (error) {
+          this.finish = null;
+          this.stop();
+          reject(error);
+        }
+      };
+      this.frame = requestAnimationFrame(step);
+    });
+  }
+
+  stop() {
+    if (this.frame !== null) {
+      cancelAnimationFrame(this.frame);
+      this.frame = null;
+    }
+    this.glyphs.forEach(glyph => glyph.remove());
+    this.glyphs = [];
+
+    const finish = this.finish;
+    this.finish = null;
+    if (finish) finish();
+  }
+
+  // Map a point in an element's coordinates to those of the root SVG; null
+  // while either is not displayed and has no screen matrix
+  toRoot(svg, element, point) {
+    const root = svg.getScreenCTM();
+    const own = element.getScreenCTM();
+    if (!root || !own) return null;
+
+    const matrix = root.inverse().multiply(own);
+    return new DOMPoint(point.x, point.y).matrixTransform(matrix);
+  }
+
+  createGlyph(kind) {
+    const ns = 'http://www.w3.org/2000/svg';
+    const glyph = document.createElementNS(ns, 'g');
+    glyph.setAttribute('class', `packet packet-${kind || 'control'}`);
+    glyph.style.visibility = 'hidden';
+
+    const shapes = {
+      data: ['rect', { x: -7, y: -5, width: 14, height: 10, rx: 2 }],
+      cache: ['polygon', { points: '0,-7 7,0 0,7 -7,0' }],
+      heartbeat: ['circle', { r: 6 }]
+    };
+    const [tag, attributes] = shapes[kind] || ['circle', { r: 5 }];
+    const shape = document.createElementNS(ns, tag);
+    Object.entries(attributes).forEach(([name, value]) => shape.setAttribute(name, value));
+    glyph.appendChild(shape);
+    return glyph;
+  }
+}
+
+// Export for module systems, or make global
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PacketAnimator;
+} else {
+  window.PacketAnimator = PacketAnimator;
+}
\ No newline at end of file
@@ -355,7 +355,8 @@ class LearningProgress {
     const allDiagramIds = [
       '00-legend', '01-triangle', '02-scale', '03-chunk-size',
       '04-architecture', '05-planes', '06-read-path', '07-write-path',
-      '08-lease', '09-consistency', '10-recovery', '11-evolution', '12-dna'
+      '08-lease', '09-consistency', '10-recovery', '11-evolution', '12-dna',
+      '13-snapshot', '14-garbage-collection'
     ];
 
     const unviewed = allDiagramIds.filter(id => !this.data.diagrams[id]);
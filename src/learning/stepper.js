@@ -8,9 +8,15 @@ class StepThroughEngine {
     this.isPlaying = false;
     this.playInterval = null;
     this.playSpeed = 2000; // milliseconds between steps
+    this.packets = new (this.getPacketAnimator())();
+  }
+
+  getPacketAnimator() {
+    return typeof PacketAnimator !== 'undefined' ? PacketAnimator : require('./packets');
   }
 
   initialize(spec) {
+    spec = this.composer.expandSpec(spec);
     this.spec = spec;
     this.steps = this.buildSteps(spec);
     this.currentStep = 0;
@@ -140,8 +146,10 @@ class StepThroughEngine {
     // Add metrics if available
     if (edge.metrics) {
       const metrics = [];
-      if (edge.metrics.size) metrics.push(edge.metrics.size);
-      if (edge.metrics.latency) metrics.push(edge.metrics.latency);
+      // Computed metrics carry their display text
+      const text = metric => (typeof metric === 'object' ? metric.text ?? metric.expr : metric);
+      if (edge.metrics.size) metrics.push(text(edge.metrics.size));
+      if (edge.metrics.latency) metrics.push(text(edge.metrics.latency));
       if (metrics.length > 0) {
         caption += ` (${metrics.join(', ')})`;
       }
@@ -159,8 +167,15 @@ class StepThroughEngine {
     const step = this.steps[stepIndex];
 
     // Render the diagram for this step
+    this.packets.stop();
     await this.renderer.render(step.spec);
 
+    // Send the step's messages along their edges; they land within
+    // playSpeed, before autoplay moves on, so stepping does not wait for them
+    this.packets.play(this.renderer, document.getElementById(this.renderer.containerId), step.spec,
+      this.packets.plan(step, this.spec, this.playSpeed))
+      .catch(error => console.warn('Packet animation failed:', error));
+
     // Update UI controls
     this.updateStepUI(step, stepIndex);
 
@@ -252,7 +267,7 @@ class StepThroughEngine {
 
     // Add new highlights
     elementIds.forEach(id => {
-      const elements = document.querySelectorAll(`[id*="${id}"]`);
+      const elements = this.renderer.findElements(document, id);
       elements.forEach(el => {
         el.classList.add('step-highlight');
       });
@@ -386,6 +401,7 @@ class StepThroughEngine {
   // Cleanup method to prevent memory leaks
   destroy() {
     this.stopAutoPlay();
+    this.packets.stop();
     this.steps = [];
     this.spec = null;
     this.currentStep = 0;
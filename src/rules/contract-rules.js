@@ -0,0 +1,56 @@
+// Rules about contracts that point into the diagram: their refs name real
+// elements, and their predicates hold in the base diagram and every scene
+const ContractRules = [
+  {
+    id: 'ContractReferences',
+    severity: 'warning',
+    description: 'Contracts refer to nodes and edges the diagram or one of its overlays has',
+    check(spec) {
+      const Checker = typeof ContractChecker !== 'undefined' ? ContractChecker : require('../core/contracts');
+      const added = (spec.overlays || []).map(o => o.diff?.add || {});
+      const known = {
+        nodeIds: new Set([...(spec.nodes || []), ...added.flatMap(a => a.nodes || [])].map(n => n.id)),
+        edgeIds: new Set([...(spec.edges || []), ...added.flatMap(a => a.edges || [])].map(e => e.id))
+      };
+
+      return new Checker().entries(spec).flatMap(({ section, index, pointer, refs }) =>
+        ['nodeIds', 'edgeIds'].flatMap(key => (refs[key] || []).flatMap((id, i) => known[key].has(id)
+          ? []
+          : [{ message: `Contract ${section}[${index}] refers to non-existent ${key === 'nodeIds' ? 'node' : 'edge'} ${id}`, pointer: `${pointer}/refs/${key}/${i}` }])));
+    }
+  },
+  {
+    id: 'ContractPredicates',
+    severity: 'error',
+    description: 'Checked invariants hold in the base diagram and in every scene; guarantees and caveats only warn',
+    check(spec) {
+      const Checker = typeof ContractChecker !== 'undefined' ? ContractChecker : require('../core/contracts');
+
+      // One finding per contract, naming every place it fails
+      const failures = new Map();
+      new Checker().checkScenes(spec).forEach(({ scene, results }) => {
+        results.filter(r => r.status === 'fail' || r.status === 'error').forEach(r => {
+          const failure = failures.get(r.pointer) || { result: r, places: [] };
+          failure.places.push(scene ? `scene ${scene.id}` : 'the base diagram');
+          failures.set(r.pointer, failure);
+        });
+      });
+
+      return Array.from(failures.values()).map(({ result, places }) => ({
+        // A broken predicate is broken everywhere
+        message: result.status === 'error'
+          ? `Contract "${result.text}" has an invalid predicate: ${result.message}`
+          : `Contract "${result.text}" fails in ${places.join(', ')}: ${result.message}`,
+        pointer: `${result.pointer}/check`,
+        severity: result.status === 'error' || result.section === 'invariants' ? 'error' : 'warning'
+      }));
+    }
+  }
+];
+
+// Export for module systems, or make global
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ContractRules;
+} else {
+  window.ContractRules = ContractRules;
+}
\ No newline at end of file
@@ -0,0 +1,83 @@
+// Rules about failures injected into a composed scene by FailureInjector.
+// Authored specs carry no failures, so they only find something once a
+// learner breaks a server or link; each finding points at the failed node or
+// edge, which is how the validator tells the contracts referring to it.
+// `affects` lists words of invariants the rule threatens, for invariants
+// that have neither refs nor a predicate
+const FailureRules = [
+  {
+    id: 'ReplicaAvailability',
+    severity: 'warning',
+    affects: ['replica', 'durab', 'copies', 'data loss'],
+    description: 'At least three chunkservers stay reachable to hold every replica',
+    check(spec) {
+      const nodes = spec.nodes || [];
+      const chunkservers = nodes.filter(n => n.type === 'chunkserver');
+      const down = chunkservers.filter(n => n.failure === 'crash' || n.failure === 'partition');
+      const live = chunkservers.length - down.length;
+      if (down.length === 0 || live >= 3) return [];
+
+      return nodes.flatMap((n, index) => down.includes(n)
+        ? [{ message: `${n.id} is down; only ${live} of ${chunkservers.length} chunkservers reachable`, pointer: `/nodes/${index}` }]
+        : []);
+    }
+  },
+  {
+    id: 'MasterAvailability',
+    severity: 'warning',
+    affects: ['master', 'metadata', 'namespace', 'lease', 'grant', 'heartbeat'],
+    description: 'The master is reachable to serve metadata and grant leases',
+    check(spec) {
+      return (spec.nodes || []).flatMap((n, index) => n.type === 'master' && (n.failure === 'crash' || n.failure === 'partition')
+        ? [{ message: `Master ${n.id} is ${n.failure === 'crash' ? 'crashed' : 'partitioned'}`, pointer: `/nodes/${index}` }]
+        : []);
+    }
+  },
+  {
+    id: 'PrimaryAvailability',
+    severity: 'warning',
+    affects: ['primary', 'serial', 'order', 'single writer', 'lease'],
+    description: 'The primary replica is reachable to order mutations',
+    check(spec) {
+      return (spec.nodes || []).flatMap((n, index) => n.type === 'chunkserver' && (n.failure === 'crash' || n.failure === 'partition') &&
+        /primary/i.test(n.label || n.id)
+        ? [{ message: `Primary ${n.id} is unavailable; writes stall until its lease expires`, pointer: `/nodes/${index}` }]
+        : []);
+    }
+  },
+  {
+    id: 'DataPathIntegrity',
+    severity: 'warning',
+    affects: ['staged', 'pipeline', 'push', 'replicas', 'mutation', 'data flows'],
+    description: 'Data edges of the push pipeline are intact',
+    check(spec) {
+      return (spec.edges || []).flatMap((e, index) => e.kind === 'data' && (e.failure === 'crash' || e.failure === 'partition')
+        ? [{ message: `Data edge ${e.id} (${e.from} → ${e.to}) is broken`, pointer: `/edges/${index}` }]
+        : []);
+    }
+  },
+  {
+    id: 'DegradedLatency',
+    severity: 'warning',
+    affects: ['lease', 'heartbeat', 'timeout', 'expir', 'drift', 'delay'],
+    description: 'No server or link is slowed down',
+    check(spec) {
+      // Edges inherit a slow node's failure; only report the node itself
+      return [
+        ...(spec.nodes || []).flatMap((n, index) => n.failure === 'slow'
+          ? [{ message: `Node ${n.id} is slow; timeouts and lease renewals may be missed`, pointer: `/nodes/${index}` }]
+          : []),
+        ...(spec.edges || []).flatMap((e, index) => e.failure === 'slow' && e.failureSource === e.id
+          ? [{ message: `Link ${e.id} is slow; timeouts and lease renewals may be missed`, pointer: `/edges/${index}` }]
+          : [])
+      ];
+    }
+  }
+];
+
+// Export for module systems, or make global
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = FailureRules;
+} else {
+  window.FailureRules = FailureRules;
+}
\ No newline at end of file
@@ -0,0 +1,129 @@
+// Rules about GFS roles: the master stays off the data path, replicas agree
+// on chunk versions, and there are enough chunkservers to hold them
+const GFSRules = [
+  {
+    id: 'MasterNotOnDataPath',
+    severity: 'error',
+    description: 'The master hands out metadata; file data flows between clients and chunkservers',
+    check(spec) {
+      const masters = new Set((spec.nodes || []).filter(n => n.type === 'master').map(n => n.id));
+      return (spec.edges || []).flatMap((e, index) => e.kind === 'data' && (masters.has(e.from) || masters.has(e.to))
+        ? [{ message: `Data edge ${e.id} (${e.from} → ${e.to}) touches the master`, pointer: `/edges/${index}` }]
+        : []);
+    }
+  },
+  {
+    id: 'PrimarySecondaryConsistency',
+    severity: 'error',
+    description: 'A primary replica has secondaries to forward mutations to',
+    check(spec) {
+      const nodes = spec.nodes || [];
+      const primary = nodes.findIndex(n => n.label && n.label.includes('Primary'));
+      const secondaries = nodes.filter(n => n.label && n.label.includes('Secondary')).length;
+      return primary !== -1 && secondaries === 0
+        ? [{ message: 'Primary exists without secondaries', pointer: `/nodes/${primary}` }]
+        : [];
+    }
+  },
+  {
+    id: 'VersionMonotonicity',
+    severity: 'error',
+    description: 'Chunk versions never go backwards, and replicas behind the current version are marked stale',
+    check(spec) {
+      const findings = [];
+
+      // Versions never go negative
+      (spec.nodes || []).forEach((node, index) => {
+        if (node.metadata?.version < 0) {
+          findings.push({ message: `Node ${node.id} has negative version ${node.metadata.version}`, pointer: `/nodes/${index}/metadata/version` });
+        }
+      });
+
+      // Versions only move forward: an overlay may not lower a node's version
+      const baseNodes = new Map((spec.nodes || []).map(n => [n.id, n]));
+      (spec.overlays || []).forEach((overlay, o) => {
+        (overlay.diff?.modify?.nodes || []).forEach((mod, m) => {
+          const before = baseNodes.get(mod.id)?.metadata?.version;
+          const after = mod.metadata?.version;
+          if (before !== undefined && after !== undefined && after < before) {
+            findings.push({
+              message: `Overlay ${overlay.id} lowers ${mod.id} from version ${before} to ${after}`,
+              pointer: `/overlays/${o}/diff/modify/nodes/${m}/metadata/version`
+            });
+          }
+        });
+      });
+
+      // A replica behind the current version of its chunk must be marked stale,
+      // in the base diagram and in every overlay
+      const Composer = typeof SceneComposer !== 'undefined' ? SceneComposer : require('../core/composer');
+      const composer = new Composer();
+      const scenes = [
+        { label: '', nodes: spec.nodes || [], locate: id => `/nodes/${(spec.nodes || []).findIndex(n => n.id === id)}` },
+        ...(spec.overlays || []).map((overlay, o) => ({
+          label: ` in overlay ${overlay.id}`,
+          nodes: composer.composeScene(spec, [overlay.id]).nodes,
+          // The overlay's own entry for the node, else the base node
+          locate: id => {
+            for (const change of ['modify', 'add']) {
+              const index = (overlay.diff?.[change]?.nodes || []).findIndex(n => n.id === id);
+              if (index !== -1) return `/overlays/${o}/diff/${change}/nodes/${index}`;
+            }
+            return `/nodes/${(spec.nodes || []).findIndex(n => n.id === id)}`;
+          }
+        }))
+      ];
+      scenes.forEach(({ label, nodes, locate }) => {
+        const replicas = this.getReplicaVersions(nodes);
+        const current = new Map();
+        [...replicas, ...nodes.filter(n => n.metadata?.chunk && n.metadata.version !== undefined)
+          .map(n => ({ chunk: n.metadata.chunk, version: n.metadata.version }))]
+          .forEach(({ chunk, version }) => current.set(chunk, Math.max(current.get(chunk) ?? version, version)));
+
+        replicas.forEach(({ node, chunk, version }) => {
+          const stale = node.metadata.stale;
+          const marked = stale === true || (Array.isArray(stale) && stale.includes(chunk));
+          if (version < current.get(chunk) && !marked) {
+            findings.push({
+              message: `${node.id} holds ${chunk === '*' ? 'a chunk' : chunk} at version ${version} behind current ${current.get(chunk)} without marking it stale${label}`,
+              pointer: locate(node.id)
+            });
+          }
+        });
+      });
+
+      return findings;
+    },
+
+    // Replica versions held by chunkservers: metadata.replicas maps chunk to
+    // version; a lone metadata.version applies to metadata.chunk (or any chunk)
+    getReplicaVersions(nodes) {
+      return nodes.filter(n => n.type === 'chunkserver' && n.metadata).flatMap(node => {
+        if (node.metadata.replicas) {
+          return Object.entries(node.metadata.replicas).map(([chunk, version]) => ({ node, chunk, version }));
+        }
+        return node.metadata.version !== undefined
+          ? [{ node, chunk: node.metadata.chunk || '*', version: node.metadata.version }]
+          : [];
+      });
+    }
+  },
+  {
+    id: 'ReplicationFactor',
+    severity: 'info',
+    description: 'GFS keeps three replicas of every chunk, so diagrams with fewer chunkservers simplify',
+    check(spec) {
+      const chunkservers = (spec.nodes || []).filter(n => n.type === 'chunkserver').length;
+      return chunkservers > 0 && chunkservers < 3
+        ? [{ message: `Only ${chunkservers} chunkserver${chunkservers === 1 ? '' : 's'}; GFS keeps 3 replicas of every chunk`, pointer: '/nodes' }]
+        : [];
+    }
+  }
+];
+
+// Export for module systems, or make global
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = GFSRules;
+} else {
+  window.GFSRules = GFSRules;
+}
\ No newline at end of file
@@ -0,0 +1,29 @@
+// Rules about edge metrics: units, parameters and expressions, and whether
+// the numbers on one edge agree with each other
+const MetricRules = [
+  {
+    id: 'MetricUnits',
+    severity: 'error',
+    description: 'Metrics use known units of the right kind, and expressions evaluate',
+    check(spec) {
+      const Model = typeof MetricsModel !== 'undefined' ? MetricsModel : require('../core/metrics');
+      return new Model(spec).check(spec).filter(p => p.level === 'error');
+    }
+  },
+  {
+    id: 'MetricConsistency',
+    severity: 'warning',
+    description: 'Size, latency and throughput on an edge do not contradict each other',
+    check(spec) {
+      const Model = typeof MetricsModel !== 'undefined' ? MetricsModel : require('../core/metrics');
+      return new Model(spec).check(spec).filter(p => p.level !== 'error');
+    }
+  }
+];
+
+// Export for module systems, or make global
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MetricRules;
+} else {
+  window.MetricRules = MetricRules;
+}
\ No newline at end of file
@@ -0,0 +1,63 @@
+// Rules about references between parts of a spec: edges to nodes, scenes to
+// overlays and overlay diffs to the elements they change
+const StructureRules = [
+  {
+    id: 'EdgeReferences',
+    severity: 'error',
+    description: 'Every edge connects two nodes of the diagram',
+    check(spec) {
+      const nodeIds = new Set((spec.nodes || []).map(n => n.id));
+      return (spec.edges || []).flatMap((edge, index) => ['from', 'to']
+        .filter(end => !nodeIds.has(edge[end]))
+        .map(end => ({
+          message: `Edge ${edge.id}: '${end}' references non-existent node ${edge[end]}`,
+          pointer: `/edges/${index}/${end}`
+        })));
+    }
+  },
+  {
+    id: 'OverlayReferences',
+    severity: 'error',
+    description: 'Scenes name real overlays, and overlays change elements that exist',
+    check(spec) {
+      const nodeIds = new Set((spec.nodes || []).map(n => n.id));
+      const edgeIds = new Set((spec.edges || []).map(e => e.id));
+      const overlayIds = new Set((spec.overlays || []).map(o => o.id));
+      const findings = [];
+
+      (spec.scenes || []).forEach((scene, s) => {
+        (Array.isArray(scene.overlays) ? scene.overlays : []).forEach((id, o) => {
+          if (!overlayIds.has(id)) {
+            findings.push({ message: `Scene ${scene.id} references non-existent overlay ${id}`, pointer: `/scenes/${s}/overlays/${o}` });
+          }
+        });
+      });
+
+      // Removing something missing breaks the scene; highlighting or modifying it only does nothing
+      (spec.overlays || []).forEach((overlay, o) => {
+        const diff = overlay.diff || {};
+        const missing = (verb, kind, path, ids, known, severity) => (ids || []).forEach((id, i) => {
+          if (!known.has(id)) {
+            findings.push({ message: `Overlay ${overlay.id} ${verb} non-existent ${kind} ${id}`, pointer: `/overlays/${o}/diff/${path}/${i}`, severity });
+          }
+        });
+
+        missing('removes', 'node', 'remove/nodeIds', diff.remove?.nodeIds, nodeIds, 'error');
+        missing('removes', 'edge', 'remove/edgeIds', diff.remove?.edgeIds, edgeIds, 'error');
+        missing('highlights', 'node', 'highlight/nodeIds', diff.highlight?.nodeIds, nodeIds, 'warning');
+        missing('highlights', 'edge', 'highlight/edgeIds', diff.highlight?.edgeIds, edgeIds, 'warning');
+        missing('modifies', 'node', 'modify/nodes', diff.modify?.nodes?.map(n => n.id), nodeIds, 'warning');
+        missing('modifies', 'edge', 'modify/edges', diff.modify?.edges?.map(e => e.id), edgeIds, 'warning');
+      });
+
+      return findings;
+    }
+  }
+];
+
+// Export for module systems, or make global
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = StructureRules;
+} else {
+  window.StructureRules = StructureRules;
+}
\ No newline at end of file
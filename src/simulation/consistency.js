@@ -0,0 +1,388 @@
+/**
+ * Consistency Region Simulation
+ * Replays writes and record appends against replica byte arrays and classifies
+ * each file region as defined, consistent but undefined, or inconsistent
+ */
+class ConsistencySimulation {
+  constructor(params = {}) {
+    this.params = { ...ConsistencySimulation.defaults, ...params };
+    this.config = this.getConfig();
+    this.operations = [];
+    this.trace = [];
+    this.replicas = {};
+    this.results = new Map();
+    this.regions = [];
+  }
+
+  static get defaults() {
+    return {
+      replicas: 3,          // R1 is the primary
+      chunkSize: 32,        // Bytes per chunk (scaled down from 64MB)
+      fragmentSize: 4,      // Concurrent writes are applied in fragments of this size
+      maxRetries: 2,        // Client retries after a failed attempt
+      retryDelay: 1,        // Time units before a retry
+      scenario: null,       // Key into scenarios; defaults to the first one
+      scenarios: {},        // key -> { label, operations | generator, params }
+      operations: null,     // Overrides the scenario when set
+      unit: 'B'             // Display unit for offsets and lengths
+    };
+  }
+
+  static get classes() {
+    return {
+      defined: { label: 'Defined', consistent: true },
+      undefined: { label: 'Consistent but undefined', consistent: true },
+      inconsistent: { label: 'Inconsistent', consistent: false },
+      padding: { label: 'Padding', consistent: true }
+    };
+  }
+
+  static fromSpec(spec) {
+    return new ConsistencySimulation(spec.simulation?.params || {});
+  }
+
+  createSimulator() {
+    const Simulator = typeof DiscreteEventSimulator !== 'undefined'
+      ? DiscreteEventSimulator
+      : require('./simulator');
+    return new Simulator();
+  }
+
+  getReplicaIds() {
+    const count = Math.max(1, Math.floor(this.params.replicas));
+    return Array.from({ length: count }, (_, i) => `R${i + 1}`);
+  }
+
+  getScenarioKey() {
+    const keys = Object.keys(this.params.scenarios || {});
+    return keys.includes(this.params.scenario) ? this.params.scenario : keys[0] || null;
+  }
+
+  getScenario() {
+    const key = this.getScenarioKey();
+    return key ? this.params.scenarios[key] : null;
+  }
+
+  // Spec params with the active scenario's overrides (e.g. a 64MB chunk)
+  getConfig() {
+    return { ...this.params, ...(this.getScenario()?.params || {}) };
+  }
+
+  getOperations() {
+    if (this.params.operations) return this.params.operations;
+
+    const scenario = this.getScenario();
+    if (scenario?.generator) {
+      const Workload = typeof RecordAppendWorkload !== 'undefined'
+        ? RecordAppendWorkload
+        : require('./record-append');
+      return new Workload(scenario.generator).generate(this.getReplicaIds());
+    }
+
+    return scenario?.operations || [];
+  }
+
+  // Grow every replica to cover `size` bytes, a whole chunk at a time
+  ensureSize(size) {
+    const { chunkSize } = this.config;
+    const target = Math.ceil(size / chunkSize) * chunkSize;
+    Object.values(this.replicas).forEach(bytes => {
+      while (bytes.length < target) bytes.push(null);
+    });
+  }
+
+  // Replica ids that fail during a given attempt of an operation
+  getFailures(op, attempt) {
+    const failures = op.failures?.[attempt] || [];
+    return Array.isArray(failures) ? failures : [failures];
+  }
+
+  run() {
+    const sim = this.createSimulator();
+    const replicaIds = this.getReplicaIds();
+    const operations = this.getOperations();
+    let pending = [];
+    let batch = 0;
+    let end = 0; // Primary's end of file, where the next append lands
+
+    this.config = this.getConfig();
+    this.operations = operations;
+
+    this.replicas = Object.fromEntries(replicaIds.map(id => [id, []]));
+    this.results = new Map(operations.map(op => [op.id, {
+      id: op.id,
+      client: op.client || op.id,
+      type: op.type,
+      status: 'pending',
+      attempts: 0,
+      offset: null,
+      length: op.length,
+      batch: null,
+      padded: false
+    }]));
+
+    const apply = (offset, length, value, failing = []) => {
+      this.ensureSize(offset + length);
+      replicaIds.forEach(id => {
+        if (failing.includes(id)) return;
+        for (let i = offset; i < offset + length; i++) {
+          this.replicas[id][i] = value;
+        }
+      });
+    };
+
+    // Report the attempt to the client; failed attempts are retried
+    const finish = (op, attempt, offset, failing) => {
+      const result = this.results.get(op.id);
+      result.attempts = attempt + 1;
+      result.offset = offset;
+      result.batch = batch;
+
+      if (failing.length === 0) {
+        result.status = 'ok';
+        sim.emit('success', { op: op.id, offset, attempt });
+        return;
+      }
+
+      const maxRetries = op.maxRetries ?? this.config.maxRetries;
+      if (attempt < maxRetries) {
+        result.status = 'retrying';
+        sim.emit('retry', { op: op.id, offset, attempt, failing });
+        sim.schedule(this.config.retryDelay, () => submit(op, attempt + 1));
+      } else {
+        result.status = 'failed';
+        sim.emit('failure', { op: op.id, offset, attempt, failing });
+      }
+    };
+
+    // Record append: the primary picks the offset, padding out the chunk when
+    // the record would straddle a boundary
+    const append = (op, attempt) => {
+      const { chunkSize, unit } = this.config;
+      if (op.length > chunkSize) {
+        throw new Error(`Record ${op.id} (${op.length}${unit}) is larger than a chunk (${chunkSize}${unit})`);
+      }
+
+      const chunkEnd = (Math.floor(end / chunkSize) + 1) * chunkSize;
+      if (end + op.length > chunkEnd) {
+        apply(end, chunkEnd - end, 'pad');
+        sim.emit('pad', { op: op.id, offset: end, length: chunkEnd - end });
+        this.results.get(op.id).padded = true;
+        end = chunkEnd;
+      }
+
+      const offset = end;
+      const failing = this.getFailures(op, attempt);
+      end += op.length;
+      apply(offset, op.length, op.id, failing);
+      sim.emit('append', { op: op.id, offset, length: op.length, attempt, failing });
+      finish(op, attempt, offset, failing);
+    };
+
+    // Concurrent writes are split into fragments that the primary interleaves,
+    // so overlapping writes end up mingled (but identical on every replica)
+    const write = (entries) => {
+      const fragments = entries.map(({ op, attempt }) => {
+        const pieces = [];
+        for (let start = 0; start < op.length; start += this.config.fragmentSize) {
+          pieces.push({
+            op,
+            offset: op.offset + start,
+            length: Math.min(this.config.fragmentSize, op.length - start),
+            failing: this.getFailures(op, attempt)
+          });
+        }
+        return pieces;
+      });
+
+      const longest = Math.max(0, ...fragments.map(pieces => pieces.length));
+      for (let i = 0; i < longest; i++) {
+        fragments.forEach(pieces => {
+          const piece = pieces[i];
+          if (!piece) return;
+          apply(piece.offset, piece.length, piece.op.id, piece.failing);
+          sim.emit('write', { op: piece.op.id, offset: piece.offset, length: piece.length, failing: piece.failing });
+        });
+      }
+
+      entries.forEach(({ op, attempt }) => {
+        end = Math.max(end, op.offset + op.length);
+        finish(op, attempt, op.offset, this.getFailures(op, attempt));
+      });
+    };
+
+    // Everything submitted at the same instant is serialized by the primary together
+    const flush = () => {
+      const entries = pending;
+      pending = [];
+      batch++;
+
+      entries.filter(entry => entry.op.type === 'append').forEach(entry => append(entry.op, entry.attempt));
+      const writes = entries.filter(entry => entry.op.type !== 'append');
+      if (writes.length > 0) {
+        write(writes);
+      }
+    };
+
+    const submit = (op, attempt) => {
+      pending.push({ op, attempt });
+      if (pending.length === 1) {
+        sim.schedule(0, flush);
+      }
+    };
+
+    operations.forEach(op => sim.at(op.at || 0, () => submit(op, 0)));
+
+    this.trace = sim.run();
+    this.regions = this.classify();
+    return this.trace;
+  }
+
+  // A write is intact when every byte of its final extent still holds it on every replica
+  isIntact(result) {
+    if (result.offset === null) return false;
+    return Object.values(this.replicas).every(bytes => {
+      for (let i = result.offset; i < result.offset + result.length; i++) {
+        if (bytes[i] !== result.id) return false;
+      }
+      return true;
+    });
+  }
+
+  // Another mutation from the same batch overlapped this one's extent
+  isOverlapped(result) {
+    return Array.from(this.results.values()).some(other =>
+      other.id !== result.id &&
+      other.batch === result.batch &&
+      other.offset !== null &&
+      other.offset < result.offset + result.length &&
+      result.offset < other.offset + other.length
+    );
+  }
+
+  classifyByte(cells) {
+    if (cells.every(cell => cell === null)) return null;
+    if (cells.some(cell => cell !== cells[0])) return 'inconsistent';
+    if (cells[0] === 'pad') return 'padding';
+
+    const result = this.results.get(cells[0]);
+    const defined = result && result.status === 'ok' && this.isIntact(result) && !this.isOverlapped(result);
+    return defined ? 'defined' : 'undefined';
+  }
+
+  // Merge neighbouring bytes with the same class and contents into regions
+  classify() {
+    const replicaIds = Object.keys(this.replicas);
+    const size = Math.max(0, ...replicaIds.map(id => this.replicas[id].length));
+    const regions = [];
+
+    for (let i = 0; i < size; i++) {
+      const cells = replicaIds.map(id => this.replicas[id][i] ?? null);
+      const cls = this.classifyByte(cells);
+      const key = `${cls}|${cells.join(',')}`;
+      const last = regions[regions.length - 1];
+
+      if (last && last.key === key && last.end === i) {
+        last.end = i + 1;
+        continue;
+      }
+
+      regions.push({
+        key,
+        start: i,
+        end: i + 1,
+        class: cls,
+        cells: Object.fromEntries(replicaIds.map((id, index) => [id, cells[index]])),
+        ops: [...new Set(cells.filter(cell => cell !== null && cell !== 'pad'))]
+      });
+    }
+
+    const written = regions.filter(region => region.class !== null);
+
+    // The same record in more than one region is a retry duplicate
+    const seen = new Map();
+    written.forEach(region => region.ops.forEach(op => seen.set(op, (seen.get(op) || 0) + 1)));
+
+    return written.map(({ key, ...region }) => ({
+      ...region,
+      duplicate: region.ops.some(op => seen.get(op) > 1)
+    }));
+  }
+
+  // What a client reading this replica sees, e.g. "A,B,Pad,B"
+  describeReplica(replicaId) {
+    return this.regions
+      .map(region => {
+        const cell = region.cells[replicaId];
+        return cell === null ? '∅' : cell === 'pad' ? 'Pad' : cell;
+      })
+      .filter((label, index, labels) => !(label === '∅' && labels[index - 1] === '∅'))
+      .join(',');
+  }
+
+  // Offsets handed back to each client, flagging records that were written twice
+  getClientOffsets() {
+    const duplicates = new Set(this.regions.filter(r => r.duplicate).flatMap(r => r.ops));
+    const clients = {};
+
+    this.results.forEach(result => {
+      (clients[result.client] = clients[result.client] || []).push({
+        id: result.id,
+        offset: result.status === 'ok' ? result.offset : null,
+        length: result.length,
+        attempts: result.attempts,
+        status: result.status,
+        padded: result.padded,
+        duplicate: duplicates.has(result.id)
+      });
+    });
+
+    return clients;
+  }
+
+  getSummary() {
+    const summary = Object.fromEntries(Object.keys(ConsistencySimulation.classes).map(cls => [cls, 0]));
+    this.regions.forEach(region => {
+      summary[region.class] += region.end - region.start;
+    });
+    return summary;
+  }
+
+  // Relabel the client's read edges with what each replica now returns
+  applyToSpec(spec) {
+    if (this.trace.length === 0) {
+      this.run();
+    }
+
+    const replicaIds = Object.keys(this.replicas);
+
+    return {
+      ...spec,
+      edges: (spec.edges || []).map(edge => (
+        replicaIds.includes(edge.to) && edge.kind === 'data'
+          ? { ...edge, label: `Read: ${this.describeReplica(edge.to) || 'empty'}` }
+          : edge
+      )),
+      _simulation: {
+        model: 'consistency',
+        params: { ...this.params },
+        scenario: this.getScenarioKey(),
+        config: this.config,
+        operations: this.operations,
+        replicas: this.replicas,
+        results: Array.from(this.results.values()),
+        regions: this.regions,
+        summary: this.getSummary(),
+        clients: this.getClientOffsets(),
+        trace: this.trace
+      }
+    };
+  }
+}
+
+// Export for module systems, or make global
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ConsistencySimulation;
+} else {
+  window.ConsistencySimulation = ConsistencySimulation;
+}
\ No newline at end of file
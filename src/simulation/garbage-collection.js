@@ -0,0 +1,295 @@
+/**
+ * Garbage Collection Model
+ * Chunk version bumps on lease grant, stale replica detection from heartbeat
+ * reports, hidden-file renames on delete and periodic namespace scans. The
+ * simulated timeline is cut into frames that the scene builder turns into
+ * overlays. Time is in hours.
+ */
+class GarbageCollectionModel {
+  constructor(params = {}) {
+    this.params = { ...GarbageCollectionModel.defaults, ...params };
+    this.frames = [];
+    this.trace = [];
+  }
+
+  static get defaults() {
+    return {
+      chunkservers: [],    // Server ids
+      files: [],           // [{ path, chunks: [{ handle, replicas }] }]
+      heartbeatEvery: 1,   // Hours between chunkserver reports
+      scanEvery: 24,       // Hours between namespace scans
+      retention: 72,       // Hours a hidden file survives before its metadata is erased
+      timeline: [],        // [{ at, op: 'grantLease' | 'down' | 'up' | 'delete', handle?, server?, path? }]
+      scenarios: [],       // [{ id, name, from, to }] windows of the timeline to turn into scenes
+      until: null          // End of the run (defaults to the last event plus a full retention period)
+    };
+  }
+
+  static fromSpec(spec) {
+    return new GarbageCollectionModel(spec.garbageCollection || {});
+  }
+
+  createSimulator() {
+    const Simulator = typeof DiscreteEventSimulator !== 'undefined'
+      ? DiscreteEventSimulator
+      : require('./simulator');
+    return new Simulator();
+  }
+
+  getUntil() {
+    const { until, timeline, retention, scanEvery, heartbeatEvery } = this.params;
+    if (until !== null && until !== undefined) return until;
+    return Math.max(0, ...timeline.map(event => event.at)) + retention + scanEvery + heartbeatEvery;
+  }
+
+  createState() {
+    const files = new Map();
+    const chunks = new Map();
+    const servers = new Map(this.params.chunkservers.map(id => [id, { id, up: true, replicas: new Map() }]));
+
+    this.params.files.forEach((file, index) => {
+      files.set(file.path, { id: `F${index + 1}`, path: file.path, chunks: file.chunks.map(c => c.handle), deletedAt: null });
+      file.chunks.forEach(chunk => {
+        chunks.set(chunk.handle, { handle: chunk.handle, version: 1, locations: new Set(chunk.replicas) });
+        chunk.replicas.forEach(server => servers.get(server)?.replicas.set(chunk.handle, 1));
+      });
+    });
+
+    return { files, chunks, servers };
+  }
+
+  hiddenName(path, time) {
+    const slash = path.lastIndexOf('/');
+    return `${path.slice(0, slash + 1)}.deleted-${path.slice(slash + 1)}@${time}h`;
+  }
+
+  run() {
+    const sim = this.createSimulator();
+    const state = this.createState();
+    const { heartbeatEvery, scanEvery, retention, timeline } = this.params;
+    const until = this.getUntil();
+
+    this.frames = [];
+    const capture = (id, caption, narrative, messages = [], changed = []) => {
+      this.frames.push({ id, time: sim.now, caption: `t=${sim.now}h · ${caption}`, narrative, messages, changed, state: this.cloneState(state) });
+    };
+
+    // Lease grants bump the version on the master and on every reachable replica;
+    // a replica that is down keeps the old number and is stale from then on
+    const grantLease = ({ handle }) => {
+      const chunk = state.chunks.get(handle);
+      if (!chunk) throw new Error(`Unknown chunk: ${handle}`);
+
+      chunk.version++;
+      const reached = Array.from(chunk.locations).filter(id => state.servers.get(id).up);
+      const missed = Array.from(chunk.locations).filter(id => !state.servers.get(id).up);
+      reached.forEach(id => state.servers.get(id).replicas.set(handle, chunk.version));
+      sim.emit('grant', { handle, version: chunk.version, reached, missed });
+
+      capture(`grant-${handle}-v${chunk.version}`, `Lease on ${handle}: version ${chunk.version - 1} → ${chunk.version}`,
+        missed.length > 0
+          ? `The master records ${handle} v${chunk.version} and tells ${reached.join(', ')} before the mutation; ${missed.join(', ')} is down and keeps v${chunk.version - 1}`
+          : `The master records ${handle} v${chunk.version} and every replica bumps its copy before the mutation`,
+        reached.map(id => ({ from: 'Master', to: id, kind: 'control', label: `${handle} v${chunk.version}` })),
+        [handle, ...reached]);
+    };
+
+    const setServer = ({ server }, up) => {
+      state.servers.get(server).up = up;
+      sim.emit(up ? 'up' : 'down', { server });
+      capture(`${up ? 'up' : 'down'}-${server}-${sim.now}`, `${server} ${up ? 'restarts' : 'goes down'}`,
+        up ? `${server} comes back with whatever versions it had and reports them` : `${server} stops sending heartbeats; its replicas keep their versions`,
+        [], [server]);
+      if (up) heartbeat(server, true);
+    };
+
+    // Deletes only rename to a hidden name; nothing is reclaimed yet
+    const remove = ({ path }) => {
+      const file = state.files.get(path);
+      if (!file || file.deletedAt !== null) throw new Error(`Unknown file: ${path}`);
+
+      const hidden = this.hiddenName(path, sim.now);
+      state.files.delete(path);
+      state.files.set(hidden, { ...file, path: hidden, deletedAt: sim.now });
+      sim.emit('delete', { path, hidden });
+      capture(`delete-${file.id}`, `Delete ${path}`,
+        `The master logs the delete and renames the file to ${hidden}; its chunks stay on disk and it can still be undeleted`,
+        [], [file.id]);
+    };
+
+    // Chunkservers report (handle, version); the reply tells them what to drop
+    const heartbeat = (serverId, always = false) => {
+      const server = state.servers.get(serverId);
+      if (!server.up) return;
+
+      const stale = [];
+      const orphaned = [];
+      server.replicas.forEach((version, handle) => {
+        const chunk = state.chunks.get(handle);
+        if (!chunk) {
+          orphaned.push(handle);
+        } else if (version < chunk.version) {
+          stale.push(handle);
+          chunk.locations.delete(serverId);
+        } else {
+          chunk.locations.add(serverId);
+        }
+      });
+
+      if (stale.length === 0 && orphaned.length === 0 && !always) return;
+
+      const report = Array.from(server.replicas, ([handle, version]) => `${handle} v${version}`).join(', ') || 'no chunks';
+      const messages = [{ from: serverId, to: 'Master', kind: 'heartbeat', label: report }];
+      if (stale.length > 0 || orphaned.length > 0) {
+        messages.push({ from: 'Master', to: serverId, kind: 'control', label: `Delete ${[...stale, ...orphaned].join(', ')}` });
+      }
+
+      const notes = [
+        ...stale.map(handle => `${handle} v${server.replicas.get(handle)} is older than the master's v${state.chunks.get(handle).version}: stale, so it is dropped from the locations, deleted and re-replicated from a current copy`),
+        ...orphaned.map(handle => `${handle} belongs to no file any more: orphaned, so the master tells ${serverId} to delete it`)
+      ];
+      [...stale, ...orphaned].forEach(handle => server.replicas.delete(handle));
+
+      sim.emit('heartbeat', { server: serverId, stale, orphaned });
+      capture(`heartbeat-${serverId}-${sim.now}`, `${serverId} reports ${report}`,
+        notes.join('; ') || `Every replica on ${serverId} is current`,
+        messages, [serverId, ...stale]);
+    };
+
+    // Regular scans erase hidden files older than the retention period; their
+    // chunks become orphans that heartbeats clean up
+    const scan = () => {
+      const hidden = Array.from(state.files.values()).filter(file => file.deletedAt !== null);
+      if (hidden.length === 0) return;
+
+      const expired = hidden.filter(file => sim.now - file.deletedAt >= retention);
+      expired.forEach(file => {
+        state.files.delete(file.path);
+        file.chunks.forEach(handle => state.chunks.delete(handle));
+      });
+      sim.emit('scan', { hidden: hidden.map(f => f.path), expired: expired.map(f => f.path) });
+
+      const describe = file => `${file.path} is ${sim.now - file.deletedAt}h old`;
+      capture(`scan-${sim.now}`, expired.length > 0 ? `GC scan erases ${expired.map(f => f.path).join(', ')}` : 'GC scan keeps hidden files',
+        expired.length > 0
+          ? `${expired.map(describe).join(', ')} (retention ${retention}h): the metadata is erased and its chunks (${expired.flatMap(f => f.chunks).join(', ')}) are orphaned`
+          : `${hidden.map(describe).join(', ')}: younger than ${retention}h, so it stays recoverable`,
+        [], expired.length > 0 ? expired.flatMap(f => f.chunks) : hidden.map(f => f.id));
+    };
+
+    const handlers = { grantLease, delete: remove, down: e => setServer(e, false), up: e => setServer(e, true) };
+
+    capture('initial', 'Every replica is current', 'All chunks are at version 1 on every replica');
+
+    // Timeline events land before the periodic work scheduled for the same hour
+    timeline.forEach(event => {
+      if (!handlers[event.op]) throw new Error(`Unknown timeline operation: ${event.op}`);
+      sim.at(event.at, () => handlers[event.op](event));
+    });
+    for (let t = scanEvery; t <= until; t += scanEvery) {
+      sim.at(t, scan);
+    }
+    for (let t = heartbeatEvery; t <= until; t += heartbeatEvery) {
+      sim.at(t, () => state.servers.forEach((_, id) => heartbeat(id)));
+    }
+
+    this.trace = sim.run({ maxEvents: 100000 });
+    return this.frames;
+  }
+
+  cloneState(state) {
+    return {
+      files: Array.from(state.files.values(), file => ({ ...file, chunks: [...file.chunks] })),
+      chunks: Array.from(state.chunks.values(), chunk => ({ handle: chunk.handle, version: chunk.version, locations: Array.from(chunk.locations) })),
+      servers: Array.from(state.servers.values(), server => ({ id: server.id, up: server.up, replicas: Object.fromEntries(server.replicas) }))
+    };
+  }
+
+  // Frames inside each scenario's window, tagged with the scenario
+  getScenarioFrames() {
+    const scenarios = this.params.scenarios.length > 0
+      ? this.params.scenarios
+      : [{ id: 'timeline', name: 'Timeline', from: 0, to: Infinity }];
+
+    return scenarios.flatMap(scenario => {
+      const frames = this.frames.slice(1).filter(frame => frame.time >= scenario.from && frame.time <= scenario.to);
+      return frames.map((frame, index) => ({
+        ...frame,
+        id: `${scenario.id}-${index + 1}`,
+        caption: `${scenario.name} (${index + 1}/${frames.length}): ${frame.caption}`
+      }));
+    });
+  }
+
+  // Diagram for one frame: namespace and chunk versions on the master's side,
+  // replica versions on the chunkservers
+  toSpec(frame) {
+    const { files, chunks, servers } = frame.state;
+    const current = new Map(chunks.map(chunk => [chunk.handle, chunk.version]));
+
+    return {
+      nodes: [
+        { id: 'Master', type: 'master', label: 'Master' },
+        ...files.map(file => ({
+          id: file.id,
+          type: 'note',
+          label: `${file.deletedAt !== null ? '🗑️' : '📄'} ${file.path}`
+        })),
+        ...chunks.map(chunk => ({
+          id: chunk.handle,
+          type: 'note',
+          label: `${chunk.handle} v${chunk.version} · on ${chunk.locations.join(' ') || 'nothing'}`,
+          metadata: { chunk: chunk.handle, version: chunk.version }
+        })),
+        ...servers.map(server => {
+          const stale = Object.keys(server.replicas).filter(handle => current.has(handle) && server.replicas[handle] < current.get(handle));
+          const replicas = Object.entries(server.replicas)
+            .map(([handle, version]) => `${handle} v${version}${stale.includes(handle) ? ' stale' : !current.has(handle) ? ' orphan' : ''}`);
+          return {
+            id: server.id,
+            type: 'chunkserver',
+            label: `${server.id}${server.up ? '' : ' (down)'}: ${replicas.join(', ') || 'empty'}`,
+            metadata: { replicas: server.replicas, stale },
+            ...(server.up ? {} : { failure: 'crash' })
+          };
+        })
+      ],
+      edges: [
+        ...files.map(file => ({ id: `ns-${file.id}`, from: 'Master', to: file.id, kind: 'control', label: 'namespace' })),
+        ...files.flatMap(file => file.chunks.filter(handle => current.has(handle)).map((handle, index) => ({
+          id: `map-${file.id}-${index}`,
+          from: file.id,
+          to: handle,
+          kind: 'control',
+          label: `chunk ${index}`
+        }))),
+        ...frame.messages.map((message, index) => ({ id: `msg-${index}`, ...message }))
+      ]
+    };
+  }
+
+  expand(spec, composer) {
+    if (this.frames.length === 0) {
+      this.run();
+    }
+
+    const Builder = typeof SceneBuilder !== 'undefined' ? SceneBuilder : require('./scene-builder');
+    const frames = [this.frames[0], ...this.getScenarioFrames()].map(frame => ({ ...frame, ...this.toSpec(frame) }));
+
+    return {
+      ...new Builder(composer).build(spec, frames, { prefix: 'gc' }),
+      _generated: 'garbage-collection',
+      _garbageCollection: {
+        frames: frames.map(({ id, time, caption, narrative }) => ({ id, time, caption, narrative })),
+        trace: this.trace
+      }
+    };
+  }
+}
+
+// Export for module systems, or make global
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = GarbageCollectionModel;
+} else {
+  window.GarbageCollectionModel = GarbageCollectionModel;
+}
\ No newline at end of file
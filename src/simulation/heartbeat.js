@@ -0,0 +1,329 @@
+/**
+ * Heartbeat Monitor
+ * Chunkservers report to the master on a jittered interval; reports can be
+ * dropped. The master's view of each server (alive, suspect, dead) comes only
+ * from the reports it receives, so failure detection takes time. Declaring a
+ * server dead queues its chunks for re-replication, and a lost primary is
+ * replaced once the lease it last extended by heartbeat has run out.
+ */
+class HeartbeatMonitor {
+  constructor(params = {}) {
+    this.params = { ...HeartbeatMonitor.defaults, ...params };
+    this.sim = this.createSimulator();
+    this.listeners = new Set();
+    this.reset();
+  }
+
+  static get defaults() {
+    return {
+      seed: 1,
+      master: 'M',
+      chunkservers: [],    // Server ids
+      primaries: [],       // Servers holding a lease when the run starts
+      chunks: {},          // Server id -> chunk handles it stores
+      interval: 5,         // Seconds between heartbeats from each server
+      jitter: 0.2,         // Each gap varies by up to this fraction of the interval
+      dropRate: 0,         // Probability that a heartbeat is lost
+      latency: 0.1,        // Seconds from chunkserver to master
+      suspectAfter: 2,     // Missed intervals before the master suspects a server
+      deadAfter: 4,        // Missed intervals before the master declares it dead
+      leaseDuration: 60,   // Lease extensions ride on heartbeats
+      failures: []         // [{ at, node, type: 'crash' | 'partition', until? }]
+    };
+  }
+
+  // Watch the master and chunkservers of a (composed) spec
+  static fromSpec(spec, params = {}) {
+    const nodes = spec.nodes || [];
+    const servers = nodes.filter(n => n.type === 'chunkserver');
+    const isPrimary = node => node.metadata?.role === 'primary' || /primary/i.test(`${node.id} ${node.label || ''}`);
+    const held = node => node.metadata?.chunks || Object.keys(node.metadata?.replicas || {});
+
+    return new HeartbeatMonitor({
+      master: nodes.find(n => n.type === 'master')?.id,
+      chunkservers: servers.map(n => n.id),
+      primaries: servers.filter(isPrimary).map(n => n.id),
+      chunks: Object.fromEntries(servers.map(n => [n.id, held(n)])),
+      ...(spec.heartbeat || {}),
+      ...params
+    });
+  }
+
+  createSimulator() {
+    const Simulator = typeof DiscreteEventSimulator !== 'undefined'
+      ? DiscreteEventSimulator
+      : require('./simulator');
+    return new Simulator();
+  }
+
+  get now() {
+    return this.sim.now;
+  }
+
+  reset() {
+    this.sim.reset();
+    this.random = this.sim.constructor.createRandom(this.params.seed);
+    this.messages = [];
+    this.nodes = new Map(this.params.chunkservers.map(id => [id, {
+      id,
+      actual: 'up',           // What is really happening
+      status: 'alive',        // What the master believes
+      primary: this.params.primaries.includes(id),
+      leaseExpiresAt: this.params.primaries.includes(id) ? this.params.leaseDuration : null,
+      lastSeen: 0,
+      failedAt: null,
+      detectedAt: null,
+      sent: 0,
+      delivered: 0,
+      dropped: 0,
+      deadlines: []
+    }]));
+
+    this.nodes.forEach(node => {
+      this.watch(node);
+      // Servers start out of phase, so reports do not arrive in lockstep
+      this.sim.schedule(this.random() * this.params.interval, () => this.send(node), `send-${node.id}`);
+    });
+
+    this.params.failures.forEach(failure => {
+      this.sim.at(failure.at || 0, () => this.fail(failure.node, failure.type || 'crash'));
+      if (failure.until !== undefined) {
+        this.sim.at(failure.until, () => this.recover(failure.node));
+      }
+    });
+
+    this.notify();
+  }
+
+  onChange(callback) {
+    this.listeners.add(callback);
+    return () => this.listeners.delete(callback);
+  }
+
+  notify() {
+    const snapshot = this.getSnapshot();
+    this.listeners.forEach(callback => {
+      try {
+        callback(snapshot);
+      } catch (error) {
+        console.error('Error in heartbeat listener:', error);
+      }
+    });
+  }
+
+  nextGap() {
+    const { interval, jitter } = this.params;
+    return Math.max(0.1, interval * (1 + jitter * (2 * this.random() - 1)));
+  }
+
+  send(node) {
+    this.sim.schedule(this.nextGap(), () => this.send(node), `send-${node.id}`);
+    if (node.actual === 'crashed') return;
+
+    node.sent++;
+    const lost = node.actual === 'partitioned' || this.random() < this.params.dropRate;
+    const message = { node: node.id, seq: node.sent, sentAt: this.now, arrivesAt: this.now + this.params.latency, lost };
+    this.messages.push(message);
+    this.messages = this.messages.slice(-100);
+
+    if (lost) {
+      node.dropped++;
+      this.sim.emit('drop', { node: node.id, seq: message.seq, cause: node.actual === 'partitioned' ? 'partition' : 'loss' });
+      return;
+    }
+    this.sim.schedule(this.params.latency, () => this.receive(node, message), `receive-${node.id}`);
+  }
+
+  receive(node, message) {
+    node.delivered++;
+    node.lastSeen = this.now;
+    this.sim.emit('heartbeat', { node: node.id, seq: message.seq });
+
+    if (node.status === 'dead') {
+      // The server was alive all along if it never actually failed
+      this.sim.emit('rejoin', { node: node.id, falsePositive: node.failedAt === null });
+    }
+    node.status = 'alive';
+    node.detectedAt = null;
+
+    // Lease extension requests are piggybacked on the heartbeat
+    if (node.primary) {
+      node.leaseExpiresAt = this.now + this.params.leaseDuration;
+    }
+
+    this.watch(node);
+    this.notify();
+  }
+
+  // Suspect and dead deadlines restart with every report that arrives
+  watch(node) {
+    const { interval, suspectAfter, deadAfter } = this.params;
+    node.deadlines.forEach(event => this.sim.cancel(event));
+    node.deadlines = [
+      this.sim.at(node.lastSeen + suspectAfter * interval, () => this.suspect(node), `suspect-${node.id}`),
+      this.sim.at(node.lastSeen + deadAfter * interval, () => this.declareDead(node), `dead-${node.id}`)
+    ];
+  }
+
+  suspect(node) {
+    node.status = 'suspect';
+    this.sim.emit('suspect', { node: node.id, silentFor: this.now - node.lastSeen });
+    this.notify();
+  }
+
+  declareDead(node) {
+    node.status = 'dead';
+    node.detectedAt = this.now;
+    this.sim.emit('dead', {
+      node: node.id,
+      detectionTime: node.failedAt !== null ? this.now - node.failedAt : null
+    });
+
+    // Every chunk on the server is now short a replica
+    const chunks = this.params.chunks[node.id] || [];
+    this.sim.emit('rereplicate', { node: node.id, chunks });
+
+    // A new primary may only be chosen once the old lease has surely run out
+    if (node.primary) {
+      const at = Math.max(this.now, node.leaseExpiresAt ?? this.now);
+      this.sim.emit('lease-wait', { node: node.id, until: at });
+      this.sim.at(at, () => this.regrant(node), `regrant-${node.id}`);
+    }
+
+    this.notify();
+  }
+
+  regrant(node) {
+    if (node.status !== 'dead' || !node.primary) return;
+
+    const successor = Array.from(this.nodes.values()).find(n => n !== node && n.status === 'alive' && !n.primary);
+    node.primary = false;
+    node.leaseExpiresAt = null;
+    if (successor) {
+      successor.primary = true;
+      successor.leaseExpiresAt = this.now + this.params.leaseDuration;
+    }
+    this.sim.emit('lease-grant', { from: node.id, to: successor?.id || null });
+    this.notify();
+  }
+
+  fail(id, type = 'crash') {
+    const node = this.nodes.get(id);
+    if (!node) return;
+
+    node.actual = type === 'partition' ? 'partitioned' : 'crashed';
+    node.failedAt = this.now;
+    this.sim.emit('fail', { node: id, failure: type });
+    this.notify();
+  }
+
+  recover(id) {
+    const node = this.nodes.get(id);
+    if (!node || node.actual === 'up') return;
+
+    node.actual = 'up';
+    node.failedAt = null;
+    this.sim.emit('recover', { node: id });
+    this.notify();
+  }
+
+  // Parameter changes apply from each server's next heartbeat on
+  setParam(field, value) {
+    this.params[field] = value;
+    this.notify();
+  }
+
+  advanceTo(time) {
+    if (time <= this.now) return;
+    this.sim.run({ until: time, maxEvents: 100000 });
+    this.notify();
+  }
+
+  advance(seconds) {
+    this.advanceTo(this.now + seconds);
+  }
+
+  // Worst case from a crash to the master declaring it: the last report can
+  // arrive just before the crash, then deadAfter intervals of silence
+  getDetectionBound() {
+    return this.params.deadAfter * this.params.interval + this.params.latency;
+  }
+
+  getSnapshot() {
+    return {
+      time: this.now,
+      nodes: Array.from(this.nodes.values(), ({ deadlines, ...node }) => ({
+        ...node,
+        silentFor: this.now - node.lastSeen,
+        missed: Math.floor((this.now - node.lastSeen) / this.params.interval)
+      })),
+      lastMessages: Object.fromEntries(this.messages.map(m => [m.node, m])),
+      events: this.sim.log.slice(-20),
+      detectionBound: this.getDetectionBound()
+    };
+  }
+
+  describeStatus(node) {
+    switch (node.status) {
+      case 'suspect': return `❓ suspect (${Math.floor(node.silentFor)}s silent)`;
+      case 'dead': return '💀 declared dead';
+      default: return `💓 alive (${Math.floor(node.silentFor)}s ago)`;
+    }
+  }
+
+  // Show the master's view on a composed spec and draw each server's latest report
+  decorate(spec) {
+    const snapshot = this.getSnapshot();
+    const views = new Map(snapshot.nodes.map(node => [node.id, node]));
+    const master = this.params.master;
+    const existing = new Map((spec.edges || [])
+      .filter(edge => edge.kind === 'heartbeat' && edge.to === master)
+      .map(edge => [edge.from, edge.id]));
+
+    const labels = new Map();
+    views.forEach((view, id) => {
+      const message = snapshot.lastMessages[id];
+      if (!message || view.actual === 'crashed') return;
+      labels.set(existing.get(id) || `heartbeat-${id}`, message.lost ? `✗ #${message.seq} lost` : `💓 #${message.seq}`);
+    });
+
+    const nodes = (spec.nodes || []).map(node => {
+      const view = views.get(node.id);
+      if (!view) return node;
+      return {
+        ...node,
+        label: `${node.label} · ${this.describeStatus(view)}${view.primary ? ' · lease' : ''}`,
+        ...(view.status !== 'alive' ? { _highlighted: true } : {})
+      };
+    });
+
+    const edges = (spec.edges || []).map(edge => (
+      labels.has(edge.id) ? { ...edge, label: labels.get(edge.id) } : edge
+    ));
+
+    // Sequence diagrams would append reports as extra messages, so only flows get new edges
+    if (spec.layout?.type !== 'sequence' && master) {
+      views.forEach((_, id) => {
+        const edgeId = `heartbeat-${id}`;
+        if (existing.has(id) || !labels.has(edgeId)) return;
+        edges.push({ id: edgeId, from: id, to: master, kind: 'heartbeat', label: labels.get(edgeId) });
+      });
+    }
+
+    return {
+      ...spec,
+      nodes,
+      edges,
+      // Labels change every tick; keep these frames out of the render cache
+      _simulation: { ...(spec._simulation || {}), live: true },
+      _heartbeat: { time: snapshot.time, nodes: snapshot.nodes }
+    };
+  }
+}
+
+// Export for module systems, or make global
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = HeartbeatMonitor;
+} else {
+  window.HeartbeatMonitor = HeartbeatMonitor;
+}
\ No newline at end of file
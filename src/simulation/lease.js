@@ -0,0 +1,279 @@
+/**
+ * Lease State Machine
+ * Interprets a state-layout spec as an executable state machine. Timing guards
+ * are parsed from edge labels ("50s elapsed", "No response (10s)") and run on
+ * the discrete-event simulator, which follows a VirtualClock.
+ */
+class LeaseStateMachine {
+  constructor(spec, params = {}) {
+    this.spec = spec;
+    this.params = { ...LeaseStateMachine.defaults, ...params };
+    this.states = (spec.nodes || []).filter(n => n.type === 'state');
+    this.transitions = (spec.edges || [])
+      .filter(e => this.states.some(s => s.id === e.from))
+      .map(edge => ({ ...edge, guard: this.parseGuard(edge) }));
+
+    this.sim = this.createSimulator();
+    this.listeners = new Set();
+    this.reset();
+  }
+
+  static get defaults() {
+    return {
+      initialState: null,   // Defaults to the first state node
+      autoFire: {},         // Event edge id -> seconds after entering its source state
+      disabled: []          // Event edge ids that never auto-fire
+    };
+  }
+
+  static fromSpec(spec) {
+    return new LeaseStateMachine(spec, spec.simulation?.params || {});
+  }
+
+  createSimulator() {
+    const Simulator = typeof DiscreteEventSimulator !== 'undefined'
+      ? DiscreteEventSimulator
+      : require('./simulator');
+    return new Simulator();
+  }
+
+  // Parse "10s", "500ms", "2min" into seconds
+  parseDuration(text) {
+    const match = /(\d+(?:\.\d+)?)\s*(ms|s|sec|min|m)\b/i.exec(text || '');
+    if (!match) return null;
+
+    const value = parseFloat(match[1]);
+    const unit = match[2].toLowerCase();
+    if (unit === 'ms') return value / 1000;
+    if (unit === 'min' || unit === 'm') return value * 60;
+    return value;
+  }
+
+  // Work out what makes a transition fire:
+  //   timer - "<n>s elapsed" or "No response (<n>s)", measured from entering the source state
+  //   event - anything else; fired by the learner or by params.autoFire
+  // Event labels that grant or extend the lease also carry the lease duration.
+  parseGuard(edge) {
+    if (edge.guard?.type) {
+      return edge.guard;
+    }
+
+    if (edge.guard) {
+      return {
+        type: edge.guard.after != null ? 'timer' : 'event',
+        after: this.parseDuration(String(edge.guard.after ?? '')),
+        grants: edge.guard.grants != null ? this.parseDuration(String(edge.guard.grants)) : null
+      };
+    }
+
+    const label = edge.label || '';
+    const duration = this.parseDuration(label);
+
+    if (duration !== null && /elapsed|timeout|timed out|no response/i.test(label)) {
+      return { type: 'timer', after: duration, grants: null };
+    }
+
+    if (/grant|renew|extension/i.test(label)) {
+      return { type: 'event', after: null, grants: duration ?? 'previous' };
+    }
+
+    return { type: 'event', after: null, grants: null };
+  }
+
+  reset() {
+    this.sim.reset();
+    this.current = null;
+    this.enteredAt = 0;
+    this.leaseDuration = null;
+    this.leaseExpiresAt = null;
+    this.lastTransition = null;
+    this.history = [];
+    this.pending = [];
+
+    const initial = this.params.initialState || this.states[0]?.id;
+    if (initial) {
+      this.enter(initial, null);
+    }
+  }
+
+  get now() {
+    return this.sim.now;
+  }
+
+  onChange(callback) {
+    this.listeners.add(callback);
+    return () => this.listeners.delete(callback);
+  }
+
+  notify() {
+    const snapshot = this.getSnapshot();
+    this.listeners.forEach(callback => {
+      try {
+        callback(snapshot);
+      } catch (error) {
+        console.error('Error in lease listener:', error);
+      }
+    });
+  }
+
+  enter(stateId, transition) {
+    // Leaving the current state cancels its timers and auto-fired events
+    this.pending.forEach(event => this.sim.cancel(event));
+    this.pending = [];
+
+    if (transition?.guard.grants) {
+      const grant = transition.guard.grants === 'previous'
+        ? this.leaseDuration
+        : transition.guard.grants;
+      if (grant) {
+        this.leaseDuration = grant;
+        this.leaseExpiresAt = this.now + grant;
+      }
+    }
+
+    if (stateId === (this.params.initialState || this.states[0]?.id)) {
+      this.leaseExpiresAt = null;
+    }
+
+    this.current = stateId;
+    this.enteredAt = this.now;
+    this.lastTransition = transition?.id || null;
+    this.history.push({ time: this.now, state: stateId, via: this.lastTransition });
+    this.sim.emit('enter', { state: stateId, via: this.lastTransition });
+
+    for (const t of this.getOutgoing(stateId)) {
+      let delay = null;
+      if (t.guard.type === 'timer') {
+        delay = t.guard.after;
+      } else if (this.params.autoFire[t.id] !== undefined && !this.params.disabled.includes(t.id)) {
+        delay = this.params.autoFire[t.id];
+      }
+
+      if (delay !== null) {
+        this.pending.push(this.sim.schedule(delay, () => this.take(t), t.id));
+      }
+    }
+
+    this.notify();
+  }
+
+  take(transition) {
+    if (transition.from !== this.current) return false;
+    this.enter(transition.to, transition);
+    return true;
+  }
+
+  getOutgoing(stateId = this.current) {
+    return this.transitions.filter(t => t.from === stateId);
+  }
+
+  // Event transitions the learner can trigger from the current state
+  getAvailableEvents() {
+    return this.getOutgoing().filter(t => t.guard.type === 'event');
+  }
+
+  fire(edgeId) {
+    const transition = this.getOutgoing().find(t => t.id === edgeId);
+    if (!transition || transition.guard.type !== 'event') return false;
+    return this.take(transition);
+  }
+
+  // Advance simulated time to an absolute clock reading (seconds)
+  advanceTo(time) {
+    if (time <= this.now) return;
+    const before = this.now;
+    this.sim.run({ until: time });
+    if (this.sim.now !== before) {
+      this.notify();
+    }
+  }
+
+  advance(seconds) {
+    this.advanceTo(this.now + seconds);
+  }
+
+  setAutoFire(edgeId, enabled) {
+    const disabled = new Set(this.params.disabled);
+    if (enabled) {
+      disabled.delete(edgeId);
+    } else {
+      disabled.add(edgeId);
+    }
+    this.params.disabled = Array.from(disabled);
+  }
+
+  getRemainingLease() {
+    if (this.leaseExpiresAt === null) return null;
+    return Math.max(0, this.leaseExpiresAt - this.now);
+  }
+
+  // Time until the next scheduled transition out of the current state
+  getNextDeadline() {
+    const next = this.pending
+      .filter(event => this.sim.queue.includes(event))
+      .sort((a, b) => a.time - b.time)[0];
+    return next ? { edgeId: next.label, in: next.time - this.now } : null;
+  }
+
+  getSnapshot() {
+    return {
+      time: this.now,
+      state: this.current,
+      timeInState: this.now - this.enteredAt,
+      remainingLease: this.getRemainingLease(),
+      lastTransition: this.lastTransition,
+      nextDeadline: this.getNextDeadline(),
+      history: [...this.history]
+    };
+  }
+
+  // Mark the active state and last transition on a (composed) spec
+  decorate(spec) {
+    const remaining = this.getRemainingLease();
+
+    return {
+      ...spec,
+      nodes: (spec.nodes || []).map(node => {
+        if (node.id !== this.current) return node;
+        return {
+          ...node,
+          label: remaining !== null ? `${node.label} · ${Math.ceil(remaining)}s left` : node.label,
+          _highlighted: true
+        };
+      }),
+      edges: (spec.edges || []).map(edge => (
+        edge.id === this.lastTransition ? { ...edge, _highlighted: true } : edge
+      )),
+      _simulation: {
+        ...(spec._simulation || {}),
+        model: 'lease',
+        live: true,
+        state: this.current
+      }
+    };
+  }
+
+  // Attach the parsed guards so the rest of the app can inspect them
+  applyToSpec(spec) {
+    const guards = new Map(this.transitions.map(t => [t.id, t.guard]));
+
+    return {
+      ...spec,
+      edges: (spec.edges || []).map(edge => (
+        guards.has(edge.id) ? { ...edge, guard: guards.get(edge.id) } : edge
+      )),
+      _simulation: {
+        model: 'lease',
+        params: { ...this.params },
+        initialState: this.current
+      }
+    };
+  }
+}
+
+// Export for module systems, or make global
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = LeaseStateMachine;
+} else {
+  window.LeaseStateMachine = LeaseStateMachine;
+}
\ No newline at end of file
@@ -0,0 +1,309 @@
+/**
+ * Chunk Placement Simulation
+ * Places chunk replicas across racks of chunkservers with GFS's rack-spreading
+ * policy, then fails servers and re-replicates under-replicated chunks, fewest
+ * live replicas first, within a cloning bandwidth budget.
+ */
+class ClusterPlacementSimulation {
+  constructor(params = {}) {
+    this.params = { ...ClusterPlacementSimulation.defaults, ...params };
+    this.servers = new Map();
+    this.chunks = new Map();
+    this.frames = [];
+    this.series = [];
+    this.clones = [];
+    this.trace = [];
+  }
+
+  static get defaults() {
+    return {
+      seed: 1,
+      racks: 3,              // Racks are named A, B, C...
+      serversPerRack: 3,
+      diskCapacity: 8,       // Chunks a server can hold
+      chunks: 12,
+      replicas: 3,           // Replication goal per chunk
+      bandwidth: 2,          // Clones in flight across the cluster
+      perServerBandwidth: 1, // Clones a single source can stream at once
+      cloneTime: 1,          // Ticks to copy one chunk
+      failures: [],          // [{ at, server } | { at, rack }]
+      horizon: 40            // Give up after this many ticks
+    };
+  }
+
+  static fromSpec(spec) {
+    return new ClusterPlacementSimulation(spec.simulation?.params || {});
+  }
+
+  createSimulator() {
+    const Simulator = typeof DiscreteEventSimulator !== 'undefined'
+      ? DiscreteEventSimulator
+      : require('./simulator');
+    return new Simulator();
+  }
+
+  getRackIds() {
+    const count = Math.max(1, Math.min(26, Math.floor(this.params.racks)));
+    return Array.from({ length: count }, (_, i) => String.fromCharCode(65 + i));
+  }
+
+  createCluster() {
+    const { serversPerRack, diskCapacity, chunks } = this.params;
+
+    this.servers = new Map();
+    this.getRackIds().forEach(rack => {
+      for (let i = 1; i <= Math.max(1, Math.floor(serversPerRack)); i++) {
+        const id = `${rack}${i}`;
+        this.servers.set(id, { id, rack, alive: true, capacity: diskCapacity, chunks: new Set(), reserved: 0 });
+      }
+    });
+
+    this.chunks = new Map();
+    for (let i = 1; i <= chunks; i++) {
+      this.chunks.set(`c${i}`, { id: `c${i}`, locations: [], pending: 0 });
+    }
+  }
+
+  getUsed(server) {
+    return server.chunks.size + server.reserved;
+  }
+
+  // GFS placement: spread replicas across racks, then prefer the emptiest
+  // disks. Candidates are shuffled first so ties break by seed, not by name.
+  chooseTarget(chunk, exclude = []) {
+    const holders = new Set([...chunk.locations, ...exclude]);
+    const racks = new Set(Array.from(holders, id => this.servers.get(id).rack));
+    const candidates = Array.from(this.servers.values())
+      .filter(server => server.alive && !holders.has(server.id) && this.getUsed(server) < server.capacity);
+
+    for (let i = candidates.length - 1; i > 0; i--) {
+      const j = Math.floor(this.random() * (i + 1));
+      [candidates[i], candidates[j]] = [candidates[j], candidates[i]];
+    }
+
+    candidates.sort((a, b) =>
+      Number(racks.has(a.rack)) - Number(racks.has(b.rack)) ||
+      this.getUsed(a) / a.capacity - this.getUsed(b) / b.capacity
+    );
+
+    return candidates[0] || null;
+  }
+
+  placeInitial() {
+    this.chunks.forEach(chunk => {
+      for (let r = 0; r < this.params.replicas; r++) {
+        const target = this.chooseTarget(chunk);
+        if (!target) break;
+        target.chunks.add(chunk.id);
+        chunk.locations.push(target.id);
+      }
+    });
+  }
+
+  getLiveCount(chunk) {
+    return chunk.locations.filter(id => this.servers.get(id).alive).length;
+  }
+
+  // Chunks below the replication goal that still have a live copy to clone,
+  // most endangered first
+  getRepairQueue() {
+    return Array.from(this.chunks.values())
+      .filter(chunk => {
+        const live = this.getLiveCount(chunk);
+        return live > 0 && live + chunk.pending < this.params.replicas;
+      })
+      .sort((a, b) => this.getLiveCount(a) - this.getLiveCount(b) || this.compareIds(a.id, b.id));
+  }
+
+  compareIds(a, b) {
+    return a.localeCompare(b, undefined, { numeric: true });
+  }
+
+  failServers(sim, failure) {
+    const victims = Array.from(this.servers.values())
+      .filter(server => server.alive && (server.id === failure.server || server.rack === failure.rack));
+
+    victims.forEach(server => {
+      server.alive = false;
+      sim.emit('fail', { server: server.id, rack: server.rack });
+    });
+  }
+
+  run() {
+    const sim = this.createSimulator();
+    const { failures, bandwidth, perServerBandwidth, cloneTime, horizon } = this.params;
+    const lastFailure = Math.max(0, ...failures.map(f => f.at || 0));
+    const inFlight = [];
+
+    this.random = sim.constructor.createRandom(this.params.seed);
+    this.createCluster();
+    this.placeInitial();
+    this.frames = [];
+    this.series = [];
+    this.clones = [];
+
+    const complete = (clone) => {
+      inFlight.splice(inFlight.indexOf(clone), 1);
+      const chunk = this.chunks.get(clone.chunk);
+      const source = this.servers.get(clone.from);
+      const target = this.servers.get(clone.to);
+
+      chunk.pending--;
+      target.reserved--;
+      clone.finishedAt = sim.now;
+
+      // A clone dies with either end; the chunk simply goes back on the queue
+      if (!source.alive || !target.alive) {
+        clone.status = 'aborted';
+        sim.emit('abort', { chunk: chunk.id, from: source.id, to: target.id });
+        return;
+      }
+
+      clone.status = 'done';
+      target.chunks.add(chunk.id);
+      chunk.locations.push(target.id);
+      sim.emit('cloned', { chunk: chunk.id, from: source.id, to: target.id });
+    };
+
+    // Start as many clones as the cluster and per-source budgets allow
+    const schedule = () => {
+      for (const chunk of this.getRepairQueue()) {
+        if (inFlight.length >= bandwidth) break;
+
+        const source = chunk.locations
+          .map(id => this.servers.get(id))
+          .filter(server => server.alive && inFlight.filter(c => c.from === server.id).length < perServerBandwidth)
+          .sort((a, b) => this.getUsed(a) - this.getUsed(b))[0];
+        if (!source) continue;
+
+        const target = this.chooseTarget(chunk, inFlight.filter(c => c.chunk === chunk.id).map(c => c.to));
+        if (!target) continue;
+
+        const clone = { chunk: chunk.id, from: source.id, to: target.id, live: this.getLiveCount(chunk), startedAt: sim.now, status: 'copying' };
+        chunk.pending++;
+        target.reserved++;
+        inFlight.push(clone);
+        this.clones.push(clone);
+        sim.emit('clone', { chunk: chunk.id, from: source.id, to: target.id, live: clone.live });
+        sim.schedule(cloneTime, () => complete(clone));
+      }
+    };
+
+    const tick = () => {
+      schedule();
+      this.snapshot(sim, inFlight);
+
+      const idle = inFlight.length === 0 && this.getRepairQueue().length === 0;
+      if (sim.now < horizon && (sim.now < lastFailure || !idle)) {
+        sim.schedule(1, tick);
+      }
+    };
+
+    // Failures are queued first so they land before the tick at the same time
+    failures.forEach(failure => sim.at(failure.at || 0, () => this.failServers(sim, failure)));
+    sim.at(0, tick);
+
+    this.trace = sim.run();
+    return this.frames;
+  }
+
+  snapshot(sim, inFlight) {
+    const time = sim.now;
+    const byLive = {};
+    let underReplicated = 0;
+    let lost = 0;
+
+    const chunks = Array.from(this.chunks.values()).map(chunk => {
+      const live = this.getLiveCount(chunk);
+      byLive[live] = (byLive[live] || 0) + 1;
+      if (live === 0) lost++;
+      else if (live < this.params.replicas) underReplicated++;
+      return { id: chunk.id, live, locations: chunk.locations.filter(id => this.servers.get(id).alive) };
+    });
+
+    this.frames.push({
+      time,
+      servers: Array.from(this.servers.values()).map(server => ({
+        id: server.id,
+        rack: server.rack,
+        alive: server.alive,
+        capacity: server.capacity,
+        chunks: Array.from(server.chunks).sort(this.compareIds)
+      })),
+      chunks,
+      clones: inFlight.map(({ chunk, from, to, live }) => ({ chunk, from, to, live })),
+      events: sim.log.filter(entry => entry.time === time)
+    });
+    this.series.push({ time, underReplicated, lost, byLive });
+  }
+
+  getSummary() {
+    const last = this.series[this.series.length - 1];
+    const peak = Math.max(0, ...this.series.map(point => point.underReplicated));
+    return {
+      finishedAt: last?.time || 0,
+      peakUnderReplicated: peak,
+      lost: last?.lost || 0,
+      cloned: this.clones.filter(clone => clone.status === 'done').length,
+      aborted: this.clones.filter(clone => clone.status === 'aborted').length
+    };
+  }
+
+  // One matrix diagram per frame: racks as subgraphs, servers labelled with
+  // their fill and chunks, clones in flight as edges
+  static toMatrixSpec(frame, base = {}) {
+    const cloning = new Set(frame.clones.map(clone => clone.to));
+
+    return {
+      id: `${base.id || 'cluster'}-placement`,
+      title: `${base.title || 'Cluster'} · t=${frame.time}`,
+      layout: { type: 'matrix' },
+      nodes: [
+        { id: 'Master', type: 'master', label: 'Master' },
+        ...frame.servers.map(server => ({
+          id: server.id,
+          type: 'chunkserver',
+          rack: `Rack ${server.rack}`,
+          label: `${server.id} ${server.chunks.length}/${server.capacity}: ${server.chunks.join(' ') || 'empty'}`,
+          ...(server.alive ? {} : { failure: 'crash' }),
+          ...(cloning.has(server.id) ? { _highlighted: true } : {})
+        }))
+      ],
+      edges: frame.clones.map((clone, index) => ({
+        id: `clone-${index}`,
+        from: clone.from,
+        to: clone.to,
+        kind: 'data',
+        label: `${clone.chunk} (${clone.live} live)`
+      })),
+      _simulation: { model: 'placement', live: true }
+    };
+  }
+
+  applyToSpec(spec) {
+    if (this.frames.length === 0) {
+      this.run();
+    }
+
+    return {
+      ...spec,
+      _simulation: {
+        model: 'placement',
+        params: { ...this.params },
+        racks: this.getRackIds(),
+        frames: this.frames,
+        series: this.series,
+        clones: this.clones,
+        summary: this.getSummary(),
+        trace: this.trace
+      }
+    };
+  }
+}
+
+// Export for module systems, or make global
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ClusterPlacementSimulation;
+} else {
+  window.ClusterPlacementSimulation = ClusterPlacementSimulation;
+}
\ No newline at end of file
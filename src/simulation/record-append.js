@@ -0,0 +1,85 @@
+/**
+ * Record Append Workload
+ * Seeded generator of concurrent record appends from several clients, with
+ * per-attempt replica failures. The same seed always yields the same workload.
+ */
+class RecordAppendWorkload {
+  constructor(options = {}) {
+    this.options = { ...RecordAppendWorkload.defaults, ...options };
+    this.random = this.getSimulatorClass().createRandom(this.options.seed);
+  }
+
+  static get defaults() {
+    return {
+      seed: 1,
+      clients: 3,
+      recordsPerClient: 3,
+      minRecordSize: 4,
+      maxRecordSize: 16,
+      failureProbability: 0.2,  // Chance that an attempt fails on one replica
+      maxRetries: 3
+    };
+  }
+
+  getSimulatorClass() {
+    return typeof DiscreteEventSimulator !== 'undefined'
+      ? DiscreteEventSimulator
+      : require('./simulator');
+  }
+
+  randomInt(min, max) {
+    return min + Math.floor(this.random() * (max - min + 1));
+  }
+
+  getClientIds() {
+    const count = Math.max(1, Math.min(26, Math.floor(this.options.clients)));
+    return Array.from({ length: count }, (_, i) => String.fromCharCode(65 + i));
+  }
+
+  // Failure plan for one record: each attempt fails on a random replica with
+  // failureProbability, and retries stop after the first clean attempt
+  drawFailures(replicaIds) {
+    const failures = [];
+    for (let attempt = 0; attempt <= this.options.maxRetries; attempt++) {
+      if (this.random() >= this.options.failureProbability) break;
+      failures.push([replicaIds[this.randomInt(0, replicaIds.length - 1)]]);
+    }
+    return failures;
+  }
+
+  // Round r of every client is issued at time r, in a seeded order, so the
+  // primary serializes each round's appends together
+  generate(replicaIds) {
+    const { recordsPerClient, minRecordSize, maxRecordSize, maxRetries } = this.options;
+    const operations = [];
+
+    for (let round = 0; round < recordsPerClient; round++) {
+      const clients = this.getClientIds();
+      for (let i = clients.length - 1; i > 0; i--) {
+        const j = this.randomInt(0, i);
+        [clients[i], clients[j]] = [clients[j], clients[i]];
+      }
+
+      clients.forEach(client => {
+        operations.push({
+          id: `${client}${round + 1}`,
+          client,
+          type: 'append',
+          length: this.randomInt(minRecordSize, maxRecordSize),
+          at: round,
+          maxRetries,
+          failures: this.drawFailures(replicaIds)
+        });
+      });
+    }
+
+    return operations;
+  }
+}
+
+// Export for module systems, or make global
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RecordAppendWorkload;
+} else {
+  window.RecordAppendWorkload = RecordAppendWorkload;
+}
\ No newline at end of file
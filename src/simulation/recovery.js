@@ -0,0 +1,212 @@
+/**
+ * Master Recovery Simulation
+ * Runs a scripted metadata workload through the master's operation log with
+ * periodic checkpoints, crashes the master and replays it step by step.
+ * Chunk locations are never logged; they come back from chunkserver reports.
+ */
+class MasterRecoverySimulation {
+  constructor(params = {}) {
+    this.params = { ...MasterRecoverySimulation.defaults, ...params };
+    this.log = [];
+    this.checkpoints = [];
+    this.replay = [];
+    this.shadows = [];
+  }
+
+  static get defaults() {
+    return {
+      checkpointEvery: 5,   // Log records between checkpoints
+      crashAt: null,        // Records applied before the crash (defaults to the whole workload)
+      chunkservers: [],     // Servers that report their chunks after replay
+      shadows: [],          // [{ id, lag }] read-only masters trailing the log
+      workload: []          // [{ op, path, ... }] metadata mutations, one log record each
+    };
+  }
+
+  static fromSpec(spec) {
+    return new MasterRecoverySimulation(spec.simulation?.params || {});
+  }
+
+  getCrashPoint() {
+    const { crashAt, workload } = this.params;
+    if (crashAt === null || crashAt === undefined) return workload.length;
+    return Math.max(0, Math.min(workload.length, Math.floor(crashAt)));
+  }
+
+  createState() {
+    return { namespace: new Map(), chunks: new Map() };
+  }
+
+  cloneState(state) {
+    return {
+      namespace: new Map(Array.from(state.namespace, ([path, entry]) => [path, { ...entry, chunks: [...entry.chunks] }])),
+      chunks: new Map(Array.from(state.chunks, ([handle, chunk]) => [handle, { ...chunk, locations: [...chunk.locations] }]))
+    };
+  }
+
+  // Apply one log record. `live` is true on the running master, which also
+  // learns replica locations as it places chunks; replay never sees them.
+  applyRecord(state, record, live = false) {
+    const { namespace, chunks } = state;
+
+    switch (record.op) {
+      case 'mkdir':
+        namespace.set(record.path, { type: 'dir', chunks: [] });
+        break;
+      case 'create':
+        namespace.set(record.path, { type: 'file', chunks: [] });
+        break;
+      case 'addChunk': {
+        namespace.get(record.path)?.chunks.push(record.handle);
+        chunks.set(record.handle, {
+          file: record.path,
+          version: 1,
+          locations: live ? [...(record.replicas || [])] : []
+        });
+        break;
+      }
+      case 'grantLease': {
+        const chunk = chunks.get(record.handle);
+        if (chunk) chunk.version++;
+        break;
+      }
+      case 'rename':
+      case 'delete': {
+        // Deletes are renames to a hidden name; garbage collection happens later
+        const to = record.op === 'delete' ? this.hiddenName(record.path, record.lsn) : record.to;
+        const entry = namespace.get(record.path);
+        if (!entry) break;
+        namespace.delete(record.path);
+        namespace.set(to, entry);
+        entry.chunks.forEach(handle => {
+          if (chunks.has(handle)) chunks.get(handle).file = to;
+        });
+        break;
+      }
+      default:
+        throw new Error(`Unknown log operation: ${record.op}`);
+    }
+  }
+
+  hiddenName(path, lsn) {
+    const slash = path.lastIndexOf('/');
+    return `${path.slice(0, slash + 1)}.deleted-${path.slice(slash + 1)}@${lsn}`;
+  }
+
+  describeRecord(record) {
+    switch (record.op) {
+      case 'mkdir': return `mkdir ${record.path}`;
+      case 'create': return `create ${record.path}`;
+      case 'addChunk': return `add chunk ${record.handle} to ${record.path}`;
+      case 'grantLease': return `grant lease on ${record.handle} (version +1)`;
+      case 'rename': return `rename ${record.path} → ${record.to}`;
+      case 'delete': return `delete ${record.path} (hide)`;
+      default: return record.op;
+    }
+  }
+
+  // Persisted state after replaying records 1..lsn from scratch
+  stateAt(lsn) {
+    const state = this.createState();
+    this.log.slice(0, lsn).forEach(record => this.applyRecord(state, record));
+    return state;
+  }
+
+  toTables(state) {
+    return {
+      namespace: Array.from(state.namespace, ([path, entry]) => ({ path, type: entry.type, chunks: [...entry.chunks] }))
+        .sort((a, b) => a.path.localeCompare(b.path)),
+      chunks: Array.from(state.chunks, ([handle, chunk]) => ({ handle, ...chunk, locations: [...chunk.locations] }))
+    };
+  }
+
+  run() {
+    const { workload, checkpointEvery, chunkservers, shadows } = this.params;
+    const crashAt = this.getCrashPoint();
+
+    this.log = workload.map((entry, index) => ({ ...entry, lsn: index + 1 }));
+    this.checkpoints = [];
+
+    // Normal operation up to the crash: log every mutation, checkpoint periodically
+    const live = this.createState();
+    this.log.slice(0, crashAt).forEach(record => {
+      this.applyRecord(live, record, true);
+      if (checkpointEvery > 0 && record.lsn % checkpointEvery === 0) {
+        this.checkpoints.push({ lsn: record.lsn, state: this.cloneState(live) });
+      }
+    });
+
+    const checkpoint = this.checkpoints[this.checkpoints.length - 1] || null;
+    const steps = [];
+    const pushStep = (id, kind, caption, state, extra = {}) => {
+      steps.push({ id, kind, caption, ...extra, ...this.toTables(state) });
+    };
+
+    pushStep('crash', 'crash', `Master crashes after LSN ${crashAt}; in-memory metadata is gone`, this.createState(), { lsn: 0 });
+
+    // Checkpoints hold namespace and file-to-chunk mapping only
+    const state = checkpoint ? this.stateAt(checkpoint.lsn) : this.createState();
+    pushStep('checkpoint', 'checkpoint', checkpoint
+      ? `Load checkpoint at LSN ${checkpoint.lsn}`
+      : 'No checkpoint yet: start from an empty namespace', state, { lsn: checkpoint?.lsn || 0 });
+
+    this.log.slice(checkpoint?.lsn || 0, crashAt).forEach(record => {
+      this.applyRecord(state, record);
+      pushStep(`replay-${record.lsn}`, 'replay', `Replay LSN ${record.lsn}: ${this.describeRecord(record)}`, state, {
+        lsn: record.lsn,
+        changed: [record.path, record.to, record.handle].filter(Boolean)
+      });
+    });
+
+    // Locations come back as chunkservers report what they hold
+    chunkservers.forEach(server => {
+      const reported = [];
+      live.chunks.forEach((chunk, handle) => {
+        if (chunk.locations.includes(server) && state.chunks.has(handle)) {
+          state.chunks.get(handle).locations.push(server);
+          reported.push(handle);
+        }
+      });
+      pushStep(`report-${server}`, 'report', `${server} reports ${reported.length > 0 ? reported.join(', ') : 'no chunks'}`, state, {
+        lsn: crashAt,
+        changed: reported
+      });
+    });
+
+    pushStep('serving', 'serving', 'Master is back: metadata rebuilt, serving clients', state, { lsn: crashAt });
+
+    this.replay = steps;
+    this.shadows = shadows.map(shadow => {
+      const lsn = Math.max(0, crashAt - (shadow.lag || 0));
+      return { id: shadow.id, lag: shadow.lag || 0, lsn, ...this.toTables(this.stateAt(lsn)) };
+    });
+
+    return this.replay;
+  }
+
+  applyToSpec(spec) {
+    if (this.replay.length === 0) {
+      this.run();
+    }
+
+    return {
+      ...spec,
+      _simulation: {
+        model: 'recovery',
+        params: { ...this.params },
+        crashAt: this.getCrashPoint(),
+        log: this.log.map(record => ({ ...record, description: this.describeRecord(record) })),
+        checkpoints: this.checkpoints.map(c => c.lsn),
+        replay: this.replay,
+        shadows: this.shadows
+      }
+    };
+  }
+}
+
+// Export for module systems, or make global
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MasterRecoverySimulation;
+} else {
+  window.MasterRecoverySimulation = MasterRecoverySimulation;
+}
\ No newline at end of file
@@ -0,0 +1,60 @@
+/**
+ * Scene Builder
+ * Turns a simulated timeline into overlays and scenes. The first frame is the
+ * base diagram; every later frame becomes an overlay diffed against it, so
+ * authors describe a timeline instead of hand-writing each diff.
+ */
+class SceneBuilder {
+  constructor(composer) {
+    this.composer = composer;
+  }
+
+  // Generated nodes and edges form the base; authored ones with the same id
+  // keep their extra fields, and authored extras are kept as they are
+  merge(generated, authored = []) {
+    const byId = new Map(authored.map(item => [item.id, item]));
+    const generatedIds = new Set(generated.map(item => item.id));
+    return [
+      ...generated.map(item => ({ ...(byId.get(item.id) || {}), ...item })),
+      ...authored.filter(item => !generatedIds.has(item.id))
+    ];
+  }
+
+  // frames: [{ id, caption, narrative, nodes, edges, changed }]
+  build(spec, frames, { prefix = 'frame' } = {}) {
+    const [base, ...rest] = frames;
+    const baseIds = new Set(base.nodes.map(node => node.id));
+
+    const overlays = rest.map(frame => ({
+      id: `${prefix}-${frame.id}`,
+      caption: frame.caption,
+      diff: {
+        ...this.composer.calculateDiff(base, frame),
+        // Added nodes are already marked; highlight changes to existing ones
+        highlight: { nodeIds: (frame.changed || []).filter(id => baseIds.has(id)) }
+      }
+    }));
+
+    const scenes = rest.map((frame, index) => ({
+      id: frame.id,
+      name: frame.caption,
+      narrative: frame.narrative,
+      overlays: [overlays[index].id]
+    }));
+
+    return {
+      ...spec,
+      nodes: this.merge(base.nodes, spec.nodes),
+      edges: this.merge(base.edges, spec.edges),
+      overlays: [...overlays, ...(spec.overlays || [])],
+      scenes: [...scenes, ...(spec.scenes || [])]
+    };
+  }
+}
+
+// Export for module systems, or make global
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SceneBuilder;
+} else {
+  window.SceneBuilder = SceneBuilder;
+}
\ No newline at end of file
@@ -0,0 +1,112 @@
+/**
+ * Discrete-Event Simulator
+ * Minimal event queue with a virtual clock, shared by the protocol models
+ */
+class DiscreteEventSimulator {
+  constructor() {
+    this.now = 0;
+    this.queue = [];
+    this.log = [];
+    this.sequence = 0;
+  }
+
+  // Seeded PRNG (mulberry32): small, fast and reproducible across browsers and Node
+  static createRandom(seed) {
+    let state = (Number(seed) >>> 0) || 1;
+    return () => {
+      state = (state + 0x6D2B79F5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  // Schedule a handler to run `delay` time units from now
+  schedule(delay, handler, label = '') {
+    return this.at(this.now + Math.max(0, delay), handler, label);
+  }
+
+  // Schedule a handler at an absolute time
+  at(time, handler, label = '') {
+    const event = {
+      time,
+      seq: this.sequence++,
+      handler,
+      label
+    };
+
+    // Keep the queue ordered by time, then by insertion order for ties
+    let index = this.queue.length;
+    while (index > 0 && this.compare(this.queue[index - 1], event) > 0) {
+      index--;
+    }
+    this.queue.splice(index, 0, event);
+
+    return event;
+  }
+
+  compare(a, b) {
+    return a.time - b.time || a.seq - b.seq;
+  }
+
+  cancel(event) {
+    const index = this.queue.indexOf(event);
+    if (index !== -1) {
+      this.queue.splice(index, 1);
+      return true;
+    }
+    return false;
+  }
+
+  // Run the next event; returns false when the queue is empty
+  step() {
+    const event = this.queue.shift();
+    if (!event) return false;
+
+    this.now = event.time;
+    event.handler(this);
+    return true;
+  }
+
+  // Run until the queue drains, `until` is reached or `maxEvents` have run
+  run({ until = Infinity, maxEvents = 10000 } = {}) {
+    let processed = 0;
+
+    while (this.queue.length > 0 && processed < maxEvents) {
+      if (this.queue[0].time > until) break;
+      this.step();
+      processed++;
+    }
+
+    if (processed >= maxEvents && this.queue.length > 0) {
+      console.warn(`Simulation stopped after ${maxEvents} events`);
+    } else if (until !== Infinity) {
+      // Idle time still passes on the clock
+      this.now = Math.max(this.now, until);
+    }
+
+    return this.log;
+  }
+
+  // Record a timestamped trace entry
+  emit(type, data = {}) {
+    const entry = { time: this.now, type, ...data };
+    this.log.push(entry);
+    return entry;
+  }
+
+  reset() {
+    this.now = 0;
+    this.queue = [];
+    this.log = [];
+    this.sequence = 0;
+  }
+}
+
+// Export for module systems, or make global
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DiscreteEventSimulator;
+} else {
+  window.DiscreteEventSimulator = DiscreteEventSimulator;
+}
\ No newline at end of file
@@ -0,0 +1,259 @@
+/**
+ * Snapshot Model
+ * Copy-on-write snapshots over the master's file → chunk handle table with
+ * reference counts. A snapshot revokes leases and duplicates metadata; the
+ * first write to a shared chunk has every replica copy it locally under a
+ * new handle. Each protocol step becomes a stage the composer can render.
+ */
+class SnapshotModel {
+  constructor(params = {}) {
+    this.params = { ...SnapshotModel.defaults, ...params };
+    this.stages = [];
+    this.fileIds = new Map();
+  }
+
+  static get defaults() {
+    return {
+      chunkservers: [],  // Server ids, e.g. ["CS1", "CS2", "CS3"]
+      files: [],         // [{ path, chunks: [{ handle, replicas }] }]
+      leases: [],        // [{ handle, primary }] outstanding before the first operation
+      operations: []     // [{ op: 'snapshot', source, target } | { op: 'write', path, chunk } | { op: 'delete', path }]
+    };
+  }
+
+  static fromSpec(spec) {
+    return new SnapshotModel(spec.snapshot || {});
+  }
+
+  createState() {
+    const files = new Map();
+    const chunks = new Map();
+
+    this.params.files.forEach(file => {
+      files.set(file.path, file.chunks.map(chunk => chunk.handle));
+      file.chunks.forEach(chunk => {
+        if (chunks.has(chunk.handle)) {
+          chunks.get(chunk.handle).refs++;
+          return;
+        }
+        chunks.set(chunk.handle, { handle: chunk.handle, refs: 1, version: 1, replicas: [...chunk.replicas], lease: null, copyOf: null });
+      });
+    });
+
+    this.params.leases.forEach(lease => {
+      if (chunks.has(lease.handle)) chunks.get(lease.handle).lease = lease.primary;
+    });
+
+    return { files, chunks };
+  }
+
+  // Next unused handle, numbered after the highest existing C<n>
+  nextHandle(chunks) {
+    const numbers = Array.from(chunks.keys()).map(handle => Number(handle.replace(/\D/g, '')) || 0);
+    return `C${Math.max(0, ...numbers) + 1}`;
+  }
+
+  getFileId(path) {
+    if (!this.fileIds.has(path)) {
+      this.fileIds.set(path, `F${this.fileIds.size + 1}`);
+    }
+    return this.fileIds.get(path);
+  }
+
+  run() {
+    const state = this.createState();
+    this.stages = [];
+    this.fileIds = new Map();
+    state.files.forEach((_, path) => this.getFileId(path));
+
+    const push = (id, op, caption, narrative, messages = [], changed = []) => {
+      this.stages.push({
+        id,
+        op,
+        caption,
+        narrative,
+        messages,
+        changed,
+        files: Array.from(state.files, ([path, handles]) => ({ path, id: this.getFileId(path), chunks: [...handles] })),
+        chunks: Array.from(state.chunks.values(), chunk => ({ ...chunk, replicas: [...chunk.replicas] }))
+      });
+    };
+
+    push('initial', null, 'Before the snapshot', 'Every chunk is referenced by exactly one file');
+
+    this.params.operations.forEach((operation, index) => {
+      const prefix = `op${index + 1}`;
+      switch (operation.op) {
+        case 'snapshot':
+          this.snapshot(state, operation, prefix, push);
+          break;
+        case 'write':
+          this.write(state, operation, prefix, push);
+          break;
+        case 'delete':
+          this.remove(state, operation, prefix, push);
+          break;
+        default:
+          throw new Error(`Unknown snapshot operation: ${operation.op}`);
+      }
+    });
+
+    return this.stages;
+  }
+
+  getHandles(state, path) {
+    const handles = state.files.get(path);
+    if (!handles) {
+      throw new Error(`Unknown file: ${path}`);
+    }
+    return handles;
+  }
+
+  snapshot(state, { source, target }, prefix, push) {
+    const handles = this.getHandles(state, source);
+
+    // Outstanding leases are revoked first, so any later write has to come
+    // back to the master, which gets a chance to copy the chunk
+    const leased = handles.map(handle => state.chunks.get(handle)).filter(chunk => chunk.lease);
+    const revokes = leased.map(chunk => ({ from: 'Master', to: chunk.lease, kind: 'control', label: `Revoke lease ${chunk.handle}` }));
+    leased.forEach(chunk => { chunk.lease = null; });
+    push(`${prefix}-revoke`, 'snapshot', `Snapshot ${source}: revoke leases`,
+      leased.length > 0
+        ? `The master revokes the leases on ${leased.map(c => c.handle).join(', ')} before touching metadata`
+        : `No outstanding leases on ${source}, so nothing needs revoking`,
+      revokes, leased.map(chunk => chunk.handle));
+
+    // Log the operation, then duplicate the metadata: both files share every chunk
+    state.files.set(target, [...handles]);
+    handles.forEach(handle => state.chunks.get(handle).refs++);
+    push(`${prefix}-duplicate`, 'snapshot', `Snapshot ${source} → ${target}: duplicate metadata`,
+      `The master logs the snapshot and points ${target} at the same chunks; no data is copied and every reference count goes up`,
+      [], [this.getFileId(target), ...handles]);
+  }
+
+  write(state, { path, chunk: index = 0 }, prefix, push) {
+    const handles = this.getHandles(state, path);
+    const handle = handles[index];
+    if (!handle) {
+      throw new Error(`File ${path} has no chunk ${index}`);
+    }
+
+    let chunk = state.chunks.get(handle);
+    const shared = chunk.refs > 1;
+    push(`${prefix}-request`, 'write', `Write ${path}[${index}]: ask for the primary`,
+      shared
+        ? `${handle} has reference count ${chunk.refs}, so the master defers its reply`
+        : `${handle} is only referenced by ${path}, so no copy is needed`,
+      [{ from: 'Client', to: 'Master', kind: 'control', label: `Primary for ${handle}?` }], [handle]);
+
+    // First write after a snapshot: every replica copies the chunk locally,
+    // so the data never crosses the network
+    if (shared) {
+      const copy = this.nextHandle(state.chunks);
+      chunk.refs--;
+      chunk = { handle: copy, refs: 1, version: chunk.version, replicas: [...chunk.replicas], lease: null, copyOf: handle };
+      state.chunks.set(copy, chunk);
+      handles[index] = copy;
+      push(`${prefix}-copy`, 'write', `Copy-on-write: ${handle} → ${copy}`,
+        `Each chunkserver holding ${handle} creates ${copy} from its local copy; ${path} now points at ${copy}`,
+        chunk.replicas.map(server => ({ from: 'Master', to: server, kind: 'control', label: `Copy ${handle} → ${copy}` })),
+        [copy, handle, this.getFileId(path)]);
+    }
+
+    if (!chunk.lease) {
+      chunk.lease = chunk.replicas[0];
+      chunk.version++;
+      push(`${prefix}-lease`, 'write', `Grant lease on ${chunk.handle}`,
+        `The master bumps ${chunk.handle} to version ${chunk.version} and makes ${chunk.lease} primary`,
+        [
+          { from: 'Master', to: chunk.lease, kind: 'control', label: `Lease ${chunk.handle} v${chunk.version}` },
+          { from: 'Master', to: 'Client', kind: 'control', label: `Primary ${chunk.lease}` }
+        ], [chunk.handle]);
+    }
+
+    push(`${prefix}-write`, 'write', `Write ${chunk.handle} through ${chunk.lease}`,
+      chunk.copyOf
+        ? `The write lands on ${chunk.handle}; the snapshot still sees the untouched ${chunk.copyOf}`
+        : `The write goes to ${chunk.handle} like any other mutation`,
+      [
+        { from: 'Client', to: chunk.lease, kind: 'data', label: `Write ${chunk.handle}` },
+        ...chunk.replicas.filter(server => server !== chunk.lease)
+          .map(server => ({ from: chunk.lease, to: server, kind: 'data', label: 'Apply mutation' }))
+      ], [chunk.handle]);
+  }
+
+  remove(state, { path }, prefix, push) {
+    const handles = this.getHandles(state, path);
+    state.files.delete(path);
+    handles.forEach(handle => state.chunks.get(handle).refs--);
+
+    const garbage = handles.filter(handle => state.chunks.get(handle).refs === 0);
+    push(`${prefix}-delete`, 'delete', `Delete ${path}`,
+      garbage.length > 0
+        ? `No file references ${garbage.join(', ')} any more, so garbage collection can reclaim ${garbage.length === 1 ? 'it' : 'them'}; shared chunks survive`
+        : `Every chunk of ${path} is still referenced elsewhere, so nothing becomes garbage`,
+      [], handles);
+  }
+
+  describeChunk(chunk) {
+    const parts = [`${chunk.handle} v${chunk.version}`, `refs ${chunk.refs}`];
+    if (chunk.lease) parts.push(`lease ${chunk.lease}`);
+    if (chunk.refs === 0) parts.push('garbage');
+    return parts.join(' · ');
+  }
+
+  // Diagram for one stage: metadata on the left, replicas on the chunkservers
+  toSpec(stage) {
+    const held = server => stage.chunks.filter(chunk => chunk.replicas.includes(server)).map(chunk => chunk.handle);
+
+    return {
+      nodes: [
+        { id: 'Client', type: 'client', label: 'Client' },
+        { id: 'Master', type: 'master', label: 'Master' },
+        ...stage.files.map(file => ({ id: file.id, type: 'note', label: `📄 ${file.path}` })),
+        ...stage.chunks.map(chunk => ({ id: chunk.handle, type: 'note', label: this.describeChunk(chunk) })),
+        ...this.params.chunkservers.map(server => ({ id: server, type: 'chunkserver', label: `${server}: ${held(server).join(' ') || 'empty'}` }))
+      ],
+      edges: [
+        ...stage.files.map(file => ({ id: `meta-${file.id}`, from: 'Master', to: file.id, kind: 'control', label: 'metadata' })),
+        ...stage.files.flatMap(file => file.chunks.map((handle, index) => ({
+          id: `map-${file.id}-${index}`,
+          from: file.id,
+          to: handle,
+          kind: 'control',
+          label: `chunk ${index}`
+        }))),
+        ...stage.messages.map((message, index) => ({ id: `msg-${index}`, ...message }))
+      ]
+    };
+  }
+
+  // Every stage after the first becomes an overlay and a scene
+  expand(spec, composer) {
+    if (this.stages.length === 0) {
+      this.run();
+    }
+
+    const Builder = typeof SceneBuilder !== 'undefined' ? SceneBuilder : require('./scene-builder');
+    const frames = this.stages.map(stage => ({
+      ...this.toSpec(stage),
+      id: stage.id,
+      caption: stage.caption,
+      narrative: stage.narrative,
+      changed: stage.changed
+    }));
+
+    return {
+      ...new Builder(composer).build(spec, frames, { prefix: 'snapshot' }),
+      _generated: 'snapshot',
+      _snapshot: { stages: this.stages }
+    };
+  }
+}
+
+// Export for module systems, or make global
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SnapshotModel;
+} else {
+  window.SnapshotModel = SnapshotModel;
+}
\ No newline at end of file
@@ -0,0 +1,97 @@
+/**
+ * Virtual Clock
+ * Simulated time (in seconds) that can run faster than real time, pause,
+ * or jump ahead. Listeners receive the new time after every change.
+ */
+class VirtualClock {
+  constructor(options = {}) {
+    this.time = 0;
+    this.rate = options.rate || 1;         // Simulated seconds per real second
+    this.tickMs = options.tickMs || 100;   // Real-time update interval
+    this.running = false;
+    this.interval = null;
+    this.lastRealTime = null;
+    this.listeners = new Set();
+  }
+
+  onTick(callback) {
+    this.listeners.add(callback);
+    return () => this.listeners.delete(callback);
+  }
+
+  notify() {
+    this.listeners.forEach(callback => {
+      try {
+        callback(this.time, this);
+      } catch (error) {
+        console.error('Error in clock listener:', error);
+      }
+    });
+  }
+
+  start() {
+    if (this.running) return;
+
+    this.running = true;
+    this.lastRealTime = Date.now();
+    this.interval = setInterval(() => this.tick(), this.tickMs);
+    this.notify();
+  }
+
+  pause() {
+    if (!this.running) return;
+
+    this.tick();
+    this.running = false;
+    clearInterval(this.interval);
+    this.interval = null;
+    this.notify();
+  }
+
+  toggle() {
+    if (this.running) {
+      this.pause();
+    } else {
+      this.start();
+    }
+  }
+
+  tick() {
+    const now = Date.now();
+    const elapsed = (now - this.lastRealTime) / 1000;
+    this.lastRealTime = now;
+    this.advance(elapsed * this.rate);
+  }
+
+  // Jump ahead by a number of simulated seconds
+  advance(seconds) {
+    if (seconds <= 0) return;
+    this.time += seconds;
+    this.notify();
+  }
+
+  setRate(rate) {
+    if (this.running) {
+      this.tick();
+    }
+    this.rate = rate;
+  }
+
+  reset() {
+    this.pause();
+    this.time = 0;
+    this.notify();
+  }
+
+  destroy() {
+    this.pause();
+    this.listeners.clear();
+  }
+}
+
+// Export for module systems, or make global
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = VirtualClock;
+} else {
+  window.VirtualClock = VirtualClock;
+}
\ No newline at end of file
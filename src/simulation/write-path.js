@@ -0,0 +1,270 @@
+/**
+ * Write Path Simulation
+ * Runs the GFS write protocol (lease lookup, pipelined data push, primary-ordered
+ * commit) on the discrete-event simulator and turns the trace into sequence edges
+ */
+class WritePathSimulation {
+  constructor(params = {}) {
+    this.params = { ...WritePathSimulation.defaults, ...params };
+    WritePathSimulation.validate(this.params);
+    this.trace = [];
+    this.duration = 0;
+  }
+
+  static get defaults() {
+    return {
+      replicas: 3,          // Primary + secondaries
+      chunkSizeMB: 64,
+      writeSizeMB: 1,
+      offsetMB: 0,          // File offset where the write starts
+      bandwidthMbps: 100,   // Per-link bandwidth
+      linkLatencyMs: 1,     // One-way latency per hop
+      processingMs: 0.1     // Time a server spends handling a control message
+    };
+  }
+
+  // Sizes and bandwidth divide the write, so they must be above zero; the
+  // same bounds are in data/schema.json under simulation.params
+  static validate(params) {
+    const above = (name, min, inclusive) => {
+      const value = params[name];
+      if (typeof value !== 'number' || !Number.isFinite(value) || (inclusive ? value < min : value <= min)) {
+        throw new Error(`Write path ${name} must be a number ${inclusive ? 'of at least' : 'above'} ${min}, got ${JSON.stringify(value)}`);
+      }
+    };
+
+    if (!Number.isInteger(params.replicas) || params.replicas < 1) {
+      throw new Error(`Write path replicas must be a whole number of at least 1, got ${JSON.stringify(params.replicas)}`);
+    }
+    ['chunkSizeMB', 'writeSizeMB', 'bandwidthMbps'].forEach(name => above(name, 0, false));
+    ['offsetMB', 'linkLatencyMs', 'processingMs'].forEach(name => above(name, 0, true));
+  }
+
+  static fromSpec(spec) {
+    return new WritePathSimulation(spec.simulation?.params || {});
+  }
+
+  createSimulator() {
+    const Simulator = typeof DiscreteEventSimulator !== 'undefined'
+      ? DiscreteEventSimulator
+      : require('./simulator');
+    return new Simulator();
+  }
+
+  // Replica chain in push order: primary first, then secondaries
+  getReplicaIds() {
+    const ids = ['P'];
+    for (let i = 1; i < this.params.replicas; i++) {
+      ids.push(`S${i}`);
+    }
+    return ids;
+  }
+
+  // Split the write at chunk boundaries; each piece is a separate mutation
+  splitIntoChunks() {
+    const { chunkSizeMB, writeSizeMB, offsetMB } = this.params;
+    const pieces = [];
+    let position = offsetMB;
+    let remaining = writeSizeMB;
+
+    while (remaining > 0) {
+      const index = Math.floor(position / chunkSizeMB);
+      const chunkEnd = (index + 1) * chunkSizeMB;
+      const sizeMB = Math.min(remaining, chunkEnd - position);
+      pieces.push({ index, offsetMB: position - index * chunkSizeMB, sizeMB });
+      position += sizeMB;
+      remaining -= sizeMB;
+    }
+
+    return pieces;
+  }
+
+  transferTime(sizeMB) {
+    return (sizeMB * 8 * 1000) / this.params.bandwidthMbps;
+  }
+
+  run() {
+    const sim = this.createSimulator();
+    const { linkLatencyMs, processingMs } = this.params;
+    const replicas = this.getReplicaIds();
+    const pieces = this.splitIntoChunks();
+    const multiChunk = pieces.length > 1;
+    const serials = new Map();
+
+    const send = (message, duration, onArrive) => {
+      sim.emit('message', {
+        ...message,
+        start: sim.now,
+        end: sim.now + duration
+      });
+      sim.schedule(duration, onArrive || (() => {}));
+    };
+
+    const phaseName = (piece, name) => multiChunk ? `Chunk ${piece.index}: ${name}` : name;
+    // Messages get semantic ids (lease-request, ack-S1, ...) so overlays keep
+    // pointing at the same message when the params change
+    const messageId = (piece, name) => multiChunk ? `${name}-chunk${piece.index}` : name;
+
+    const writePiece = (pieceIndex) => {
+      const piece = pieces[pieceIndex];
+      if (!piece) {
+        sim.emit('complete', { chunks: pieces.length });
+        return;
+      }
+
+      const setup = phaseName(piece, 'Setup');
+      const pipeline = phaseName(piece, 'Stage 1: Pipeline');
+      const commit = phaseName(piece, 'Stage 2: Commit');
+      const suffix = multiChunk ? ` (chunk ${piece.index})` : '';
+
+      // Steps 1-2: ask the master who holds the lease
+      send({ id: messageId(piece, 'lease-request'), from: 'C', to: 'M', kind: 'control', label: `1. Who has lease?${suffix}`, phase: setup }, linkLatencyMs, () => {
+        sim.schedule(processingMs, () => {
+          send({ id: messageId(piece, 'lease-reply'), from: 'M', to: 'C', kind: 'control', label: '2. Primary + replicas', phase: setup }, linkLatencyMs, () => {
+            pushData(piece, pipeline, () => commitMutation(piece, commit, () => writePiece(pieceIndex + 1)));
+          });
+        });
+      });
+    };
+
+    // Step 3: pipelined push along the replica chain; each hop starts forwarding
+    // as soon as the first bytes arrive, so only latency accumulates per hop
+    const pushData = (piece, phase, onStaged) => {
+      const transfer = this.transferTime(piece.sizeMB);
+      const chain = ['C', ...replicas];
+
+      chain.slice(0, -1).forEach((from, hop) => {
+        sim.schedule(hop * linkLatencyMs, () => {
+          send({
+            id: messageId(piece, `push-${chain[hop + 1]}`),
+            from,
+            to: chain[hop + 1],
+            kind: 'data',
+            label: `3${String.fromCharCode(97 + hop)}. ${hop === 0 ? 'Push' : 'Forward'} data`,
+            phase,
+            sizeMB: piece.sizeMB,
+            chunk: piece.index
+          }, linkLatencyMs + transfer);
+        });
+      });
+
+      // Step 4: the tail of the chain has buffered everything
+      const stagedAt = replicas.length * linkLatencyMs + transfer;
+      sim.schedule(stagedAt, () => {
+        send({ id: messageId(piece, 'data-staged'), from: replicas[replicas.length - 1], to: 'C', kind: 'control', label: '4. Data staged', phase }, linkLatencyMs, onStaged);
+      });
+    };
+
+    // Steps 5-8: primary assigns a serial number and every replica applies it
+    const commitMutation = (piece, phase, onDone) => {
+      const [primary, ...secondaries] = replicas;
+
+      send({ id: messageId(piece, 'commit-request'), from: 'C', to: primary, kind: 'control', label: '5. Commit write', phase }, linkLatencyMs, () => {
+        const serial = (serials.get(piece.index) || 0) + 1;
+        serials.set(piece.index, serial);
+        sim.emit('serial', { chunk: piece.index, serial });
+
+        if (secondaries.length === 0) {
+          sim.schedule(processingMs, () => {
+            send({ id: messageId(piece, 'client-success'), from: primary, to: 'C', kind: 'control', label: `8. Success #${serial}`, phase }, linkLatencyMs, onDone);
+          });
+          return;
+        }
+
+        let pendingAcks = secondaries.length;
+        sim.schedule(processingMs, () => {
+          secondaries.forEach(secondary => {
+            send({ id: messageId(piece, `apply-${secondary}`), from: primary, to: secondary, kind: 'control', label: `6. Apply mutation #${serial}`, phase }, linkLatencyMs);
+          });
+
+          sim.schedule(linkLatencyMs + processingMs, () => {
+            secondaries.forEach(secondary => {
+              send({ id: messageId(piece, `ack-${secondary}`), from: secondary, to: primary, kind: 'control', label: '7. ACK', phase }, linkLatencyMs, () => {
+                pendingAcks--;
+                if (pendingAcks === 0) {
+                  send({ id: messageId(piece, 'client-success'), from: primary, to: 'C', kind: 'control', label: `8. Success #${serial}`, phase }, linkLatencyMs, onDone);
+                }
+              });
+            });
+          });
+        });
+      });
+    };
+
+    writePiece(0);
+    this.trace = sim.run();
+    this.duration = sim.now;
+    return this.trace;
+  }
+
+  formatTime(ms) {
+    return ms >= 1000 ? `${(ms / 1000).toFixed(2)}s` : `${ms.toFixed(1)}ms`;
+  }
+
+  // Convert message events into sequence diagram edges, in send order
+  toEdges(trace = this.trace) {
+    return trace
+      .filter(event => event.type === 'message')
+      .map(event => {
+        const metrics = { latency: this.formatTime(event.end - event.start) };
+        if (event.sizeMB) {
+          metrics.size = `${event.sizeMB}MB`;
+        }
+
+        return {
+          id: event.id,
+          from: event.from,
+          to: event.to,
+          kind: event.kind,
+          label: `${event.label} · t=${this.formatTime(event.start)}`,
+          phase: event.phase,
+          metrics,
+          time: event.start
+        };
+      });
+  }
+
+  toNodes(spec) {
+    const existing = new Map((spec.nodes || []).map(n => [n.id, n]));
+    const nodes = [
+      existing.get('C') || { id: 'C', type: 'client', label: 'Client' },
+      existing.get('M') || { id: 'M', type: 'master', label: 'Master' }
+    ];
+
+    this.getReplicaIds().forEach((id, index) => {
+      nodes.push(existing.get(id) || {
+        id,
+        type: 'chunkserver',
+        label: index === 0 ? 'Primary' : `Secondary ${index}`
+      });
+    });
+
+    return nodes;
+  }
+
+  // Replace the hand-authored nodes and edges with the simulated trace
+  applyToSpec(spec) {
+    if (this.trace.length === 0) {
+      this.run();
+    }
+
+    return {
+      ...spec,
+      nodes: this.toNodes(spec),
+      edges: this.toEdges(),
+      _simulation: {
+        model: 'write-path',
+        params: { ...this.params },
+        duration: this.duration,
+        trace: this.trace
+      }
+    };
+  }
+}
+
+// Export for module systems, or make global
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = WritePathSimulation;
+} else {
+  window.WritePathSimulation = WritePathSimulation;
+}
\ No newline at end of file
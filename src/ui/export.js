@@ -143,7 +143,7 @@ class ExportManager {
       ...this.viewer.currentSpec,
       _export: {
         timestamp: Date.now(),
-        version: '1.0',
+        version: `${SpecMigrator.currentVersion}.0`,
         activeOverlays: Array.from(this.viewer.currentOverlays)
       }
     };
@@ -267,7 +267,7 @@ ${mermaidCode}`;
           <div>
             <h3>Invariants</h3>
             <ul>
-              ${this.viewer.currentSpec.contracts.invariants.map(i => `<li>${i}</li>`).join('')}
+              ${this.viewer.currentSpec.contracts.invariants.map(i => `<li>${ContractChecker.text(i)}</li>`).join('')}
             </ul>
           </div>
         ` : ''}
@@ -275,7 +275,7 @@ ${mermaidCode}`;
           <div>
             <h3>Guarantees</h3>
             <ul>
-              ${this.viewer.currentSpec.contracts.guarantees.map(g => `<li>${g}</li>`).join('')}
+              ${this.viewer.currentSpec.contracts.guarantees.map(g => `<li>${ContractChecker.text(g)}</li>`).join('')}
             </ul>
           </div>
         ` : ''}
@@ -283,7 +283,7 @@ ${mermaidCode}`;
           <div>
             <h3>Caveats</h3>
             <ul>
-              ${this.viewer.currentSpec.contracts.caveats.map(c => `<li>${c}</li>`).join('')}
+              ${this.viewer.currentSpec.contracts.caveats.map(c => `<li>${ContractChecker.text(c)}</li>`).join('')}
             </ul>
           </div>
         ` : ''}
@@ -422,25 +422,20 @@ ${mermaidCode}`;
 
     try {
       const text = await input.files[0].text();
-      const spec = JSON.parse(text);
-
-      // Validate the spec
-      this.viewer.validator.validateSpec(spec);
-
-      // Load the diagram
-      this.viewer.currentSpec = spec;
-      this.viewer.currentDiagramId = spec.id || 'custom';
-
-      // Apply saved overlays if present
-      if (spec._export?.activeOverlays) {
-        this.viewer.currentOverlays = new Set(spec._export.activeOverlays);
+      // Files exported or written for older versions are upgraded first
+      const { spec: migrated } = this.viewer.migrator.migrate(JSON.parse(text));
+      const spec = this.viewer.applyParameters(this.viewer.applySimulation(this.viewer.composer.expandSpec(migrated)));
+
+      // Validate the spec; errors name their line in the imported file
+      try {
+        this.viewer.validator.validateSpec(spec);
+      } catch (error) {
+        throw this.locateFindings(error, text);
       }
+      this.viewer.validationFindings = this.viewer.validator.findings;
 
-      // Render
-      await this.viewer.renderDiagram();
-      this.viewer.renderNarrative(spec);
-      this.viewer.renderContracts(spec);
-      this.viewer.drillSystem.renderDrills(spec);
+      // Load the diagram with the overlays it was exported with
+      await this.viewer.showSpec(spec, spec.id || 'custom', spec._export?.activeOverlays);
 
       alert('Diagram imported successfully!');
       this.closeModal();
@@ -448,6 +443,18 @@ ${mermaidCode}`;
       alert('Failed to import diagram: ' + error.message);
     }
   }
+
+  // Validation error listing each finding at its line and column in the file
+  locateFindings(error, text) {
+    if (!error.findings?.length) return error;
+
+    const sourceMap = new JsonSourceMap(text);
+    const lines = error.findings.map(finding => {
+      const { line, column } = sourceMap.locate(finding.pointer);
+      return `${line}:${column} ${finding.rule}: ${finding.message}`;
+    });
+    return new Error(`${error.rule} validation failed:\n${lines.join('\n')}`);
+  }
 }
 
 // Export for module systems, or make global
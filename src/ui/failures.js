@@ -0,0 +1,267 @@
+class FailureInjector {
+  constructor(viewer) {
+    this.viewer = viewer;
+    this.failures = new Map(); // 'node:<id>' | 'edge:<id>' -> { id, target, type }
+    this.overlayId = 'injected-failures';
+  }
+
+  static get types() {
+    return {
+      crash: { icon: '💥', label: 'Crash', suffix: 'crashed' },
+      partition: { icon: '⛔', label: 'Partition', suffix: 'partitioned' },
+      slow: { icon: '🐢', label: 'Slow', suffix: 'slow' }
+    };
+  }
+
+  // When an element is hit by several failures, the most severe one wins
+  static get severity() {
+    return { slow: 1, partition: 2, crash: 3 };
+  }
+
+  // Chunkservers, masters and every link can fail
+  getTargets(spec) {
+    return {
+      nodes: (spec.nodes || []).filter(n => n.type === 'chunkserver' || n.type === 'master'),
+      edges: spec.edges || []
+    };
+  }
+
+  inject(id, target, type) {
+    if (!FailureInjector.types[type]) {
+      throw new Error(`Unknown failure type: ${type}`);
+    }
+
+    this.failures.set(`${target}:${id}`, { id, target, type });
+    this.notify();
+  }
+
+  remove(key) {
+    if (this.failures.delete(key)) {
+      this.notify();
+    }
+  }
+
+  clearAll() {
+    if (this.failures.size === 0) return;
+    this.failures.clear();
+    this.notify();
+  }
+
+  reset() {
+    this.failures.clear();
+  }
+
+  hasFailures() {
+    return this.failures.size > 0;
+  }
+
+  notify() {
+    document.dispatchEvent(new CustomEvent('failureInjection', {
+      detail: { failures: Array.from(this.failures.values()) }
+    }));
+  }
+
+  // Build an overlay diff for the active failures against a composed scene.
+  // Edges touching a failed node inherit its failure unless they have a worse one.
+  buildDiff(spec) {
+    const types = FailureInjector.types;
+    const severity = FailureInjector.severity;
+    const nodes = new Map((spec.nodes || []).map(n => [n.id, n]));
+    const edges = new Map((spec.edges || []).map(e => [e.id, e]));
+    const edgeFailures = new Map();
+
+    const markEdge = (edge, type, source) => {
+      const current = edgeFailures.get(edge.id);
+      if (!current || severity[type] > severity[current.type]) {
+        edgeFailures.set(edge.id, { type, source });
+      }
+    };
+
+    const modify = { nodes: [], edges: [] };
+
+    for (const failure of this.failures.values()) {
+      if (failure.target === 'node') {
+        const node = nodes.get(failure.id);
+        if (!node) continue;
+
+        const type = types[failure.type];
+        modify.nodes.push({
+          id: node.id,
+          label: `${type.icon} ${node.label} (${type.suffix})`,
+          failure: failure.type
+        });
+
+        edges.forEach(edge => {
+          if (edge.from === node.id || edge.to === node.id) {
+            markEdge(edge, failure.type, node.id);
+          }
+        });
+      } else {
+        const edge = edges.get(failure.id);
+        if (edge) {
+          markEdge(edge, failure.type, edge.id);
+        }
+      }
+    }
+
+    edgeFailures.forEach(({ type, source }, edgeId) => {
+      const edge = edges.get(edgeId);
+      modify.edges.push({
+        id: edgeId,
+        label: `${types[type].icon} ${edge.label || ''}`.trim(),
+        failure: type,
+        failureSource: source
+      });
+    });
+
+    return { modify };
+  }
+
+  toOverlay(spec) {
+    const summary = Array.from(this.failures.values())
+      .map(f => `${f.id} ${FailureInjector.types[f.type].suffix}`)
+      .join(', ');
+
+    return {
+      id: this.overlayId,
+      caption: `Injected failures: ${summary}`,
+      diff: this.buildDiff(spec)
+    };
+  }
+
+  // Apply the generated overlay on top of an already composed scene
+  apply(composer, composed) {
+    if (!this.hasFailures()) return composed;
+
+    const overlay = this.toOverlay(composed);
+    const nodeMap = new Map((composed.nodes || []).map(n => [n.id, n]));
+    const edgeMap = new Map((composed.edges || []).map(e => [e.id, e]));
+
+    composer.applyDiff(nodeMap, edgeMap, overlay.diff);
+
+    return {
+      ...composed,
+      nodes: Array.from(nodeMap.values()),
+      edges: Array.from(edgeMap.values()),
+      _activeOverlays: [...(composed._activeOverlays || []), overlay.id],
+      _failureInjection: Array.from(this.failures.values())
+    };
+  }
+
+  renderPanel(spec) {
+    const container = document.getElementById('simulation-panel');
+    if (!container) return;
+
+    container.querySelector('.failure-panel')?.remove();
+
+    const { nodes, edges } = this.getTargets(spec);
+    if (nodes.length === 0 && edges.length === 0) {
+      container.style.display = container.children.length > 0 ? 'block' : 'none';
+      return;
+    }
+
+    const panel = document.createElement('div');
+    panel.className = 'failure-panel';
+    panel.innerHTML = `
+      <div class="failure-header">
+        <h4>🧨 Failure Injection</h4>
+        <button class="failure-clear" title="Remove all injected failures">Clear All</button>
+      </div>
+      <div class="failure-controls">
+        <select class="failure-target"></select>
+        ${Object.entries(FailureInjector.types).map(([type, info]) => `
+          <button class="failure-action" data-type="${type}">${info.icon} ${info.label}</button>
+        `).join('')}
+      </div>
+      <ul class="failure-list"></ul>
+      <div class="failure-risk"></div>
+    `;
+
+    // Labels and ids come from the spec, so they go in as text
+    const select = panel.querySelector('.failure-target');
+    [
+      ['Servers', nodes.map(n => [`node:${n.id}`, `${n.label} (${n.id})`])],
+      ['Links', edges.map(e => [`edge:${e.id}`, `${e.from} → ${e.to}${e.label ? `: ${e.label}` : ''}`])]
+    ].filter(([, options]) => options.length > 0).forEach(([label, options]) => {
+      const group = document.createElement('optgroup');
+      group.label = label;
+      options.forEach(([value, text]) => group.appendChild(new Option(text, value)));
+      select.appendChild(group);
+    });
+
+    panel.querySelectorAll('.failure-action').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const [target, ...rest] = panel.querySelector('.failure-target').value.split(':');
+        this.inject(rest.join(':'), target, btn.dataset.type);
+      });
+    });
+    panel.querySelector('.failure-clear').addEventListener('click', () => this.clearAll());
+
+    container.appendChild(panel);
+    container.style.display = 'block';
+
+    this.updatePanel(null);
+  }
+
+  // Refresh the active failure list and the contracts at risk
+  updatePanel(risk) {
+    const panel = document.querySelector('#simulation-panel .failure-panel');
+    if (!panel) return;
+
+    // Ids, invariants and reasons come from the spec, so they go in as text
+    const list = panel.querySelector('.failure-list');
+    list.replaceChildren(...Array.from(this.failures.values()).map(f => {
+      const type = FailureInjector.types[f.type];
+      const item = document.createElement('li');
+      item.className = `failure-item failure-${f.type}`;
+      item.innerHTML = `${type.icon} ${f.target === 'node' ? 'Server' : 'Link'} <strong></strong> ${type.suffix}
+        <button class="failure-remove" title="Remove">×</button>`;
+      item.querySelector('strong').textContent = f.id;
+      item.querySelector('.failure-remove').addEventListener('click', () => this.remove(`${f.target}:${f.id}`));
+      return item;
+    }));
+
+    const riskContainer = panel.querySelector('.failure-risk');
+    if (!this.hasFailures() || !risk) {
+      riskContainer.innerHTML = '';
+    } else if (risk.atRisk.length === 0 && risk.failing.length === 0) {
+      riskContainer.innerHTML = '<div class="failure-safe">✅ No invariants at risk</div>';
+    } else if (risk.atRisk.length === 0) {
+      // Nothing the spec states is tied to the failure, but it still breaks something
+      riskContainer.innerHTML = '<h5>⚠️ Failing checks</h5><ul></ul>';
+      risk.failing.forEach(r => {
+        const item = document.createElement('li');
+        item.innerHTML = '<strong></strong><div class="failure-reasons"></div>';
+        item.querySelector('strong').textContent = r.rule;
+        item.querySelector('.failure-reasons').textContent = r.errors.join('; ');
+        riskContainer.querySelector('ul').appendChild(item);
+      });
+    } else {
+      riskContainer.innerHTML = '<h5>⚠️ Invariants at risk</h5><ul></ul>';
+      risk.atRisk.forEach(r => {
+        const item = document.createElement('li');
+        item.innerHTML = '<strong></strong><div class="failure-reasons"></div>';
+        item.querySelector('strong').textContent = r.invariant;
+        item.querySelector('.failure-reasons').textContent = r.reasons.join('; ');
+        riskContainer.querySelector('ul').appendChild(item);
+      });
+    }
+
+    this.markContracts(risk);
+  }
+
+  // Flag the matching invariants in the contracts panel
+  markContracts(risk) {
+    const atRisk = new Set((risk?.atRisk || []).map(r => r.index));
+    document.querySelectorAll('#contracts-panel .invariants li').forEach((li, index) => {
+      li.classList.toggle('at-risk', atRisk.has(index));
+    });
+  }
+}
+
+// Export for module systems, or make global
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = FailureInjector;
+} else {
+  window.FailureInjector = FailureInjector;
+}
\ No newline at end of file
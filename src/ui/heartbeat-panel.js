@@ -0,0 +1,282 @@
+class HeartbeatPanel {
+  constructor(viewer) {
+    this.viewer = viewer;
+    this.monitor = null;
+    this.clock = null;
+    this.started = false;
+    this.rendering = false;
+    this.renderPending = false;
+    this.lastRenderedStatus = '';
+    this.lastRenderTime = 0;
+    this.minRenderInterval = 1000; // ms of real time between live re-renders
+    this.rates = [1, 5, 10, 30];
+
+    // Injected crashes and partitions silence the server's heartbeats
+    document.addEventListener('failureInjection', () => this.syncFailures());
+  }
+
+  attach(spec) {
+    this.detach();
+
+    const nodes = spec.nodes || [];
+    const watchable = ['flow', 'sequence'].includes(spec.layout?.type || 'flow') &&
+      nodes.some(n => n.type === 'master') && nodes.some(n => n.type === 'chunkserver');
+    if (!watchable) return;
+
+    this.monitor = HeartbeatMonitor.fromSpec(spec);
+    this.clock = new VirtualClock({ rate: 5 });
+    this.clock.onTick(time => this.monitor.advanceTo(time));
+    this.monitor.onChange(snapshot => this.onMonitorChange(snapshot));
+
+    this.renderPanel();
+  }
+
+  detach() {
+    if (this.clock) {
+      this.clock.destroy();
+    }
+    this.monitor = null;
+    this.clock = null;
+    this.started = false;
+    this.lastRenderedStatus = '';
+
+    const container = this.getContainer();
+    if (container) {
+      container.querySelector('.heartbeat-panel')?.remove();
+      container.style.display = container.children.length > 0 ? 'block' : 'none';
+    }
+  }
+
+  getContainer() {
+    return document.getElementById('simulation-panel');
+  }
+
+  getPanel() {
+    return this.getContainer()?.querySelector('.heartbeat-panel') || null;
+  }
+
+  // The diagram only shows the master's view once heartbeats have started
+  decorate(spec) {
+    return this.monitor && this.started ? this.monitor.decorate(spec) : spec;
+  }
+
+  renderPanel() {
+    const container = this.getContainer();
+    if (!container || !this.monitor) return;
+
+    const { interval, jitter, dropRate } = this.monitor.params;
+    const panel = document.createElement('div');
+    panel.className = 'heartbeat-panel';
+    panel.innerHTML = `
+      <div class="heartbeat-header">
+        <h4>💓 Heartbeats</h4>
+        <label>Interval <input type="number" min="1" max="60" data-field="interval" value="${interval}">s</label>
+        <label>Jitter <input type="range" min="0" max="100" data-field="jitter" data-percent="true" value="${Math.round(jitter * 100)}">
+          <span data-value="jitter">${Math.round(jitter * 100)}%</span></label>
+        <label>Drop rate <input type="range" min="0" max="90" data-field="dropRate" data-percent="true" value="${Math.round(dropRate * 100)}">
+          <span data-value="dropRate">${Math.round(dropRate * 100)}%</span></label>
+      </div>
+      <div class="heartbeat-controls">
+        <button data-action="toggle" title="Run/Pause virtual clock">▶ Run</button>
+        <button data-action="forward" data-seconds="10" title="Fast-forward 10s">⏩ +10s</button>
+        <button data-action="forward" data-seconds="60" title="Fast-forward 60s">⏭ +60s</button>
+        <label>
+          Speed:
+          <select data-action="rate">
+            ${this.rates.map(rate => `<option value="${rate}">${rate}×</option>`).join('')}
+          </select>
+        </label>
+        <button data-action="reset" title="Reset clock and heartbeats">↺ Reset</button>
+        <span class="heartbeat-clock"></span>
+        <span class="heartbeat-bound"></span>
+      </div>
+      <table class="heartbeat-table">
+        <thead>
+          <tr><th>Server</th><th>Actually</th><th>Master sees</th><th>Last report</th><th>Sent / lost</th><th>Detected after</th></tr>
+        </thead>
+        <tbody></tbody>
+      </table>
+      <ul class="heartbeat-events"></ul>
+    `;
+
+    panel.querySelectorAll('.heartbeat-header input').forEach(input => {
+      input.addEventListener('change', () => {
+        const value = Number(input.value);
+        this.setParam(input.dataset.field, input.dataset.percent ? value / 100 : value);
+      });
+    });
+    panel.querySelectorAll('.heartbeat-controls button').forEach(btn => {
+      btn.addEventListener('click', () => this.handleAction(btn.dataset.action, btn.dataset));
+    });
+
+    const rateSelect = panel.querySelector('select[data-action="rate"]');
+    rateSelect.value = String(this.clock.rate);
+    rateSelect.addEventListener('change', (e) => this.clock.setRate(Number(e.target.value)));
+
+    container.appendChild(panel);
+    container.style.display = 'block';
+
+    this.updatePanel(this.monitor.getSnapshot());
+  }
+
+  setParam(field, value) {
+    if (!this.monitor || Number.isNaN(value)) return;
+
+    this.monitor.setParam(field, value);
+    const label = this.getPanel()?.querySelector(`[data-value="${field}"]`);
+    if (label) label.textContent = `${Math.round(value * 100)}%`;
+  }
+
+  handleAction(action, data = {}) {
+    if (!this.monitor) return;
+
+    switch (action) {
+      case 'toggle':
+        this.start();
+        this.clock.toggle();
+        this.updatePanel(this.monitor.getSnapshot());
+        break;
+      case 'forward':
+        this.start();
+        this.clock.advance(Number(data.seconds) || 10);
+        break;
+      case 'reset':
+        this.clock.reset();
+        this.monitor.reset();
+        this.syncFailures();
+        break;
+    }
+  }
+
+  start() {
+    if (this.started) return;
+    this.started = true;
+    this.syncFailures();
+  }
+
+  // Mirror injected node failures into the monitor at the current simulated time
+  syncFailures() {
+    if (!this.monitor) return;
+
+    const failed = new Map(Array.from(this.viewer.failureInjector?.failures.values() || [])
+      .filter(f => f.target === 'node' && (f.type === 'crash' || f.type === 'partition'))
+      .map(f => [f.id, f.type]));
+
+    this.monitor.nodes.forEach((node, id) => {
+      const type = failed.get(id);
+      const actual = type === 'partition' ? 'partitioned' : type === 'crash' ? 'crashed' : 'up';
+      if (actual === node.actual) return;
+      if (type) {
+        this.monitor.fail(id, type);
+      } else {
+        this.monitor.recover(id);
+      }
+    });
+  }
+
+  describeEvent(event) {
+    switch (event.type) {
+      case 'fail': return `${event.failure === 'partition' ? '⛔' : '💥'} ${event.node} ${event.failure === 'partition' ? 'partitioned' : 'crashes'}`;
+      case 'recover': return `🔌 ${event.node} back`;
+      case 'drop': return `✗ heartbeat #${event.seq} from ${event.node} lost`;
+      case 'suspect': return `❓ master suspects ${event.node} (${event.silentFor.toFixed(1)}s silent)`;
+      case 'dead': return event.detectionTime !== null
+        ? `💀 ${event.node} declared dead ${event.detectionTime.toFixed(1)}s after it failed`
+        : `💀 ${event.node} declared dead, but it never failed`;
+      case 'rereplicate': return `📤 re-replicate ${event.chunks.length > 0 ? event.chunks.join(', ') : 'every chunk'} from ${event.node}`;
+      case 'lease-wait': return `⏳ no new primary until t=${event.until.toFixed(1)}s, when ${event.node}'s lease has expired`;
+      case 'lease-grant': return event.to ? `🔑 lease moves from ${event.from} to ${event.to}` : `🔑 ${event.from}'s lease expired; no live server to take it`;
+      case 'rejoin': return `💓 ${event.node} reports again${event.falsePositive ? ' (false alarm)' : ''}`;
+      default: return event.type;
+    }
+  }
+
+  describeActual(node) {
+    return { up: '✅ up', crashed: '💥 crashed', partitioned: '⛔ partitioned' }[node.actual];
+  }
+
+  updatePanel(snapshot) {
+    const panel = this.getPanel();
+    if (!panel) return;
+
+    panel.querySelector('[data-action="toggle"]').textContent = this.clock.running ? '⏸ Pause' : '▶ Run';
+    panel.querySelector('.heartbeat-clock').textContent = `⏱ t=${snapshot.time.toFixed(1)}s`;
+    panel.querySelector('.heartbeat-bound').textContent =
+      `Declared dead ≤ ${snapshot.detectionBound.toFixed(1)}s after a crash`;
+
+    // Node ids come from the spec, so every cell and event goes in as text
+    const item = (tag, className, text) => {
+      const el = document.createElement(tag);
+      el.className = className;
+      el.textContent = text;
+      return el;
+    };
+
+    panel.querySelector('.heartbeat-table tbody').replaceChildren(...snapshot.nodes.map(node => {
+      const row = document.createElement('tr');
+      row.className = `heartbeat-${node.status}`;
+      row.append(...[
+        `${node.id}${node.primary ? ' 🔑' : ''}`,
+        this.describeActual(node),
+        this.monitor.describeStatus(node),
+        node.delivered > 0 ? `t=${node.lastSeen.toFixed(1)}s` : '—',
+        `${node.sent} / ${node.dropped}`,
+        node.detectedAt !== null && node.failedAt !== null ? `${(node.detectedAt - node.failedAt).toFixed(1)}s` : '—'
+      ].map(text => item('td', '', text)));
+      return row;
+    }));
+
+    panel.querySelector('.heartbeat-events').replaceChildren(...snapshot.events
+      .filter(event => event.type !== 'heartbeat')
+      .slice(-8)
+      .reverse()
+      .map(event => item('li', `heartbeat-event-${event.type}`, `t=${event.time.toFixed(1)}s ${this.describeEvent(event)}`)));
+  }
+
+  onMonitorChange(snapshot) {
+    this.updatePanel(snapshot);
+    if (!this.started) return;
+
+    const status = snapshot.nodes.map(node => `${node.id}:${node.status}:${node.primary}`).join();
+    this.scheduleRender(status !== this.lastRenderedStatus, status);
+  }
+
+  // Re-render immediately when the master's view changes, otherwise throttle
+  scheduleRender(statusChanged, status) {
+    const elapsed = Date.now() - this.lastRenderTime;
+    if (!statusChanged && elapsed < this.minRenderInterval) return;
+
+    this.lastRenderedStatus = status;
+    if (this.rendering) {
+      this.renderPending = true;
+      return;
+    }
+
+    this.renderDiagram();
+  }
+
+  async renderDiagram() {
+    if (!this.monitor || !this.viewer.currentSpec) return;
+
+    this.rendering = true;
+    this.lastRenderTime = Date.now();
+
+    try {
+      await this.viewer.renderDiagram();
+    } finally {
+      this.rendering = false;
+    }
+
+    if (this.renderPending) {
+      this.renderPending = false;
+      this.renderDiagram();
+    }
+  }
+}
+
+// Export for module systems, or make global
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = HeartbeatPanel;
+} else {
+  window.HeartbeatPanel = HeartbeatPanel;
+}
\ No newline at end of file
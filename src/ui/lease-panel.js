@@ -0,0 +1,221 @@
+class LeasePanel {
+  constructor(viewer) {
+    this.viewer = viewer;
+    this.machine = null;
+    this.clock = null;
+    this.rendering = false;
+    this.renderPending = false;
+    this.lastRenderedState = null;
+    this.lastRenderTime = 0;
+    this.minRenderInterval = 500; // ms of real time between live re-renders
+    this.rates = [1, 5, 10, 30];
+  }
+
+  attach(spec) {
+    this.detach();
+
+    if (spec._simulation?.model !== 'lease') return;
+
+    this.machine = LeaseStateMachine.fromSpec(spec);
+    this.clock = new VirtualClock({ rate: spec.simulation?.params?.clockRate || 1 });
+
+    this.clock.onTick(time => this.machine.advanceTo(time));
+    this.machine.onChange(snapshot => this.onMachineChange(snapshot));
+
+    this.renderPanel();
+  }
+
+  detach() {
+    if (this.clock) {
+      this.clock.destroy();
+    }
+    this.machine = null;
+    this.clock = null;
+    this.lastRenderedState = null;
+
+    const container = this.getContainer();
+    if (container) {
+      container.querySelector('.lease-panel')?.remove();
+      container.style.display = container.children.length > 0 ? 'block' : 'none';
+    }
+  }
+
+  getContainer() {
+    return document.getElementById('simulation-panel');
+  }
+
+  // Overlay the live machine state on a composed spec (no-op when detached)
+  decorate(spec) {
+    return this.machine ? this.machine.decorate(spec) : spec;
+  }
+
+  renderPanel() {
+    const container = this.getContainer();
+    if (!container || !this.machine) return;
+
+    const panel = document.createElement('div');
+    panel.className = 'lease-panel';
+    panel.innerHTML = `
+      <div class="lease-status">
+        <span class="lease-clock"></span>
+        <span class="lease-state"></span>
+        <span class="lease-remaining"></span>
+        <span class="lease-next"></span>
+      </div>
+      <div class="lease-controls">
+        <button data-action="toggle" title="Run/Pause virtual clock">▶ Run</button>
+        <button data-action="forward" data-seconds="10" title="Fast-forward 10s">⏩ +10s</button>
+        <button data-action="forward" data-seconds="60" title="Fast-forward 60s">⏭ +60s</button>
+        <label class="lease-rate">
+          Speed:
+          <select data-action="rate">
+            ${this.rates.map(rate => `<option value="${rate}">${rate}×</option>`).join('')}
+          </select>
+        </label>
+        <button data-action="reset" title="Reset clock and state">↺ Reset</button>
+      </div>
+      <div class="lease-events"></div>
+      <div class="lease-auto"></div>
+    `;
+
+    panel.querySelectorAll('.lease-controls button').forEach(btn => {
+      btn.addEventListener('click', () => this.handleAction(btn.dataset.action, btn.dataset));
+    });
+
+    const rateSelect = panel.querySelector('select[data-action="rate"]');
+    rateSelect.value = String(this.clock.rate);
+    rateSelect.addEventListener('change', (e) => this.clock.setRate(Number(e.target.value)));
+
+    container.appendChild(panel);
+    container.style.display = 'block';
+
+    this.renderAutoFireToggles(panel.querySelector('.lease-auto'));
+    this.updatePanel(this.machine.getSnapshot());
+  }
+
+  renderAutoFireToggles(container) {
+    const autoFire = this.machine.params.autoFire;
+    const transitions = this.machine.transitions.filter(t => autoFire[t.id] !== undefined);
+
+    // Transition ids and labels come from the spec, so they go in as text
+    container.replaceChildren(...transitions.map(t => {
+      const input = document.createElement('input');
+      input.type = 'checkbox';
+      input.dataset.edgeId = t.id;
+      input.checked = !this.machine.params.disabled.includes(t.id);
+      input.addEventListener('change', () => {
+        this.machine.setAutoFire(input.dataset.edgeId, input.checked);
+      });
+
+      const label = document.createElement('label');
+      label.className = 'lease-auto-toggle';
+      label.append(input, ` Auto: ${t.label || t.id} (${autoFire[t.id]}s)`);
+      return label;
+    }));
+  }
+
+  handleAction(action, data = {}) {
+    if (!this.machine) return;
+
+    switch (action) {
+      case 'toggle':
+        this.clock.toggle();
+        this.updatePanel(this.machine.getSnapshot());
+        break;
+      case 'forward':
+        this.clock.advance(Number(data.seconds) || 10);
+        break;
+      case 'reset':
+        this.clock.reset();
+        this.machine.reset();
+        break;
+      case 'fire':
+        this.machine.fire(data.edgeId);
+        break;
+    }
+  }
+
+  onMachineChange(snapshot) {
+    this.updatePanel(snapshot);
+    this.scheduleRender(snapshot.state !== this.lastRenderedState);
+  }
+
+  updatePanel(snapshot) {
+    const panel = this.getContainer()?.querySelector('.lease-panel');
+    if (!panel) return;
+
+    const stateNode = this.machine.states.find(s => s.id === snapshot.state);
+    const remaining = snapshot.remainingLease;
+    const next = snapshot.nextDeadline;
+    const nextEdge = next && this.machine.transitions.find(t => t.id === next.edgeId);
+
+    panel.querySelector('.lease-clock').textContent = `⏱ t=${snapshot.time.toFixed(1)}s`;
+    const state = panel.querySelector('.lease-state');
+    state.innerHTML = 'State: <strong></strong>';
+    state.querySelector('strong').textContent = stateNode?.label || snapshot.state;
+    panel.querySelector('.lease-remaining').textContent = remaining !== null
+      ? `Lease: ${remaining.toFixed(1)}s left`
+      : 'Lease: none';
+    panel.querySelector('.lease-remaining').classList.toggle('lease-low', remaining !== null && remaining <= 10);
+    panel.querySelector('.lease-next').textContent = next
+      ? `Next: ${nextEdge?.label || next.edgeId} in ${next.in.toFixed(1)}s`
+      : 'Next: waiting for event';
+
+    const toggle = panel.querySelector('[data-action="toggle"]');
+    toggle.textContent = this.clock.running ? '⏸ Pause' : '▶ Run';
+
+    // Rebuild event buttons only when the state changes
+    const events = panel.querySelector('.lease-events');
+    if (events.dataset.state !== snapshot.state) {
+      events.dataset.state = snapshot.state;
+      events.replaceChildren(...this.machine.getAvailableEvents().map(t => {
+        const btn = document.createElement('button');
+        btn.className = 'lease-event';
+        btn.dataset.action = 'fire';
+        btn.dataset.edgeId = t.id;
+        btn.textContent = `⚡ ${t.label || t.id}`;
+        btn.addEventListener('click', () => this.handleAction('fire', btn.dataset));
+        return btn;
+      }));
+    }
+  }
+
+  // Re-render immediately on state changes, otherwise throttle countdown updates
+  scheduleRender(stateChanged) {
+    const elapsed = Date.now() - this.lastRenderTime;
+    if (!stateChanged && elapsed < this.minRenderInterval) return;
+
+    if (this.rendering) {
+      this.renderPending = true;
+      return;
+    }
+
+    this.renderDiagram();
+  }
+
+  async renderDiagram() {
+    if (!this.machine || !this.viewer.currentSpec) return;
+
+    this.rendering = true;
+    this.lastRenderTime = Date.now();
+    this.lastRenderedState = this.machine.current;
+
+    try {
+      await this.viewer.renderDiagram();
+    } finally {
+      this.rendering = false;
+    }
+
+    if (this.renderPending) {
+      this.renderPending = false;
+      this.renderDiagram();
+    }
+  }
+}
+
+// Export for module systems, or make global
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = LeasePanel;
+} else {
+  window.LeasePanel = LeasePanel;
+}
\ No newline at end of file
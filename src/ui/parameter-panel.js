@@ -0,0 +1,124 @@
+class ParameterPanel {
+  constructor(viewer) {
+    this.viewer = viewer;
+    this.model = null;
+  }
+
+  attach(spec) {
+    this.detach();
+
+    if (!spec.parameters || Object.keys(spec.parameters).length === 0) return;
+
+    this.model = new MetricsModel(spec);
+    this.renderPanel();
+  }
+
+  detach() {
+    this.model = null;
+
+    const container = this.getContainer();
+    if (container) {
+      container.querySelector('.parameter-panel')?.remove();
+      container.style.display = container.children.length > 0 ? 'block' : 'none';
+    }
+  }
+
+  getContainer() {
+    return document.getElementById('simulation-panel');
+  }
+
+  getPanel() {
+    return this.getContainer()?.querySelector('.parameter-panel') || null;
+  }
+
+  formatValue(parameter, value) {
+    return parameter.unit ? `${value} ${parameter.unit}` : String(value);
+  }
+
+  // A select when the spec lists the interesting values, otherwise a slider
+  renderControl(id, parameter) {
+    const value = this.model.values[id];
+
+    if (parameter.options) {
+      return `
+        <select data-parameter="${id}">
+          ${parameter.options.map(option => `
+            <option value="${option}" ${option === value ? 'selected' : ''}>${this.formatValue(parameter, option)}</option>
+          `).join('')}
+        </select>
+      `;
+    }
+
+    return `
+      <input type="range" data-parameter="${id}" value="${value}"
+             min="${parameter.min ?? 0}" max="${parameter.max ?? value * 10}" step="${parameter.step ?? 'any'}">
+      <output data-parameter-value="${id}">${this.formatValue(parameter, value)}</output>
+    `;
+  }
+
+  renderPanel() {
+    const container = this.getContainer();
+    if (!container || !this.model) return;
+
+    const panel = document.createElement('div');
+    panel.className = 'parameter-panel';
+    panel.innerHTML = `
+      <div class="parameter-header">
+        <h4>📏 Parameters</h4>
+        <button data-action="reset" title="Restore the spec's values">↺ Reset</button>
+      </div>
+      <div class="parameter-controls">
+        ${Object.entries(this.model.parameters).map(([id, parameter]) => `
+          <label class="parameter-control">
+            <span>${parameter.label || id}</span>
+            ${this.renderControl(id, parameter)}
+          </label>
+        `).join('')}
+      </div>
+    `;
+
+    panel.querySelectorAll('[data-parameter]').forEach(control => {
+      const event = control.tagName === 'SELECT' ? 'change' : 'input';
+      control.addEventListener(event, () => this.setValue(control.dataset.parameter, Number(control.value)));
+    });
+    panel.querySelector('[data-action="reset"]').addEventListener('click', () => this.reset());
+
+    container.appendChild(panel);
+    container.style.display = 'block';
+  }
+
+  setValue(id, value) {
+    if (!this.model || Number.isNaN(value)) return;
+
+    this.model.setValue(id, value);
+    const output = this.getPanel()?.querySelector(`[data-parameter-value="${id}"]`);
+    if (output) output.textContent = this.formatValue(this.model.parameters[id], value);
+
+    this.apply();
+  }
+
+  reset() {
+    if (!this.model) return;
+
+    this.model.values = this.model.getDefaults();
+    this.getPanel()?.remove();
+    this.renderPanel();
+    this.apply();
+  }
+
+  // Recompute edge metrics from the current values; the new parameter values
+  // are part of the render cache key
+  apply() {
+    if (!this.viewer.currentSpec) return;
+
+    this.viewer.currentSpec = this.model.bind(this.viewer.currentSpec);
+    this.viewer.renderDiagram();
+  }
+}
+
+// Export for module systems, or make global
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ParameterPanel;
+} else {
+  window.ParameterPanel = ParameterPanel;
+}
\ No newline at end of file
@@ -0,0 +1,244 @@
+class PlacementPanel {
+  constructor(viewer) {
+    this.viewer = viewer;
+    this.params = null;
+    this.result = null;
+    this.frameIndex = 0;
+  }
+
+  attach(spec) {
+    this.detach();
+
+    if (spec._simulation?.model !== 'placement') return;
+
+    this.params = JSON.parse(JSON.stringify(spec._simulation.params));
+    this.result = spec._simulation;
+
+    // Open on the first failure so there is something to watch
+    const firstFailure = this.result.frames.findIndex(frame => frame.events.some(e => e.type === 'fail'));
+    this.frameIndex = Math.max(0, firstFailure);
+    this.renderPanel();
+  }
+
+  detach() {
+    this.params = null;
+    this.result = null;
+
+    const container = this.getContainer();
+    if (container) {
+      container.querySelector('.placement-panel')?.remove();
+      container.style.display = container.children.length > 0 ? 'block' : 'none';
+    }
+  }
+
+  getContainer() {
+    return document.getElementById('simulation-panel');
+  }
+
+  getPanel() {
+    return this.getContainer()?.querySelector('.placement-panel') || null;
+  }
+
+  renderPanel() {
+    const container = this.getContainer();
+    if (!container) return;
+
+    const fields = [
+      ['racks', 'Racks', 1, 6],
+      ['serversPerRack', 'Servers/rack', 1, 8],
+      ['diskCapacity', 'Disk (chunks)', 1, 64],
+      ['chunks', 'Chunks', 1, 64],
+      ['bandwidth', 'Clones in flight', 1, 16],
+      ['seed', 'Seed', 1, 99999]
+    ];
+
+    const panel = document.createElement('div');
+    panel.className = 'placement-panel';
+    panel.innerHTML = `
+      <div class="placement-header">
+        <h4>🗃️ Placement & Re-replication</h4>
+        ${fields.map(([field, label, min, max]) => `
+          <label>${label} <input type="number" min="${min}" max="${max}" data-field="${field}" value="${this.params[field]}"></label>
+        `).join('')}
+      </div>
+      <div class="placement-failures"></div>
+      <div class="placement-controls">
+        <button data-action="previous" title="Previous tick">◀</button>
+        <input type="range" min="0" class="placement-time">
+        <button data-action="next" title="Next tick">▶</button>
+        <span class="placement-caption"></span>
+      </div>
+      <div class="placement-events"></div>
+      <div id="placement-matrix" class="placement-matrix"></div>
+      <div class="placement-chart"></div>
+      <div class="placement-summary"></div>
+    `;
+
+    panel.querySelectorAll('.placement-header input[data-field]').forEach(input => {
+      input.addEventListener('change', () => this.setParam(input.dataset.field, Number(input.value)));
+    });
+
+    panel.querySelector('.placement-time').addEventListener('input', (e) => this.showFrame(Number(e.target.value)));
+    panel.querySelector('[data-action="previous"]').addEventListener('click', () => this.showFrame(this.frameIndex - 1));
+    panel.querySelector('[data-action="next"]').addEventListener('click', () => this.showFrame(this.frameIndex + 1));
+
+    container.appendChild(panel);
+    container.style.display = 'block';
+
+    this.update();
+  }
+
+  // Scheduled failures, plus a picker to fail another server or a whole rack.
+  // Server and rack names come from the spec, so they go in as text
+  renderFailures(element) {
+    const servers = this.result.frames[0]?.servers || [];
+    const failures = this.params.failures || [];
+
+    element.innerHTML = `
+      <span>Failures:</span>
+      <span class="placement-none">none</span>
+      <select class="placement-target"></select>
+      <label>at t= <input type="number" min="0" class="placement-at" value="${this.result.frames[this.frameIndex]?.time || 0}"></label>
+      <button data-action="add-failure">Add</button>
+    `;
+
+    if (failures.length > 0) {
+      element.querySelector('.placement-none').replaceWith(...failures.map((failure, index) => {
+        const item = document.createElement('span');
+        item.className = 'placement-failure';
+        item.innerHTML = '<button title="Remove failure">✕</button>';
+        item.prepend(`💥 ${failure.rack ? `rack ${failure.rack}` : failure.server} @t=${failure.at} `);
+        item.querySelector('button').addEventListener('click', () => {
+          this.params.failures = failures.filter((_, other) => other !== index);
+          this.rerun();
+        });
+        return item;
+      }));
+    }
+
+    element.querySelector('.placement-target').append(
+      ...this.result.racks.map(rack => new Option(`Rack ${rack}`, `rack:${rack}`)),
+      ...servers.map(server => new Option(server.id, `server:${server.id}`))
+    );
+
+    element.querySelector('[data-action="add-failure"]').addEventListener('click', () => {
+      const [kind, id] = element.querySelector('.placement-target').value.split(':');
+      const at = Math.max(0, Number(element.querySelector('.placement-at').value) || 0);
+      this.params.failures = [...failures, { at, [kind]: id }];
+      this.rerun();
+    });
+  }
+
+  describeEvent(event) {
+    switch (event.type) {
+      case 'fail': return `💥 ${event.server} fails`;
+      case 'clone': return `📤 ${event.chunk}: ${event.from} → ${event.to} (${event.live} live)`;
+      case 'cloned': return `✅ ${event.chunk} restored on ${event.to}`;
+      case 'abort': return `⚠️ ${event.chunk} clone to ${event.to} aborted`;
+      default: return event.type;
+    }
+  }
+
+  showFrame(index) {
+    const frames = this.result?.frames || [];
+    if (frames.length === 0) return;
+
+    this.frameIndex = Math.max(0, Math.min(frames.length - 1, index));
+    const frame = frames[this.frameIndex];
+    const point = this.result.series[this.frameIndex];
+    const panel = this.getPanel();
+    if (!panel) return;
+
+    panel.querySelector('.placement-time').value = this.frameIndex;
+    panel.querySelector('.placement-caption').textContent =
+      `t=${frame.time}: ${point.underReplicated} under-replicated, ${point.lost} lost, ${frame.clones.length} cloning`;
+    panel.querySelector('.placement-events').replaceChildren(...frame.events.map(event => {
+      const item = document.createElement('span');
+      item.className = `placement-event placement-event-${event.type}`;
+      item.textContent = this.describeEvent(event);
+      return item;
+    }));
+
+    this.renderChart(panel.querySelector('.placement-chart'));
+    this.viewer.renderer.render(ClusterPlacementSimulation.toMatrixSpec(frame, this.viewer.currentSpec), 'placement-matrix');
+  }
+
+  // Under-replicated and lost chunk counts over time, with a cursor on the current tick
+  renderChart(element) {
+    const series = this.result.series;
+    const width = 320;
+    const height = 100;
+    const pad = 16;
+    const maxTime = Math.max(1, series[series.length - 1].time);
+    const maxCount = Math.max(1, this.params.chunks);
+    const x = time => pad + (time / maxTime) * (width - 2 * pad);
+    const y = count => height - pad - (count / maxCount) * (height - 2 * pad);
+    const line = key => series.map(point => `${x(point.time)},${y(point[key])}`).join(' ');
+    const current = series[this.frameIndex];
+
+    element.innerHTML = `
+      <svg viewBox="0 0 ${width} ${height}" class="placement-series" role="img"
+           aria-label="Under-replicated chunks over time">
+        <line x1="${pad}" y1="${height - pad}" x2="${width - pad}" y2="${height - pad}" class="placement-axis"/>
+        <line x1="${pad}" y1="${pad}" x2="${pad}" y2="${height - pad}" class="placement-axis"/>
+        <text x="${pad}" y="${pad - 4}" class="placement-label">${maxCount}</text>
+        <text x="${width - pad}" y="${height - 2}" class="placement-label" text-anchor="end">t=${maxTime}</text>
+        <polyline points="${line('underReplicated')}" class="placement-line-under"/>
+        <polyline points="${line('lost')}" class="placement-line-lost"/>
+        <line x1="${x(current.time)}" y1="${pad}" x2="${x(current.time)}" y2="${height - pad}" class="placement-cursor"/>
+        ${series.map((point, index) => `
+          <rect x="${x(point.time) - 4}" y="${pad}" width="8" height="${height - 2 * pad}" data-index="${index}" class="placement-hit">
+            <title>t=${point.time}: ${point.underReplicated} under-replicated, ${point.lost} lost</title>
+          </rect>
+        `).join('')}
+      </svg>
+      <span class="placement-legend-under">under-replicated</span>
+      <span class="placement-legend-lost">lost</span>
+    `;
+
+    element.querySelectorAll('.placement-hit').forEach(rect => {
+      rect.addEventListener('click', () => this.showFrame(Number(rect.dataset.index)));
+    });
+  }
+
+  renderSummary(element) {
+    const { summary, params } = this.result;
+    element.textContent = `Rebuilt ${summary.cloned} replicas by t=${summary.finishedAt} ` +
+      `(${params.bandwidth} clones in flight, ${params.perServerBandwidth} per source); ` +
+      `peak ${summary.peakUnderReplicated} under-replicated, ${summary.lost} lost` +
+      (summary.aborted > 0 ? `, ${summary.aborted} clones aborted` : '');
+  }
+
+  update() {
+    const panel = this.getPanel();
+    if (!panel) return;
+
+    panel.querySelector('.placement-time').max = this.result.frames.length - 1;
+    this.renderFailures(panel.querySelector('.placement-failures'));
+    this.renderSummary(panel.querySelector('.placement-summary'));
+    this.showFrame(this.frameIndex);
+  }
+
+  setParam(field, value) {
+    if (!this.params || Number.isNaN(value)) return;
+
+    this.params[field] = value;
+    this.rerun();
+  }
+
+  rerun() {
+    if (!this.params || !this.viewer.currentSpec) return;
+
+    const spec = new ClusterPlacementSimulation(this.params).applyToSpec(this.viewer.currentSpec);
+    this.viewer.currentSpec = spec;
+    this.result = spec._simulation;
+    this.update();
+  }
+}
+
+// Export for module systems, or make global
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PlacementPanel;
+} else {
+  window.PlacementPanel = PlacementPanel;
+}
\ No newline at end of file
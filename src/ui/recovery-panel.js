@@ -0,0 +1,284 @@
+class RecoveryPanel {
+  constructor(viewer) {
+    this.viewer = viewer;
+    this.stateManager = null;
+    this.params = null;
+    this.result = null;
+    this.attaching = false;
+
+    document.addEventListener('stateChange', (e) => {
+      if (this.stateManager && e.detail.state?.replay) {
+        this.onReplayStep(e.detail);
+      }
+    });
+
+    document.addEventListener('playStateChange', () => this.updatePlayButton());
+  }
+
+  attach(spec) {
+    this.detach();
+
+    if (spec._simulation?.model !== 'recovery') return;
+
+    this.params = JSON.parse(JSON.stringify(spec._simulation.params));
+    this.result = spec._simulation;
+    this.stateManager = new StateManager();
+    this.stateManager.setSpeed(1500);
+
+    // The viewer renders the diagram itself once the panels are attached
+    this.attaching = true;
+    this.renderPanel();
+    this.stateManager.initialize(spec);
+    this.attaching = false;
+  }
+
+  detach() {
+    if (this.stateManager) {
+      this.stateManager.pause();
+    }
+    this.stateManager = null;
+    this.params = null;
+    this.result = null;
+
+    const container = this.getContainer();
+    if (container) {
+      container.querySelector('.recovery-panel')?.remove();
+      container.style.display = container.children.length > 0 ? 'block' : 'none';
+    }
+  }
+
+  getContainer() {
+    return document.getElementById('simulation-panel');
+  }
+
+  getCurrentStep() {
+    return this.stateManager?.getCurrentState()?.replay || null;
+  }
+
+  // Show replay progress on the master node of the matrix
+  decorate(spec) {
+    const step = this.getCurrentStep();
+    if (!step) return spec;
+
+    return {
+      ...spec,
+      nodes: (spec.nodes || []).map(node => (
+        node.type === 'master'
+          ? { ...node, label: `${node.label} · ${step.kind === 'serving' ? 'recovered' : `replay LSN ${step.lsn}`}`, _highlighted: true }
+          : node
+      )),
+      _simulation: { ...(spec._simulation || {}), live: true }
+    };
+  }
+
+  renderPanel() {
+    const container = this.getContainer();
+    if (!container) return;
+
+    const workload = this.params.workload || [];
+
+    const panel = document.createElement('div');
+    panel.className = 'recovery-panel';
+    panel.innerHTML = `
+      <div class="recovery-header">
+        <h4>🗄️ Master Recovery</h4>
+        <label>
+          Crash after LSN
+          <input type="range" min="0" max="${workload.length}" value="${this.result.crashAt}" data-field="crashAt">
+          <span class="recovery-crash-value">${this.result.crashAt}</span>
+        </label>
+        <label>
+          Checkpoint every
+          <input type="number" min="0" max="${workload.length}" value="${this.params.checkpointEvery}" data-field="checkpointEvery">
+          records
+        </label>
+      </div>
+      <div class="recovery-controls">
+        <button data-action="first" title="Back to the crash">⏮</button>
+        <button data-action="previous" title="Previous replay step">◀</button>
+        <button data-action="play" title="Play replay">▶ Play</button>
+        <button data-action="next" title="Next replay step">▶</button>
+        <button data-action="last" title="Jump to recovered master">⏭</button>
+        <span class="recovery-caption"></span>
+      </div>
+      <div class="recovery-body">
+        <ol class="recovery-log"></ol>
+        <div class="recovery-tables"></div>
+      </div>
+      <div class="recovery-shadows"></div>
+    `;
+
+    panel.querySelectorAll('input[data-field]').forEach(input => {
+      input.addEventListener('input', () => {
+        if (input.dataset.field === 'crashAt') {
+          panel.querySelector('.recovery-crash-value').textContent = input.value;
+        }
+      });
+      input.addEventListener('change', () => this.setParam(input.dataset.field, Number(input.value)));
+    });
+
+    panel.querySelectorAll('.recovery-controls button').forEach(btn => {
+      btn.addEventListener('click', () => this.handleAction(btn.dataset.action));
+    });
+
+    container.appendChild(panel);
+    container.style.display = 'block';
+
+    this.renderShadows(panel.querySelector('.recovery-shadows'));
+  }
+
+  handleAction(action) {
+    if (!this.stateManager) return;
+
+    switch (action) {
+      case 'first':
+        this.stateManager.jumpToState(this.stateManager.states[0].id);
+        break;
+      case 'previous':
+        this.stateManager.previous();
+        break;
+      case 'next':
+        this.stateManager.next();
+        break;
+      case 'last':
+        this.stateManager.jumpToState(this.stateManager.states[this.stateManager.states.length - 1].id);
+        break;
+      case 'play':
+        if (!this.stateManager.isPlaying && this.stateManager.currentStateIndex === this.stateManager.states.length - 1) {
+          this.stateManager.jumpToState(this.stateManager.states[0].id);
+        }
+        this.stateManager.togglePlay();
+        break;
+    }
+  }
+
+  updatePlayButton() {
+    const button = this.getContainer()?.querySelector('.recovery-panel [data-action="play"]');
+    if (button) {
+      button.textContent = this.stateManager?.isPlaying ? '⏸ Pause' : '▶ Play';
+    }
+  }
+
+  setParam(field, value) {
+    if (!this.params || Number.isNaN(value)) return;
+
+    this.params[field] = value;
+    const spec = new MasterRecoverySimulation(this.params).applyToSpec(this.viewer.currentSpec);
+    this.viewer.currentSpec = spec;
+    this.result = spec._simulation;
+
+    this.stateManager.pause();
+    this.renderShadows(this.getContainer()?.querySelector('.recovery-panel .recovery-shadows'));
+    this.stateManager.initialize(spec);
+  }
+
+  onReplayStep(detail) {
+    const panel = this.getContainer()?.querySelector('.recovery-panel');
+    if (!panel) return;
+
+    const step = detail.state.replay;
+    panel.querySelector('.recovery-caption').textContent = `Step ${detail.index + 1} of ${detail.total}: ${step.caption}`;
+    this.renderLog(panel.querySelector('.recovery-log'), step);
+    this.renderTables(panel.querySelector('.recovery-tables'), step);
+
+    if (!this.attaching) {
+      this.viewer.renderDiagram();
+    }
+  }
+
+  // Log records with checkpoint and crash markers; replayed records are highlighted.
+  // Descriptions, paths and ids come from the spec's workload, so they go in as text
+  renderLog(element, step) {
+    const { log, checkpoints, crashAt } = this.result;
+    const checkpointLsn = this.result.replay.find(s => s.kind === 'checkpoint')?.lsn || 0;
+
+    element.replaceChildren(...log.map(record => {
+      const classes = ['recovery-record'];
+      if (record.lsn > crashAt) classes.push('recovery-lost');
+      else if (record.lsn <= checkpointLsn) classes.push('recovery-checkpointed');
+      else if (step.kind !== 'crash' && step.kind !== 'checkpoint' && record.lsn <= step.lsn) classes.push('recovery-replayed');
+      if (step.kind === 'replay' && record.lsn === step.lsn) classes.push('recovery-current');
+
+      const item = document.createElement('li');
+      item.className = classes.join(' ');
+      item.innerHTML = `
+        <span class="recovery-lsn">${record.lsn}</span>
+        ${checkpoints.includes(record.lsn) ? '<span class="recovery-marker">💾 checkpoint</span>' : ''}
+        ${record.lsn === crashAt ? '<span class="recovery-marker recovery-crash">💥 crash</span>' : ''}
+      `;
+      item.querySelector('.recovery-lsn').after(` ${record.description} `);
+      return item;
+    }));
+  }
+
+  renderTables(element, step) {
+    const changed = new Set(step.changed || []);
+    const row = (key, cells) => {
+      const tr = document.createElement('tr');
+      tr.className = changed.has(key) ? 'recovery-changed' : '';
+      tr.append(...cells.map(cell => {
+        const td = document.createElement('td');
+        td.append(cell);
+        return td;
+      }));
+      return tr;
+    };
+    const unknown = () => {
+      const span = document.createElement('span');
+      span.className = 'recovery-unknown';
+      span.textContent = 'unknown';
+      return span;
+    };
+
+    element.innerHTML = `
+      <table class="recovery-table">
+        <caption>Namespace</caption>
+        <thead><tr><th>Path</th><th>Chunks</th></tr></thead>
+        <tbody><tr><td colspan="2" class="recovery-empty">empty</td></tr></tbody>
+      </table>
+      <table class="recovery-table">
+        <caption>Chunk mapping</caption>
+        <thead><tr><th>Handle</th><th>File</th><th>Version</th><th>Locations</th></tr></thead>
+        <tbody><tr><td colspan="4" class="recovery-empty">empty</td></tr></tbody>
+      </table>
+    `;
+
+    const [namespace, chunks] = element.querySelectorAll('tbody');
+    if (step.namespace.length > 0) {
+      namespace.replaceChildren(...step.namespace.map(entry => row(entry.path, [
+        `${entry.type === 'dir' ? '📁' : '📄'} ${entry.path}`,
+        entry.chunks.join(', ') || '—'
+      ])));
+    }
+    if (step.chunks.length > 0) {
+      chunks.replaceChildren(...step.chunks.map(chunk => row(chunk.handle, [
+        chunk.handle,
+        chunk.file,
+        `v${chunk.version}`,
+        chunk.locations.join(', ') || unknown()
+      ])));
+    }
+  }
+
+  renderShadows(element) {
+    if (!element) return;
+
+    const shadows = this.result.shadows || [];
+    element.innerHTML = shadows.length > 0 ? '<h5>👥 Shadow masters at the crash (read-only)</h5><ul></ul>' : '';
+    shadows.forEach(shadow => {
+      const item = document.createElement('li');
+      item.innerHTML = '<strong></strong>';
+      item.querySelector('strong').textContent = shadow.id;
+      item.append(` at LSN ${shadow.lsn} (${shadow.lag} behind): ` +
+        (shadow.namespace.filter(e => e.type === 'file').map(e => e.path).join(', ') || 'no files'));
+      element.querySelector('ul').appendChild(item);
+    });
+  }
+}
+
+// Export for module systems, or make global
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RecoveryPanel;
+} else {
+  window.RecoveryPanel = RecoveryPanel;
+}
\ No newline at end of file
@@ -0,0 +1,282 @@
+class RegionStrip {
+  constructor(viewer) {
+    this.viewer = viewer;
+    this.params = null;
+  }
+
+  attach(spec) {
+    this.detach();
+
+    if (spec._simulation?.model !== 'consistency') return;
+
+    // Keep a private copy so learner edits never leak into the loaded spec
+    this.params = JSON.parse(JSON.stringify(spec._simulation.params));
+    this.params.scenario = spec._simulation.scenario;
+    this.renderPanel(spec._simulation);
+  }
+
+  detach() {
+    this.params = null;
+
+    const container = this.getContainer();
+    if (container) {
+      container.querySelector('.region-panel')?.remove();
+      container.style.display = container.children.length > 0 ? 'block' : 'none';
+    }
+  }
+
+  getContainer() {
+    return document.getElementById('simulation-panel');
+  }
+
+  getScenario() {
+    return this.params.scenarios?.[this.params.scenario] || null;
+  }
+
+  renderPanel(result) {
+    const container = this.getContainer();
+    if (!container) return;
+
+    const scenarios = Object.entries(this.params.scenarios || {});
+
+    const panel = document.createElement('div');
+    panel.className = 'region-panel';
+    panel.innerHTML = `
+      <div class="region-header">
+        <h4>🧩 File Regions</h4>
+        ${scenarios.length > 0 ? `
+          <label>
+            Scenario:
+            <select class="region-scenario"></select>
+          </label>
+        ` : ''}
+      </div>
+      <div class="region-generator"></div>
+      <div class="region-operations"></div>
+      <div class="region-strip"></div>
+      <div class="region-legend"></div>
+    `;
+
+    // Scenario names, operation, replica and client ids come from the spec,
+    // so they go in as text
+    const select = panel.querySelector('.region-scenario');
+    if (select) {
+      select.append(...scenarios.map(([key, scenario]) => new Option(scenario.label || key, key)));
+      select.value = result.scenario;
+      select.addEventListener('change', () => {
+        this.params.scenario = select.value;
+        this.rerun();
+      });
+    }
+
+    container.appendChild(panel);
+    container.style.display = 'block';
+
+    this.update(result);
+  }
+
+  // Seed, client count and failure probability for generated workloads
+  renderGenerator(element) {
+    const generator = this.getScenario()?.generator;
+    if (!generator) {
+      element.innerHTML = '';
+      return;
+    }
+
+    element.innerHTML = `
+      <label>Seed <input type="number" min="1" data-field="seed" value="${generator.seed}"></label>
+      <button data-action="reroll" title="Draw a new seed">🎲 New seed</button>
+      <label>Clients <input type="number" min="1" max="8" data-field="clients" value="${generator.clients}"></label>
+      <label>
+        Failure probability
+        <input type="range" min="0" max="0.9" step="0.05" data-field="failureProbability" value="${generator.failureProbability}">
+        <span class="region-probability">${Math.round(generator.failureProbability * 100)}%</span>
+      </label>
+    `;
+
+    element.querySelectorAll('input[data-field]').forEach(input => {
+      input.addEventListener('change', () => this.setGeneratorOption(input.dataset.field, Number(input.value)));
+    });
+    element.querySelector('[data-action="reroll"]').addEventListener('click', () => {
+      this.setGeneratorOption('seed', 1 + Math.floor(Math.random() * 100000));
+    });
+  }
+
+  // Generated workloads list the offsets returned to each client; authored
+  // scenarios list their operations with a first-attempt failure picker
+  renderOperations(element, result) {
+    if (this.getScenario()?.generator) {
+      this.renderClientOffsets(element, result);
+      return;
+    }
+
+    const replicaIds = Object.keys(result.replicas);
+    const statuses = new Map(result.results.map(r => [r.id, r]));
+    const unit = result.config.unit;
+
+    element.replaceChildren(...result.operations.map(op => {
+      const status = statuses.get(op.id);
+      const failing = op.failures?.[0]?.[0] || '';
+      const row = document.createElement('div');
+      row.className = 'region-op';
+      row.innerHTML = `
+        <strong></strong>
+        <label>
+          first attempt fails on
+          <select><option value="">none</option></select>
+        </label>
+        <span class="region-status region-status-${status?.status}"></span>
+      `;
+      row.querySelector('strong').textContent = op.id;
+      row.querySelector('strong').after(
+        ` ${op.type === 'append' ? `append ${op.length}${unit}` : `write ${op.length}${unit} @${op.offset}`} at t=${op.at || 0} `
+      );
+      row.querySelector('.region-status').textContent =
+        `${status?.status}${status?.attempts > 1 ? ` after ${status.attempts} attempts` : ''}${status?.offset !== null ? ` → offset ${status.offset}${unit}` : ''}`;
+
+      const select = row.querySelector('select');
+      select.append(...replicaIds.map(id => new Option(id, id, false, id === failing)));
+      select.addEventListener('change', () => this.setFailure(op.id, select.value || null));
+      return row;
+    }));
+  }
+
+  renderClientOffsets(element, result) {
+    const unit = result.config.unit;
+
+    element.innerHTML = `
+      <table class="region-offsets">
+        <thead><tr><th>Client</th><th>Record</th><th>Size</th><th>Returned offset</th><th>Attempts</th><th></th></tr></thead>
+        <tbody></tbody>
+      </table>
+    `;
+
+    const clients = Object.entries(result.clients).sort(([a], [b]) => a.localeCompare(b));
+    element.querySelector('tbody').replaceChildren(...clients.flatMap(([client, records]) => records.map((record, index) => {
+      const row = document.createElement('tr');
+      row.append(...[
+        index === 0 ? client : '',
+        record.id,
+        `${record.length}${unit}`,
+        record.offset !== null ? `${record.offset}${unit}` : 'error',
+        String(record.attempts)
+      ].map(text => {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        return cell;
+      }));
+
+      const tags = document.createElement('td');
+      tags.innerHTML = `
+        ${record.duplicate ? '<span class="region-tag region-tag-duplicate">duplicate</span>' : ''}
+        ${record.padded ? '<span class="region-tag region-tag-padding">padded</span>' : ''}
+      `;
+      row.appendChild(tags);
+      return row;
+    })));
+  }
+
+  renderStrip(element, result) {
+    const classes = ConsistencySimulation.classes;
+    const size = Math.max(1, ...result.regions.map(r => r.end));
+    const { chunkSize, unit } = result.config;
+
+    const place = (el, start, end = start) => {
+      el.style.left = `${(start / size) * 100}%`;
+      if (end > start) el.style.width = `${((end - start) / size) * 100}%`;
+      return el;
+    };
+    const cell = (className, region, text) => {
+      const el = document.createElement('div');
+      el.className = className;
+      el.textContent = text;
+      return place(el, region.start, region.end);
+    };
+    const row = (label, cells) => {
+      const el = document.createElement('div');
+      el.className = 'region-row';
+      el.innerHTML = '<span class="region-row-label"></span><div class="region-track"></div>';
+      el.querySelector('.region-row-label').textContent = label;
+      el.querySelector('.region-track').append(...cells);
+      return el;
+    };
+
+    const regionCells = result.regions.map(region => {
+      const el = cell(`region-cell region-${region.class}${region.duplicate ? ' region-duplicate' : ''}`, region, region.ops.join('/') || 'Pad');
+      el.title = `[${region.start}, ${region.end})${unit} ${classes[region.class].label}${region.duplicate ? ' (duplicate)' : ''}`;
+      return el;
+    });
+
+    const boundaries = [];
+    for (let offset = chunkSize; offset < size; offset += chunkSize) {
+      const el = document.createElement('div');
+      el.className = 'region-boundary';
+      el.title = `Chunk boundary @${offset}${unit}`;
+      boundaries.push(place(el, offset));
+    }
+
+    const replicaRows = Object.keys(result.replicas).map(id => row(id, result.regions.map(region => {
+      const value = region.cells[id];
+      return cell(`region-cell region-byte${value === null ? ' region-empty' : ''}`, region,
+        value === null ? '∅' : value === 'pad' ? 'Pad' : value);
+    })));
+
+    element.replaceChildren(row('Region', [...regionCells, ...boundaries]), ...replicaRows);
+  }
+
+  renderLegend(element, result) {
+    element.replaceChildren(...Object.entries(ConsistencySimulation.classes).map(([cls, info]) => {
+      const item = document.createElement('span');
+      item.className = 'region-legend-item';
+      item.innerHTML = `<span class="region-swatch region-${cls}"></span>`;
+      item.append(` ${info.label}: ${result.summary[cls]}${result.config.unit}`);
+      return item;
+    }));
+  }
+
+  update(result) {
+    const panel = this.getContainer()?.querySelector('.region-panel');
+    if (!panel) return;
+
+    this.renderGenerator(panel.querySelector('.region-generator'));
+    this.renderOperations(panel.querySelector('.region-operations'), result);
+    this.renderStrip(panel.querySelector('.region-strip'), result);
+    this.renderLegend(panel.querySelector('.region-legend'), result);
+  }
+
+  setGeneratorOption(field, value) {
+    const generator = this.getScenario()?.generator;
+    if (!generator || Number.isNaN(value)) return;
+
+    generator[field] = value;
+    this.rerun();
+  }
+
+  setFailure(opId, replicaId) {
+    const op = (this.getScenario()?.operations || []).find(o => o.id === opId);
+    if (!op) return;
+
+    const failures = [...(op.failures || [])];
+    failures[0] = replicaId ? [replicaId] : [];
+    op.failures = failures;
+    this.rerun();
+  }
+
+  // Replay with the edited parameters and redraw both the strip and the diagram
+  rerun() {
+    if (!this.params || !this.viewer.currentSpec) return;
+
+    const simulation = new ConsistencySimulation(this.params);
+    const spec = simulation.applyToSpec(this.viewer.currentSpec);
+    this.viewer.currentSpec = spec;
+    this.update(spec._simulation);
+    this.viewer.renderDiagram();
+  }
+}
+
+// Export for module systems, or make global
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RegionStrip;
+} else {
+  window.RegionStrip = RegionStrip;
+}
\ No newline at end of file
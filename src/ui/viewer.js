@@ -2,16 +2,27 @@ class GFSViewer {
   constructor() {
     this.validator = null;
     this.renderer = null;
+    this.svgRenderer = null;
     this.composer = null;
     this.drillSystem = null;
     this.stepper = null;
     this.overlayManager = null;
     this.exportManager = null;
     this.learningProgress = null;
+    this.leasePanel = null;
+    this.regionStrip = null;
+    this.recoveryPanel = null;
+    this.placementPanel = null;
+    this.heartbeatPanel = null;
+    this.parameterPanel = null;
+    this.failureInjector = null;
 
     this.currentSpec = null;
+    this.validationFindings = [];
     this.currentDiagramId = null;
     this.currentOverlays = new Set();
+    this.contractResults = [];
+    this.selectedContract = null;
     this.manifest = null;
   }
 
@@ -26,8 +37,12 @@ class GFSViewer {
 
       this.renderer = new MermaidRenderer();
       await this.renderer.initialize();
+      this.svgRenderer = new SvgRenderer();
+      await this.svgRenderer.initialize();
 
       this.composer = new SceneComposer();
+      this.migrator = new SpecMigrator();
+      this.contractChecker = new ContractChecker();
       this.learningProgress = new LearningProgress();
       this.drillSystem = new DrillSystem();
       // Connect drill system to unified learning progress
@@ -35,6 +50,13 @@ class GFSViewer {
       this.stepper = new StepThroughEngine(this.renderer, this.composer);
       this.overlayManager = new OverlayManager(this);
       this.exportManager = new ExportManager(this);
+      this.leasePanel = new LeasePanel(this);
+      this.regionStrip = new RegionStrip(this);
+      this.recoveryPanel = new RecoveryPanel(this);
+      this.placementPanel = new PlacementPanel(this);
+      this.heartbeatPanel = new HeartbeatPanel(this);
+      this.parameterPanel = new ParameterPanel(this);
+      this.failureInjector = new FailureInjector(this);
 
       // Load manifest
       await this.loadManifest();
@@ -66,6 +88,13 @@ class GFSViewer {
         throw new Error('Failed to load manifest');
       }
       this.manifest = await response.json();
+      this.validator.configureRules(this.manifest.rules);
+
+      // The manifest's major version is the spec schema version it was written for
+      const manifestVersion = Number.parseInt(this.manifest.version, 10);
+      if (manifestVersion > SpecMigrator.currentVersion) {
+        console.warn(`Manifest version ${this.manifest.version} is newer than this viewer (schema version ${SpecMigrator.currentVersion}); some diagrams may not load`);
+      }
       this.renderNavigation();
     } catch (error) {
       console.warn('Manifest not found, using defaults');
@@ -83,7 +112,9 @@ class GFSViewer {
           { id: '09-consistency', title: 'Consistency Reality' },
           { id: '10-recovery', title: 'Failure Recovery Matrix' },
           { id: '11-evolution', title: 'Single Master Evolution' },
-          { id: '12-dna', title: 'GFS DNA in Modern Systems' }
+          { id: '12-dna', title: 'GFS DNA in Modern Systems' },
+          { id: '13-snapshot', title: 'Copy-on-Write Snapshots' },
+          { id: '14-garbage-collection', title: 'Stale Replicas & Lazy Garbage Collection' }
         ]
       };
       this.renderNavigation();
@@ -104,7 +135,10 @@ class GFSViewer {
         throw new Error(`Failed to load diagram ${diagramId}`);
       }
 
-      const spec = await response.json();
+      // Upgrade older spec versions, expand generated spec types, regenerate
+      // simulated parts and compute metrics before validating
+      const { spec: migrated } = this.migrator.migrate(await response.json());
+      const spec = this.applyParameters(this.applySimulation(this.composer.expandSpec(migrated)));
 
       // Validate spec
       try {
@@ -113,32 +147,10 @@ class GFSViewer {
         console.warn('Validation warning:', validationError);
         // Continue anyway for development
       }
+      this.validationFindings = this.validator.findings;
 
-      // Store current state
-      this.currentSpec = spec;
-      this.currentDiagramId = diagramId;
-      this.currentOverlays.clear();
-
-      // Update UI components
       this.updateNavigation(diagramId);
-      this.updateTitle(spec.title);
-      this.renderCrystallizedInsight(spec);
-      this.renderNarrative(spec);
-      this.renderContracts(spec);
-
-      // Render the main diagram
-      await this.renderDiagram();
-
-      // Initialize learning components
-      this.renderFirstPrinciples(spec);
-      this.renderAdvancedConcepts(spec);
-      this.renderAssessment(spec);
-      this.drillSystem.renderDrills(spec);
-      this.overlayManager.renderOverlayChips(spec);
-      this.stepper.initialize(spec);
-
-      // Update step controls
-      this.renderStepControls();
+      await this.showSpec(spec, diagramId);
 
       // Update URL
       this.updateURL(diagramId);
@@ -154,20 +166,177 @@ class GFSViewer {
     }
   }
 
+  // Everything shown for a validated spec, whether loaded from the manifest
+  // or imported from a file; overlays are the ones to start with
+  async showSpec(spec, diagramId, overlays = []) {
+    // Store current state
+    this.currentSpec = spec;
+    this.currentDiagramId = diagramId;
+    this.currentOverlays = new Set(overlays);
+    this.overlayManager.activeOverlays = new Set(overlays);
+
+    // Update UI components
+    this.updateTitle(spec.title);
+    this.renderCrystallizedInsight(spec);
+    this.renderNarrative(spec);
+    this.renderContracts(spec);
+
+    // Start or tear down the live simulation panel
+    this.parameterPanel.attach(spec);
+    this.leasePanel.attach(spec);
+    this.regionStrip.attach(spec);
+    this.recoveryPanel.attach(spec);
+    this.placementPanel.attach(spec);
+    this.heartbeatPanel.attach(spec);
+    this.failureInjector.reset();
+
+    // Render the main diagram
+    await this.renderDiagram();
+
+    // Initialize learning components
+    this.renderFirstPrinciples(spec);
+    this.renderAdvancedConcepts(spec);
+    this.renderAssessment(spec);
+    this.drillSystem.renderDrills(spec);
+    this.overlayManager.renderOverlayChips(spec);
+    this.renderFailurePanel();
+    this.stepper.renderer = this.getRenderer(spec);
+    this.stepper.initialize(spec);
+
+    // Update step controls
+    this.renderStepControls();
+  }
+
+  getSimulationModel(model) {
+    const models = {
+      'write-path': WritePathSimulation,
+      'lease': LeaseStateMachine,
+      'consistency': ConsistencySimulation,
+      'recovery': MasterRecoverySimulation,
+      'placement': ClusterPlacementSimulation
+    };
+
+    return models[model] || null;
+  }
+
+  applySimulation(spec) {
+    if (!spec.simulation) return spec;
+
+    const Model = this.getSimulationModel(spec.simulation.model);
+    if (!Model) {
+      console.warn(`Unknown simulation model: ${spec.simulation.model}`);
+      return spec;
+    }
+
+    try {
+      return Model.fromSpec(spec).applyToSpec(spec);
+    } catch (error) {
+      console.error('Simulation failed, using authored spec:', error);
+      return spec;
+    }
+  }
+
+  // Compute expression metrics on edges from the spec's parameter defaults
+  applyParameters(spec) {
+    return new MetricsModel(spec).bind(spec);
+  }
+
+  // The backend a spec asks for with layout.renderer; Mermaid by default
+  getRenderer(spec) {
+    return spec?.layout?.renderer === 'svg' ? this.svgRenderer : this.renderer;
+  }
+
   async renderDiagram() {
     try {
-      const composed = this.composer.composeScene(
-        this.currentSpec,
-        Array.from(this.currentOverlays)
+      const composed = this.failureInjector.apply(
+        this.composer,
+        this.composer.composeScene(this.currentSpec, Array.from(this.currentOverlays))
+      );
+
+      this.failureInjector.updatePanel(
+        this.failureInjector.hasFailures() ? this.validator.findContractsAtRisk(composed) : null
       );
+      this.checkContracts(composed);
 
-      await this.renderer.render(composed);
+      await this.getRenderer(this.currentSpec).render(
+        this.heartbeatPanel.decorate(this.recoveryPanel.decorate(this.leasePanel.decorate(composed)))
+      );
+      this.markFindings();
+      this.markContract();
     } catch (error) {
       console.error('Failed to render diagram:', error);
       this.handleError(error);
     }
   }
 
+  // Outline the nodes and edges that validation errors and warnings point at
+  markFindings() {
+    const container = document.getElementById('diagram-container');
+    if (!container) return;
+
+    container.querySelectorAll('.validation-finding').forEach(el => {
+      el.classList.remove('validation-finding', 'validation-error', 'validation-warning');
+      el.removeAttribute('data-finding');
+    });
+
+    this.validationFindings.filter(f => f.severity !== 'info').forEach(finding => {
+      const element = this.validator.findElement(this.currentSpec, finding.pointer);
+      if (!element) return;
+
+      this.getRenderer(this.currentSpec).findElements(container, element.id).forEach(el => {
+        el.classList.add('validation-finding', `validation-${finding.severity}`);
+        el.setAttribute('data-finding', `${finding.rule}: ${finding.message}`);
+      });
+    });
+  }
+
+  // Colour each checked contract by whether it holds in the scene on screen
+  checkContracts(composed) {
+    this.contractResults = this.contractChecker.check(composed);
+    this.contractResults.forEach(result => {
+      const item = document.querySelector(`#contracts-panel li[data-contract="${result.section}:${result.index}"]`);
+      if (!item) return;
+      item.classList.toggle('contract-pass', result.status === 'pass');
+      item.classList.toggle('contract-fail', result.status === 'fail' || result.status === 'error');
+      if (result.message) {
+        item.title = result.message;
+      } else {
+        item.removeAttribute('title');
+      }
+    });
+  }
+
+  // Clicking a contract outlines the nodes and edges it refers to; clicking
+  // it again clears the outline
+  selectContract(key) {
+    this.selectedContract = this.selectedContract === key ? null : key;
+    document.querySelectorAll('#contracts-panel li[data-contract]').forEach(item => {
+      item.classList.toggle('contract-selected', item.dataset.contract === this.selectedContract);
+    });
+    this.markContract();
+  }
+
+  markContract() {
+    const container = document.getElementById('diagram-container');
+    if (!container) return;
+
+    container.querySelectorAll('.contract-element').forEach(el => el.classList.remove('contract-element'));
+
+    const result = this.contractResults.find(r => `${r.section}:${r.index}` === this.selectedContract);
+    if (!result) return;
+
+    [...result.nodeIds, ...result.edgeIds].forEach(id => {
+      this.getRenderer(this.currentSpec).findElements(container, id).forEach(el => el.classList.add('contract-element'));
+    });
+  }
+
+  renderFailurePanel() {
+    if (!this.currentSpec) return;
+
+    const composed = this.composer.composeScene(this.currentSpec, Array.from(this.currentOverlays));
+    this.failureInjector.renderPanel(composed);
+  }
+
   renderNavigation() {
     const nav = document.getElementById('diagram-nav');
     if (!nav) return;
@@ -287,15 +456,19 @@ class GFSViewer {
     const panel = document.getElementById('contracts-panel');
     if (!panel || !spec.contracts) return;
 
+    // Contracts with refs or a predicate can be clicked to show their elements
+    const items = (section, className = '') => spec.contracts[section].map((contract, index) => {
+      const linked = typeof contract === 'object' && (contract.refs || contract.check);
+      return `<li class="${[className, linked ? 'contract-linked' : ''].filter(Boolean).join(' ')}" data-contract="${section}:${index}">${ContractChecker.text(contract)}</li>`;
+    }).join('');
+
     panel.innerHTML = `
       <div class="contracts">
         ${spec.contracts.invariants?.length > 0 ? `
           <section class="invariants">
             <h4>🔒 System Invariants</h4>
             <ul>
-              ${spec.contracts.invariants.map(i =>
-                `<li>${i}</li>`
-              ).join('')}
+              ${items('invariants')}
             </ul>
           </section>
         ` : ''}
@@ -304,9 +477,7 @@ class GFSViewer {
           <section class="guarantees">
             <h4>✅ Guarantees</h4>
             <ul>
-              ${spec.contracts.guarantees.map(g =>
-                `<li class="guarantee">${g}</li>`
-              ).join('')}
+              ${items('guarantees', 'guarantee')}
             </ul>
           </section>
         ` : ''}
@@ -315,21 +486,31 @@ class GFSViewer {
           <section class="caveats">
             <h4>⚠️ Caveats</h4>
             <ul>
-              ${spec.contracts.caveats.map(c =>
-                `<li class="caveat">${c}</li>`
-              ).join('')}
+              ${items('caveats', 'caveat')}
             </ul>
           </section>
         ` : ''}
       </div>
     `;
+
+    panel.querySelectorAll('li.contract-linked').forEach(item => {
+      item.addEventListener('click', () => this.selectContract(item.dataset.contract));
+    });
+
+    this.selectedContract = null;
+    this.checkContracts(this.composer.composeScene(spec, Array.from(this.currentOverlays)));
   }
 
   renderFirstPrinciples(spec) {
     const container = document.getElementById('principles-container');
-    if (!container || !spec.firstPrinciples) return;
+    if (!container || (!spec.firstPrinciples && !spec.calculators)) return;
 
-    const fp = spec.firstPrinciples;
+    const fp = spec.firstPrinciples || {};
+    const calculators = WhatIfCalculator.fromSpec(spec);
+    const calculatorsFor = key => calculators
+      .filter(calculator => key === null ? !(calculator.definition.principle in fp) : calculator.definition.principle === key)
+      .map(calculator => calculator.render())
+      .join('');
 
     // Helper to render content without redundant labels
     const renderContent = (value) => {
@@ -386,6 +567,7 @@ class GFSViewer {
               </summary>
               <div class="accordion-content">
                 ${renderContent(value)}
+                ${calculatorsFor(key)}
               </div>
             </details>
           </div>
@@ -393,7 +575,24 @@ class GFSViewer {
       })
       .join('');
 
-    container.innerHTML = `<div class="principles-content">${content}</div>`;
+    // Calculators not tied to a principle get a section of their own
+    const unassigned = calculatorsFor(null);
+    const extra = unassigned ? `
+      <div class="accordion-section">
+        <details class="accordion-item principles-accordion">
+          <summary class="accordion-header">
+            <span class="accordion-icon">▶</span>
+            <span class="accordion-title">🧮 What-if Calculators</span>
+          </summary>
+          <div class="accordion-content">${unassigned}</div>
+        </details>
+      </div>
+    ` : '';
+
+    container.innerHTML = `<div class="principles-content">${content}${extra}</div>`;
+    calculators.forEach(calculator => {
+      calculator.mount(container.querySelector(`[data-calculator="${calculator.id}"]`));
+    });
   }
 
   renderAdvancedConcepts(spec) {
@@ -653,6 +852,13 @@ class GFSViewer {
     // Listen for overlay changes
     document.addEventListener('overlayToggle', (e) => {
       this.currentOverlays = new Set(e.detail.activeOverlays);
+      // Failure targets come from the composed scene, so refresh them first
+      this.renderFailurePanel();
+      this.renderDiagram();
+    });
+
+    // Listen for injected failures
+    document.addEventListener('failureInjection', () => {
       this.renderDiagram();
     });
 
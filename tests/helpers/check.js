@@ -0,0 +1,53 @@
+/**
+ * Shared harness for the Node test files (no browser required): start()
+ * prints the banner, check() prints and counts one result, finish() prints
+ * the totals and exits non-zero when anything failed
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+let passed = 0;
+let failed = 0;
+
+function start(title) {
+  console.log(`🧪 ${title}\n`);
+  console.log('='.repeat(60));
+}
+
+function check(name, condition, detail = '') {
+  if (condition) {
+    console.log(`  ✅ ${name}`);
+    passed++;
+  } else {
+    console.log(`  ❌ ${name}${detail ? ` - ${detail}` : ''}`);
+    failed++;
+  }
+}
+
+// A spec as authored, before composing or migrating
+function loadSpec(specId) {
+  const specPath = path.join(__dirname, '..', '..', 'data', 'specs', `${specId}.json`);
+  return JSON.parse(fs.readFileSync(specPath, 'utf8'));
+}
+
+// UI classes announce changes on document; nothing listens here
+function stubDocument() {
+  global.document = { dispatchEvent: () => {}, getElementById: () => null };
+  global.CustomEvent = class CustomEvent {
+    constructor(type, options = {}) {
+      this.type = type;
+      this.detail = options.detail;
+    }
+  };
+}
+
+function finish() {
+  console.log('\n' + '='.repeat(60));
+  console.log(`✅ Passed: ${passed}`);
+  console.log(`❌ Failed: ${failed}`);
+
+  process.exit(failed === 0 ? 0 : 1);
+}
+
+module.exports = { start, check, loadSpec, stubDocument, finish };
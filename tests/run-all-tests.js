@@ -212,7 +212,30 @@ class TestRunner {
       {
         name: 'Static Validation',
         tests: [
-          { name: 'Enhancement Verification', file: 'verify-enhancements.js' }
+          { name: 'Enhancement Verification', file: 'verify-enhancements.js' },
+          { name: 'Simulation Models', file: 'test-simulation.js' },
+          { name: 'Master Recovery', file: 'test-recovery.js' },
+          { name: 'What-If Calculators', file: 'test-calculators.js' },
+          { name: 'Spec Fixer', file: 'test-spec-fixer.js' },
+          { name: 'Contract Predicates', file: 'test-contracts.js' },
+          { name: 'Render Cache', file: 'test-render-cache.js' },
+          { name: 'SVG Renderer', file: 'test-svg-renderer.js' },
+          { name: 'Message Packets', file: 'test-packets.js' },
+          { name: 'Lease State Machine', file: 'test-lease.js' },
+          { name: 'Failure Injection', file: 'test-failures.js' },
+          { name: 'Consistency Regions', file: 'test-consistency.js' },
+          { name: 'Record Appends', file: 'test-record-append.js' },
+          { name: 'Chunk Placement', file: 'test-placement.js' },
+          { name: 'Snapshots', file: 'test-snapshot.js' },
+          { name: 'Garbage Collection', file: 'test-garbage-collection.js' },
+          { name: 'Heartbeat Monitor', file: 'test-heartbeat.js' },
+          { name: 'Edge Metrics', file: 'test-metrics.js' },
+          { name: 'Metric Units', file: 'test-units.js' },
+          { name: 'Rule Registry', file: 'test-rules.js' },
+          { name: 'Finding Locations', file: 'test-findings.js' },
+          { name: 'Course Graph', file: 'test-course.js' },
+          { name: 'Spec Schema', file: 'test-schema.js' },
+          { name: 'Spec Migrations', file: 'test-migrations.js' }
         ]
       },
       {
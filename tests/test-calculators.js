@@ -0,0 +1,72 @@
+#!/usr/bin/env node
+
+/**
+ * What-If Calculator Tests
+ * Evaluates formulas and spec-level calculators in Node (no browser required)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { start, check, loadSpec, finish } = require('./helpers/check');
+const FormulaEvaluator = require('../src/core/formula');
+const WhatIfCalculator = require('../src/learning/calculator');
+
+start('What-If Calculator Tests');
+
+// What-if calculators
+console.log('\n🧮 What-if calculators...');
+{
+  const evaluator = new FormulaEvaluator();
+  check('Formula precedence: unary minus, right-associative power, factorial',
+    evaluator.evaluate('-2^2') === -4 && evaluator.evaluate('2^3^2') === 512 &&
+    evaluator.evaluate('(λ*T)^k/k!', { λ: 2, T: 1, k: 3 }) === 8 / 6);
+  check('Functions and constants are available',
+    evaluator.evaluate('max(1, sqrt(16)) + ln(e)') === 5 && evaluator.getVariables('exp(-x*pi)+y').join() === 'x,y');
+
+  const errors = ['1 +', 'foo(2)', 'x * 2', '2 $ 3', '3.5!'].map(source => {
+    try {
+      evaluator.evaluate(source);
+      return null;
+    } catch (e) {
+      return e.message;
+    }
+  });
+  check('Bad formulas fail with a message', errors.every(Boolean), errors.join(' | '));
+
+  const [replicaLoss, usl] = WhatIfCalculator.fromSpec(loadSpec('02-scale'));
+  const results = replicaLoss.compute();
+  check('Replica loss calculator matches the closed forms',
+    Math.abs(results.pNoRepair - 0.04 ** 3) < 1e-12 &&
+    Math.abs(results.pLoss - 3 * 0.04 * (1 - Math.exp(-0.04 / 8760)) ** 2) < 1e-20);
+  check('More replicas lower the loss rate',
+    replicaLoss.compute({ ...replicaLoss.getDefaults(), k: 4 }).lossesPerYear < results.lossesPerYear);
+  check('USL throughput peaks near the computed peak',
+    Math.round(usl.compute().peakN) === 140 &&
+    usl.compute({ N: 140, sigma: 0.02, kappa: 0.0001 }).throughput > usl.compute({ N: 400, sigma: 0.02, kappa: 0.0001 }).throughput);
+
+  const chunkSize = WhatIfCalculator.fromSpec(loadSpec('03-chunk-size'))[0].compute();
+  check('Chunk size calculator reproduces the 64MB numbers',
+    chunkSize.transferMs === 512 && Math.round(chunkSize.capacityPB) === 20 && chunkSize.efficiency > 0.98);
+
+  check('Every calculator in the specs evaluates cleanly',
+    fs.readdirSync(path.join(__dirname, '..', 'data', 'specs'))
+      .flatMap(file => WhatIfCalculator.fromSpec(loadSpec(file.replace('.json', ''))))
+      .every(calculator => calculator.check().length === 0));
+
+  const broken = new WhatIfCalculator({
+    id: 'broken',
+    inputs: [{ id: 'x', min: 0, max: 10, value: 20 }],
+    formula: { y: '1 / x', z: 'y * missing' },
+    outputs: [{ id: 'w' }]
+  });
+  const problems = broken.check().map(p => p.message).join(' | ');
+  check('Check reports bad defaults, unknown outputs and failing formulas',
+    /default 20 is outside/.test(problems) && /output w/.test(problems) && /Unknown variable "missing"/.test(problems),
+    problems);
+  const edge = new WhatIfCalculator({ id: 'edge', inputs: [{ id: 'x', min: 0, max: 10, value: 5 }], formula: { y: '1 / x' } });
+  check('Formulas that break at a range edge are warnings',
+    edge.check().length === 1 && edge.check()[0].level === 'warning' && /x = 0/.test(edge.check()[0].message));
+}
+
+finish();
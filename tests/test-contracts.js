@@ -0,0 +1,71 @@
+#!/usr/bin/env node
+
+/**
+ * Contract Predicate Tests
+ * Checks contract refs and predicates against composed scenes in Node (no browser required)
+ */
+
+const { start, check, loadSpec, stubDocument, finish } = require('./helpers/check');
+const SceneComposer = require('../src/core/composer');
+const { DiagramValidator } = require('../src/core/validator');
+const FailureInjector = require('../src/ui/failures');
+const RuleRegistry = require('../src/core/rules');
+const ContractChecker = require('../src/core/contracts');
+
+stubDocument();
+
+start('Contract Predicate Tests');
+
+// Contract predicates
+console.log('\n📜 Contract predicates...');
+{
+  const checker = new ContractChecker();
+  const composer = new SceneComposer();
+  const spec = loadSpec('04-architecture');
+  const status = composed => checker.check(composed).filter(r => r.check).map(r => r.status).join();
+  check('Checked contracts hold in the architecture diagram',
+    status(spec) === 'pass,pass,pass,pass', JSON.stringify(checker.check(spec).map(r => r.message)));
+
+  const broken = composer.composeScene(spec, []);
+  broken.edges.push({ id: 'leak', from: 'C', to: 'M', kind: 'data' });
+  const leak = checker.check(broken).find(r => r.text === 'Master never handles file data');
+  check('A data edge to the master fails the invariant and names the edge',
+    leak.status === 'fail' && leak.edgeIds.includes('leak') && leak.nodeIds.includes('M'), JSON.stringify(leak));
+
+  const graph = { nodes: new Map(spec.nodes.map(n => [n.id, n])), edges: new Map(spec.edges.map(e => [e.id, e])) };
+  const replicas = checker.evaluate({ count: 'nodes', where: { type: 'chunkserver' }, groupBy: 'metadata.rack', min: 2 }, {
+    ...graph,
+    nodes: new Map([['a', { id: 'a', type: 'chunkserver', metadata: { rack: 'r1' } }], ['b', { id: 'b', type: 'chunkserver', metadata: { rack: 'r1' } }], ['c', { id: 'c', type: 'chunkserver', metadata: { rack: 'r2' } }]])
+  });
+  check('Counts apply to each group', !replicas.pass && replicas.nodeIds.join() === 'c', replicas.message);
+  check('Filters take lists, null, ranges, patterns and negation',
+    checker.select(graph, 'nodes', { type: ['client', 'master'] }).length === 2 &&
+    checker.select(graph, 'nodes', { failure: null }).length === 5 &&
+    checker.select(graph, 'nodes', { label: { matches: '^chunkserver [12]$' } }).length === 2 &&
+    checker.select(graph, 'edges', { not: { kind: 'heartbeat' }, to: { not: { type: 'master' } } }).length === 3);
+
+  const failed = new FailureInjector(null);
+  ['R1', 'R2', 'R3'].forEach(id => failed.inject(id, 'node', 'crash'));
+  const down = failed.apply(composer, composer.composeScene(loadSpec('09-consistency'), []));
+  const risk = new DiagramValidator().findContractsAtRisk(down);
+  check('Failing predicates put their invariants at risk',
+    risk.atRisk.some(r => r.index === 0 && r.rules.includes('ContractPredicates')), JSON.stringify(risk.atRisk));
+
+  const rules = new RuleRegistry();
+  const findings = rules.run({
+    ...spec,
+    contracts: {
+      invariants: [{ text: 'Never', refs: { nodeIds: ['M', 'X'] }, check: { none: 'nodes', where: { type: 'master' } } }],
+      guarantees: [{ text: 'Odd', check: { some: 'nodes' } }],
+      caveats: []
+    }
+  }).filter(f => f.rule.startsWith('Contract')).map(f => `${f.rule} ${f.severity} ${f.pointer}`);
+  check('Contract rules report missing refs, failing contracts once and invalid predicates',
+    findings.join() === [
+      'ContractReferences warning /contracts/invariants/0/refs/nodeIds/1',
+      'ContractPredicates error /contracts/invariants/0/check',
+      'ContractPredicates error /contracts/guarantees/0/check'
+    ].join(), JSON.stringify(findings));
+}
+
+finish();
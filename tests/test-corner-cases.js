@@ -670,11 +670,17 @@ class CornerCaseTestSuite {
       const firstTime = Date.now() - firstRender;
 
       // Load same diagram again (should be cached)
+      const hitsBefore = await this.page.evaluate(() => window.viewer.renderer.cache.stats().hits);
       const secondRender = Date.now();
       await this.page.evaluate(() => window.viewer.loadDiagram('01-triangle'));
       await this.page.waitForTimeout(500);
       const secondTime = Date.now() - secondRender;
 
+      const hitsAfter = await this.page.evaluate(() => window.viewer.renderer.cache.stats().hits);
+      if (hitsAfter <= hitsBefore) {
+        throw new Error('Second load of the same diagram missed the render cache');
+      }
+
       const improvement = ((firstTime - secondTime) / firstTime) * 100;
 
       if (improvement < 50) {
@@ -691,20 +697,16 @@ class CornerCaseTestSuite {
         const renderer = window.viewer?.renderer;
         if (!renderer || !renderer.cache) return null;
 
-        const initialSize = renderer.cache.size;
-
-        // Try to overflow cache (limit should be 20)
-        return {
-          initialSize,
-          hasCache: true,
-          hasLimit: renderer.cache.size <= 20
-        };
+        // The cache is bounded by the bytes of SVG it holds
+        return renderer.cache.stats();
       });
 
-      if (cacheStats && !cacheStats.hasLimit) {
+      if (cacheStats && cacheStats.bytes > cacheStats.maxBytes) {
         throw new Error('Cache growing without limit');
       }
-      return cacheStats ? `Cache size controlled: ${cacheStats.initialSize} items` : 'Cache not accessible';
+      return cacheStats
+        ? `Cache size controlled: ${cacheStats.entries} items, ${cacheStats.bytes} of ${cacheStats.maxBytes} bytes, ${cacheStats.hits} hits / ${cacheStats.misses} misses`
+        : 'Cache not accessible';
     });
   }
 
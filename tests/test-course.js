@@ -0,0 +1,74 @@
+#!/usr/bin/env node
+
+/**
+ * Course Graph Tests
+ * Checks the course prerequisite graph in Node (no browser required)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { start, check, finish } = require('./helpers/check');
+const CourseGraph = require('../src/core/course');
+
+start('Course Graph Tests');
+
+// Course graph
+console.log('\n🧭 Course graph...');
+{
+  const manifest = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'data', 'manifest.json'), 'utf8'));
+  const course = new CourseGraph(manifest);
+  const order = course.order();
+  check('Manifest prerequisites form a DAG',
+    course.findCycles().length === 0 && course.checkGraph().length === 0 && order.length === manifest.diagrams.length);
+  check('Topological order puts prerequisites first',
+    manifest.diagrams.every(d => d.prerequisites.every(p => order.indexOf(p) < order.indexOf(d.id))));
+  check('Ancestors follow prerequisites transitively',
+    [...course.ancestors('06-read-path')].sort().join() === '00-legend,02-scale,04-architecture,05-planes');
+
+  const specsDir = path.join(__dirname, '..', 'data', 'specs');
+  const files = fs.readdirSync(specsDir).filter(f => f.endsWith('.json'))
+    .map(file => ({ file, id: JSON.parse(fs.readFileSync(path.join(specsDir, file), 'utf8')).id }));
+  check('Every spec file is listed and every listed diagram has a file', course.checkFiles(files).length === 0);
+  const missing = course.checkFiles([...files.slice(1), { file: 'extra.json', id: '99-extra' }]);
+  check('Unlisted files and listed diagrams without files are reported',
+    missing.map(f => `${f.diagram} ${f.pointer}`).join() === 'manifest /diagrams/0/id,99-extra /id', JSON.stringify(missing));
+
+  check('Spec references are read from prerequisite text',
+    CourseGraph.references('Control/data separation (Spec 00, 05)').join() === '00,05' &&
+    CourseGraph.references('All previous concepts (Specs 00-03)').join() === '00,01,02,03' &&
+    CourseGraph.references('No reference').length === 0 &&
+    course.resolve('6') === '06-read-path' && course.resolve('42') === null);
+
+  const references = course.checkReferences({
+    id: '06-read-path',
+    prerequisites: { concepts: ['Planes (Spec 05)', 'Writes (Spec 07)', 'Triangle (Spec 01)', 'Nowhere (Spec 42)'] }
+  });
+  check('References must name a prerequisite listed in the manifest',
+    references.map(f => `${f.severity} ${f.pointer}`).join() ===
+      'warning /prerequisites/concepts/1,warning /prerequisites/concepts/2,error /prerequisites/concepts/3',
+    JSON.stringify(references));
+
+  const cyclic = new CourseGraph({
+    diagrams: [
+      { id: 'a', prerequisites: ['c'] },
+      { id: 'b', prerequisites: ['a', 'ghost'] },
+      { id: 'c', prerequisites: ['b'] }
+    ],
+    learningPaths: [{ id: 'p', diagrams: ['a', 'zz'] }]
+  });
+  const problems = cyclic.checkGraph();
+  check('Cycles and dangling ids are reported with pointers',
+    cyclic.findCycles().length === 1 &&
+    problems.map(f => f.pointer).join() === '/diagrams/1/prerequisites/1,/learningPaths/0/diagrams/1,/diagrams/1/prerequisites/0' &&
+    problems[2].message === 'Prerequisite cycle: a → c → b → a', JSON.stringify(problems));
+  let orderError = null;
+  try {
+    cyclic.order();
+  } catch (e) {
+    orderError = e;
+  }
+  check('Ordering a cyclic course fails', orderError?.message.startsWith('Prerequisite cycle'));
+}
+
+finish();
@@ -0,0 +1,81 @@
+#!/usr/bin/env node
+
+/**
+ * Failure Injection Tests
+ * Injects failures into composed scenes and finds the contracts at risk in Node (no browser required)
+ */
+
+const { start, check, loadSpec, stubDocument, finish } = require('./helpers/check');
+const SceneComposer = require('../src/core/composer');
+const { DiagramValidator } = require('../src/core/validator');
+const FailureInjector = require('../src/ui/failures');
+
+stubDocument();
+
+start('Failure Injection Tests');
+
+// Failure injection
+console.log('\n🧨 Failure injection...');
+{
+  const spec = loadSpec('07-write-path');
+  const composer = new SceneComposer();
+  const validator = new DiagramValidator();
+  const injector = new FailureInjector(null);
+
+  const base = composer.composeScene(spec, []);
+  const targets = injector.getTargets(base);
+  check('Chunkservers and master are failure targets',
+    ['M', 'P', 'S1', 'S2'].every(id => targets.nodes.some(n => n.id === id)) &&
+    !targets.nodes.some(n => n.id === 'C'));
+
+  check('No failures leaves the scene untouched', injector.apply(composer, base) === base);
+  check('Healthy scene has no contracts at risk', validator.findContractsAtRisk(base).atRisk.length === 0);
+
+  injector.inject('P', 'node', 'crash');
+  const crashed = injector.apply(composer, composer.composeScene(spec, []));
+  const primary = crashed.nodes.find(n => n.id === 'P');
+  check('Crash is applied as an overlay diff', primary.failure === 'crash' && primary._modified &&
+    crashed._activeOverlays.includes('injected-failures'));
+  check('Edges touching a crashed node fail with it',
+    crashed.edges.filter(e => e.from === 'P' || e.to === 'P').every(e => e.failure === 'crash'));
+
+  const risk = validator.findContractsAtRisk(crashed);
+  const rules = risk.failing.map(r => r.rule);
+  check('Primary crash fails availability rules',
+    rules.includes('PrimaryAvailability') && rules.includes('ReplicaAvailability'), rules.join(', '));
+  check('Primary crash puts every write-path invariant at risk',
+    risk.atRisk.length === spec.contracts.invariants.length, `${risk.atRisk.length} at risk`);
+
+  injector.inject('P', 'node', 'slow');
+  check('Re-injecting a target replaces its failure', injector.failures.size === 1 &&
+    injector.apply(composer, composer.composeScene(spec, [])).nodes.find(n => n.id === 'P').failure === 'slow');
+
+  injector.clearAll();
+  injector.inject('push-P', 'edge', 'partition');
+  const partitioned = injector.apply(composer, composer.composeScene(spec, []));
+  check('Link partition only affects that link',
+    partitioned.edges.filter(e => e.failure).map(e => e.id).join() === 'push-P');
+  check('Broken data link puts staging at risk',
+    validator.findContractsAtRisk(partitioned).atRisk.some(r => r.rules.includes('DataPathIntegrity')));
+
+  injector.clearAll();
+  injector.inject('CS1', 'node', 'crash');
+  const architecture = loadSpec('04-architecture');
+  const csRisk = validator.findContractsAtRisk(injector.apply(composer, composer.composeScene(architecture, [])));
+  check('Invariants whose predicate looks at the failed chunkserver are flagged, others are not',
+    csRisk.atRisk.map(r => r.index).join() === '2', JSON.stringify(csRisk.atRisk));
+
+  injector.clearAll();
+  injector.inject('M-Crash', 'node', 'crash');
+  const recoveryRisk = validator.findContractsAtRisk(injector.apply(composer, composer.composeScene(loadSpec('10-recovery'), [])));
+  check('Invariants without refs or predicates fall back to rule keywords',
+    recoveryRisk.atRisk.map(r => `${r.index}:${r.rules.join()}`).join() === '1:MasterAvailability', JSON.stringify(recoveryRisk.atRisk));
+  check('Failure rules are registry rules that find nothing in authored specs',
+    validator.failureRules.every(id => validator.rules.get(id)) &&
+    validator.rules.run(spec).every(f => !validator.failureRules.includes(f.rule)));
+  check('Risk follows contract refs, not wording',
+    risk.atRisk.find(r => r.index === 0).reasons.every(reason => reason.startsWith('Primary P') || reason.startsWith('P is down')),
+    JSON.stringify(risk.atRisk));
+}
+
+finish();
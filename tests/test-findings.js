@@ -0,0 +1,56 @@
+#!/usr/bin/env node
+
+/**
+ * Finding Location Tests
+ * Locates validation findings by JSON Pointer and source line in Node (no browser required)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { start, check, loadSpec, finish } = require('./helpers/check');
+const { DiagramValidator } = require('../src/core/validator');
+const RuleRegistry = require('../src/core/rules');
+const JsonSourceMap = require('../src/core/json-source');
+const Ajv = require('ajv');
+
+start('Finding Location Tests');
+
+// Finding locations
+console.log('\n📍 Finding locations...');
+{
+  const text = fs.readFileSync(path.join(__dirname, '..', 'data', 'specs', '08-lease.json'), 'utf8');
+  const sourceMap = new JsonSourceMap(text);
+  const lines = text.split('\n');
+  const from = sourceMap.locate('/edges/3/from');
+  check('Pointers map to the line and column of their key',
+    lines[from.line - 1].slice(from.column - 1).startsWith('"from"'), JSON.stringify(from));
+  check('Missing values fall back to their nearest ancestor',
+    sourceMap.locate('/edges/0/metrics').pointer === '/edges/0' &&
+    lines[sourceMap.locate('/edges/0/metrics').line - 1].trim() === '{');
+  check('Pointer segments are escaped and Ajv paths converted',
+    JsonSourceMap.pointer('a/b', 'c~d') === '/a~1b/c~0d' &&
+    JsonSourceMap.resolve({ 'a/b': [7] }, '/a~1b/0') === 7 &&
+    JsonSourceMap.fromAjvError({ instancePath: '/edges/2' }) === '/edges/2' &&
+    JsonSourceMap.fromAjvError({ dataPath: '.edges[2].kind' }) === '/edges/2/kind');
+
+  const validator = new DiagramValidator();
+  let error = null;
+  try {
+    validator.validateSpec(loadSpec('02-scale'));
+  } catch (e) {
+    error = e;
+  }
+  const finding = error?.findings.find(f => f.rule === 'MasterNotOnDataPath');
+  check('Semantic errors carry a pointer to the offending edge',
+    finding?.pointer === '/edges/1' &&
+    JSON.stringify(validator.findElement(loadSpec('02-scale'), `${finding.pointer}/kind`)) === '{"type":"edge","id":"cluster-size"}',
+    JSON.stringify(finding));
+
+  const units = { edges: [{ id: 'e', metrics: { size: '64mb' } }], overlays: [{ id: 'o', diff: { add: { edges: [{ id: 'f', metrics: { latency: '5 KB' } }] } } }] };
+  check('Metric findings point at the metric',
+    new RuleRegistry().run(units).filter(f => f.rule === 'MetricUnits').map(f => f.pointer).join() ===
+      '/edges/0/metrics/size,/overlays/0/diff/add/edges/0/metrics/latency');
+}
+
+finish();
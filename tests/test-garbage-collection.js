@@ -0,0 +1,78 @@
+#!/usr/bin/env node
+
+/**
+ * Garbage Collection Tests
+ * Runs the stale replica and lazy garbage collection model in Node (no browser required)
+ */
+
+const { start, check, loadSpec, finish } = require('./helpers/check');
+const SceneComposer = require('../src/core/composer');
+const { DiagramValidator } = require('../src/core/validator');
+const GarbageCollectionModel = require('../src/simulation/garbage-collection');
+
+start('Garbage Collection Tests');
+
+// Stale replicas and lazy garbage collection
+console.log('\n🗑️ Stale replicas and lazy garbage collection...');
+{
+  const spec = loadSpec('14-garbage-collection');
+  const model = GarbageCollectionModel.fromSpec(spec);
+  const frames = model.run();
+  const at = (time, prefix) => frames.find(f => f.time === time && f.id.startsWith(prefix));
+  const server = (frame, id) => frame.state.servers.find(s => s.id === id);
+
+  const grant = at(3, 'grant-C1');
+  check('Lease grant bumps the version everywhere except the down replica',
+    grant.state.chunks.find(c => c.handle === 'C1').version === 3 &&
+    server(grant, 'CS1').replicas.C1 === 3 && server(grant, 'CS3').replicas.C1 === 2);
+
+  const restart = at(5, 'heartbeat-CS3');
+  check('Heartbeat after restart exposes the stale replica',
+    restart.changed.includes('C1') && server(restart, 'CS3').replicas.C1 === undefined &&
+    !restart.state.chunks.find(c => c.handle === 'C1').locations.includes('CS3'));
+
+  const deleted = at(6, 'delete-F2');
+  check('Delete renames to a hidden file and keeps its chunks',
+    deleted.state.files.some(f => f.path === '/tmp/.deleted-scratch@6h') &&
+    deleted.state.chunks.some(c => c.handle === 'C2'));
+
+  const scans = frames.filter(f => f.id.startsWith('scan-'));
+  check('Scans keep hidden files younger than the retention period',
+    scans.map(f => f.time).join() === '24,48,72,96' &&
+    scans.slice(0, 3).every(f => f.state.files.length === 2));
+  check('Scan after three days erases the file and orphans its chunks',
+    scans[3].state.files.length === 1 && !scans[3].state.chunks.some(c => c.handle === 'C2'));
+  check('Heartbeats delete orphaned chunks from every chunkserver',
+    ['CS2', 'CS3', 'CS4'].every(id => {
+      const frame = at(96, `heartbeat-${id}`);
+      return frame && server(frame, id).replicas.C2 === undefined;
+    }));
+
+  const composer = new SceneComposer();
+  const expanded = composer.expandSpec(spec);
+  check('Scenarios become scenes with generated overlays',
+    expanded.scenes.filter(s => s.id.startsWith('stale-replica-')).length === 5 &&
+    expanded.scenes.filter(s => s.id.startsWith('lazy-gc-')).length === 8 &&
+    expanded.scenes.every(scene => expanded.overlays.some(o => o.id === scene.overlays[0])));
+
+  const composed = composer.composeScene(spec, ['gc-stale-replica-4']);
+  const cs3 = composed.nodes.find(n => n.id === 'CS3');
+  check('Composed scene marks the stale replica on the chunkserver',
+    cs3.metadata.replicas.C1 === 2 && cs3.metadata.stale.includes('C1') && cs3.label.includes('stale'));
+
+  const validator = new DiagramValidator();
+  check('Generated spec passes version monotonicity', validator.checkRule('VersionMonotonicity', expanded).valid);
+
+  const unflagged = JSON.parse(JSON.stringify(expanded));
+  unflagged.overlays.forEach(o => o.diff.modify.nodes.forEach(n => { if (n.metadata?.stale) n.metadata.stale = []; }));
+  const regressed = {
+    nodes: [{ id: 'CS1', type: 'chunkserver', metadata: { version: 3 } }],
+    edges: [],
+    overlays: [{ id: 'rollback', diff: { modify: { nodes: [{ id: 'CS1', metadata: { version: 2 } }] } } }]
+  };
+  check('Validator flags unmarked stale replicas and version rollbacks',
+    validator.checkRule('VersionMonotonicity', unflagged).errors.some(e => /CS3 holds C1 at version 2 behind current 3/.test(e)) &&
+    validator.checkRule('VersionMonotonicity', regressed).errors.some(e => /lowers CS1 from version 3 to 2/.test(e)));
+}
+
+finish();
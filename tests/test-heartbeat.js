@@ -0,0 +1,63 @@
+#!/usr/bin/env node
+
+/**
+ * Heartbeat Monitor Tests
+ * Runs heartbeats and failure detection on a virtual clock in Node (no browser required)
+ */
+
+const { start, check, loadSpec, finish } = require('./helpers/check');
+const HeartbeatMonitor = require('../src/simulation/heartbeat');
+
+start('Heartbeat Monitor Tests');
+
+// Heartbeats and failure detection
+console.log('\n💓 Heartbeats and failure detection...');
+{
+  const spec = loadSpec('07-write-path');
+  const quiet = HeartbeatMonitor.fromSpec(spec);
+  quiet.advanceTo(120);
+  check('Monitor watches every chunkserver of the spec',
+    quiet.params.master === 'M' && quiet.params.chunkservers.join() === 'P,S1,S2' && quiet.params.primaries.join() === 'P');
+  check('Without loss or failures every server stays alive',
+    quiet.getSnapshot().nodes.every(n => n.status === 'alive' && n.delivered >= 20) &&
+    !quiet.sim.log.some(e => e.type === 'suspect'));
+
+  const monitor = HeartbeatMonitor.fromSpec(spec, { failures: [{ at: 20, node: 'P' }] });
+  monitor.advanceTo(120);
+  const event = type => monitor.sim.log.find(e => e.type === type);
+  check('Crash is suspected, then declared dead within the detection bound',
+    event('suspect').time < event('dead').time &&
+    event('dead').detectionTime > 0 && event('dead').detectionTime <= monitor.getDetectionBound());
+  check('Declaring a server dead queues its chunks for re-replication',
+    event('rereplicate').node === 'P' && event('rereplicate').time === event('dead').time);
+  check('New primary waits for the old lease to expire',
+    event('lease-grant').time === event('lease-wait').until &&
+    event('lease-grant').time >= event('dead').time && event('lease-grant').to === 'S1');
+
+  const lossy = HeartbeatMonitor.fromSpec(loadSpec('04-architecture'), { dropRate: 0.4, seed: 3 });
+  lossy.advanceTo(300);
+  check('Lost heartbeats cause false alarms that clear on the next report',
+    lossy.sim.log.some(e => e.type === 'rejoin' && e.falsePositive));
+
+  const partitioned = HeartbeatMonitor.fromSpec(spec, { failures: [{ at: 10, node: 'S2', type: 'partition', until: 60 }] });
+  partitioned.advanceTo(70);
+  check('Partitioned server keeps sending but is declared dead, then rejoins',
+    partitioned.sim.log.some(e => e.type === 'drop' && e.cause === 'partition') &&
+    partitioned.sim.log.some(e => e.type === 'dead' && e.node === 'S2') &&
+    partitioned.getSnapshot().nodes.find(n => n.id === 'S2').status === 'alive');
+
+  const architecture = HeartbeatMonitor.fromSpec(loadSpec('04-architecture'));
+  architecture.advanceTo(30);
+  const flow = architecture.decorate(loadSpec('04-architecture'));
+  check('Decorate reuses authored heartbeat edges and labels the master view',
+    flow.edges.find(e => e.id === 'heartbeat1').label.startsWith('💓') &&
+    !flow.edges.some(e => e.id === 'heartbeat-CS1') &&
+    flow.nodes.find(n => n.id === 'CS1').label.includes('alive') &&
+    flow._heartbeat.nodes.length === 3);
+  check('Heartbeat frames are live and skip the render cache', flow._simulation.live === true);
+  check('Sequence diagrams get no extra heartbeat messages',
+    monitor.decorate(spec).edges.length === spec.edges.length &&
+    monitor.decorate(spec).nodes.find(n => n.id === 'P').label.includes('declared dead'));
+}
+
+finish();
@@ -0,0 +1,56 @@
+#!/usr/bin/env node
+
+/**
+ * Lease State Machine Tests
+ * Drives the 08-lease state machine with a virtual clock in Node (no browser required)
+ */
+
+const { start, check, loadSpec, finish } = require('./helpers/check');
+const VirtualClock = require('../src/simulation/virtual-clock');
+const LeaseStateMachine = require('../src/simulation/lease');
+
+start('Lease State Machine Tests');
+
+// Lease state machine driven by a virtual clock
+console.log('\n🔐 Lease state machine...');
+{
+  const spec = loadSpec('08-lease');
+  const machine = LeaseStateMachine.fromSpec(spec);
+  const guards = Object.fromEntries(machine.transitions.map(t => [t.id, t.guard]));
+
+  check('"50s elapsed" parses as a 50s timer', guards['renew-start'].type === 'timer' && guards['renew-start'].after === 50);
+  check('"No response (10s)" parses as a 10s timer', guards.timeout.type === 'timer' && guards.timeout.after === 10);
+  check('"Lease granted (60s)" grants a 60s lease', guards.granted.type === 'event' && guards.granted.grants === 60);
+  check('"Master revokes" is a learner event', guards['revoke-start'].type === 'event');
+
+  const clock = new VirtualClock();
+  clock.onTick(time => machine.advanceTo(time));
+
+  clock.advance(3);
+  check('Auto-fired events reach Active', machine.current === 'Active', machine.current);
+  check('Fresh lease has 60s remaining', machine.getRemainingLease() === 60, String(machine.getRemainingLease()));
+
+  clock.advance(50);
+  check('Renewal starts 50s after grant', machine.current === 'Expiring', machine.current);
+
+  clock.advance(1);
+  check('Extension re-enters Active with a full lease',
+    machine.current === 'Active' && machine.getRemainingLease() === 60);
+
+  // Partition: renewals never come back
+  machine.setAutoFire('renewed', false);
+  clock.advance(60);
+  check('Without renewal the lease expires at 60s', machine.current === 'Expired', machine.current);
+  check('Expired lease has no time left', machine.getRemainingLease() === 0);
+
+  machine.reset();
+  machine.advance(3);
+  check('Learner can revoke an active lease', machine.fire('revoke-start') && machine.current === 'Revoking');
+  check('Timer edges cannot be fired manually', !machine.fire('timeout'));
+
+  const decorated = machine.decorate(spec);
+  const active = decorated.nodes.find(n => n.id === 'Revoking');
+  check('Decorated spec highlights the active state', active._highlighted && decorated._simulation.live);
+}
+
+finish();
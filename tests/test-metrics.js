@@ -0,0 +1,61 @@
+#!/usr/bin/env node
+
+/**
+ * Edge Metric Tests
+ * Binds unit-aware spec parameters to edge metrics in Node (no browser required)
+ */
+
+const { start, check, loadSpec, finish } = require('./helpers/check');
+const MermaidRenderer = require('../src/core/renderer');
+const Units = require('../src/core/units');
+const MetricsModel = require('../src/core/metrics');
+
+start('Edge Metric Tests');
+
+// Unit-aware parameters and edge metrics
+console.log('\n📏 Parameters and edge metrics...');
+{
+  check('Units convert and format',
+    Units.toBase(64, 'MB') === 64 * 1024 ** 2 && Units.toBase(1, 'Gbps') === 1.25e8 &&
+    Units.format(Units.toBase(1536, 'KB'), Units.dimensions.size) === '1.5 MB' &&
+    Units.format(16, Units.dimensions.frequency) === '16/s' && Units.parse('req/s').dimension.s === -1);
+
+  const spec = loadSpec('03-chunk-size');
+  const model = new MetricsModel(spec);
+  check('Chunk size parameters check cleanly', model.check(spec).length === 0, JSON.stringify(model.check(spec)));
+
+  const lookups = values => model.bind(spec, values).edges.find(e => e.id === 'lookup').metrics.frequency;
+  const big = lookups(model.getDefaults());
+  const small = lookups({ ...model.getDefaults(), chunkSize: 1 });
+  check('1MB chunks send the master 64x the lookups of 64MB chunks',
+    small.value === big.value * 64 && big.text === '16/s per client' && small.text === '1,024/s per client',
+    `${big.text} vs ${small.text}`);
+
+  const renderer = new MermaidRenderer();
+  const bound = model.bind(spec);
+  const rebound = model.bind(bound, { ...model.getDefaults(), chunkSize: 1 });
+  const sequenceKey = bind => renderer.generateCacheKey(renderer.generateMermaidCode({ ...bind, layout: { type: 'sequence' } }));
+  check('Edge labels show computed text and parameter changes invalidate the render cache',
+    renderer.formatEdgeLabel(bound.edges.find(e => e.id === 'split')).includes('64 MB each') &&
+    sequenceKey(bound) !== sequenceKey(rebound),
+    renderer.formatEdgeLabel(bound.edges.find(e => e.id === 'split')));
+
+  const broken = {
+    parameters: { size: { value: 64, unit: 'MB' }, delay: { value: 10, unit: 'ms' } },
+    edges: [
+      { id: 'sum', metrics: { size: { expr: 'size + delay' } } },
+      { id: 'kind', metrics: { latency: { expr: 'size' } } },
+      { id: 'ok', metrics: { size: { expr: 'size * 2', unit: 'KB' } } }
+    ],
+    overlays: [{ id: 'o', diff: { add: { edges: [{ id: 'added', metrics: { throughput: { expr: 'size / delay' } } }] } } }]
+  };
+  const messages = new MetricsModel(broken).check(broken).map(p => p.message).join(' | ');
+  check('Mixing units and mismatched metric types are errors',
+    /Cannot add time to size/.test(messages) && /latency must be a time/.test(messages) && !/Edge ok/.test(messages),
+    messages);
+
+  const overlay = new MetricsModel(broken).bind(broken).overlays[0].diff.add.edges[0].metrics.throughput;
+  check('Overlay edges are bound too', overlay.text === '6.25 GB/s' && overlay.error === undefined, JSON.stringify(overlay));
+}
+
+finish();
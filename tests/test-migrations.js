@@ -0,0 +1,71 @@
+#!/usr/bin/env node
+
+/**
+ * Spec Migration Tests
+ * Upgrades older spec versions through the migration chain in Node (no browser required)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { start, check, loadSpec, stubDocument, finish } = require('./helpers/check');
+const { DiagramValidator } = require('../src/core/validator');
+const StateManager = require('../src/core/state-manager');
+const SpecMigrator = require('../src/core/migrations');
+const Ajv = require('ajv');
+
+stubDocument();
+
+start('Spec Migration Tests');
+
+// Spec migrations
+console.log('\n🔁 Spec migrations...');
+{
+  const schema = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'data', 'schema.json'), 'utf8'));
+  const validator = new DiagramValidator().useSchema(Ajv, schema);
+  const migrator = new SpecMigrator();
+  check('The migration chain ends at the schema version',
+    SpecMigrator.currentVersion === schema.properties.schemaVersion.const &&
+    migrator.migrations[migrator.migrations.length - 1].to === SpecMigrator.currentVersion);
+
+  const legacy = {
+    id: '99-legacy',
+    title: 'Legacy',
+    nodes: [{ id: 'A', type: 'client', label: 'A' }, { id: 'B', type: 'master', label: 'B' }],
+    edges: [{ id: 'e', from: 'A', to: 'B', label: 'ask' }],
+    overlays: [{ id: 'o', title: 'Overlay', diff: { highlight: { edgeIds: ['e'] } } }],
+    steps: [{ caption: 'Ask', overlays: ['o'], narrative: 'The client asks' }, { overlays: [] }],
+    contracts: { invariants: [], guarantees: [], caveats: [] }
+  };
+  const { spec, from, to, changes } = migrator.migrate(legacy);
+  check('Version 1 specs upgrade to the current version',
+    from === 1 && to === 2 && Object.keys(spec)[0] === 'schemaVersion' && spec.schemaVersion === 2);
+  check('Legacy steps become scenes',
+    spec.steps === undefined && spec.scenes.map(s => `${s.id}:${s.name}`).join() === 'step-0:Ask,step-1:Step 2' &&
+    spec.scenes[0].narrative === 'The client asks' && changes.some(c => c.pointer === '/steps'));
+  check('Overlay titles become captions and edges get a kind',
+    spec.overlays[0].caption === 'Overlay' && JSON.stringify(Object.keys(spec.edges[0])) === '["id","from","to","kind","label"]');
+  check('Migrated specs pass the schema',
+    validator.checkSchema(spec).length === 0, JSON.stringify(validator.checkSchema(spec)));
+  check('The input spec is left as it was', legacy.steps.length === 2 && legacy.schemaVersion === undefined);
+
+  check('Current specs pass through unchanged',
+    migrator.migrate(loadSpec('06-read-path')).changes.length === 0);
+  check('Exported files are versioned by _export.version',
+    migrator.versionOf({ _export: { version: '1.0' } }) === 1 && migrator.versionOf({ _export: { version: '2.0' } }) === 2 &&
+    migrator.versionOf({ schemaVersion: 2, _export: { version: '1.0' } }) === 2);
+  let newer = null;
+  try {
+    migrator.migrate({ id: 'x', schemaVersion: 3 });
+  } catch (e) {
+    newer = e.message;
+  }
+  check('Specs newer than the viewer are refused', newer?.includes('schema version 3'), newer);
+
+  const manager = new StateManager();
+  manager.initialize(legacy);
+  check('StateManager reads legacy steps through the migration',
+    manager.states.map(s => s.caption).join() === 'Initial State,Ask,Step 2' && manager.states[1].layers.has('o'));
+}
+
+finish();
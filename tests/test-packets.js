@@ -0,0 +1,49 @@
+#!/usr/bin/env node
+
+/**
+ * Message Packet Tests
+ * Plans packet flights for stepped message edges in Node (no browser required)
+ */
+
+const { start, check, loadSpec, stubDocument, finish } = require('./helpers/check');
+const WritePathSimulation = require('../src/simulation/write-path');
+const SceneComposer = require('../src/core/composer');
+const MermaidRenderer = require('../src/core/renderer');
+const StepThroughEngine = require('../src/learning/stepper');
+const MetricsModel = require('../src/core/metrics');
+const PacketAnimator = require('../src/learning/packets');
+
+stubDocument();
+
+start('Message Packet Tests');
+
+console.log('\n📨 Step-through packets...');
+{
+  const composer = new SceneComposer();
+  const expanded = composer.expandSpec(loadSpec('07-write-path'));
+  const simulated = WritePathSimulation.fromSpec(expanded).applyToSpec(expanded);
+  const spec = new MetricsModel(simulated).bind(simulated);
+  const steps = new StepThroughEngine(new MermaidRenderer(), composer).buildSteps(spec);
+  const packets = new PacketAnimator();
+  const plan = (edgeId, playSpeed = 2000) => packets.plan(steps.find(s => s.edgeId === edgeId), spec, playSpeed);
+
+  check('Latency metrics are read in milliseconds', packets.latencyOf(spec.edges.find(e => e.id === 'push-P')) === 81);
+  const [slow] = plan('push-P');
+  const [fast] = plan('lease-request');
+  check('The slowest edge fills most of a step and fast ones get the minimum',
+    slow.duration === 1500 && fast.duration === PacketAnimator.minDuration, `${slow.duration} ${fast.duration}`);
+  check('Durations follow playSpeed', plan('push-P', 4000)[0].duration === 3000);
+
+  const pipeline = plan('push-S2');
+  check('Pipelined pushes replay together and overlap',
+    pipeline.map(f => f.edge.id).join() === 'push-P,push-S1,push-S2' &&
+    pipeline.every((f, i) => i === 0 || (f.delay > pipeline[i - 1].delay && f.delay < pipeline[i - 1].delay + pipeline[i - 1].duration)),
+    pipeline.map(f => `${f.edge.id}@${f.delay.toFixed(0)}+${f.duration.toFixed(0)}`).join(' '));
+  check('Messages after the pipeline travel alone', plan('data-staged').map(f => f.edge.id).join() === 'data-staged');
+  check('Steps without a message send no packets',
+    steps.filter(s => !s.edgeId).every(s => packets.plan(s, spec, 2000).length === 0));
+  const hidden = { getScreenCTM: () => null };
+  check('Points of elements that are not displayed are not mapped', packets.toRoot(hidden, hidden, { x: 1, y: 2 }) === null);
+}
+
+finish();
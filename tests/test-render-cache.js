@@ -0,0 +1,57 @@
+#!/usr/bin/env node
+
+/**
+ * Render Cache Tests
+ * Checks the keyed, byte-bounded SVG render cache in Node (no browser required)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { start, check, loadSpec, finish } = require('./helpers/check');
+const SceneComposer = require('../src/core/composer');
+const MermaidRenderer = require('../src/core/renderer');
+const RenderCache = require('../src/core/render-cache');
+
+start('Render Cache Tests');
+
+// Render cache
+console.log('\n🗃️  Render cache...');
+{
+  const renderer = new MermaidRenderer();
+  const composer = new SceneComposer();
+  const spec = loadSpec('06-read-path');
+  const relabelled = {
+    ...spec,
+    overlays: [{ id: 'relabel', caption: 'Relabel', diff: { modify: { nodes: [{ id: spec.nodes[0].id, label: 'Renamed' }] } } }]
+  };
+  const key = composed => renderer.generateCacheKey(renderer.generateMermaidCode(composed));
+  check('A modify diff with the same counts gets its own cache key',
+    key(composer.composeScene(relabelled, [])) !== key(composer.composeScene(relabelled, ['relabel'])) &&
+    key(composer.composeScene(spec, [])) === key(composer.composeScene(spec, [])));
+  const pinned = fs.readFileSync(path.join(__dirname, '..', 'docs', 'index.html'), 'utf8').match(/mermaid@([\d.]+)\//);
+  check('Cache keys include the Mermaid release the page loads',
+    pinned?.[1] === MermaidRenderer.mermaidVersion &&
+    key(spec) === RenderCache.hash(`${MermaidRenderer.mermaidVersion}\n${JSON.stringify(renderer.config)}\n${renderer.generateMermaidCode(spec)}`),
+    pinned?.[1]);
+  check('Cache keys are stable content hashes',
+    RenderCache.hash('graph TD') === RenderCache.hash('graph TD') && /^[0-9a-f]{14}$/.test(RenderCache.hash('graph TD')) &&
+    RenderCache.hash('graph TD') !== RenderCache.hash('graph LR'));
+
+  const cache = new RenderCache({ maxBytes: 10 });
+  cache.set('a', '1234').set('b', '1234');
+  cache.get('a');
+  cache.set('c', '1234');
+  check('The least recently used entry goes once the byte limit is passed',
+    cache.has('a') && !cache.has('b') && cache.has('c') && cache.stats().bytes === 8 && cache.stats().evictions === 1);
+  cache.set('big', '12345678901');
+  check('Entries larger than the whole cache are not kept', !cache.has('big') && cache.has('a'));
+  check('Multi-byte characters count as UTF-8 bytes', RenderCache.sizeOf('→') === 3);
+
+  cache.get('b');
+  const stats = cache.stats();
+  check('Hits and misses are counted', stats.hits === 1 && stats.misses === 1 && stats.hitRate === 0.5, JSON.stringify(stats));
+  check('Without IndexedDB the cache stays in memory', !stats.persistent);
+}
+
+finish();
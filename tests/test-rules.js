@@ -0,0 +1,57 @@
+#!/usr/bin/env node
+
+/**
+ * Rule Registry Tests
+ * Runs the shared semantic rule registry in Node (no browser required)
+ */
+
+const { start, check, loadSpec, finish } = require('./helpers/check');
+const { DiagramValidator } = require('../src/core/validator');
+const RuleRegistry = require('../src/core/rules');
+
+start('Rule Registry Tests');
+
+// Semantic rule registry
+console.log('\n📐 Semantic rule registry...');
+{
+  const validator = new DiagramValidator();
+  const ids = Array.from(validator.rules.rules.keys());
+  check('Validator runs the shared rule modules',
+    ['MasterNotOnDataPath', 'VersionMonotonicity', 'OverlayReferences', 'MetricUnits'].every(id => ids.includes(id)) &&
+    ids.join() === Array.from(new RuleRegistry().rules.keys()).join(), ids.join());
+
+  const scale = loadSpec('02-scale');
+  const errorsOf = spec => {
+    try {
+      validator.validateSpec(spec);
+      return [];
+    } catch (e) {
+      return e.errors;
+    }
+  };
+  check('Rule ids prefix semantic errors',
+    errorsOf(scale).some(e => /^MasterNotOnDataPath: Data edge cluster-size/.test(e)), errorsOf(scale).join(' | '));
+  check('Specs can turn rules off or down',
+    errorsOf(loadSpec('12-dna')).length === 0 &&
+    errorsOf({ ...scale, rules: { MasterNotOnDataPath: 'warning' } }).length === 0 &&
+    validator.findings.some(f => f.rule === 'MasterNotOnDataPath' && f.severity === 'warning'));
+
+  const legend = new RuleRegistry().run(loadSpec('00-legend')).find(f => f.rule === 'OverlayReferences');
+  check('Findings keep their own severity unless configured',
+    legend.severity === 'warning' && /highlights non-existent edge forbidden-path/.test(legend.message));
+
+  const registry = new RuleRegistry()
+    .register({ id: 'NoCacheToMaster', severity: 'warning', check: spec => spec.edges.filter(e => e.kind === 'cache').map(e => `Edge ${e.id} caches`) })
+    .register({ id: 'Broken', severity: 'info', check: () => { throw new Error('boom'); } })
+    .configure({ ReplicationFactor: false });
+  const findings = registry.run({ nodes: [{ id: 'CS', type: 'chunkserver' }], edges: [{ id: 'c', kind: 'cache' }] });
+  check('Custom rules register, crashes surface and manifest settings apply',
+    findings.some(f => f.rule === 'NoCacheToMaster' && f.severity === 'warning') &&
+    findings.some(f => f.rule === 'Broken' && f.severity === 'error' && /boom/.test(f.message)) &&
+    !findings.some(f => f.rule === 'ReplicationFactor'),
+    JSON.stringify(findings));
+  check('Bad rule settings are reported',
+    registry.checkConfig({ Nope: 'off', MetricUnits: 'loud' }).length === 2);
+}
+
+finish();
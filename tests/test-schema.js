@@ -0,0 +1,54 @@
+#!/usr/bin/env node
+
+/**
+ * Spec Schema Tests
+ * Validates specs against data/schema.json with Ajv in Node (no browser required)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { start, check, loadSpec, finish } = require('./helpers/check');
+const SceneComposer = require('../src/core/composer');
+const { DiagramValidator } = require('../src/core/validator');
+const MetricsModel = require('../src/core/metrics');
+const Ajv = require('ajv');
+
+start('Spec Schema Tests');
+
+// Spec schema
+console.log('\n🗂️  Spec schema...');
+{
+  const schema = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'data', 'schema.json'), 'utf8'));
+  const validator = new DiagramValidator().useSchema(Ajv, schema);
+  const composer = new SceneComposer();
+  const specsDir = path.join(__dirname, '..', 'data', 'specs');
+  const failing = fs.readdirSync(specsDir).filter(f => f.endsWith('.json')).filter(file => {
+    const spec = composer.expandSpec(JSON.parse(fs.readFileSync(path.join(specsDir, file), 'utf8')));
+    return validator.checkSchema(new MetricsModel(spec).bind(spec)).length > 0;
+  });
+  check('Every spec validates against schema version 2', failing.length === 0, failing.join(', '));
+
+  const spec = loadSpec('06-read-path');
+  const findings = broken => validator.checkSchema({ ...spec, ...broken }).map(f => `${f.pointer} ${f.message}`);
+  check('Drills are checked against the fields of their type',
+    findings({ drills: [{ id: 'd', type: 'apply', prompt: 'p', thoughtProcess: ['t'], answer: 'a' }] }).join() ===
+      "/drills/0 must have required property 'scenario',/drills/0 must NOT have additional properties: answer",
+    JSON.stringify(findings({ drills: [{ id: 'd', type: 'apply', prompt: 'p', thoughtProcess: ['t'], answer: 'a' }] })));
+  check('Unknown drill types are rejected by the discriminator',
+    findings({ drills: [{ id: 'd', type: 'quiz', prompt: 'p' }] }).join() === '/drills/0/type value of tag "type" must be in oneOf, got "quiz"');
+  check('Diff operations only take their own fields',
+    findings({ overlays: [{ id: 'o', caption: 'c', diff: { highlight: { edges: ['e'] }, modify: { nodes: [{ label: 'x' }] } } }] }).join() ===
+      "/overlays/0/diff/highlight must NOT have additional properties: edges,/overlays/0/diff/modify/nodes/0 must have required property 'id'");
+  check('Scenes, checkpoints and unversioned specs are rejected',
+    findings({ scenes: [{ id: 's', title: 'S', overlays: [] }] }).length === 2 &&
+    findings({ assessmentCheckpoints: [{ id: 'a', competency: 'c', checkYourself: 'k', mastery: 'm', extra: 1 }] }).length === 1 &&
+    validator.checkSchema({ ...spec, schemaVersion: undefined }).some(f => f.message.includes('schemaVersion')));
+  check('Write path params are bounded',
+    findings({ simulation: { model: 'write-path', params: { chunkSizeMB: 0, replicas: 2.5 } } }).join() ===
+      '/simulation/params/replicas must be integer,/simulation/params/chunkSizeMB must be > 0,/simulation must match "then" schema');
+  check('Loaded specs may carry generated _ properties',
+    findings({ _generated: true, _parameters: {} }).length === 0);
+}
+
+finish();
@@ -0,0 +1,109 @@
+#!/usr/bin/env node
+
+/**
+ * Simulation Model Tests
+ * Runs the discrete-event simulator and the 07 write path model on it in Node
+ * (no browser required); the other models have their own test files
+ */
+
+const { start, check, loadSpec, finish } = require('./helpers/check');
+const DiscreteEventSimulator = require('../src/simulation/simulator');
+const WritePathSimulation = require('../src/simulation/write-path');
+
+start('Simulation Model Tests');
+
+// Test 1: Event queue ordering
+console.log('\n⏱️  Discrete-event simulator...');
+{
+  const sim = new DiscreteEventSimulator();
+  const order = [];
+  sim.schedule(5, () => order.push('b'));
+  sim.schedule(1, () => order.push('a'));
+  sim.schedule(5, () => order.push('c'));
+  sim.run();
+
+  check('Events run in time order, ties in insertion order', order.join('') === 'abc', order.join(''));
+  check('Clock advances to last event', sim.now === 5, `now=${sim.now}`);
+
+  const bounded = new DiscreteEventSimulator();
+  bounded.schedule(10, () => order.push('late'));
+  bounded.run({ until: 3 });
+  check('run({ until }) stops before later events', bounded.now === 3 && bounded.queue.length === 1);
+}
+
+// Test 2: Default write path matches the authored 07 trace
+console.log('\n✍️  Write path simulation...');
+{
+  const spec = loadSpec('07-write-path');
+  const simulated = WritePathSimulation.fromSpec(spec).applyToSpec(spec);
+  const authored = spec.edges.map(e => `${e.id}:${e.from}->${e.to}:${e.kind}`);
+  const generated = simulated.edges.map(e => `${e.id}:${e.from}->${e.to}:${e.kind}`);
+
+  check('Default params reproduce authored edge sequence',
+    JSON.stringify(authored) === JSON.stringify(generated),
+    generated.join(' '));
+
+  const times = simulated.edges.map(e => e.time);
+  check('Edges are ordered by send time', times.every((t, i) => i === 0 || t >= times[i - 1]));
+
+  const dataEdges = simulated.edges.filter(e => e.kind === 'data');
+  check('Master never on the data path', dataEdges.every(e => e.from !== 'M' && e.to !== 'M'));
+
+  // Overlays keep pointing at real edges
+  const edgeIds = new Set(simulated.edges.map(e => e.id));
+  const referenced = spec.overlays.flatMap(o => [
+    ...(o.diff.highlight?.edgeIds || []),
+    ...(o.diff.modify?.edges || []).map(e => e.id)
+  ]);
+  check('Overlay edge references survive simulation', referenced.every(id => edgeIds.has(id)));
+}
+
+// Test 3: Parameters change the trace
+console.log('\n🔧 Parameter sensitivity...');
+{
+  const five = new WritePathSimulation({ replicas: 5 });
+  five.run();
+  const forwards = five.toEdges().filter(e => e.kind === 'data');
+  const applies = five.toEdges().filter(e => e.label.startsWith('6.'));
+  check('5 replicas push along a 5-hop chain', forwards.length === 5, `${forwards.length} data edges`);
+  check('5 replicas get 4 apply messages', applies.length === 4, `${applies.length} applies`);
+
+  const slow = new WritePathSimulation({ bandwidthMbps: 10 });
+  const fast = new WritePathSimulation({ bandwidthMbps: 1000 });
+  slow.run();
+  fast.run();
+  check('Lower bandwidth lengthens the write', slow.duration > fast.duration,
+    `${slow.duration.toFixed(1)}ms vs ${fast.duration.toFixed(1)}ms`);
+
+  const pipelined = new WritePathSimulation({ replicas: 3, writeSizeMB: 10 });
+  pipelined.run();
+  const transfer = pipelined.transferTime(10);
+  const staged = pipelined.trace.find(e => e.label === '4. Data staged');
+  check('Pipelining overlaps hops (staged before 2x transfer time)', staged.start < 2 * transfer,
+    `staged at ${staged.start.toFixed(1)}ms, transfer ${transfer.toFixed(1)}ms`);
+
+  const crossing = new WritePathSimulation({ chunkSizeMB: 1, writeSizeMB: 3 });
+  crossing.run();
+  const leaseRequests = crossing.toEdges().filter(e => e.label.startsWith('1.'));
+  check('Writes crossing chunk boundaries run once per chunk', leaseRequests.length === 3,
+    `${leaseRequests.length} lease lookups`);
+  check('Messages of each chunk get their own ids',
+    leaseRequests.map(e => e.id).join() === 'lease-request-chunk0,lease-request-chunk1,lease-request-chunk2' &&
+    new Set(crossing.toEdges().map(e => e.id)).size === crossing.toEdges().length);
+
+  const rejects = (params, text) => {
+    try {
+      new WritePathSimulation(params);
+      return false;
+    } catch (e) {
+      return e.message.includes(text);
+    }
+  };
+  check('Params that would stall or divide by zero are rejected',
+    rejects({ chunkSizeMB: 0 }, 'chunkSizeMB must be a number above 0') &&
+    rejects({ bandwidthMbps: -1 }, 'bandwidthMbps') && rejects({ writeSizeMB: 0 }, 'writeSizeMB') &&
+    rejects({ replicas: 0 }, 'replicas must be a whole number of at least 1') &&
+    rejects({ linkLatencyMs: -1 }, 'linkLatencyMs must be a number of at least 0') && rejects({ offsetMB: '5' }, 'offsetMB'));
+}
+
+finish();
@@ -0,0 +1,62 @@
+#!/usr/bin/env node
+
+/**
+ * Spec Fixer Tests
+ * Runs the spec validator's --fix and --dry-run rewrites in Node (no browser required)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { start, check, finish } = require('./helpers/check');
+const JsonSourceMap = require('../src/core/json-source');
+const SpecFixer = require('../src/core/spec-fixer');
+
+start('Spec Fixer Tests');
+
+// Spec fixer
+console.log('\n🔧 Spec fixer...');
+{
+  const fixer = new SpecFixer();
+  const specsDir = path.join(__dirname, '..', 'data', 'specs');
+  const unchanged = fs.readdirSync(specsDir).filter(f => f.endsWith('.json')).every(file => {
+    const text = fs.readFileSync(path.join(specsDir, file), 'utf8');
+    const sourceMap = new JsonSourceMap(text);
+    return sourceMap.duplicates.length > 0 || fixer.stringify(JSON.parse(text), sourceMap, text.endsWith('\n')) === text;
+  });
+  check('Rewriting a spec unchanged reproduces its file byte for byte', unchanged);
+
+  const text = [
+    '{',
+    '  "title": "Broken",',
+    '  "id": "7_Write Path",',
+    '  "nodes": [{ "id": "A", "type": "client", "label": "A" }, { "id": "B", "type": "master", "label": "B" }],',
+    '  "edges": [',
+    '    { "id": "e", "from": "A", "to": "B" },',
+    '    { "to": "B", "id": "e", "from": "A", "kind": "data" }',
+    '  ],',
+    '  "overlays": [{ "id": "o", "caption": "", "diff": { "highlight": { "edgeIds": ["e", "gone", "added"] }, "add": { "edges": [{ "id": "added", "from": "A", "to": "B", "kind": "data" }] } } }]',
+    '}'
+  ].join('\n');
+  const { spec, changes } = fixer.fix(JSON.parse(text));
+  check('Spec ids are normalized to NN-name',
+    spec.id === '07-write-path' && SpecFixer.normalizeId('6 read_path') === '06-read-path' && SpecFixer.normalizeId('readme') === null);
+  check('Missing edge kinds get the default, placed after "to"',
+    JSON.stringify(Object.keys(spec.edges[0])) === '["id","from","to","kind"]' && spec.edges[0].kind === 'control');
+  check('Duplicate edge ids get a suffix',
+    spec.edges.map(e => e.id).join() === 'e,e-2');
+  check('Highlights of edges that exist nowhere are dropped',
+    spec.overlays[0].diff.highlight.edgeIds.join() === 'e,added');
+  check('Keys are sorted into the canonical order',
+    Object.keys(spec).join() === 'id,title,nodes,edges,overlays' &&
+    changes.some(c => c.pointer === '/edges/1' && c.message.startsWith('Sorted')) &&
+    !changes.some(c => c.pointer === '/edges/0' && c.message.startsWith('Sorted')), JSON.stringify(changes));
+
+  const output = fixer.stringify(spec, new JsonSourceMap(text), false);
+  check('One-line values stay on one line',
+    output.split('\n')[3] === '  "nodes": [{ "id": "A", "type": "client", "label": "A" }, { "id": "B", "type": "master", "label": "B" }],' &&
+    output.includes('    { "id": "e-2", "from": "A", "to": "B", "kind": "data" }') && !output.endsWith('\n'), output);
+  check('Repeated keys are found', new JsonSourceMap('{"a": 1, "b": {"a": 2}, "a": 3}').duplicates.join() === '/a');
+}
+
+finish();
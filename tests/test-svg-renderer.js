@@ -0,0 +1,187 @@
+#!/usr/bin/env node
+
+/**
+ * SVG Renderer Tests
+ * Lays out and draws specs with the SVG renderer backend in Node (no browser
+ * required), and animates between them against a stub DOM
+ */
+
+const { start, check, loadSpec, finish } = require('./helpers/check');
+const SceneComposer = require('../src/core/composer');
+const SvgRenderer = require('../src/core/svg-renderer');
+
+// Just enough DOM for transition(): elements parsed from the SVG text that
+// answer the selectors it uses and record animate() calls instead of running them
+class StubElement {
+  constructor(tagName, attributes = {}) {
+    this.tagName = tagName;
+    this.attributes = new Map(Object.entries(attributes));
+    this.childNodes = [];
+    this.parentNode = null;
+    this.text = '';
+    this.style = {};
+    this.animations = [];
+  }
+
+  get textContent() {
+    return this.text + this.childNodes.map(child => child.textContent).join('');
+  }
+
+  set innerHTML(markup) {
+    this.childNodes = [];
+    const open = [this];
+    for (const [, closing, tagName, attributes, selfClosing, text] of markup.matchAll(/<(\/?)([\w:-]+)([^>]*?)(\/?)>|([^<]+)/g)) {
+      const parent = open[open.length - 1];
+      if (text) {
+        parent.text += text;
+      } else if (closing) {
+        open.pop();
+      } else {
+        const el = new StubElement(tagName, Object.fromEntries(Array.from(attributes.matchAll(/([\w:-]+)="([^"]*)"/g), ([, name, value]) => [name, value])));
+        parent.appendChild(el);
+        if (!selfClosing) open.push(el);
+      }
+    }
+  }
+
+  getAttribute(name) { return this.attributes.has(name) ? this.attributes.get(name) : null; }
+  hasAttribute(name) { return this.attributes.has(name); }
+  setAttribute(name, value) { this.attributes.set(name, String(value)); }
+  removeAttribute(name) { this.attributes.delete(name); }
+
+  appendChild(el) {
+    el.parentNode = this;
+    this.childNodes.push(el);
+    return el;
+  }
+
+  remove() {
+    if (!this.parentNode) return;
+    this.parentNode.childNodes = this.parentNode.childNodes.filter(child => child !== this);
+    this.parentNode = null;
+  }
+
+  cloneNode() {
+    const copy = new StubElement(this.tagName, Object.fromEntries(this.attributes));
+    copy.text = this.text;
+    this.childNodes.forEach(child => copy.appendChild(child.cloneNode(true)));
+    return copy;
+  }
+
+  animate(keyframes, options) {
+    const animation = { keyframes, options };
+    this.animations.push(animation);
+    return animation;
+  }
+
+  // Selectors as 'tag', 'tag.class' or '[attribute]', comma separated
+  matches(selectors) {
+    return selectors.split(',').map(s => s.trim()).some(selector => {
+      const attribute = selector.match(/^\[([\w-]+)\]$/);
+      if (attribute) return this.hasAttribute(attribute[1]);
+      const [tagName, className] = selector.split('.');
+      return this.tagName === tagName && (!className || (this.getAttribute('class') || '').split(' ').includes(className));
+    });
+  }
+
+  querySelectorAll(selectors) {
+    return this.childNodes.flatMap(child => [...(child.matches(selectors) ? [child] : []), ...child.querySelectorAll(selectors)]);
+  }
+
+  querySelector(selectors) {
+    return this.querySelectorAll(selectors)[0] || null;
+  }
+}
+
+global.document = { createElementNS: (namespace, tagName) => new StubElement(tagName) };
+
+start('SVG Renderer Tests');
+
+console.log('\n🖼️  SVG renderer...');
+{
+  const renderer = new SvgRenderer();
+  const spec = loadSpec('04-architecture');
+  const positions = layout => JSON.stringify(layout.nodes.map(b => [b.id, b.x, b.y]).concat(layout.edges.map(e => [e.id, e.points])));
+  check('Layout is deterministic', positions(renderer.layout(spec)) === positions(renderer.layout(JSON.parse(JSON.stringify(spec)))));
+
+  const svg = renderer.generateSvg(spec);
+  check('Every node and edge carries a stable data attribute',
+    spec.nodes.every(n => svg.includes(`data-node-id="${n.id}"`)) && spec.edges.every(e => svg.includes(`data-edge-id="${e.id}"`)));
+
+  const flow = renderer.layout(spec);
+  const y = id => flow.nodes.find(b => b.id === id).y;
+  check('Flow layers follow the edges: client, then chunkservers, then master',
+    y('C') < y('CS1') && y('CS1') === y('CS3') && y('CS1') < y('M'), flow.nodes.map(b => `${b.id}@${b.y}`).join(' '));
+  const control = flow.edges.find(e => e.id === 'control');
+  check('Edges that skip a rank go around it',
+    control.points.length === 4 && flow.nodes.filter(b => b.y === y('CS1')).every(b => control.points[1][0] < b.x || control.points[1][0] > b.x + b.width));
+
+  const sequence = loadSpec('07-write-path');
+  const lanes = renderer.layout(sequence);
+  const lineX = id => { const box = lanes.nodes.find(b => b.id === id); return box.x + box.width / 2; };
+  check('Sequence participants get columns in Mermaid participant order',
+    lanes.nodes.map(b => b.id).join() === renderer.sortParticipants(sequence.nodes).map(n => n.id).join() &&
+    lanes.nodes.every((b, i) => i === 0 || b.x > lanes.nodes[i - 1].x));
+  check('Each message is a row between the lifelines of its ends',
+    lanes.edges.every((e, i) => (i === 0 || e.points[0][1] > lanes.edges[i - 1].points[0][1]) &&
+      e.points[0][0] === lineX(e.edge.from) && e.points[e.points.length - 1][0] === lineX(e.edge.to)));
+
+  const composer = new SceneComposer();
+  const anchored = (base, overlays) => {
+    const before = renderer.layout(composer.composeScene(base, []));
+    const during = renderer.layout(composer.composeScene(base, overlays), before);
+    const after = renderer.layout(composer.composeScene(base, []), during);
+    const at = layout => new Map(layout.nodes.map(b => [b.id, `${b.x},${b.y}`]));
+    return { before: at(before), during: at(during), after: at(after) };
+  };
+  const kept = ({ before, during }) => Array.from(before).every(([id, place]) => during.get(id) === place);
+  const writes = anchored(sequence, ['concurrent-writes']);
+  check('Toggling an overlay keeps every participant column in place',
+    kept(writes) && writes.during.has('C2') && JSON.stringify([...writes.after]) === JSON.stringify([...writes.before]));
+  const planes = anchored(spec, ['control-plane']);
+  check('Nodes an overlay adds to a flow join their row without moving the others',
+    kept(planes) && planes.during.has('control-note'));
+
+  const risky = { id: 'x', layout: { type: 'flow', renderer: 'svg' }, nodes: [{ id: 'a', type: 'client', label: '<b>"A" & B</b>' }], edges: [] };
+  check('Labels are escaped', renderer.generateSvg(risky).includes('&lt;b&gt;&quot;A&quot; &amp; B&lt;/b&gt;'));
+}
+
+console.log('\n🎞️  SVG transitions...');
+{
+  const renderer = new SvgRenderer();
+  const composer = new SceneComposer();
+  const sequence = loadSpec('07-write-path');
+
+  // Draw from one scene to another the way render() does, keeping the layout
+  // of the picture shown before
+  const draw = (spec, anchor = null) => {
+    const layout = renderer.layout(spec, anchor?.layout);
+    const container = new StubElement('div');
+    container.innerHTML = renderer.generateSvg(spec, 'diagram', layout);
+    return { spec, layout, container, svg: container.querySelector('svg.svg-diagram') };
+  };
+  const transition = (before, after) => renderer.transition(after.container, before.svg, before, after);
+  const fades = (el, from, to) => el.animations.some(({ keyframes }) => keyframes[0].opacity === from && keyframes[1].opacity === to);
+  const glides = root => root.querySelectorAll('[data-node-id]').filter(el => el.animations.some(({ keyframes }) => 'transform' in keyframes[0]));
+
+  const base = draw(composer.composeScene(sequence, []));
+  const racing = draw(composer.composeScene(sequence, ['concurrent-writes']), base);
+  transition(base, racing);
+  const drawn = (attribute, id) => racing.svg.querySelectorAll(`[${attribute}]`).find(el => el.getAttribute(attribute) === id);
+  check('Turning concurrent-writes on fades in C2, race-note and ec1',
+    ['C2', 'race-note'].every(id => fades(drawn('data-node-id', id), 0, 1) && fades(drawn('data-lifeline', id), 0, 1)) &&
+    fades(drawn('data-edge-id', 'ec1'), 0, 1));
+  check('Participants that were already there do not glide', glides(racing.svg).length === 0,
+    glides(racing.svg).map(el => el.getAttribute('data-node-id')).join());
+
+  const calm = draw(composer.composeScene(sequence, []), racing);
+  transition(racing, calm);
+  const leaving = calm.svg.querySelector('g.svg-leaving');
+  check('Turning it off fades out copies of C2, race-note and ec1',
+    leaving !== null && fades(leaving, 1, 0) && leaving.childNodes.length === 5 &&
+    ['Client 2', 'Primary serializes', 'Commit write B'].every(text => leaving.textContent.includes(text)));
+  check('Nothing that stays glides when it goes', glides(calm.svg).length === 0,
+    glides(calm.svg).map(el => el.getAttribute('data-node-id')).join());
+}
+
+finish();
@@ -0,0 +1,51 @@
+#!/usr/bin/env node
+
+/**
+ * Metric Unit Tests
+ * Parses and checks units in free-text edge metrics in Node (no browser required)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { start, check, loadSpec, finish } = require('./helpers/check');
+const { DiagramValidator } = require('../src/core/validator');
+const MermaidRenderer = require('../src/core/renderer');
+const Units = require('../src/core/units');
+const MetricsModel = require('../src/core/metrics');
+
+start('Metric Unit Tests');
+
+// Units in free-text edge metrics
+console.log('\n🔣 Units in edge metrics...');
+{
+  const quantities = ['~1ms', '2-5ms', '100 Mbps', 'every 30s', '1,000 req/s', 'PB scale'].map(text => Units.parseQuantity(text));
+  check('Quantity strings normalize to base units',
+    quantities[0].value === 0.001 && quantities[0].qualifier === '~' &&
+    quantities[1].min === 0.002 && quantities[1].max === 0.005 &&
+    quantities[2].value === 1.25e7 && Math.abs(quantities[3].value - 1 / 30) < 1e-12 &&
+    quantities[4].value === 1000 && quantities[4].dimension.s === -1 && quantities[5] === null);
+
+  const claims = {
+    edges: [
+      { id: 'fast', metrics: { size: '1GB', latency: '1ms', throughput: '100 Mbps' } },
+      { id: 'typo', metrics: { size: '64mb', latency: '5 KB' } }
+    ]
+  };
+  const flagged = new MetricsModel(claims).check(claims);
+  check('Inconsistent and malformed units are flagged',
+    flagged.some(p => p.level === 'warning' && /fast moves 1GB in 1ms, but at 100 Mbps that takes 1.43 min/.test(p.message)) &&
+    flagged.some(p => p.level === 'error' && /did you mean MB/.test(p.message)) &&
+    flagged.some(p => p.level === 'error' && /"5 KB" is a size, expected a time/.test(p.message)),
+    JSON.stringify(flagged));
+  check('Semantic validation rejects specs with bad units',
+    !new DiagramValidator().checkRule('MetricUnits', claims).valid &&
+    fs.readdirSync(path.join(__dirname, '..', 'data', 'specs'))
+      .every(file => new DiagramValidator().checkRule('MetricUnits', loadSpec(file.replace('.json', ''))).valid));
+  const renderer = new MermaidRenderer();
+  check('Tooltips offer metrics in other units',
+    renderer.describeMetric('Size', '64MB') === 'Size: 64MB ⇄ 65,536 KB · 0.0625 GB' &&
+    renderer.describeMetric('Latency', '2-5ms') === 'Latency: 2-5ms');
+}
+
+finish();